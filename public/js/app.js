@@ -50,6 +50,13 @@ class HealthTracker {
     constructor() {
         // Core Properties
         this.userId = this.generateUserId();
+        this.repository = new HealthRepository();
+        this.outbox = new SyncOutbox(this.repository, {
+            request: (endpoint, options) => this.makeAPICall(endpoint, options),
+            getDeviceId: () => this.getDeviceId(),
+            getUserId: () => this.isAuthenticated() ? this.userId : null
+        });
+        this.localEntriesSnapshot = [];
         this.isOnline = navigator.onLine;
         this.isLoading = false;
         this.syncInProgress = false;
@@ -65,13 +72,43 @@ class HealthTracker {
             stepsGoal: 10000,
             waterGoal: 2.0,
             sleepGoal: 8,
-            weightGoal: null
+            weightGoal: null,
+            calorieGoal: null,
+            activeMinutesGoal: 150,
+            waistGoal: null,
+            bodyFatGoal: null,
+            height: null,
+            bedtimeGoal: null,
+            glucoseUnit: 'mg/dL',
+            glucoseTargetLow: 70,
+            glucoseTargetHigh: 180,
+            customGoals: {}
         };
         
+        // Eigene Metriken des Users (siehe loadMetricDefinitions)
+        this.metricDefinitions = [];
+        
+        // Eigene Lebensmittel und Rezepte (siehe loadUserFoods) - ergänzen die FoodDatabase
+        this.userFoods = [];
+        
+        // Trainingseinheiten (siehe loadWorkouts) - eigene Collection, neueste zuerst
+        this.workouts = [];
+        
+        // Medikamente mit Zeitplan und erfasste Dosen (siehe loadMedications)
+        this.medications = [];
+        this.medicationLogs = [];
+        
+        // Erfasste Perioden, älteste zuerst (siehe loadPeriods / CycleTracker)
+        this.periods = [];
+        
         // Performance optimization
         this.debounceTimers = new Map();
         this.cache = new Map();
         
+        // Serverdaten werden seitenweise und nur bei Bedarf weiter in die Vergangenheit geladen
+        this.historyDays = 90;
+        this.historyPageSize = 200;
+        
         // Initialize application
         this.initialize();
     }
@@ -83,8 +120,27 @@ class HealthTracker {
     try {
         console.log('🚀 Health Tracker Pro wird initialisiert...');
         
-        // Load user goals first
+        // Lokalen Speicher öffnen (inkl. einmaliger localStorage-Migration)
+        await this.refreshLocalSnapshot().catch(error => {
+            console.error('❌ IndexedDB nicht verfügbar:', error);
+        });
+        
+        // Bestehende Sitzung: lokale Daten gehören diesem Konto
+        const session = this.getAuthSession();
+        if (session?.user?.id) await this.claimLocalData(session.user.id);
+        
+        // Session und Geräte-ID für den Background Sync im Service Worker spiegeln
+        this.mirrorSessionForWorker(session);
+        this.setupServiceWorkerMessages();
+        this.syncProfileTimezone();
+        
+        // Load metric definitions and user goals first
+        await this.loadMetricDefinitions();
         await this.loadUserGoals();
+        await this.loadUserFoods();
+        await this.loadWorkouts();
+        await this.loadMedications();
+        await this.loadPeriods();
         
         // Initialize components in dependency order
         this.initializeComponents();
@@ -188,6 +244,50 @@ showQuickAddModal() {
                     <span class="text-sm font-medium">Notiz</span>
                     <span class="text-xs opacity-70">Schnelle Eingabe</span>
                 </button>
+                
+                <!-- Blutdruck & Ruhepuls Quick Add -->
+                <button class="btn btn-outline gap-2 h-20 flex-col hover:btn-error transition-all duration-200" 
+                        onclick="healthTracker?.showQuickVitalsInput?.(); this.closest('.modal').remove();">
+                    <i data-lucide="heart-pulse" class="w-6 h-6 text-error"></i>
+                    <span class="text-sm font-medium">Blutdruck</span>
+                    <span class="text-xs opacity-70">mit Ruhepuls</span>
+                </button>
+                
+                <!-- Blutzucker Quick Add -->
+                <button class="btn btn-outline gap-2 h-20 flex-col hover:btn-accent transition-all duration-200" 
+                        onclick="healthTracker?.showQuickGlucoseInput?.(); this.closest('.modal').remove();">
+                    <i data-lucide="droplet" class="w-6 h-6 text-accent"></i>
+                    <span class="text-sm font-medium">Blutzucker</span>
+                    <span class="text-xs opacity-70">${this.getGlucoseUnit()} mit Kontext</span>
+                </button>
+                
+                <!-- Mahlzeit Quick Add -->
+                <button class="btn btn-outline gap-2 h-20 flex-col hover:btn-warning transition-all duration-200" 
+                        onclick="healthTracker?.showNutritionModal?.({ view: 'meal' }); this.closest('.modal').remove();">
+                    <i data-lucide="utensils" class="w-6 h-6 text-warning"></i>
+                    <span class="text-sm font-medium">Mahlzeit</span>
+                    <span class="text-xs opacity-70">${this.goals.calorieGoal ? `Ziel: ${this.goals.calorieGoal} kcal` : 'Kalorien & Makros'}</span>
+                </button>
+                
+                <!-- Training Quick Add -->
+                <button class="btn btn-outline gap-2 h-20 flex-col hover:btn-success transition-all duration-200" 
+                        onclick="healthTracker?.showWorkoutModal?.(); this.closest('.modal').remove();">
+                    <i data-lucide="dumbbell" class="w-6 h-6 text-success"></i>
+                    <span class="text-sm font-medium">Training</span>
+                    <span class="text-xs opacity-70">${this.getWeeklyActiveMinutes()} / ${this.goals.activeMinutesGoal || 150} min Woche</span>
+                </button>
+                
+                <!-- Eigene Metriken -->
+                ${this.getActiveMetricDefinitions().map(definition => `
+                    <button class="btn btn-outline gap-2 h-20 flex-col hover:btn-primary transition-all duration-200"
+                            onclick="healthTracker?.showQuickCustomInput?.('${definition.key}'); this.closest('.modal').remove();">
+                        <i data-lucide="activity" class="w-6 h-6 text-primary"></i>
+                        <span class="text-sm font-medium truncate max-w-full">${this.escapeHTML(definition.name)}</span>
+                        <span class="text-xs opacity-70">${this.goals.customGoals?.[definition.key] !== undefined
+                            ? `Ziel: ${this.formatCustomValue(definition, this.goals.customGoals[definition.key])}`
+                            : this.escapeHTML(definition.unit || 'Eigene Metrik')}</span>
+                    </button>
+                `).join('')}
             </div>
             
             <!-- Alternative: Vollständiges Formular -->
@@ -241,7 +341,7 @@ showQuickStepsInput() {
                 <input type="number" id="quick-steps" class="input input-bordered input-primary" 
                        placeholder="z.B. 5000" min="0" max="100000" step="100" autofocus>
                 <div class="label">
-                    <span class="label-text-alt text-info">Tipp: Bereits vorhandene Schritte werden addiert</span>
+                    <span class="label-text-alt text-info">Tipp: Jede Eingabe wird zu den heutigen Schritten addiert</span>
                 </div>
             </div>
             
@@ -289,7 +389,7 @@ showQuickWaterInput() {
                 <input type="number" id="quick-water" class="input input-bordered input-info" 
                        placeholder="z.B. 0.3" min="0" max="5" step="0.1" autofocus>
                 <div class="label">
-                    <span class="label-text-alt text-info">Wird zur heutigen Gesamtmenge addiert</span>
+                    <span class="label-text-alt text-info">Jedes Glas ist ein eigener Eintrag im Tagesverlauf</span>
                 </div>
             </div>
             
@@ -548,6 +648,221 @@ scrollToHealthForm() {
     }
 }
 
+/**
+ * Quick Vitals Input Modal - Blutdruck und/oder Ruhepuls als eigene Messung
+ */
+showQuickVitalsInput() {
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open';
+    modal.innerHTML = `
+        <div class="modal-box max-w-sm">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="heart-pulse" class="w-5 h-5 text-error"></i>
+                Blutdruck & Puls messen
+            </h3>
+            
+            <div class="grid grid-cols-2 gap-3">
+                <div class="form-control">
+                    <label class="label"><span class="label-text">Systolisch</span></label>
+                    <input type="number" id="quick-systolic" class="input input-bordered input-error" 
+                           placeholder="120" min="60" max="260" autofocus>
+                </div>
+                <div class="form-control">
+                    <label class="label"><span class="label-text">Diastolisch</span></label>
+                    <input type="number" id="quick-diastolic" class="input input-bordered input-error" 
+                           placeholder="80" min="30" max="160">
+                </div>
+                <div class="form-control">
+                    <label class="label"><span class="label-text">Ruhepuls</span></label>
+                    <input type="number" id="quick-heart-rate" class="input input-bordered" 
+                           placeholder="62" min="25" max="220">
+                </div>
+                <div class="form-control">
+                    <label class="label"><span class="label-text">Uhrzeit</span></label>
+                    <input type="time" id="quick-reading-time" class="input input-bordered" value="${this.getCurrentTimeOfDay()}">
+                </div>
+            </div>
+            <div class="label">
+                <span class="label-text-alt text-info">Jede Messung wird einzeln gespeichert</span>
+            </div>
+            
+            <div class="modal-action">
+                <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                <button class="btn btn-error" id="quick-vitals-save">
+                    <i data-lucide="plus" class="w-4 h-4"></i>
+                    Speichern
+                </button>
+            </div>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+    
+    document.body.appendChild(modal);
+    modal.querySelector('#quick-vitals-save').addEventListener('click', async () => {
+        const saved = await this.saveQuickVitals({
+            systolic: this.parseInt(modal.querySelector('#quick-systolic').value),
+            diastolic: this.parseInt(modal.querySelector('#quick-diastolic').value),
+            restingHeartRate: this.parseInt(modal.querySelector('#quick-heart-rate').value),
+            readingTime: modal.querySelector('#quick-reading-time').value || this.getCurrentTimeOfDay()
+        });
+        if (saved) modal.remove();
+    });
+    if (typeof lucide !== 'undefined') lucide.createIcons();
+}
+
+/**
+ * Blutdruck-/Pulsmessung speichern - jede Messung ist ein eigener Eintrag des Tages
+ * @returns {Promise<boolean>} false bei ungültigen Werten (Modal bleibt offen)
+ */
+async saveQuickVitals(vitals) {
+    const now = new Date();
+    const quickData = {
+        userId: this.userId,
+        date: this.getLocalDateKey(now),
+        ...vitals,
+        createdAt: now.toISOString()
+    };
+    
+    const validationResult = this.validateFormData(quickData);
+    if (!validationResult.isValid) {
+        this.showToast(`❌ ${validationResult.message}`, 'error');
+        return false;
+    }
+    
+    try {
+        this.setLoadingState(true);
+        const success = await this.saveHealthData(quickData);
+        if (!success) return false;
+        
+        const category = MetricRegistry.classifyBloodPressure(vitals.systolic, vitals.diastolic);
+        const parts = [];
+        if (vitals.systolic !== null) parts.push(`${vitals.systolic}/${vitals.diastolic} mmHg`);
+        if (vitals.restingHeartRate !== null) parts.push(`${vitals.restingHeartRate} bpm`);
+        this.showToast(`🩺 ${parts.join(' · ')} gespeichert${category ? ` (${category.label})` : ''}`,
+            category && category.severity >= 3 ? 'warning' : 'success');
+        
+        await this.refreshAllComponents();
+        this.dispatchHealthDataEvent('quick-data-saved', { type: 'vitals', value: vitals, data: quickData });
+        return true;
+    } catch (error) {
+        console.error('❌ Quick Add Fehler:', error);
+        this.showToast('❌ Speichern fehlgeschlagen', 'error');
+        return false;
+    } finally {
+        this.setLoadingState(false);
+    }
+}
+
+/**
+ * Quick Glucose Input Modal - eine Blutzuckermessung mit Messzeitpunkt in der gewählten Einheit
+ */
+showQuickGlucoseInput() {
+    const unit = this.getGlucoseUnit();
+    const hour = new Date().getHours();
+    // Vorauswahl nach Tageszeit - morgens meist nüchtern, spätabends vor dem Schlafen
+    const suggestedContext = hour < 9 ? 'fasting' : hour >= 21 ? 'bedtime' : 'beforeMeal';
+    
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open';
+    modal.innerHTML = `
+        <div class="modal-box max-w-sm">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="droplet" class="w-5 h-5 text-accent"></i>
+                Blutzucker messen
+            </h3>
+            
+            <div class="grid grid-cols-2 gap-3">
+                <div class="form-control col-span-2">
+                    <label class="label"><span class="label-text">Wert (${unit})</span></label>
+                    <input type="number" id="quick-glucose" name="glucose" class="input input-bordered input-accent" autofocus>
+                </div>
+                <div class="form-control">
+                    <label class="label"><span class="label-text">Messzeitpunkt</span></label>
+                    <select id="quick-glucose-context" class="select select-bordered">
+                        ${MetricRegistry.GLUCOSE_CONTEXTS.map(context => `
+                            <option value="${context.key}" ${context.key === suggestedContext ? 'selected' : ''}>${context.label}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="form-control">
+                    <label class="label"><span class="label-text">Uhrzeit</span></label>
+                    <input type="time" id="quick-glucose-time" class="input input-bordered" value="${this.getCurrentTimeOfDay()}">
+                </div>
+            </div>
+            <div class="label">
+                <span class="label-text-alt text-info">Zielbereich: ${this.formatGlucose(this.getGlucoseRange().low, false)}–${this.formatGlucose(this.getGlucoseRange().high)}</span>
+            </div>
+            
+            <div class="modal-action">
+                <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                <button class="btn btn-accent" id="quick-glucose-save">
+                    <i data-lucide="plus" class="w-4 h-4"></i>
+                    Speichern
+                </button>
+            </div>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+    
+    document.body.appendChild(modal);
+    this.updateGlucoseUnitLabels();
+    modal.querySelector('#quick-glucose-save').addEventListener('click', async () => {
+        const saved = await this.saveQuickGlucose({
+            glucose: this.parseGlucoseInput(modal.querySelector('#quick-glucose').value),
+            glucoseContext: modal.querySelector('#quick-glucose-context').value,
+            readingTime: modal.querySelector('#quick-glucose-time').value || this.getCurrentTimeOfDay()
+        });
+        if (saved) modal.remove();
+    });
+    if (typeof lucide !== 'undefined') lucide.createIcons();
+}
+
+/**
+ * Blutzuckermessung speichern - wie Blutdruck ein eigener Eintrag pro Messung
+ * @returns {Promise<boolean>} false bei ungültigen Werten (Modal bleibt offen)
+ */
+async saveQuickGlucose(reading) {
+    if (reading.glucose === null) {
+        this.showToast('❌ Bitte einen Blutzuckerwert eingeben', 'error');
+        return false;
+    }
+    
+    const now = new Date();
+    const quickData = {
+        userId: this.userId,
+        date: this.getLocalDateKey(now),
+        ...reading,
+        createdAt: now.toISOString()
+    };
+    
+    const validationResult = this.validateFormData(quickData);
+    if (!validationResult.isValid) {
+        this.showToast(`❌ ${validationResult.message}`, 'error');
+        return false;
+    }
+    
+    try {
+        this.setLoadingState(true);
+        const success = await this.saveHealthData(quickData);
+        if (!success) return false;
+        
+        const category = MetricRegistry.classifyGlucose(reading.glucose, this.getGlucoseRange());
+        const context = MetricRegistry.GLUCOSE_CONTEXTS.find(item => item.key === reading.glucoseContext);
+        this.showToast(`🩸 ${this.formatGlucose(reading.glucose)}${context ? ` (${context.label})` : ''} gespeichert`,
+            category === 'inRange' ? 'success' : 'warning');
+        
+        await this.refreshAllComponents();
+        this.dispatchHealthDataEvent('quick-data-saved', { type: 'glucose', value: reading.glucose, data: quickData });
+        return true;
+    } catch (error) {
+        console.error('❌ Quick Add Fehler:', error);
+        this.showToast('❌ Speichern fehlgeschlagen', 'error');
+        return false;
+    } finally {
+        this.setLoadingState(false);
+    }
+}
+
 /**
  * Speichere Quick Add Daten
  */
@@ -560,10 +875,6 @@ async saveQuickData(type, value) {
     try {
         this.setLoadingState(true);
         
-        // Aktuelle Daten für heute laden
-        const allData = await this.getAllHealthData();
-        const todayData = this.getTodayData(allData);
-        
         // Heute-Datum
         const today = new Date();
         const todayStr = today.getFullYear() + '-' + 
@@ -580,9 +891,25 @@ async saveQuickData(type, value) {
             sleepHours: null,
             mood: null,
             notes: null,
+            custom: null,
+            loggedAt: new Date().toISOString(),
             createdAt: new Date().toISOString()
         };
         
+        // Eigene Metriken ("custom:<key>"): Wert als eigener Eintrag, der Tageswert folgt der Aggregation
+        if (type.startsWith('custom:')) {
+            const definition = this.getMetricDefinition(type.slice(7));
+            const result = definition && HealthSchema.validateCustomValues({ [definition.key]: value.trim() },
+                this.metricDefinitions, { coerce: true, locale: 'de' });
+            if (!result || !result.valid) {
+                this.showToast(`❌ ${result ? result.errors[0].message : 'Unbekannte Metrik'}`, 'error');
+                return;
+            }
+            quickData.custom = result.value;
+            this.showToast(`✅ ${definition.name}: ${this.formatCustomValue(definition, result.value[definition.key])} erfasst`, 'success');
+            type = 'custom';
+        }
+        
         // Type-spezifische Verarbeitung
         switch(type) {
             case 'steps':
@@ -591,7 +918,8 @@ async saveQuickData(type, value) {
                     this.showToast('❌ Ungültige Schrittzahl', 'error');
                     return;
                 }
-                quickData.steps = (todayData.steps || 0) + stepsValue;
+                // Jede Eingabe ist ein eigener Eintrag - der Tag summiert (MetricRegistry)
+                quickData.steps = stepsValue;
                 this.showToast(`🚶‍♂️ ${stepsValue.toLocaleString()} Schritte hinzugefügt`, 'success');
                 break;
                 
@@ -601,7 +929,7 @@ async saveQuickData(type, value) {
                     this.showToast('❌ Ungültige Wassermenge', 'error');
                     return;
                 }
-                quickData.waterIntake = Math.round(((todayData.waterIntake || 0) + waterValue) * 10) / 10;
+                quickData.waterIntake = waterValue;
                 this.showToast(`💧 ${waterValue}L Wasser hinzugefügt`, 'success');
                 break;
                 
@@ -621,8 +949,9 @@ async saveQuickData(type, value) {
                     this.showToast('❌ Ungültige Schlafzeit', 'error');
                     return;
                 }
-                quickData.sleepHours = Math.round(((todayData.sleepHours || 0) + sleepValue) * 10) / 10;
-                this.showToast(`😴 ${sleepValue}h Schlaf hinzugefügt`, 'success');
+                // Schlaf zählt pro Tag als Maximum - ein Nickerchen überschreibt die Nacht nicht
+                quickData.sleepHours = Math.round(sleepValue * 10) / 10;
+                this.showToast(`😴 ${sleepValue}h Schlaf erfasst`, 'success');
                 break;
                 
             case 'mood':
@@ -648,14 +977,14 @@ async saveQuickData(type, value) {
                     this.showToast('❌ Notiz ist leer', 'error');
                     return;
                 }
-                // Notizen anhängen wenn bereits vorhanden
-                const existingNotes = todayData.notes || '';
-                quickData.notes = existingNotes 
-                    ? `${existingNotes}\n${new Date().toLocaleTimeString('de-DE', {hour: '2-digit', minute: '2-digit'})}: ${noteValue}`
-                    : noteValue;
+                // Eigener Eintrag - die Uhrzeit steht in loggedAt, getTodayData stellt sie voran
+                quickData.notes = noteValue;
                 this.showToast(`📝 Notiz hinzugefügt`, 'success');
                 break;
                 
+            case 'custom':
+                break;
+                
             default:
                 this.showToast('❌ Unbekannter Datentyp', 'error');
                 return;
@@ -855,6 +1184,9 @@ initializeSettings() {
         // Form input debouncing for better UX
         this.setupFormInputDebouncing();
         
+        // Schlafdauer aus Einschlaf- und Aufwachzeit vorausfüllen
+        this.setupSleepTimeInputs(document.getElementById('health-form'));
+        
         // Progress Hub tab switching
         this.setupProgressHubTabs();
         
@@ -952,6 +1284,9 @@ async loadInitialData() {
         // Update Hero statistics
         await this.updateHeroStats();
         
+        // Fällige Medikamente
+        this.renderMedicationDashboard();
+        
         // Load activity feed
         await this.activityFeed?.load();
         
@@ -1026,10 +1361,24 @@ async handleFormSubmission(event) {
             this.setLoadingState(true);
             
             const goalsData = this.extractGoalsData(event.target);
+            const goalsCheck = HealthSchema.validate('goals', goalsData, { locale: 'de' });
+            if (!goalsCheck.valid) {
+                this.showToast(`❌ ${goalsCheck.errors[0].message}`, 'error');
+                return;
+            }
+            const customGoals = HealthSchema.validateCustomValues(goalsData.customGoals, this.metricDefinitions, {
+                locale: 'de',
+                prefix: 'customGoals.'
+            });
+            if (!customGoals.valid) {
+                this.showToast(`❌ ${customGoals.errors[0].message}`, 'error');
+                return;
+            }
             const success = await this.saveUserGoals(goalsData);
             
             if (success) {
                 this.goals = { ...this.goals, ...goalsData };
+                this.updateGlucoseUnitLabels();
                 this.showToast('✅ Ziele erfolgreich aktualisiert!', 'success');
                 
                 // Update progress indicators
@@ -1069,9 +1418,12 @@ extractFormData(form) {
         weight: this.parseNumber(formData.get('weight')),
         steps: this.parseInt(formData.get('steps')),
         waterIntake: this.parseNumber(formData.get('waterIntake')),
-        sleepHours: this.parseNumber(formData.get('sleepHours')),
+        ...this.extractSleepData(formData),
         mood: formData.get('mood') || null,
         notes: this.sanitizeString(formData.get('notes')),
+        ...this.extractVitalsData(formData),
+        ...this.extractMeasurementsData(formData),
+        custom: this.extractCustomValues(formData, 'custom'),
         createdAt: new Date().toISOString() // Nur für Reihenfolge
     };
     
@@ -1088,44 +1440,35 @@ extractFormData(form) {
         return {
             userId: this.userId,
             weightGoal: this.parseNumber(formData.get('weightGoal')),
-            stepsGoal: this.parseInt(formData.get('stepsGoal')) || 10000,
-            waterGoal: this.parseNumber(formData.get('waterGoal')) || 2.0,
-            sleepGoal: this.parseNumber(formData.get('sleepGoal')) || 8
+            stepsGoal: this.parseInt(formData.get('stepsGoal')) ?? 10000,
+            waterGoal: this.parseNumber(formData.get('waterGoal')) ?? 2.0,
+            sleepGoal: this.parseNumber(formData.get('sleepGoal')) ?? 8,
+            calorieGoal: this.parseInt(formData.get('calorieGoal')),
+            activeMinutesGoal: this.parseInt(formData.get('activeMinutesGoal')) ?? 150,
+            waistGoal: this.parseNumber(formData.get('waistGoal')),
+            bodyFatGoal: this.parseNumber(formData.get('bodyFatGoal')),
+            height: this.parseNumber(formData.get('height')),
+            bedtimeGoal: formData.get('bedtimeGoal') || null,
+            // Zielbereich in der gewählten Einheit eingegeben, gespeichert in mg/dL
+            glucoseUnit: formData.get('glucoseUnit') || 'mg/dL',
+            glucoseTargetLow: this.parseGlucoseInput(formData.get('glucoseTargetLow'), formData.get('glucoseUnit')),
+            glucoseTargetHigh: this.parseGlucoseInput(formData.get('glucoseTargetHigh'), formData.get('glucoseUnit')),
+            customGoals: this.extractCustomValues(formData, 'customGoals') || {}
         };
     }
     
     /**
      * Validate form data before submission
      */
-    validateFormData(data) {
-        // Date validation
-        if (!data.date) {
-            return { isValid: false, message: 'Datum ist erforderlich' };
-        }
-        
-        // Numeric validations
-        if (data.weight && (data.weight < 20 || data.weight > 500)) {
-            return { isValid: false, message: 'Gewicht muss zwischen 20-500kg liegen' };
-        }
-        
-        if (data.steps && data.steps < 0) {
-            return { isValid: false, message: 'Schritte können nicht negativ sein' };
-        }
-        
-        if (data.waterIntake && (data.waterIntake < 0 || data.waterIntake > 10)) {
-            return { isValid: false, message: 'Wasserzufuhr muss zwischen 0-10L liegen' };
-        }
-        
-        if (data.sleepHours && (data.sleepHours < 0 || data.sleepHours > 24)) {
-            return { isValid: false, message: 'Schlafstunden müssen zwischen 0-24h liegen' };
-        }
-        
-        // At least one field should be filled
-        const hasData = data.weight || data.steps || data.waterIntake || 
-                        data.sleepHours || data.mood || data.notes;
-        
-        if (!hasData) {
-            return { isValid: false, message: 'Mindestens ein Feld muss ausgefüllt werden' };
+    validateFormData(data, definitions = this.metricDefinitions) {
+        // Dieselben Regeln wie die API (public/js/health-schema.js)
+        const result = HealthSchema.validate('healthEntry', data, { locale: 'de' });
+        const custom = HealthSchema.validateCustomValues(data.custom, definitions, { locale: 'de' });
+        const sleep = SleepLog.checkSleepTimes(data)
+            .map(error => ({ ...error, message: this.getSleepErrorMessage(error) }));
+        const errors = [...custom.errors, ...result.errors, ...sleep];
+        if (errors.length > 0) {
+            return { isValid: false, message: errors[0].message, errors };
         }
         
         return { isValid: true };
@@ -1137,24 +1480,18 @@ extractFormData(form) {
     async saveHealthData(data) {
         try {
             // Always save locally first
-            await this.saveToLocalStorage(data);
+            const storedEntry = await this.saveToLocalStore(data);
             
-            // Try to save to server if online
+            // Try to sync to server if online
             if (this.isOnline) {
-                try {
-                    const response = await this.makeAPICall('/api/health-data', {
-                        method: 'POST',
-                        body: JSON.stringify(data)
-                    });
-                    
-                    if (response.success) {
-                        // Mark as synced
-                        await this.markAsSynced(data);
-                        return true;
-                    }
-                } catch (error) {
-                    console.log('Server speichern fehlgeschlagen, lokal gespeichert:', error.message);
+                await this.syncOfflineData({ silent: true });
+                
+                const stillPending = (await this.getUnsyncedData())
+                    .some(change => change._localId === storedEntry._localId);
+                if (!stillPending) {
+                    return true;
                 }
+                console.log('Server speichern fehlgeschlagen, lokal gespeichert');
             }
             
             // Mark for later sync
@@ -1188,12 +1525,9 @@ extractFormData(form) {
                 }
             }
             
-            // Fallback to localStorage
+            // Fallback to local store
             if (!goals) {
-                const localGoals = localStorage.getItem('userGoals');
-                if (localGoals) {
-                    goals = JSON.parse(localGoals);
-                }
+                goals = await this.repository.getGoals(this.userId);
             }
             
             // Merge with defaults
@@ -1215,7 +1549,7 @@ extractFormData(form) {
     async saveUserGoals(goalsData) {
         try {
             // Save locally
-            localStorage.setItem('userGoals', JSON.stringify(goalsData));
+            await this.repository.saveGoals({ ...goalsData, userId: this.userId });
             
             // Try server if online
             if (this.isOnline) {
@@ -1240,1841 +1574,5591 @@ extractFormData(form) {
         }
     }
     
+    // ====================================================================
+    // EIGENE METRIKEN - Definitionen pro User, Werte in entry.custom[key]
+    // ====================================================================
+    
     /**
- * Enhanced today data aggregation
- */
-getTodayData(allData) {
-    // Heutiges Datum in lokalem Format
-    const today = new Date();
-    const todayStr = today.getFullYear() + '-' + 
-        String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-        String(today.getDate()).padStart(2, '0');
-
-    console.log('🗓️ Suche Daten für:', todayStr);
-    console.log('📊 Verfügbare Daten:', allData?.length || 0);
-
-    if (!allData || !Array.isArray(allData) || allData.length === 0) {
-        console.log('❌ Keine Daten verfügbar');
-        return { date: todayStr };
+     * Metrik-Definitionen laden - lokal gecacht, mit Konto vom Server
+     */
+    async loadMetricDefinitions() {
+        try {
+            let definitions = await this.repository.getSetting('metricDefinitions', []);
+            
+            if (this.isOnline && this.isAuthenticated()) {
+                try {
+                    // Ohne Konto angelegte Metriken beim ersten Login hochladen
+                    for (const definition of definitions.filter(item => item._local && !item.archived)) {
+                        await this.makeAPICall('/api/metrics', {
+                            method: 'POST',
+                            body: JSON.stringify(this.toMetricPayload(definition))
+                        }).catch(error => console.warn(`⚠️ Metrik ${definition.key} nicht hochgeladen:`, error.message));
+                    }
+                    
+                    const response = await this.makeAPICall('/api/metrics');
+                    definitions = response.data || [];
+                    await this.repository.setSetting('metricDefinitions', definitions);
+                } catch (error) {
+                    console.log('Server-Metriken nicht verfügbar:', error.message);
+                }
+            }
+            
+            this.metricDefinitions = definitions;
+            this.renderCustomMetricUI();
+            
+        } catch (error) {
+            console.error('❌ Fehler beim Laden der eigenen Metriken:', error);
+        }
     }
-
-    // VERBESSERTES FILTERING - alle möglichen Datumsformate berücksichtigen
-    const todayEntries = allData.filter(entry => {
-        if (!entry || !entry.date) {
-            return false;
+    
+    /**
+     * Aktive (nicht archivierte) Metriken in Anzeigereihenfolge
+     */
+    getActiveMetricDefinitions() {
+        return this.metricDefinitions
+            .filter(definition => !definition.archived)
+            .sort((a, b) => (a.order ?? 0) - (b.order ?? 0));
+    }
+    
+    getMetricDefinition(key) {
+        return this.metricDefinitions.find(definition => definition.key === key) || null;
+    }
+    
+    /**
+     * Felder einer Definition, die an die API gehen
+     */
+    toMetricPayload(definition) {
+        const fields = Object.keys(HealthSchema.SCHEMAS.metricDefinition.fields);
+        return fields.reduce((payload, field) => {
+            if (definition[field] !== undefined) payload[field] = definition[field];
+            return payload;
+        }, {});
+    }
+    
+    /**
+     * Schlüssel aus dem Namen ableiten: "Meditation (Min.)" -> "meditationMin"
+     */
+    createMetricKey(name) {
+        const words = String(name)
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+        let base = words.map((word, index) => index === 0 ? word : word[0].toUpperCase() + word.slice(1)).join('');
+        if (!/^[a-z]/.test(base)) base = `metric${base}`;
+        base = base.slice(0, 32);
+        
+        // Archivierte Schlüssel dürfen wiederverwendet werden - der Server reaktiviert sie
+        const taken = new Set([
+            ...MetricRegistry.RESERVED_METRIC_KEYS,
+            ...this.getActiveMetricDefinitions().map(definition => definition.key)
+        ]);
+        let key = base;
+        for (let suffix = 2; taken.has(key); suffix++) {
+            key = `${base}${suffix}`;
         }
-
-        let entryDateStr;
-        // Fall 1: String-Datum (ISO oder einfach)
-        if (typeof entry.date === 'string') {
-            // ISO Format: "2025-08-06T10:30:00.000Z" -> "2025-08-06"
-            if (entry.date.includes('T')) {
-                entryDateStr = entry.date.split('T')[0];
-            } else {
-                entryDateStr = entry.date;
-            }
+        return key;
+    }
+    
+    /**
+     * Metrik anlegen (ohne key) oder bearbeiten - mit Konto nur online, sonst lokal
+     */
+    async saveMetricDefinition(data, key = null) {
+        const definition = { ...data, key: key || this.createMetricKey(data.name) };
+        if (!key) definition.order = this.getActiveMetricDefinitions().length;
+        
+        const validation = HealthSchema.validateMetricDefinition(definition, { locale: 'de' });
+        if (!validation.valid) {
+            const error = new Error(validation.errors[0].message);
+            error.code = 'VALIDATION_ERROR';
+            throw error;
         }
-        // Fall 2: Date-Objekt
-        else if (entry.date instanceof Date) {
-            entryDateStr = entry.date.getFullYear() + '-' + 
-                String(entry.date.getMonth() + 1).padStart(2, '0') + '-' + 
-                String(entry.date.getDate()).padStart(2, '0');
+        
+        let saved;
+        if (this.isAuthenticated()) {
+            if (!this.isOnline) {
+                throw new Error('Eigene Metriken können nur online geändert werden');
+            }
+            const response = await this.makeAPICall(key ? `/api/metrics/${encodeURIComponent(key)}` : '/api/metrics', {
+                method: key ? 'PUT' : 'POST',
+                body: JSON.stringify(validation.value)
+            });
+            saved = response.data;
+        } else {
+            const existing = this.getMetricDefinition(definition.key);
+            saved = {
+                goalDirection: 'increase',
+                ...existing,
+                ...validation.value,
+                archived: false,
+                _local: true,
+                createdAt: existing?.createdAt || new Date().toISOString()
+            };
         }
-        // Fall 3: MongoDB Date String
-        else if (typeof entry.date === 'object' && entry.date.$date) {
-            const date = new Date(entry.date.$date);
-            entryDateStr = date.getFullYear() + '-' + 
-                String(date.getMonth() + 1).padStart(2, '0') + '-' + 
-                String(date.getDate()).padStart(2, '0');
-        } else {
-            console.log('⚠️ Unbekanntes Datumsformat:', entry.date, typeof entry.date);
-            return false;
+        
+        await this.storeMetricDefinition(saved);
+        return saved;
+    }
+    
+    /**
+     * Metrik archivieren - vorhandene Werte bleiben an den Einträgen erhalten
+     */
+    async archiveMetricDefinition(key) {
+        const definition = this.getMetricDefinition(key);
+        if (!definition) throw new Error('Metrik nicht gefunden');
+        
+        let archived = { ...definition, archived: true };
+        if (this.isAuthenticated()) {
+            if (!this.isOnline) {
+                throw new Error('Eigene Metriken können nur online geändert werden');
+            }
+            const response = await this.makeAPICall(`/api/metrics/${encodeURIComponent(key)}`, { method: 'DELETE' });
+            archived = response.data;
         }
-
-        const matches = entryDateStr === todayStr;
-        console.log(`📅 "${entryDateStr}" === "${todayStr}" = ${matches}`);
-        return matches;
-    });
-
-    console.log(`✅ Gefunden: ${todayEntries.length} heutige Einträge`);
-
-    if (todayEntries.length === 0) {
-        console.log('📊 Keine Einträge für heute - return empty object');
-        return { date: todayStr };
+        
+        await this.storeMetricDefinition(archived);
+        return archived;
     }
-
-    // AGGREGATION - ALLE WERTE SAMMELN
-    const aggregatedData = {
-        date: todayStr,
-        weight: null,
-        steps: 0,
-        waterIntake: 0,
-        sleepHours: 0,
-        mood: null,
-        notes: [],
-        entryCount: todayEntries.length,
-        lastUpdated: null
-    };
-
-    console.log('🔄 Aggregiere Einträge...');
-    todayEntries.forEach((entry, index) => {
-        console.log(`Eintrag ${index + 1}:`, {
-            weight: entry.weight,
-            steps: entry.steps,
-            waterIntake: entry.waterIntake,
-            sleepHours: entry.sleepHours,
-            mood: entry.mood
+    
+    async storeMetricDefinition(definition) {
+        this.metricDefinitions = [
+            ...this.metricDefinitions.filter(item => item.key !== definition.key),
+            definition
+        ];
+        await this.repository.setSetting('metricDefinitions', this.metricDefinitions);
+        this.renderCustomMetricUI();
+    }
+    
+    /**
+     * Wert einer eigenen Metrik mit Einheit formatieren
+     */
+    formatCustomValue(definition, value) {
+        if (value === null || value === undefined) return '-';
+        const formatted = Number(value).toLocaleString('de-DE', {
+            maximumFractionDigits: definition.type === 'integer' ? 0 : (definition.decimals ?? 2)
         });
-
-        // Gewicht (letzter Wert)
-        if (entry.weight !== null && entry.weight !== undefined) {
-            aggregatedData.weight = entry.weight;
-            console.log(`⚖️ Gewicht aktualisiert: ${aggregatedData.weight}kg`);
-        }
-
-        // Schritte (summieren)
-        if (entry.steps && entry.steps > 0) {
-            aggregatedData.steps += entry.steps;
-            console.log(`🚶♂️ Schritte summiert: ${aggregatedData.steps}`);
-        }
-
-        // Wasser (summieren)
-        if (entry.waterIntake && entry.waterIntake > 0) {
-            aggregatedData.waterIntake += entry.waterIntake;
-            console.log(`💧 Wasser summiert: ${aggregatedData.waterIntake}L`);
-        }
-
-        // Schlaf (summieren)
-        if (entry.sleepHours && entry.sleepHours > 0) {
-            aggregatedData.sleepHours += entry.sleepHours;
-            console.log(`😴 Schlaf summiert: ${aggregatedData.sleepHours}h`);
-        }
-
-        // Stimmung (letzter Wert)
-        if (entry.mood) {
-            aggregatedData.mood = entry.mood;
-            console.log(`😊 Stimmung: ${aggregatedData.mood}`);
-        }
-
-        // Notizen sammeln
-        if (entry.notes && entry.notes.trim()) {
-            aggregatedData.notes.push(entry.notes.trim());
-        }
-    });
-
-    // Nachbearbeitung
-    aggregatedData.notes = aggregatedData.notes.length > 0 ? 
-        aggregatedData.notes.join(' | ') : null;
-    aggregatedData.waterIntake = Math.round(aggregatedData.waterIntake * 10) / 10;
-    aggregatedData.sleepHours = Math.round(aggregatedData.sleepHours * 10) / 10;
-
-    console.log('📊 FINALE DATEN:', aggregatedData);
-    return aggregatedData;
-}
+        return definition.unit ? `${formatted} ${definition.unit}` : formatted;
+    }
     
     /**
-     * Update individual stat card
+     * Formular, Ziele und Analytics-Filter aus den Definitionen aufbauen
      */
-    updateStatCard(elementId, value, unit, icon) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            const displayValue = value ? (typeof value === 'number' ? 
-                value.toLocaleString('de-DE') : value) : '—';
-            element.textContent = `${displayValue}${unit}`;
-            
-            // Add subtle animation
-            element.style.transform = 'scale(1.05)';
-            setTimeout(() => {
-                element.style.transform = 'scale(1)';
-            }, 200);
+    renderCustomMetricUI() {
+        this.renderCustomMetricFields();
+        this.renderCustomGoalFields();
+        this.analyticsEngine?.renderCustomMetricFilters?.();
+    }
+    
+    /**
+     * Eingabefelder eigener Metriken im Gesundheitsformular
+     */
+    renderCustomMetricFields() {
+        const container = document.getElementById('custom-metric-fields');
+        if (!container) return;
+        
+        const definitions = this.getActiveMetricDefinitions();
+        container.classList.toggle('hidden', definitions.length === 0);
+        container.innerHTML = definitions.map(definition => `
+            <div class="form-control">
+                <label class="label">
+                    <span class="label-text font-medium">${this.escapeHTML(definition.name)}</span>
+                    ${definition.unit ? `<span class="label-text-alt">${this.escapeHTML(definition.unit)}</span>` : ''}
+                </label>
+                <input type="number" name="custom.${definition.key}" class="input input-bordered w-full"
+                       step="${definition.type === 'integer' ? 1 : 'any'}"
+                       ${definition.min !== null && definition.min !== undefined ? `min="${definition.min}"` : ''}
+                       ${definition.max !== null && definition.max !== undefined ? `max="${definition.max}"` : ''}
+                       placeholder="${definition.min ?? 0}${definition.max !== null && definition.max !== undefined ? `-${definition.max}` : ''}">
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('input').forEach(input => {
+            input.addEventListener('blur', () => this.validateFormInput(input));
+        });
+    }
+    
+    /**
+     * Zielfelder eigener Metriken (ohne Zielrichtung "none")
+     */
+    renderCustomGoalFields() {
+        const container = document.getElementById('custom-goal-fields');
+        if (!container) return;
+        
+        const definitions = this.getActiveMetricDefinitions().filter(definition => definition.goalDirection !== 'none');
+        const customGoals = this.goals.customGoals || {};
+        container.classList.toggle('hidden', definitions.length === 0);
+        container.innerHTML = definitions.map(definition => `
+            <div class="form-control">
+                <label class="label">
+                    <span class="label-text font-medium">${this.escapeHTML(definition.name)}${definition.unit ? ` (${this.escapeHTML(definition.unit)})` : ''}</span>
+                    <span class="label-text-alt">${definition.goalDirection === 'decrease' ? 'Höchstens' : 'Mindestens'}</span>
+                </label>
+                <input type="number" name="customGoals.${definition.key}" class="input input-bordered w-full"
+                       step="${definition.type === 'integer' ? 1 : 'any'}"
+                       value="${customGoals[definition.key] ?? ''}">
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Werte "prefix.key" aus einem Formular als { key: number } sammeln
+     */
+    extractCustomValues(formData, prefix) {
+        const values = {};
+        for (const [name, raw] of formData.entries()) {
+            if (!name.startsWith(`${prefix}.`)) continue;
+            const value = this.parseNumber(raw);
+            if (value !== null) values[name.slice(prefix.length + 1)] = value;
         }
+        return Object.keys(values).length > 0 ? values : null;
     }
     
     /**
-     * Update progress indicator element
+     * Verwaltung eigener Metriken
      */
-    updateProgressIndicator(elementId, progress) {
-        const element = document.getElementById(elementId);
-        if (element) {
-            element.style.setProperty('--value', Math.round(progress));
+    showCustomMetricsModal(editKey = null) {
+        document.querySelector('.custom-metrics-modal')?.remove();
+        
+        const aggregationOptions = [
+            ['sum', 'Summe des Tages'], ['max', 'Höchster Wert'], ['min', 'Niedrigster Wert'],
+            ['latest', 'Letzter Wert'], ['average', 'Durchschnitt']
+        ];
+        const directionOptions = [
+            ['increase', 'Mehr ist besser'], ['decrease', 'Weniger ist besser'], ['none', 'Kein Ziel']
+        ];
+        const typeOptions = [['number', 'Kommazahl'], ['integer', 'Ganzzahl']];
+        const labelFor = (options, value) => (options.find(([key]) => key === value) || [null, value])[1];
+        const select = (name, options, current) => `
+            <select name="${name}" class="select select-bordered select-sm w-full">
+                ${options.map(([value, label]) => `<option value="${value}" ${value === current ? 'selected' : ''}>${label}</option>`).join('')}
+            </select>
+        `;
+        
+        const definitions = this.getActiveMetricDefinitions();
+        const editing = editKey ? this.getMetricDefinition(editKey) : null;
+        const value = (field) => editing?.[field] ?? '';
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open custom-metrics-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-lg">
+                <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                    <i data-lucide="sliders-horizontal" class="w-5 h-5 text-primary"></i>
+                    Eigene Metriken
+                </h3>
+                
+                <div class="space-y-2 mb-4">
+                    ${definitions.length === 0 ? `
+                        <p class="text-sm text-base-content/60">Noch keine eigenen Metriken - z.B. Koffein, Meditation oder Schmerzlevel.</p>
+                    ` : definitions.map(definition => `
+                        <div class="flex items-center gap-3 p-3 rounded-lg bg-base-200/50">
+                            <div class="flex-1 min-w-0">
+                                <div class="font-medium truncate">${this.escapeHTML(definition.name)}${definition.unit ? ` <span class="text-base-content/60">(${this.escapeHTML(definition.unit)})</span>` : ''}</div>
+                                <div class="text-xs text-base-content/60">
+                                    ${labelFor(aggregationOptions, definition.aggregation)} · ${labelFor(directionOptions, definition.goalDirection)}
+                                    ${definition.min !== null && definition.min !== undefined || definition.max !== null && definition.max !== undefined
+                                        ? ` · ${definition.min ?? '−∞'} bis ${definition.max ?? '∞'}` : ''}
+                                </div>
+                            </div>
+                            <button class="btn btn-ghost btn-xs" data-action="edit" data-key="${definition.key}" title="Bearbeiten">
+                                <i data-lucide="pencil" class="w-4 h-4"></i>
+                            </button>
+                            <button class="btn btn-ghost btn-xs text-error" data-action="archive" data-key="${definition.key}" title="Archivieren">
+                                <i data-lucide="archive" class="w-4 h-4"></i>
+                            </button>
+                        </div>
+                    `).join('')}
+                </div>
+                
+                <div class="divider text-xs">${editing ? `${this.escapeHTML(editing.name)} bearbeiten` : 'Neue Metrik'}</div>
+                
+                <form id="custom-metric-form" class="space-y-3">
+                    <div class="grid grid-cols-3 gap-3">
+                        <div class="form-control col-span-2">
+                            <label class="label"><span class="label-text">Name</span></label>
+                            <input type="text" name="name" class="input input-bordered input-sm" maxlength="40" required
+                                   placeholder="z.B. Koffein" value="${this.escapeHTML(value('name'))}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Einheit</span></label>
+                            <input type="text" name="unit" class="input input-bordered input-sm" maxlength="12"
+                                   placeholder="z.B. mg" value="${this.escapeHTML(value('unit'))}">
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Typ</span></label>
+                            ${select('type', typeOptions, editing?.type || 'number')}
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Tageswert</span></label>
+                            ${select('aggregation', aggregationOptions, editing?.aggregation || 'sum')}
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Minimum</span></label>
+                            <input type="number" name="min" step="any" class="input input-bordered input-sm" value="${value('min')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Maximum</span></label>
+                            <input type="number" name="max" step="any" class="input input-bordered input-sm" value="${value('max')}">
+                        </div>
+                    </div>
+                    <div class="form-control">
+                        <label class="label"><span class="label-text">Zielrichtung</span></label>
+                        ${select('goalDirection', directionOptions, editing?.goalDirection || 'increase')}
+                    </div>
+                    <div class="modal-action">
+                        ${editing ? `<button type="button" class="btn btn-ghost mr-auto" data-action="new">Neue Metrik</button>` : ''}
+                        <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Schließen</button>
+                        <button type="submit" class="btn btn-primary">
+                            <i data-lucide="${editing ? 'save' : 'plus'}" class="w-4 h-4"></i>
+                            ${editing ? 'Speichern' : 'Hinzufügen'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const { action, key } = button.dataset;
+                if (action === 'edit') return this.showCustomMetricsModal(key);
+                if (action === 'new') return this.showCustomMetricsModal();
+                
+                const definition = this.getMetricDefinition(key);
+                if (!confirm(`"${definition.name}" archivieren? Bereits erfasste Werte bleiben erhalten.`)) return;
+                try {
+                    await this.archiveMetricDefinition(key);
+                    this.showToast(`🗄️ ${definition.name} archiviert`, 'success');
+                    this.showCustomMetricsModal();
+                } catch (error) {
+                    console.error('❌ Metrik archivieren fehlgeschlagen:', error);
+                    this.showToast(`❌ ${error.message}`, 'error');
+                }
+            });
+        });
+        
+        modal.querySelector('#custom-metric-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const data = {
+                name: formData.get('name').trim(),
+                unit: this.sanitizeString(formData.get('unit')),
+                type: formData.get('type'),
+                aggregation: formData.get('aggregation'),
+                goalDirection: formData.get('goalDirection'),
+                min: this.parseNumber(formData.get('min')),
+                max: this.parseNumber(formData.get('max'))
+            };
             
-            // Update text content if it's a progress element
-            const textEl = element.querySelector('.progress-text') || element;
-            if (textEl !== element) {
-                textEl.textContent = Math.round(progress) + '%';
+            try {
+                const saved = await this.saveMetricDefinition(data, editing?.key || null);
+                this.showToast(`✅ ${saved.name} gespeichert`, 'success');
+                this.showCustomMetricsModal();
+            } catch (error) {
+                console.error('❌ Metrik speichern fehlgeschlagen:', error);
+                this.showToast(`❌ ${error.message}`, 'error');
             }
+        });
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
     }
     
     /**
-     * Get all health data from server or localStorage
+     * Quick-Add-Dialog für eine eigene Metrik - der Wert wird als eigener Eintrag erfasst
+     */
+    showQuickCustomInput(key) {
+        const definition = this.getMetricDefinition(key);
+        if (!definition) return;
+        
+        const goal = this.goals.customGoals?.[key];
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open';
+        modal.innerHTML = `
+            <div class="modal-box max-w-sm">
+                <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                    <i data-lucide="activity" class="w-5 h-5 text-primary"></i>
+                    ${this.escapeHTML(definition.name)} erfassen
+                </h3>
+                
+                <div class="form-control">
+                    <label class="label">
+                        <span class="label-text">Wert${definition.unit ? ` in ${this.escapeHTML(definition.unit)}` : ''}</span>
+                        ${goal !== undefined ? `<span class="label-text-alt">Ziel: ${this.formatCustomValue(definition, goal)}</span>` : ''}
+                    </label>
+                    <input type="number" id="quick-custom" class="input input-bordered input-primary"
+                           step="${definition.type === 'integer' ? 1 : 'any'}" autofocus>
+                    ${definition.aggregation === 'sum' ? `
+                        <div class="label">
+                            <span class="label-text-alt text-info">Wird zum heutigen Tageswert addiert</span>
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <div class="modal-action">
+                    <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                    <button class="btn btn-primary" id="quick-custom-save">
+                        <i data-lucide="plus" class="w-4 h-4"></i>
+                        Hinzufügen
+                    </button>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        
+        document.body.appendChild(modal);
+        modal.querySelector('#quick-custom-save').addEventListener('click', () => {
+            this.saveQuickData(`custom:${key}`, modal.querySelector('#quick-custom').value);
+            modal.remove();
+        });
+        if (typeof lucide !== 'undefined') lucide.createIcons();
+    }
+    
+    // ====================================================================
+    // ERNÄHRUNG - Mahlzeiten als Einträge, eigene Lebensmittel und Rezepte
+    // ====================================================================
+    
+    /**
+     * Eigene Lebensmittel laden - lokal gecacht, mit Konto vom Server
      */
-    async getAllHealthData() {
+    async loadUserFoods() {
         try {
-            let allData = [];
+            let foods = await this.repository.getSetting('userFoods', []);
             
-            // Try server first if online
-            if (this.isOnline && !this.cache.has('allHealthData')) {
+            if (this.isOnline && this.isAuthenticated()) {
                 try {
-                    allData = await this.makeAPICall(`/api/health-data/${this.userId}`);
-                    if (Array.isArray(allData)) {
-                        // Cache for 5 minutes
-                        this.cache.set('allHealthData', {
-                            data: allData,
-                            timestamp: Date.now()
-                        });
+                    // Offline oder ohne Konto angelegte Lebensmittel hochladen (Upsert über die ID)
+                    for (const food of foods.filter(item => item._local)) {
+                        await this.makeAPICall('/api/foods', {
+                            method: 'POST',
+                            body: JSON.stringify(this.toFoodPayload(food))
+                        }).catch(error => console.warn(`⚠️ Lebensmittel ${food.name} nicht hochgeladen:`, error.message));
                     }
+                    
+                    const response = await this.makeAPICall('/api/foods');
+                    foods = response.data || [];
+                    await this.repository.setSetting('userFoods', foods);
                 } catch (error) {
-                    console.log('Server Daten nicht verfügbar:', error.message);
+                    console.log('Server-Lebensmittel nicht verfügbar:', error.message);
                 }
             }
             
-            // Use cached data if available and fresh
-            const cached = this.cache.get('allHealthData');
-            if (cached && (Date.now() - cached.timestamp < 300000)) { // 5 minutes
-                allData = cached.data;
-            }
-            
-            // Fallback to localStorage
-            if (!Array.isArray(allData) || allData.length === 0) {
-                const localData = localStorage.getItem('healthData');
-                allData = localData ? JSON.parse(localData) : [];
-            }
-            
-            return Array.isArray(allData) ? allData : [];
+            this.userFoods = foods;
             
         } catch (error) {
-            console.error('❌ Fehler beim Laden der Gesundheitsdaten:', error);
-            return [];
+            console.error('❌ Fehler beim Laden der eigenen Lebensmittel:', error);
         }
     }
-
-/**
- * Enhanced today data aggregation with multiple entries support
- */
-getTodayData(allData) {
-    // Berücksichtige lokale Zeitzone
-    const today = new Date();
-    const todayStr = today.getFullYear() + '-' + 
-                     String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-                     String(today.getDate()).padStart(2, '0');
-    
-    console.log('🗓️ Suche Daten für heute:', todayStr);
     
-    // Filter entries for today with flexible date parsing
-    const todayEntries = allData.filter(entry => {
-        if (!entry.date) return false;
-        
-        // Handle different date formats
-        let entryDateStr;
-        if (entry.date instanceof Date) {
-            entryDateStr = entry.date.getFullYear() + '-' + 
-                          String(entry.date.getMonth() + 1).padStart(2, '0') + '-' + 
-                          String(entry.date.getDate()).padStart(2, '0');
-        } else if (typeof entry.date === 'string') {
-            // Extract date part from ISO string or regular date string
-            entryDateStr = entry.date.split('T')[0];
-        } else {
-            return false;
-        }
-        
-        const isToday = entryDateStr === todayStr;
-        console.log(`📅 Entry date: ${entryDateStr}, Today: ${todayStr}, Match: ${isToday}`);
-        return isToday;
-    });
-    
-    console.log(`✅ Found ${todayEntries.length} entries for today:`, todayEntries);
-    
-    if (todayEntries.length === 0) {
-        return { date: todayStr };
+    /**
+     * Felder eines Lebensmittels, die an die API gehen
+     */
+    toFoodPayload(food) {
+        const fields = Object.keys(HealthSchema.SCHEMAS.food.fields);
+        return fields.reduce((payload, field) => {
+            if (food[field] !== undefined) payload[field] = food[field];
+            return payload;
+        }, {});
     }
     
-    // Sort entries by creation time (newest first)
-    todayEntries.sort((a, b) => {
-        const timeA = new Date(a.createdAt || a.date).getTime();
-        const timeB = new Date(b.createdAt || b.date).getTime();
-        return timeB - timeA;
-    });
-    
-    // Aggregate multiple entries for the same day
-    const aggregatedData = {
-        date: todayStr,
-        weight: null,
-        steps: 0,
-        waterIntake: 0,
-        sleepHours: 0,
-        mood: null,
-        notes: [],
-        entryCount: todayEntries.length,
-        lastUpdated: null
-    };
+    createFoodId(kind) {
+        return `${kind === 'recipe' ? 'rec' : 'food'}-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
     
-    todayEntries.forEach(entry => {
-        console.log('🔄 Processing entry:', entry);
-        
-        // For weight, take the most recent entry
-        if (entry.weight !== null && entry.weight !== undefined && !aggregatedData.weight) {
-            aggregatedData.weight = entry.weight;
-            console.log('⚖️ Weight set to:', aggregatedData.weight);
-        }
-        
-        // For steps, sum all entries
-        if (entry.steps) {
-            aggregatedData.steps += entry.steps;
-            console.log('🚶♂️ Steps total:', aggregatedData.steps);
+    /**
+     * Lebensmittel oder Rezept speichern - offline lokal, Upload beim nächsten Laden
+     */
+    async saveUserFood(data) {
+        const food = { ...data, id: data.id || this.createFoodId(data.kind) };
+        
+        // Rezepte: Werte je 100 g wie auf dem Server aus den Zutaten berechnen
+        if (food.kind === 'recipe') {
+            const summary = FoodDatabase.summarizeRecipe(food.ingredients, food.servings);
+            Object.assign(food, FoodDatabase.nutrientsFor(summary, 100), {
+                servingGrams: summary.servingGrams,
+                servingLabel: food.servingLabel || '1 Portion'
+            });
         }
         
-        // For water, sum all entries
-        if (entry.waterIntake) {
-            aggregatedData.waterIntake += entry.waterIntake;
-            console.log('💧 Water total:', aggregatedData.waterIntake);
+        const validation = HealthSchema.validate('food', food, { locale: 'de' });
+        if (!validation.valid) {
+            const error = new Error(validation.errors[0].message);
+            error.code = 'VALIDATION_ERROR';
+            throw error;
         }
         
-        // For sleep, sum all entries (supports naps and main sleep)
-        if (entry.sleepHours) {
-            aggregatedData.sleepHours += entry.sleepHours;
-            console.log('😴 Sleep total:', aggregatedData.sleepHours);
+        let saved = null;
+        if (this.isAuthenticated() && this.isOnline) {
+            try {
+                const response = await this.makeAPICall('/api/foods', {
+                    method: 'POST',
+                    body: JSON.stringify(validation.value)
+                });
+                saved = response.data;
+            } catch (error) {
+                if (error.status === 422) throw error;
+                console.log('Lebensmittel nur lokal gespeichert:', error.message);
+            }
         }
         
-        // For mood, take the most recent entry
-        if (entry.mood && !aggregatedData.mood) {
-            aggregatedData.mood = entry.mood;
-            console.log('😊 Mood set to:', aggregatedData.mood);
-        }
+        saved = saved || { ...validation.value, _local: true, createdAt: new Date().toISOString() };
+        this.userFoods = [...this.userFoods.filter(item => item.id !== saved.id), saved];
+        await this.repository.setSetting('userFoods', this.userFoods);
+        return saved;
+    }
+    
+    /**
+     * Eigenes Lebensmittel löschen - erfasste Mahlzeiten behalten ihre Positionen
+     */
+    async deleteUserFood(id) {
+        const food = this.userFoods.find(item => item.id === id);
+        if (!food) throw new Error('Lebensmittel nicht gefunden');
         
-        // Collect all notes with timestamps
-        if (entry.notes && entry.notes.trim()) {
-            const timestamp = new Date(entry.createdAt || entry.date).toLocaleTimeString('de-DE', {
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-            aggregatedData.notes.push(`${timestamp}: ${entry.notes.trim()}`);
+        if (this.isAuthenticated() && !food._local) {
+            if (!this.isOnline) {
+                throw new Error('Eigene Lebensmittel können nur online gelöscht werden');
+            }
+            await this.makeAPICall(`/api/foods/${encodeURIComponent(id)}`, { method: 'DELETE' });
         }
         
-        // Track last update time
-        const entryTime = new Date(entry.createdAt || entry.date).getTime();
-        if (!aggregatedData.lastUpdated || entryTime > aggregatedData.lastUpdated) {
-            aggregatedData.lastUpdated = entryTime;
-        }
-    });
-    
-    // Process notes
-    aggregatedData.notes = aggregatedData.notes.length > 0 ? aggregatedData.notes.join('\n') : null;
-    
-    // Round decimal values
-    aggregatedData.waterIntake = Math.round(aggregatedData.waterIntake * 10) / 10;
-    aggregatedData.sleepHours = Math.round(aggregatedData.sleepHours * 10) / 10;
+        this.userFoods = this.userFoods.filter(item => item.id !== id);
+        await this.repository.setSetting('userFoods', this.userFoods);
+    }
     
-    // Convert lastUpdated to readable format
-    if (aggregatedData.lastUpdated) {
-        aggregatedData.lastUpdatedFormatted = new Date(aggregatedData.lastUpdated).toLocaleTimeString('de-DE', {
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+    /**
+     * Mahlzeit nach Uhrzeit vorschlagen
+     */
+    getDefaultMealType(date = new Date()) {
+        const hour = date.getHours();
+        if (hour < 11) return 'breakfast';
+        if (hour < 15) return 'lunch';
+        if (hour >= 17 && hour < 22) return 'dinner';
+        return 'snack';
     }
     
-    console.log('📊 Final aggregated data:', aggregatedData);
-    return aggregatedData;
-}
+    getMealLabel(mealType) {
+        return FoodDatabase.MEAL_TYPES.find(meal => meal.key === mealType)?.label || 'Mahlzeit';
+    }
     
     /**
- * Get current week's health data with improved date filtering
- */
-getWeekData(allData) {
-    if (!allData || !Array.isArray(allData) || allData.length === 0) {
-        console.log('❌ Keine Daten für Wochenfilterung verfügbar');
-        return [];
+     * Mahlzeiten eines Tages (Einträge mit mealType oder Kalorien), in Erfassungsreihenfolge
+     */
+    getMealsForDay(allData, dateKey) {
+        return (allData || [])
+            .filter(entry => this.getDateKey(entry.date) === dateKey &&
+                (entry.mealType || (entry.calories !== null && entry.calories !== undefined)))
+            .sort((a, b) => new Date(a.createdAt || a.date) - new Date(b.createdAt || b.date));
     }
-
-    const now = new Date();
-    const oneWeekAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
     
-    console.log('📅 Wochenfilter:', {
-        von: oneWeekAgo.toISOString().split('T')[0],
-        bis: now.toISOString().split('T')[0],
-        gesamtDaten: allData.length
-    });
-
-    const weekData = allData.filter(entry => {
-        if (!entry || !entry.date) {
+    /**
+     * Mahlzeit speichern - eigener Eintrag, Summen aus den Positionen
+     * @returns {Promise<boolean>} false bei ungültigen Werten (Modal bleibt offen)
+     */
+    async saveMeal(mealType, items) {
+        if (items.length === 0) {
+            this.showToast('❌ Mindestens ein Lebensmittel hinzufügen', 'error');
             return false;
         }
-
-        let entryDate;
         
-        // Verschiedene Datumsformate handhaben
-        if (typeof entry.date === 'string') {
-            // ISO Format oder einfaches Datum
-            if (entry.date.includes('T')) {
-                entryDate = new Date(entry.date.split('T')[0]);
-            } else {
-                entryDate = new Date(entry.date);
-            }
-        } else if (entry.date instanceof Date) {
-            entryDate = entry.date;
-        } else if (typeof entry.date === 'object' && entry.date.$date) {
-            entryDate = new Date(entry.date.$date);
-        } else {
-            console.log('⚠️ Unbekanntes Datumsformat in Woche:', entry.date);
+        const now = new Date();
+        const foods = items.map(item => ({
+            foodId: item.foodId || null,
+            name: item.name,
+            grams: item.grams,
+            ...FoodDatabase.nutrientsFor(item.per100, item.grams)
+        }));
+        const mealData = {
+            userId: this.userId,
+            date: this.getLocalDateKey(now),
+            mealType,
+            foods,
+            ...FoodDatabase.sumNutrients(foods),
+            createdAt: now.toISOString()
+        };
+        
+        const validationResult = this.validateFormData(mealData);
+        if (!validationResult.isValid) {
+            this.showToast(`❌ ${validationResult.message}`, 'error');
             return false;
         }
-
-        // Prüfe ob Datum in der letzten Woche liegt
-        const isInWeek = entryDate >= oneWeekAgo && entryDate <= now;
         
-        if (isInWeek) {
-            console.log(`✅ Wocheneintrag: ${entryDate.toISOString().split('T')[0]} - Steps: ${entry.steps}, Water: ${entry.waterIntake}, Sleep: ${entry.sleepHours}`);
+        try {
+            this.setLoadingState(true);
+            const success = await this.saveHealthData(mealData);
+            if (!success) return false;
+            
+            this.showToast(`🍽️ ${this.getMealLabel(mealType)}: ${mealData.calories.toLocaleString('de-DE')} kcal gespeichert`, 'success');
+            await this.refreshAllComponents();
+            this.dispatchHealthDataEvent('quick-data-saved', { type: 'meal', value: mealData.calories, data: mealData });
+            return true;
+        } catch (error) {
+            console.error('❌ Mahlzeit speichern fehlgeschlagen:', error);
+            this.showToast('❌ Speichern fehlgeschlagen', 'error');
+            return false;
+        } finally {
+            this.setLoadingState(false);
         }
-        
-        return isInWeek;
-    });
-
-    console.log(`📊 Wöchentliche Daten gefiltert: ${weekData.length} Einträge`);
-    return weekData;
-}
+    }
     
     /**
- * Calculate weekly averages with improved validation
- */
-calculateWeeklyAverages(weekData) {
-    console.log('🧮 Berechne Wochendurchschnitte für', weekData.length, 'Einträge');
-    
-    if (!weekData || weekData.length === 0) {
-        console.log('❌ Keine Wochendaten für Durchschnitt verfügbar');
-        return { steps: 0, water: 0, sleep: 0 };
-    }
-
-    let validStepsEntries = 0;
-    let validWaterEntries = 0;
-    let validSleepEntries = 0;
-
-    const totals = weekData.reduce((acc, entry) => {
-        console.log(`📊 Verarbeite Eintrag:`, {
-            date: entry.date,
-            steps: entry.steps,
-            water: entry.waterIntake,
-            sleep: entry.sleepHours
+     * Ernährung: heutige Mahlzeiten, Mahlzeit zusammenstellen, eigene Lebensmittel und Rezepte
+     * @param {Object} [options]
+     * @param {string} [options.view] - 'today' | 'meal' | 'foods'
+     * @param {string} [options.mealType] - Vorauswahl im Mahlzeiten-Editor
+     */
+    async showNutritionModal({ view = 'today', mealType = null } = {}) {
+        document.querySelector('.nutrition-modal')?.remove();
+        
+        const allData = await this.getAllHealthData();
+        const meals = this.getMealsForDay(allData, this.getLocalDateKey(new Date()));
+        const totals = FoodDatabase.sumNutrients(meals);
+        const calorieGoal = this.goals.calorieGoal || null;
+        const goalPercent = calorieGoal ? Math.min(100, Math.round(totals.calories / calorieGoal * 100)) : 0;
+        
+        const tabs = [['today', 'Heute'], ['meal', 'Mahlzeit erfassen'], ['foods', 'Eigene Lebensmittel']];
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open nutrition-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-lg">
+                <h3 class="font-bold text-lg mb-3 flex items-center gap-2">
+                    <i data-lucide="utensils" class="w-5 h-5 text-warning"></i>
+                    Ernährung
+                </h3>
+                
+                <div class="p-3 rounded-lg bg-base-200/50 mb-3">
+                    <div class="flex justify-between items-baseline">
+                        <span class="text-2xl font-bold">${totals.calories.toLocaleString('de-DE')} <span class="text-sm font-normal">kcal</span></span>
+                        <span class="text-xs text-base-content/60">${calorieGoal ? `Ziel: ${calorieGoal.toLocaleString('de-DE')} kcal` : 'Kein Kalorienziel'}</span>
+                    </div>
+                    ${calorieGoal ? `<progress class="progress ${totals.calories > calorieGoal * 1.1 ? 'progress-error' : 'progress-warning'} w-full mt-2" value="${goalPercent}" max="100"></progress>` : ''}
+                    <div class="flex gap-4 text-xs text-base-content/70 mt-1">
+                        <span>Eiweiß ${this.formatGrams(totals.protein)}</span>
+                        <span>Kohlenhydrate ${this.formatGrams(totals.carbs)}</span>
+                        <span>Fett ${this.formatGrams(totals.fat)}</span>
+                    </div>
+                </div>
+                
+                <div role="tablist" class="tabs tabs-boxed tabs-sm mb-3">
+                    ${tabs.map(([key, label]) => `
+                        <a role="tab" class="tab ${key === view ? 'tab-active' : ''}" data-view="${key}">${label}</a>
+                    `).join('')}
+                </div>
+                
+                <div id="nutrition-view"></div>
+                
+                <div class="modal-action">
+                    <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Schließen</button>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+        
+        modal.querySelectorAll('[data-view]').forEach(tab => {
+            tab.addEventListener('click', () => this.showNutritionModal({ view: tab.dataset.view }));
         });
-
-        if (entry.steps && entry.steps > 0) {
-            acc.steps += entry.steps;
-            validStepsEntries++;
-        }
-        if (entry.waterIntake && entry.waterIntake > 0) {
-            acc.water += entry.waterIntake;
-            validWaterEntries++;
+        
+        const container = modal.querySelector('#nutrition-view');
+        if (view === 'meal') {
+            this.renderMealBuilder(container, mealType || this.getDefaultMealType());
+        } else if (view === 'foods') {
+            this.renderUserFoods(container);
+        } else {
+            this.renderTodayMeals(container, meals);
         }
-        if (entry.sleepHours && entry.sleepHours > 0) {
-            acc.sleep += entry.sleepHours;
-            validSleepEntries++;
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
-        return acc;
-    }, { steps: 0, water: 0, sleep: 0 });
-
-    console.log('📊 Wochentotale:', totals);
-    console.log('📊 Gültige Einträge:', {
-        steps: validStepsEntries,
-        water: validWaterEntries,
-        sleep: validSleepEntries
-    });
-
-    const averages = {
-        steps: validStepsEntries > 0 ? Math.round(totals.steps / validStepsEntries) : 0,
-        water: validWaterEntries > 0 ? Math.round((totals.water / validWaterEntries) * 10) / 10 : 0,
-        sleep: validSleepEntries > 0 ? Math.round((totals.sleep / validSleepEntries) * 10) / 10 : 0
-    };
-
-    console.log('📊 Berechnete Wochendurchschnitte:', averages);
-    return averages;
-}
+    }
+    
+    formatGrams(value) {
+        return `${Number(value || 0).toLocaleString('de-DE', { maximumFractionDigits: 1 })} g`;
+    }
     
     /**
- * Refresh all components with new data
- */
-async refreshAllComponents() {
-  try {
-    this.cache?.delete?.('allHealthData');
-
-    await this.updateDashboardStats?.();
-    await this.updateHeroStats?.();
-
-    if (this.activityFeed && typeof this.activityFeed.load === 'function') {
-      await this.activityFeed.load();
+     * Heutige Mahlzeiten nach Mahlzeitentyp gruppiert
+     */
+    renderTodayMeals(container, meals) {
+        container.innerHTML = `
+            <div class="space-y-3">
+                ${FoodDatabase.MEAL_TYPES.map(meal => {
+                    const entries = meals.filter(entry => (entry.mealType || 'snack') === meal.key);
+                    const calories = FoodDatabase.sumNutrients(entries).calories;
+                    return `
+                        <div class="rounded-lg border border-base-300 p-3">
+                            <div class="flex items-center gap-2">
+                                <i data-lucide="${meal.icon}" class="w-4 h-4 text-warning"></i>
+                                <span class="font-medium flex-1">${meal.label}</span>
+                                <span class="text-sm ${entries.length ? '' : 'text-base-content/50'}">${calories.toLocaleString('de-DE')} kcal</span>
+                                <button class="btn btn-ghost btn-xs btn-square" data-meal="${meal.key}" title="${meal.label} erfassen">
+                                    <i data-lucide="plus" class="w-4 h-4"></i>
+                                </button>
+                            </div>
+                            ${entries.map(entry => `
+                                <div class="text-xs text-base-content/70 mt-1 pl-6">
+                                    ${(entry.foods || []).length > 0
+                                        ? entry.foods.map(item => `${this.escapeHTML(item.name)} (${item.grams} g)`).join(', ')
+                                        : 'Kalorien ohne Lebensmittel'}
+                                    · ${(entry.calories || 0).toLocaleString('de-DE')} kcal
+                                </div>
+                            `).join('')}
+                        </div>
+                    `;
+                }).join('')}
+            </div>
+        `;
+        
+        container.querySelectorAll('[data-meal]').forEach(button => {
+            button.addEventListener('click', () => this.showNutritionModal({ view: 'meal', mealType: button.dataset.meal }));
+        });
     }
-
-    if (this.progressHub && typeof this.progressHub.loadViewData === 'function') {
-      const viewToShow = this.progressHub.currentView || 'overview';
-      // erst View setzen, dann laden (wichtig für DOM-Container)
-      if (typeof this.progressHub.showView === 'function') {
-        this.progressHub.showView(viewToShow);
-      }
-      await this.progressHub.loadViewData();
-    }
-
-    if (this.analyticsEngine && typeof this.analyticsEngine.updateAllAnalytics === 'function') {
-      await this.analyticsEngine.updateAllAnalytics();
-    }
-  } catch (error) {
-    console.error('❌ Fehler beim Aktualisieren der Komponenten:', error);
-  }
-}
-
-/**
- * Update dashboard statistics with improved week data handling
- */
-async updateDashboardStats() {
-    try {
-        console.log('📊 Aktualisiere Dashboard-Statistiken...');
-        
-        const data = await this.getAllHealthData();
-        console.log('📊 Geladene Daten:', data.length, 'Einträge');
-        
-        const todayData = this.getTodayData(data);
-        const weekData = this.getWeekData(data);
-        
-        console.log('📊 Heute-Daten:', todayData);
-        console.log('📊 Wochen-Daten:', weekData.length, 'Einträge');
-
-        // Update today's stats
-        this.updateStatCard('today-weight', todayData.weight, 'kg', '⚖️');
-        this.updateStatCard('today-steps', todayData.steps, '', '🚶♂️');
-        this.updateStatCard('today-water', todayData.waterIntake, 'L', '💧');
-        this.updateStatCard('today-sleep', todayData.sleepHours, 'h', '😴');
-
-        // Update weekly averages
-        const weeklyAvg = this.calculateWeeklyAverages(weekData);
-        console.log('📊 Wöchentliche Durchschnitte berechnet:', weeklyAvg);
-        
-        this.updateStatCard('week-steps', weeklyAvg.steps, '', '📊');
-        this.updateStatCard('week-water', weeklyAvg.water, 'L', '📈');
-        this.updateStatCard('week-sleep', weeklyAvg.sleep, 'h', '🌙');
-
-        // Update goal progress
-        this.updateGoalProgress(todayData);
-
-        console.log('✅ Dashboard Stats erfolgreich aktualisiert');
-    } catch (error) {
-        console.error('❌ Fehler beim Aktualisieren der Statistiken:', error);
-    }
-}
-
-/**
- * Update Hero section statistics with real data
- */
-async updateHeroStats() {
-    try {
-        const allData = await this.getAllHealthData();
-        const todayData = this.getTodayData(allData);
-        
-        console.log('🎯 Updating Hero stats with data:', { todayData, totalEntries: allData.length });
-        
-        // Calculate goals achieved today
-        let goalsAchieved = 0;
-        let totalGoals = 0;
-        
-        if (this.goals.stepsGoal) {
-            totalGoals++;
-            if (todayData.steps >= this.goals.stepsGoal) goalsAchieved++;
-        }
-        
-        if (this.goals.waterGoal) {
-            totalGoals++;
-            if (todayData.waterIntake >= this.goals.waterGoal) goalsAchieved++;
-        }
-        
-        if (this.goals.sleepGoal) {
-            totalGoals++;
-            if (todayData.sleepHours >= this.goals.sleepGoal) goalsAchieved++;
-        }
+    
+    /**
+     * Mahlzeit zusammenstellen: Suche in Tabelle + eigenen Lebensmitteln, Menge je Position
+     * Positionen tragen die Werte je 100 g, damit Mengenänderungen neu rechnen können
+     */
+    renderMealBuilder(container, mealType) {
+        const items = [];
         
-        if (this.goals.weightGoal && todayData.weight) {
-            totalGoals++;
-            const weightDiff = Math.abs(todayData.weight - this.goals.weightGoal);
-            if (weightDiff <= this.goals.weightGoal * 0.05) goalsAchieved++; // 5% tolerance
-        }
+        container.innerHTML = `
+            <div class="space-y-3">
+                <select id="meal-type" class="select select-bordered select-sm w-full">
+                    ${FoodDatabase.MEAL_TYPES.map(meal => `
+                        <option value="${meal.key}" ${meal.key === mealType ? 'selected' : ''}>${meal.label}</option>
+                    `).join('')}
+                </select>
+                
+                <div class="relative">
+                    <input type="search" id="food-search" class="input input-bordered input-sm w-full"
+                           placeholder="Lebensmittel suchen, z.B. Haferflocken" autocomplete="off">
+                    <ul id="food-results" class="menu bg-base-100 rounded-box shadow mt-1 max-h-48 overflow-y-auto flex-nowrap hidden"></ul>
+                </div>
+                
+                <div id="meal-items" class="space-y-2"></div>
+                <div id="meal-total" class="text-sm font-medium text-right"></div>
+                
+                <div class="flex gap-2 justify-end">
+                    <button class="btn btn-ghost btn-sm" id="meal-as-recipe" disabled>
+                        <i data-lucide="book-open" class="w-4 h-4"></i>
+                        Als Rezept speichern
+                    </button>
+                    <button class="btn btn-warning btn-sm" id="meal-save" disabled>
+                        <i data-lucide="plus" class="w-4 h-4"></i>
+                        Mahlzeit speichern
+                    </button>
+                </div>
+            </div>
+        `;
         
-        // Calculate current streak
-        const currentStreak = this.calculateCurrentStreak(allData);
+        const search = container.querySelector('#food-search');
+        const results = container.querySelector('#food-results');
+        
+        const renderItems = () => {
+            const rows = items.map(item => ({ ...item, ...FoodDatabase.nutrientsFor(item.per100, item.grams) }));
+            container.querySelector('#meal-items').innerHTML = rows.map((item, index) => `
+                <div class="flex items-center gap-2 p-2 rounded-lg bg-base-200/50">
+                    <span class="flex-1 min-w-0 truncate text-sm">${this.escapeHTML(item.name)}</span>
+                    <input type="number" class="input input-bordered input-xs w-20" min="1" max="5000" step="1"
+                           value="${item.grams}" data-grams="${index}" aria-label="Menge in Gramm">
+                    <span class="text-xs w-6">g</span>
+                    <span class="text-xs w-16 text-right">${item.calories} kcal</span>
+                    <button class="btn btn-ghost btn-xs btn-square text-error" data-remove="${index}" title="Entfernen">
+                        <i data-lucide="x" class="w-3 h-3"></i>
+                    </button>
+                </div>
+            `).join('');
+            
+            const total = FoodDatabase.sumNutrients(rows);
+            container.querySelector('#meal-total').textContent = rows.length > 0
+                ? `${total.calories.toLocaleString('de-DE')} kcal · E ${this.formatGrams(total.protein)} · K ${this.formatGrams(total.carbs)} · F ${this.formatGrams(total.fat)}`
+                : '';
+            container.querySelector('#meal-save').disabled = rows.length === 0;
+            container.querySelector('#meal-as-recipe').disabled = rows.length < 2;
+            
+            container.querySelectorAll('[data-grams]').forEach(input => {
+                input.addEventListener('change', () => {
+                    const grams = this.parseNumber(input.value);
+                    if (grams !== null && grams > 0) items[input.dataset.grams].grams = grams;
+                    renderItems();
+                });
+            });
+            container.querySelectorAll('[data-remove]').forEach(button => {
+                button.addEventListener('click', () => {
+                    items.splice(Number(button.dataset.remove), 1);
+                    renderItems();
+                });
+            });
+            if (typeof lucide !== 'undefined') lucide.createIcons();
+        };
         
-        // Calculate weekly improvement
-        const weeklyImprovement = this.calculateWeeklyImprovement(allData);
+        const showResults = () => {
+            const matches = FoodDatabase.searchFoods(search.value, this.userFoods, 8);
+            results.classList.toggle('hidden', matches.length === 0);
+            results.innerHTML = matches.map(food => `
+                <li><a data-food="${this.escapeHTML(food.id)}" class="flex justify-between text-sm">
+                    <span class="truncate">${food.kind === 'recipe' ? '📖 ' : ''}${this.escapeHTML(food.name)}</span>
+                    <span class="text-xs text-base-content/60 whitespace-nowrap">${food.calories} kcal/100 g</span>
+                </a></li>
+            `).join('');
+            results.querySelectorAll('[data-food]').forEach(link => {
+                link.addEventListener('click', () => {
+                    const food = FoodDatabase.getFood(link.dataset.food, this.userFoods);
+                    if (!food) return;
+                    items.push({
+                        foodId: food.id,
+                        name: food.name,
+                        grams: food.servingGrams || 100,
+                        per100: { calories: food.calories, protein: food.protein, carbs: food.carbs, fat: food.fat }
+                    });
+                    search.value = '';
+                    results.classList.add('hidden');
+                    renderItems();
+                });
+            });
+        };
         
-        // Update Hero elements with animation
-        this.updateHeroElement('hero-goals-today', `${goalsAchieved}/${totalGoals}`);
-        this.updateHeroElement('hero-current-streak', currentStreak);
-        this.updateHeroElement('hero-improvement', `${weeklyImprovement >= 0 ? '+' : ''}${weeklyImprovement}%`);
-        this.updateHeroElement('hero-total-entries', allData.length);
+        search.addEventListener('input', showResults);
+        search.addEventListener('focus', showResults);
         
-        console.log('✅ Hero stats updated successfully');
+        container.querySelector('#meal-save').addEventListener('click', async () => {
+            const saved = await this.saveMeal(container.querySelector('#meal-type').value, items);
+            if (saved) this.showNutritionModal();
+        });
         
-    } catch (error) {
-        console.error('❌ Error updating hero stats:', error);
-        // Show fallback values on error
-        this.updateHeroElement('hero-goals-today', '0/0');
-        this.updateHeroElement('hero-current-streak', '0');
-        this.updateHeroElement('hero-improvement', '0%');
-        this.updateHeroElement('hero-total-entries', '0');
-    }
-}
-
-/**
- * Update individual hero statistic element with animation
- */
-updateHeroElement(elementId, value) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        // Add loading animation
-        element.style.opacity = '0.5';
-        element.style.transform = 'scale(0.9)';
-        element.style.transition = 'all 0.3s ease';
+        container.querySelector('#meal-as-recipe').addEventListener('click', async () => {
+            const name = prompt('Name des Rezepts:');
+            if (!name || !name.trim()) return;
+            const servings = this.parseInt(prompt('Für wie viele Portionen?', '1')) || 1;
+            try {
+                const recipe = await this.saveUserFood({
+                    kind: 'recipe',
+                    name: name.trim().slice(0, 80),
+                    servings,
+                    ingredients: items.map(item => ({
+                        foodId: item.foodId,
+                        name: item.name,
+                        grams: item.grams,
+                        ...item.per100
+                    }))
+                });
+                this.showToast(`📖 Rezept ${recipe.name} gespeichert (${recipe.calories} kcal/100 g)`, 'success');
+            } catch (error) {
+                console.error('❌ Rezept speichern fehlgeschlagen:', error);
+                this.showToast(`❌ ${error.message}`, 'error');
+            }
+        });
         
-        setTimeout(() => {
-            element.textContent = value;
-            element.style.opacity = '1';
-            element.style.transform = 'scale(1)';
-            
-            // Add success animation
-            setTimeout(() => {
-                element.style.transform = 'scale(1.05)';
-                setTimeout(() => {
-                    element.style.transform = 'scale(1)';
-                }, 200);
-            }, 100);
-        }, 150);
+        renderItems();
     }
-}
-
-/**
- * Calculate current tracking streak
- */
-calculateCurrentStreak(allData) {
-    if (!allData || allData.length === 0) return 0;
     
-    let streak = 0;
-    const today = new Date();
-    
-    for (let i = 0; i < 365; i++) { // Max 1 year streak
-        const checkDate = new Date(today.getTime() - (i * 24 * 60 * 60 * 1000));
-        const dateStr = checkDate.getFullYear() + '-' + 
-                       String(checkDate.getMonth() + 1).padStart(2, '0') + '-' + 
-                       String(checkDate.getDate()).padStart(2, '0');
+    /**
+     * Eigene Lebensmittel und Rezepte verwalten - neue Lebensmittel mit Werten je 100 g
+     */
+    renderUserFoods(container) {
+        const foods = [...this.userFoods].sort((a, b) => a.name.localeCompare(b.name, 'de'));
         
-        const hasEntry = allData.some(entry => {
-            if (!entry.date) return false;
-            let entryDateStr;
+        container.innerHTML = `
+            <div class="space-y-2 mb-4 max-h-48 overflow-y-auto">
+                ${foods.length === 0 ? `
+                    <p class="text-sm text-base-content/60">Noch keine eigenen Lebensmittel. Rezepte entstehen aus einer zusammengestellten Mahlzeit.</p>
+                ` : foods.map(food => `
+                    <div class="flex items-center gap-3 p-2 rounded-lg bg-base-200/50">
+                        <i data-lucide="${food.kind === 'recipe' ? 'book-open' : 'apple'}" class="w-4 h-4 text-warning"></i>
+                        <div class="flex-1 min-w-0">
+                            <div class="text-sm font-medium truncate">${this.escapeHTML(food.name)}</div>
+                            <div class="text-xs text-base-content/60">
+                                ${food.calories} kcal/100 g
+                                ${food.kind === 'recipe' ? ` · ${(food.ingredients || []).length} Zutaten · ${food.servings || 1} Portion(en)` : ''}
+                                ${food._local ? ' · nicht synchronisiert' : ''}
+                            </div>
+                        </div>
+                        <button class="btn btn-ghost btn-xs text-error" data-delete-food="${this.escapeHTML(food.id)}" title="Löschen">
+                            <i data-lucide="trash-2" class="w-4 h-4"></i>
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
             
-            if (typeof entry.date === 'string') {
-                entryDateStr = entry.date.split('T')[0];
-            } else if (entry.date instanceof Date) {
-                entryDateStr = entry.date.getFullYear() + '-' + 
-                              String(entry.date.getMonth() + 1).padStart(2, '0') + '-' + 
-                              String(entry.date.getDate()).padStart(2, '0');
-            } else {
-                return false;
-            }
+            <div class="divider text-xs">Neues Lebensmittel (je 100 g)</div>
             
-            return entryDateStr === dateStr;
+            <form id="user-food-form" class="space-y-2">
+                <input type="text" name="name" class="input input-bordered input-sm w-full" maxlength="80" required placeholder="Name">
+                <div class="grid grid-cols-4 gap-2">
+                    <input type="number" name="calories" class="input input-bordered input-sm" min="0" max="900" step="any" required placeholder="kcal">
+                    <input type="number" name="protein" class="input input-bordered input-sm" min="0" max="100" step="any" placeholder="Eiweiß">
+                    <input type="number" name="carbs" class="input input-bordered input-sm" min="0" max="100" step="any" placeholder="KH">
+                    <input type="number" name="fat" class="input input-bordered input-sm" min="0" max="100" step="any" placeholder="Fett">
+                </div>
+                <div class="grid grid-cols-2 gap-2">
+                    <input type="text" name="servingLabel" class="input input-bordered input-sm" maxlength="30" placeholder="Portion, z.B. 1 Riegel">
+                    <input type="number" name="servingGrams" class="input input-bordered input-sm" min="1" max="5000" step="any" placeholder="Portion in g">
+                </div>
+                <div class="flex justify-end">
+                    <button type="submit" class="btn btn-warning btn-sm">
+                        <i data-lucide="plus" class="w-4 h-4"></i>
+                        Hinzufügen
+                    </button>
+                </div>
+            </form>
+        `;
+        
+        container.querySelectorAll('[data-delete-food]').forEach(button => {
+            button.addEventListener('click', async () => {
+                const food = this.userFoods.find(item => item.id === button.dataset.deleteFood);
+                if (!food || !confirm(`"${food.name}" löschen? Erfasste Mahlzeiten bleiben unverändert.`)) return;
+                try {
+                    await this.deleteUserFood(food.id);
+                    this.showToast(`🗑️ ${food.name} gelöscht`, 'success');
+                    this.showNutritionModal({ view: 'foods' });
+                } catch (error) {
+                    console.error('❌ Lebensmittel löschen fehlgeschlagen:', error);
+                    this.showToast(`❌ ${error.message}`, 'error');
+                }
+            });
         });
         
-        if (hasEntry) {
-            streak++;
-        } else {
-            break;
-        }
+        container.querySelector('#user-food-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            try {
+                const food = await this.saveUserFood({
+                    kind: 'food',
+                    name: formData.get('name').trim(),
+                    calories: this.parseNumber(formData.get('calories')),
+                    protein: this.parseNumber(formData.get('protein')),
+                    carbs: this.parseNumber(formData.get('carbs')),
+                    fat: this.parseNumber(formData.get('fat')),
+                    servingLabel: this.sanitizeString(formData.get('servingLabel')),
+                    servingGrams: this.parseNumber(formData.get('servingGrams'))
+                });
+                this.showToast(`✅ ${food.name} gespeichert`, 'success');
+                this.showNutritionModal({ view: 'foods' });
+            } catch (error) {
+                console.error('❌ Lebensmittel speichern fehlgeschlagen:', error);
+                this.showToast(`❌ ${error.message}`, 'error');
+            }
+        });
     }
     
-    return streak;
-}
-
-/**
- * Calculate weekly improvement percentage
- */
-calculateWeeklyImprovement(allData) {
-    if (!allData || allData.length < 7) return 0;
+    // ====================================================================
+    // TRAINING - Trainingseinheiten in eigener Collection (IndexedDB + /api/workouts)
+    // ====================================================================
     
-    const now = new Date();
-    const thisWeekStart = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
-    const lastWeekStart = new Date(now.getTime() - (14 * 24 * 60 * 60 * 1000));
+    /**
+     * Trainingsarten mit Anzeige - Distanz nur bei Ausdauerarten abfragen
+     */
+    getWorkoutTypes() {
+        const types = {
+            running: { label: 'Laufen', icon: 'zap', hasDistance: true },
+            walking: { label: 'Gehen', icon: 'footprints', hasDistance: true },
+            cycling: { label: 'Radfahren', icon: 'bike', hasDistance: true },
+            swimming: { label: 'Schwimmen', icon: 'waves', hasDistance: true },
+            strength: { label: 'Krafttraining', icon: 'dumbbell', hasDistance: false },
+            hiit: { label: 'HIIT', icon: 'flame', hasDistance: false },
+            yoga: { label: 'Yoga', icon: 'leaf', hasDistance: false },
+            other: { label: 'Sonstiges', icon: 'activity', hasDistance: false }
+        };
+        return HealthSchema.WORKOUT_TYPES.map(key => ({ key, ...types[key] }));
+    }
     
-    const thisWeek = allData.filter(entry => {
-        const date = new Date(entry.date);
-        return date >= thisWeekStart;
-    });
+    getWorkoutType(type) {
+        return this.getWorkoutTypes().find(item => item.key === type) ||
+            { key: type, label: 'Training', icon: 'activity', hasDistance: false };
+    }
     
-    const lastWeek = allData.filter(entry => {
-        const date = new Date(entry.date);
-        return date >= lastWeekStart && date < thisWeekStart;
-    });
+    /**
+     * Intensität aus der Anstrengung (RPE 1-10)
+     */
+    getWorkoutIntensity(rpe) {
+        if (!rpe) return null;
+        if (rpe <= 3) return { key: 'low', label: 'Leicht' };
+        if (rpe <= 6) return { key: 'moderate', label: 'Moderat' };
+        return { key: 'high', label: 'Intensiv' };
+    }
     
-    if (thisWeek.length === 0 || lastWeek.length === 0) return 0;
+    /**
+     * Kurzbeschreibung, z.B. "32 min · 5,1 km · Intensiv"
+     */
+    formatWorkoutSummary(workout) {
+        const parts = [`${workout.durationMinutes} min`];
+        if (workout.distanceKm) {
+            parts.push(`${workout.distanceKm.toLocaleString('de-DE', { maximumFractionDigits: 2 })} km`);
+        }
+        if (workout.sets?.length) {
+            parts.push(`${workout.sets.length} Übung${workout.sets.length === 1 ? '' : 'en'}`);
+        }
+        const intensity = this.getWorkoutIntensity(workout.rpe);
+        if (intensity) parts.push(intensity.label);
+        return parts.join(' · ');
+    }
     
-    // Calculate average steps for comparison
-    const thisWeekSteps = thisWeek.reduce((sum, d) => sum + (d.steps || 0), 0) / thisWeek.length;
-    const lastWeekSteps = lastWeek.reduce((sum, d) => sum + (d.steps || 0), 0) / lastWeek.length;
-    
-    if (lastWeekSteps === 0) return 0;
-    
-    return Math.round(((thisWeekSteps - lastWeekSteps) / lastWeekSteps) * 100);
-}
-
-/**
- * Update individual stat card
- */
-updateStatCard(elementId, value, unit, icon) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        const displayValue = value ? (typeof value === 'number' ? value.toLocaleString('de-DE') : value) : '—';
-        element.textContent = `${displayValue}${unit}`;
-        
-        // Add subtle animation
-        element.style.transform = 'scale(1.05)';
-        setTimeout(() => {
-            element.style.transform = 'scale(1)';
-        }, 200);
-    }
-}
-
-/**
- * Update goal progress indicators
- */
-updateGoalProgress(todayData) {
-    // Steps progress
-    if (todayData.steps && this.goals.stepsGoal) {
-        const progress = Math.min((todayData.steps / this.goals.stepsGoal) * 100, 100);
-        this.updateProgressIndicator('steps-progress', progress);
-    }
-
-    // Water progress
-    if (todayData.waterIntake && this.goals.waterGoal) {
-        const progress = Math.min((todayData.waterIntake / this.goals.waterGoal) * 100, 100);
-        this.updateProgressIndicator('water-progress', progress);
-    }
-
-    // Sleep progress
-    if (todayData.sleepHours && this.goals.sleepGoal) {
-        const progress = Math.min((todayData.sleepHours / this.goals.sleepGoal) * 100, 100);
-        this.updateProgressIndicator('sleep-progress', progress);
-    }
-
-    // Weight progress (if goal is set)
-    if (todayData.weight && this.goals.weightGoal) {
-        const diff = Math.abs(todayData.weight - this.goals.weightGoal);
-        const maxDiff = this.goals.weightGoal * 0.1; // 10% tolerance
-        const progress = Math.max(0, Math.min(100, ((maxDiff - diff) / maxDiff) * 100));
-        this.updateProgressIndicator('weight-progress', progress);
-    }
-}
-
-/**
- * Update progress indicator element
- */
-updateProgressIndicator(elementId, progress) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        element.style.setProperty('--value', Math.round(progress));
-        
-        // Update text content if it's a progress element
-        const textEl = element.querySelector('.progress-text') || element;
-        if (textEl !== element) {
-            textEl.textContent = Math.round(progress) + '%';
-        }
-    }
-}
-
-/**
- * Calculate weekly averages
- */
-calculateWeeklyAverages(weekData) {
-    if (weekData.length === 0) {
-        return { steps: 0, water: 0, sleep: 0 };
-    }
-
-    const totals = weekData.reduce((acc, entry) => {
-        acc.steps += entry.steps || 0;
-        acc.water += entry.waterIntake || 0;
-        acc.sleep += entry.sleepHours || 0;
-        return acc;
-    }, { steps: 0, water: 0, sleep: 0 });
-
-    return {
-        steps: Math.round(totals.steps / weekData.length),
-        water: Math.round((totals.water / weekData.length) * 10) / 10,
-        sleep: Math.round((totals.sleep / weekData.length) * 10) / 10
-    };
-}
-    
-    // ====================================================================
-    // NETWORK & SYNC MANAGEMENT
-    // ====================================================================
-    
-    /**
-     * Handle online status change
-     */
-    async handleOnlineStatus() {
-        this.isOnline = true;
-        this.updateConnectionStatus(true);
-        
-        // Sync offline data
-        if (!this.syncInProgress) {
-            await this.syncOfflineData();
-        }
-    }
-    
-    /**
-     * Handle offline status change
-     */
-    handleOfflineStatus() {
-        this.isOnline = false;
-        this.updateConnectionStatus(false);
-    }
-    
-    /**
-     * Update connection status indicator
-     */
-    updateConnectionStatus(isOnline) {
-        const statusEl = document.getElementById('connection-status');
-        if (statusEl) {
-            statusEl.textContent = isOnline ? '🌐 Online' : '📵 Offline';
-            statusEl.className = `text-xs ${isOnline ? 'text-green-600' : 'text-yellow-600'}`;
-        }
-        
-        // Show toast notification
-        if (isOnline) {
-            this.showToast('🌐 Verbindung wiederhergestellt', 'success');
-        } else {
-            this.showToast('📵 Offline-Modus aktiv', 'warning');
-        }
-    }
+    sortWorkouts(workouts) {
+        return [...workouts].sort((a, b) => b.date.localeCompare(a.date) ||
+            (b.startTime || '').localeCompare(a.startTime || '') ||
+            new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
+    }
     
     /**
-     * Sync offline data to server
+     * Trainingseinheiten laden: ausstehende Änderungen über die Outbox hochladen, dann das letzte Jahr vom Server
      */
-    async syncOfflineData() {
-        if (!this.isOnline || this.syncInProgress) {
-            return;
-        }
-        
+    async loadWorkouts() {
         try {
-            this.syncInProgress = true;
-            
-            const unsyncedData = this.getUnsyncedData();
-            
-            if (unsyncedData.length === 0) {
-                return;
-            }
-            
-            console.log(`🔄 Synchronisiere ${unsyncedData.length} offline Einträge...`);
-            
-            let successCount = 0;
-            
-            for (const data of unsyncedData) {
+            if (this.isOnline && this.isAuthenticated()) {
                 try {
-                    const response = await this.makeAPICall('/api/health-data', {
-                        method: 'POST',
-                        body: JSON.stringify(data)
-                    });
+                    await this.outbox.flushRecords();
                     
-                    if (response.success) {
-                        await this.markAsSynced(data);
-                        successCount++;
-                    }
+                    const from = new Date();
+                    from.setFullYear(from.getFullYear() - 1);
+                    const fromKey = this.getLocalDateKey(from);
+                    const response = await this.makeAPICall(`/api/workouts?from=${fromKey}&limit=1000`);
+                    await this.repository.applyServerWorkouts(response.data || [], fromKey);
                 } catch (error) {
-                    console.error('Sync fehler für Eintrag:', error);
+                    console.log('Server-Trainings nicht verfügbar:', error.message);
                 }
             }
             
-            if (successCount > 0) {
-                this.showToast(`📤 ${successCount} Einträge synchronisiert`, 'success');
-                
-                // Refresh components after sync
-                await this.refreshAllComponents();
-            }
+            this.workouts = this.sortWorkouts(await this.repository.getWorkouts());
             
         } catch (error) {
-            console.error('❌ Sync fehler:', error);
-        } finally {
-            this.syncInProgress = false;
+            console.error('❌ Fehler beim Laden der Trainingseinheiten:', error);
         }
     }
     
-    /**
-     * Setup periodic sync every 5 minutes when online
-     */
-    setupPeriodicSync() {
-        setInterval(async () => {
-            if (this.isOnline && !this.syncInProgress) {
-                await this.syncOfflineData();
-            }
-        }, 5 * 60 * 1000); // 5 minutes
+    createWorkoutId() {
+        return `wo-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
     }
     
-    // ====================================================================
-    // UTILITY METHODS & HELPERS
-    // ====================================================================
-    
     /**
- * Enhanced API Call Method
- */
-async makeAPICall(endpoint, options = {}) {
-    const defaultOptions = {
-        method: 'GET',
-        headers: {
-            'Content-Type': 'application/json',
-        },
-        timeout: 15000
-    };
-    
-    const finalOptions = { ...defaultOptions, ...options };
-    
-    // API Base URL Detection
-    const baseURL = window.location.hostname.includes('localhost') 
-        ? 'http://localhost:8888/.netlify/functions/api'  // Netlify Dev
-        : '/.netlify/functions/api';  // Production
-    
-    const fullURL = `${baseURL}${endpoint}`;
-    
-    try {
-        console.log(`🔗 API Call: ${finalOptions.method} ${fullURL}`);
-        
-        const controller = new AbortController();
-        const timeoutId = setTimeout(() => controller.abort(), finalOptions.timeout);
-        
-        const response = await fetch(fullURL, {
-            ...finalOptions,
-            signal: controller.signal
+     * Einheit speichern - immer zuerst lokal, Upload über die Outbox (offline per Background Sync)
+     */
+    async saveWorkout(data) {
+        const workout = { ...data, id: data.id || this.createWorkoutId() };
+        if (workout.type !== 'strength') workout.sets = null;
+        if (!this.getWorkoutType(workout.type).hasDistance) workout.distanceKm = null;
+        
+        const validation = HealthSchema.validate('workout', workout, { locale: 'de' });
+        if (!validation.valid) {
+            const error = new Error(validation.errors[0].message);
+            error.code = 'VALIDATION_ERROR';
+            throw error;
+        }
+        
+        const existing = this.workouts.find(item => item.id === workout.id);
+        const saved = await this.repository.saveWorkout({
+            ...validation.value,
+            sets: validation.value.sets?.length ? validation.value.sets : null,
+            createdAt: existing?.createdAt || new Date().toISOString()
         });
         
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            throw new Error(`API Error ${response.status}: ${errorData.message || response.statusText}`);
-        }
-        
-        const data = await response.json();
-        console.log(`✅ API Response:`, data);
-        return data;
+        await this.syncRecordChange();
         
-    } catch (error) {
-        if (error.name === 'AbortError') {
-            throw new Error('Request timeout - Server nicht erreichbar');
-        }
-        console.error(`❌ API Call failed:`, error);
-        throw error;
+        this.workouts = this.sortWorkouts(await this.repository.getWorkouts());
+        return saved;
     }
-}
     
-    /**
-     * Debounce function calls for performance
-     */
-    debounceFunction(key, func, delay) {
-        const existingTimer = this.debounceTimers.get(key);
-        if (existingTimer) {
-            clearTimeout(existingTimer);
-        }
+    async deleteWorkout(id) {
+        await this.repository.removeWorkout(id);
         
-        const newTimer = setTimeout(() => {
-            func();
-            this.debounceTimers.delete(key);
-        }, delay);
+        await this.syncRecordChange();
         
-        this.debounceTimers.set(key, newTimer);
+        this.workouts = this.sortWorkouts(await this.repository.getWorkouts());
     }
     
-    /**
-     * Generate unique user ID
-     */
-    generateUserId() {
-        let userId = localStorage.getItem('userId');
-        if (!userId) {
-            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-            localStorage.setItem('userId', userId);
+    async confirmDeleteWorkout(id) {
+        const workout = this.workouts.find(item => item.id === id);
+        if (!workout) return;
+        
+        const label = `${this.getWorkoutType(workout.type).label} (${this.formatWorkoutSummary(workout)})`;
+        if (!confirm(`${label} löschen?`)) return;
+        
+        try {
+            await this.deleteWorkout(id);
+            this.showToast(`🗑️ ${label} gelöscht`, 'success');
+            await this.refreshAllComponents();
+        } catch (error) {
+            console.error('❌ Training löschen fehlgeschlagen:', error);
+            this.showToast('❌ Löschen fehlgeschlagen', 'error');
         }
-        return userId;
     }
     
     /**
-     * Safe number parsing
+     * Montag der Kalenderwoche als Datumsschlüssel
      */
-    parseNumber(value) {
-        if (!value || value === '') return null;
-        const num = parseFloat(value);
-        return isNaN(num) ? null : num;
+    getWeekStartKey(date = new Date()) {
+        const day = typeof date === 'string' ? new Date(`${date}T00:00:00`) : new Date(date);
+        day.setDate(day.getDate() - (day.getDay() + 6) % 7);
+        return this.getLocalDateKey(day);
     }
     
     /**
-     * Safe integer parsing
+     * Aktivminuten je Kalenderwoche { [Montag]: Minuten }
      */
-    parseInt(value) {
-        if (!value || value === '') return null;
-        const num = parseInt(value, 10);
-        return isNaN(num) ? null : num;
+    getActiveMinutesByWeek() {
+        return this.workouts.reduce((weeks, workout) => {
+            const weekStart = this.getWeekStartKey(workout.date);
+            weeks[weekStart] = (weeks[weekStart] || 0) + workout.durationMinutes;
+            return weeks;
+        }, {});
     }
     
-    /**
-     * Sanitize string input
-     */
-    sanitizeString(value) {
-        if (!value) return null;
-        return value.trim().substring(0, 500); // Limit length
+    getWeeklyActiveMinutes(date = new Date()) {
+        return this.getActiveMinutesByWeek()[this.getWeekStartKey(date)] || 0;
     }
     
     /**
-     * Set loading state for the application
+     * Training erfassen oder bearbeiten
+     * @param {Object} [options]
+     * @param {string} [options.workoutId] - bestehende Einheit bearbeiten
      */
-    setLoadingState(loading) {
-        this.isLoading = loading;
+    showWorkoutModal({ workoutId = null } = {}) {
+        document.querySelector('.workout-modal')?.remove();
         
-        const submitBtn = document.querySelector('#health-form button[type="submit"]');
-        if (submitBtn) {
-            if (loading) {
-                submitBtn.disabled = true;
-                submitBtn.innerHTML = '<i data-lucide="loader-2" class="w-4 h-4 mr-2 animate-spin"></i> Speichern...';
-            } else {
-                submitBtn.disabled = false;
-                submitBtn.innerHTML = '<i data-lucide="save" class="w-4 h-4 mr-2"></i> Speichern';
-            }
-            
-            // Re-initialize lucide icons
+        const now = new Date();
+        const workout = this.workouts.find(item => item.id === workoutId) || {
+            type: 'running',
+            date: this.getLocalDateKey(now),
+            startTime: now.toTimeString().slice(0, 5),
+            durationMinutes: null,
+            distanceKm: null,
+            rpe: null,
+            sets: null,
+            notes: null
+        };
+        const weeklyMinutes = this.getWeeklyActiveMinutes();
+        const weeklyGoal = this.goals.activeMinutesGoal || 150;
+        const setRow = (set = {}) => `
+            <div class="grid grid-cols-12 gap-1 items-center" data-set-row>
+                <input type="text" name="exercise" class="input input-bordered input-xs col-span-5" maxlength="60" placeholder="Übung" value="${this.escapeHTML(set.exercise || '')}">
+                <input type="number" name="sets" class="input input-bordered input-xs col-span-2" min="1" max="100" placeholder="Sätze" value="${set.sets ?? ''}">
+                <input type="number" name="reps" class="input input-bordered input-xs col-span-2" min="1" max="1000" placeholder="Wdh." value="${set.reps ?? ''}">
+                <input type="number" name="weightKg" class="input input-bordered input-xs col-span-2" min="0" max="1000" step="any" placeholder="kg" value="${set.weightKg ?? ''}">
+                <button type="button" class="btn btn-ghost btn-xs btn-square text-error" data-remove-set title="Entfernen">
+                    <i data-lucide="x" class="w-3 h-3"></i>
+                </button>
+            </div>
+        `;
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open workout-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-lg">
+                <h3 class="font-bold text-lg mb-3 flex items-center gap-2">
+                    <i data-lucide="dumbbell" class="w-5 h-5 text-success"></i>
+                    ${workoutId ? 'Training bearbeiten' : 'Training erfassen'}
+                </h3>
+                
+                <div class="p-3 rounded-lg bg-base-200/50 mb-3">
+                    <div class="flex justify-between items-baseline text-sm">
+                        <span>Diese Woche: <strong>${weeklyMinutes} min</strong> aktiv</span>
+                        <span class="text-xs text-base-content/60">Ziel: ${weeklyGoal} min</span>
+                    </div>
+                    <progress class="progress progress-success w-full mt-2" value="${Math.min(100, Math.round(weeklyMinutes / weeklyGoal * 100))}" max="100"></progress>
+                </div>
+                
+                <form id="workout-form" class="space-y-3">
+                    <div class="grid grid-cols-3 gap-2">
+                        <select name="type" class="select select-bordered select-sm col-span-3">
+                            ${this.getWorkoutTypes().map(type => `
+                                <option value="${type.key}" ${type.key === workout.type ? 'selected' : ''}>${type.label}</option>
+                            `).join('')}
+                        </select>
+                        <input type="date" name="date" class="input input-bordered input-sm col-span-2" required value="${workout.date}">
+                        <input type="time" name="startTime" class="input input-bordered input-sm" value="${workout.startTime || ''}">
+                    </div>
+                    
+                    <div class="grid grid-cols-2 gap-2">
+                        <label class="form-control">
+                            <span class="label-text text-xs mb-1">Dauer (min)</span>
+                            <input type="number" name="durationMinutes" class="input input-bordered input-sm" min="1" max="1440" required placeholder="30" value="${workout.durationMinutes ?? ''}">
+                        </label>
+                        <label class="form-control" data-distance-field>
+                            <span class="label-text text-xs mb-1">Distanz (km)</span>
+                            <input type="number" name="distanceKm" class="input input-bordered input-sm" min="0" max="1000" step="0.01" placeholder="5" value="${workout.distanceKm ?? ''}">
+                        </label>
+                    </div>
+                    
+                    <label class="form-control">
+                        <span class="label-text text-xs mb-1">Anstrengung (RPE)</span>
+                        <select name="rpe" class="select select-bordered select-sm">
+                            <option value="">Keine Angabe</option>
+                            ${Array.from({ length: 10 }, (_, index) => index + 1).map(rpe => `
+                                <option value="${rpe}" ${rpe === workout.rpe ? 'selected' : ''}>${rpe} · ${this.getWorkoutIntensity(rpe).label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    
+                    <div data-sets-field class="space-y-1">
+                        <div class="flex items-center justify-between">
+                            <span class="label-text text-xs">Übungen</span>
+                            <button type="button" class="btn btn-ghost btn-xs gap-1" data-add-set>
+                                <i data-lucide="plus" class="w-3 h-3"></i>
+                                Übung
+                            </button>
+                        </div>
+                        <div id="workout-sets" class="space-y-1">
+                            ${(workout.sets?.length ? workout.sets : [{}]).map(set => setRow(set)).join('')}
+                        </div>
+                    </div>
+                    
+                    <textarea name="notes" class="textarea textarea-bordered textarea-sm w-full" maxlength="500" placeholder="Notizen (optional)">${this.escapeHTML(workout.notes || '')}</textarea>
+                    
+                    <div class="modal-action">
+                        <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                        <button type="submit" class="btn btn-success">
+                            <i data-lucide="check" class="w-4 h-4"></i>
+                            Speichern
+                        </button>
+                    </div>
+                </form>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+        
+        const form = modal.querySelector('#workout-form');
+        const setsContainer = modal.querySelector('#workout-sets');
+        const updateFields = () => {
+            const type = this.getWorkoutType(form.elements.type.value);
+            modal.querySelector('[data-distance-field]').classList.toggle('hidden', !type.hasDistance);
+            modal.querySelector('[data-sets-field]').classList.toggle('hidden', type.key !== 'strength');
+        };
+        
+        form.elements.type.addEventListener('change', updateFields);
+        updateFields();
+        
+        modal.querySelector('[data-add-set]').addEventListener('click', () => {
+            setsContainer.insertAdjacentHTML('beforeend', setRow());
             if (typeof lucide !== 'undefined') {
                 lucide.createIcons();
             }
+        });
+        setsContainer.addEventListener('click', (e) => {
+            e.target.closest('[data-remove-set]')?.closest('[data-set-row]').remove();
+        });
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+            
+            // Leere Übungszeilen ignorieren
+            const sets = [...setsContainer.querySelectorAll('[data-set-row]')]
+                .map(row => ({
+                    exercise: row.querySelector('[name="exercise"]').value.trim(),
+                    sets: this.parseInt(row.querySelector('[name="sets"]').value),
+                    reps: this.parseInt(row.querySelector('[name="reps"]').value),
+                    weightKg: this.parseNumber(row.querySelector('[name="weightKg"]').value)
+                }))
+                .filter(set => set.exercise || set.reps !== null);
+            
+            try {
+                const saved = await this.saveWorkout({
+                    id: workoutId || undefined,
+                    type: formData.get('type'),
+                    date: formData.get('date'),
+                    startTime: formData.get('startTime') || null,
+                    durationMinutes: this.parseInt(formData.get('durationMinutes')),
+                    distanceKm: this.parseNumber(formData.get('distanceKm')),
+                    rpe: this.parseInt(formData.get('rpe')),
+                    sets,
+                    notes: this.sanitizeString(formData.get('notes'))
+                });
+                
+                modal.remove();
+                this.showToast(`🏋️ ${this.getWorkoutType(saved.type).label}: ${this.formatWorkoutSummary(saved)} gespeichert`, 'success');
+                await this.refreshAllComponents();
+                this.dispatchHealthDataEvent('quick-data-saved', { type: 'workout', value: saved.durationMinutes, data: saved });
+            } catch (error) {
+                console.error('❌ Training speichern fehlgeschlagen:', error);
+                this.showToast(`❌ ${error.message}`, 'error');
+            }
+        });
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
     }
     
+    // ====================================================================
+    // MEDIKAMENTE
+    // ====================================================================
+    
+    getMedicationKinds() {
+        return [
+            { key: 'medication', label: 'Medikament', icon: 'pill' },
+            { key: 'supplement', label: 'Nahrungsergänzung', icon: 'leaf' }
+        ];
+    }
+    
+    getMedicationKind(key) {
+        return this.getMedicationKinds().find(kind => kind.key === key) || this.getMedicationKinds()[0];
+    }
+    
+    getActiveMedications() {
+        return this.medications.filter(medication => !medication.archived);
+    }
+    
     /**
-     * Show toast notification
+     * Zeitplan lesbar zusammenfassen, z.B. "Mo, Do · 08:00"
      */
-    /**
- * Erweiterte Toast-Funktion für Notifikationen unten rechts
- */
-showToast(message, type = 'info', duration = 4000, options = {}) {
-    try {
-        // Toast Container finden oder erstellen
-        let toastContainer = document.getElementById('toast-container');
-        if (!toastContainer) {
-            toastContainer = document.createElement('div');
-            toastContainer.id = 'toast-container';
-            toastContainer.className = 'toast toast-end toast-bottom z-50 space-y-2';
-            document.body.appendChild(toastContainer);
+    formatMedicationSchedule(medication) {
+        switch (medication.scheduleType) {
+            case 'interval':
+                return `Alle ${medication.intervalHours} h ab ${medication.times[0]}`;
+            case 'weekdays': {
+                const days = MedicationSchedule.WEEKDAYS
+                    .filter(day => (medication.weekdays || []).includes(day.key))
+                    .map(day => day.label);
+                return `${days.join(', ')} · ${medication.times.join(', ')}`;
+            }
+            default:
+                return `Täglich · ${medication.times.join(', ')}`;
         }
-
-        // Toast Element erstellen
-        const toast = document.createElement('div');
-        const toastId = 'toast-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
-        toast.id = toastId;
-        
-        // Type-spezifische Klassen und Icons
-        const typeConfig = {
-            success: {
-                alertClass: 'alert-success',
-                icon: 'check-circle',
-                bgClass: 'bg-success',
-                textClass: 'text-success-content'
-            },
-            error: {
-                alertClass: 'alert-error', 
-                icon: 'x-circle',
-                bgClass: 'bg-error',
-                textClass: 'text-error-content'
-            },
-            warning: {
-                alertClass: 'alert-warning',
-                icon: 'alert-triangle', 
-                bgClass: 'bg-warning',
-                textClass: 'text-warning-content'
-            },
-            info: {
-                alertClass: 'alert-info',
-                icon: 'info',
-                bgClass: 'bg-info', 
-                textClass: 'text-info-content'
+    }
+    
+    sortMedications(medications) {
+        return [...medications].sort((a, b) => a.name.localeCompare(b.name, 'de'));
+    }
+    
+    /**
+     * Medikamente und erfasste Dosen der letzten 12 Wochen laden - ausstehende Änderungen zuerst über die Outbox
+     */
+    async loadMedications() {
+        try {
+            if (this.isOnline && this.isAuthenticated()) {
+                try {
+                    await this.outbox.flushRecords();
+    
+                    const from = new Date();
+                    from.setDate(from.getDate() - 12 * 7);
+                    const fromKey = this.getLocalDateKey(from);
+                    const [medications, logs] = await Promise.all([
+                        this.makeAPICall('/api/medications'),
+                        this.makeAPICall(`/api/medication-logs?from=${fromKey}&limit=1000`)
+                    ]);
+                    await this.repository.applyServerMedications(medications.data || []);
+                    await this.repository.applyServerMedicationLogs(logs.data || [], fromKey);
+                } catch (error) {
+                    console.log('Server-Medikamente nicht verfügbar:', error.message);
+                }
             }
-        };
-
-        const config = typeConfig[type] || typeConfig.info;
-        
-        // Enhanced Toast HTML
-        toast.className = `alert ${config.alertClass} shadow-lg backdrop-blur-sm border border-base-300/50 transform transition-all duration-300 ease-in-out translate-x-full opacity-0 min-w-80 max-w-96`;
-        
-        toast.innerHTML = `
-            <div class="flex items-start gap-3 w-full">
-                <i data-lucide="${config.icon}" class="w-5 h-5 flex-shrink-0 mt-0.5"></i>
-                <div class="flex-1 min-w-0">
-                    <div class="font-medium text-sm leading-tight">${message}</div>
-                    ${options.subtitle ? `<div class="text-xs opacity-80 mt-1">${options.subtitle}</div>` : ''}
-                </div>
-                ${options.closable !== false ? `
-                    <button class="btn btn-ghost btn-xs btn-circle ml-2 opacity-70 hover:opacity-100" onclick="this.closest('.alert').remove()">
-                        <i data-lucide="x" class="w-3 h-3"></i>
-                    </button>
-                ` : ''}
-            </div>
-            ${options.progress !== false && duration > 0 ? `
-                <div class="absolute bottom-0 left-0 h-1 bg-base-content/20 w-full rounded-b-lg overflow-hidden">
-                    <div class="h-full ${config.bgClass} opacity-50 transition-all duration-${duration} ease-linear" 
-                         style="width: 100%; animation: progress-shrink ${duration}ms linear;"></div>
-                </div>
-            ` : ''}
-        `;
-
-        // Toast zum Container hinzufügen
-        toastContainer.appendChild(toast);
-
-        // Icons initialisieren
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
+    
+            this.medications = this.sortMedications(await this.repository.getMedications());
+            this.medicationLogs = await this.repository.getMedicationLogs();
+    
+        } catch (error) {
+            console.error('❌ Fehler beim Laden der Medikamente:', error);
         }
-
-        // Slide-in Animation
-        requestAnimationFrame(() => {
-            toast.classList.remove('translate-x-full', 'opacity-0');
-            toast.classList.add('translate-x-0', 'opacity-100');
+    }
+    
+    createMedicationId() {
+        return `med-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+    
+    /**
+     * Zeitplan-Fehler aus MedicationSchedule.checkSchedule für die Oberfläche
+     */
+    getScheduleErrorMessage(error) {
+        const messages = {
+            times: error.code === 'DUPLICATE_TIME' ? 'Jede Uhrzeit nur einmal angeben' : 'Mindestens eine Uhrzeit angeben',
+            intervalHours: 'Abstand in Stunden angeben',
+            weekdays: 'Mindestens einen Wochentag auswählen',
+            endDate: 'Enddatum liegt vor dem Startdatum'
+        };
+        return messages[error.field] || error.message;
+    }
+    
+    /**
+     * Medikament speichern - lokal zuerst, Upload über die Outbox
+     */
+    async saveMedication(data) {
+        const medication = { ...data, id: data.id || this.createMedicationId() };
+        if (medication.scheduleType !== 'interval') medication.intervalHours = null;
+        if (medication.scheduleType !== 'weekdays') medication.weekdays = null;
+        if (medication.scheduleType === 'interval') medication.times = (medication.times || []).slice(0, 1);
+    
+        const validation = HealthSchema.validate('medication', medication, { locale: 'de' });
+        const scheduleErrors = validation.valid ? MedicationSchedule.checkSchedule(validation.value) : [];
+        if (!validation.valid || scheduleErrors.length > 0) {
+            const error = new Error(validation.valid
+                ? this.getScheduleErrorMessage(scheduleErrors[0])
+                : validation.errors[0].message);
+            error.code = 'VALIDATION_ERROR';
+            throw error;
+        }
+    
+        const existing = this.medications.find(item => item.id === medication.id);
+        const saved = await this.repository.saveMedication({
+            remindersEnabled: true,
+            archived: false,
+            ...validation.value,
+            createdAt: existing?.createdAt || new Date().toISOString()
         });
-
-        // Auto-remove nach Duration
-        let autoRemoveTimer;
-        if (duration > 0) {
-            autoRemoveTimer = setTimeout(() => {
-                this.removeToast(toastId);
-            }, duration);
-        }
-
-        // Click Handler für manuelle Entfernung
-        toast.addEventListener('click', (e) => {
-            if (!e.target.closest('button')) {
-                this.removeToast(toastId);
-                if (autoRemoveTimer) clearTimeout(autoRemoveTimer);
-            }
+    
+        await this.syncRecordChange();
+    
+        this.medications = this.sortMedications(await this.repository.getMedications());
+        return saved;
+    }
+    
+    /**
+     * Archivieren statt Löschen - der Zeitplan endet heute, die Adhärenz vergangener Wochen bleibt erhalten
+     */
+    async archiveMedication(id) {
+        const medication = this.medications.find(item => item.id === id);
+        if (!medication || medication.archived) return;
+    
+        const today = this.getLocalDateKey(new Date());
+        await this.repository.saveMedication({
+            ...medication,
+            archived: true,
+            endDate: medication.endDate && medication.endDate < today ? medication.endDate : today
         });
-
-        // Hover: Animation pausieren
-        if (duration > 0) {
-            toast.addEventListener('mouseenter', () => {
-                const progressBar = toast.querySelector('[style*="animation"]');
-                if (progressBar) {
-                    progressBar.style.animationPlayState = 'paused';
-                }
-                if (autoRemoveTimer) {
-                    clearTimeout(autoRemoveTimer);
-                }
-            });
-
-            toast.addEventListener('mouseleave', () => {
-                const progressBar = toast.querySelector('[style*="animation"]');
-                if (progressBar) {
-                    progressBar.style.animationPlayState = 'running';
-                }
-                const remainingTime = duration; // Vereinfacht, könnte berechnet werden
-                autoRemoveTimer = setTimeout(() => {
-                    this.removeToast(toastId);
-                }, remainingTime);
-            });
-        }
-
-        // Sound-Feedback (optional)
-        if (options.sound !== false && localStorage.getItem('soundFeedback') === 'true') {
-            this.playNotificationSound(type);
-        }
-
-        // Haptic Feedback
-        if (navigator.vibrate && localStorage.getItem('hapticFeedback') === 'true') {
-            const vibrationPattern = {
-                success: [50, 30, 50],
-                error: [100, 50, 100],
-                warning: [80],
-                info: [30]
-            };
-            navigator.vibrate(vibrationPattern[type] || [30]);
+    
+        await this.syncRecordChange();
+    
+        this.medications = this.sortMedications(await this.repository.getMedications());
+    }
+    
+    async confirmArchiveMedication(id) {
+        const medication = this.medications.find(item => item.id === id);
+        if (!medication) return;
+        if (!confirm(`${medication.name} absetzen? Bisherige Einnahmen bleiben in der Statistik.`)) return;
+    
+        try {
+            await this.archiveMedication(id);
+            this.showToast(`🗄️ ${this.escapeHTML(medication.name)} abgesetzt`, 'success');
+            this.showMedicationModal();
+            await this.refreshAllComponents();
+        } catch (error) {
+            console.error('❌ Medikament absetzen fehlgeschlagen:', error);
+            this.showToast('❌ Absetzen fehlgeschlagen', 'error');
         }
-
-        // Max Toasts Limit (verhindert Spam)
-        this.limitToastCount();
-
-        console.log(`📢 Toast angezeigt: ${type} - ${message}`);
-        return toastId;
-
-    } catch (error) {
-        console.error('❌ Toast Error:', error);
-        // Fallback: Nativer Alert
-        alert(`${type.toUpperCase()}: ${message}`);
     }
-}
-
-/**
- * Toast entfernen mit Animation
- */
-removeToast(toastId) {
-    const toast = document.getElementById(toastId);
-    if (toast) {
-        // Slide-out Animation
-        toast.classList.add('translate-x-full', 'opacity-0');
-        
-        setTimeout(() => {
-            toast.remove();
-        }, 300);
+    
+    /**
+     * Jetzt als { date, time } in lokaler Zeit - Vergleichsbasis für fällige Dosen
+     */
+    getLocalNow(date = new Date()) {
+        return { date: this.getLocalDateKey(date), time: date.toTimeString().slice(0, 5) };
     }
-}
-
-/**
- * Begrenze Anzahl der gleichzeitigen Toasts
- */
-limitToastCount(maxToasts = 5) {
-    const container = document.getElementById('toast-container');
-    if (container) {
-        const toasts = container.querySelectorAll('.alert');
-        if (toasts.length > maxToasts) {
-            // Älteste Toasts entfernen
-            for (let i = 0; i < toasts.length - maxToasts; i++) {
-                this.removeToast(toasts[i].id);
-            }
+    
+    /**
+     * Heute geplante Dosen aktiver Medikamente mit erfasstem Status
+     */
+    getTodayDoses() {
+        return this.getDosesForDay(this.getLocalDateKey(new Date()));
+    }
+    
+    /**
+     * Geplante Dosen eines Tages (YYYY-MM-DD) mit erfasstem Status
+     */
+    getDosesForDay(dateKey) {
+        const statusById = new Map(this.medicationLogs.map(log => [log.id, log.status]));
+        return MedicationSchedule.getDosesForDay(this.getActiveMedications(), dateKey)
+            .map(dose => ({ ...dose, status: statusById.get(dose.id) || null }));
+    }
+    
+    /**
+     * Dosis als genommen oder ausgelassen erfassen - aus Dashboard, In-App-Hinweis oder Benachrichtigung
+     */
+    async logMedicationDose(medicationId, date, time, status = 'taken') {
+        const medication = this.medications.find(item => item.id === medicationId);
+        if (!medication) return;
+    
+        try {
+            const log = {
+                id: MedicationSchedule.doseId(medicationId, date, time),
+                medicationId,
+                date,
+                time,
+                status,
+                name: medication.name,
+                dose: medication.dose || null,
+                loggedAt: new Date().toISOString()
+            };
+            await this.repository.saveMedicationLog(log);
+    
+            await this.syncRecordChange();
+            this.medicationLogs = await this.repository.getMedicationLogs();
+    
+            const name = this.escapeHTML(medication.name);
+            this.showToast(status === 'taken' ? `💊 ${name} genommen` : `⏭️ ${name} ausgelassen`, 'success', 4000, {
+                action: { label: 'Rückgängig', onClick: () => this.undoMedicationDose(log.id) }
+            });
+            this.renderMedicationDashboard();
+            await this.progressHub?.loadViewData?.();
+        } catch (error) {
+            console.error('❌ Dosis erfassen fehlgeschlagen:', error);
+            this.showToast('❌ Dosis konnte nicht gespeichert werden', 'error');
         }
     }
-}
-
-/**
- * Notification Sound abspielen
- */
-playNotificationSound(type) {
-    try {
-        // Web Audio API Context
-        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        
-        const frequencies = {
-            success: [523, 659, 784], // C-E-G Major Chord
-            error: [220, 277, 330],   // A-C#-E Minor Chord  
-            warning: [440, 554],      // A-C# 
-            info: [440]               // A
+    
+    async undoMedicationDose(id) {
+        try {
+            await this.repository.removeMedicationLog(id);
+    
+            await this.syncRecordChange();
+            this.medicationLogs = await this.repository.getMedicationLogs();
+    
+            this.renderMedicationDashboard();
+            await this.progressHub?.loadViewData?.();
+        } catch (error) {
+            console.error('❌ Dosis zurücksetzen fehlgeschlagen:', error);
+        }
+    }
+    
+    /**
+     * Einnahmetreue einer Kalenderwoche (Montag-Sonntag) - optional für ein einzelnes Medikament
+     */
+    getWeeklyAdherence(weekStart = this.getWeekStartKey(), medications = this.medications) {
+        return {
+            weekStart,
+            ...MedicationSchedule.calculateAdherence(
+                medications,
+                this.medicationLogs,
+                weekStart,
+                MedicationSchedule.shiftDay(weekStart, 6),
+                this.getLocalNow()
+            )
         };
-
-        const freqs = frequencies[type] || frequencies.info;
-        
-        freqs.forEach((freq, index) => {
-            const oscillator = audioContext.createOscillator();
-            const gainNode = audioContext.createGain();
-            
-            oscillator.connect(gainNode);
-            gainNode.connect(audioContext.destination);
-            
-            oscillator.frequency.setValueAtTime(freq, audioContext.currentTime);
-            oscillator.type = 'sine';
-            
-            gainNode.gain.setValueAtTime(0, audioContext.currentTime);
-            gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
-            gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.3);
-            
-            oscillator.start(audioContext.currentTime + index * 0.1);
-            oscillator.stop(audioContext.currentTime + 0.3 + index * 0.1);
-        });
-        
-    } catch (error) {
-        console.warn('Sound playback not supported:', error);
     }
-}
     
     /**
-     * Populate goals form with current values
+     * Einnahmetreue der letzten Wochen, älteste zuerst - nur Wochen mit geplanten Dosen
      */
-    populateGoalsForm() {
-        const goalsForm = document.getElementById('goals-form');
-        if (!goalsForm) return;
-        
-        Object.entries(this.goals).forEach(([key, value]) => {
-            const input = goalsForm.querySelector(`[name="${key}"]`);
-            if (input && value !== null) {
-                input.value = value;
-            }
-        });
+    getAdherenceHistory(weeks = 5) {
+        const currentWeek = this.getWeekStartKey();
+        return Array.from({ length: weeks }, (_, index) =>
+            this.getWeeklyAdherence(MedicationSchedule.shiftDay(currentWeek, (index - weeks + 1) * 7)))
+            .filter(week => week.scheduled > 0);
+    }
+    
+    getAdherenceColor(percent) {
+        if (percent === null) return 'text-base-content/60';
+        if (percent >= 90) return 'text-success';
+        if (percent >= 70) return 'text-warning';
+        return 'text-error';
     }
     
     /**
-     * Validate individual form input
+     * Dashboard-Karte "Medikamente heute" - fällige Dosen direkt abhaken
      */
-    validateFormInput(input) {
-        // Remove previous error states
-        input.classList.remove('input-error');
-        
-        const value = input.value.trim();
-        let isValid = true;
-        
-        // Specific validations based on input name
-        switch (input.name) {
-            case 'weight':
-                if (value && (parseFloat(value) < 20 || parseFloat(value) > 500)) {
-                    isValid = false;
-                }
-                break;
-            case 'steps':
-                if (value && parseInt(value) < 0) {
-                    isValid = false;
-                }
-                break;
-            case 'waterIntake':
-                if (value && (parseFloat(value) < 0 || parseFloat(value) > 10)) {
-                    isValid = false;
-                }
-                break;
-            case 'sleepHours':
-                if (value && (parseFloat(value) < 0 || parseFloat(value) > 24)) {
-                    isValid = false;
-                }
-                break;
-        }
-        
-        if (!isValid) {
-            input.classList.add('input-error');
+    renderMedicationDashboard() {
+        const card = document.getElementById('medication-today');
+        const list = document.getElementById('medication-today-list');
+        if (!card || !list) return;
+    
+        const doses = this.getTodayDoses();
+        card.classList.toggle('hidden', doses.length === 0);
+        if (doses.length === 0) return;
+    
+        const now = this.getLocalNow();
+        const taken = doses.filter(dose => dose.status === 'taken').length;
+        const summary = document.getElementById('medication-today-summary');
+        if (summary) {
+            const week = this.getWeeklyAdherence();
+            summary.textContent = `${taken} von ${doses.length} Dosen genommen` +
+                (week.percent !== null ? ` · Diese Woche ${week.percent}% eingenommen` : '');
+        }
+    
+        list.innerHTML = doses.map(dose => {
+            const args = [dose.medicationId, dose.date, dose.time].map(value => `'${this.escapeHTML(value)}'`).join(', ');
+            const overdue = !dose.status && dose.time <= now.time;
+            const statusBadge = dose.status === 'taken'
+                ? '<span class="badge badge-success badge-sm">Genommen</span>'
+                : dose.status === 'skipped'
+                    ? '<span class="badge badge-ghost badge-sm">Ausgelassen</span>'
+                    : '';
+    
+            return `
+                <div class="flex items-center gap-3 p-2 rounded-lg ${overdue ? 'bg-warning/10' : 'bg-base-200/50'}">
+                    <span class="font-mono text-sm w-12 ${overdue ? 'text-warning font-semibold' : ''}">${dose.time}</span>
+                    <div class="flex-1 min-w-0">
+                        <div class="font-medium text-sm truncate ${dose.status ? 'opacity-60' : ''}">${this.escapeHTML(dose.name)}</div>
+                        ${dose.dose ? `<div class="text-xs text-base-content/60 truncate">${this.escapeHTML(dose.dose)}</div>` : ''}
+                    </div>
+                    ${dose.status ? `
+                        ${statusBadge}
+                        <button class="btn btn-ghost btn-xs btn-square" title="Zurücksetzen"
+                                onclick="healthTracker?.undoMedicationDose?.('${this.escapeHTML(dose.id)}')">
+                            <i data-lucide="undo-2" class="w-3 h-3"></i>
+                        </button>
+                    ` : `
+                        <button class="btn btn-success btn-xs" onclick="healthTracker?.logMedicationDose?.(${args}, 'taken')">
+                            <i data-lucide="check" class="w-3 h-3"></i>
+                            Genommen
+                        </button>
+                        <button class="btn btn-ghost btn-xs" title="Auslassen" onclick="healthTracker?.logMedicationDose?.(${args}, 'skipped')">
+                            <i data-lucide="skip-forward" class="w-3 h-3"></i>
+                        </button>
+                    `}
+                </div>
+            `;
+        }).join('');
+    
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
     }
     
     /**
-     * Dispatch custom health data events
+     * Medikamente verwalten: Liste mit Wochen-Adhärenz und Formular für neue bzw. bestehende Einträge
+     * @param {Object} [options]
+     * @param {string} [options.medicationId] - bestehendes Medikament bearbeiten
      */
-    dispatchHealthDataEvent(eventName, data) {
-        const event = new CustomEvent(eventName, {
-            detail: data,
-            bubbles: true
+    showMedicationModal({ medicationId = null } = {}) {
+        document.querySelector('.medication-modal')?.remove();
+    
+        const medication = this.medications.find(item => item.id === medicationId) || {
+            name: '',
+            dose: null,
+            kind: 'medication',
+            scheduleType: 'times',
+            times: ['08:00'],
+            intervalHours: 8,
+            weekdays: [],
+            startDate: this.getLocalDateKey(new Date()),
+            endDate: null,
+            remindersEnabled: true,
+            notes: null
+        };
+        const active = this.getActiveMedications();
+        const timeRow = (time = '') => `
+            <div class="flex items-center gap-1" data-time-row>
+                <input type="time" name="time" class="input input-bordered input-sm flex-1" value="${time}">
+                <button type="button" class="btn btn-ghost btn-xs btn-square text-error" data-remove-time title="Entfernen">
+                    <i data-lucide="x" class="w-3 h-3"></i>
+                </button>
+            </div>
+        `;
+    
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open medication-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-lg">
+                <h3 class="font-bold text-lg mb-3 flex items-center gap-2">
+                    <i data-lucide="pill" class="w-5 h-5 text-secondary"></i>
+                    Medikamente
+                </h3>
+    
+                ${active.length ? `
+                    <div class="space-y-2 mb-4">
+                        ${active.map(item => {
+                            const week = this.getWeeklyAdherence(undefined, [item]);
+                            return `
+                                <div class="flex items-center gap-3 p-2 rounded-lg ${item.id === medicationId ? 'bg-secondary/10' : 'bg-base-200/50'}">
+                                    <i data-lucide="${this.getMedicationKind(item.kind).icon}" class="w-4 h-4 text-secondary"></i>
+                                    <div class="flex-1 min-w-0">
+                                        <div class="font-medium text-sm truncate">
+                                            ${this.escapeHTML(item.name)}${item.dose ? ` <span class="text-base-content/60">· ${this.escapeHTML(item.dose)}</span>` : ''}
+                                            ${item.remindersEnabled ? '' : '<i data-lucide="bell-off" class="w-3 h-3 inline text-base-content/50"></i>'}
+                                        </div>
+                                        <div class="text-xs text-base-content/60 truncate">${this.formatMedicationSchedule(item)}</div>
+                                    </div>
+                                    <span class="text-sm font-semibold ${this.getAdherenceColor(week.percent)}" title="Einnahmetreue diese Woche">
+                                        ${week.percent !== null ? `${week.percent}%` : '–'}
+                                    </span>
+                                    <button class="btn btn-ghost btn-xs btn-square" title="Bearbeiten"
+                                            onclick="healthTracker?.showMedicationModal?.({ medicationId: '${this.escapeHTML(item.id)}' })">
+                                        <i data-lucide="pencil" class="w-3 h-3"></i>
+                                    </button>
+                                    <button class="btn btn-ghost btn-xs btn-square text-error" title="Absetzen"
+                                            onclick="healthTracker?.confirmArchiveMedication?.('${this.escapeHTML(item.id)}')">
+                                        <i data-lucide="archive" class="w-3 h-3"></i>
+                                    </button>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                ` : ''}
+    
+                <form id="medication-form" class="space-y-3">
+                    <div class="text-sm font-semibold">${medicationId ? 'Medikament bearbeiten' : 'Neues Medikament'}</div>
+                    <div class="grid grid-cols-3 gap-2">
+                        <input type="text" name="name" class="input input-bordered input-sm col-span-2" maxlength="80" required placeholder="Name" value="${this.escapeHTML(medication.name)}">
+                        <input type="text" name="dose" class="input input-bordered input-sm" maxlength="40" placeholder="Dosis, z.B. 500 mg" value="${this.escapeHTML(medication.dose || '')}">
+                        <select name="kind" class="select select-bordered select-sm col-span-3">
+                            ${this.getMedicationKinds().map(kind => `
+                                <option value="${kind.key}" ${kind.key === medication.kind ? 'selected' : ''}>${kind.label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+    
+                    <label class="form-control">
+                        <span class="label-text text-xs mb-1">Zeitplan</span>
+                        <select name="scheduleType" class="select select-bordered select-sm">
+                            ${MedicationSchedule.SCHEDULE_TYPES.map(type => `
+                                <option value="${type.key}" ${type.key === medication.scheduleType ? 'selected' : ''}>${type.label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+    
+                    <div data-weekdays-field class="flex flex-wrap gap-1">
+                        ${MedicationSchedule.WEEKDAYS.map(day => `
+                            <label class="label cursor-pointer gap-1 p-0">
+                                <input type="checkbox" name="weekdays" value="${day.key}" class="checkbox checkbox-xs checkbox-secondary"
+                                       ${(medication.weekdays || []).includes(day.key) ? 'checked' : ''}>
+                                <span class="label-text text-xs">${day.label}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+    
+                    <div class="space-y-1">
+                        <div class="flex items-center justify-between">
+                            <span class="label-text text-xs" data-times-label>Uhrzeiten</span>
+                            <button type="button" class="btn btn-ghost btn-xs gap-1" data-add-time>
+                                <i data-lucide="plus" class="w-3 h-3"></i>
+                                Uhrzeit
+                            </button>
+                        </div>
+                        <div id="medication-times" class="grid grid-cols-2 gap-1">
+                            ${(medication.times?.length ? medication.times : ['']).map(time => timeRow(time)).join('')}
+                        </div>
+                    </div>
+    
+                    <label class="form-control" data-interval-field>
+                        <span class="label-text text-xs mb-1">Abstand (Stunden)</span>
+                        <input type="number" name="intervalHours" class="input input-bordered input-sm" min="1" max="24" value="${medication.intervalHours ?? 8}">
+                    </label>
+    
+                    <div class="grid grid-cols-2 gap-2">
+                        <label class="form-control">
+                            <span class="label-text text-xs mb-1">Ab</span>
+                            <input type="date" name="startDate" class="input input-bordered input-sm" value="${medication.startDate || ''}">
+                        </label>
+                        <label class="form-control">
+                            <span class="label-text text-xs mb-1">Bis (optional)</span>
+                            <input type="date" name="endDate" class="input input-bordered input-sm" value="${medication.endDate || ''}">
+                        </label>
+                    </div>
+    
+                    <label class="label cursor-pointer justify-start gap-2">
+                        <input type="checkbox" name="remindersEnabled" class="toggle toggle-sm toggle-secondary" ${medication.remindersEnabled !== false ? 'checked' : ''}>
+                        <span class="label-text text-sm">Erinnerungen (außerhalb der Ruhezeiten)</span>
+                    </label>
+    
+                    <textarea name="notes" class="textarea textarea-bordered textarea-sm w-full" maxlength="500" placeholder="Notizen (optional)">${this.escapeHTML(medication.notes || '')}</textarea>
+    
+                    <div class="modal-action">
+                        ${medicationId ? `
+                            <button type="button" class="btn btn-ghost" onclick="healthTracker?.showMedicationModal?.()">Neu</button>
+                        ` : ''}
+                        <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Schließen</button>
+                        <button type="submit" class="btn btn-secondary">
+                            <i data-lucide="check" class="w-4 h-4"></i>
+                            Speichern
+                        </button>
+                    </div>
+                </form>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+    
+        const form = modal.querySelector('#medication-form');
+        const timesContainer = modal.querySelector('#medication-times');
+        const updateFields = () => {
+            const scheduleType = form.elements.scheduleType.value;
+            modal.querySelector('[data-weekdays-field]').classList.toggle('hidden', scheduleType !== 'weekdays');
+            modal.querySelector('[data-interval-field]').classList.toggle('hidden', scheduleType !== 'interval');
+            modal.querySelector('[data-add-time]').classList.toggle('hidden', scheduleType === 'interval');
+            modal.querySelector('[data-times-label]').textContent = scheduleType === 'interval' ? 'Erste Dosis' : 'Uhrzeiten';
+    
+            // Intervall: nur die erste Uhrzeit zählt
+            timesContainer.querySelectorAll('[data-time-row]').forEach((row, index) => {
+                row.classList.toggle('hidden', scheduleType === 'interval' && index > 0);
+            });
+        };
+    
+        form.elements.scheduleType.addEventListener('change', updateFields);
+        updateFields();
+    
+        modal.querySelector('[data-add-time]').addEventListener('click', () => {
+            timesContainer.insertAdjacentHTML('beforeend', timeRow());
+            if (typeof lucide !== 'undefined') {
+                lucide.createIcons();
+            }
         });
-        document.dispatchEvent(event);
+        timesContainer.addEventListener('click', (e) => {
+            e.target.closest('[data-remove-time]')?.closest('[data-time-row]').remove();
+        });
+    
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+    
+            try {
+                const saved = await this.saveMedication({
+                    id: medicationId || undefined,
+                    name: this.sanitizeString(formData.get('name')),
+                    dose: this.sanitizeString(formData.get('dose')),
+                    kind: formData.get('kind'),
+                    scheduleType: formData.get('scheduleType'),
+                    times: [...timesContainer.querySelectorAll('[name="time"]')]
+                        .map(input => input.value)
+                        .filter(Boolean)
+                        .sort(),
+                    intervalHours: this.parseInt(formData.get('intervalHours')),
+                    weekdays: formData.getAll('weekdays').map(Number),
+                    startDate: formData.get('startDate') || null,
+                    endDate: formData.get('endDate') || null,
+                    remindersEnabled: form.elements.remindersEnabled.checked,
+                    notes: this.sanitizeString(formData.get('notes'))
+                });
+    
+                this.showToast(`💊 ${this.escapeHTML(saved.name)} gespeichert`, 'success', 4000, {
+                    subtitle: this.formatMedicationSchedule(saved)
+                });
+                this.showMedicationModal();
+                this.renderMedicationDashboard();
+                await this.progressHub?.loadViewData?.();
+            } catch (error) {
+                console.error('❌ Medikament speichern fehlgeschlagen:', error);
+                this.showToast(`❌ ${error.message}`, 'error');
+            }
+        });
+    
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
     }
     
     // ====================================================================
-    // LOCAL STORAGE MANAGEMENT
+    // ZYKLUS
     // ====================================================================
     
     /**
- * Save data to localStorage
- */
-async saveToLocalStorage(data) {
-    try {
-        const existingData = JSON.parse(localStorage.getItem('healthData') || '[]');
-        
-        // KRITISCHER FIX: Sicherstellen dass date als String gespeichert wird
-        const dataWithMetadata = {
-            ...data,
-            date: typeof data.date === 'string' ? data.date : data.date.toISOString().split('T')[0],
-            _localId: 'local_' + Date.now(),
-            _synced: false,
-            _createdAt: new Date().toISOString()
-        };
-        
-        console.log('💾 SAVING TO LOCALSTORAGE:', dataWithMetadata);
-        
-        existingData.push(dataWithMetadata);
-        
-        // Keep only last 100 entries
-        const trimmedData = existingData.slice(-100);
-        localStorage.setItem('healthData', JSON.stringify(trimmedData));
-        
-        console.log('✅ SAVED TO LOCALSTORAGE. Total entries:', trimmedData.length);
-        
-    } catch (error) {
-        console.error('❌ localStorage Fehler:', error);
-        throw error;
+     * Tages-Schlüssel kurz formatieren, z.B. "Mo., 20.10."
+     */
+    formatDayKey(dayKey) {
+        return new Date(`${dayKey}T00:00:00`).toLocaleDateString('de-DE', {
+            weekday: 'short',
+            day: '2-digit',
+            month: '2-digit'
+        });
     }
-}
     
     /**
-     * Mark data as synced
+     * Alle Perioden laden - ausstehende Änderungen zuerst über die Outbox hochladen
      */
-    async markAsSynced(data) {
+    async loadPeriods() {
         try {
-            const existingData = JSON.parse(localStorage.getItem('healthData') || '[]');
-            const updatedData = existingData.map(item => {
-                if (item._localId === data._localId) {
-                    return { ...item, _synced: true };
+            if (this.isOnline && this.isAuthenticated()) {
+                try {
+                    await this.outbox.flushRecords();
+    
+                    const response = await this.makeAPICall('/api/periods?limit=1000');
+                    await this.repository.applyServerPeriods(response.data || []);
+                } catch (error) {
+                    console.log('Server-Perioden nicht verfügbar:', error.message);
                 }
-                return item;
-            });
-            
-            localStorage.setItem('healthData', JSON.stringify(updatedData));
+            }
+    
+            this.periods = CycleTracker.sortPeriods(await this.repository.getPeriods());
+    
         } catch (error) {
-            console.error('❌ Fehler beim Markieren als synchronisiert:', error);
+            console.error('❌ Fehler beim Laden der Perioden:', error);
         }
     }
     
+    createPeriodId() {
+        return `pe-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+    }
+    
     /**
-     * Mark data for later sync
+     * Zeitraum-Fehler aus CycleTracker.checkPeriod für die Oberfläche
      */
-    async markForSync(data) {
-        // Data is already marked for sync when saved to localStorage
-        // This is a placeholder for additional sync logic if needed
+    getPeriodErrorMessage(error) {
+        const messages = {
+            INVALID_RANGE: 'Das Ende liegt vor dem Beginn',
+            OUT_OF_RANGE: `Eine Periode dauert höchstens ${CycleTracker.MAX_PERIOD_LENGTH} Tage`,
+            OVERLAP: 'Überschneidet sich mit einer bereits erfassten Periode'
+        };
+        return messages[error.code] || error.message;
     }
     
     /**
-     * Get unsynced data for server synchronization
+     * Periode speichern - lokal zuerst, Upload über die Outbox
      */
-    getUnsyncedData() {
+    async savePeriod(data) {
+        const period = { ...data, id: data.id || this.createPeriodId() };
+    
+        const validation = HealthSchema.validate('period', period, { locale: 'de' });
+        const rangeErrors = validation.valid ? CycleTracker.checkPeriod(validation.value, this.periods) : [];
+        if (!validation.valid || rangeErrors.length > 0) {
+            const error = new Error(validation.valid
+                ? this.getPeriodErrorMessage(rangeErrors[0])
+                : validation.errors[0].message);
+            error.code = 'VALIDATION_ERROR';
+            throw error;
+        }
+    
+        const existing = this.periods.find(item => item.id === period.id);
+        const saved = await this.repository.savePeriod({
+            ...validation.value,
+            symptoms: validation.value.symptoms?.length ? validation.value.symptoms : null,
+            createdAt: existing?.createdAt || new Date().toISOString()
+        });
+    
+        await this.syncRecordChange();
+    
+        this.periods = CycleTracker.sortPeriods(await this.repository.getPeriods());
+        return saved;
+    }
+    
+    async deletePeriod(id) {
+        await this.repository.removePeriod(id);
+    
+        await this.syncRecordChange();
+    
+        this.periods = CycleTracker.sortPeriods(await this.repository.getPeriods());
+    }
+    
+    async confirmDeletePeriod(id) {
+        const period = this.periods.find(item => item.id === id);
+        if (!period) return;
+        if (!confirm(`Periode vom ${this.formatDayKey(period.startDate)} löschen?`)) return;
+    
         try {
-            const allData = JSON.parse(localStorage.getItem('healthData') || '[]');
-            return allData.filter(item => !item._synced);
+            await this.deletePeriod(id);
+            this.showToast('🗑️ Periode gelöscht', 'success');
+            this.showCycleModal();
+            await this.refreshAllComponents();
         } catch (error) {
-            console.error('❌ Fehler beim Abrufen unsyncer Daten:', error);
-            return [];
+            console.error('❌ Periode löschen fehlgeschlagen:', error);
+            this.showToast('❌ Löschen fehlgeschlagen', 'error');
         }
     }
-
+    
     /**
- * Initialize form with today's date
- */
-initializeFormDefaults() {
-    const dateInput = document.getElementById('date');
-    if (dateInput) {
-        const today = new Date();
-        const todayStr = today.getFullYear() + '-' + 
-                        String(today.getMonth() + 1).padStart(2, '0') + '-' + 
-                        String(today.getDate()).padStart(2, '0');
-        
-        dateInput.value = todayStr;
-        console.log('📅 Formular-Datum initialisiert:', todayStr);
+     * Laufende Periode (ohne Ende) - höchstens eine, die jüngste
+     */
+    getOngoingPeriod() {
+        const last = this.periods[this.periods.length - 1];
+        return last && !last.endDate ? last : null;
     }
-}
-
+    
     /**
-     * Update footer statistics
+     * Schnellerfassung: Periode beginnt heute bzw. die laufende endet heute
      */
-    async updateFooterStats() {
+    async togglePeriodToday() {
+        const today = this.getLocalDateKey(new Date());
+        const ongoing = this.getOngoingPeriod();
+    
         try {
-            const allData = await this.getAllHealthData();
-            const todayData = this.getTodayData(allData);
-            const weekData = this.getWeekData(allData);
-            
-            // Today entries count
-            const todayEntries = allData.filter(entry => {
-                const today = new Date().toISOString().split('T')[0];
-                return entry.date === today;
-            }).length;
-            
-            // Goals achieved today
-            let goalsAchieved = 0;
-            if (todayData.steps >= this.goals.stepsGoal) goalsAchieved++;
-            if (todayData.waterIntake >= this.goals.waterGoal) goalsAchieved++;
-            if (todayData.sleepHours >= this.goals.sleepGoal) goalsAchieved++;
-            if (this.goals.weightGoal && Math.abs(todayData.weight - this.goals.weightGoal) <= this.goals.weightGoal * 0.05) goalsAchieved++;
-            
-            // Calculate streak
-            const streak = this.calculateCurrentStreak(allData);
-            
-            // Update DOM
-            const todayEl = document.getElementById('footer-today-entries');
-            const weekEl = document.getElementById('footer-week-entries');
-            const goalsEl = document.getElementById('footer-goals-achieved');
-            const streakEl = document.getElementById('footer-current-streak');
-            
-            if (todayEl) todayEl.textContent = todayEntries;
-            if (weekEl) weekEl.textContent = weekData.length;
-            if (goalsEl) goalsEl.textContent = goalsAchieved;
-            if (streakEl) streakEl.textContent = streak;
-            
+            if (ongoing) {
+                await this.savePeriod({ ...ongoing, endDate: today < ongoing.startDate ? ongoing.startDate : today });
+                this.showToast('🩸 Periode beendet', 'success');
+            } else {
+                await this.savePeriod({ startDate: today });
+                this.showToast('🩸 Periode begonnen', 'success');
+            }
+            this.showCycleModal();
+            await this.refreshAllComponents();
         } catch (error) {
-            console.error('Footer stats update error:', error);
+            console.error('❌ Periode speichern fehlgeschlagen:', error);
+            this.showToast(`❌ ${error.message}`, 'error');
         }
     }
-
+    
     /**
-     * Calculate current tracking streak
+     * Zyklustag, Phase und Vorhersage für heute - null ohne erfasste Periode
      */
-    calculateCurrentStreak(allData) {
-        if (!allData || allData.length === 0) return 0;
-        
-        let streak = 0;
-        const today = new Date();
-        
-        for (let i = 0; i < 365; i++) { // Max 1 year streak
-            const checkDate = new Date(today.getTime() - (i * 24 * 60 * 60 * 1000));
-            const dateStr = checkDate.toISOString().split('T')[0];
-            
-            const hasEntry = allData.some(entry => entry.date === dateStr);
-            
-            if (hasEntry) {
-                streak++;
-            } else {
-                break;
-            }
-        }
-        
-        return streak;
+    getCycleStatus() {
+        if (this.periods.length === 0) return null;
+    
+        const today = this.getLocalDateKey(new Date());
+        const stats = CycleTracker.getCycleStats(this.periods);
+        return {
+            today: CycleTracker.getCycleDay(this.periods, today, stats),
+            prediction: CycleTracker.predictNextPeriod(this.periods, today),
+            stats
+        };
     }
-
+    
     /**
-     * Update footer connection status
+     * Vorhersage als Text, z.B. "in 5 Tagen (Sa., 24.10.)" oder "3 Tage überfällig"
      */
-    updateFooterConnectionStatus() {
-        const statusEl = document.getElementById('footer-connection-status');
-        if (statusEl) {
-            const isOnline = navigator.onLine;
-            statusEl.innerHTML = `
-                <div class="w-2 h-2 ${isOnline ? 'bg-success' : 'bg-warning'} rounded-full animate-pulse"></div>
-                <span class="text-xs">${isOnline ? 'Online' : 'Offline'}</span>
-            `;
-            statusEl.className = `badge badge-ghost gap-1 ${isOnline ? '' : 'badge-warning'}`;
+    formatPeriodPrediction(prediction) {
+        if (!prediction) return '';
+        if (prediction.late) {
+            const days = Math.abs(prediction.daysUntil);
+            return `${days} Tag${days === 1 ? '' : 'e'} überfällig`;
         }
+        const relative = prediction.daysUntil === 0 ? 'heute'
+            : prediction.daysUntil === 1 ? 'morgen'
+            : `in ${prediction.daysUntil} Tagen`;
+        return `${relative} (${this.formatDayKey(prediction.startDate)})`;
     }
-
-        /** * Initialize footer functionality */
-    initializeFooter() {
-        console.log('👣 Initializing footer functionality');
-        
-        // Update footer stats
-        this.updateFooterStats();
-        
-        // Update stats every 30 seconds
-        setInterval(() => this.updateFooterStats(), 30000);
-        
-        // Footer theme toggle
-        const footerThemeToggle = document.getElementById('footer-theme-toggle');
-        if (footerThemeToggle) {
-            footerThemeToggle.addEventListener('click', () => {
-                const mainThemeToggle = document.getElementById('theme-toggle');
-                if (mainThemeToggle) {
-                    mainThemeToggle.click();
-                }
-            });
+    
+    /**
+     * Zyklus: Status mit Vorhersage, Schnellerfassung, Formular und bisherige Perioden
+     * @param {Object} [options]
+     * @param {string} [options.periodId] - bestehende Periode bearbeiten
+     */
+    showCycleModal({ periodId = null } = {}) {
+        document.querySelector('.cycle-modal')?.remove();
+    
+        const period = this.periods.find(item => item.id === periodId) || {
+            startDate: this.getLocalDateKey(new Date()),
+            endDate: null,
+            flow: 'medium',
+            symptoms: [],
+            notes: null
+        };
+        const status = this.getCycleStatus();
+        const phase = status?.today && CycleTracker.getPhase(status.today.phase);
+        const ongoing = this.getOngoingPeriod();
+        const cycleLengths = CycleTracker.getCycleLengths(this.periods);
+        const history = this.periods
+            .map((item, index) => ({ ...item, cycleLength: cycleLengths[index] ?? null }))
+            .reverse()
+            .slice(0, 12);
+        const flowLabel = key => CycleTracker.FLOW_LEVELS.find(flow => flow.key === key)?.label || '';
+    
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open cycle-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-lg">
+                <h3 class="font-bold text-lg mb-3 flex items-center gap-2">
+                    <i data-lucide="calendar-heart" class="w-5 h-5 text-error"></i>
+                    Zyklus
+                </h3>
+    
+                ${status ? `
+                    <div class="p-3 rounded-lg bg-base-200/50 mb-3 space-y-1">
+                        ${status.today ? `
+                            <div class="flex justify-between items-baseline">
+                                <span class="text-sm">Zyklustag <strong>${status.today.cycleDay}</strong> von ~${status.today.cycleLength}</span>
+                                <span class="badge badge-sm" style="background: rgba(${phase.color}, 0.2); border-color: rgba(${phase.color}, 0.5)">${phase.label}</span>
+                            </div>
+                        ` : ''}
+                        <div class="text-sm">
+                            Nächste Periode: <strong class="${status.prediction.late ? 'text-warning' : ''}">${this.formatPeriodPrediction(status.prediction)}</strong>
+                        </div>
+                        <div class="text-xs text-base-content/60">
+                            ${status.stats.estimated
+                                ? `Schätzung mit ${CycleTracker.DEFAULT_CYCLE_LENGTH} Tagen - wird nach dem ersten vollständigen Zyklus genauer`
+                                : `Ø Zyklus ${status.stats.cycleLength} Tage (${status.stats.shortest}-${status.stats.longest}), Ø Periode ${status.stats.periodLength} Tage` +
+                                    (status.stats.regular === null ? '' : status.stats.regular ? ' · regelmäßig' : ' · unregelmäßig')}
+                        </div>
+                    </div>
+                ` : ''}
+    
+                <button class="btn btn-sm btn-outline btn-error w-full mb-4" onclick="healthTracker?.togglePeriodToday?.()">
+                    <i data-lucide="droplet" class="w-4 h-4"></i>
+                    ${ongoing ? 'Periode endet heute' : 'Periode beginnt heute'}
+                </button>
+    
+                <form id="period-form" class="space-y-3">
+                    <div class="text-sm font-semibold">${periodId ? 'Periode bearbeiten' : 'Periode nachtragen'}</div>
+                    <div class="grid grid-cols-2 gap-2">
+                        <label class="form-control">
+                            <span class="label-text text-xs mb-1">Beginn</span>
+                            <input type="date" name="startDate" class="input input-bordered input-sm" required value="${period.startDate}">
+                        </label>
+                        <label class="form-control">
+                            <span class="label-text text-xs mb-1">Ende (leer = andauernd)</span>
+                            <input type="date" name="endDate" class="input input-bordered input-sm" value="${period.endDate || ''}">
+                        </label>
+                    </div>
+    
+                    <label class="form-control">
+                        <span class="label-text text-xs mb-1">Stärke</span>
+                        <select name="flow" class="select select-bordered select-sm">
+                            <option value="">Keine Angabe</option>
+                            ${CycleTracker.FLOW_LEVELS.map(flow => `
+                                <option value="${flow.key}" ${flow.key === period.flow ? 'selected' : ''}>${flow.label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+    
+                    <div>
+                        <span class="label-text text-xs">Symptome</span>
+                        <div class="flex flex-wrap gap-x-3 gap-y-1 mt-1">
+                            ${CycleTracker.SYMPTOMS.map(symptom => `
+                                <label class="label cursor-pointer gap-1 p-0">
+                                    <input type="checkbox" name="symptoms" value="${symptom.key}" class="checkbox checkbox-xs checkbox-error"
+                                           ${(period.symptoms || []).includes(symptom.key) ? 'checked' : ''}>
+                                    <span class="label-text text-xs">${symptom.label}</span>
+                                </label>
+                            `).join('')}
+                        </div>
+                    </div>
+    
+                    <textarea name="notes" class="textarea textarea-bordered textarea-sm w-full" maxlength="500" placeholder="Notizen (optional)">${this.escapeHTML(period.notes || '')}</textarea>
+    
+                    <div class="modal-action">
+                        ${periodId ? `
+                            <button type="button" class="btn btn-ghost" onclick="healthTracker?.showCycleModal?.()">Neu</button>
+                        ` : ''}
+                        <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Schließen</button>
+                        <button type="submit" class="btn btn-error">
+                            <i data-lucide="check" class="w-4 h-4"></i>
+                            Speichern
+                        </button>
+                    </div>
+                </form>
+    
+                ${history.length ? `
+                    <div class="divider text-xs">Bisherige Perioden</div>
+                    <div class="space-y-1 max-h-48 overflow-y-auto">
+                        ${history.map(item => `
+                            <div class="flex items-center gap-2 text-sm p-1 rounded ${item.id === periodId ? 'bg-error/10' : ''}">
+                                <span class="flex-1">
+                                    ${this.formatDayKey(item.startDate)} - ${item.endDate ? this.formatDayKey(item.endDate) : 'andauernd'}
+                                    ${item.flow ? `<span class="text-xs text-base-content/60">· ${flowLabel(item.flow)}</span>` : ''}
+                                </span>
+                                ${item.cycleLength ? `<span class="text-xs text-base-content/60" title="Zykluslänge">${item.cycleLength} T.</span>` : ''}
+                                <button class="btn btn-ghost btn-xs btn-square" title="Bearbeiten"
+                                        onclick="healthTracker?.showCycleModal?.({ periodId: '${this.escapeHTML(item.id)}' })">
+                                    <i data-lucide="pencil" class="w-3 h-3"></i>
+                                </button>
+                                <button class="btn btn-ghost btn-xs btn-square text-error" title="Löschen"
+                                        onclick="healthTracker?.confirmDeletePeriod?.('${this.escapeHTML(item.id)}')">
+                                    <i data-lucide="trash-2" class="w-3 h-3"></i>
+                                </button>
+                            </div>
+                        `).join('')}
+                    </div>
+                ` : ''}
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+    
+        const form = modal.querySelector('#period-form');
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(form);
+    
+            try {
+                await this.savePeriod({
+                    id: periodId || undefined,
+                    startDate: formData.get('startDate'),
+                    endDate: formData.get('endDate') || null,
+                    flow: formData.get('flow') || null,
+                    symptoms: formData.getAll('symptoms'),
+                    notes: this.sanitizeString(formData.get('notes'))
+                });
+    
+                this.showToast('🩸 Periode gespeichert', 'success');
+                this.showCycleModal();
+                await this.refreshAllComponents();
+            } catch (error) {
+                console.error('❌ Periode speichern fehlgeschlagen:', error);
+                this.showToast(`❌ ${error.message}`, 'error');
+            }
+        });
+    
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
         }
-        
-        // Update connection status in footer
-        this.updateFooterConnectionStatus();
-        window.addEventListener('online', () => this.updateFooterConnectionStatus());
-        window.addEventListener('offline', () => this.updateFooterConnectionStatus());
     }
+    
+    /**
+ * Enhanced today data aggregation
+ */
+getTodayData(allData) {
+    // Heutiges Datum in lokalem Format
+    const today = new Date();
+    const todayStr = today.getFullYear() + '-' + 
+        String(today.getMonth() + 1).padStart(2, '0') + '-' + 
+        String(today.getDate()).padStart(2, '0');
 
-    /** * Update footer statistics */
-    async updateFooterStats() {
-        try {
-            const allData = await this.getAllHealthData();
-            const todayData = this.getTodayData(allData);
-            const weekData = this.getWeekData(allData);
-            
-            // Today entries count
-            const today = new Date().toISOString().split('T')[0];
-            const todayEntries = allData.filter(entry => {
-                const entryDate = typeof entry.date === 'string' ? entry.date.split('T')[0] : entry.date;
-                return entryDate === today;
-            }).length;
-            
-            // Goals achieved today
-            let goalsAchieved = 0;
-            if (todayData.steps >= this.goals.stepsGoal) goalsAchieved++;
-            if (todayData.waterIntake >= this.goals.waterGoal) goalsAchieved++;
-            if (todayData.sleepHours >= this.goals.sleepGoal) goalsAchieved++;
-            if (this.goals.weightGoal && Math.abs(todayData.weight - this.goals.weightGoal) <= this.goals.weightGoal * 0.05) goalsAchieved++;
-            
-            // Calculate streak
-            const streak = this.calculateCurrentStreak(allData);
-            
-            // Update DOM
-            const todayEl = document.getElementById('footer-today-entries');
-            const weekEl = document.getElementById('footer-week-entries');
-            const goalsEl = document.getElementById('footer-goals-achieved');
-            const streakEl = document.getElementById('footer-current-streak');
-            
-            if (todayEl) todayEl.textContent = todayEntries;
-            if (weekEl) weekEl.textContent = weekData.length;
-            if (goalsEl) goalsEl.textContent = goalsAchieved;
-            if (streakEl) streakEl.textContent = streak;
-        } catch (error) {
-            console.error('Footer stats update error:', error);
-        }
-    }
+    console.log('🗓️ Suche Daten für:', todayStr);
+    console.log('📊 Verfügbare Daten:', allData?.length || 0);
 
-    /** * Update footer connection status */
-    updateFooterConnectionStatus() {
-        const statusEl = document.getElementById('footer-connection-status');
-        if (statusEl) {
-            const isOnline = navigator.onLine;
-            statusEl.innerHTML = `${isOnline ? '🌐 Online' : '📵 Offline'}`;
-            statusEl.className = `badge badge-ghost gap-1 ${isOnline ? '' : 'badge-warning'}`;
-        }
+    if (!allData || !Array.isArray(allData) || allData.length === 0) {
+        console.log('❌ Keine Daten verfügbar');
+        return { date: todayStr };
     }
 
-            /** 
- * Initialize Analytics Event Listeners through HealthTracker 
- * Optimierte Version mit verbessertem Error Handling
- */
-initializeAnalyticsEventListeners() {
-    try {
-        console.log('📊 Initializing analytics event listeners...');
-        
-        // Check if analytics engine exists
-        if (!this.analyticsEngine) {
-            console.log('⚠️ Analytics engine not available yet, retrying...');
-            setTimeout(() => this.initializeAnalyticsEventListeners(), 1000);
-            return;
+    // VERBESSERTES FILTERING - alle möglichen Datumsformate berücksichtigen
+    const todayEntries = allData.filter(entry => {
+        if (!entry || !entry.date) {
+            return false;
         }
 
-        // Period filter buttons - Implementation
-        document.querySelectorAll('[data-period]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                const button = e.target.closest('[data-period]');
-                
-                try {
-                    // Update active state
-                    document.querySelectorAll('[data-period]').forEach(b => {
-                        b.classList.remove('btn-primary', 'active');
-                        b.classList.add('btn-outline');
-                    });
-                    button.classList.remove('btn-outline');
-                    button.classList.add('btn-primary', 'active');
-                    
-                    // KORRIGIERT: Verwende AnalyticsEngine-Methode
-                    const period = parseInt(button.dataset.period);
-                    console.log('📊 Updating analytics period to:', period, 'days');
-                    
-                    // Direkter Aufruf der AnalyticsEngine-Methode
-                    if (typeof this.analyticsEngine.handlePeriodChange === 'function') {
-                        this.analyticsEngine.handlePeriodChange(period);
-                    } else {
-                        console.warn('⚠️ AnalyticsEngine handlePeriodChange not available');
-                        this.showToast('📊 Analytics-Update nicht verfügbar', 'warning');
-                    }
-                    
-                } catch (error) {
-                    console.error('❌ Period change error:', error);
-                    this.showToast('⚠️ Fehler beim Ändern des Zeitraums', 'warning');
-                }
-            });
-        });
-
-        // Metric Tab Event Listener
-        document.querySelectorAll('.metric-tab[data-metric]').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                e.preventDefault();
-                const button = e.target.closest('.metric-tab');
-                
-                try {
-                    console.log('📈 Metric clicked:', button.dataset.metric);
-                    
-                    // Update tab states
-                    document.querySelectorAll('.metric-tab').forEach(b => {
-                        b.classList.remove('tab-active');
-                    });
-                    button.classList.add('tab-active');
-                    
-                    // Get metric and label
-                    const metric = button.dataset.metric;
-                    
-                    // Verwende AnalyticsEngine-Methode
-                    if (typeof this.analyticsEngine.handleMetricChange === 'function') {
-                        this.analyticsEngine.handleMetricChange(metric);
-                    } else {
-                        console.warn('⚠️ AnalyticsEngine handleMetricChange not available');
-                        this.showToast('📊 Metric-Update nicht verfügbar', 'warning');
-                    }
-                    
-                } catch (error) {
-                    console.error('❌ Metric change error:', error);
-                    this.showToast('⚠️ Fehler beim Ändern der Metrik', 'warning');
-                }
-            });
-        });
-
-        console.log('✅ Analytics event listeners initialized successfully');
-        
-    } catch (error) {
-        console.error('❌ Analytics event listeners initialization failed:', error);
-        this.showToast('⚠️ Analytics-Features teilweise nicht verfügbar', 'warning');
-    }
-}
-
-/**
- * Set Initial Analytics State
- */
-setInitialAnalyticsState() {
-    try {
-        // Set default period button as active
-        const defaultPeriodBtn = document.querySelector('[data-period="14"]');
-        if (defaultPeriodBtn) {
-            defaultPeriodBtn.classList.add('btn-primary', 'active');
-            defaultPeriodBtn.classList.remove('btn-outline');
+        let entryDateStr;
+        // Fall 1: String-Datum (ISO oder einfach)
+        if (typeof entry.date === 'string') {
+            // ISO Format: "2025-08-06T10:30:00.000Z" -> "2025-08-06"
+            if (entry.date.includes('T')) {
+                entryDateStr = entry.date.split('T')[0];
+            } else {
+                entryDateStr = entry.date;
+            }
         }
-
-        // Set default metric tab as active
-        const defaultMetricTab = document.querySelector('.metric-tab[data-metric="all"]');
-        if (defaultMetricTab) {
-            defaultMetricTab.classList.add('tab-active');
+        // Fall 2: Date-Objekt
+        else if (entry.date instanceof Date) {
+            entryDateStr = entry.date.getFullYear() + '-' + 
+                String(entry.date.getMonth() + 1).padStart(2, '0') + '-' + 
+                String(entry.date.getDate()).padStart(2, '0');
+        }
+        // Fall 3: MongoDB Date String
+        else if (typeof entry.date === 'object' && entry.date.$date) {
+            const date = new Date(entry.date.$date);
+            entryDateStr = date.getFullYear() + '-' + 
+                String(date.getMonth() + 1).padStart(2, '0') + '-' + 
+                String(date.getDate()).padStart(2, '0');
+        } else {
+            console.log('⚠️ Unbekanntes Datumsformat:', entry.date, typeof entry.date);
+            return false;
         }
 
-        // Update data count
-        this.updateTrendsDataCount();
+        const matches = entryDateStr === todayStr;
+        console.log(`📅 "${entryDateStr}" === "${todayStr}" = ${matches}`);
+        return matches;
+    });
 
-    } catch (error) {
-        console.error('❌ Initial state setup error:', error);
+    console.log(`✅ Gefunden: ${todayEntries.length} heutige Einträge`);
+
+    if (todayEntries.length === 0) {
+        console.log('📊 Keine Einträge für heute - return empty object');
+        return { date: todayStr };
     }
-}
 
-/**
- * Get Filtered Health Data
- */
-getFilteredHealthData(days = 14) {
-    try {
-        if (!this.healthData || !Array.isArray(this.healthData)) {
-            return [];
-        }
+    // AGGREGATION - ALLE WERTE SAMMELN
+    const aggregatedData = {
+        date: todayStr,
+        weight: null,
+        steps: 0,
+        waterIntake: 0,
+        sleepHours: 0,
+        mood: null,
+        notes: [],
+        entryCount: todayEntries.length,
+        lastUpdated: null
+    };
 
-        const cutoffDate = new Date();
-        cutoffDate.setDate(cutoffDate.getDate() - days);
+    console.log('🔄 Aggregiere Einträge...');
+    todayEntries.forEach((entry, index) => {
+        console.log(`Eintrag ${index + 1}:`, {
+            weight: entry.weight,
+            steps: entry.steps,
+            waterIntake: entry.waterIntake,
+            sleepHours: entry.sleepHours,
+            mood: entry.mood
+        });
 
-        return this.healthData.filter(item => {
-            const itemDate = new Date(item.date);
-            return itemDate >= cutoffDate;
-        }).sort((a, b) => new Date(a.date) - new Date(b.date));
+        // Gewicht (letzter Wert)
+        if (entry.weight !== null && entry.weight !== undefined) {
+            aggregatedData.weight = entry.weight;
+            console.log(`⚖️ Gewicht aktualisiert: ${aggregatedData.weight}kg`);
+        }
 
-    } catch (error) {
-        console.error('❌ Data filtering error:', error);
-        return [];
-    }
-}
+        // Schritte (summieren)
+        if (entry.steps && entry.steps > 0) {
+            aggregatedData.steps += entry.steps;
+            console.log(`🚶♂️ Schritte summiert: ${aggregatedData.steps}`);
+        }
 
-/**
- * Apply Metric Filter
- */
-applyMetricFilter(metric) {
-    try {
-        this.currentMetricFilter = metric;
-        
-        // Update chart with current filter
-        const filteredData = this.getFilteredHealthData(this.currentAnalyticsPeriod);
-        
-        if (this.analyticsEngine && typeof this.analyticsEngine.updateTrendsChart === 'function') {
-            this.analyticsEngine.updateTrendsChart(filteredData);
+        // Wasser (summieren)
+        if (entry.waterIntake && entry.waterIntake > 0) {
+            aggregatedData.waterIntake += entry.waterIntake;
+            console.log(`💧 Wasser summiert: ${aggregatedData.waterIntake}L`);
         }
-        
-        // Update UI elements
-        this.updateMetricFilterUI(metric);
-        
-    } catch (error) {
-        console.error('❌ Metric filter error:', error);
-    }
-}
 
-/**
- * Update Metric Filter UI
- */
-updateMetricFilterUI(metric) {
-    try {
-        const labels = {
-            'all': 'Alle Metriken',
-            'steps': 'Schritte',
-            'waterIntake': 'Wasser',
-            'sleepHours': 'Schlaf',
-            'weight': 'Gewicht'
-        };
+        // Schlaf (summieren)
+        if (entry.sleepHours && entry.sleepHours > 0) {
+            aggregatedData.sleepHours += entry.sleepHours;
+            console.log(`😴 Schlaf summiert: ${aggregatedData.sleepHours}h`);
+        }
 
-        // Update title
-        const titleElement = document.getElementById('trends-title');
-        if (titleElement) {
-            titleElement.textContent = `${labels[metric] || 'Trends'} & Entwicklung`;
+        // Stimmung (letzter Wert)
+        if (entry.mood) {
+            aggregatedData.mood = entry.mood;
+            console.log(`😊 Stimmung: ${aggregatedData.mood}`);
         }
 
-        // Update active tab
-        document.querySelectorAll('.metric-tab').forEach(tab => {
-            tab.classList.remove('tab-active');
-            if (tab.dataset.metric === metric) {
-                tab.classList.add('tab-active');
-            }
-        });
+        // Notizen sammeln
+        if (entry.notes && entry.notes.trim()) {
+            aggregatedData.notes.push(entry.notes.trim());
+        }
+    });
 
-    } catch (error) {
-        console.error('❌ UI update error:', error);
-    }
-}
+    // Nachbearbeitung
+    aggregatedData.notes = aggregatedData.notes.length > 0 ? 
+        aggregatedData.notes.join(' | ') : null;
+    aggregatedData.waterIntake = Math.round(aggregatedData.waterIntake * 10) / 10;
+    aggregatedData.sleepHours = Math.round(aggregatedData.sleepHours * 10) / 10;
 
-/**
- * Update Trends Data Count
- */
-updateTrendsDataCount() {
-    try {
-        const dataCountElement = document.getElementById('trends-data-count');
-        if (dataCountElement && this.healthData) {
-            const count = this.healthData.length;
-            const days = count > 0 ? Math.min(count, this.currentAnalyticsPeriod) : 0;
-            dataCountElement.textContent = `${days} Tage`;
-        }
-    } catch (error) {
-        console.error('❌ Data count update error:', error);
-    }
+    console.log('📊 FINALE DATEN:', aggregatedData);
+    return aggregatedData;
 }
-
-    // === MEHR-MENÜ FUNKTIONEN ===
-showImportExport() {
-    console.log('📥 Import/Export Dialog wird geöffnet');
-    const modal = document.createElement('div');
-    modal.className = 'modal modal-open';
-    modal.innerHTML = `
-        <div class="modal-box max-w-2xl">
-            <h3 class="font-bold text-lg mb-4">📥 Daten Import/Export</h3>
+    
+    /**
+     * Update individual stat card
+     */
+    updateStatCard(elementId, value, unit, icon) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            const displayValue = value ? (typeof value === 'number' ? 
+                value.toLocaleString('de-DE') : value) : '—';
+            element.textContent = `${displayValue}${unit}`;
             
-            <div class="tabs tabs-bordered mb-4">
-                <a class="tab tab-active" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('export-tab').style.display='block'; document.getElementById('import-tab').style.display='none'">Export</a>
-                <a class="tab" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('import-tab').style.display='block'; document.getElementById('export-tab').style.display='none'">Import</a>
-            </div>
+            // Add subtle animation
+            element.style.transform = 'scale(1.05)';
+            setTimeout(() => {
+                element.style.transform = 'scale(1)';
+            }, 200);
+        }
+    }
+    
+    /**
+     * Update progress indicator element
+     */
+    updateProgressIndicator(elementId, progress) {
+        const element = document.getElementById(elementId);
+        if (element) {
+            element.style.setProperty('--value', Math.round(progress));
+            
+            // Update text content if it's a progress element
+            const textEl = element.querySelector('.progress-text') || element;
+            if (textEl !== element) {
+                textEl.textContent = Math.round(progress) + '%';
+            }
+        }
+    }
+    
+    /**
+     * Get all health data from server or localStorage
+     */
+    async getAllHealthData(days = this.historyDays) {
+        try {
+            let allData = [];
+            
+            // Try server first if online - lädt nur den noch fehlenden Zeitraum nach
+            if (this.isOnline) {
+                try {
+                    allData = (await this.loadHealthHistory(days)).data;
+                } catch (error) {
+                    console.log('Server Daten nicht verfügbar:', error.message);
+                }
+            }
+            
+            // Use cached data if available and fresh
+            const cached = this.cache.get('allHealthData');
+            if (allData.length === 0 && cached && (Date.now() - cached.timestamp < 300000)) { // 5 minutes
+                allData = cached.data;
+            }
+            
+            // Fallback to local IndexedDB store
+            if (!Array.isArray(allData) || allData.length === 0) {
+                return await this.refreshLocalSnapshot();
+            }
+            
+            // Noch nicht synchronisierte lokale Änderungen über Serverdaten legen
+            return await this.applyPendingLocalChanges(allData);
+            
+        } catch (error) {
+            console.error('❌ Fehler beim Laden der Gesundheitsdaten:', error);
+            return [];
+        }
+    }
 
-            <div id="export-tab">
-                <p class="mb-4">Exportiere deine Gesundheitsdaten als JSON-Datei:</p>
-                <button class="btn btn-primary mb-4" onclick="healthTracker.exportData()">📤 Daten exportieren</button>
-            </div>
+    /**
+     * Verlauf der letzten `days` Tage sicherstellen - ein frischer Cache wird nur um
+     * den älteren, noch fehlenden Zeitraum erweitert
+     * @returns {Promise<{data: Array, from: string, timestamp: number}>}
+     */
+    async loadHealthHistory(days) {
+        const from = this.shiftDateKey(this.getLocalDateKey(new Date()), -days);
+        const cached = this.cache.get('allHealthData');
+        const isFresh = cached?.from && (Date.now() - cached.timestamp < 300000); // 5 minutes
+        
+        if (isFresh && cached.from <= from) {
+            return cached;
+        }
+        
+        // Parallele Aufrufe (refreshAllComponents) teilen sich einen laufenden Ladevorgang
+        if (this.historyLoad && this.historyLoad.from <= from) {
+            return this.historyLoad.promise;
+        }
+        
+        const promise = (async () => {
+            const olderEntries = await this.fetchHealthDataRange({
+                from,
+                to: isFresh ? this.shiftDateKey(cached.from, -1) : null
+            });
+            
+            const history = {
+                data: isFresh ? [...cached.data, ...olderEntries] : olderEntries,
+                from,
+                timestamp: isFresh ? cached.timestamp : Date.now()
+            };
+            this.cache.set('allHealthData', history);
+            
+            console.log(`📚 Verlauf ab ${from}: ${history.data.length} Einträge (${olderEntries.length} neu geladen)`);
+            return history;
+        })();
+        
+        this.historyLoad = { from, promise };
+        try {
+            return await promise;
+        } finally {
+            if (this.historyLoad?.promise === promise) this.historyLoad = null;
+        }
+    }
 
-            <div id="import-tab" style="display:none">
-                <p class="mb-4">Importiere deine Gesundheitsdaten aus einer JSON-Datei:</p>
-                <input type="file" class="file-input file-input-bordered w-full mb-4" id="import-file" accept=".json">
-                <button class="btn btn-primary" onclick="healthTracker.importData()">📥 Daten importieren</button>
-            </div>
+    /**
+     * Alle Seiten eines Zeitraums vom Server laden (neueste zuerst)
+     */
+    async fetchHealthDataRange(query = {}) {
+        const entries = [];
+        let cursor = null;
+        
+        do {
+            const page = await this.fetchHealthDataPage({ ...query, cursor, limit: this.historyPageSize });
+            entries.push(...page.data);
+            cursor = page.hasMore ? page.nextCursor : null;
+        } while (cursor);
+        
+        return entries;
+    }
 
-            <div class="modal-action">
-                <button class="btn" onclick="this.closest('.modal').remove()">Schließen</button>
-            </div>
-        </div>
-    `;
-    document.body.appendChild(modal);
-}
+    /**
+     * Eine Seite GET /health-data/{userId}
+     * @param {{from?: string, to?: string, cursor?: string, limit?: number, fields?: string[], metrics?: string[]}} query
+     * @returns {Promise<{data: Array, hasMore: boolean, nextCursor: string|null}>}
+     */
+    async fetchHealthDataPage(query = {}) {
+        const params = new URLSearchParams();
+        ['from', 'to', 'cursor', 'limit'].forEach(key => {
+            if (query[key]) params.set(key, query[key]);
+        });
+        ['fields', 'metrics'].forEach(key => {
+            if (query[key]?.length) params.set(key, query[key].join(','));
+        });
+        
+        const queryString = params.toString();
+        const response = await this.makeAPICall(`/api/health-data/${this.userId}${queryString ? `?${queryString}` : ''}`);
+        
+        // Ältere API-Antworten (z.B. aus dem Service-Worker-Cache) sind ein reines Array
+        if (Array.isArray(response)) {
+            return { data: response, hasMore: false, nextCursor: null };
+        }
+        
+        return {
+            data: response.data || [],
+            hasMore: !!response.pagination?.hasMore,
+            nextCursor: response.pagination?.nextCursor || null
+        };
+    }
+
+    /**
+     * IANA-Zeitzone des Geräts - wird als X-Timezone an die API gesendet
+     */
+    getTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Kalendertag ("YYYY-MM-DD") eines Eintragsdatums - wie auf dem Server gilt
+     * UTC-Mitternacht als gespeicherter Kalendertag, jeder andere Zeitpunkt zählt zum lokalen Tag
+     */
+    getDateKey(value) {
+        if (!value) return null;
+        if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) return value;
+
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) return null;
+
+        const isCalendarDay = date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+            date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+        return isCalendarDay ? date.toISOString().split('T')[0] : this.getLocalDateKey(date);
+    }
+
+    getLocalDateKey(date) {
+        return date.getFullYear() + '-' +
+               String(date.getMonth() + 1).padStart(2, '0') + '-' +
+               String(date.getDate()).padStart(2, '0');
+    }
+
+    shiftDateKey(dateKey, days) {
+        const date = new Date(`${dateKey}T00:00:00.000Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().split('T')[0];
+    }
 
 /**
- * Zeige erweiterte Datenschutz-Informationen mit GDPR-Compliance
+ * Enhanced today data aggregation with multiple entries support
  */
-showDataPrivacy() {
-    console.log('🔒 Datenschutz-Info wird angezeigt (optimiert)');
+getTodayData(allData) {
+    // Berücksichtige lokale Zeitzone
+    const todayStr = this.getLocalDateKey(new Date());
     
-    try {
-        // Prüfe ob bereits ein Privacy-Modal existiert
-        const existingModal = document.querySelector('.privacy-modal');
-        if (existingModal) {
-            existingModal.remove();
+    console.log('🗓️ Suche Daten für heute:', todayStr);
+    
+    // Filter entries for today - Kalendertag wie auf dem Server bestimmen
+    const todayEntries = allData.filter(entry => {
+        const entryDateStr = this.getDateKey(entry.date);
+        if (!entryDateStr) return false;
+        
+        const isToday = entryDateStr === todayStr;
+        console.log(`📅 Entry date: ${entryDateStr}, Today: ${todayStr}, Match: ${isToday}`);
+        return isToday;
+    });
+    
+    console.log(`✅ Found ${todayEntries.length} entries for today:`, todayEntries);
+    
+    if (todayEntries.length === 0) {
+        return { date: todayStr };
+    }
+    
+    // Sort entries by event time (newest first)
+    todayEntries.sort((a, b) => MetricRegistry.getEntryTime(b) - MetricRegistry.getEntryTime(a));
+    
+    // Aggregate multiple entries for the same day - gleiche Regeln wie die API (MetricRegistry)
+    const day = MetricRegistry.aggregateDay(todayEntries);
+    const aggregatedData = {
+        date: todayStr,
+        weight: day.weight,
+        steps: day.steps ?? 0,
+        waterIntake: day.waterIntake ?? 0,
+        sleepHours: day.sleepHours ?? 0,
+        mood: day.mood,
+        calories: day.calories ?? 0,
+        protein: day.protein ?? 0,
+        carbs: day.carbs ?? 0,
+        fat: day.fat ?? 0,
+        notes: [],
+        entryCount: todayEntries.length,
+        lastUpdated: day.lastUpdated
+    };
+    
+    // Collect all notes with timestamps
+    todayEntries.forEach(entry => {
+        if (entry.notes && entry.notes.trim()) {
+            const timestamp = new Date(entry.loggedAt || entry.createdAt || entry.date).toLocaleTimeString('de-DE', {
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+            aggregatedData.notes.push(`${timestamp}: ${entry.notes.trim()}`);
         }
+    });
+    
+    // Process notes
+    aggregatedData.notes = aggregatedData.notes.length > 0 ? aggregatedData.notes.join('\n') : null;
+    
+    // Convert lastUpdated to readable format
+    if (aggregatedData.lastUpdated) {
+        aggregatedData.lastUpdatedFormatted = new Date(aggregatedData.lastUpdated).toLocaleTimeString('de-DE', {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+    
+    console.log('📊 Final aggregated data:', aggregatedData);
+    return aggregatedData;
+}
+    
+    /**
+     * Erste und letzte Messung je Körpermetrik - Maße werden selten täglich erfasst,
+     * daher nicht aus getTodayData. Dazu BMI, Taille-Hüfte-Verhältnis und Magermasse
+     * aus den letzten Werten und der Körpergröße (goals.height)
+     * @returns {{ first: Object, latest: Object, composition: Object }}
+     */
+    getBodyMetrics(allData) {
+        const days = MetricRegistry.aggregateByDay(allData || [], entry => this.getDateKey(entry.date));
+        const first = {};
+        const latest = {};
+        ['weight', ...MetricRegistry.BODY_MEASUREMENTS, 'bodyFat'].forEach(key => {
+            const measured = days.filter(day => day[key] !== null && day[key] !== undefined);
+            latest[key] = measured[0]?.[key] ?? null;
+            first[key] = measured[measured.length - 1]?.[key] ?? null;
+        });
         
-        // Sammle aktuelle Privacy-relevante Daten
-        const privacyStats = this.getPrivacyStats();
+        return {
+            first,
+            latest,
+            composition: MetricRegistry.calculateBodyComposition(latest, this.goals.height)
+        };
+    }
+    
+    /**
+ * Get current week's health data with improved date filtering
+ */
+getWeekData(allData) {
+    if (!allData || !Array.isArray(allData) || allData.length === 0) {
+        console.log('❌ Keine Daten für Wochenfilterung verfügbar');
+        return [];
+    }
+
+    const now = new Date();
+    const oneWeekAgo = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
+    
+    console.log('📅 Wochenfilter:', {
+        von: oneWeekAgo.toISOString().split('T')[0],
+        bis: now.toISOString().split('T')[0],
+        gesamtDaten: allData.length
+    });
+
+    const weekData = allData.filter(entry => {
+        if (!entry || !entry.date) {
+            return false;
+        }
+
+        let entryDate;
         
-        const modal = document.createElement('div');
-        modal.className = 'modal modal-open privacy-modal';
-        modal.innerHTML = `
-            <div class="modal-box max-w-4xl max-h-[90vh] overflow-y-auto">
-                <!-- Enhanced Header mit Privacy-Shield Animation -->
-                <div class="flex items-center gap-4 mb-8 sticky top-0 bg-base-100 py-4 border-b border-base-300/50 z-10">
-                    <div class="relative">
-                        <div class="p-3 bg-gradient-to-br from-success/10 via-success/5 to-success/10 rounded-2xl border border-success/20 shadow-lg">
-                            <i data-lucide="shield-check" class="w-8 h-8 text-success animate-pulse"></i>
-                        </div>
-                        <!-- Security Aura Effect -->
-                        <div class="absolute inset-0 bg-success/10 rounded-2xl scale-125 opacity-50 animate-ping"></div>
-                    </div>
-                    <div class="flex-1">
-                        <h3 class="text-3xl font-bold bg-gradient-to-r from-success to-success/70 bg-clip-text text-transparent">
-                            🔒 Datenschutz & Privatsphäre
-                        </h3>
-                        <p class="text-base-content/70 mt-1">Privacy-First Design mit End-to-End Sicherheit</p>
-                        <div class="flex gap-2 mt-2">
-                            <div class="badge badge-success badge-sm gap-1">
-                                <i data-lucide="check" class="w-3 h-3"></i>
-                                GDPR-konform
-                            </div>
-                            <div class="badge badge-primary badge-sm gap-1">
-                                <i data-lucide="wifi-off" class="w-3 h-3"></i>
-                                Offline-First
-                            </div>
-                            <div class="badge badge-secondary badge-sm gap-1">
-                                <i data-lucide="lock" class="w-3 h-3"></i>
-                                Verschlüsselt
-                            </div>
+        // Verschiedene Datumsformate handhaben
+        if (typeof entry.date === 'string') {
+            // ISO Format oder einfaches Datum
+            if (entry.date.includes('T')) {
+                entryDate = new Date(entry.date.split('T')[0]);
+            } else {
+                entryDate = new Date(entry.date);
+            }
+        } else if (entry.date instanceof Date) {
+            entryDate = entry.date;
+        } else if (typeof entry.date === 'object' && entry.date.$date) {
+            entryDate = new Date(entry.date.$date);
+        } else {
+            console.log('⚠️ Unbekanntes Datumsformat in Woche:', entry.date);
+            return false;
+        }
+
+        // Prüfe ob Datum in der letzten Woche liegt
+        const isInWeek = entryDate >= oneWeekAgo && entryDate <= now;
+        
+        if (isInWeek) {
+            console.log(`✅ Wocheneintrag: ${entryDate.toISOString().split('T')[0]} - Steps: ${entry.steps}, Water: ${entry.waterIntake}, Sleep: ${entry.sleepHours}`);
+        }
+        
+        return isInWeek;
+    });
+
+    console.log(`📊 Wöchentliche Daten gefiltert: ${weekData.length} Einträge`);
+    return weekData;
+}
+    
+    /**
+ * Calculate weekly averages with improved validation
+ */
+calculateWeeklyAverages(weekData) {
+    console.log('🧮 Berechne Wochendurchschnitte für', weekData.length, 'Einträge');
+    
+    if (!weekData || weekData.length === 0) {
+        console.log('❌ Keine Wochendaten für Durchschnitt verfügbar');
+        return { steps: 0, water: 0, sleep: 0 };
+    }
+
+    let validStepsEntries = 0;
+    let validWaterEntries = 0;
+    let validSleepEntries = 0;
+
+    const totals = weekData.reduce((acc, entry) => {
+        console.log(`📊 Verarbeite Eintrag:`, {
+            date: entry.date,
+            steps: entry.steps,
+            water: entry.waterIntake,
+            sleep: entry.sleepHours
+        });
+
+        if (entry.steps && entry.steps > 0) {
+            acc.steps += entry.steps;
+            validStepsEntries++;
+        }
+        if (entry.waterIntake && entry.waterIntake > 0) {
+            acc.water += entry.waterIntake;
+            validWaterEntries++;
+        }
+        if (entry.sleepHours && entry.sleepHours > 0) {
+            acc.sleep += entry.sleepHours;
+            validSleepEntries++;
+        }
+        return acc;
+    }, { steps: 0, water: 0, sleep: 0 });
+
+    console.log('📊 Wochentotale:', totals);
+    console.log('📊 Gültige Einträge:', {
+        steps: validStepsEntries,
+        water: validWaterEntries,
+        sleep: validSleepEntries
+    });
+
+    const averages = {
+        steps: validStepsEntries > 0 ? Math.round(totals.steps / validStepsEntries) : 0,
+        water: validWaterEntries > 0 ? Math.round((totals.water / validWaterEntries) * 10) / 10 : 0,
+        sleep: validSleepEntries > 0 ? Math.round((totals.sleep / validSleepEntries) * 10) / 10 : 0
+    };
+
+    console.log('📊 Berechnete Wochendurchschnitte:', averages);
+    return averages;
+}
+    
+    /**
+ * Refresh all components with new data
+ */
+async refreshAllComponents() {
+  try {
+    this.cache?.delete?.('allHealthData');
+
+    await this.updateDashboardStats?.();
+    await this.updateHeroStats?.();
+    this.renderMedicationDashboard?.();
+
+    if (this.activityFeed && typeof this.activityFeed.load === 'function') {
+      await this.activityFeed.load();
+    }
+
+    if (this.progressHub && typeof this.progressHub.loadViewData === 'function') {
+      const viewToShow = this.progressHub.currentView || 'overview';
+      // erst View setzen, dann laden (wichtig für DOM-Container)
+      if (typeof this.progressHub.showView === 'function') {
+        this.progressHub.showView(viewToShow);
+      }
+      await this.progressHub.loadViewData();
+    }
+
+    if (this.analyticsEngine && typeof this.analyticsEngine.updateAllAnalytics === 'function') {
+      await this.analyticsEngine.updateAllAnalytics();
+    }
+  } catch (error) {
+    console.error('❌ Fehler beim Aktualisieren der Komponenten:', error);
+  }
+}
+
+/**
+ * Update dashboard statistics with improved week data handling
+ */
+async updateDashboardStats() {
+    try {
+        console.log('📊 Aktualisiere Dashboard-Statistiken...');
+        
+        const data = await this.getAllHealthData();
+        console.log('📊 Geladene Daten:', data.length, 'Einträge');
+        
+        const todayData = this.getTodayData(data);
+        const weekData = this.getWeekData(data);
+        
+        console.log('📊 Heute-Daten:', todayData);
+        console.log('📊 Wochen-Daten:', weekData.length, 'Einträge');
+
+        // Update today's stats
+        this.updateStatCard('today-weight', todayData.weight, 'kg', '⚖️');
+        this.updateStatCard('today-steps', todayData.steps, '', '🚶♂️');
+        this.updateStatCard('today-water', todayData.waterIntake, 'L', '💧');
+        this.updateStatCard('today-sleep', todayData.sleepHours, 'h', '😴');
+
+        // Update weekly averages
+        const weeklyAvg = this.calculateWeeklyAverages(weekData);
+        console.log('📊 Wöchentliche Durchschnitte berechnet:', weeklyAvg);
+        
+        this.updateStatCard('week-steps', weeklyAvg.steps, '', '📊');
+        this.updateStatCard('week-water', weeklyAvg.water, 'L', '📈');
+        this.updateStatCard('week-sleep', weeklyAvg.sleep, 'h', '🌙');
+
+        // Update goal progress
+        this.updateGoalProgress(todayData);
+
+        console.log('✅ Dashboard Stats erfolgreich aktualisiert');
+    } catch (error) {
+        console.error('❌ Fehler beim Aktualisieren der Statistiken:', error);
+    }
+}
+
+/**
+ * Update Hero section statistics with real data
+ */
+async updateHeroStats() {
+    try {
+        const allData = await this.getAllHealthData();
+        const todayData = this.getTodayData(allData);
+        
+        console.log('🎯 Updating Hero stats with data:', { todayData, totalEntries: allData.length });
+        
+        // Calculate goals achieved today
+        let goalsAchieved = 0;
+        let totalGoals = 0;
+        
+        if (this.goals.stepsGoal) {
+            totalGoals++;
+            if (todayData.steps >= this.goals.stepsGoal) goalsAchieved++;
+        }
+        
+        if (this.goals.waterGoal) {
+            totalGoals++;
+            if (todayData.waterIntake >= this.goals.waterGoal) goalsAchieved++;
+        }
+        
+        if (this.goals.sleepGoal) {
+            totalGoals++;
+            if (todayData.sleepHours >= this.goals.sleepGoal) goalsAchieved++;
+        }
+        
+        if (this.goals.weightGoal && todayData.weight) {
+            totalGoals++;
+            const weightDiff = Math.abs(todayData.weight - this.goals.weightGoal);
+            if (weightDiff <= this.goals.weightGoal * 0.05) goalsAchieved++; // 5% tolerance
+        }
+        
+        // Calculate current streak
+        const currentStreak = this.calculateCurrentStreak(allData);
+        
+        // Calculate weekly improvement
+        const weeklyImprovement = this.calculateWeeklyImprovement(allData);
+        
+        // Update Hero elements with animation
+        this.updateHeroElement('hero-goals-today', `${goalsAchieved}/${totalGoals}`);
+        this.updateHeroElement('hero-current-streak', currentStreak);
+        this.updateHeroElement('hero-improvement', `${weeklyImprovement >= 0 ? '+' : ''}${weeklyImprovement}%`);
+        this.updateHeroElement('hero-total-entries', allData.length);
+        
+        console.log('✅ Hero stats updated successfully');
+        
+    } catch (error) {
+        console.error('❌ Error updating hero stats:', error);
+        // Show fallback values on error
+        this.updateHeroElement('hero-goals-today', '0/0');
+        this.updateHeroElement('hero-current-streak', '0');
+        this.updateHeroElement('hero-improvement', '0%');
+        this.updateHeroElement('hero-total-entries', '0');
+    }
+}
+
+/**
+ * Update individual hero statistic element with animation
+ */
+updateHeroElement(elementId, value) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        // Add loading animation
+        element.style.opacity = '0.5';
+        element.style.transform = 'scale(0.9)';
+        element.style.transition = 'all 0.3s ease';
+        
+        setTimeout(() => {
+            element.textContent = value;
+            element.style.opacity = '1';
+            element.style.transform = 'scale(1)';
+            
+            // Add success animation
+            setTimeout(() => {
+                element.style.transform = 'scale(1.05)';
+                setTimeout(() => {
+                    element.style.transform = 'scale(1)';
+                }, 200);
+            }, 100);
+        }, 150);
+    }
+}
+
+/**
+ * Calculate current tracking streak
+ */
+calculateCurrentStreak(allData) {
+    if (!allData || allData.length === 0) return 0;
+    
+    let streak = 0;
+    const today = new Date();
+    
+    for (let i = 0; i < 365; i++) { // Max 1 year streak
+        const checkDate = new Date(today.getTime() - (i * 24 * 60 * 60 * 1000));
+        const dateStr = checkDate.getFullYear() + '-' + 
+                       String(checkDate.getMonth() + 1).padStart(2, '0') + '-' + 
+                       String(checkDate.getDate()).padStart(2, '0');
+        
+        const hasEntry = allData.some(entry => {
+            if (!entry.date) return false;
+            let entryDateStr;
+            
+            if (typeof entry.date === 'string') {
+                entryDateStr = entry.date.split('T')[0];
+            } else if (entry.date instanceof Date) {
+                entryDateStr = entry.date.getFullYear() + '-' + 
+                              String(entry.date.getMonth() + 1).padStart(2, '0') + '-' + 
+                              String(entry.date.getDate()).padStart(2, '0');
+            } else {
+                return false;
+            }
+            
+            return entryDateStr === dateStr;
+        });
+        
+        if (hasEntry) {
+            streak++;
+        } else {
+            break;
+        }
+    }
+    
+    return streak;
+}
+
+/**
+ * Calculate weekly improvement percentage
+ */
+calculateWeeklyImprovement(allData) {
+    if (!allData || allData.length < 7) return 0;
+    
+    const now = new Date();
+    const thisWeekStart = new Date(now.getTime() - (7 * 24 * 60 * 60 * 1000));
+    const lastWeekStart = new Date(now.getTime() - (14 * 24 * 60 * 60 * 1000));
+    
+    const thisWeek = allData.filter(entry => {
+        const date = new Date(entry.date);
+        return date >= thisWeekStart;
+    });
+    
+    const lastWeek = allData.filter(entry => {
+        const date = new Date(entry.date);
+        return date >= lastWeekStart && date < thisWeekStart;
+    });
+    
+    if (thisWeek.length === 0 || lastWeek.length === 0) return 0;
+    
+    // Calculate average steps for comparison
+    const thisWeekSteps = thisWeek.reduce((sum, d) => sum + (d.steps || 0), 0) / thisWeek.length;
+    const lastWeekSteps = lastWeek.reduce((sum, d) => sum + (d.steps || 0), 0) / lastWeek.length;
+    
+    if (lastWeekSteps === 0) return 0;
+    
+    return Math.round(((thisWeekSteps - lastWeekSteps) / lastWeekSteps) * 100);
+}
+
+/**
+ * Update individual stat card
+ */
+updateStatCard(elementId, value, unit, icon) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        const displayValue = value ? (typeof value === 'number' ? value.toLocaleString('de-DE') : value) : '—';
+        element.textContent = `${displayValue}${unit}`;
+        
+        // Add subtle animation
+        element.style.transform = 'scale(1.05)';
+        setTimeout(() => {
+            element.style.transform = 'scale(1)';
+        }, 200);
+    }
+}
+
+/**
+ * Update goal progress indicators
+ */
+updateGoalProgress(todayData) {
+    // Steps progress
+    if (todayData.steps && this.goals.stepsGoal) {
+        const progress = Math.min((todayData.steps / this.goals.stepsGoal) * 100, 100);
+        this.updateProgressIndicator('steps-progress', progress);
+    }
+
+    // Water progress
+    if (todayData.waterIntake && this.goals.waterGoal) {
+        const progress = Math.min((todayData.waterIntake / this.goals.waterGoal) * 100, 100);
+        this.updateProgressIndicator('water-progress', progress);
+    }
+
+    // Sleep progress
+    if (todayData.sleepHours && this.goals.sleepGoal) {
+        const progress = Math.min((todayData.sleepHours / this.goals.sleepGoal) * 100, 100);
+        this.updateProgressIndicator('sleep-progress', progress);
+    }
+
+    // Weight progress (if goal is set)
+    if (todayData.weight && this.goals.weightGoal) {
+        const diff = Math.abs(todayData.weight - this.goals.weightGoal);
+        const maxDiff = this.goals.weightGoal * 0.1; // 10% tolerance
+        const progress = Math.max(0, Math.min(100, ((maxDiff - diff) / maxDiff) * 100));
+        this.updateProgressIndicator('weight-progress', progress);
+    }
+}
+
+/**
+ * Update progress indicator element
+ */
+updateProgressIndicator(elementId, progress) {
+    const element = document.getElementById(elementId);
+    if (element) {
+        element.style.setProperty('--value', Math.round(progress));
+        
+        // Update text content if it's a progress element
+        const textEl = element.querySelector('.progress-text') || element;
+        if (textEl !== element) {
+            textEl.textContent = Math.round(progress) + '%';
+        }
+    }
+}
+
+/**
+ * Calculate weekly averages - erst pro Tag aggregieren (MetricRegistry), dann über Tage mitteln
+ */
+calculateWeeklyAverages(weekData) {
+    if (!weekData || weekData.length === 0) {
+        return { steps: 0, water: 0, sleep: 0 };
+    }
+
+    const days = MetricRegistry.aggregateByDay(weekData, entry => this.getDateKey(entry.date));
+
+    return {
+        steps: Math.round(MetricRegistry.averageDaily(days, 'steps') || 0),
+        water: Math.round((MetricRegistry.averageDaily(days, 'waterIntake') || 0) * 10) / 10,
+        sleep: Math.round((MetricRegistry.averageDaily(days, 'sleepHours') || 0) * 10) / 10,
+        weight: MetricRegistry.averageDaily(days, 'weight')
+    };
+}
+    
+    // ====================================================================
+    // NETWORK & SYNC MANAGEMENT
+    // ====================================================================
+    
+    /**
+     * Handle online status change
+     */
+    async handleOnlineStatus() {
+        this.isOnline = true;
+        this.updateConnectionStatus(true);
+        
+        // Sync offline data
+        if (!this.syncInProgress) {
+            await this.syncOfflineData();
+        }
+    }
+    
+    /**
+     * Handle offline status change
+     */
+    handleOfflineStatus() {
+        this.isOnline = false;
+        this.updateConnectionStatus(false);
+    }
+    
+    /**
+     * Update connection status indicator
+     */
+    updateConnectionStatus(isOnline) {
+        const statusEl = document.getElementById('connection-status');
+        if (statusEl) {
+            statusEl.textContent = isOnline ? '🌐 Online' : '📵 Offline';
+            statusEl.className = `text-xs ${isOnline ? 'text-green-600' : 'text-yellow-600'}`;
+        }
+        
+        // Show toast notification
+        if (isOnline) {
+            this.showToast('🌐 Verbindung wiederhergestellt', 'success');
+        } else {
+            this.showToast('📵 Offline-Modus aktiv', 'warning');
+        }
+    }
+    
+    /**
+     * Delta-Sync über die gemeinsame Outbox (auch vom Service Worker genutzt)
+     * @param {{silent?: boolean, force?: boolean}} options - silent unterdrückt den Erfolgs-Toast,
+     *        force ignoriert den Retry-Backoff
+     */
+    async syncOfflineData(options = {}) {
+        if (!this.isOnline || !this.isAuthenticated()) {
+            return null;
+        }
+        
+        // Laufender Sync: danach erneut syncen, damit neue Änderungen nicht warten
+        if (this.syncInProgress) {
+            this.syncRequested = true;
+            return null;
+        }
+        
+        try {
+            this.syncInProgress = true;
+            let summary;
+            
+            do {
+                this.syncRequested = false;
+                summary = await this.outbox.flush({ force: options.force });
+            } while (this.syncRequested && !summary.error);
+            
+            await this.handleSyncSummary(summary, options);
+            return summary;
+            
+        } catch (error) {
+            console.error('❌ Sync fehler:', error);
+            return null;
+        } finally {
+            this.syncInProgress = false;
+        }
+    }
+    
+    /**
+     * Ergebnis eines Outbox-Durchlaufs anzeigen - von der Seite oder vom Service Worker
+     */
+    async handleSyncSummary(summary, options = {}) {
+        if (!summary) return;
+        
+        if (summary.error) {
+            console.warn(`⚠️ Sync unvollständig (${summary.failed} wartend): ${summary.error}`);
+        }
+        
+        if (summary.conflicts.length > 0) {
+            this.recordSyncConflicts(summary.conflicts);
+        }
+        
+        if (summary.rejected.length > 0) {
+            this.showToast(`⚠️ ${summary.rejected.length} Änderungen vom Server abgelehnt`, 'warning', 6000, {
+                subtitle: summary.rejected[0].message,
+                action: { label: 'Korrigieren', onClick: () => this.showSyncQueue() }
+            });
+        }
+        
+        if (options.force && !summary.error && summary.pushed === 0 && summary.pulled === 0) {
+            this.showToast('✅ Alles synchronisiert', 'success');
+        }
+        
+        if (summary.failed > 0 && options.force) {
+            this.showToast(`📤 ${summary.failed} Änderungen konnten nicht gesendet werden`, 'warning', 6000, {
+                subtitle: summary.error,
+                action: { label: 'Warteschlange', onClick: () => this.showSyncQueue() }
+            });
+        }
+        
+        if (summary.pushed > 0 || summary.pulled > 0 || summary.conflicts.length > 0) {
+            if (!options.silent && (summary.pushed > 0 || summary.pulled > 0)) {
+                const parts = [];
+                if (summary.pushed > 0) parts.push(`📤 ${summary.pushed} gesendet`);
+                if (summary.pulled > 0) parts.push(`📥 ${summary.pulled} von anderen Geräten`);
+                this.showToast(`🔄 Synchronisiert: ${parts.join(', ')}`, 'success');
+            }
+            
+            // Refresh components after sync
+            await this.refreshLocalSnapshot();
+            await this.refreshAllComponents();
+        }
+    }
+    
+    /**
+     * Background Sync anmelden - der Service Worker sendet die Outbox, sobald wieder Netz da ist
+     */
+    async requestBackgroundSync() {
+        if (!('serviceWorker' in navigator)) return false;
+        
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (!registration.sync) return false;
+            await registration.sync.register(SyncOutbox.SYNC_TAG);
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Background Sync nicht verfügbar:', error.message);
+            return false;
+        }
+    }
+    
+    /**
+     * Sofort synchronisieren, auch für Einträge im Backoff
+     */
+    async forceSync() {
+        if (!this.isAuthenticated()) {
+            this.showToast('🔐 Zum Synchronisieren anmelden', 'info', 5000, {
+                action: { label: 'Anmelden', onClick: () => this.showAuthModal() }
+            });
+            return;
+        }
+        
+        if (!this.isOnline) {
+            this.showToast('📵 Offline - Sync startet automatisch bei Verbindung', 'warning');
+            await this.requestBackgroundSync();
+            return;
+        }
+        
+        // Mit aktivem Service Worker sendet dieser die Outbox (Ergebnis kommt per SYNC_COMPLETE)
+        if (navigator.serviceWorker?.controller) {
+            navigator.serviceWorker.controller.postMessage({ type: 'FORCE_SYNC' });
+            this.showToast('🔄 Synchronisierung gestartet', 'info', 2000);
+            return;
+        }
+        
+        await this.syncOfflineData({ force: true });
+        if (document.querySelector('.sync-queue-modal')) {
+            await this.showSyncQueue();
+        }
+    }
+    
+    /**
+     * Nachrichten des Service Workers (Background Sync, erneuerte Session)
+     */
+    setupServiceWorkerMessages() {
+        if (!('serviceWorker' in navigator)) return;
+        
+        navigator.serviceWorker.addEventListener('message', async (event) => {
+            const { type, action, summary, forced, session } = event.data || {};
+            
+            if (type === 'BACKGROUND_SYNC' && action === 'SYNC_COMPLETE') {
+                console.log('🔄 Background Sync abgeschlossen:', summary);
+                await this.handleSyncSummary(summary, { silent: document.hidden, force: forced });
+                await this.refreshLocalSnapshot();
+                if (document.querySelector('.sync-queue-modal')) {
+                    await this.showSyncQueue();
+                }
+            } else if (type === 'AUTH_UPDATED' && session) {
+                localStorage.setItem('authSession', JSON.stringify(session));
+            } else if (type === 'MEDICATION_LOGGED') {
+                // Dosis über die Benachrichtigung erfasst - der Service Worker sendet sie über die Outbox
+                await this.loadMedications();
+                this.renderMedicationDashboard();
+                await this.progressHub?.loadViewData?.();
+            }
+        });
+    }
+    
+    /**
+     * Stabile Geräte-ID für Konfliktauflösung
+     */
+    getDeviceId() {
+        let deviceId = localStorage.getItem('deviceId');
+        if (!deviceId) {
+            deviceId = 'device_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            localStorage.setItem('deviceId', deviceId);
+        }
+        return deviceId;
+    }
+    
+    /**
+     * Über aufgelöste Konflikte informieren - der Verlauf wird von der Outbox gespeichert
+     */
+    recordSyncConflicts(conflicts) {
+        const lost = conflicts.filter(conflict => conflict.resolution === 'server-wins').length;
+        this.showToast(`⚖️ ${conflicts.length} Sync-Konflikt${conflicts.length === 1 ? '' : 'e'} aufgelöst`, 'warning', 8000, {
+            subtitle: lost > 0
+                ? `${lost}× wurde die neuere Änderung eines anderen Geräts übernommen`
+                : 'Deine neueren Änderungen wurden übernommen',
+            action: { label: 'Details', onClick: () => this.showSyncConflicts() }
+        });
+    }
+    
+    /**
+     * Übersicht der zuletzt aufgelösten Sync-Konflikte
+     */
+    async showSyncConflicts() {
+        document.querySelector('.sync-conflicts-modal')?.remove();
+        
+        const conflicts = await this.repository.getSetting('syncConflicts', []);
+        const formatValues = (data) => {
+            if (!data) return '<span class="italic">gelöscht</span>';
+            const parts = [];
+            if (data.weight != null) parts.push(`⚖️ ${data.weight}kg`);
+            if (data.steps != null) parts.push(`🚶♂️ ${Number(data.steps).toLocaleString('de-DE')}`);
+            if (data.waterIntake != null) parts.push(`💧 ${data.waterIntake}L`);
+            if (data.sleepHours != null) parts.push(`😴 ${data.sleepHours}h`);
+            if (data.mood) parts.push(`😊 ${this.escapeHTML(data.mood)}`);
+            return parts.join(' · ') || '—';
+        };
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open sync-conflicts-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-2xl">
+                <h3 class="font-bold text-lg mb-2 flex items-center gap-2">
+                    <i data-lucide="git-merge" class="w-5 h-5 text-warning"></i>
+                    Sync-Konflikte
+                </h3>
+                <p class="text-sm text-base-content/70 mb-4">
+                    Wurde derselbe Eintrag auf zwei Geräten geändert, gewinnt die zuletzt gemachte Änderung.
+                </p>
+                ${conflicts.length === 0 ? `
+                    <div class="text-center py-8 text-base-content/60">Keine Konflikte 🎉</div>
+                ` : `
+                    <div class="space-y-3 max-h-96 overflow-y-auto">
+                        ${conflicts.map(conflict => {
+                            const serverWins = conflict.resolution === 'server-wins';
+                            const serverData = conflict.serverRecord?.deleted ? null : conflict.serverRecord;
+                            return `
+                                <div class="border border-base-300 rounded-lg p-3">
+                                    <div class="flex justify-between items-center mb-2">
+                                        <span class="font-medium">${new Date(conflict.date).toLocaleDateString('de-DE')}</span>
+                                        <span class="badge ${serverWins ? 'badge-warning' : 'badge-success'} badge-sm">
+                                            ${serverWins ? 'Anderes Gerät übernommen' : 'Dieses Gerät übernommen'}
+                                        </span>
+                                    </div>
+                                    <div class="text-xs space-y-1">
+                                        <div class="${serverWins ? 'line-through opacity-60' : ''}">
+                                            <span class="font-semibold">Dieses Gerät:</span> ${formatValues(conflict.op === 'delete' ? null : conflict.clientData)}
+                                        </div>
+                                        <div class="${serverWins ? '' : 'line-through opacity-60'}">
+                                            <span class="font-semibold">Anderes Gerät:</span> ${formatValues(serverData)}
+                                        </div>
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                `}
+                <div class="modal-action">
+                    <button class="btn" onclick="this.closest('.modal').remove()">Schließen</button>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Outbox mit Status je Eintrag: wartend, wird gesendet, erneuter Versuch, fehlgeschlagen, abgelehnt -
+     * dazu abgelehnte Trainings, Medikamente, Dosen und Perioden
+     */
+    async showSyncQueue() {
+        document.querySelector('.sync-queue-modal')?.remove();
+        
+        const pending = await this.getUnsyncedData();
+        const rejectedRecords = await this.getRejectedRecords();
+        const statusBadges = {
+            pending: { label: 'Wartend', className: 'badge-ghost' },
+            syncing: { label: 'Wird gesendet', className: 'badge-info' },
+            retrying: { label: 'Erneuter Versuch', className: 'badge-warning' },
+            failed: { label: 'Fehlgeschlagen', className: 'badge-error' },
+            rejected: { label: 'Abgelehnt', className: 'badge-error' }
+        };
+        const opLabels = { create: 'Neu', update: 'Geändert', delete: 'Gelöscht' };
+        const formatNextAttempt = (timestamp) => {
+            if (!timestamp) return '';
+            const minutes = Math.ceil((timestamp - Date.now()) / 60000);
+            return minutes <= 0 ? 'beim nächsten Sync' : `in ${minutes} Min.`;
+        };
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open sync-queue-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-2xl">
+                <h3 class="font-bold text-lg mb-2 flex items-center gap-2">
+                    <i data-lucide="upload-cloud" class="w-5 h-5 text-primary"></i>
+                    Sync-Warteschlange
+                </h3>
+                <p class="text-sm text-base-content/70 mb-4">
+                    Änderungen bleiben gespeichert, bis der Server sie bestätigt. Fehlgeschlagene Versuche werden mit wachsendem Abstand wiederholt,
+                    abgelehnte Änderungen erst nach dem Bearbeiten.
+                </p>
+                ${pending.length + rejectedRecords.length === 0 ? `
+                    <div class="text-center py-8 text-base-content/60">Alle Änderungen synchronisiert ✅</div>
+                ` : `
+                    <div class="space-y-2 max-h-96 overflow-y-auto">
+                        ${pending.map(change => {
+                            const badge = statusBadges[change._syncStatus] || statusBadges.pending;
+                            return `
+                                <div class="border border-base-300 rounded-lg p-3">
+                                    <div class="flex justify-between items-center">
+                                        <span class="font-medium">
+                                            ${change.date ? new Date(change.date).toLocaleDateString('de-DE') : '—'}
+                                            <span class="text-xs text-base-content/60 ml-1">${opLabels[change._pendingOp] || change._pendingOp}</span>
+                                        </span>
+                                        <span class="badge ${badge.className} badge-sm">${badge.label}</span>
+                                    </div>
+                                    ${change._attempts > 0 ? `
+                                        <div class="text-xs text-base-content/60 mt-1">
+                                            ${change._attempts} Versuch${change._attempts === 1 ? '' : 'e'} · nächster ${formatNextAttempt(change._nextAttemptAt)}
+                                        </div>
+                                    ` : ''}
+                                    ${change._lastError ? `
+                                        <div class="text-xs text-error mt-1">${this.escapeHTML(change._lastError)}</div>
+                                    ` : ''}
+                                    ${change._syncStatus === 'rejected' ? `
+                                        <div class="flex justify-end gap-2 mt-2">
+                                            ${change._pendingOp !== 'delete' ? `
+                                                <button class="btn btn-xs btn-outline" onclick="healthTracker.editRejectedChange('${this.escapeHTML(change._localId)}')">
+                                                    Bearbeiten
+                                                </button>
+                                            ` : ''}
+                                            <button class="btn btn-xs btn-ghost text-error" onclick="healthTracker.discardSyncChange('${this.escapeHTML(change._localId)}')">
+                                                Verwerfen
+                                            </button>
+                                        </div>
+                                    ` : ''}
+                                </div>
+                            `;
+                        }).join('')}
+                        ${rejectedRecords.map(({ store, record }) => {
+                            const info = this.getSyncRecordInfo(store, record);
+                            return `
+                                <div class="border border-base-300 rounded-lg p-3">
+                                    <div class="flex justify-between items-center">
+                                        <span class="font-medium">
+                                            ${this.escapeHTML(info.label)}
+                                            <span class="text-xs text-base-content/60 ml-1">${record._deleted ? `${info.type} gelöscht` : info.type}</span>
+                                        </span>
+                                        <span class="badge ${statusBadges.rejected.className} badge-sm">${statusBadges.rejected.label}</span>
+                                    </div>
+                                    ${record._lastError ? `
+                                        <div class="text-xs text-error mt-1">${this.escapeHTML(record._lastError)}</div>
+                                    ` : ''}
+                                    <div class="flex justify-end gap-2 mt-2">
+                                        ${info.edit && !record._deleted ? `
+                                            <button class="btn btn-xs btn-outline" onclick="healthTracker.editRejectedRecord('${store}', '${this.escapeHTML(record.id)}')">
+                                                Bearbeiten
+                                            </button>
+                                        ` : ''}
+                                        <button class="btn btn-xs btn-ghost text-error" onclick="healthTracker.discardRejectedRecord('${store}', '${this.escapeHTML(record.id)}')">
+                                            Verwerfen
+                                        </button>
+                                    </div>
+                                </div>
+                            `;
+                        }).join('')}
+                    </div>
+                `}
+                <div class="modal-action">
+                    ${pending.length > 0 ? `
+                        <button class="btn btn-primary" onclick="healthTracker.forceSync()">
+                            <i data-lucide="refresh-cw" class="w-4 h-4"></i>
+                            Jetzt synchronisieren
+                        </button>
+                    ` : ''}
+                    <button class="btn" onclick="this.closest('.modal').remove()">Schließen</button>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Abgelehnte Änderung korrigieren - Speichern reiht sie erneut ein
+     */
+    async editRejectedChange(localId) {
+        document.querySelector('.sync-queue-modal')?.remove();
+        await this.showEditEntryModal(localId);
+    }
+    
+    /**
+     * Abgelehnte Änderung verwerfen - der Eintrag kehrt zum Serverstand zurück
+     */
+    async discardSyncChange(localId) {
+        if (!confirm('Änderung verwerfen? Der Eintrag wird auf den Stand des Servers zurückgesetzt.')) return;
+        
+        try {
+            await this.outbox.discard(localId);
+            this.showToast('🗑️ Änderung verworfen', 'success');
+            await this.syncOfflineData({ silent: true });
+            await this.refreshLocalSnapshot();
+            await this.refreshAllComponents();
+            await this.showSyncQueue();
+        } catch (error) {
+            console.error('❌ Änderung verwerfen fehlgeschlagen:', error);
+            this.showToast('❌ Verwerfen fehlgeschlagen', 'error');
+        }
+    }
+    
+    /**
+     * Vom Server abgelehnte Trainings, Medikamente, Dosen und Perioden
+     * @returns {Promise<Array<{ store, record }>>}
+     */
+    async getRejectedRecords() {
+        const rejected = [];
+        for (const type of SyncOutbox.RECORD_TYPES) {
+            const records = await this.repository.getRejectedRecords(type.store);
+            rejected.push(...records.map(record => ({ store: type.store, record })));
+        }
+        return rejected;
+    }
+    
+    /**
+     * Anzeige eines Datensatzes in der Sync-Warteschlange - edit öffnet den passenden Dialog
+     * (Dosen haben keinen eigenen Dialog)
+     */
+    getSyncRecordInfo(store, record) {
+        switch (store) {
+            case 'workouts':
+                return {
+                    type: 'Training',
+                    label: `${this.getWorkoutType(record.type).label} · ${this.formatDayKey(record.date)}`,
+                    edit: () => this.showWorkoutModal({ workoutId: record.id })
+                };
+            case 'medications':
+                return {
+                    type: 'Medikament',
+                    label: record.name || 'Medikament',
+                    edit: () => this.showMedicationModal({ medicationId: record.id })
+                };
+            case 'medicationLogs': {
+                const medication = this.medications.find(item => item.id === record.medicationId);
+                return {
+                    type: 'Einnahme',
+                    label: `${medication?.name || 'Medikament'} · ${this.formatDayKey(record.date)} ${record.time}`,
+                    edit: null
+                };
+            }
+            default:
+                return {
+                    type: 'Periode',
+                    label: `Ab ${this.formatDayKey(record.startDate)}`,
+                    edit: () => this.showCycleModal({ periodId: record.id })
+                };
+        }
+    }
+    
+    /**
+     * Abgelehnten Datensatz korrigieren - Speichern merkt ihn erneut zum Upload vor
+     */
+    async editRejectedRecord(store, id) {
+        const rejected = (await this.getRejectedRecords()).find(item => item.store === store && item.record.id === id);
+        if (!rejected) return;
+        
+        document.querySelector('.sync-queue-modal')?.remove();
+        this.getSyncRecordInfo(store, rejected.record).edit?.();
+    }
+    
+    /**
+     * Abgelehnten Datensatz verwerfen - er kehrt zum Serverstand zurück, nie hochgeladene verschwinden
+     */
+    async discardRejectedRecord(store, id) {
+        if (!confirm('Änderung verwerfen? Der Datensatz wird auf den Stand des Servers zurückgesetzt.')) return;
+        
+        const loaders = {
+            workouts: () => this.loadWorkouts(),
+            medications: () => this.loadMedications(),
+            medicationLogs: () => this.loadMedications(),
+            periods: () => this.loadPeriods()
+        };
+        try {
+            await this.repository.discardRecordChange(store, id);
+            this.showToast('🗑️ Änderung verworfen', 'success');
+            await loaders[store]();
+            await this.refreshAllComponents();
+            await this.showSyncQueue();
+        } catch (error) {
+            console.error('❌ Änderung verwerfen fehlgeschlagen:', error);
+            this.showToast('❌ Verwerfen fehlgeschlagen', 'error');
+        }
+    }
+    
+    /**
+     * Setup periodic sync every 5 minutes when online
+     */
+    setupPeriodicSync() {
+        setInterval(async () => {
+            if (this.isOnline && !this.syncInProgress) {
+                await this.syncOfflineData();
+            }
+        }, 5 * 60 * 1000); // 5 minutes
+    }
+    
+    // ====================================================================
+    // UTILITY METHODS & HELPERS
+    // ====================================================================
+    
+    /**
+ * Enhanced API Call Method - hängt Bearer-Token an und erneuert ihn bei 401 einmalig
+ */
+async makeAPICall(endpoint, options = {}, isRetry = false) {
+    const defaultOptions = {
+        method: 'GET',
+        headers: {
+            'Content-Type': 'application/json',
+            // Tagesgrenzen auf dem Server in der Zeitzone dieses Geräts
+            'X-Timezone': this.getTimezone()
+        },
+        timeout: 15000
+    };
+    
+    const finalOptions = { ...defaultOptions, ...options };
+    const isAuthEndpoint = endpoint.startsWith('/api/auth/');
+    const session = this.getAuthSession();
+    
+    if (!isAuthEndpoint) {
+        if (!session?.accessToken) {
+            throw new Error('Nicht angemeldet - Daten bleiben lokal gespeichert');
+        }
+        finalOptions.headers = {
+            ...defaultOptions.headers,
+            ...(options.headers || {}),
+            'Authorization': `Bearer ${session.accessToken}`
+        };
+    }
+    
+    // API Base URL Detection
+    const baseURL = window.location.hostname.includes('localhost') 
+        ? 'http://localhost:8888/.netlify/functions/api'  // Netlify Dev
+        : '/.netlify/functions/api';  // Production
+    
+    const fullURL = `${baseURL}${endpoint}`;
+    
+    try {
+        console.log(`🔗 API Call: ${finalOptions.method} ${fullURL}`);
+        
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), finalOptions.timeout);
+        
+        const response = await fetch(fullURL, {
+            ...finalOptions,
+            signal: controller.signal
+        });
+        
+        clearTimeout(timeoutId);
+        
+        // Abgelaufenes Access-Token: einmal erneuern und Request wiederholen
+        if (response.status === 401 && !isAuthEndpoint && !isRetry) {
+            const refreshed = await this.refreshAuthToken();
+            if (refreshed) {
+                return this.makeAPICall(endpoint, options, true);
+            }
+        }
+        
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            const apiError = new Error(`API Error ${response.status}: ${errorData.message || errorData.error || response.statusText}`);
+            apiError.status = response.status;
+            apiError.code = errorData.code;
+            apiError.errors = errorData.errors || [];
+            throw apiError;
+        }
+        
+        const data = await response.json();
+        console.log(`✅ API Response:`, data);
+        return data;
+        
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            throw new Error('Request timeout - Server nicht erreichbar');
+        }
+        console.error(`❌ API Call failed:`, error);
+        throw error;
+    }
+}
+
+    // ====================================================================
+    // AUTHENTICATION - JWT Session Handling
+    // ====================================================================
+
+    /**
+     * Gespeicherte Session lesen ({ accessToken, refreshToken, user })
+     */
+    getAuthSession() {
+        try {
+            return JSON.parse(localStorage.getItem('authSession') || 'null');
+        } catch (error) {
+            console.warn('⚠️ Ungültige Auth-Session verworfen');
+            localStorage.removeItem('authSession');
+            return null;
+        }
+    }
+
+    saveAuthSession(result) {
+        const session = {
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+            user: result.user
+        };
+        localStorage.setItem('authSession', JSON.stringify(session));
+        this.userId = session.user.id;
+        this.mirrorSessionForWorker(session);
+        return session;
+    }
+
+    clearAuthSession() {
+        localStorage.removeItem('authSession');
+        this.userId = this.generateUserId();
+        this.mirrorSessionForWorker(null);
+    }
+
+    /**
+     * Der Service Worker hat kein localStorage - Session und Geräte-ID in IndexedDB spiegeln
+     * ("_"-Schlüssel erscheinen nicht im Export)
+     */
+    mirrorSessionForWorker(session) {
+        Promise.all([
+            this.repository.setSetting('_authSession', session),
+            this.repository.setSetting('_deviceId', this.getDeviceId())
+        ]).catch(error => console.warn('⚠️ Session für Service Worker nicht gespeichert:', error.message));
+    }
+
+    isAuthenticated() {
+        return !!this.getAuthSession()?.accessToken;
+    }
+
+    /**
+     * Access-Token per Refresh-Token erneuern - parallele Aufrufe teilen sich einen Request
+     */
+    async refreshAuthToken() {
+        const session = this.getAuthSession();
+        if (!session?.refreshToken) return false;
+
+        if (!this.refreshPromise) {
+            this.refreshPromise = this.makeAPICall('/api/auth/refresh', {
+                method: 'POST',
+                body: JSON.stringify({ refreshToken: session.refreshToken })
+            })
+                .then(result => {
+                    this.saveAuthSession(result);
+                    console.log('🔑 Access-Token erneuert');
+                    return true;
+                })
+                .catch(error => {
+                    console.warn('⚠️ Token-Erneuerung fehlgeschlagen:', error.message);
+                    if (error.status === 401) {
+                        this.clearAuthSession();
+                        this.showToast('🔒 Sitzung abgelaufen - bitte erneut anmelden', 'warning');
+                    }
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+
+        return this.refreshPromise;
+    }
+
+    async login(email, password) {
+        const result = await this.makeAPICall('/api/auth/login', {
+            method: 'POST',
+            body: JSON.stringify({ email, password, timezone: this.getTimezone() })
+        });
+        await this.claimLocalData(result.user.id);
+        this.saveAuthSession(result);
+        await this.onAuthChanged();
+        this.showToast(`👋 Willkommen zurück, ${result.user.displayName || result.user.email}!`, 'success');
+        return result.user;
+    }
+
+    async register(email, password, displayName) {
+        const payload = { email, password, displayName, timezone: this.getTimezone() };
+        const validation = HealthSchema.validate('register', payload, { locale: 'de' });
+        if (!validation.valid) {
+            const error = new Error(validation.errors[0].message);
+            error.code = 'VALIDATION_ERROR';
+            error.errors = validation.errors;
+            throw error;
+        }
+
+        const result = await this.makeAPICall('/api/auth/register', {
+            method: 'POST',
+            body: JSON.stringify(payload)
+        });
+        await this.claimLocalData(result.user.id);
+        this.saveAuthSession(result);
+        await this.onAuthChanged();
+        this.showToast('🎉 Konto erstellt - deine Daten werden jetzt synchronisiert', 'success');
+        return result.user;
+    }
+
+    /**
+     * Profil-Zeitzone aktualisieren, wenn das Gerät in einer anderen Zeitzone ist
+     */
+    async syncProfileTimezone() {
+        const session = this.getAuthSession();
+        const timezone = this.getTimezone();
+        if (!session?.user || !this.isOnline || session.user.timezone === timezone) return;
+
+        try {
+            const result = await this.makeAPICall('/api/profile', {
+                method: 'PUT',
+                body: JSON.stringify({ timezone })
+            });
+            this.saveAuthSession({ ...this.getAuthSession(), user: result.user });
+            console.log(`🌍 Profil-Zeitzone aktualisiert: ${timezone}`);
+        } catch (error) {
+            console.warn('⚠️ Zeitzone nicht aktualisiert:', error.message);
+        }
+    }
+
+    async logout() {
+        this.clearAuthSession();
+        await this.onAuthChanged();
+        this.showToast('👋 Abgemeldet - Daten werden nur lokal gespeichert', 'info');
+    }
+
+    /**
+     * Lokale Daten gehören dem Konto, mit dem sie zuletzt angemeldet waren. Meldet sich ein anderes
+     * Konto an, werden sie verworfen - sonst lädt die Outbox fremde Einträge in dessen Konto hoch.
+     * Daten ohne Konto (vor der ersten Anmeldung erfasst) übernimmt das erste Konto.
+     */
+    async claimLocalData(userId) {
+        try {
+            const owner = await this.repository.getSetting('_dataOwner');
+            if (owner && owner !== userId) {
+                const pending = await this.repository.countPendingChanges();
+                await this.repository.clearAccountData();
+                console.log(`🔐 Kontowechsel - lokale Daten des vorigen Kontos verworfen (${pending} nicht synchronisiert)`);
+                if (pending > 0) {
+                    this.showToast(`⚠️ ${pending} nicht synchronisierte Änderungen des vorigen Kontos verworfen`, 'warning', 6000);
+                }
+            }
+            await this.repository.setSetting('_dataOwner', userId);
+        } catch (error) {
+            console.error('❌ Lokale Daten konnten nicht zugeordnet werden:', error);
+        }
+    }
+    
+    /**
+     * API-Antworten im Service-Worker-Cache verwerfen - gehören zum bisherigen Konto
+     */
+    clearApiCache() {
+        navigator.serviceWorker?.controller?.postMessage({ type: 'CLEAR_API_CACHE' });
+    }
+
+    /**
+     * Nach Login/Logout: Cache verwerfen, Ziele neu laden, lokale Einträge hochladen
+     */
+    async onAuthChanged() {
+        this.cache.clear();
+        this.clearApiCache();
+        await this.refreshLocalSnapshot();
+        await this.loadMetricDefinitions();
+        await this.loadUserGoals();
+        await this.loadUserFoods();
+        await this.loadWorkouts();
+        await this.loadMedications();
+        await this.loadPeriods();
+
+        if (this.isAuthenticated() && this.isOnline) {
+            await this.syncOfflineData();
+        }
+
+        await this.loadInitialData();
+    }
+
+    /**
+     * Login/Registrierung bzw. Kontoübersicht
+     */
+    showAuthModal() {
+        document.querySelector('.auth-modal')?.remove();
+
+        const session = this.getAuthSession();
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open auth-modal';
+
+        if (session?.user) {
+            modal.innerHTML = `
+                <div class="modal-box max-w-md">
+                    <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                        <i data-lucide="user-check" class="w-5 h-5 text-success"></i>
+                        Dein Konto
+                    </h3>
+                    <div class="bg-base-200 rounded-lg p-4 mb-4">
+                        <div class="font-semibold">${this.escapeHTML(session.user.displayName || 'Angemeldet')}</div>
+                        <div class="text-sm text-base-content/70">${this.escapeHTML(session.user.email)}</div>
+                    </div>
+                    <p class="text-sm text-base-content/70 mb-4">
+                        Deine Gesundheitsdaten werden mit deinem Konto synchronisiert.
+                    </p>
+                    <div class="modal-action">
+                        <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Schließen</button>
+                        <button class="btn btn-error btn-outline" id="auth-logout-btn">
+                            <i data-lucide="log-out" class="w-4 h-4"></i>
+                            Abmelden
+                        </button>
+                    </div>
+                </div>
+                <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+            `;
+            document.body.appendChild(modal);
+            modal.querySelector('#auth-logout-btn').addEventListener('click', async () => {
+                modal.remove();
+                await this.logout();
+            });
+        } else {
+            modal.innerHTML = `
+                <div class="modal-box max-w-md">
+                    <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                        <i data-lucide="log-in" class="w-5 h-5 text-primary"></i>
+                        Anmelden
+                    </h3>
+                    <div class="tabs tabs-boxed mb-4">
+                        <a class="tab tab-active" data-auth-mode="login">Anmelden</a>
+                        <a class="tab" data-auth-mode="register">Registrieren</a>
+                    </div>
+                    <form id="auth-form" class="space-y-3">
+                        <div class="form-control hidden" id="auth-name-field">
+                            <label class="label"><span class="label-text">Name (optional)</span></label>
+                            <input type="text" name="displayName" class="input input-bordered" autocomplete="name">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">E-Mail</span></label>
+                            <input type="email" name="email" class="input input-bordered" required autocomplete="email">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Passwort</span></label>
+                            <input type="password" name="password" class="input input-bordered" required minlength="8" autocomplete="current-password">
+                        </div>
+                        <div class="text-error text-sm hidden" id="auth-error"></div>
+                        <div class="modal-action">
+                            <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                            <button type="submit" class="btn btn-primary" id="auth-submit-btn">Anmelden</button>
+                        </div>
+                    </form>
+                </div>
+                <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+            `;
+            document.body.appendChild(modal);
+
+            let mode = 'login';
+            const form = modal.querySelector('#auth-form');
+            const submitBtn = modal.querySelector('#auth-submit-btn');
+            const errorEl = modal.querySelector('#auth-error');
+
+            modal.querySelectorAll('[data-auth-mode]').forEach(tab => {
+                tab.addEventListener('click', () => {
+                    mode = tab.dataset.authMode;
+                    modal.querySelectorAll('[data-auth-mode]').forEach(t => t.classList.toggle('tab-active', t === tab));
+                    modal.querySelector('#auth-name-field').classList.toggle('hidden', mode !== 'register');
+                    form.password.autocomplete = mode === 'register' ? 'new-password' : 'current-password';
+                    submitBtn.textContent = mode === 'register' ? 'Konto erstellen' : 'Anmelden';
+                    errorEl.classList.add('hidden');
+                });
+            });
+
+            form.addEventListener('submit', async (e) => {
+                e.preventDefault();
+                submitBtn.disabled = true;
+                submitBtn.classList.add('loading');
+                errorEl.classList.add('hidden');
+
+                try {
+                    if (mode === 'register') {
+                        await this.register(form.email.value, form.password.value, form.displayName.value);
+                    } else {
+                        await this.login(form.email.value, form.password.value);
+                    }
+                    modal.remove();
+                } catch (error) {
+                    const messages = {
+                        INVALID_CREDENTIALS: 'E-Mail oder Passwort ist falsch',
+                        EMAIL_TAKEN: 'Für diese E-Mail existiert bereits ein Konto'
+                    };
+                    errorEl.textContent = messages[error.code] || error.message;
+                    errorEl.classList.remove('hidden');
+                } finally {
+                    submitBtn.disabled = false;
+                    submitBtn.classList.remove('loading');
+                }
+            });
+        }
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+    
+    /**
+     * Debounce function calls for performance
+     */
+    debounceFunction(key, func, delay) {
+        const existingTimer = this.debounceTimers.get(key);
+        if (existingTimer) {
+            clearTimeout(existingTimer);
+        }
+        
+        const newTimer = setTimeout(() => {
+            func();
+            this.debounceTimers.delete(key);
+        }, delay);
+        
+        this.debounceTimers.set(key, newTimer);
+    }
+    
+    /**
+     * Generate unique user ID
+     */
+    generateUserId() {
+        // Angemeldet: Server-User-ID, sonst lokale Geräte-ID
+        const sessionUserId = this.getAuthSession()?.user?.id;
+        if (sessionUserId) return sessionUserId;
+
+        let userId = localStorage.getItem('userId');
+        if (!userId) {
+            userId = 'user_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+            localStorage.setItem('userId', userId);
+        }
+        return userId;
+    }
+    
+    /**
+     * Safe number parsing
+     */
+    parseNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = parseFloat(value);
+        return isNaN(num) ? null : num;
+    }
+    
+    /**
+     * Safe integer parsing
+     */
+    parseInt(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = parseInt(value, 10);
+        return isNaN(num) ? null : num;
+    }
+    
+    /**
+     * Blutdruck/Ruhepuls/Blutzucker aus einem Formular - ohne Uhrzeit gilt die aktuelle
+     */
+    extractVitalsData(formData) {
+        const glucose = this.parseGlucoseInput(formData.get('glucose'));
+        const vitals = {
+            systolic: this.parseInt(formData.get('systolic')),
+            diastolic: this.parseInt(formData.get('diastolic')),
+            restingHeartRate: this.parseInt(formData.get('restingHeartRate')),
+            glucose,
+            // Messzeitpunkt nur zusammen mit einem Wert
+            glucoseContext: glucose !== null ? formData.get('glucoseContext') || null : null,
+            readingTime: formData.get('readingTime') || null
+        };
+        const hasReading = vitals.systolic !== null || vitals.diastolic !== null || vitals.restingHeartRate !== null ||
+            vitals.glucose !== null;
+        if (hasReading && !vitals.readingTime) {
+            vitals.readingTime = this.getCurrentTimeOfDay();
+        }
+        if (!hasReading) vitals.readingTime = null;
+        return vitals;
+    }
+    
+    /**
+     * Schlafdetails aus einem Formular - mit Einschlaf- und Aufwachzeit gilt die daraus berechnete Dauer
+     */
+    extractSleepData(formData) {
+        const sleep = {
+            sleepHours: this.parseNumber(formData.get('sleepHours')),
+            bedtime: formData.get('bedtime') || null,
+            wakeTime: formData.get('wakeTime') || null,
+            sleepQuality: this.parseInt(formData.get('sleepQuality')),
+            awakenings: this.parseInt(formData.get('awakenings'))
+        };
+        const derived = SleepLog.getSleepHours(sleep.bedtime, sleep.wakeTime);
+        if (derived !== null) sleep.sleepHours = derived;
+        return sleep;
+    }
+    
+    /**
+     * Schlafdauer im Formular mitführen, sobald beide Zeiten eingetragen sind
+     */
+    setupSleepTimeInputs(form) {
+        if (!form) return;
+        
+        const update = () => {
+            const hours = SleepLog.getSleepHours(form.elements.bedtime?.value, form.elements.wakeTime?.value);
+            if (hours && form.elements.sleepHours) form.elements.sleepHours.value = hours;
+        };
+        ['bedtime', 'wakeTime'].forEach(name => form.elements[name]?.addEventListener('change', update));
+    }
+    
+    /**
+     * Fehler aus SleepLog.checkSleepTimes für die Oberfläche
+     */
+    getSleepErrorMessage(error) {
+        const messages = {
+            REQUIRED_WITH: 'Bitte Einschlaf- und Aufwachzeit zusammen angeben',
+            OUT_OF_RANGE: `Eine Nacht dauert höchstens ${SleepLog.MAX_SLEEP_HOURS} Stunden`
+        };
+        return messages[error.code] || error.message;
+    }
+    
+    /**
+     * Angestrebte Einschlafzeit: Einschlafziel, sonst gewohnte Aufwachzeit der letzten zwei Wochen
+     * minus Schlafziel
+     * @returns {string|null} HH:MM
+     */
+    getTargetBedtime() {
+        if (this.goals.bedtimeGoal) return this.goals.bedtimeGoal;
+        
+        const since = this.shiftDateKey(this.getLocalDateKey(new Date()), -14);
+        const recent = this.localEntriesSnapshot
+            .map(entry => ({ ...entry, date: this.getDateKey(entry.date) }))
+            .filter(entry => entry.date && entry.date >= since);
+        const consistency = SleepLog.getSleepConsistency(recent);
+        return consistency ? SleepLog.suggestBedtime(consistency.averageWakeTime, this.goals.sleepGoal) : null;
+    }
+    
+    /**
+     * Körpermaße und Körperfett aus einem Formular
+     */
+    extractMeasurementsData(formData) {
+        return Object.fromEntries(this.getBodyMeasurementFields()
+            .map(field => [field.key, this.parseNumber(formData.get(field.key))]));
+    }
+    
+    /**
+     * Felder der Körpermaße für Formulare - Beschriftung und Einheit aus der MetricRegistry
+     */
+    getBodyMeasurementFields() {
+        return [...MetricRegistry.BODY_MEASUREMENTS, 'bodyFat'].map(key => ({ key, ...MetricRegistry.METRICS[key] }));
+    }
+    
+    /**
+     * Anzeigeeinheit für Blutzucker (Ziele) - gespeichert wird immer mg/dL
+     */
+    getGlucoseUnit() {
+        return this.goals.glucoseUnit || 'mg/dL';
+    }
+    
+    /**
+     * Blutzucker-Zielbereich in mg/dL
+     */
+    getGlucoseRange() {
+        return {
+            low: this.goals.glucoseTargetLow ?? MetricRegistry.DEFAULT_GLUCOSE_RANGE.low,
+            high: this.goals.glucoseTargetHigh ?? MetricRegistry.DEFAULT_GLUCOSE_RANGE.high
+        };
+    }
+    
+    /**
+     * Blutzucker (mg/dL) in der Anzeigeeinheit - "5,6 mmol/L" bzw. "101 mg/dL"
+     */
+    formatGlucose(mgdl, withUnit = true) {
+        const unit = this.getGlucoseUnit();
+        const value = MetricRegistry.convertGlucose(mgdl, 'mg/dL', unit);
+        return `${value.toLocaleString('de-DE')}${withUnit ? ` ${unit}` : ''}`;
+    }
+    
+    /**
+     * Eingabe in der Anzeigeeinheit (Komma erlaubt) nach mg/dL umrechnen
+     */
+    parseGlucoseInput(value, unit = this.getGlucoseUnit()) {
+        const number = this.parseNumber(typeof value === 'string' ? value.replace(',', '.') : value);
+        if (number === null) return null;
+        return Math.round(MetricRegistry.convertGlucose(number, unit || 'mg/dL', 'mg/dL'));
+    }
+    
+    /**
+     * Einheit, Grenzen und Schrittweite aller Blutzucker-Eingaben an die Einheit anpassen
+     */
+    updateGlucoseUnitLabels(unit = this.getGlucoseUnit()) {
+        document.querySelectorAll('.glucose-unit-label').forEach(label => {
+            label.textContent = unit;
+        });
+        
+        const inputs = [['healthEntry', 'glucose', 100], ['goals', 'glucoseTargetLow', 70], ['goals', 'glucoseTargetHigh', 180]];
+        inputs.forEach(([schema, name, placeholder]) => {
+            const rule = HealthSchema.SCHEMAS[schema].fields[name];
+            document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+                input.min = MetricRegistry.convertGlucose(rule.min, 'mg/dL', unit);
+                input.max = MetricRegistry.convertGlucose(rule.max, 'mg/dL', unit);
+                input.step = unit === 'mmol/L' ? '0.1' : '1';
+                input.placeholder = MetricRegistry.convertGlucose(placeholder, 'mg/dL', unit);
+            });
+        });
+    }
+    
+    /**
+     * Aktuelle Uhrzeit als HH:MM
+     */
+    getCurrentTimeOfDay() {
+        const now = new Date();
+        return `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Zeitpunkt eines Eintrags (ISO) - heute ohne Uhrzeit "jetzt", sonst Tag und Uhrzeit in lokaler Zeit
+     * @param {string} dateKey - "YYYY-MM-DD"
+     * @param {string|null} [time] - "HH:MM", ohne Angabe die aktuelle Uhrzeit
+     */
+    getLoggedAt(dateKey, time = null) {
+        if (!time && dateKey === this.getLocalDateKey(new Date())) return new Date().toISOString();
+        const loggedAt = new Date(`${dateKey}T${time || this.getCurrentTimeOfDay()}:00`);
+        return isNaN(loggedAt.getTime()) ? null : loggedAt.toISOString();
+    }
+    
+    /**
+     * Uhrzeit (HH:MM, lokal) eines Eintrags - Altdaten ohne loggedAt haben keine
+     */
+    getLoggedTimeOfDay(entry) {
+        const loggedAt = entry?.loggedAt ? new Date(entry.loggedAt) : null;
+        if (!loggedAt || isNaN(loggedAt.getTime())) return null;
+        return `${String(loggedAt.getHours()).padStart(2, '0')}:${String(loggedAt.getMinutes()).padStart(2, '0')}`;
+    }
+    
+    /**
+     * Sanitize string input
+     */
+    sanitizeString(value) {
+        if (!value) return null;
+        return value.trim().substring(0, 500); // Limit length
+    }
+
+    /**
+     * Escape user-provided text for innerHTML templates
+     */
+    escapeHTML(value) {
+        return String(value ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    /**
+     * Set loading state for the application
+     */
+    setLoadingState(loading) {
+        this.isLoading = loading;
+        
+        const submitBtn = document.querySelector('#health-form button[type="submit"]');
+        if (submitBtn) {
+            if (loading) {
+                submitBtn.disabled = true;
+                submitBtn.innerHTML = '<i data-lucide="loader-2" class="w-4 h-4 mr-2 animate-spin"></i> Speichern...';
+            } else {
+                submitBtn.disabled = false;
+                submitBtn.innerHTML = '<i data-lucide="save" class="w-4 h-4 mr-2"></i> Speichern';
+            }
+            
+            // Re-initialize lucide icons
+            if (typeof lucide !== 'undefined') {
+                lucide.createIcons();
+            }
+        }
+    }
+    
+    /**
+     * Show toast notification
+     */
+    /**
+ * Erweiterte Toast-Funktion für Notifikationen unten rechts
+ */
+showToast(message, type = 'info', duration = 4000, options = {}) {
+    try {
+        // Toast Container finden oder erstellen
+        let toastContainer = document.getElementById('toast-container');
+        if (!toastContainer) {
+            toastContainer = document.createElement('div');
+            toastContainer.id = 'toast-container';
+            toastContainer.className = 'toast toast-end toast-bottom z-50 space-y-2';
+            document.body.appendChild(toastContainer);
+        }
+
+        // Toast Element erstellen
+        const toast = document.createElement('div');
+        const toastId = 'toast-' + Date.now() + '-' + Math.random().toString(36).substr(2, 9);
+        toast.id = toastId;
+        
+        // Type-spezifische Klassen und Icons
+        const typeConfig = {
+            success: {
+                alertClass: 'alert-success',
+                icon: 'check-circle',
+                bgClass: 'bg-success',
+                textClass: 'text-success-content'
+            },
+            error: {
+                alertClass: 'alert-error', 
+                icon: 'x-circle',
+                bgClass: 'bg-error',
+                textClass: 'text-error-content'
+            },
+            warning: {
+                alertClass: 'alert-warning',
+                icon: 'alert-triangle', 
+                bgClass: 'bg-warning',
+                textClass: 'text-warning-content'
+            },
+            info: {
+                alertClass: 'alert-info',
+                icon: 'info',
+                bgClass: 'bg-info', 
+                textClass: 'text-info-content'
+            }
+        };
+
+        const config = typeConfig[type] || typeConfig.info;
+        
+        // Enhanced Toast HTML
+        toast.className = `alert ${config.alertClass} shadow-lg backdrop-blur-sm border border-base-300/50 transform transition-all duration-300 ease-in-out translate-x-full opacity-0 min-w-80 max-w-96`;
+        
+        toast.innerHTML = `
+            <div class="flex items-start gap-3 w-full">
+                <i data-lucide="${config.icon}" class="w-5 h-5 flex-shrink-0 mt-0.5"></i>
+                <div class="flex-1 min-w-0">
+                    <div class="font-medium text-sm leading-tight">${message}</div>
+                    ${options.subtitle ? `<div class="text-xs opacity-80 mt-1">${options.subtitle}</div>` : ''}
+                </div>
+                ${options.action ? `
+                    <button class="btn btn-xs btn-ghost border-current" data-toast-action>${options.action.label}</button>
+                ` : ''}
+                ${options.closable !== false ? `
+                    <button class="btn btn-ghost btn-xs btn-circle ml-2 opacity-70 hover:opacity-100" onclick="this.closest('.alert').remove()">
+                        <i data-lucide="x" class="w-3 h-3"></i>
+                    </button>
+                ` : ''}
+            </div>
+            ${options.progress !== false && duration > 0 ? `
+                <div class="absolute bottom-0 left-0 h-1 bg-base-content/20 w-full rounded-b-lg overflow-hidden">
+                    <div class="h-full ${config.bgClass} opacity-50 transition-all duration-${duration} ease-linear" 
+                         style="width: 100%; animation: progress-shrink ${duration}ms linear;"></div>
+                </div>
+            ` : ''}
+        `;
+
+        // Toast zum Container hinzufügen
+        toastContainer.appendChild(toast);
+
+        // Icons initialisieren
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+
+        // Slide-in Animation
+        requestAnimationFrame(() => {
+            toast.classList.remove('translate-x-full', 'opacity-0');
+            toast.classList.add('translate-x-0', 'opacity-100');
+        });
+
+        // Auto-remove nach Duration
+        let autoRemoveTimer;
+        if (duration > 0) {
+            autoRemoveTimer = setTimeout(() => {
+                this.removeToast(toastId);
+            }, duration);
+        }
+
+        // Optionale Aktion (z.B. "Details")
+        toast.querySelector('[data-toast-action]')?.addEventListener('click', () => {
+            this.removeToast(toastId);
+            if (autoRemoveTimer) clearTimeout(autoRemoveTimer);
+            options.action.onClick?.();
+        });
+
+        // Click Handler für manuelle Entfernung
+        toast.addEventListener('click', (e) => {
+            if (!e.target.closest('button')) {
+                this.removeToast(toastId);
+                if (autoRemoveTimer) clearTimeout(autoRemoveTimer);
+            }
+        });
+
+        // Hover: Animation pausieren
+        if (duration > 0) {
+            toast.addEventListener('mouseenter', () => {
+                const progressBar = toast.querySelector('[style*="animation"]');
+                if (progressBar) {
+                    progressBar.style.animationPlayState = 'paused';
+                }
+                if (autoRemoveTimer) {
+                    clearTimeout(autoRemoveTimer);
+                }
+            });
+
+            toast.addEventListener('mouseleave', () => {
+                const progressBar = toast.querySelector('[style*="animation"]');
+                if (progressBar) {
+                    progressBar.style.animationPlayState = 'running';
+                }
+                const remainingTime = duration; // Vereinfacht, könnte berechnet werden
+                autoRemoveTimer = setTimeout(() => {
+                    this.removeToast(toastId);
+                }, remainingTime);
+            });
+        }
+
+        // Sound-Feedback (optional)
+        if (options.sound !== false && localStorage.getItem('soundFeedback') === 'true') {
+            this.playNotificationSound(type);
+        }
+
+        // Haptic Feedback
+        if (navigator.vibrate && localStorage.getItem('hapticFeedback') === 'true') {
+            const vibrationPattern = {
+                success: [50, 30, 50],
+                error: [100, 50, 100],
+                warning: [80],
+                info: [30]
+            };
+            navigator.vibrate(vibrationPattern[type] || [30]);
+        }
+
+        // Max Toasts Limit (verhindert Spam)
+        this.limitToastCount();
+
+        console.log(`📢 Toast angezeigt: ${type} - ${message}`);
+        return toastId;
+
+    } catch (error) {
+        console.error('❌ Toast Error:', error);
+        // Fallback: Nativer Alert
+        alert(`${type.toUpperCase()}: ${message}`);
+    }
+}
+
+/**
+ * Toast entfernen mit Animation
+ */
+removeToast(toastId) {
+    const toast = document.getElementById(toastId);
+    if (toast) {
+        // Slide-out Animation
+        toast.classList.add('translate-x-full', 'opacity-0');
+        
+        setTimeout(() => {
+            toast.remove();
+        }, 300);
+    }
+}
+
+/**
+ * Begrenze Anzahl der gleichzeitigen Toasts
+ */
+limitToastCount(maxToasts = 5) {
+    const container = document.getElementById('toast-container');
+    if (container) {
+        const toasts = container.querySelectorAll('.alert');
+        if (toasts.length > maxToasts) {
+            // Älteste Toasts entfernen
+            for (let i = 0; i < toasts.length - maxToasts; i++) {
+                this.removeToast(toasts[i].id);
+            }
+        }
+    }
+}
+
+/**
+ * Notification Sound abspielen
+ */
+playNotificationSound(type) {
+    try {
+        // Web Audio API Context
+        const audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        
+        const frequencies = {
+            success: [523, 659, 784], // C-E-G Major Chord
+            error: [220, 277, 330],   // A-C#-E Minor Chord  
+            warning: [440, 554],      // A-C# 
+            info: [440]               // A
+        };
+
+        const freqs = frequencies[type] || frequencies.info;
+        
+        freqs.forEach((freq, index) => {
+            const oscillator = audioContext.createOscillator();
+            const gainNode = audioContext.createGain();
+            
+            oscillator.connect(gainNode);
+            gainNode.connect(audioContext.destination);
+            
+            oscillator.frequency.setValueAtTime(freq, audioContext.currentTime);
+            oscillator.type = 'sine';
+            
+            gainNode.gain.setValueAtTime(0, audioContext.currentTime);
+            gainNode.gain.linearRampToValueAtTime(0.1, audioContext.currentTime + 0.01);
+            gainNode.gain.exponentialRampToValueAtTime(0.001, audioContext.currentTime + 0.3);
+            
+            oscillator.start(audioContext.currentTime + index * 0.1);
+            oscillator.stop(audioContext.currentTime + 0.3 + index * 0.1);
+        });
+        
+    } catch (error) {
+        console.warn('Sound playback not supported:', error);
+    }
+}
+    
+    /**
+     * Populate goals form with current values
+     */
+    populateGoalsForm() {
+        const goalsForm = document.getElementById('goals-form');
+        if (!goalsForm) return;
+        
+        // Felder eigener Metriken inkl. Werte aus this.goals.customGoals
+        this.renderCustomGoalFields();
+        
+        const unit = this.getGlucoseUnit();
+        Object.entries(this.goals).forEach(([key, value]) => {
+            const input = goalsForm.querySelector(`[name="${key}"]`);
+            if (input && value !== null) {
+                // Zielbereich ist in mg/dL gespeichert, das Formular zeigt die gewählte Einheit
+                input.value = ['glucoseTargetLow', 'glucoseTargetHigh'].includes(key)
+                    ? MetricRegistry.convertGlucose(value, 'mg/dL', unit)
+                    : value;
+            }
+        });
+        this.updateGlucoseUnitLabels();
+        
+        // Einheit umstellen: eingetragene Grenzen umrechnen statt verwerfen
+        const unitSelect = goalsForm.querySelector('[name="glucoseUnit"]');
+        if (unitSelect) {
+            unitSelect.dataset.unit = unit;
+            unitSelect.onchange = () => {
+                ['glucoseTargetLow', 'glucoseTargetHigh'].forEach(name => {
+                    const input = goalsForm.querySelector(`[name="${name}"]`);
+                    const mgdl = this.parseGlucoseInput(input.value, unitSelect.dataset.unit);
+                    if (mgdl !== null) input.value = MetricRegistry.convertGlucose(mgdl, 'mg/dL', unitSelect.value);
+                });
+                unitSelect.dataset.unit = unitSelect.value;
+                this.updateGlucoseUnitLabels(unitSelect.value);
+            };
+        }
+    }
+    
+    /**
+     * Validate individual form input
+     */
+    validateFormInput(input) {
+        // Remove previous error states
+        input.classList.remove('input-error');
+        
+        // Blutzucker wird in der Anzeigeeinheit eingegeben, das Schema prüft mg/dL
+        const value = input.name === 'glucose' && input.value.trim() !== ''
+            ? String(this.parseGlucoseInput(input.value.trim()) ?? input.value.trim())
+            : input.value.trim();
+        const error = input.name.startsWith('custom.')
+            ? value !== '' && HealthSchema.validateCustomValues({ [input.name.slice(7)]: value }, this.metricDefinitions, {
+                coerce: true,
+                locale: 'de'
+            }).errors[0]
+            : HealthSchema.validateField('healthEntry', input.name, value, {
+                coerce: true,
+                locale: 'de'
+            });
+        
+        if (error) {
+            input.classList.add('input-error');
+        }
+    }
+    
+    /**
+     * Dispatch custom health data events
+     */
+    dispatchHealthDataEvent(eventName, data) {
+        const event = new CustomEvent(eventName, {
+            detail: data,
+            bubbles: true
+        });
+        document.dispatchEvent(event);
+    }
+    
+    // ====================================================================
+    // LOCAL STORE MANAGEMENT (IndexedDB via HealthRepository)
+    // ====================================================================
+    
+    /**
+ * Save new entry to the local IndexedDB store and queue it for sync
+ */
+async saveToLocalStore(data) {
+    try {
+        // KRITISCHER FIX: Sicherstellen dass date als String gespeichert wird
+        const date = typeof data.date === 'string' ? data.date : data.date.toISOString().split('T')[0];
+        const dataWithMetadata = {
+            ...data,
+            date,
+            // Messungen mit Uhrzeit (Blutdruck, Blutzucker) zu ihrer Uhrzeit, alles andere jetzt
+            loggedAt: data.loggedAt || this.getLoggedAt(date.split('T')[0], data.readingTime || null),
+            _createdAt: new Date().toISOString()
+        };
+        
+        const storedEntry = await this.repository.saveEntry(dataWithMetadata, 'create');
+        await this.refreshLocalSnapshot();
+        
+        console.log('✅ SAVED TO LOCAL STORE. Total entries:', this.localEntriesSnapshot.length);
+        return storedEntry;
+        
+    } catch (error) {
+        console.error('❌ IndexedDB Fehler:', error);
+        throw error;
+    }
+}
+
+    /**
+     * Alle lokalen Einträge lesen und Snapshot für synchrone Statistiken aktualisieren
+     */
+    async refreshLocalSnapshot() {
+        this.localEntriesSnapshot = await this.repository.getAllEntries();
+        return this.localEntriesSnapshot;
+    }
+    
+    /**
+     * Mark data as synced - nur wenn der Eintrag seit dem Senden nicht erneut geändert wurde
+     */
+    async markAsSynced(data, serverId = null, version = null) {
+        try {
+            await this.repository.markSynced(data._localId, data._queuedAt ?? null, serverId, version);
+        } catch (error) {
+            console.error('❌ Fehler beim Markieren als synchronisiert:', error);
+        }
+    }
+    
+    /**
+     * Mark data for later sync - die Änderung liegt bereits in der Outbox,
+     * der Service Worker sendet sie per Background Sync
+     */
+    async markForSync(data) {
+        await this.requestBackgroundSync();
+    }
+    
+    /**
+     * Get unsynced changes (create/update/delete) from the sync queue
+     */
+    async getUnsyncedData() {
+        try {
+            return await this.repository.getPendingChanges();
+        } catch (error) {
+            console.error('❌ Fehler beim Abrufen unsyncer Daten:', error);
+            return [];
+        }
+    }
+
+    pickEditableFields(entry) {
+        const fields = ['date', 'loggedAt', 'weight', 'steps', 'waterIntake', 'sleepHours', 'mood', 'notes',
+            'bedtime', 'wakeTime', 'sleepQuality', 'awakenings',
+            'systolic', 'diastolic', 'restingHeartRate', 'readingTime',
+            'mealType', 'foods', 'calories', 'protein', 'carbs', 'fat',
+            'waist', 'hip', 'chest', 'arm', 'thigh', 'bodyFat', 'glucose', 'glucoseContext', 'custom'];
+        return fields.reduce((result, field) => {
+            if (entry[field] !== undefined) result[field] = entry[field];
+            return result;
+        }, {});
+    }
+
+    /**
+     * Stabiler Schlüssel eines Eintrags - Server-ID bevorzugt, sonst lokale ID
+     */
+    getEntryKey(entry) {
+        return String(entry?._id || entry?._serverId || entry?._localId || '');
+    }
+
+    entryMatchesKey(entry, key) {
+        return !!key && [entry._id, entry._serverId, entry._localId]
+            .some(id => id && String(id) === String(key));
+    }
+
+    /**
+     * Serverdaten mit offline bearbeiteten/gelöschten/neuen lokalen Einträgen zusammenführen
+     */
+    async applyPendingLocalChanges(serverData) {
+        const pending = await this.getUnsyncedData();
+        if (pending.length === 0) return serverData;
+
+        const matchesPending = (serverEntry, localEntry) =>
+            (localEntry._serverId && String(serverEntry._id) === String(localEntry._serverId)) ||
+            (localEntry._localId && serverEntry._localId === localEntry._localId);
+
+        const merged = serverData
+            .filter(serverEntry => !pending.some(local =>
+                local._pendingOp === 'delete' && matchesPending(serverEntry, local)))
+            .map(serverEntry => {
+                const localEdit = pending.find(local =>
+                    local._pendingOp === 'update' && matchesPending(serverEntry, local));
+                return localEdit
+                    ? { ...serverEntry, ...this.pickEditableFields(localEdit), _syncStatus: localEdit._syncStatus }
+                    : serverEntry;
+            });
+
+        pending
+            .filter(local => local._pendingOp !== 'delete' && local._pendingOp !== 'update')
+            .filter(local => !serverData.some(serverEntry => matchesPending(serverEntry, local)))
+            .forEach(local => merged.push(local));
+
+        return merged;
+    }
+
+    async findHealthEntry(key) {
+        const allData = await this.getAllHealthData();
+        return allData.find(entry => this.entryMatchesKey(entry, key)) || null;
+    }
+
+    /**
+     * Lokale Kopie eines (ggf. nur serverseitig bekannten) Eintrags finden
+     */
+    async findLocalEntry(entry) {
+        return (await this.repository.findEntry(entry._localId)) ||
+            (await this.repository.findEntry(entry._id || entry._serverId));
+    }
+
+    /**
+     * Einzelnen Eintrag bearbeiten - lokal sofort, Server sofort oder per Sync-Queue
+     */
+    async updateHealthEntry(key, changes) {
+        const entry = await this.findHealthEntry(key);
+        if (!entry) throw new Error('Eintrag nicht gefunden');
+
+        const localEntry = await this.findLocalEntry(entry);
+        const baseEntry = localEntry || {
+            ...this.pickEditableFields(entry),
+            userId: this.userId,
+            createdAt: entry.createdAt,
+            _localId: entry._localId || undefined,
+            _serverId: entry._id ? String(entry._id) : null,
+            _createdAt: new Date().toISOString()
+        };
+
+        const updatedEntry = await this.repository.saveEntry({
+            ...baseEntry,
+            ...changes,
+            date: String(changes.date || baseEntry.date).split('T')[0],
+            _updatedAt: new Date().toISOString()
+        }, 'update');
+
+        await this.refreshLocalSnapshot();
+        await this.syncEntryChange();
+        this.dispatchHealthDataEvent('health-data-updated', updatedEntry);
+        await this.refreshAllComponents();
+        return updatedEntry;
+    }
+
+    /**
+     * Einzelnen Eintrag löschen - die Sync-Queue hält die Löschung bis der Server bestätigt
+     */
+    async deleteHealthEntry(key) {
+        const entry = await this.findHealthEntry(key);
+        if (!entry) throw new Error('Eintrag nicht gefunden');
+
+        let localEntry = await this.findLocalEntry(entry);
+        if (!localEntry) {
+            // Nur serverseitig bekannt: lokale Referenz für die Löschung anlegen
+            localEntry = await this.repository.putEntry({ ...entry, _synced: true });
+        }
+
+        const needsServerDelete = await this.repository.removeEntry(localEntry._localId);
+        await this.refreshLocalSnapshot();
+
+        if (needsServerDelete) {
+            await this.syncEntryChange();
+        } else {
+            this.cache.delete('allHealthData');
+        }
+
+        this.dispatchHealthDataEvent('health-data-deleted', entry);
+        await this.refreshAllComponents();
+    }
+
+    async syncEntryChange() {
+        this.cache.delete('allHealthData');
+        if (!this.isOnline) {
+            await this.requestBackgroundSync();
+            return;
+        }
+
+        await this.syncOfflineData({ silent: true });
+    }
+
+    /**
+     * Trainings, Medikamente, Dosen und Perioden laufen über dieselbe Outbox wie Einträge - offline übernimmt der Service Worker
+     */
+    async syncRecordChange() {
+        if (!this.isOnline) {
+            await this.requestBackgroundSync();
+            return;
+        }
+
+        await this.syncOfflineData({ silent: true });
+    }
+
+    /**
+     * Bearbeiten-Dialog für einen Eintrag
+     */
+    async showEditEntryModal(key) {
+        const entry = await this.findHealthEntry(key);
+        if (!entry) {
+            this.showToast('❌ Eintrag nicht gefunden', 'error');
+            return;
+        }
+
+        document.querySelector('.edit-entry-modal')?.remove();
+
+        const value = (field) => entry[field] ?? '';
+        // Aktive Metriken plus archivierte, für die der Eintrag noch Werte hat
+        const customDefinitions = this.metricDefinitions.filter(definition =>
+            !definition.archived || entry.custom?.[definition.key] !== undefined);
+        const moodOptions = [
+            ['', 'Keine Angabe'], ['excellent', '😄 Ausgezeichnet'], ['good', '😊 Gut'],
+            ['neutral', '😐 Neutral'], ['bad', '😞 Schlecht'], ['terrible', '😢 Schrecklich']
+        ];
+
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open edit-entry-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-md">
+                <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                    <i data-lucide="pencil" class="w-5 h-5 text-primary"></i>
+                    Eintrag bearbeiten
+                </h3>
+                <form id="edit-entry-form" class="space-y-3">
+                    <div class="grid grid-cols-2 gap-3">
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Datum</span></label>
+                            <input type="date" name="date" class="input input-bordered" required value="${String(entry.date).split('T')[0]}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🕒 Erfasst um</span></label>
+                            <input type="time" name="loggedTime" class="input input-bordered" value="${this.getLoggedTimeOfDay(entry) || ''}">
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 gap-3">
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">⚖️ Gewicht (kg)</span></label>
+                            <input type="number" name="weight" step="0.1" class="input input-bordered" value="${value('weight')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🚶♂️ Schritte</span></label>
+                            <input type="number" name="steps" class="input input-bordered" value="${value('steps')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">💧 Wasser (L)</span></label>
+                            <input type="number" name="waterIntake" step="0.1" class="input input-bordered" value="${value('waterIntake')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">😴 Schlaf (h)</span></label>
+                            <input type="number" name="sleepHours" step="0.1" class="input input-bordered" value="${value('sleepHours')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🛏️ Eingeschlafen</span></label>
+                            <input type="time" name="bedtime" class="input input-bordered" value="${value('bedtime')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🌅 Aufgewacht</span></label>
+                            <input type="time" name="wakeTime" class="input input-bordered" value="${value('wakeTime')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Schlafqualität</span></label>
+                            <select name="sleepQuality" class="select select-bordered">
+                                <option value="">–</option>
+                                ${[...SleepLog.QUALITY_LEVELS].reverse().map(level => `
+                                    <option value="${level.value}" ${entry.sleepQuality === level.value ? 'selected' : ''}>${level.emoji} ${level.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Aufgewacht (mal)</span></label>
+                            <input type="number" name="awakenings" min="0" max="30" class="input input-bordered" value="${value('awakenings')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🩺 Blutdruck (mmHg)</span></label>
+                            <div class="flex items-center gap-1">
+                                <input type="number" name="systolic" placeholder="Sys" class="input input-bordered w-full" value="${value('systolic')}">
+                                <span>/</span>
+                                <input type="number" name="diastolic" placeholder="Dia" class="input input-bordered w-full" value="${value('diastolic')}">
+                            </div>
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">❤️ Ruhepuls (bpm)</span></label>
+                            <input type="number" name="restingHeartRate" class="input input-bordered" value="${value('restingHeartRate')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🕒 Uhrzeit der Messung</span></label>
+                            <input type="time" name="readingTime" class="input input-bordered" value="${value('readingTime')}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">🩸 Blutzucker (${this.getGlucoseUnit()})</span></label>
+                            <input type="number" name="glucose" class="input input-bordered"
+                                   value="${entry.glucose != null ? MetricRegistry.convertGlucose(entry.glucose, 'mg/dL', this.getGlucoseUnit()) : ''}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Messzeitpunkt</span></label>
+                            <select name="glucoseContext" class="select select-bordered">
+                                <option value="">–</option>
+                                ${MetricRegistry.GLUCOSE_CONTEXTS.map(context => `
+                                    <option value="${context.key}" ${entry.glucoseContext === context.key ? 'selected' : ''}>${context.label}</option>
+                                `).join('')}
+                            </select>
+                        </div>
+                        ${this.getBodyMeasurementFields().map(field => `
+                            <div class="form-control">
+                                <label class="label"><span class="label-text">📏 ${field.label} (${field.unit})</span></label>
+                                <input type="number" name="${field.key}" step="0.1" class="input input-bordered" value="${value(field.key)}">
+                            </div>
+                        `).join('')}
+                        ${customDefinitions.map(definition => `
+                            <div class="form-control">
+                                <label class="label"><span class="label-text">${this.escapeHTML(definition.name)}${definition.unit ? ` (${this.escapeHTML(definition.unit)})` : ''}</span></label>
+                                <input type="number" name="custom.${definition.key}" step="${definition.type === 'integer' ? 1 : 'any'}"
+                                       class="input input-bordered" value="${entry.custom?.[definition.key] ?? ''}">
+                            </div>
+                        `).join('')}
+                    </div>
+                    <div class="form-control">
+                        <label class="label"><span class="label-text">Stimmung</span></label>
+                        <select name="mood" class="select select-bordered">
+                            ${moodOptions.map(([mood, label]) => `
+                                <option value="${mood}" ${entry.mood === mood || (!entry.mood && !mood) ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="form-control">
+                        <label class="label"><span class="label-text">Notizen</span></label>
+                        <textarea name="notes" class="textarea textarea-bordered" rows="2">${this.escapeHTML(value('notes'))}</textarea>
+                    </div>
+                    <div class="modal-action">
+                        <button type="button" class="btn btn-error btn-outline mr-auto" id="edit-entry-delete-btn">
+                            <i data-lucide="trash-2" class="w-4 h-4"></i>
+                        </button>
+                        <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                        <button type="submit" class="btn btn-primary">Speichern</button>
+                    </div>
+                </form>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+        this.updateGlucoseUnitLabels();
+        this.setupSleepTimeInputs(modal.querySelector('#edit-entry-form'));
+
+        modal.querySelector('#edit-entry-delete-btn').addEventListener('click', () => {
+            modal.remove();
+            this.confirmDeleteEntry(key);
+        });
+
+        modal.querySelector('#edit-entry-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const changes = {
+                date: formData.get('date'),
+                // Ohne Uhrzeit bleibt der bisherige Zeitpunkt (Altdaten: keiner)
+                loggedAt: formData.get('loggedTime')
+                    ? this.getLoggedAt(formData.get('date'), formData.get('loggedTime'))
+                    : entry.loggedAt || null,
+                weight: this.parseNumber(formData.get('weight')),
+                steps: this.parseInt(formData.get('steps')),
+                waterIntake: this.parseNumber(formData.get('waterIntake')),
+                ...this.extractSleepData(formData),
+                mood: formData.get('mood') || null,
+                notes: this.sanitizeString(formData.get('notes')),
+                ...this.extractVitalsData(formData),
+                ...this.extractMeasurementsData(formData),
+                custom: this.extractCustomValues(formData, 'custom')
+            };
+
+            const validationResult = this.validateFormData(changes);
+            if (!validationResult.isValid) {
+                this.showToast(`❌ ${validationResult.message}`, 'error');
+                return;
+            }
+
+            try {
+                await this.updateHealthEntry(key, changes);
+                modal.remove();
+                this.showToast('✅ Eintrag aktualisiert', 'success');
+            } catch (error) {
+                console.error('❌ Bearbeiten fehlgeschlagen:', error);
+                this.showToast('❌ Eintrag konnte nicht aktualisiert werden', 'error');
+            }
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Einzelne Schritte- oder Wasser-Eingabe (Menge und Uhrzeit) bearbeiten - der Tageswert ist die Summe
+     * @param {'steps'|'waterIntake'} field
+     */
+    async showEditIncrementModal(key, field) {
+        const entry = await this.findHealthEntry(key);
+        if (!entry) {
+            this.showToast('❌ Eintrag nicht gefunden', 'error');
+            return;
+        }
+
+        document.querySelector('.edit-increment-modal')?.remove();
+
+        const isWater = field === 'waterIntake';
+        const dateKey = String(entry.date).split('T')[0];
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open edit-increment-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-sm">
+                <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                    <i data-lucide="${isWater ? 'droplets' : 'footprints'}" class="w-5 h-5 ${isWater ? 'text-info' : 'text-primary'}"></i>
+                    ${isWater ? 'Wasser-Eintrag bearbeiten' : 'Schritte-Eintrag bearbeiten'}
+                </h3>
+                <form id="edit-increment-form" class="space-y-3">
+                    <div class="grid grid-cols-2 gap-3">
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">${isWater ? 'Menge (L)' : 'Schritte'}</span></label>
+                            <input type="number" name="amount" class="input input-bordered" required autofocus
+                                   min="0" step="${isWater ? '0.01' : '1'}" value="${entry[field] ?? ''}">
+                        </div>
+                        <div class="form-control">
+                            <label class="label"><span class="label-text">Uhrzeit</span></label>
+                            <input type="time" name="loggedTime" class="input input-bordered" value="${this.getLoggedTimeOfDay(entry) || ''}">
+                        </div>
+                    </div>
+                    <div class="modal-action">
+                        <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                        <button type="submit" class="btn btn-primary">Speichern</button>
+                    </div>
+                </form>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelector('#edit-increment-form').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            const formData = new FormData(e.target);
+            const amount = isWater ? this.parseNumber(formData.get('amount')) : this.parseInt(formData.get('amount'));
+            const changes = {
+                date: dateKey,
+                [field]: amount,
+                loggedAt: formData.get('loggedTime')
+                    ? this.getLoggedAt(dateKey, formData.get('loggedTime'))
+                    : entry.loggedAt || null
+            };
+
+            const validationResult = this.validateFormData(changes);
+            if (!amount || !validationResult.isValid) {
+                this.showToast(`❌ ${amount ? validationResult.message : 'Bitte einen Wert größer 0 eingeben'}`, 'error');
+                return;
+            }
+
+            try {
+                await this.updateHealthEntry(key, changes);
+                modal.remove();
+                this.showToast('✅ Eintrag aktualisiert', 'success');
+            } catch (error) {
+                console.error('❌ Bearbeiten fehlgeschlagen:', error);
+                this.showToast('❌ Eintrag konnte nicht aktualisiert werden', 'error');
+            }
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+     * Löschen bestätigen - mit field nur diesen Wert entfernen (Array für Wertepaare wie Blutdruck)
+     */
+    confirmDeleteEntry(key, field = null, label = '') {
+        document.querySelector('.delete-entry-modal')?.remove();
+
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open delete-entry-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-sm">
+                <h3 class="font-bold text-lg mb-2 flex items-center gap-2">
+                    <i data-lucide="trash-2" class="w-5 h-5 text-error"></i>
+                    Eintrag löschen?
+                </h3>
+                <p class="text-sm text-base-content/70 mb-4">
+                    ${field ? `Nur den Wert „${this.escapeHTML(label)}“ oder den ganzen Tageseintrag löschen?` : 'Der Eintrag wird dauerhaft gelöscht.'}
+                </p>
+                <div class="modal-action flex-wrap">
+                    <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                    ${field ? '<button class="btn btn-warning btn-outline" data-delete="field">Nur diesen Wert</button>' : ''}
+                    <button class="btn btn-error" data-delete="entry">Eintrag löschen</button>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        document.body.appendChild(modal);
+
+        modal.querySelectorAll('[data-delete]').forEach(button => {
+            button.addEventListener('click', async () => {
+                modal.remove();
+                try {
+                    const entry = button.dataset.delete === 'field' ? await this.findHealthEntry(key) : null;
+                    const fields = [].concat(field);
+                    const hasOtherValues = entry && ['weight', 'steps', 'waterIntake', 'sleepHours', 'bedtime', 'sleepQuality', 'mood', 'notes',
+                        'systolic', 'diastolic', 'restingHeartRate', 'calories', 'foods',
+                        'waist', 'hip', 'chest', 'arm', 'thigh', 'bodyFat', 'glucose', 'custom']
+                        .some(other => !fields.includes(other) && entry[other] !== null && entry[other] !== undefined && entry[other] !== '');
+
+                    if (hasOtherValues) {
+                        await this.updateHealthEntry(key, Object.fromEntries(fields.map(name => [name, null])));
+                    } else {
+                        await this.deleteHealthEntry(key);
+                    }
+                    this.showToast('🗑️ Gelöscht', 'success');
+                } catch (error) {
+                    console.error('❌ Löschen fehlgeschlagen:', error);
+                    this.showToast('❌ Löschen fehlgeschlagen', 'error');
+                }
+            });
+        });
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+
+    /**
+ * Initialize form with today's date
+ */
+initializeFormDefaults() {
+    const dateInput = document.getElementById('date');
+    if (dateInput) {
+        const today = new Date();
+        const todayStr = today.getFullYear() + '-' + 
+                        String(today.getMonth() + 1).padStart(2, '0') + '-' + 
+                        String(today.getDate()).padStart(2, '0');
+        
+        dateInput.value = todayStr;
+        console.log('📅 Formular-Datum initialisiert:', todayStr);
+    }
+}
+
+    /**
+     * Update footer statistics
+     */
+    async updateFooterStats() {
+        try {
+            const allData = await this.getAllHealthData();
+            const todayData = this.getTodayData(allData);
+            const weekData = this.getWeekData(allData);
+            
+            // Today entries count
+            const todayEntries = allData.filter(entry => {
+                const today = new Date().toISOString().split('T')[0];
+                return entry.date === today;
+            }).length;
+            
+            // Goals achieved today
+            let goalsAchieved = 0;
+            if (todayData.steps >= this.goals.stepsGoal) goalsAchieved++;
+            if (todayData.waterIntake >= this.goals.waterGoal) goalsAchieved++;
+            if (todayData.sleepHours >= this.goals.sleepGoal) goalsAchieved++;
+            if (this.goals.weightGoal && Math.abs(todayData.weight - this.goals.weightGoal) <= this.goals.weightGoal * 0.05) goalsAchieved++;
+            
+            // Calculate streak
+            const streak = this.calculateCurrentStreak(allData);
+            
+            // Update DOM
+            const todayEl = document.getElementById('footer-today-entries');
+            const weekEl = document.getElementById('footer-week-entries');
+            const goalsEl = document.getElementById('footer-goals-achieved');
+            const streakEl = document.getElementById('footer-current-streak');
+            
+            if (todayEl) todayEl.textContent = todayEntries;
+            if (weekEl) weekEl.textContent = weekData.length;
+            if (goalsEl) goalsEl.textContent = goalsAchieved;
+            if (streakEl) streakEl.textContent = streak;
+            
+        } catch (error) {
+            console.error('Footer stats update error:', error);
+        }
+    }
+
+    /**
+     * Calculate current tracking streak
+     */
+    calculateCurrentStreak(allData) {
+        if (!allData || allData.length === 0) return 0;
+        
+        // Tage mit Einträgen in lokaler Zeitzone - ab heute rückwärts zählen
+        const entryDays = new Set(allData.map(entry => this.getDateKey(entry.date)).filter(Boolean));
+        const todayKey = this.getLocalDateKey(new Date());
+        let streak = 0;
+        
+        for (let i = 0; i < 365; i++) { // Max 1 year streak
+            const hasEntry = entryDays.has(this.shiftDateKey(todayKey, -i));
+            
+            if (hasEntry) {
+                streak++;
+            } else {
+                break;
+            }
+        }
+        
+        return streak;
+    }
+
+    /**
+     * Update footer connection status
+     */
+    updateFooterConnectionStatus() {
+        const statusEl = document.getElementById('footer-connection-status');
+        if (statusEl) {
+            const isOnline = navigator.onLine;
+            statusEl.innerHTML = `
+                <div class="w-2 h-2 ${isOnline ? 'bg-success' : 'bg-warning'} rounded-full animate-pulse"></div>
+                <span class="text-xs">${isOnline ? 'Online' : 'Offline'}</span>
+            `;
+            statusEl.className = `badge badge-ghost gap-1 ${isOnline ? '' : 'badge-warning'}`;
+        }
+    }
+
+        /** * Initialize footer functionality */
+    initializeFooter() {
+        console.log('👣 Initializing footer functionality');
+        
+        // Update footer stats
+        this.updateFooterStats();
+        
+        // Update stats every 30 seconds
+        setInterval(() => this.updateFooterStats(), 30000);
+        
+        // Footer theme toggle
+        const footerThemeToggle = document.getElementById('footer-theme-toggle');
+        if (footerThemeToggle) {
+            footerThemeToggle.addEventListener('click', () => {
+                const mainThemeToggle = document.getElementById('theme-toggle');
+                if (mainThemeToggle) {
+                    mainThemeToggle.click();
+                }
+            });
+        }
+        
+        // Update connection status in footer
+        this.updateFooterConnectionStatus();
+        window.addEventListener('online', () => this.updateFooterConnectionStatus());
+        window.addEventListener('offline', () => this.updateFooterConnectionStatus());
+    }
+
+    /** * Update footer statistics */
+    async updateFooterStats() {
+        try {
+            const allData = await this.getAllHealthData();
+            const todayData = this.getTodayData(allData);
+            const weekData = this.getWeekData(allData);
+            
+            // Today entries count
+            const today = new Date().toISOString().split('T')[0];
+            const todayEntries = allData.filter(entry => {
+                const entryDate = typeof entry.date === 'string' ? entry.date.split('T')[0] : entry.date;
+                return entryDate === today;
+            }).length;
+            
+            // Goals achieved today
+            let goalsAchieved = 0;
+            if (todayData.steps >= this.goals.stepsGoal) goalsAchieved++;
+            if (todayData.waterIntake >= this.goals.waterGoal) goalsAchieved++;
+            if (todayData.sleepHours >= this.goals.sleepGoal) goalsAchieved++;
+            if (this.goals.weightGoal && Math.abs(todayData.weight - this.goals.weightGoal) <= this.goals.weightGoal * 0.05) goalsAchieved++;
+            
+            // Calculate streak
+            const streak = this.calculateCurrentStreak(allData);
+            
+            // Update DOM
+            const todayEl = document.getElementById('footer-today-entries');
+            const weekEl = document.getElementById('footer-week-entries');
+            const goalsEl = document.getElementById('footer-goals-achieved');
+            const streakEl = document.getElementById('footer-current-streak');
+            
+            if (todayEl) todayEl.textContent = todayEntries;
+            if (weekEl) weekEl.textContent = weekData.length;
+            if (goalsEl) goalsEl.textContent = goalsAchieved;
+            if (streakEl) streakEl.textContent = streak;
+        } catch (error) {
+            console.error('Footer stats update error:', error);
+        }
+    }
+
+    /** * Update footer connection status */
+    updateFooterConnectionStatus() {
+        const statusEl = document.getElementById('footer-connection-status');
+        if (statusEl) {
+            const isOnline = navigator.onLine;
+            statusEl.innerHTML = `${isOnline ? '🌐 Online' : '📵 Offline'}`;
+            statusEl.className = `badge badge-ghost gap-1 ${isOnline ? '' : 'badge-warning'}`;
+        }
+    }
+
+            /** 
+ * Initialize Analytics Event Listeners through HealthTracker 
+ * Optimierte Version mit verbessertem Error Handling
+ */
+initializeAnalyticsEventListeners() {
+    try {
+        console.log('📊 Initializing analytics event listeners...');
+        
+        // Check if analytics engine exists
+        if (!this.analyticsEngine) {
+            console.log('⚠️ Analytics engine not available yet, retrying...');
+            setTimeout(() => this.initializeAnalyticsEventListeners(), 1000);
+            return;
+        }
+
+        // Period filter buttons - Implementation
+        document.querySelectorAll('[data-period]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const button = e.target.closest('[data-period]');
+                
+                try {
+                    // Update active state
+                    document.querySelectorAll('[data-period]').forEach(b => {
+                        b.classList.remove('btn-primary', 'active');
+                        b.classList.add('btn-outline');
+                    });
+                    button.classList.remove('btn-outline');
+                    button.classList.add('btn-primary', 'active');
+                    
+                    // KORRIGIERT: Verwende AnalyticsEngine-Methode
+                    const period = parseInt(button.dataset.period);
+                    console.log('📊 Updating analytics period to:', period, 'days');
+                    
+                    // Direkter Aufruf der AnalyticsEngine-Methode
+                    if (typeof this.analyticsEngine.handlePeriodChange === 'function') {
+                        this.analyticsEngine.handlePeriodChange(period);
+                    } else {
+                        console.warn('⚠️ AnalyticsEngine handlePeriodChange not available');
+                        this.showToast('📊 Analytics-Update nicht verfügbar', 'warning');
+                    }
+                    
+                } catch (error) {
+                    console.error('❌ Period change error:', error);
+                    this.showToast('⚠️ Fehler beim Ändern des Zeitraums', 'warning');
+                }
+            });
+        });
+
+        // Metric Tab Event Listener
+        document.querySelectorAll('.metric-tab[data-metric]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.preventDefault();
+                const button = e.target.closest('.metric-tab');
+                
+                try {
+                    console.log('📈 Metric clicked:', button.dataset.metric);
+                    
+                    // Update tab states
+                    document.querySelectorAll('.metric-tab').forEach(b => {
+                        b.classList.remove('tab-active');
+                    });
+                    button.classList.add('tab-active');
+                    
+                    // Get metric and label
+                    const metric = button.dataset.metric;
+                    
+                    // Verwende AnalyticsEngine-Methode
+                    if (typeof this.analyticsEngine.handleMetricChange === 'function') {
+                        this.analyticsEngine.handleMetricChange(metric);
+                    } else {
+                        console.warn('⚠️ AnalyticsEngine handleMetricChange not available');
+                        this.showToast('📊 Metric-Update nicht verfügbar', 'warning');
+                    }
+                    
+                } catch (error) {
+                    console.error('❌ Metric change error:', error);
+                    this.showToast('⚠️ Fehler beim Ändern der Metrik', 'warning');
+                }
+            });
+        });
+
+        console.log('✅ Analytics event listeners initialized successfully');
+        
+    } catch (error) {
+        console.error('❌ Analytics event listeners initialization failed:', error);
+        this.showToast('⚠️ Analytics-Features teilweise nicht verfügbar', 'warning');
+    }
+}
+
+/**
+ * Set Initial Analytics State
+ */
+setInitialAnalyticsState() {
+    try {
+        // Set default period button as active
+        const defaultPeriodBtn = document.querySelector('[data-period="14"]');
+        if (defaultPeriodBtn) {
+            defaultPeriodBtn.classList.add('btn-primary', 'active');
+            defaultPeriodBtn.classList.remove('btn-outline');
+        }
+
+        // Set default metric tab as active
+        const defaultMetricTab = document.querySelector('.metric-tab[data-metric="all"]');
+        if (defaultMetricTab) {
+            defaultMetricTab.classList.add('tab-active');
+        }
+
+        // Update data count
+        this.updateTrendsDataCount();
+
+    } catch (error) {
+        console.error('❌ Initial state setup error:', error);
+    }
+}
+
+/**
+ * Get Filtered Health Data
+ */
+getFilteredHealthData(days = 14) {
+    try {
+        if (!this.healthData || !Array.isArray(this.healthData)) {
+            return [];
+        }
+
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+
+        return this.healthData.filter(item => {
+            const itemDate = new Date(item.date);
+            return itemDate >= cutoffDate;
+        }).sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    } catch (error) {
+        console.error('❌ Data filtering error:', error);
+        return [];
+    }
+}
+
+/**
+ * Apply Metric Filter
+ */
+applyMetricFilter(metric) {
+    try {
+        this.currentMetricFilter = metric;
+        
+        // Update chart with current filter
+        const filteredData = this.getFilteredHealthData(this.currentAnalyticsPeriod);
+        
+        if (this.analyticsEngine && typeof this.analyticsEngine.updateTrendsChart === 'function') {
+            this.analyticsEngine.updateTrendsChart(filteredData);
+        }
+        
+        // Update UI elements
+        this.updateMetricFilterUI(metric);
+        
+    } catch (error) {
+        console.error('❌ Metric filter error:', error);
+    }
+}
+
+/**
+ * Update Metric Filter UI
+ */
+updateMetricFilterUI(metric) {
+    try {
+        const labels = {
+            'all': 'Alle Metriken',
+            'steps': 'Schritte',
+            'waterIntake': 'Wasser',
+            'sleepHours': 'Schlaf',
+            'sleepTimeline': 'Schlafrhythmus',
+            'weight': 'Gewicht',
+            'bloodPressure': 'Blutdruck',
+            'restingHeartRate': 'Ruhepuls',
+            'calories': 'Kalorien',
+            'energy': 'Energiebilanz',
+            'body': 'Körpermaße',
+            'glucose': 'Blutzucker'
+        };
+
+        // Update title
+        const titleElement = document.getElementById('trends-title');
+        if (titleElement) {
+            titleElement.textContent = `${labels[metric] || this.getMetricDefinition(metric)?.name || 'Trends'} & Entwicklung`;
+        }
+
+        // Update active tab
+        document.querySelectorAll('.metric-tab').forEach(tab => {
+            tab.classList.remove('tab-active');
+            if (tab.dataset.metric === metric) {
+                tab.classList.add('tab-active');
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ UI update error:', error);
+    }
+}
+
+/**
+ * Update Trends Data Count
+ */
+updateTrendsDataCount() {
+    try {
+        const dataCountElement = document.getElementById('trends-data-count');
+        if (dataCountElement && this.healthData) {
+            const count = this.healthData.length;
+            const days = count > 0 ? Math.min(count, this.currentAnalyticsPeriod) : 0;
+            dataCountElement.textContent = `${days} Tage`;
+        }
+    } catch (error) {
+        console.error('❌ Data count update error:', error);
+    }
+}
+
+    // === MEHR-MENÜ FUNKTIONEN ===
+showImportExport() {
+    console.log('📥 Import/Export Dialog wird geöffnet');
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open import-export-modal';
+    modal.innerHTML = `
+        <div class="modal-box max-w-2xl">
+            <h3 class="font-bold text-lg mb-4">📥 Daten Import/Export</h3>
+            
+            <div class="tabs tabs-bordered mb-4">
+                <a class="tab tab-active" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('export-tab').style.display='block'; document.getElementById('import-tab').style.display='none'">Export</a>
+                <a class="tab" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('import-tab').style.display='block'; document.getElementById('export-tab').style.display='none'">Import</a>
+            </div>
+
+            <div id="export-tab">
+                <p class="mb-4">Exportiere deine Gesundheitsdaten als JSON-Datei:</p>
+                <div class="mb-4">
+                    <label class="label cursor-pointer justify-start gap-2">
+                        <input type="checkbox" id="export-encrypt" class="checkbox checkbox-sm" onchange="document.getElementById('export-passphrase-fields').classList.toggle('hidden', !this.checked)">
+                        <span class="label-text">🔒 Mit Passwort verschlüsseln (z.B. für Cloud-Speicher)</span>
+                    </label>
+                    <div id="export-passphrase-fields" class="hidden space-y-2 mt-2">
+                        <input type="password" id="export-passphrase" class="input input-bordered input-sm w-full" placeholder="Passwort (mind. ${BackupFormat.MIN_PASSPHRASE_LENGTH} Zeichen)" autocomplete="new-password">
+                        <input type="password" id="export-passphrase-confirm" class="input input-bordered input-sm w-full" placeholder="Passwort wiederholen" autocomplete="new-password">
+                        <p class="text-xs opacity-70">Das Passwort wird nirgends gespeichert - ohne es lässt sich das Backup nicht wiederherstellen.</p>
+                    </div>
+                </div>
+                <button class="btn btn-primary mb-4" onclick="healthTracker.exportBackupFromDialog()">📤 Daten exportieren</button>
+                <p class="mb-4">Oder Einträge eines Zeitraums als CSV für Excel und andere Tabellen:</p>
+                <button class="btn btn-outline mb-4" onclick="this.closest('.modal').remove(); healthTracker.showCsvExport()">📊 CSV exportieren</button>
+            </div>
+
+            <div id="import-tab" style="display:none">
+                <p class="mb-4">Stelle ein JSON-Backup wieder her - vor dem Übernehmen siehst du, was sich ändert. Verschlüsselte Backups fragen nach dem Passwort.</p>
+                <input type="file" class="file-input file-input-bordered w-full mb-4" id="import-file" accept=".json">
+                <button class="btn btn-primary mb-4" onclick="healthTracker.importData()">📥 Backup prüfen</button>
+                <p class="mb-4">Oder Einträge aus einer CSV-Datei übernehmen - vorhandene Einträge bleiben erhalten:</p>
+                <button class="btn btn-outline mb-4" onclick="this.closest('.modal').remove(); healthTracker.showCsvImport()">📊 CSV importieren</button>
+                <p class="mb-4">Oder Tageswerte (Schritte, Gewicht, Schlaf ...) aus Apple Health, Google Fit oder Fitbit:</p>
+                <div class="flex flex-wrap gap-2">
+                    <button class="btn btn-outline" onclick="this.closest('.modal').remove(); healthTracker.showAppleHealthImport()">🍎 Apple Health importieren</button>
+                    <button class="btn btn-outline" onclick="this.closest('.modal').remove(); healthTracker.showFitnessImport()">⌚ Google Fit / Fitbit importieren</button>
+                </div>
+            </div>
+
+            <div class="modal-action">
+                <button class="btn" onclick="this.closest('.modal').remove()">Schließen</button>
+            </div>
+        </div>
+    `;
+    document.body.appendChild(modal);
+}
+
+/**
+ * Zeige erweiterte Datenschutz-Informationen mit GDPR-Compliance
+ */
+showDataPrivacy() {
+    console.log('🔒 Datenschutz-Info wird angezeigt (optimiert)');
+    
+    try {
+        // Prüfe ob bereits ein Privacy-Modal existiert
+        const existingModal = document.querySelector('.privacy-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+        
+        // Sammle aktuelle Privacy-relevante Daten
+        const privacyStats = this.getPrivacyStats();
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open privacy-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-4xl max-h-[90vh] overflow-y-auto">
+                <!-- Enhanced Header mit Privacy-Shield Animation -->
+                <div class="flex items-center gap-4 mb-8 sticky top-0 bg-base-100 py-4 border-b border-base-300/50 z-10">
+                    <div class="relative">
+                        <div class="p-3 bg-gradient-to-br from-success/10 via-success/5 to-success/10 rounded-2xl border border-success/20 shadow-lg">
+                            <i data-lucide="shield-check" class="w-8 h-8 text-success animate-pulse"></i>
+                        </div>
+                        <!-- Security Aura Effect -->
+                        <div class="absolute inset-0 bg-success/10 rounded-2xl scale-125 opacity-50 animate-ping"></div>
+                    </div>
+                    <div class="flex-1">
+                        <h3 class="text-3xl font-bold bg-gradient-to-r from-success to-success/70 bg-clip-text text-transparent">
+                            🔒 Datenschutz & Privatsphäre
+                        </h3>
+                        <p class="text-base-content/70 mt-1">Privacy-First Design mit End-to-End Sicherheit</p>
+                        <div class="flex gap-2 mt-2">
+                            <div class="badge badge-success badge-sm gap-1">
+                                <i data-lucide="check" class="w-3 h-3"></i>
+                                GDPR-konform
+                            </div>
+                            <div class="badge badge-primary badge-sm gap-1">
+                                <i data-lucide="wifi-off" class="w-3 h-3"></i>
+                                Offline-First
+                            </div>
+                            <div class="badge badge-secondary badge-sm gap-1">
+                                <i data-lucide="lock" class="w-3 h-3"></i>
+                                Verschlüsselt
+                            </div>
                         </div>
                     </div>
                     <button class="btn btn-ghost btn-sm btn-circle hover:btn-error transition-colors" onclick="this.closest('.modal').remove()">
@@ -3540,13 +7624,13 @@ Du behältst die vollständige Kontrolle über deine Daten.`);
  */
 getPrivacyStats() {
     try {
-        const healthData = JSON.parse(localStorage.getItem('healthData') || '[]');
+        const healthData = this.localEntriesSnapshot;
         const totalEntries = healthData.length;
         
         // Berechne Speichergröße
         const totalSize = this.formatBytes(
             new Blob([JSON.stringify(healthData)]).size +
-            new Blob([localStorage.getItem('userGoals') || '{}']).size +
+            new Blob([JSON.stringify(this.goals)]).size +
             new Blob([localStorage.getItem('app-settings') || '{}']).size
         );
         
@@ -4049,8 +8133,8 @@ getAppStats() {
         const installDays = Math.floor((Date.now() - new Date(installDate).getTime()) / (1000 * 60 * 60 * 24));
         
         // Storage-Größen berechnen
-        const healthData = localStorage.getItem('healthData') || '[]';
-        const goalsData = localStorage.getItem('userGoals') || '{}';
+        const healthData = JSON.stringify(this.localEntriesSnapshot);
+        const goalsData = JSON.stringify(this.goals);
         const settingsData = localStorage.getItem('app-settings') || '{}';
         
         const healthDataSize = this.formatBytes(new Blob([healthData]).size);
@@ -4142,82 +8226,439 @@ getCacheSize() {
     }
 }
 
-/**
- * Zähle erreichte Ziele
- */
-countAchievedGoals() {
-    try {
-        // Implementierung abhängig von der Ziel-Logik
-        return 0; // Placeholder
-    } catch (error) {
-        return 0;
-    }
-}
+/**
+ * Zähle erreichte Ziele
+ */
+countAchievedGoals() {
+    try {
+        // Implementierung abhängig von der Ziel-Logik
+        return 0; // Placeholder
+    } catch (error) {
+        return 0;
+    }
+}
+
+/**
+ * Zeige optimierte Hilfe & Anleitung ohne Tab-Funktionalität
+ */
+showHelp() {
+    console.log('❓ Hilfe wird angezeigt (optimiert ohne Tabs)');
+    
+    try {
+        // Prüfe ob bereits ein Help-Modal existiert
+        const existingModal = document.querySelector('.help-modal');
+        if (existingModal) {
+            existingModal.remove();
+        }
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open help-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-4xl max-h-[90vh] overflow-y-auto">
+                <!-- Header mit Animation -->
+                <div class="flex items-center gap-3 mb-6 sticky top-0 bg-base-100 py-2 border-b border-base-300/50 z-10">
+                    <div class="avatar placeholder">
+                        <div class="bg-gradient-to-br from-info to-info/80 text-info-content rounded-xl w-12 h-12">
+                            <i data-lucide="help-circle" class="w-6 h-6"></i>
+                        </div>
+                    </div>
+                    <div class="flex-1">
+                        <h3 class="font-bold text-2xl bg-gradient-to-r from-info to-info/80 bg-clip-text text-transparent">
+                            Hilfe & Anleitung
+                        </h3>
+                        <p class="text-sm text-base-content/70">Alles was du wissen musst</p>
+                    </div>
+                    <button class="btn btn-ghost btn-sm btn-circle" onclick="this.closest('.modal').remove()">
+                        <i data-lucide="x" class="w-5 h-5"></i>
+                    </button>
+                </div>
+                
+                <!-- Alle Hilfe-Inhalte in einem scrollbaren Bereich -->
+                <div class="space-y-8">
+                    
+                    <!-- Quick Start Guide -->
+                    <section>
+                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
+                            <i data-lucide="play-circle" class="w-5 h-5 text-success"></i>
+                            Schnellstart
+                        </h4>
+                        
+                        <div class="grid md:grid-cols-2 gap-4 mb-6">
+                            <div class="card bg-success/5 border border-success/20">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold text-success mb-3 flex items-center gap-2">
+                                        <i data-lucide="user-plus" class="w-4 h-4"></i>
+                                        1. Erste Schritte
+                                    </h5>
+                                    <ul class="text-sm space-y-2">
+                                        <li class="flex items-start gap-2">
+                                            <span class="text-success">•</span>
+                                            <span>Ziele im <strong>Fortschritt-Hub</strong> definieren</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <span class="text-success">•</span>
+                                            <span>Erste Gesundheitsdaten eingeben</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <span class="text-success">•</span>
+                                            <span>App als PWA installieren (optional)</span>
+                                        </li>
+                                    </ul>
+                                </div>
+                            </div>
+                            
+                            <div class="card bg-info/5 border border-info/20">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold text-info mb-3 flex items-center gap-2">
+                                        <i data-lucide="zap" class="w-4 h-4"></i>
+                                        2. Schnell-Eingabe
+                                    </h5>
+                                    <ul class="text-sm space-y-2">
+                                        <li class="flex items-start gap-2">
+                                            <span class="text-info">•</span>
+                                            <span>Klicke den <strong>+ Button</strong> in der Navigation</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <span class="text-info">•</span>
+                                            <span>Wähle die gewünschte Metrik aus</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <span class="text-info">•</span>
+                                            <span>Nutze die Voreinstellungen für häufige Werte</span>
+                                        </li>
+                                    </ul>
+                                </div>
+                            </div>
+                        </div>
+                        
+                        <div class="alert alert-success mb-6">
+                            <i data-lucide="lightbulb" class="w-5 h-5"></i>
+                            <div>
+                                <h4 class="font-semibold">Pro-Tipp für Einsteiger</h4>
+                                <p class="text-sm">Beginne mit 2-3 Metriken (z.B. Schritte, Wasser, Schlaf) statt alle auf einmal zu tracken. Das erhöht die Erfolgschancen!</p>
+                            </div>
+                        </div>
+                    </section>
+
+                    <!-- Gesundheitsdaten Tracking -->
+                    <section>
+                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
+                            <i data-lucide="activity" class="w-5 h-5 text-primary"></i>
+                            Gesundheitsdaten verfolgen
+                        </h4>
+                        
+                        <div class="space-y-4">
+                            <!-- Schritte -->
+                            <div class="card bg-base-200">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                        <i data-lucide="footprints" class="w-4 h-4 text-success"></i>
+                                        Schritte & Aktivität
+                                    </h5>
+                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
+                                        <div>
+                                            <strong>Eingabe:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Tägliche Schrittzahl eingeben</li>
+                                                <li>• Mehrere Einträge werden addiert</li>
+                                                <li>• Schnellwerte: 1.000, 2.500, 5.000, 10.000</li>
+                                            </ul>
+                                        </div>
+                                        <div>
+                                            <strong>Empfehlungen:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Ziel: 10.000 Schritte täglich</li>
+                                                <li>• Beginne mit realistischen Zielen</li>
+                                                <li>• Steigere schrittweise</li>
+                                            </ul>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <!-- Wasser -->
+                            <div class="card bg-base-200">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                        <i data-lucide="droplets" class="w-4 h-4 text-info"></i>
+                                        Wasserzufuhr
+                                    </h5>
+                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
+                                        <div>
+                                            <strong>Eingabe:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Wassermenge in Litern</li>
+                                                <li>• Schnellwerte: Glas (0.2L), Flasche (0.33L)</li>
+                                                <li>• Mehrfach-Eingaben werden summiert</li>
+                                            </ul>
+                                        </div>
+                                        <div>
+                                            <strong>Empfehlungen:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Ziel: 2-3 Liter täglich</li>
+                                                <li>• Morgens mit 1-2 Gläsern starten</li>
+                                                <li>• Regelmäßig über den Tag verteilen</li>
+                                            </ul>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <!-- Schlaf -->
+                            <div class="card bg-base-200">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                        <i data-lucide="moon" class="w-4 h-4 text-warning"></i>
+                                        Schlaf & Erholung
+                                    </h5>
+                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
+                                        <div>
+                                            <strong>Eingabe:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Schlafstunden (inkl. Dezimalstellen)</li>
+                                                <li>• Powernaps können separat erfasst werden</li>
+                                                <li>• Schnellwerte: 0.5h, 1.5h, 8h, 9h</li>
+                                            </ul>
+                                        </div>
+                                        <div>
+                                            <strong>Empfehlungen:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Ziel: 7-9 Stunden Nachtschlaf</li>
+                                                <li>• Regelmäßige Schlafzeiten</li>
+                                                <li>• Kurze Tagschlafpausen (max. 30 Min.)</li>
+                                            </ul>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <!-- Gewicht -->
+                            <div class="card bg-base-200">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                        <i data-lucide="scale" class="w-4 h-4 text-secondary"></i>
+                                        Gewicht & Körperdaten
+                                    </h5>
+                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
+                                        <div>
+                                            <strong>Eingabe:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Gewicht in Kilogramm</li>
+                                                <li>• Ein Wert pro Tag (überschreibt vorherige)</li>
+                                                <li>• Bereich: 30-300 kg</li>
+                                            </ul>
+                                        </div>
+                                        <div>
+                                            <strong>Empfehlungen:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Täglich zur gleichen Zeit wiegen</li>
+                                                <li>• Morgens nach dem Aufstehen</li>
+                                                <li>• Gewichtsziel optional setzen</li>
+                                            </ul>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <!-- Stimmung & Notizen -->
+                            <div class="card bg-base-200">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                        <i data-lucide="smile" class="w-4 h-4 text-accent"></i>
+                                        Stimmung & Notizen
+                                    </h5>
+                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
+                                        <div>
+                                            <strong>Stimmung:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• 😄 Ausgezeichnet bis 😢 Furchtbar</li>
+                                                <li>• Ein Wert pro Tag</li>
+                                                <li>• Hilft bei Muster-Erkennung</li>
+                                            </ul>
+                                        </div>
+                                        <div>
+                                            <strong>Notizen:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>• Freie Texteingabe (max. 500 Zeichen)</li>
+                                                <li>• Mehrere Notizen werden mit Zeitstempel gesammelt</li>
+                                                <li>• Schnellvorlagen verfügbar</li>
+                                            </ul>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </section>
+
+                    <!-- Ziele & Fortschritt -->
+                    <section>
+                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
+                            <i data-lucide="target" class="w-5 h-5 text-secondary"></i>
+                            Ziele setzen & verfolgen
+                        </h4>
+                        
+                        <div class="space-y-4">
+                            <div class="grid md:grid-cols-2 gap-4">
+                                <div class="card bg-secondary/5 border border-secondary/20">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold text-secondary mb-3">Ziele definieren</h5>
+                                        <ol class="text-sm space-y-2">
+                                            <li>1. Gehe zum <strong>Fortschritt-Hub</strong></li>
+                                            <li>2. Wähle den <strong>"Ziele"</strong> Tab</li>
+                                            <li>3. Klicke <strong>"Ziele bearbeiten"</strong></li>
+                                            <li>4. Setze realistische, erreichbare Ziele</li>
+                                            <li>5. Speichere deine Einstellungen</li>
+                                        </ol>
+                                    </div>
+                                </div>
+                                
+                                <div class="card bg-accent/5 border border-accent/20">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold text-accent mb-3">Fortschritt verfolgen</h5>
+                                        <ul class="text-sm space-y-2">
+                                            <li class="flex items-start gap-2">
+                                                <span class="text-accent">•</span>
+                                                <span><strong>Heute-View:</strong> Aktueller Tagesfortschritt</span>
+                                            </li>
+                                            <li class="flex items-start gap-2">
+                                                <span class="text-accent">•</span>
+                                                <span><strong>Wochen-View:</strong> 7-Tage Durchschnitte</span>
+                                            </li>
+                                            <li class="flex items-start gap-2">
+                                                <span class="text-accent">•</span>
+                                                <span><strong>Ziele-View:</strong> Detaillierte Zielverfolgung</span>
+                                            </li>
+                                            <li class="flex items-start gap-2">
+                                                <span class="text-accent">•</span>
+                                                <span><strong>Erfolge-View:</strong> Meilensteine & Achievements</span>
+                                            </li>
+                                        </ul>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <div class="alert alert-info">
+                                <i data-lucide="compass" class="w-5 h-5"></i>
+                                <div>
+                                    <h4 class="font-semibold">SMART-Ziele Prinzip</h4>
+                                    <p class="text-sm">
+                                        <strong>S</strong>pezifisch, <strong>M</strong>essbar, <strong>A</strong>erreichbar, 
+                                        <strong>R</strong>elevant, <strong>T</strong>erminiert - 
+                                        Beispiel: "10.000 Schritte täglich in den nächsten 4 Wochen"
+                                    </p>
+                                </div>
+                            </div>
+                        </div>
+                    </section>
 
-/**
- * Zeige optimierte Hilfe & Anleitung ohne Tab-Funktionalität
- */
-showHelp() {
-    console.log('❓ Hilfe wird angezeigt (optimiert ohne Tabs)');
-    
-    try {
-        // Prüfe ob bereits ein Help-Modal existiert
-        const existingModal = document.querySelector('.help-modal');
-        if (existingModal) {
-            existingModal.remove();
-        }
-        
-        const modal = document.createElement('div');
-        modal.className = 'modal modal-open help-modal';
-        modal.innerHTML = `
-            <div class="modal-box max-w-4xl max-h-[90vh] overflow-y-auto">
-                <!-- Header mit Animation -->
-                <div class="flex items-center gap-3 mb-6 sticky top-0 bg-base-100 py-2 border-b border-base-300/50 z-10">
-                    <div class="avatar placeholder">
-                        <div class="bg-gradient-to-br from-info to-info/80 text-info-content rounded-xl w-12 h-12">
-                            <i data-lucide="help-circle" class="w-6 h-6"></i>
+                    <!-- Analytics verstehen -->
+                    <section>
+                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
+                            <i data-lucide="bar-chart-3" class="w-5 h-5 text-info"></i>
+                            Analytics & Trends verstehen
+                        </h4>
+                        
+                        <div class="space-y-4">
+                            <div class="grid md:grid-cols-3 gap-4">
+                                <div class="card bg-base-200">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                            <i data-lucide="trending-up" class="w-4 h-4 text-success"></i>
+                                            Trends Chart
+                                        </h5>
+                                        <ul class="text-sm space-y-1">
+                                            <li>• Zeitraum: 7, 14, 30, 90 Tage</li>
+                                            <li>• Filter: Alle oder einzelne Metriken</li>
+                                            <li>• Trends erkennen und Muster verstehen</li>
+                                        </ul>
+                                    </div>
+                                </div>
+                                
+                                <div class="card bg-base-200">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                            <i data-lucide="flame" class="w-4 h-4 text-warning"></i>
+                                            Aktivitäts-Heatmap
+                                        </h5>
+                                        <ul class="text-sm space-y-1">
+                                            <li>• Visuelle Darstellung deiner Aktivität</li>
+                                            <li>• Erkennt Muster und Lücken</li>
+                                            <li>• Kalender-ähnliche Übersicht</li>
+                                        </ul>
+                                    </div>
+                                </div>
+                                
+                                <div class="card bg-base-200">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                            <i data-lucide="brain" class="w-4 h-4 text-primary"></i>
+                                            KI-Insights
+                                        </h5>
+                                        <ul class="text-sm space-y-1">
+                                            <li>• Automatische Muster-Erkennung</li>
+                                            <li>• Korrelationen zwischen Metriken</li>
+                                            <li>• Personalisierte Empfehlungen</li>
+                                        </ul>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <div class="card bg-gradient-to-r from-primary/5 to-secondary/5 border border-primary/20">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold mb-3 flex items-center gap-2">
+                                        <i data-lucide="lightbulb" class="w-4 h-4 text-primary"></i>
+                                        Analytics interpretieren
+                                    </h5>
+                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
+                                        <div>
+                                            <strong>Positive Trends:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>📈 Steigende Linien = Verbesserung</li>
+                                                <li>🎯 Zielerreichung > 80% = Sehr gut</li>
+                                                <li>🔥 Längere Streaks = Konstanz</li>
+                                            </ul>
+                                        </div>
+                                        <div>
+                                            <strong>Verbesserungspotential:</strong>
+                                            <ul class="ml-4 space-y-1">
+                                                <li>📉 Fallende Trends = Aufmerksamkeit nötig</li>
+                                                <li>⚠️ Zielerreichung < 50% = Ziele anpassen</li>
+                                                <li>🔍 Lücken in Heatmap = Routine verbessern</li>
+                                            </ul>
+                                        </div>
+                                    </div>
+                                </div>
+                            </div>
                         </div>
-                    </div>
-                    <div class="flex-1">
-                        <h3 class="font-bold text-2xl bg-gradient-to-r from-info to-info/80 bg-clip-text text-transparent">
-                            Hilfe & Anleitung
-                        </h3>
-                        <p class="text-sm text-base-content/70">Alles was du wissen musst</p>
-                    </div>
-                    <button class="btn btn-ghost btn-sm btn-circle" onclick="this.closest('.modal').remove()">
-                        <i data-lucide="x" class="w-5 h-5"></i>
-                    </button>
-                </div>
-                
-                <!-- Alle Hilfe-Inhalte in einem scrollbaren Bereich -->
-                <div class="space-y-8">
-                    
-                    <!-- Quick Start Guide -->
+                    </section>
+
+                    <!-- Offline & Sync -->
                     <section>
                         <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="play-circle" class="w-5 h-5 text-success"></i>
-                            Schnellstart
+                            <i data-lucide="wifi-off" class="w-5 h-5 text-success"></i>
+                            Offline-Funktionalität & Synchronisation
                         </h4>
                         
-                        <div class="grid md:grid-cols-2 gap-4 mb-6">
+                        <div class="grid md:grid-cols-2 gap-4">
                             <div class="card bg-success/5 border border-success/20">
                                 <div class="card-body p-4">
-                                    <h5 class="font-semibold text-success mb-3 flex items-center gap-2">
-                                        <i data-lucide="user-plus" class="w-4 h-4"></i>
-                                        1. Erste Schritte
-                                    </h5>
+                                    <h5 class="font-semibold text-success mb-3">Offline-Funktionen</h5>
                                     <ul class="text-sm space-y-2">
                                         <li class="flex items-start gap-2">
-                                            <span class="text-success">•</span>
-                                            <span>Ziele im <strong>Fortschritt-Hub</strong> definieren</span>
+                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Vollständige App-Funktionalität ohne Internet</span>
                                         </li>
                                         <li class="flex items-start gap-2">
-                                            <span class="text-success">•</span>
-                                            <span>Erste Gesundheitsdaten eingeben</span>
+                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Lokale Datenspeicherung im Browser</span>
                                         </li>
                                         <li class="flex items-start gap-2">
-                                            <span class="text-success">•</span>
-                                            <span>App als PWA installieren (optional)</span>
+                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Analytics & Charts funktionieren offline</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Alle Einstellungen bleiben erhalten</span>
                                         </li>
                                     </ul>
                                 </div>
@@ -4225,180 +8666,230 @@ showHelp() {
                             
                             <div class="card bg-info/5 border border-info/20">
                                 <div class="card-body p-4">
-                                    <h5 class="font-semibold text-info mb-3 flex items-center gap-2">
-                                        <i data-lucide="zap" class="w-4 h-4"></i>
-                                        2. Schnell-Eingabe
-                                    </h5>
+                                    <h5 class="font-semibold text-info mb-3">Automatische Synchronisation</h5>
                                     <ul class="text-sm space-y-2">
                                         <li class="flex items-start gap-2">
-                                            <span class="text-info">•</span>
-                                            <span>Klicke den <strong>+ Button</strong> in der Navigation</span>
+                                            <i data-lucide="sync" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Offline erfasste Daten werden automatisch hochgeladen</span>
                                         </li>
                                         <li class="flex items-start gap-2">
-                                            <span class="text-info">•</span>
-                                            <span>Wähle die gewünschte Metrik aus</span>
+                                            <i data-lucide="shield" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Verschlüsselte und sichere Datenübertragung</span>
                                         </li>
                                         <li class="flex items-start gap-2">
-                                            <span class="text-info">•</span>
-                                            <span>Nutze die Voreinstellungen für häufige Werte</span>
+                                            <i data-lucide="clock" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Sync-Status in der Navigation sichtbar</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="refresh-cw" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Manueller Sync über Verbindungsstatus-Button</span>
                                         </li>
                                     </ul>
                                 </div>
                             </div>
                         </div>
                         
-                        <div class="alert alert-success mb-6">
-                            <i data-lucide="lightbulb" class="w-5 h-5"></i>
+                        <div class="alert alert-warning">
+                            <i data-lucide="info" class="w-5 h-5"></i>
                             <div>
-                                <h4 class="font-semibold">Pro-Tipp für Einsteiger</h4>
-                                <p class="text-sm">Beginne mit 2-3 Metriken (z.B. Schritte, Wasser, Schlaf) statt alle auf einmal zu tracken. Das erhöht die Erfolgschancen!</p>
+                                <h4 class="font-semibold">Verbindungshinweis</h4>
+                                <p class="text-sm">
+                                    Der Verbindungsstatus wird in der oberen rechten Ecke angezeigt: 
+                                    <span class="badge badge-success mx-1">🌐 Online</span> oder 
+                                    <span class="badge badge-warning mx-1">📵 Offline</span>
+                                </p>
                             </div>
                         </div>
                     </section>
 
-                    <!-- Gesundheitsdaten Tracking -->
+                    <!-- PWA Installation -->
                     <section>
                         <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="activity" class="w-5 h-5 text-primary"></i>
-                            Gesundheitsdaten verfolgen
+                            <i data-lucide="smartphone" class="w-5 h-5 text-accent"></i>
+                            App-Installation (PWA)
                         </h4>
                         
                         <div class="space-y-4">
-                            <!-- Schritte -->
-                            <div class="card bg-base-200">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                        <i data-lucide="footprints" class="w-4 h-4 text-success"></i>
-                                        Schritte & Aktivität
-                                    </h5>
-                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <div>
-                                            <strong>Eingabe:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Tägliche Schrittzahl eingeben</li>
-                                                <li>• Mehrere Einträge werden addiert</li>
-                                                <li>• Schnellwerte: 1.000, 2.500, 5.000, 10.000</li>
-                                            </ul>
-                                        </div>
-                                        <div>
-                                            <strong>Empfehlungen:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Ziel: 10.000 Schritte täglich</li>
-                                                <li>• Beginne mit realistischen Zielen</li>
-                                                <li>• Steigere schrittweise</li>
-                                            </ul>
-                                        </div>
+                            <div class="grid md:grid-cols-3 gap-4">
+                                <div class="card bg-base-200">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                            <i data-lucide="smartphone" class="w-4 h-4 text-primary"></i>
+                                            Android / Chrome
+                                        </h5>
+                                        <ol class="text-sm space-y-1">
+                                            <li>1. Menü (⋮) → "App installieren"</li>
+                                            <li>2. Oder: "Zum Startbildschirm hinzufügen"</li>
+                                            <li>3. App-Icon erscheint auf Homescreen</li>
+                                        </ol>
+                                    </div>
+                                </div>
+                                
+                                <div class="card bg-base-200">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                            <i data-lucide="smartphone" class="w-4 h-4 text-secondary"></i>
+                                            iPhone / Safari
+                                        </h5>
+                                        <ol class="text-sm space-y-1">
+                                            <li>1. Teilen-Button (□↗) tippen</li>
+                                            <li>2. "Zum Home-Bildschirm" wählen</li>
+                                            <li>3. Namen bestätigen → "Hinzufügen"</li>
+                                        </ol>
+                                    </div>
+                                </div>
+                                
+                                <div class="card bg-base-200">
+                                    <div class="card-body p-4">
+                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
+                                            <i data-lucide="monitor" class="w-4 h-4 text-accent"></i>
+                                            Desktop
+                                        </h5>
+                                        <ol class="text-sm space-y-1">
+                                            <li>1. Install-Button in Adressleiste</li>
+                                            <li>2. Oder: Browser-Menü → "App installieren"</li>
+                                            <li>3. App startet in eigenem Fenster</li>
+                                        </ol>
                                     </div>
                                 </div>
                             </div>
                             
-                            <!-- Wasser -->
-                            <div class="card bg-base-200">
+                            <div class="card bg-gradient-to-r from-accent/5 to-primary/5 border border-accent/20">
                                 <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                        <i data-lucide="droplets" class="w-4 h-4 text-info"></i>
-                                        Wasserzufuhr
+                                    <h5 class="font-semibold mb-3 flex items-center gap-2">
+                                        <i data-lucide="star" class="w-4 h-4 text-accent"></i>
+                                        Vorteile der App-Installation
                                     </h5>
                                     <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <div>
-                                            <strong>Eingabe:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Wassermenge in Litern</li>
-                                                <li>• Schnellwerte: Glas (0.2L), Flasche (0.33L)</li>
-                                                <li>• Mehrfach-Eingaben werden summiert</li>
-                                            </ul>
-                                        </div>
-                                        <div>
-                                            <strong>Empfehlungen:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Ziel: 2-3 Liter täglich</li>
-                                                <li>• Morgens mit 1-2 Gläsern starten</li>
-                                                <li>• Regelmäßig über den Tag verteilen</li>
-                                            </ul>
+                                        <ul class="space-y-1">
+                                            <li>🚀 Schnellerer App-Start</li>
+                                            <li>📱 Eigenes App-Icon auf dem Homescreen</li>
+                                            <li>🔔 Push-Benachrichtigungen möglich</li>
+                                        </ul>
+                                        <ul class="space-y-1">
+                                            <li>📵 Funktioniert komplett offline</li>
+                                            <li>🎯 Fokussiertes Arbeiten ohne Browser-Tabs</li>
+                                            <li>💾 Automatische Updates im Hintergrund</li>
+                                        </ul>
+                                    </div>
+                                </div>
+                            </div>
+                        </div>
+                    </section>
+
+                    <!-- Troubleshooting -->
+                    <section>
+                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
+                            <i data-lucide="tool" class="w-5 h-5 text-warning"></i>
+                            Problemlösung & FAQ
+                        </h4>
+                        
+                        <div class="space-y-4">
+                            <div class="collapse collapse-arrow bg-base-200">
+                                <input type="radio" name="faq-accordion" checked="checked" /> 
+                                <div class="collapse-title text-lg font-medium">
+                                    📊 Charts werden nicht angezeigt oder sind leer
+                                </div>
+                                <div class="collapse-content"> 
+                                    <div class="space-y-2 text-sm">
+                                        <p><strong>Mögliche Ursachen & Lösungen:</strong></p>
+                                        <ul class="ml-4 space-y-1">
+                                            <li>• <strong>Nicht genug Daten:</strong> Mindestens 3-5 Tage mit Daten erfassen</li>
+                                            <li>• <strong>Zeitraum-Filter:</strong> Längeren Zeitraum wählen (30 oder 90 Tage)</li>
+                                            <li>• <strong>Browser-Cache:</strong> Seite neu laden (Strg+F5 / Cmd+Shift+R)</li>
+                                            <li>• <strong>JavaScript deaktiviert:</strong> In Browser-Einstellungen aktivieren</li>
+                                        </ul>
+                                        <div class="alert alert-info mt-2">
+                                            <i data-lucide="info" class="w-4 h-4"></i>
+                                            <span class="text-xs">Refresh-Button neben dem Chart zum erneuten Laden verwenden</span>
                                         </div>
                                     </div>
                                 </div>
                             </div>
                             
-                            <!-- Schlaf -->
-                            <div class="card bg-base-200">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                        <i data-lucide="moon" class="w-4 h-4 text-warning"></i>
-                                        Schlaf & Erholung
-                                    </h5>
-                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <div>
-                                            <strong>Eingabe:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Schlafstunden (inkl. Dezimalstellen)</li>
-                                                <li>• Powernaps können separat erfasst werden</li>
-                                                <li>• Schnellwerte: 0.5h, 1.5h, 8h, 9h</li>
-                                            </ul>
-                                        </div>
-                                        <div>
-                                            <strong>Empfehlungen:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Ziel: 7-9 Stunden Nachtschlaf</li>
-                                                <li>• Regelmäßige Schlafzeiten</li>
-                                                <li>• Kurze Tagschlafpausen (max. 30 Min.)</li>
-                                            </ul>
+                            <div class="collapse collapse-arrow bg-base-200">
+                                <input type="radio" name="faq-accordion" /> 
+                                <div class="collapse-title text-lg font-medium">
+                                    💾 Daten gehen verloren oder werden nicht gespeichert
+                                </div>
+                                <div class="collapse-content"> 
+                                    <div class="space-y-2 text-sm">
+                                        <p><strong>Datenschutz-Maßnahmen:</strong></p>
+                                        <ul class="ml-4 space-y-1">
+                                            <li>• <strong>Browser-Daten:</strong> Cookies & LocalStorage nicht löschen</li>
+                                            <li>• <strong>Inkognito-Modus:</strong> Vermeiden, da Daten nicht persistent sind</li>
+                                            <li>• <strong>Regelmäßiger Export:</strong> Über Mehr-Menü → Export/Import</li>
+                                            <li>• <strong>Browser-Updates:</strong> Können Daten zurücksetzen</li>
+                                        </ul>
+                                        <div class="alert alert-warning mt-2">
+                                            <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+                                            <span class="text-xs">Wichtige Daten regelmäßig exportieren als Backup!</span>
                                         </div>
                                     </div>
                                 </div>
                             </div>
                             
-                            <!-- Gewicht -->
-                            <div class="card bg-base-200">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                        <i data-lucide="scale" class="w-4 h-4 text-secondary"></i>
-                                        Gewicht & Körperdaten
-                                    </h5>
-                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <div>
-                                            <strong>Eingabe:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Gewicht in Kilogramm</li>
-                                                <li>• Ein Wert pro Tag (überschreibt vorherige)</li>
-                                                <li>• Bereich: 30-300 kg</li>
-                                            </ul>
-                                        </div>
-                                        <div>
-                                            <strong>Empfehlungen:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Täglich zur gleichen Zeit wiegen</li>
-                                                <li>• Morgens nach dem Aufstehen</li>
-                                                <li>• Gewichtsziel optional setzen</li>
-                                            </ul>
+                            <div class="collapse collapse-arrow bg-base-200">
+                                <input type="radio" name="faq-accordion" /> 
+                                <div class="collapse-title text-lg font-medium">
+                                    📱 App funktioniert nicht richtig auf dem Smartphone
+                                </div>
+                                <div class="collapse-content"> 
+                                    <div class="space-y-2 text-sm">
+                                        <p><strong>Mobile Optimierungen:</strong></p>
+                                        <ul class="ml-4 space-y-1">
+                                            <li>• <strong>Browser aktualisieren:</strong> Neueste Version verwenden</li>
+                                            <li>• <strong>PWA installieren:</strong> Bessere Performance als Browser-Version</li>
+                                            <li>• <strong>Landscape-Modus:</strong> Charts und Analytics besser sichtbar</li>
+                                            <li>• <strong>Touch-Gesten:</strong> Wischen und Pinch-to-Zoom unterstützt</li>
+                                        </ul>
+                                        <div class="alert alert-success mt-2">
+                                            <i data-lucide="smartphone" class="w-4 h-4"></i>
+                                            <span class="text-xs">Mobile Navigation unten für einfachere Bedienung</span>
                                         </div>
                                     </div>
                                 </div>
                             </div>
                             
-                            <!-- Stimmung & Notizen -->
-                            <div class="card bg-base-200">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                        <i data-lucide="smile" class="w-4 h-4 text-accent"></i>
-                                        Stimmung & Notizen
-                                    </h5>
-                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <div>
-                                            <strong>Stimmung:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• 😄 Ausgezeichnet bis 😢 Furchtbar</li>
-                                                <li>• Ein Wert pro Tag</li>
-                                                <li>• Hilft bei Muster-Erkennung</li>
-                                            </ul>
+                            <div class="collapse collapse-arrow bg-base-200">
+                                <input type="radio" name="faq-accordion" /> 
+                                <div class="collapse-title text-lg font-medium">
+                                    🔄 Synchronisation funktioniert nicht
+                                </div>
+                                <div class="collapse-content"> 
+                                    <div class="space-y-2 text-sm">
+                                        <p><strong>Sync-Probleme beheben:</strong></p>
+                                        <ul class="ml-4 space-y-1">
+                                            <li>• <strong>Internetverbindung:</strong> Status oben rechts prüfen</li>
+                                            <li>• <strong>Manueller Sync:</strong> Auf Verbindungsstatus-Button klicken</li>
+                                            <li>• <strong>Browser-Berechtigungen:</strong> Background-Sync aktivieren</li>
+                                            <li>• <strong>Server-Status:</strong> Möglicherweise temporäre Wartung</li>
+                                        </ul>
+                                        <div class="alert alert-info mt-2">
+                                            <i data-lucide="sync" class="w-4 h-4"></i>
+                                            <span class="text-xs">Offline-Daten werden automatisch nachgeholt bei nächster Verbindung</span>
                                         </div>
-                                        <div>
-                                            <strong>Notizen:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>• Freie Texteingabe (max. 500 Zeichen)</li>
-                                                <li>• Mehrere Notizen werden mit Zeitstempel gesammelt</li>
-                                                <li>• Schnellvorlagen verfügbar</li>
-                                            </ul>
+                                    </div>
+                                </div>
+                            </div>
+                            
+                            <div class="collapse collapse-arrow bg-base-200">
+                                <input type="radio" name="faq-accordion" /> 
+                                <div class="collapse-title text-lg font-medium">
+                                    🎯 Ziele werden nicht korrekt angezeigt
+                                </div>
+                                <div class="collapse-content"> 
+                                    <div class="space-y-2 text-sm">
+                                        <p><strong>Ziel-System verstehen:</strong></p>
+                                        <ul class="ml-4 space-y-1">
+                                            <li>• <strong>Ziele definieren:</strong> Erst im Fortschritt-Hub → Ziele setzen</li>
+                                            <li>• <strong>Tägliche Basis:</strong> Alle Ziele sind täglich, nicht wöchentlich</li>
+                                            <li>• <strong>Realistic setzen:</strong> Zu hohe Ziele führen zu Frustration</li>
+                                            <li>• <strong>Schrittweise steigern:</strong> Beginne mit 70% deiner Maximum-Leistung</li>
+                                        </ul>
+                                        <div class="alert alert-success mt-2">
+                                            <i data-lucide="target" class="w-4 h-4"></i>
+                                            <span class="text-xs">Ziele können jederzeit angepasst werden - sie sollten herausfordernd aber erreichbar sein</span>
                                         </div>
                                     </div>
                                 </div>
@@ -4406,1700 +8897,2923 @@ showHelp() {
                         </div>
                     </section>
 
-                    <!-- Ziele & Fortschritt -->
+                    <!-- Datenschutz & Sicherheit -->
                     <section>
                         <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="target" class="w-5 h-5 text-secondary"></i>
-                            Ziele setzen & verfolgen
+                            <i data-lucide="shield-check" class="w-5 h-5 text-success"></i>
+                            Datenschutz & Sicherheit
                         </h4>
                         
-                        <div class="space-y-4">
-                            <div class="grid md:grid-cols-2 gap-4">
-                                <div class="card bg-secondary/5 border border-secondary/20">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold text-secondary mb-3">Ziele definieren</h5>
-                                        <ol class="text-sm space-y-2">
-                                            <li>1. Gehe zum <strong>Fortschritt-Hub</strong></li>
-                                            <li>2. Wähle den <strong>"Ziele"</strong> Tab</li>
-                                            <li>3. Klicke <strong>"Ziele bearbeiten"</strong></li>
-                                            <li>4. Setze realistische, erreichbare Ziele</li>
-                                            <li>5. Speichere deine Einstellungen</li>
-                                        </ol>
-                                    </div>
-                                </div>
-                                
-                                <div class="card bg-accent/5 border border-accent/20">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold text-accent mb-3">Fortschritt verfolgen</h5>
-                                        <ul class="text-sm space-y-2">
-                                            <li class="flex items-start gap-2">
-                                                <span class="text-accent">•</span>
-                                                <span><strong>Heute-View:</strong> Aktueller Tagesfortschritt</span>
-                                            </li>
-                                            <li class="flex items-start gap-2">
-                                                <span class="text-accent">•</span>
-                                                <span><strong>Wochen-View:</strong> 7-Tage Durchschnitte</span>
-                                            </li>
-                                            <li class="flex items-start gap-2">
-                                                <span class="text-accent">•</span>
-                                                <span><strong>Ziele-View:</strong> Detaillierte Zielverfolgung</span>
-                                            </li>
-                                            <li class="flex items-start gap-2">
-                                                <span class="text-accent">•</span>
-                                                <span><strong>Erfolge-View:</strong> Meilensteine & Achievements</span>
-                                            </li>
-                                        </ul>
-                                    </div>
+                        <div class="grid md:grid-cols-2 gap-4">
+                            <div class="card bg-success/5 border border-success/20">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold text-success mb-3">Deine Daten sind sicher</h5>
+                                    <ul class="text-sm space-y-2">
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="lock" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Alle Daten werden lokal auf deinem Gerät gespeichert</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="shield" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Verschlüsselte Übertragung bei Synchronisation</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="eye-off" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Keine Weitergabe an Dritte</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="user-check" class="w-4 h-4 text-success mt-0.5"></i>
+                                            <span>Du behältst vollständige Kontrolle</span>
+                                        </li>
+                                    </ul>
                                 </div>
                             </div>
                             
-                            <div class="alert alert-info">
-                                <i data-lucide="compass" class="w-5 h-5"></i>
-                                <div>
-                                    <h4 class="font-semibold">SMART-Ziele Prinzip</h4>
-                                    <p class="text-sm">
-                                        <strong>S</strong>pezifisch, <strong>M</strong>essbar, <strong>A</strong>erreichbar, 
-                                        <strong>R</strong>elevant, <strong>T</strong>erminiert - 
-                                        Beispiel: "10.000 Schritte täglich in den nächsten 4 Wochen"
-                                    </p>
+                            <div class="card bg-info/5 border border-info/20">
+                                <div class="card-body p-4">
+                                    <h5 class="font-semibold text-info mb-3">Weitere Schutzmaßnahmen</h5>
+                                    <ul class="text-sm space-y-2">
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="download" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Regelmäßige Datenexports als Backup</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="trash-2" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Automatische Bereinigung alter Daten (optional)</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="fingerprint" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Biometrische Entsperrung (in Entwicklung)</span>
+                                        </li>
+                                        <li class="flex items-start gap-2">
+                                            <i data-lucide="wifi-off" class="w-4 h-4 text-info mt-0.5"></i>
+                                            <span>Offline-Modus für maximale Privatsphäre</span>
+                                        </li>
+                                    </ul>
                                 </div>
                             </div>
                         </div>
+                        
+                        <div class="alert alert-success">
+                            <i data-lucide="shield-check" class="w-5 h-5"></i>
+                            <div>
+                                <h4 class="font-semibold">GDPR-Konform & Privacy-First</h4>
+                                <p class="text-sm">
+                                    Health Tracker Pro folgt den strengsten Datenschutzstandards. 
+                                    Deine Gesundheitsdaten verlassen dein Gerät nur verschlüsselt und bleiben unter deiner vollständigen Kontrolle.
+                                </p>
+                            </div>
+                        </div>
                     </section>
 
-                    <!-- Analytics verstehen -->
+                    <!-- Kontakt & Support -->
                     <section>
                         <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="bar-chart-3" class="w-5 h-5 text-info"></i>
-                            Analytics & Trends verstehen
+                            <i data-lucide="mail" class="w-5 h-5 text-accent"></i>
+                            Kontakt & Weitere Hilfe
                         </h4>
                         
-                        <div class="space-y-4">
-                            <div class="grid md:grid-cols-3 gap-4">
-                                <div class="card bg-base-200">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                            <i data-lucide="trending-up" class="w-4 h-4 text-success"></i>
-                                            Trends Chart
-                                        </h5>
-                                        <ul class="text-sm space-y-1">
-                                            <li>• Zeitraum: 7, 14, 30, 90 Tage</li>
-                                            <li>• Filter: Alle oder einzelne Metriken</li>
-                                            <li>• Trends erkennen und Muster verstehen</li>
-                                        </ul>
-                                    </div>
-                                </div>
-                                
-                                <div class="card bg-base-200">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                            <i data-lucide="flame" class="w-4 h-4 text-warning"></i>
-                                            Aktivitäts-Heatmap
-                                        </h5>
-                                        <ul class="text-sm space-y-1">
-                                            <li>• Visuelle Darstellung deiner Aktivität</li>
-                                            <li>• Erkennt Muster und Lücken</li>
-                                            <li>• Kalender-ähnliche Übersicht</li>
-                                        </ul>
-                                    </div>
-                                </div>
-                                
-                                <div class="card bg-base-200">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                            <i data-lucide="brain" class="w-4 h-4 text-primary"></i>
-                                            KI-Insights
-                                        </h5>
-                                        <ul class="text-sm space-y-1">
-                                            <li>• Automatische Muster-Erkennung</li>
-                                            <li>• Korrelationen zwischen Metriken</li>
-                                            <li>• Personalisierte Empfehlungen</li>
-                                        </ul>
+                        <div class="grid md:grid-cols-2 gap-4">
+                            <div class="card bg-accent/5 border border-accent/20">
+                                <div class="card-body p-3">
+                                    <h5 class="font-semibold text-accent mb-3">Support kontaktieren</h5>
+                                    <div class="space-y-3">
+                                        <button class="btn btn-outline btn-accent btn-sm w-full gap-2" onclick="window.open('mailto:support@healthtracker.com?subject=Health Tracker Pro Hilfe')">
+                                            <i data-lucide="mail" class="w-4 h-4"></i>
+                                            E-Mail Support
+                                        </button>
                                     </div>
                                 </div>
                             </div>
                             
-                            <div class="card bg-gradient-to-r from-primary/5 to-secondary/5 border border-primary/20">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-3 flex items-center gap-2">
-                                        <i data-lucide="lightbulb" class="w-4 h-4 text-primary"></i>
-                                        Analytics interpretieren
-                                    </h5>
-                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <div>
-                                            <strong>Positive Trends:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>📈 Steigende Linien = Verbesserung</li>
-                                                <li>🎯 Zielerreichung > 80% = Sehr gut</li>
-                                                <li>🔥 Längere Streaks = Konstanz</li>
-                                            </ul>
-                                        </div>
-                                        <div>
-                                            <strong>Verbesserungspotential:</strong>
-                                            <ul class="ml-4 space-y-1">
-                                                <li>📉 Fallende Trends = Aufmerksamkeit nötig</li>
-                                                <li>⚠️ Zielerreichung < 50% = Ziele anpassen</li>
-                                                <li>🔍 Lücken in Heatmap = Routine verbessern</li>
-                                            </ul>
+                            <div class="card bg-primary/5 border border-primary/20">
+                                <div class="card-body p-3">
+                                    <h5 class="font-semibold text-primary mb-3">Hilfreiche Ressourcen</h5>
+                                    <div class="space-y-2 text-sm">
+                                        <div class="flex items-center gap-2">
+                                            <i data-lucide="github" class="w-4 h-4 text-primary"></i>
+                                            <span>Open Source auf GitHub</span>
                                         </div>
                                     </div>
                                 </div>
                             </div>
                         </div>
+                        
+                        <div class="alert alert-info">
+                            <i data-lucide="heart" class="w-5 h-5"></i>
+                            <div>
+                                <h4 class="font-semibold">Feedback willkommen!</h4>
+                                <p class="text-sm">
+                                    Deine Meinung ist wichtig! Teile Verbesserungsvorschläge, Bugs oder 
+                                    Feature-Wünsche mit uns. Gemeinsam machen wir Health Tracker Pro noch besser.
+                                </p>
+                            </div>
+                        </div>
                     </section>
+                </div>
+                
+                <!-- Action Buttons -->
+                <div class="modal-action mt-8 pt-4 border-t border-base-300/50 sticky bottom-0 bg-base-100">
+                    <div class="flex flex-wrap gap-2 w-full justify-between">
+                        <div class="flex gap-2">
+                            <button class="btn btn-ghost btn-sm gap-2" onclick="window.print()">
+                                <i data-lucide="printer" class="w-4 h-4"></i>
+                                Drucken
+                            </button>
+                            <button class="btn btn-ghost btn-sm gap-2" onclick="healthTracker?.showSettings?.()">
+                                <i data-lucide="settings" class="w-4 h-4"></i>
+                                Einstellungen
+                            </button>
+                        </div>
+                        <button class="btn btn-primary" onclick="this.closest('.modal').remove()">
+                            <i data-lucide="check" class="w-4 h-4"></i>
+                            Verstanden
+                        </button>
+                    </div>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Icons initialisieren
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        // Haptic Feedback
+        if (navigator.vibrate && localStorage.getItem('hapticFeedback') === 'true') {
+            navigator.vibrate(10);
+        }
+        
+        console.log('✅ Help Modal (optimiert ohne Tabs) erfolgreich angezeigt');
+        
+    } catch (error) {
+        console.error('❌ Fehler beim Anzeigen der Hilfe:', error);
+        this.showToast('❌ Fehler beim Öffnen der Hilfe', 'error');
+    }
+}
+
+showSettings() {
+    console.log('⚙️ Einstellungen werden geöffnet');
+    
+    try {
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open';
+        modal.innerHTML = `
+            <div class="modal-box max-w-3xl">
+                <h3 class="font-bold text-lg mb-4">
+                    <i data-lucide="settings" class="w-6 h-6 inline mr-2"></i>
+                    Einstellungen
+                </h3>
+                
+                <div class="tabs tabs-bordered mb-6">
+                    <a class="tab tab-active" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('general-settings').style.display='block'; document.getElementById('privacy-settings').style.display='none'; document.getElementById('notification-settings').style.display='none';">Allgemein</a>
+                    <a class="tab" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('notification-settings').style.display='block'; document.getElementById('general-settings').style.display='none'; document.getElementById('privacy-settings').style.display='none';">Benachrichtigungen</a>
+                    <a class="tab" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('privacy-settings').style.display='block'; document.getElementById('general-settings').style.display='none'; document.getElementById('notification-settings').style.display='none';">Privatsphäre</a>
+                </div>
+
+                <!-- Allgemeine Einstellungen -->
+                <div id="general-settings" class="space-y-4">
+
+                    <!-- Theme-Auswahl -->
+                    <div class="form-control">
+                        <label class="label">
+                             <span class="label-text flex items-center">
+                                <i data-lucide="palette" class="w-4 h-4 mr-2"></i>
+                                Theme
+                            </span>
+                        </label>
+                    <div class="join w-full">
+                <select class="select select-bordered join-item flex-1" id="theme-selector" onchange="healthTracker.setTheme(this.value)">
+                    ${this.getAvailableThemes().map(theme => `
+                <option value="${theme.value}" ${document.documentElement.getAttribute('data-theme') === theme.value ? 'selected' : ''}>
+                    ${theme.icon} ${theme.name}
+                </option>
+                    `).join('')}
+                </select>
+                    <button class="btn btn-outline join-item" onclick="healthTracker.showThemeSelector()">
+                    <i data-lucide="eye" class="w-4 h-4"></i>
+                    </button>
+                </div>
+            <label class="label">
+                <span class="label-text-alt text-base-content/60">Wähle dein bevorzugtes Design</span>
+            </label>
+                </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="vibrate" class="w-4 h-4 mr-2"></i>
+                                Haptic Feedback aktivieren
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="haptic-toggle" 
+                                ${localStorage.getItem('hapticFeedback') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleHapticFeedback()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="gauge" class="w-4 h-4 mr-2"></i>
+                                Erweiterte Analytics aktivieren
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="analytics-toggle" 
+                                ${localStorage.getItem('advancedAnalytics') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleAnalytics()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="globe" class="w-4 h-4 mr-2"></i>
+                                Sprache
+                            </span>
+                        </label>
+                        <select class="select select-bordered" id="language-select" onchange="healthTracker.changeLanguage(this.value)">
+                            <option value="de" selected>Deutsch</option>
+                            <option value="en" disabled>English (Coming soon)</option>
+                            <option value="es" disabled>Español (Coming soon)</option>
+                        </select>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="calendar" class="w-4 h-4 mr-2"></i>
+                                Datumsformat
+                            </span>
+                        </label>
+                        <select class="select select-bordered" id="date-format" onchange="healthTracker.changeDateFormat(this.value)">
+                            <option value="DD.MM.YYYY">TT.MM.JJJJ (08.08.2025)</option>
+                            <option value="MM/DD/YYYY">MM/DD/YYYY (08/08/2025)</option>
+                            <option value="YYYY-MM-DD">YYYY-MM-DD (2025-08-08)</option>
+                        </select>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="ruler" class="w-4 h-4 mr-2"></i>
+                                Einheitensystem
+                            </span>
+                        </label>
+                        <select class="select select-bordered" id="unit-system" onchange="healthTracker.changeUnitSystem(this.value)">
+                            <option value="metric">Metrisch (kg, km, °C)</option>
+                            <option value="imperial">Imperial (lbs, mi, °F)</option>
+                        </select>
+                    </div>
+                </div>
+
+                <!-- Benachrichtigungs-Einstellungen -->
+                <div id="notification-settings" style="display:none" class="space-y-4">
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="bell" class="w-4 h-4 mr-2"></i>
+                                Push-Benachrichtigungen
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="notifications-toggle" 
+                                ${this.smartNotificationManager?.isEnabled ? 'checked' : ''} 
+                                onchange="healthTracker.toggleNotifications()">
+                        </label>
+                    </div>
 
-                    <!-- Offline & Sync -->
-                    <section>
-                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="wifi-off" class="w-5 h-5 text-success"></i>
-                            Offline-Funktionalität & Synchronisation
-                        </h4>
-                        
-                        <div class="grid md:grid-cols-2 gap-4">
-                            <div class="card bg-success/5 border border-success/20">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold text-success mb-3">Offline-Funktionen</h5>
-                                    <ul class="text-sm space-y-2">
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Vollständige App-Funktionalität ohne Internet</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Lokale Datenspeicherung im Browser</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Analytics & Charts funktionieren offline</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="check" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Alle Einstellungen bleiben erhalten</span>
-                                        </li>
-                                    </ul>
-                                </div>
-                            </div>
-                            
-                            <div class="card bg-info/5 border border-info/20">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold text-info mb-3">Automatische Synchronisation</h5>
-                                    <ul class="text-sm space-y-2">
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="sync" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Offline erfasste Daten werden automatisch hochgeladen</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="shield" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Verschlüsselte und sichere Datenübertragung</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="clock" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Sync-Status in der Navigation sichtbar</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="refresh-cw" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Manueller Sync über Verbindungsstatus-Button</span>
-                                        </li>
-                                    </ul>
-                                </div>
-                            </div>
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="droplets" class="w-4 h-4 mr-2"></i>
+                                Wassererinnerungen
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="water-reminders" 
+                                ${localStorage.getItem('waterReminders') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleWaterReminders()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="footprints" class="w-4 h-4 mr-2"></i>
+                                Aktivitätserinnerungen
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="activity-reminders" 
+                                ${localStorage.getItem('activityReminders') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleActivityReminders()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="moon" class="w-4 h-4 mr-2"></i>
+                                Schlafenserinnerungen
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="sleep-reminders" 
+                                ${localStorage.getItem('sleepReminders') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleSleepReminders()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="clock" class="w-4 h-4 mr-2"></i>
+                                Erinnerungsintervall
+                            </span>
+                        </label>
+                        <select class="select select-bordered" id="reminder-interval" onchange="healthTracker.changeReminderInterval(this.value)">
+                            <option value="30">Alle 30 Minuten</option>
+                            <option value="60" selected>Stündlich</option>
+                            <option value="120">Alle 2 Stunden</option>
+                            <option value="240">Alle 4 Stunden</option>
+                        </select>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="volume-x" class="w-4 h-4 mr-2"></i>
+                                Stille Stunden aktivieren
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="quiet-hours" 
+                                ${localStorage.getItem('quietHours') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleQuietHours()">
+                        </label>
+                    </div>
+
+                    <div class="grid grid-cols-2 gap-4" id="quiet-hours-times" ${localStorage.getItem('quietHours') !== 'true' ? 'style="display:none"' : ''}>
+                        <div class="form-control">
+                            <label class="label">
+                                <span class="label-text-alt">Stille Stunden von</span>
+                            </label>
+                            <input type="time" class="input input-bordered input-sm" id="quiet-start" 
+                                value="${localStorage.getItem('quietStart') || '22:00'}" 
+                                onchange="healthTracker.setQuietHours()">
                         </div>
-                        
-                        <div class="alert alert-warning">
-                            <i data-lucide="info" class="w-5 h-5"></i>
-                            <div>
-                                <h4 class="font-semibold">Verbindungshinweis</h4>
-                                <p class="text-sm">
-                                    Der Verbindungsstatus wird in der oberen rechten Ecke angezeigt: 
-                                    <span class="badge badge-success mx-1">🌐 Online</span> oder 
-                                    <span class="badge badge-warning mx-1">📵 Offline</span>
-                                </p>
-                            </div>
+                        <div class="form-control">
+                            <label class="label">
+                                <span class="label-text-alt">bis</span>
+                            </label>
+                            <input type="time" class="input input-bordered input-sm" id="quiet-end" 
+                                value="${localStorage.getItem('quietEnd') || '07:00'}" 
+                                onchange="healthTracker.setQuietHours()">
                         </div>
-                    </section>
+                    </div>
+                </div>
+
+                <!-- Privatsphäre-Einstellungen -->
+                <div id="privacy-settings" style="display:none" class="space-y-4">
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="shield" class="w-4 h-4 mr-2"></i>
+                                Biometrische Entsperrung
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="biometric-lock" 
+                                ${localStorage.getItem('biometricLock') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleBiometricLock()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="wifi-off" class="w-4 h-4 mr-2"></i>
+                                Nur lokale Datenspeicherung
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="local-only" 
+                                ${localStorage.getItem('localOnlyMode') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleLocalOnlyMode()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label cursor-pointer">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="eye-off" class="w-4 h-4 mr-2"></i>
+                                Anonyme Nutzungsstatistiken
+                            </span> 
+                            <input type="checkbox" class="toggle toggle-primary" id="analytics-sharing" 
+                                ${localStorage.getItem('analyticsSharing') === 'true' ? 'checked' : ''} 
+                                onchange="healthTracker.toggleAnalyticsSharing()">
+                        </label>
+                    </div>
+
+                    <div class="form-control">
+                        <label class="label">
+                            <span class="label-text flex items-center">
+                                <i data-lucide="clock" class="w-4 h-4 mr-2"></i>
+                                Automatische Datenbereinigung
+                            </span>
+                        </label>
+                        <select class="select select-bordered" id="data-retention" onchange="healthTracker.changeDataRetention(this.value)">
+                            <option value="never">Niemals löschen</option>
+                            <option value="365" selected>Nach 1 Jahr</option>
+                            <option value="180">Nach 6 Monaten</option>
+                            <option value="90">Nach 3 Monaten</option>
+                        </select>
+                    </div>
+
+                    <div class="divider">Daten-Management</div>
+
+                    <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                        <button class="btn btn-outline btn-info" onclick="healthTracker.exportAppData()">
+                            <i data-lucide="download" class="w-4 h-4 mr-2"></i>
+                            Daten exportieren
+                        </button>
+                        <button class="btn btn-outline btn-warning" onclick="healthTracker.showDataUsage()">
+                            <i data-lucide="hard-drive" class="w-4 h-4 mr-2"></i>
+                            Speicherverbrauch
+                        </button>
+                    </div>
+                </div>
+
+                <div class="divider"></div>
+                
+                <button class="btn btn-error btn-outline w-full" onclick="healthTracker.resetApp()">
+                    <i data-lucide="refresh-ccw" class="w-4 h-4 mr-2"></i>
+                    App komplett zurücksetzen
+                </button>
+
+                <div class="modal-action">
+                    <button class="btn" onclick="healthTracker.closeSettings()">Schließen</button>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="healthTracker.closeSettings()"></div>
+        `;
+
+        document.body.appendChild(modal);
+        
+        // Lucide Icons für das Modal neu initialisieren
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+
+    } catch (error) {
+        console.error('❌ Fehler beim Öffnen der Einstellungen:', error);
+        this.showToast('❌ Fehler beim Öffnen der Einstellungen', 'error');
+    }
+}
+
+closeSettings() {
+    const modal = document.querySelector('.modal-open');
+    if (modal) modal.remove();
+}
 
-                    <!-- PWA Installation -->
-                    <section>
-                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="smartphone" class="w-5 h-5 text-accent"></i>
-                            App-Installation (PWA)
-                        </h4>
-                        
-                        <div class="space-y-4">
-                            <div class="grid md:grid-cols-3 gap-4">
-                                <div class="card bg-base-200">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                            <i data-lucide="smartphone" class="w-4 h-4 text-primary"></i>
-                                            Android / Chrome
-                                        </h5>
-                                        <ol class="text-sm space-y-1">
-                                            <li>1. Menü (⋮) → "App installieren"</li>
-                                            <li>2. Oder: "Zum Startbildschirm hinzufügen"</li>
-                                            <li>3. App-Icon erscheint auf Homescreen</li>
-                                        </ol>
-                                    </div>
-                                </div>
-                                
-                                <div class="card bg-base-200">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                            <i data-lucide="smartphone" class="w-4 h-4 text-secondary"></i>
-                                            iPhone / Safari
-                                        </h5>
-                                        <ol class="text-sm space-y-1">
-                                            <li>1. Teilen-Button (□↗) tippen</li>
-                                            <li>2. "Zum Home-Bildschirm" wählen</li>
-                                            <li>3. Namen bestätigen → "Hinzufügen"</li>
-                                        </ol>
-                                    </div>
-                                </div>
-                                
-                                <div class="card bg-base-200">
-                                    <div class="card-body p-4">
-                                        <h5 class="font-semibold mb-2 flex items-center gap-2">
-                                            <i data-lucide="monitor" class="w-4 h-4 text-accent"></i>
-                                            Desktop
-                                        </h5>
-                                        <ol class="text-sm space-y-1">
-                                            <li>1. Install-Button in Adressleiste</li>
-                                            <li>2. Oder: Browser-Menü → "App installieren"</li>
-                                            <li>3. App startet in eigenem Fenster</li>
-                                        </ol>
-                                    </div>
-                                </div>
-                            </div>
-                            
-                            <div class="card bg-gradient-to-r from-accent/5 to-primary/5 border border-accent/20">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold mb-3 flex items-center gap-2">
-                                        <i data-lucide="star" class="w-4 h-4 text-accent"></i>
-                                        Vorteile der App-Installation
-                                    </h5>
-                                    <div class="grid md:grid-cols-2 gap-4 text-sm">
-                                        <ul class="space-y-1">
-                                            <li>🚀 Schnellerer App-Start</li>
-                                            <li>📱 Eigenes App-Icon auf dem Homescreen</li>
-                                            <li>🔔 Push-Benachrichtigungen möglich</li>
-                                        </ul>
-                                        <ul class="space-y-1">
-                                            <li>📵 Funktioniert komplett offline</li>
-                                            <li>🎯 Fokussiertes Arbeiten ohne Browser-Tabs</li>
-                                            <li>💾 Automatische Updates im Hintergrund</li>
-                                        </ul>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </section>
+toggleHapticFeedback() {
+    const enabled = !JSON.parse(localStorage.getItem('hapticFeedback') || 'false');
+    localStorage.setItem('hapticFeedback', enabled);
+    
+    if (enabled && navigator.vibrate) {
+        navigator.vibrate(50);
+    }
+    
+    this.showToast(`📳 Haptic Feedback ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
 
-                    <!-- Troubleshooting -->
-                    <section>
-                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="tool" class="w-5 h-5 text-warning"></i>
-                            Problemlösung & FAQ
-                        </h4>
-                        
-                        <div class="space-y-4">
-                            <div class="collapse collapse-arrow bg-base-200">
-                                <input type="radio" name="faq-accordion" checked="checked" /> 
-                                <div class="collapse-title text-lg font-medium">
-                                    📊 Charts werden nicht angezeigt oder sind leer
-                                </div>
-                                <div class="collapse-content"> 
-                                    <div class="space-y-2 text-sm">
-                                        <p><strong>Mögliche Ursachen & Lösungen:</strong></p>
-                                        <ul class="ml-4 space-y-1">
-                                            <li>• <strong>Nicht genug Daten:</strong> Mindestens 3-5 Tage mit Daten erfassen</li>
-                                            <li>• <strong>Zeitraum-Filter:</strong> Längeren Zeitraum wählen (30 oder 90 Tage)</li>
-                                            <li>• <strong>Browser-Cache:</strong> Seite neu laden (Strg+F5 / Cmd+Shift+R)</li>
-                                            <li>• <strong>JavaScript deaktiviert:</strong> In Browser-Einstellungen aktivieren</li>
-                                        </ul>
-                                        <div class="alert alert-info mt-2">
-                                            <i data-lucide="info" class="w-4 h-4"></i>
-                                            <span class="text-xs">Refresh-Button neben dem Chart zum erneuten Laden verwenden</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                            
-                            <div class="collapse collapse-arrow bg-base-200">
-                                <input type="radio" name="faq-accordion" /> 
-                                <div class="collapse-title text-lg font-medium">
-                                    💾 Daten gehen verloren oder werden nicht gespeichert
-                                </div>
-                                <div class="collapse-content"> 
-                                    <div class="space-y-2 text-sm">
-                                        <p><strong>Datenschutz-Maßnahmen:</strong></p>
-                                        <ul class="ml-4 space-y-1">
-                                            <li>• <strong>Browser-Daten:</strong> Cookies & LocalStorage nicht löschen</li>
-                                            <li>• <strong>Inkognito-Modus:</strong> Vermeiden, da Daten nicht persistent sind</li>
-                                            <li>• <strong>Regelmäßiger Export:</strong> Über Mehr-Menü → Export/Import</li>
-                                            <li>• <strong>Browser-Updates:</strong> Können Daten zurücksetzen</li>
-                                        </ul>
-                                        <div class="alert alert-warning mt-2">
-                                            <i data-lucide="alert-triangle" class="w-4 h-4"></i>
-                                            <span class="text-xs">Wichtige Daten regelmäßig exportieren als Backup!</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                            
-                            <div class="collapse collapse-arrow bg-base-200">
-                                <input type="radio" name="faq-accordion" /> 
-                                <div class="collapse-title text-lg font-medium">
-                                    📱 App funktioniert nicht richtig auf dem Smartphone
-                                </div>
-                                <div class="collapse-content"> 
-                                    <div class="space-y-2 text-sm">
-                                        <p><strong>Mobile Optimierungen:</strong></p>
-                                        <ul class="ml-4 space-y-1">
-                                            <li>• <strong>Browser aktualisieren:</strong> Neueste Version verwenden</li>
-                                            <li>• <strong>PWA installieren:</strong> Bessere Performance als Browser-Version</li>
-                                            <li>• <strong>Landscape-Modus:</strong> Charts und Analytics besser sichtbar</li>
-                                            <li>• <strong>Touch-Gesten:</strong> Wischen und Pinch-to-Zoom unterstützt</li>
-                                        </ul>
-                                        <div class="alert alert-success mt-2">
-                                            <i data-lucide="smartphone" class="w-4 h-4"></i>
-                                            <span class="text-xs">Mobile Navigation unten für einfachere Bedienung</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                            
-                            <div class="collapse collapse-arrow bg-base-200">
-                                <input type="radio" name="faq-accordion" /> 
-                                <div class="collapse-title text-lg font-medium">
-                                    🔄 Synchronisation funktioniert nicht
-                                </div>
-                                <div class="collapse-content"> 
-                                    <div class="space-y-2 text-sm">
-                                        <p><strong>Sync-Probleme beheben:</strong></p>
-                                        <ul class="ml-4 space-y-1">
-                                            <li>• <strong>Internetverbindung:</strong> Status oben rechts prüfen</li>
-                                            <li>• <strong>Manueller Sync:</strong> Auf Verbindungsstatus-Button klicken</li>
-                                            <li>• <strong>Browser-Berechtigungen:</strong> Background-Sync aktivieren</li>
-                                            <li>• <strong>Server-Status:</strong> Möglicherweise temporäre Wartung</li>
-                                        </ul>
-                                        <div class="alert alert-info mt-2">
-                                            <i data-lucide="sync" class="w-4 h-4"></i>
-                                            <span class="text-xs">Offline-Daten werden automatisch nachgeholt bei nächster Verbindung</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                            
-                            <div class="collapse collapse-arrow bg-base-200">
-                                <input type="radio" name="faq-accordion" /> 
-                                <div class="collapse-title text-lg font-medium">
-                                    🎯 Ziele werden nicht korrekt angezeigt
-                                </div>
-                                <div class="collapse-content"> 
-                                    <div class="space-y-2 text-sm">
-                                        <p><strong>Ziel-System verstehen:</strong></p>
-                                        <ul class="ml-4 space-y-1">
-                                            <li>• <strong>Ziele definieren:</strong> Erst im Fortschritt-Hub → Ziele setzen</li>
-                                            <li>• <strong>Tägliche Basis:</strong> Alle Ziele sind täglich, nicht wöchentlich</li>
-                                            <li>• <strong>Realistic setzen:</strong> Zu hohe Ziele führen zu Frustration</li>
-                                            <li>• <strong>Schrittweise steigern:</strong> Beginne mit 70% deiner Maximum-Leistung</li>
-                                        </ul>
-                                        <div class="alert alert-success mt-2">
-                                            <i data-lucide="target" class="w-4 h-4"></i>
-                                            <span class="text-xs">Ziele können jederzeit angepasst werden - sie sollten herausfordernd aber erreichbar sein</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                    </section>
+toggleAnalytics() {
+    const enabled = !JSON.parse(localStorage.getItem('advancedAnalytics') || 'false');
+    localStorage.setItem('advancedAnalytics', enabled);
+    
+    // Visuelles Feedback sofort anzeigen
+    const toggle = document.getElementById('analytics-toggle');
+    if (toggle) {
+        toggle.checked = enabled;
+        // Animation für visuelles Feedback
+        toggle.parentElement.style.transform = 'scale(1.05)';
+        setTimeout(() => {
+            toggle.parentElement.style.transform = 'scale(1)';
+        }, 200);
+    }
+    
+    // Advanced Analytics Features aktivieren/deaktivieren
+    if (enabled) {
+        this.enableAdvancedAnalytics();
+    } else {
+        this.disableAdvancedAnalytics();
+    }
+    
+    this.showToast(`📊 Erweiterte Analytics ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
+
+enableAdvancedAnalytics() {
+    console.log('📈 Erweiterte Analytics werden aktiviert');
+    
+    // Erweiterte Features verfügbar machen
+    if (this.analyticsEngine) {
+        this.analyticsEngine.advancedMode = true;
+    }
+    
+    // UI-Elemente für erweiterte Analytics anzeigen
+    this.showAdvancedAnalyticsFeatures();
+    
+    // Sofortiges Refresh der Analytics
+    setTimeout(() => {
+        if (this.analyticsEngine && typeof this.analyticsEngine.loadCompleteAnalyticsData === 'function') {
+            this.analyticsEngine.loadCompleteAnalyticsData();
+        }
+    }, 100);
+    
+    this.showToast('🚀 Erweiterte Analytics aktiviert!', 'success');
+}
+
+disableAdvancedAnalytics() {
+    console.log('📉 Erweiterte Analytics werden deaktiviert');
+    
+    // Basis-Modus aktivieren
+    if (this.analyticsEngine) {
+        this.analyticsEngine.advancedMode = false;
+    }
+    
+    // Erweiterte UI-Elemente ausblenden
+    this.hideAdvancedAnalyticsFeatures();
+    
+    this.showToast('📊 Basis-Analytics aktiviert', 'info');
+}
 
-                    <!-- Datenschutz & Sicherheit -->
-                    <section>
-                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="shield-check" class="w-5 h-5 text-success"></i>
-                            Datenschutz & Sicherheit
-                        </h4>
-                        
-                        <div class="grid md:grid-cols-2 gap-4">
-                            <div class="card bg-success/5 border border-success/20">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold text-success mb-3">Deine Daten sind sicher</h5>
-                                    <ul class="text-sm space-y-2">
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="lock" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Alle Daten werden lokal auf deinem Gerät gespeichert</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="shield" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Verschlüsselte Übertragung bei Synchronisation</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="eye-off" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Keine Weitergabe an Dritte</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="user-check" class="w-4 h-4 text-success mt-0.5"></i>
-                                            <span>Du behältst vollständige Kontrolle</span>
-                                        </li>
-                                    </ul>
-                                </div>
-                            </div>
-                            
-                            <div class="card bg-info/5 border border-info/20">
-                                <div class="card-body p-4">
-                                    <h5 class="font-semibold text-info mb-3">Weitere Schutzmaßnahmen</h5>
-                                    <ul class="text-sm space-y-2">
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="download" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Regelmäßige Datenexports als Backup</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="trash-2" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Automatische Bereinigung alter Daten (optional)</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="fingerprint" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Biometrische Entsperrung (in Entwicklung)</span>
-                                        </li>
-                                        <li class="flex items-start gap-2">
-                                            <i data-lucide="wifi-off" class="w-4 h-4 text-info mt-0.5"></i>
-                                            <span>Offline-Modus für maximale Privatsphäre</span>
-                                        </li>
-                                    </ul>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <div class="alert alert-success">
-                            <i data-lucide="shield-check" class="w-5 h-5"></i>
-                            <div>
-                                <h4 class="font-semibold">GDPR-Konform & Privacy-First</h4>
-                                <p class="text-sm">
-                                    Health Tracker Pro folgt den strengsten Datenschutzstandards. 
-                                    Deine Gesundheitsdaten verlassen dein Gerät nur verschlüsselt und bleiben unter deiner vollständigen Kontrolle.
-                                </p>
-                            </div>
-                        </div>
-                    </section>
+showAdvancedAnalyticsFeatures() {
+    console.log('🔧 Aktiviere erweiterte Analytics-Features');
+    
+    // 1. Erweiterte UI-Elemente einblenden
+    const advancedElements = [
+        // Erweiterte Buttons und Panels
+        '.advanced-analytics',
+        '.analytics-tab-advanced',
+        // Spezifische Advanced Features
+        '#correlation-insights',
+        '#ai-predictions',
+        '#anomaly-detection',
+        '[data-advanced="true"]'
+    ];
+    
+    advancedElements.forEach(selector => {
+        const elements = document.querySelectorAll(selector);
+        elements.forEach(el => {
+            el.classList.remove('hidden');
+            el.style.display = 'block';
+        });
+    });
+    
+    // 2. Erweiterte Analytics-Tabs hinzufügen
+    this.addAdvancedAnalyticsTabs();
+    
+    // 3. KI-Insights Container erstellen
+    this.createAdvancedInsightsContainers();
+    
+    // 4. Erweiterte Chart-Optionen aktivieren
+    this.enableAdvancedChartFeatures();
+}
 
-                    <!-- Kontakt & Support -->
-                    <section>
-                        <h4 class="text-xl font-bold mb-4 flex items-center gap-2">
-                            <i data-lucide="mail" class="w-5 h-5 text-accent"></i>
-                            Kontakt & Weitere Hilfe
-                        </h4>
-                        
-                        <div class="grid md:grid-cols-2 gap-4">
-                            <div class="card bg-accent/5 border border-accent/20">
-                                <div class="card-body p-3">
-                                    <h5 class="font-semibold text-accent mb-3">Support kontaktieren</h5>
-                                    <div class="space-y-3">
-                                        <button class="btn btn-outline btn-accent btn-sm w-full gap-2" onclick="window.open('mailto:support@healthtracker.com?subject=Health Tracker Pro Hilfe')">
-                                            <i data-lucide="mail" class="w-4 h-4"></i>
-                                            E-Mail Support
-                                        </button>
-                                    </div>
-                                </div>
-                            </div>
-                            
-                            <div class="card bg-primary/5 border border-primary/20">
-                                <div class="card-body p-3">
-                                    <h5 class="font-semibold text-primary mb-3">Hilfreiche Ressourcen</h5>
-                                    <div class="space-y-2 text-sm">
-                                        <div class="flex items-center gap-2">
-                                            <i data-lucide="github" class="w-4 h-4 text-primary"></i>
-                                            <span>Open Source auf GitHub</span>
-                                        </div>
-                                    </div>
-                                </div>
-                            </div>
-                        </div>
-                        
-                        <div class="alert alert-info">
-                            <i data-lucide="heart" class="w-5 h-5"></i>
-                            <div>
-                                <h4 class="font-semibold">Feedback willkommen!</h4>
-                                <p class="text-sm">
-                                    Deine Meinung ist wichtig! Teile Verbesserungsvorschläge, Bugs oder 
-                                    Feature-Wünsche mit uns. Gemeinsam machen wir Health Tracker Pro noch besser.
-                                </p>
-                            </div>
-                        </div>
-                    </section>
+hideAdvancedAnalyticsFeatures() {
+    console.log('🔧 Deaktiviere erweiterte Analytics-Features');
+    
+    // Erweiterte UI-Elemente ausblenden
+    const advancedElements = [
+        '.advanced-analytics',
+        '.analytics-tab-advanced',
+        '#correlation-insights .advanced-correlation',
+        '#ai-predictions',
+        '#anomaly-detection',
+        '[data-advanced="true"]'
+    ];
+    
+    advancedElements.forEach(selector => {
+        const elements = document.querySelectorAll(selector);
+        elements.forEach(el => {
+            el.classList.add('hidden');
+            el.style.display = 'none';
+        });
+    });
+    
+    // Entferne erweiterte Tabs
+    const advancedTabs = document.querySelectorAll('.analytics-tab-advanced');
+    advancedTabs.forEach(tab => tab.remove());
+}
+
+addAdvancedAnalyticsTabs() {
+    // Suche das Analytics-Tab-Container
+    const tabContainer = document.querySelector('.tabs.tabs-boxed') || 
+                        document.querySelector('#analytics .tabs') ||
+                        document.querySelector('.analytics-tabs');
+    
+    if (!tabContainer) {
+        console.warn('⚠️ Kein Tab-Container für erweiterte Analytics gefunden');
+        return;
+    }
+    
+    // Füge erweiterte Tabs hinzu (falls nicht vorhanden)
+    if (!document.querySelector('.analytics-tab-advanced')) {
+        const advancedTabs = [
+            {
+                id: 'predictions-tab',
+                icon: 'brain',
+                label: 'KI-Vorhersagen',
+                action: 'showPredictions'
+            },
+            {
+                id: 'anomalies-tab',
+                icon: 'alert-triangle',
+                label: 'Anomalien',
+                action: 'showAnomalies'
+            },
+            {
+                id: 'correlations-tab',
+                icon: 'git-branch',
+                label: 'Korrelationen',
+                action: 'showCorrelations'
+            }
+        ];
+        
+        advancedTabs.forEach(tab => {
+            const tabElement = document.createElement('button');
+            tabElement.className = 'tab analytics-tab-advanced';
+            tabElement.innerHTML = `
+                <i data-lucide="${tab.icon}" class="w-4 h-4 mr-1"></i>
+                ${tab.label}
+            `;
+            tabElement.onclick = () => {
+                if (typeof this.analyticsEngine[tab.action] === 'function') {
+                    this.analyticsEngine[tab.action]();
+                }
+            };
+            tabContainer.appendChild(tabElement);
+        });
+        
+        // Lucide Icons neu initialisieren
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    }
+}
+
+createAdvancedInsightsContainers() {
+    // Erstelle Container für erweiterte Insights
+    const analyticsSection = document.getElementById('analytics') || 
+                            document.querySelector('.analytics-content');
+    
+    if (!analyticsSection) return;
+    
+    // KI-Predictions Container
+    if (!document.getElementById('ai-predictions')) {
+        const predictionsContainer = document.createElement('div');
+        predictionsContainer.id = 'ai-predictions';
+        predictionsContainer.className = 'card bg-gradient-to-br from-primary/5 to-secondary/5 border border-primary/20 shadow-xl advanced-analytics';
+        predictionsContainer.innerHTML = `
+            <div class="card-body p-6">
+                <h3 class="card-title text-xl mb-6 flex items-center gap-3">
+                    <i data-lucide="brain" class="w-6 h-6 text-primary"></i>
+                    KI-Vorhersagen
+                    <div class="badge badge-primary badge-sm">Erweitert</div>
+                </h3>
+                <div id="predictions-content">
+                    <div class="text-center py-8">
+                        <i data-lucide="brain" class="w-12 h-12 text-primary/30 mx-auto mb-2"></i>
+                        <p class="text-base-content/60">KI-Analyse wird geladen...</p>
+                    </div>
                 </div>
-                
-                <!-- Action Buttons -->
-                <div class="modal-action mt-8 pt-4 border-t border-base-300/50 sticky bottom-0 bg-base-100">
-                    <div class="flex flex-wrap gap-2 w-full justify-between">
-                        <div class="flex gap-2">
-                            <button class="btn btn-ghost btn-sm gap-2" onclick="window.print()">
-                                <i data-lucide="printer" class="w-4 h-4"></i>
-                                Drucken
-                            </button>
-                            <button class="btn btn-ghost btn-sm gap-2" onclick="healthTracker?.showSettings?.()">
-                                <i data-lucide="settings" class="w-4 h-4"></i>
-                                Einstellungen
-                            </button>
-                        </div>
-                        <button class="btn btn-primary" onclick="this.closest('.modal').remove()">
-                            <i data-lucide="check" class="w-4 h-4"></i>
-                            Verstanden
-                        </button>
+            </div>
+        `;
+        analyticsSection.appendChild(predictionsContainer);
+    }
+    
+    // Anomaly Detection Container
+    if (!document.getElementById('anomaly-detection')) {
+        const anomalyContainer = document.createElement('div');
+        anomalyContainer.id = 'anomaly-detection';
+        anomalyContainer.className = 'card bg-gradient-to-br from-warning/5 to-error/5 border border-warning/20 shadow-xl advanced-analytics';
+        anomalyContainer.innerHTML = `
+            <div class="card-body p-6">
+                <h3 class="card-title text-xl mb-6 flex items-center gap-3">
+                    <i data-lucide="alert-triangle" class="w-6 h-6 text-warning"></i>
+                    Anomalie-Erkennung
+                    <div class="badge badge-warning badge-sm">Erweitert</div>
+                </h3>
+                <div id="anomaly-content">
+                    <div class="alert alert-success">
+                        <i data-lucide="check-circle" class="w-5 h-5"></i>
+                        <span>Keine Anomalien in den letzten 7 Tagen erkannt</span>
                     </div>
                 </div>
             </div>
-            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
         `;
-        
-        document.body.appendChild(modal);
-        
-        // Icons initialisieren
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
-        }
-        
-        // Haptic Feedback
-        if (navigator.vibrate && localStorage.getItem('hapticFeedback') === 'true') {
-            navigator.vibrate(10);
-        }
-        
-        console.log('✅ Help Modal (optimiert ohne Tabs) erfolgreich angezeigt');
-        
-    } catch (error) {
-        console.error('❌ Fehler beim Anzeigen der Hilfe:', error);
-        this.showToast('❌ Fehler beim Öffnen der Hilfe', 'error');
+        analyticsSection.appendChild(anomalyContainer);
+    }
+    
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
     }
 }
 
-showSettings() {
-    console.log('⚙️ Einstellungen werden geöffnet');
+enableAdvancedChartFeatures() {
+    // Erweiterte Chart-Features aktivieren
+    const chartContainers = [
+        '#trends-chart-container',
+        '#correlation-chart',
+        '#heatmap-chart'
+    ];
     
-    try {
-        const modal = document.createElement('div');
-        modal.className = 'modal modal-open';
-        modal.innerHTML = `
-            <div class="modal-box max-w-3xl">
-                <h3 class="font-bold text-lg mb-4">
-                    <i data-lucide="settings" class="w-6 h-6 inline mr-2"></i>
-                    Einstellungen
-                </h3>
-                
-                <div class="tabs tabs-bordered mb-6">
-                    <a class="tab tab-active" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('general-settings').style.display='block'; document.getElementById('privacy-settings').style.display='none'; document.getElementById('notification-settings').style.display='none';">Allgemein</a>
-                    <a class="tab" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('notification-settings').style.display='block'; document.getElementById('general-settings').style.display='none'; document.getElementById('privacy-settings').style.display='none';">Benachrichtigungen</a>
-                    <a class="tab" onclick="this.parentNode.querySelector('.tab-active').classList.remove('tab-active'); this.classList.add('tab-active'); document.getElementById('privacy-settings').style.display='block'; document.getElementById('general-settings').style.display='none'; document.getElementById('notification-settings').style.display='none';">Privatsphäre</a>
-                </div>
+    chartContainers.forEach(selector => {
+        const container = document.querySelector(selector);
+        if (container) {
+            // Füge erweiterte Chart-Optionen hinzu
+            container.classList.add('advanced-chart-enabled');
+            
+            // Erweiterte Tooltips
+            container.setAttribute('data-advanced', 'true');
+        }
+    });
+    
+    console.log('📈 Erweiterte Chart-Features aktiviert');
+}
 
-                <!-- Allgemeine Einstellungen -->
-                <div id="general-settings" class="space-y-4">
+changeLanguage(lang) {
+    localStorage.setItem('language', lang);
+    this.showToast('🌍 Sprache wird beim nächsten Start angewendet', 'info');
+}
 
-                    <!-- Theme-Auswahl -->
-                    <div class="form-control">
-                        <label class="label">
-                             <span class="label-text flex items-center">
-                                <i data-lucide="palette" class="w-4 h-4 mr-2"></i>
-                                Theme
-                            </span>
-                        </label>
-                    <div class="join w-full">
-                <select class="select select-bordered join-item flex-1" id="theme-selector" onchange="healthTracker.setTheme(this.value)">
-                    ${this.getAvailableThemes().map(theme => `
-                <option value="${theme.value}" ${document.documentElement.getAttribute('data-theme') === theme.value ? 'selected' : ''}>
-                    ${theme.icon} ${theme.name}
-                </option>
-                    `).join('')}
-                </select>
-                    <button class="btn btn-outline join-item" onclick="healthTracker.showThemeSelector()">
-                    <i data-lucide="eye" class="w-4 h-4"></i>
-                    </button>
-                </div>
-            <label class="label">
-                <span class="label-text-alt text-base-content/60">Wähle dein bevorzugtes Design</span>
-            </label>
-                </div>
+changeDateFormat(format) {
+    localStorage.setItem('dateFormat', format);
+    this.showToast(`📅 Datumsformat auf ${format} geändert`, 'success');
+}
 
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="vibrate" class="w-4 h-4 mr-2"></i>
-                                Haptic Feedback aktivieren
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="haptic-toggle" 
-                                ${localStorage.getItem('hapticFeedback') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleHapticFeedback()">
-                        </label>
-                    </div>
+changeUnitSystem(system) {
+    localStorage.setItem('unitSystem', system);
+    this.showToast(`📏 Einheitensystem auf ${system === 'metric' ? 'Metrisch' : 'Imperial'} geändert`, 'success');
+}
 
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="gauge" class="w-4 h-4 mr-2"></i>
-                                Erweiterte Analytics aktivieren
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="analytics-toggle" 
-                                ${localStorage.getItem('advancedAnalytics') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleAnalytics()">
-                        </label>
-                    </div>
+toggleWaterReminders() {
+    const enabled = !JSON.parse(localStorage.getItem('waterReminders') || 'false');
+    localStorage.setItem('waterReminders', enabled);
+    this.showToast(`💧 Wassererinnerungen ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
+
+toggleActivityReminders() {
+    const enabled = !JSON.parse(localStorage.getItem('activityReminders') || 'false');
+    localStorage.setItem('activityReminders', enabled);
+    this.showToast(`👟 Aktivitätserinnerungen ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
+
+toggleSleepReminders() {
+    const enabled = !JSON.parse(localStorage.getItem('sleepReminders') || 'false');
+    localStorage.setItem('sleepReminders', enabled);
+    this.showToast(`😴 Schlafenserinnerungen ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
+
+changeReminderInterval(minutes) {
+    localStorage.setItem('reminderInterval', minutes);
+    this.showToast(`⏰ Erinnerungsintervall auf ${minutes} Minuten geändert`, 'success');
+}
+
+toggleQuietHours() {
+    const enabled = !JSON.parse(localStorage.getItem('quietHours') || 'false');
+    localStorage.setItem('quietHours', enabled);
+    
+    const timesDiv = document.getElementById('quiet-hours-times');
+    if (timesDiv) {
+        timesDiv.style.display = enabled ? 'grid' : 'none';
+    }
+    
+    this.showToast(`🔇 Stille Stunden ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
+
+setQuietHours() {
+    const start = document.getElementById('quiet-start')?.value || '22:00';
+    const end = document.getElementById('quiet-end')?.value || '07:00';
+    
+    localStorage.setItem('quietStart', start);
+    localStorage.setItem('quietEnd', end);
+    
+    this.showToast(`🕐 Stille Stunden: ${start} - ${end}`, 'success');
+}
+
+async toggleBiometricLock() {
+    const enabled = !JSON.parse(localStorage.getItem('biometricLock') || 'false');
+    
+    if (enabled) {
+        // Überprüfen ob WebAuthn verfügbar ist
+        if (!window.PublicKeyCredential) {
+            this.showToast('⚠️ Biometrische Authentifizierung nicht unterstützt', 'warning');
+            return;
+        }
+        
+        try {
+            // Vereinfachte WebAuthn-Implementierung
+            const credential = await navigator.credentials.create({
+                publicKey: {
+                    challenge: new Uint8Array(32),
+                    rp: { name: "Health Tracker" },
+                    user: {
+                        id: new TextEncoder().encode("health-user"),
+                        name: "health-user",
+                        displayName: "Health Tracker User"
+                    },
+                    pubKeyCredParams: [{alg: -7, type: "public-key"}],
+                    authenticatorSelection: {
+                        authenticatorAttachment: "platform",
+                        userVerification: "required"
+                    }
+                }
+            });
+            
+            localStorage.setItem('biometricLock', 'true');
+            localStorage.setItem('biometricCredential', btoa(JSON.stringify(credential.id)));
+            this.showToast('🔐 Biometrische Entsperrung aktiviert', 'success');
+            
+        } catch (error) {
+            console.error('❌ Biometric setup failed:', error);
+            this.showToast('❌ Biometrische Einrichtung fehlgeschlagen', 'error');
+        }
+    } else {
+        localStorage.setItem('biometricLock', 'false');
+        localStorage.removeItem('biometricCredential');
+        this.showToast('🔓 Biometrische Entsperrung deaktiviert', 'info');
+    }
+}
+
+toggleLocalOnlyMode() {
+    const enabled = !JSON.parse(localStorage.getItem('localOnlyMode') || 'false');
+    localStorage.setItem('localOnlyMode', enabled);
+    this.showToast(`📱 ${enabled ? 'Nur lokale' : 'Cloud-'} Speicherung aktiviert`, 'info');
+}
+
+toggleAnalyticsSharing() {
+    const enabled = !JSON.parse(localStorage.getItem('analyticsSharing') || 'false');
+    localStorage.setItem('analyticsSharing', enabled);
+    this.showToast(`📈 Anonyme Statistiken ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+}
 
-                    <div class="form-control">
-                        <label class="label">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="globe" class="w-4 h-4 mr-2"></i>
-                                Sprache
-                            </span>
-                        </label>
-                        <select class="select select-bordered" id="language-select" onchange="healthTracker.changeLanguage(this.value)">
-                            <option value="de" selected>Deutsch</option>
-                            <option value="en" disabled>English (Coming soon)</option>
-                            <option value="es" disabled>Español (Coming soon)</option>
-                        </select>
-                    </div>
+changeDataRetention(days) {
+    localStorage.setItem('dataRetention', days);
+    const text = days === 'never' ? 'niemals löschen' : `nach ${days} Tagen löschen`;
+    this.showToast(`🗂️ Datenbereinigung: ${text}`, 'success');
+}
 
-                    <div class="form-control">
-                        <label class="label">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="calendar" class="w-4 h-4 mr-2"></i>
-                                Datumsformat
-                            </span>
-                        </label>
-                        <select class="select select-bordered" id="date-format" onchange="healthTracker.changeDateFormat(this.value)">
-                            <option value="DD.MM.YYYY">TT.MM.JJJJ (08.08.2025)</option>
-                            <option value="MM/DD/YYYY">MM/DD/YYYY (08/08/2025)</option>
-                            <option value="YYYY-MM-DD">YYYY-MM-DD (2025-08-08)</option>
-                        </select>
+/**
+ * Zeige erweiterte Speicherverbrauch-Informationen mit verbesserter UX
+ */
+showDataUsage() {
+    try {
+        console.log('💾 Zeige Speicherverbrauch-Details');
+        
+        // Verwende die bereits vorhandene getAppStats Methode
+        const appStats = this.getAppStats();
+        const storageDetails = this.getStorageDetails();
+        
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open storage-usage-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-2xl">
+                <!-- Header mit verbessertem Design -->
+                <div class="flex items-center gap-3 mb-6">
+                    <div class="p-2 bg-primary/10 rounded-lg">
+                        <i data-lucide="hard-drive" class="w-6 h-6 text-primary"></i>
                     </div>
-
-                    <div class="form-control">
-                        <label class="label">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="ruler" class="w-4 h-4 mr-2"></i>
-                                Einheitensystem
-                            </span>
-                        </label>
-                        <select class="select select-bordered" id="unit-system" onchange="healthTracker.changeUnitSystem(this.value)">
-                            <option value="metric">Metrisch (kg, km, °C)</option>
-                            <option value="imperial">Imperial (lbs, mi, °F)</option>
-                        </select>
+                    <div>
+                        <h3 class="font-bold text-xl">Speicherverbrauch</h3>
+                        <p class="text-sm text-base-content/70">Lokale Datenspeicher-Übersicht</p>
                     </div>
                 </div>
 
-                <!-- Benachrichtigungs-Einstellungen -->
-                <div id="notification-settings" style="display:none" class="space-y-4">
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="bell" class="w-4 h-4 mr-2"></i>
-                                Push-Benachrichtigungen
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="notifications-toggle" 
-                                ${this.smartNotificationManager?.isEnabled ? 'checked' : ''} 
-                                onchange="healthTracker.toggleNotifications()">
-                        </label>
+                <!-- Übersichts-Statistiken -->
+                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-figure text-primary">
+                            <i data-lucide="database" class="w-6 h-6"></i>
+                        </div>
+                        <div class="stat-title text-xs">Gesamt</div>
+                        <div class="stat-value text-lg">${appStats.storageSize}</div>
                     </div>
-
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="droplets" class="w-4 h-4 mr-2"></i>
-                                Wassererinnerungen
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="water-reminders" 
-                                ${localStorage.getItem('waterReminders') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleWaterReminders()">
-                        </label>
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-figure text-info">
+                            <i data-lucide="activity" class="w-6 h-6"></i>
+                        </div>
+                        <div class="stat-title text-xs">Einträge</div>
+                        <div class="stat-value text-lg">${appStats.totalEntries}</div>
                     </div>
-
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="footprints" class="w-4 h-4 mr-2"></i>
-                                Aktivitätserinnerungen
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="activity-reminders" 
-                                ${localStorage.getItem('activityReminders') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleActivityReminders()">
-                        </label>
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-figure text-success">
+                            <i data-lucide="calendar-days" class="w-6 h-6"></i>
+                        </div>
+                        <div class="stat-title text-xs">Tage</div>
+                        <div class="stat-value text-lg">${appStats.totalDays}</div>
                     </div>
-
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="moon" class="w-4 h-4 mr-2"></i>
-                                Schlafenserinnerungen
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="sleep-reminders" 
-                                ${localStorage.getItem('sleepReminders') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleSleepReminders()">
-                        </label>
+                    <div class="stat bg-base-200 rounded-lg p-3">
+                        <div class="stat-figure text-warning">
+                            <i data-lucide="target" class="w-6 h-6"></i>
+                        </div>
+                        <div class="stat-title text-xs">Ziele</div>
+                        <div class="stat-value text-lg">${appStats.totalGoals}</div>
                     </div>
+                </div>
 
-                    <div class="form-control">
-                        <label class="label">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="clock" class="w-4 h-4 mr-2"></i>
-                                Erinnerungsintervall
-                            </span>
-                        </label>
-                        <select class="select select-bordered" id="reminder-interval" onchange="healthTracker.changeReminderInterval(this.value)">
-                            <option value="30">Alle 30 Minuten</option>
-                            <option value="60" selected>Stündlich</option>
-                            <option value="120">Alle 2 Stunden</option>
-                            <option value="240">Alle 4 Stunden</option>
-                        </select>
-                    </div>
+                <!-- Detaillierte Speicher-Aufschlüsselung -->
+                <div class="card bg-base-200 mb-6">
+                    <div class="card-body">
+                        <h4 class="card-title text-lg mb-4 flex items-center gap-2">
+                            <i data-lucide="pie-chart" class="w-5 h-5"></i>
+                            Speicher-Aufschlüsselung
+                        </h4>
+                        
+                        <div class="space-y-4">
+                            <!-- Gesundheitsdaten -->
+                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
+                                <div class="flex items-center gap-3">
+                                    <div class="w-3 h-3 bg-primary rounded-full"></div>
+                                    <div>
+                                        <div class="font-medium">Gesundheitsdaten</div>
+                                        <div class="text-xs text-base-content/70">${appStats.totalEntries} Einträge</div>
+                                    </div>
+                                </div>
+                                <div class="text-right">
+                                    <div class="font-bold">${appStats.healthDataSize}</div>
+                                    <div class="text-xs text-base-content/70">${storageDetails.healthDataPercentage}%</div>
+                                </div>
+                            </div>
 
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="volume-x" class="w-4 h-4 mr-2"></i>
-                                Stille Stunden aktivieren
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="quiet-hours" 
-                                ${localStorage.getItem('quietHours') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleQuietHours()">
-                        </label>
-                    </div>
+                            <!-- Ziele & Einstellungen -->
+                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
+                                <div class="flex items-center gap-3">
+                                    <div class="w-3 h-3 bg-secondary rounded-full"></div>
+                                    <div>
+                                        <div class="font-medium">Ziele & Einstellungen</div>
+                                        <div class="text-xs text-base-content/70">Konfiguration & Präferenzen</div>
+                                    </div>
+                                </div>
+                                <div class="text-right">
+                                    <div class="font-bold">${appStats.goalsSize}</div>
+                                    <div class="text-xs text-base-content/70">${storageDetails.goalsPercentage}%</div>
+                                </div>
+                            </div>
 
-                    <div class="grid grid-cols-2 gap-4" id="quiet-hours-times" ${localStorage.getItem('quietHours') !== 'true' ? 'style="display:none"' : ''}>
-                        <div class="form-control">
-                            <label class="label">
-                                <span class="label-text-alt">Stille Stunden von</span>
-                            </label>
-                            <input type="time" class="input input-bordered input-sm" id="quiet-start" 
-                                value="${localStorage.getItem('quietStart') || '22:00'}" 
-                                onchange="healthTracker.setQuietHours()">
+                            <!-- App-Einstellungen -->
+                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
+                                <div class="flex items-center gap-3">
+                                    <div class="w-3 h-3 bg-accent rounded-full"></div>
+                                    <div>
+                                        <div class="font-medium">App-Einstellungen</div>
+                                        <div class="text-xs text-base-content/70">Theme, Notifications, etc.</div>
+                                    </div>
+                                </div>
+                                <div class="text-right">
+                                    <div class="font-bold">${appStats.settingsSize}</div>
+                                    <div class="text-xs text-base-content/70">${storageDetails.settingsPercentage}%</div>
+                                </div>
+                            </div>
+
+                            <!-- Cache & Temporäre Daten -->
+                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
+                                <div class="flex items-center gap-3">
+                                    <div class="w-3 h-3 bg-info rounded-full"></div>
+                                    <div>
+                                        <div class="font-medium">Cache & Temporäre Daten</div>
+                                        <div class="text-xs text-base-content/70">Browser-Cache, Bilder, etc.</div>
+                                    </div>
+                                </div>
+                                <div class="text-right">
+                                    <div class="font-bold">${appStats.cacheSize}</div>
+                                    <div class="text-xs text-base-content/70">${storageDetails.cachePercentage}%</div>
+                                </div>
+                            </div>
                         </div>
-                        <div class="form-control">
-                            <label class="label">
-                                <span class="label-text-alt">bis</span>
-                            </label>
-                            <input type="time" class="input input-bordered input-sm" id="quiet-end" 
-                                value="${localStorage.getItem('quietEnd') || '07:00'}" 
-                                onchange="healthTracker.setQuietHours()">
+
+                        <!-- Visueller Progress Bar -->
+                        <div class="mt-4">
+                            <div class="flex justify-between text-xs mb-2">
+                                <span>Speichernutzung</span>
+                                <span>${storageDetails.totalSizeBytes} von ${storageDetails.availableStorage} verfügbar</span>
+                            </div>
+                            <div class="progress progress-primary">
+                                <div class="progress-bar" style="width: ${storageDetails.usagePercentage}%"></div>
+                            </div>
                         </div>
                     </div>
                 </div>
 
-                <!-- Privatsphäre-Einstellungen -->
-                <div id="privacy-settings" style="display:none" class="space-y-4">
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="shield" class="w-4 h-4 mr-2"></i>
-                                Biometrische Entsperrung
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="biometric-lock" 
-                                ${localStorage.getItem('biometricLock') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleBiometricLock()">
-                        </label>
+                <!-- Speicher-Optimierung Tipps -->
+                <div class="alert alert-info mb-4">
+                    <i data-lucide="lightbulb" class="w-5 h-5"></i>
+                    <div>
+                        <h4 class="font-semibold">Optimierungstipps</h4>
+                        <ul class="text-sm mt-1 space-y-1">
+                            ${this.getStorageOptimizationTips(storageDetails)}
+                        </ul>
                     </div>
+                </div>
 
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="wifi-off" class="w-4 h-4 mr-2"></i>
-                                Nur lokale Datenspeicherung
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="local-only" 
-                                ${localStorage.getItem('localOnlyMode') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleLocalOnlyMode()">
-                        </label>
+                <!-- Action Buttons -->
+                <div class="modal-action">
+                    <div class="flex flex-wrap gap-2">
+                        
+                        <!-- Export Data Button -->
+                        <button class="btn btn-outline gap-2" onclick="healthTracker?.exportAppData?.(); this.closest('.modal').remove();">
+                            <i data-lucide="download" class="w-4 h-4"></i>
+                            Daten exportieren
+                        </button>
+                        
+                        <!-- Data Cleanup Button -->
+                        <button class="btn btn-outline btn-secondary gap-2" onclick="healthTracker?.showDataCleanup?.(); this.closest('.modal').remove();">
+                            <i data-lucide="broom" class="w-4 h-4"></i>
+                            Daten bereinigen
+                        </button>
+                        
+                        <!-- Close Button -->
+                        <button class="btn btn-primary" onclick="this.closest('.modal').remove()">
+                            <i data-lucide="x" class="w-4 h-4"></i>
+                            Schließen
+                        </button>
                     </div>
+                </div>
+            </div>
+            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+        `;
+        
+        document.body.appendChild(modal);
+        
+        // Icons initialisieren
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+        
+        // Haptic Feedback
+        if (navigator.vibrate && localStorage.getItem('hapticFeedback') === 'true') {
+            navigator.vibrate(10);
+        }
 
-                    <div class="form-control">
-                        <label class="label cursor-pointer">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="eye-off" class="w-4 h-4 mr-2"></i>
-                                Anonyme Nutzungsstatistiken
-                            </span> 
-                            <input type="checkbox" class="toggle toggle-primary" id="analytics-sharing" 
-                                ${localStorage.getItem('analyticsSharing') === 'true' ? 'checked' : ''} 
-                                onchange="healthTracker.toggleAnalyticsSharing()">
-                        </label>
-                    </div>
+    } catch (error) {
+        console.error('❌ Fehler beim Anzeigen der Speichernutzung:', error);
+        this.showToast('❌ Speicherverbrauch konnte nicht geladen werden', 'error');
+    }
+}
 
-                    <div class="form-control">
-                        <label class="label">
-                            <span class="label-text flex items-center">
-                                <i data-lucide="clock" class="w-4 h-4 mr-2"></i>
-                                Automatische Datenbereinigung
-                            </span>
-                        </label>
-                        <select class="select select-bordered" id="data-retention" onchange="healthTracker.changeDataRetention(this.value)">
-                            <option value="never">Niemals löschen</option>
-                            <option value="365" selected>Nach 1 Jahr</option>
-                            <option value="180">Nach 6 Monaten</option>
-                            <option value="90">Nach 3 Monaten</option>
-                        </select>
-                    </div>
+/**
+ * Erweiterte Speicher-Details berechnen
+ */
+getStorageDetails() {
+    try {
+        const appStats = this.getAppStats();
+        
+        // Parse sizes zurück zu Bytes für Berechnungen
+        const parseSize = (sizeStr) => {
+            const num = parseFloat(sizeStr);
+            if (sizeStr.includes('MB')) return num * 1024 * 1024;
+            if (sizeStr.includes('KB')) return num * 1024;
+            return num;
+        };
 
-                    <div class="divider">Daten-Management</div>
+        const healthDataBytes = parseSize(appStats.healthDataSize);
+        const goalsBytes = parseSize(appStats.goalsSize);
+        const settingsBytes = parseSize(appStats.settingsSize);
+        const cacheBytes = parseSize(appStats.cacheSize);
+        const totalBytes = healthDataBytes + goalsBytes + settingsBytes + cacheBytes;
 
-                    <div class="grid grid-cols-1 sm:grid-cols-2 gap-3">
-                        <button class="btn btn-outline btn-info" onclick="healthTracker.exportData()">
-                            <i data-lucide="download" class="w-4 h-4 mr-2"></i>
-                            Daten exportieren
-                        </button>
-                        <button class="btn btn-outline btn-warning" onclick="healthTracker.showDataUsage()">
-                            <i data-lucide="hard-drive" class="w-4 h-4 mr-2"></i>
-                            Speicherverbrauch
-                        </button>
+        // Prozentuale Verteilung berechnen
+        const calculatePercentage = (value) => totalBytes > 0 ? Math.round((value / totalBytes) * 100) : 0;
+
+        // Geschätzte verfügbare Storage (localStorage Limit ~5-10MB)
+        const estimatedLimit = 5 * 1024 * 1024; // 5MB
+        const usagePercentage = Math.min(100, Math.round((totalBytes / estimatedLimit) * 100));
+
+        return {
+            totalSizeBytes: this.formatBytes(totalBytes),
+            availableStorage: this.formatBytes(estimatedLimit),
+            usagePercentage: usagePercentage,
+            healthDataPercentage: calculatePercentage(healthDataBytes),
+            goalsPercentage: calculatePercentage(goalsBytes),
+            settingsPercentage: calculatePercentage(settingsBytes),
+            cachePercentage: calculatePercentage(cacheBytes),
+            isHighUsage: usagePercentage > 80,
+            canOptimize: totalBytes > 1024 * 100 // Mehr als 100KB
+        };
+    } catch (error) {
+        console.error('❌ Fehler bei Speicher-Detail-Berechnung:', error);
+        return {
+            totalSizeBytes: '0 B',
+            availableStorage: '5 MB',
+            usagePercentage: 0,
+            healthDataPercentage: 0,
+            goalsPercentage: 0,
+            settingsPercentage: 0,
+            cachePercentage: 0,
+            isHighUsage: false,
+            canOptimize: false
+        };
+    }
+}
+
+/**
+ * Generiere kontextuelle Optimierungstipps
+ */
+getStorageOptimizationTips(storageDetails) {
+    const tips = [];
+    
+    if (storageDetails.isHighUsage) {
+        tips.push('⚠️ Hohe Speichernutzung - erwäge Datenbereinigung');
+    }
+    
+    if (storageDetails.healthDataPercentage > 70) {
+        tips.push('📊 Viele Gesundheitsdaten - exportiere ältere Einträge');
+    }
+    
+    if (storageDetails.cachePercentage > 30) {
+        tips.push('🗄️ Cache könnte geleert werden für mehr Speicherplatz');
+    }
+    
+    if (tips.length === 0) {
+        tips.push('✅ Speichernutzung ist optimal');
+        tips.push('💡 Regelmäßige Datenexporte empfohlen für Backup');
+    }
+    
+    return tips.map(tip => `<li>${tip}</li>`).join('');
+}
+
+/**
+ * Erweiterte Cache-Bereinigung
+ */
+async clearAppCache() {
+    try {
+        console.log('🧹 Starte Cache-Bereinigung...');
+        
+        // Temporäre localStorage Keys entfernen
+        const keysToRemove = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && (
+                key.startsWith('temp_') ||
+                key.startsWith('cache_') ||
+                key.startsWith('lastSync_') ||
+                key.includes('_cached')
+            )) {
+                keysToRemove.push(key);
+            }
+        }
+        
+        keysToRemove.forEach(key => localStorage.removeItem(key));
+        
+        // In-Memory Cache leeren
+        if (this.cache && typeof this.cache.clear === 'function') {
+            this.cache.clear();
+        }
+        
+        console.log(`✅ Cache bereinigt - ${keysToRemove.length} Einträge entfernt`);
+        
+        return keysToRemove.length;
+        
+    } catch (error) {
+        console.error('❌ Fehler beim Cache-Leeren:', error);
+        return 0;
+    }
+}
+
+/**
+ * Zeige Datenbereinigung-Dialog
+ */
+showDataCleanup() {
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open';
+    modal.innerHTML = `
+        <div class="modal-box">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="broom" class="w-5 h-5"></i>
+                Datenbereinigung
+            </h3>
+            <div class="space-y-4">
+                <div class="alert alert-warning">
+                    <i data-lucide="alert-triangle" class="w-5 h-5"></i>
+                    <div>
+                        <h4 class="font-semibold">Achtung</h4>
+                        <p class="text-sm">Diese Aktionen können nicht rückgängig gemacht werden. Exportiere wichtige Daten vorher.</p>
                     </div>
                 </div>
-
-                <div class="divider"></div>
                 
-                <button class="btn btn-error btn-outline w-full" onclick="healthTracker.resetApp()">
-                    <i data-lucide="refresh-ccw" class="w-4 h-4 mr-2"></i>
-                    App komplett zurücksetzen
-                </button>
-
-                <div class="modal-action">
-                    <button class="btn" onclick="healthTracker.closeSettings()">Schließen</button>
+                <div class="form-control">
+                    <label class="label">
+                        <span class="label-text">Alte Daten entfernen</span>
+                    </label>
+                    <select class="select select-bordered" id="cleanup-period">
+                        <option value="90">Älter als 90 Tage</option>
+                        <option value="180">Älter als 6 Monate</option>
+                        <option value="365">Älter als 1 Jahr</option>
+                    </select>
+                </div>
+                
+                <div class="form-control">
+                    <label class="cursor-pointer label">
+                        <span class="label-text">Cache & temporäre Daten</span>
+                        <input type="checkbox" class="checkbox" id="cleanup-cache" checked>
+                    </label>
+                </div>
+                
+                <div class="form-control">
+                    <label class="cursor-pointer label">
+                        <span class="label-text">Unvollständige Einträge</span>
+                        <input type="checkbox" class="checkbox" id="cleanup-incomplete">
+                    </label>
                 </div>
             </div>
-            <div class="modal-backdrop" onclick="healthTracker.closeSettings()"></div>
-        `;
+            
+            <div class="modal-action">
+                <button class="btn btn-outline" onclick="this.closest('.modal').remove()">
+                    Abbrechen
+                </button>
+                <button class="btn btn-warning" onclick="healthTracker?.executeDataCleanup?.(); this.closest('.modal').remove();">
+                    <i data-lucide="trash-2" class="w-4 h-4"></i>
+                    Bereinigen
+                </button>
+            </div>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+    
+    document.body.appendChild(modal);
+    
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+    }
+}
 
-        document.body.appendChild(modal);
-        
-        // Lucide Icons für das Modal neu initialisieren
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
-        }
+/**
+ * Vollständiges Backup als JSON mit Manifest (Versionen, Anzahlen, Prüfsumme) herunterladen
+ * @param {Object} [options] - passphrase: Backup mit AES-GCM verschlüsseln
+ */
+async exportAppData(options = {}) {
+    try {
+        const backup = await BackupFormat.createBackup({
+            healthData: await this.repository.getAllEntries(),
+            goals: await this.repository.getGoals(this.userId),
+            settings: await this.repository.getAllSettings(),
+            medications: await this.repository.getMedications(),
+            medicationLogs: await this.repository.getMedicationLogs(),
+            // Einnahmetreue je Kalenderwoche (Montag) - so weit Dosen lokal vorliegen
+            medicationAdherence: this.getAdherenceHistory(12),
+            workouts: await this.repository.getWorkouts(),
+            periods: await this.repository.getPeriods(),
+            foods: await this.repository.getSetting('userFoods', []),
+            metricDefinitions: await this.repository.getSetting('metricDefinitions', [])
+        }, { appVersion: this.getBuildInfo().version });
+
+        const encrypted = options.passphrase ? await BackupFormat.encryptBackup(backup, options.passphrase) : null;
+        const blob = new Blob([JSON.stringify(encrypted || backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `health-tracker-backup-${new Date().toISOString().split('T')[0]}${encrypted ? '.encrypted' : ''}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
 
+        this.showToast(`${encrypted ? '🔒 Verschlüsseltes Backup' : '📤 Backup'} mit ${backup.manifest.counts.healthData} Einträgen exportiert`, 'success');
+        console.log('📤 Datenexport erfolgreich:', backup.manifest.counts);
     } catch (error) {
-        console.error('❌ Fehler beim Öffnen der Einstellungen:', error);
-        this.showToast('❌ Fehler beim Öffnen der Einstellungen', 'error');
+        console.error('❌ Export-Fehler:', error);
+        this.showToast('❌ Fehler beim Exportieren', 'error');
     }
 }
 
-closeSettings() {
-    const modal = document.querySelector('.modal-open');
-    if (modal) modal.remove();
-}
-
-toggleHapticFeedback() {
-    const enabled = !JSON.parse(localStorage.getItem('hapticFeedback') || 'false');
-    localStorage.setItem('hapticFeedback', enabled);
-    
-    if (enabled && navigator.vibrate) {
-        navigator.vibrate(50);
+/**
+ * Export aus dem Import/Export-Dialog - optional mit Passwort
+ */
+async exportBackupFromDialog() {
+    if (!document.getElementById('export-encrypt')?.checked) {
+        await this.exportAppData();
+        return;
     }
-    
-    this.showToast(`📳 Haptic Feedback ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
-}
 
-toggleAnalytics() {
-    const enabled = !JSON.parse(localStorage.getItem('advancedAnalytics') || 'false');
-    localStorage.setItem('advancedAnalytics', enabled);
-    
-    // Visuelles Feedback sofort anzeigen
-    const toggle = document.getElementById('analytics-toggle');
-    if (toggle) {
-        toggle.checked = enabled;
-        // Animation für visuelles Feedback
-        toggle.parentElement.style.transform = 'scale(1.05)';
-        setTimeout(() => {
-            toggle.parentElement.style.transform = 'scale(1)';
-        }, 200);
+    const passphrase = document.getElementById('export-passphrase').value;
+    if (passphrase.length < BackupFormat.MIN_PASSPHRASE_LENGTH) {
+        this.showToast(`⚠️ Das Passwort braucht mindestens ${BackupFormat.MIN_PASSPHRASE_LENGTH} Zeichen`, 'warning');
+        return;
     }
-    
-    // Advanced Analytics Features aktivieren/deaktivieren
-    if (enabled) {
-        this.enableAdvancedAnalytics();
-    } else {
-        this.disableAdvancedAnalytics();
+    if (passphrase !== document.getElementById('export-passphrase-confirm').value) {
+        this.showToast('⚠️ Die Passwörter stimmen nicht überein', 'warning');
+        return;
     }
-    
-    this.showToast(`📊 Erweiterte Analytics ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+    await this.exportAppData({ passphrase });
 }
 
-enableAdvancedAnalytics() {
-    console.log('📈 Erweiterte Analytics werden aktiviert');
-    
-    // Erweiterte Features verfügbar machen
-    if (this.analyticsEngine) {
-        this.analyticsEngine.advancedMode = true;
-    }
-    
-    // UI-Elemente für erweiterte Analytics anzeigen
-    this.showAdvancedAnalyticsFeatures();
-    
-    // Sofortiges Refresh der Analytics
-    setTimeout(() => {
-        if (this.analyticsEngine && typeof this.analyticsEngine.loadCompleteAnalyticsData === 'function') {
-            this.analyticsEngine.loadCompleteAnalyticsData();
-        }
-    }, 100);
-    
-    this.showToast('🚀 Erweiterte Analytics aktiviert!', 'success');
+getBackupErrorMessage(code) {
+    const messages = {
+        INVALID_JSON: 'Die Datei ist kein gültiges JSON',
+        INVALID_FORMAT: 'Die Datei ist kein Health-Tracker-Backup',
+        UNSUPPORTED_VERSION: 'Das Backup stammt aus einer neueren App-Version - bitte die App aktualisieren',
+        COUNT_MISMATCH: 'Das Backup ist unvollständig',
+        CHECKSUM_MISMATCH: 'Das Backup wurde verändert oder ist beschädigt',
+        WRONG_PASSPHRASE: 'Falsches Passwort oder beschädigtes Backup'
+    };
+    return messages[code] || 'Das Backup konnte nicht gelesen werden';
 }
 
-disableAdvancedAnalytics() {
-    console.log('📉 Erweiterte Analytics werden deaktiviert');
-    
-    // Basis-Modus aktivieren
-    if (this.analyticsEngine) {
-        this.analyticsEngine.advancedMode = false;
+/**
+ * Backup-Datei prüfen, migrieren und die Wiederherstellung zur Vorschau anbieten
+ */
+async importData() {
+    try {
+        const fileInput = document.getElementById('import-file');
+        const file = fileInput.files[0];
+        
+        if (!file) {
+            this.showToast('⚠️ Bitte wähle eine Datei aus', 'warning');
+            return;
+        }
+
+        let raw;
+        try {
+            raw = JSON.parse(await file.text());
+        } catch (error) {
+            this.showToast(`❌ ${this.getBackupErrorMessage('INVALID_JSON')}`, 'error');
+            return;
+        }
+
+        if (BackupFormat.isEncrypted(raw)) {
+            raw = await this.promptBackupPassphrase(raw);
+            if (!raw) return;
+        }
+
+        const result = await BackupFormat.readBackup(raw);
+        if (!result.valid) {
+            console.warn('⚠️ Backup abgelehnt:', result.errors[0].message);
+            this.showToast(`❌ ${this.getBackupErrorMessage(result.errors[0].code)}`, 'error');
+            return;
+        }
+
+        document.querySelector('.import-export-modal')?.remove();
+        await this.showRestorePreview(result.value, result.fromVersion);
+    } catch (error) {
+        console.error('❌ Import-Fehler:', error);
+        this.showToast('❌ Fehler beim Importieren', 'error');
     }
-    
-    // Erweiterte UI-Elemente ausblenden
-    this.hideAdvancedAnalyticsFeatures();
-    
-    this.showToast('📊 Basis-Analytics aktiviert', 'info');
 }
 
-showAdvancedAnalyticsFeatures() {
-    console.log('🔧 Aktiviere erweiterte Analytics-Features');
-    
-    // 1. Erweiterte UI-Elemente einblenden
-    const advancedElements = [
-        // Erweiterte Buttons und Panels
-        '.advanced-analytics',
-        '.analytics-tab-advanced',
-        // Spezifische Advanced Features
-        '#correlation-insights',
-        '#ai-predictions',
-        '#anomaly-detection',
-        '[data-advanced="true"]'
-    ];
-    
-    advancedElements.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => {
-            el.classList.remove('hidden');
-            el.style.display = 'block';
-        });
-    });
-    
-    // 2. Erweiterte Analytics-Tabs hinzufügen
-    this.addAdvancedAnalyticsTabs();
-    
-    // 3. KI-Insights Container erstellen
-    this.createAdvancedInsightsContainers();
-    
-    // 4. Erweiterte Chart-Optionen aktivieren
-    this.enableAdvancedChartFeatures();
-}
+/**
+ * Passwort für ein verschlüsseltes Backup abfragen - bei falschem Passwort erneut
+ * @returns {Promise<Object|null>} entschlüsselter Inhalt oder null bei Abbruch
+ */
+promptBackupPassphrase(envelope) {
+    document.querySelector('.backup-passphrase-modal')?.remove();
 
-hideAdvancedAnalyticsFeatures() {
-    console.log('🔧 Deaktiviere erweiterte Analytics-Features');
-    
-    // Erweiterte UI-Elemente ausblenden
-    const advancedElements = [
-        '.advanced-analytics',
-        '.analytics-tab-advanced',
-        '#correlation-insights .advanced-correlation',
-        '#ai-predictions',
-        '#anomaly-detection',
-        '[data-advanced="true"]'
-    ];
-    
-    advancedElements.forEach(selector => {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => {
-            el.classList.add('hidden');
-            el.style.display = 'none';
-        });
-    });
-    
-    // Entferne erweiterte Tabs
-    const advancedTabs = document.querySelectorAll('.analytics-tab-advanced');
-    advancedTabs.forEach(tab => tab.remove());
-}
+    return new Promise(resolve => {
+        const modal = document.createElement('div');
+        modal.className = 'modal modal-open backup-passphrase-modal';
+        modal.innerHTML = `
+            <div class="modal-box max-w-sm">
+                <h3 class="font-bold text-lg mb-2 flex items-center gap-2">
+                    <i data-lucide="lock" class="w-5 h-5 text-primary"></i>
+                    Verschlüsseltes Backup
+                </h3>
+                <p class="text-sm opacity-70 mb-4">Gib das Passwort ein, mit dem das Backup exportiert wurde.</p>
+                <form id="backup-passphrase-form" class="space-y-2">
+                    <input type="password" name="passphrase" class="input input-bordered w-full" autocomplete="current-password" required>
+                    <p id="backup-passphrase-error" class="text-error text-sm hidden"></p>
+                    <div class="modal-action">
+                        <button type="button" class="btn btn-ghost" data-action="cancel">Abbrechen</button>
+                        <button type="submit" class="btn btn-primary">
+                            <i data-lucide="unlock" class="w-4 h-4"></i>
+                            Entschlüsseln
+                        </button>
+                    </div>
+                </form>
+            </div>
+            <div class="modal-backdrop" data-action="cancel"></div>
+        `;
 
-addAdvancedAnalyticsTabs() {
-    // Suche das Analytics-Tab-Container
-    const tabContainer = document.querySelector('.tabs.tabs-boxed') || 
-                        document.querySelector('#analytics .tabs') ||
-                        document.querySelector('.analytics-tabs');
-    
-    if (!tabContainer) {
-        console.warn('⚠️ Kein Tab-Container für erweiterte Analytics gefunden');
-        return;
-    }
-    
-    // Füge erweiterte Tabs hinzu (falls nicht vorhanden)
-    if (!document.querySelector('.analytics-tab-advanced')) {
-        const advancedTabs = [
-            {
-                id: 'predictions-tab',
-                icon: 'brain',
-                label: 'KI-Vorhersagen',
-                action: 'showPredictions'
-            },
-            {
-                id: 'anomalies-tab',
-                icon: 'alert-triangle',
-                label: 'Anomalien',
-                action: 'showAnomalies'
-            },
-            {
-                id: 'correlations-tab',
-                icon: 'git-branch',
-                label: 'Korrelationen',
-                action: 'showCorrelations'
+        document.body.appendChild(modal);
+
+        const form = modal.querySelector('#backup-passphrase-form');
+        const errorText = modal.querySelector('#backup-passphrase-error');
+        const submit = form.querySelector('button[type="submit"]');
+        const close = (value) => {
+            modal.remove();
+            resolve(value);
+        };
+
+        modal.querySelectorAll('[data-action="cancel"]').forEach(element => {
+            element.addEventListener('click', () => close(null));
+        });
+        form.addEventListener('submit', async (event) => {
+            event.preventDefault();
+            // Die Schlüsselableitung dauert bewusst einen Moment
+            submit.classList.add('loading');
+            submit.disabled = true;
+            const result = await BackupFormat.decryptBackup(envelope, form.elements.passphrase.value);
+            submit.classList.remove('loading');
+            submit.disabled = false;
+
+            if (result.valid) {
+                close(result.value);
+                return;
             }
-        ];
-        
-        advancedTabs.forEach(tab => {
-            const tabElement = document.createElement('button');
-            tabElement.className = 'tab analytics-tab-advanced';
-            tabElement.innerHTML = `
-                <i data-lucide="${tab.icon}" class="w-4 h-4 mr-1"></i>
-                ${tab.label}
-            `;
-            tabElement.onclick = () => {
-                if (typeof this.analyticsEngine[tab.action] === 'function') {
-                    this.analyticsEngine[tab.action]();
-                }
-            };
-            tabContainer.appendChild(tabElement);
+            errorText.textContent = this.getBackupErrorMessage(result.errors[0].code);
+            errorText.classList.remove('hidden');
+            form.elements.passphrase.select();
         });
-        
-        // Lucide Icons neu initialisieren
+
+        form.elements.passphrase.focus();
         if (typeof lucide !== 'undefined') {
             lucide.createIcons();
         }
+    });
+}
+
+/**
+ * Datensätze mit Geräte-ID im Backup - Medikamente werden nur archiviert, daher nie gelöscht
+ */
+getRestoreRecordTypes() {
+    return [
+        {
+            section: 'medications',
+            label: 'Medikamente',
+            get: () => this.repository.getMedications(),
+            save: record => this.repository.saveMedication(record)
+        },
+        {
+            section: 'medicationLogs',
+            label: 'Einnahmen',
+            get: () => this.repository.getMedicationLogs(),
+            save: record => this.repository.saveMedicationLog(record),
+            remove: id => this.repository.removeMedicationLog(id)
+        },
+        {
+            section: 'workouts',
+            label: 'Trainings',
+            get: () => this.repository.getWorkouts(),
+            save: record => this.repository.saveWorkout(record),
+            remove: id => this.repository.removeWorkout(id)
+        },
+        {
+            section: 'periods',
+            label: 'Perioden',
+            get: () => this.repository.getPeriods(),
+            save: record => this.repository.savePeriod(record),
+            remove: id => this.repository.removePeriod(id)
+        }
+    ];
+}
+
+/**
+ * Was eine Wiederherstellung ändern würde
+ * - merge: neue Einträge ergänzen, vorhandene bleiben (auch lokal geänderte), Ziele nur auffüllen
+ * - replace: Stand des Backups übernehmen - fehlende Einträge werden gelöscht, auch auf dem Server
+ * Eigene Metriken und Lebensmittel werden nur ergänzt, Einstellungen beim Zusammenführen nur aufgefüllt.
+ * @returns {{ create, update, remove, unchanged, kept, invalid, goals, metricDefinitions, records, foods, settings }}
+ */
+async getRestorePlan(backup, mode) {
+    // Fehlende Metrik-Definitionen zuerst - sonst gelten Einträge mit deren Werten als ungültig
+    const metricDefinitions = (backup.data.metricDefinitions || []).filter(definition =>
+        definition && !this.getMetricDefinition(definition.key) &&
+        HealthSchema.validateMetricDefinition(definition, { locale: 'de' }).valid);
+    const definitions = [...this.metricDefinitions, ...metricDefinitions];
+
+    const incoming = backup.data.healthData.map(entry => ({ ...entry, date: this.getDateKey(entry.date) }));
+    // Einträge, die der Server ablehnen würde (z.B. unbekannte eigene Metriken), nicht übernehmen
+    const invalid = incoming.filter(entry => !this.validateFormData(this.pickEditableFields(entry), definitions).isValid);
+    const valid = incoming.filter(entry => !invalid.includes(entry));
+
+    const dates = [...valid, ...(this.localEntriesSnapshot || [])]
+        .map(entry => this.getDateKey(entry.date))
+        .filter(Boolean)
+        .sort();
+    const today = this.getLocalDateKey(new Date());
+    const existing = await this.getEntriesInRange(dates[0] || today, today > dates[dates.length - 1] ? today : dates[dates.length - 1]);
+    const diff = BackupFormat.diffEntries(existing, valid);
+
+    let goals = null;
+    const backupGoals = backup.data.goals
+        ? HealthSchema.validate('goals', backup.data.goals, { locale: 'de', partial: true })
+        : null;
+    if (backupGoals?.valid) {
+        const current = await this.repository.getGoals(this.userId);
+        // Beim Zusammenführen gewinnen gesetzte lokale Ziele
+        const kept = Object.fromEntries(Object.entries(current || {}).filter(([key, value]) =>
+            key in backupGoals.value && value !== null && value !== undefined));
+        goals = mode === 'replace' ? backupGoals.value : { ...backupGoals.value, ...kept };
+    }
+
+    // Abschnitte, die im Backup fehlen (ältere Formate: null), bleiben unverändert
+    const records = {};
+    for (const type of this.getRestoreRecordTypes()) {
+        if (!Array.isArray(backup.data[type.section])) continue;
+        const recordDiff = BackupFormat.diffRecords(await type.get(), backup.data[type.section].filter(record => record?.id));
+        records[type.section] = {
+            create: recordDiff.added,
+            update: mode === 'replace' ? recordDiff.updated.map(({ incoming }) => incoming) : [],
+            remove: mode === 'replace' && type.remove ? recordDiff.missing : []
+        };
     }
+
+    const foodDiff = BackupFormat.diffRecords(this.userFoods,
+        Array.isArray(backup.data.foods) ? backup.data.foods.filter(food => food?.id) : []);
+    const foods = [...foodDiff.added, ...(mode === 'replace' ? foodDiff.updated.map(({ incoming }) => incoming) : [])];
+
+    const backupSettings = backup.data.settings && typeof backup.data.settings === 'object' ? backup.data.settings : {};
+    const currentSettings = await this.repository.getAllSettings();
+    const settings = Object.fromEntries(Object.entries(backupSettings).filter(([key]) =>
+        HealthRepository.SETTING_KEYS.includes(key) && (mode === 'replace' || !(key in currentSettings))));
+
+    return {
+        create: diff.added,
+        update: mode === 'replace' ? diff.updated : [],
+        remove: mode === 'replace' ? diff.missing : [],
+        unchanged: diff.unchanged,
+        kept: mode === 'replace' ? [] : diff.updated,
+        invalid,
+        goals,
+        metricDefinitions,
+        records,
+        foods,
+        settings
+    };
 }
 
-createAdvancedInsightsContainers() {
-    // Erstelle Container für erweiterte Insights
-    const analyticsSection = document.getElementById('analytics') || 
-                            document.querySelector('.analytics-content');
-    
-    if (!analyticsSection) return;
-    
-    // KI-Predictions Container
-    if (!document.getElementById('ai-predictions')) {
-        const predictionsContainer = document.createElement('div');
-        predictionsContainer.id = 'ai-predictions';
-        predictionsContainer.className = 'card bg-gradient-to-br from-primary/5 to-secondary/5 border border-primary/20 shadow-xl advanced-analytics';
-        predictionsContainer.innerHTML = `
-            <div class="card-body p-6">
-                <h3 class="card-title text-xl mb-6 flex items-center gap-3">
-                    <i data-lucide="brain" class="w-6 h-6 text-primary"></i>
-                    KI-Vorhersagen
-                    <div class="badge badge-primary badge-sm">Erweitert</div>
-                </h3>
-                <div id="predictions-content">
-                    <div class="text-center py-8">
-                        <i data-lucide="brain" class="w-12 h-12 text-primary/30 mx-auto mb-2"></i>
-                        <p class="text-base-content/60">KI-Analyse wird geladen...</p>
-                    </div>
+/**
+ * Weitere Inhalte einer Wiederherstellung neben den Einträgen - [Bezeichnung, Anzahl Änderungen]
+ */
+getRestoreExtras(plan) {
+    return [
+        ['Eigene Metriken', plan.metricDefinitions.length],
+        ...this.getRestoreRecordTypes().map(type => {
+            const records = plan.records[type.section];
+            return [type.label, records ? records.create.length + records.update.length + records.remove.length : 0];
+        }),
+        ['Eigene Lebensmittel', plan.foods.length],
+        ['Einstellungen', Object.keys(plan.settings).length]
+    ].filter(([, count]) => count > 0);
+}
+
+async showRestorePreview(backup, fromVersion) {
+    document.querySelector('.restore-preview-modal')?.remove();
+
+    const manifest = backup.manifest;
+    const createdAt = manifest.createdAt ? new Date(manifest.createdAt) : null;
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open restore-preview-modal';
+    modal.innerHTML = `
+        <div class="modal-box max-w-lg">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="archive-restore" class="w-5 h-5 text-primary"></i>
+                Backup wiederherstellen
+            </h3>
+            <div class="text-sm space-y-1 mb-4">
+                <div>Erstellt: <strong>${createdAt && !isNaN(createdAt.getTime()) ? createdAt.toLocaleString('de-DE') : 'unbekannt'}</strong></div>
+                <div>App-Version: <strong>${this.escapeHTML(manifest.appVersion || 'unbekannt')}</strong> · Format v${manifest.schemaVersion}
+                    ${fromVersion < BackupFormat.SCHEMA_VERSION ? `<span class="badge badge-info badge-sm ml-1">aus Format v${fromVersion} übernommen</span>` : ''}
                 </div>
+                <div>Enthält <strong>${manifest.counts.healthData}</strong> Einträge${backup.data.goals ? ' und Ziele' : ''}</div>
             </div>
-        `;
-        analyticsSection.appendChild(predictionsContainer);
-    }
-    
-    // Anomaly Detection Container
-    if (!document.getElementById('anomaly-detection')) {
-        const anomalyContainer = document.createElement('div');
-        anomalyContainer.id = 'anomaly-detection';
-        anomalyContainer.className = 'card bg-gradient-to-br from-warning/5 to-error/5 border border-warning/20 shadow-xl advanced-analytics';
-        anomalyContainer.innerHTML = `
-            <div class="card-body p-6">
-                <h3 class="card-title text-xl mb-6 flex items-center gap-3">
-                    <i data-lucide="alert-triangle" class="w-6 h-6 text-warning"></i>
-                    Anomalie-Erkennung
-                    <div class="badge badge-warning badge-sm">Erweitert</div>
-                </h3>
-                <div id="anomaly-content">
-                    <div class="alert alert-success">
-                        <i data-lucide="check-circle" class="w-5 h-5"></i>
-                        <span>Keine Anomalien in den letzten 7 Tagen erkannt</span>
-                    </div>
-                </div>
+            <div class="join w-full mb-4">
+                <input class="join-item btn btn-sm flex-1" type="radio" name="restore-mode" value="merge" aria-label="Zusammenführen" checked>
+                <input class="join-item btn btn-sm flex-1" type="radio" name="restore-mode" value="replace" aria-label="Ersetzen">
+            </div>
+            <div id="restore-summary"><span class="loading loading-spinner loading-sm"></span></div>
+            <div class="modal-action">
+                <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                <button id="restore-apply" class="btn btn-primary" disabled>
+                    <i data-lucide="check" class="w-4 h-4"></i>
+                    Wiederherstellen
+                </button>
             </div>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const summary = modal.querySelector('#restore-summary');
+    const apply = modal.querySelector('#restore-apply');
+    const getMode = () => modal.querySelector('input[name="restore-mode"]:checked').value;
+    let plan = null;
+
+    const renderSummary = async () => {
+        const mode = getMode();
+        apply.disabled = true;
+        plan = await this.getRestorePlan(backup, mode);
+        if (getMode() !== mode) return;
+
+        const rows = [
+            ['plus-circle', 'text-success', 'Neue Einträge', plan.create.length],
+            ['pencil', 'text-info', 'Werden überschrieben', plan.update.length],
+            ['trash-2', 'text-error', 'Werden gelöscht', plan.remove.length],
+            ['check', 'opacity-60', 'Bereits vorhanden', plan.unchanged.length],
+            ['shield', 'opacity-60', 'Lokal geändert - bleiben erhalten', plan.kept.length],
+            ['alert-triangle', 'text-warning', 'Ungültig - werden übersprungen', plan.invalid.length]
+        ].filter(([, , , count], index) => count > 0 || index === 0);
+        const extras = this.getRestoreExtras(plan);
+        const changes = plan.create.length + plan.update.length + plan.remove.length + (plan.goals ? 1 : 0) +
+            extras.reduce((sum, [, count]) => sum + count, 0);
+
+        summary.innerHTML = `
+            <ul class="space-y-1 text-sm">
+                ${rows.map(([icon, color, label, count]) => `
+                    <li class="flex items-center gap-2">
+                        <i data-lucide="${icon}" class="w-4 h-4 ${color}"></i>
+                        <span class="flex-1">${label}</span>
+                        <strong>${count}</strong>
+                    </li>
+                `).join('')}
+                <li class="flex items-center gap-2">
+                    <i data-lucide="target" class="w-4 h-4 ${plan.goals ? 'text-primary' : 'opacity-60'}"></i>
+                    <span class="flex-1">Ziele</span>
+                    <strong>${!plan.goals ? 'nicht enthalten' : mode === 'replace' ? 'werden ersetzt' : 'werden ergänzt'}</strong>
+                </li>
+                ${extras.map(([label, count]) => `
+                    <li class="flex items-center gap-2">
+                        <i data-lucide="database" class="w-4 h-4 text-primary"></i>
+                        <span class="flex-1">${label}</span>
+                        <strong>${count}</strong>
+                    </li>
+                `).join('')}
+            </ul>
+            ${mode === 'replace' && (plan.remove.length > 0 || Object.values(plan.records).some(records => records.remove.length > 0)) ? `
+                <div class="alert alert-warning text-sm mt-3 py-2">
+                    <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+                    <span>Einträge, die im Backup fehlen, werden auch auf dem Server gelöscht.</span>
+                </div>
+            ` : ''}
         `;
-        analyticsSection.appendChild(anomalyContainer);
-    }
-    
+        apply.disabled = changes === 0;
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+    };
+
+    modal.querySelectorAll('input[name="restore-mode"]').forEach(input => {
+        input.addEventListener('change', () => renderSummary().catch(error => {
+            console.error('❌ Vorschau fehlgeschlagen:', error);
+        }));
+    });
+    apply.addEventListener('click', async () => {
+        apply.disabled = true;
+        const restored = await this.applyBackupRestore(plan);
+        if (restored) modal.remove();
+        else apply.disabled = false;
+    });
+
     if (typeof lucide !== 'undefined') {
         lucide.createIcons();
     }
+    await renderSummary();
 }
 
-enableAdvancedChartFeatures() {
-    // Erweiterte Chart-Features aktivieren
-    const chartContainers = [
-        '#trends-chart-container',
-        '#correlation-chart',
-        '#heatmap-chart'
-    ];
-    
-    chartContainers.forEach(selector => {
-        const container = document.querySelector(selector);
-        if (container) {
-            // Füge erweiterte Chart-Optionen hinzu
-            container.classList.add('advanced-chart-enabled');
-            
-            // Erweiterte Tooltips
-            container.setAttribute('data-advanced', 'true');
+/**
+ * Wiederherstellung ausführen - alle Änderungen laufen über die Sync-Queue zum Server
+ * @returns {Promise<boolean>}
+ */
+async applyBackupRestore(plan) {
+    try {
+        // Eigene Metriken vor den Einträgen - der Server prüft deren Werte gegen die Definitionen
+        if (plan.metricDefinitions.length > 0) {
+            for (const definition of plan.metricDefinitions) {
+                await this.storeMetricDefinition({ ...definition, _local: true });
+            }
+            await this.loadMetricDefinitions();
+        }
+
+        const localIds = new Set((await this.repository.getAllEntries()).map(entry => entry._localId));
+        const created = plan.create.map(entry => {
+            const { _synced, _syncState, _version, _pendingOp, _queuedAt, _id, ...fields } = entry;
+            return {
+                ...fields,
+                userId: this.userId,
+                // Bekannte Server-IDs bleiben - der Server aktualisiert dann statt zu duplizieren
+                _serverId: fields._serverId || (_id ? String(_id) : null),
+                _localId: fields._localId && !localIds.has(fields._localId) ? fields._localId : undefined,
+                _createdAt: fields._createdAt || new Date().toISOString()
+            };
+        });
+        if (created.length > 0) await this.repository.saveEntries(created);
+
+        for (const { existing, incoming } of plan.update) {
+            const localEntry = await this.findLocalEntry(existing) || await this.repository.putEntry({ ...existing, _synced: true });
+            const cleared = Object.fromEntries(Object.keys(this.pickEditableFields(localEntry)).map(key => [key, null]));
+            await this.repository.saveEntry({
+                ...localEntry,
+                ...cleared,
+                ...this.pickEditableFields(incoming),
+                date: this.getDateKey(incoming.date),
+                _updatedAt: new Date().toISOString()
+            }, 'update');
+        }
+
+        for (const entry of plan.remove) {
+            const localEntry = await this.findLocalEntry(entry) || await this.repository.putEntry({ ...entry, _synced: true });
+            await this.repository.removeEntry(localEntry._localId);
+        }
+
+        if (plan.goals) {
+            await this.saveUserGoals(plan.goals);
+            this.goals = { ...this.goals, ...plan.goals };
+            this.populateGoalsForm();
+        }
+
+        // Trainings, Medikamente, Dosen und Perioden laufen wie Einträge über die Outbox
+        let restoredRecords = 0;
+        for (const type of this.getRestoreRecordTypes()) {
+            const records = plan.records[type.section];
+            if (!records) continue;
+            for (const record of [...records.create, ...records.update]) {
+                await type.save(Object.fromEntries(Object.entries(record).filter(([key]) => !key.startsWith('_') && key !== '__v')));
+            }
+            for (const record of records.remove) {
+                await type.remove(record.id);
+            }
+            restoredRecords += records.create.length + records.update.length + records.remove.length;
         }
-    });
-    
-    console.log('📈 Erweiterte Chart-Features aktiviert');
-}
 
-changeLanguage(lang) {
-    localStorage.setItem('language', lang);
-    this.showToast('🌍 Sprache wird beim nächsten Start angewendet', 'info');
-}
+        if (plan.foods.length > 0) {
+            const ids = new Set(plan.foods.map(food => food.id));
+            this.userFoods = [
+                ...this.userFoods.filter(food => !ids.has(food.id)),
+                ...plan.foods.map(food => ({ ...food, _local: true }))
+            ];
+            await this.repository.setSetting('userFoods', this.userFoods);
+            // Lokale Lebensmittel lädt loadUserFoods mit Konto hoch
+            await this.loadUserFoods();
+        }
 
-changeDateFormat(format) {
-    localStorage.setItem('dateFormat', format);
-    this.showToast(`📅 Datumsformat auf ${format} geändert`, 'success');
-}
+        for (const [key, value] of Object.entries(plan.settings)) {
+            await this.repository.setSetting(key, value);
+        }
 
-changeUnitSystem(system) {
-    localStorage.setItem('unitSystem', system);
-    this.showToast(`📏 Einheitensystem auf ${system === 'metric' ? 'Metrisch' : 'Imperial'} geändert`, 'success');
-}
+        await this.refreshLocalSnapshot();
+        await this.syncEntryChange();
+        if (restoredRecords > 0) {
+            await this.loadMedications();
+            await this.loadWorkouts();
+            await this.loadPeriods();
+        }
+        await this.refreshAllComponents();
 
-toggleWaterReminders() {
-    const enabled = !JSON.parse(localStorage.getItem('waterReminders') || 'false');
-    localStorage.setItem('waterReminders', enabled);
-    this.showToast(`💧 Wassererinnerungen ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+        this.showToast(`📥 Backup wiederhergestellt: ${created.length} neu, ${plan.update.length} aktualisiert, ${plan.remove.length} gelöscht` +
+            (restoredRecords > 0 ? `, ${restoredRecords} weitere Datensätze` : ''), 'success');
+        console.log('📥 Backup wiederhergestellt:', {
+            created: created.length,
+            updated: plan.update.length,
+            removed: plan.remove.length,
+            goals: !!plan.goals,
+            metricDefinitions: plan.metricDefinitions.length,
+            records: restoredRecords,
+            foods: plan.foods.length,
+            settings: Object.keys(plan.settings).length
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Wiederherstellung fehlgeschlagen:', error);
+        this.showToast('❌ Backup konnte nicht wiederhergestellt werden', 'error');
+        return false;
+    }
 }
 
-toggleActivityReminders() {
-    const enabled = !JSON.parse(localStorage.getItem('activityReminders') || 'false');
-    localStorage.setItem('activityReminders', enabled);
-    this.showToast(`👟 Aktivitätserinnerungen ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+// === CSV EXPORT / IMPORT ===
+
+/**
+ * Felder für CSV-Export und -Import: Standardmetriken plus aktive eigene Metriken ("custom.<key>")
+ */
+getCsvFields() {
+    // Stimmung als Schlüssel, deutsche Bezeichnung oder Punktwert (1-5)
+    const moodLabels = { excellent: 'ausgezeichnet', good: 'gut', neutral: 'neutral', bad: 'schlecht', terrible: 'schrecklich' };
+    const moodValues = {};
+    Object.entries(MetricRegistry.METRICS.mood.scores).forEach(([mood, score]) => {
+        moodValues[mood] = mood;
+        moodValues[moodLabels[mood]] = mood;
+        moodValues[String(score)] = mood;
+    });
+
+    const metrics = MetricRegistry.METRIC_KEYS.map(key => {
+        const metric = MetricRegistry.METRICS[key];
+        return {
+            key,
+            label: metric.label,
+            unit: metric.unit,
+            type: metric.type,
+            decimals: metric.decimals,
+            values: key === 'mood' ? moodValues : undefined
+        };
+    });
+    const custom = this.metricDefinitions
+        .filter(definition => !definition.archived)
+        .map(definition => ({
+            key: `custom.${definition.key}`,
+            label: definition.name,
+            unit: definition.unit || '',
+            type: 'number',
+            decimals: definition.type === 'integer' ? 0 : (definition.decimals ?? 2)
+        }));
+    return [...metrics, ...custom];
 }
 
-toggleSleepReminders() {
-    const enabled = !JSON.parse(localStorage.getItem('sleepReminders') || 'false');
-    localStorage.setItem('sleepReminders', enabled);
-    this.showToast(`😴 Schlafenserinnerungen ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+getCsvHeader(field) {
+    return field.unit ? `${field.label} (${field.unit})` : field.label;
 }
 
-changeReminderInterval(minutes) {
-    localStorage.setItem('reminderInterval', minutes);
-    this.showToast(`⏰ Erinnerungsintervall auf ${minutes} Minuten geändert`, 'success');
+getCsvValue(source, field) {
+    const value = field.key.startsWith('custom.') ? source.custom?.[field.key.slice(7)] : source[field.key];
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value !== 'number') return value;
+    const factor = 10 ** (field.decimals ?? 2);
+    return Math.round(value * factor) / factor;
 }
 
-toggleQuietHours() {
-    const enabled = !JSON.parse(localStorage.getItem('quietHours') || 'false');
-    localStorage.setItem('quietHours', enabled);
-    
-    const timesDiv = document.getElementById('quiet-hours-times');
-    if (timesDiv) {
-        timesDiv.style.display = enabled ? 'grid' : 'none';
-    }
-    
-    this.showToast(`🔇 Stille Stunden ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
+/**
+ * Einträge im Zeitraum (inklusive) - lädt den Verlauf bis zum Starttag nach
+ */
+async getEntriesInRange(from, to) {
+    const today = this.getLocalDateKey(new Date());
+    const days = Math.max(this.historyDays, Math.round((Date.parse(today) - Date.parse(from)) / 86400000) + 1);
+    const entries = await this.getAllHealthData(days);
+    return entries.filter(entry => {
+        const dateKey = this.getDateKey(entry.date);
+        return dateKey && dateKey >= from && dateKey <= to;
+    });
 }
 
-setQuietHours() {
-    const start = document.getElementById('quiet-start')?.value || '22:00';
-    const end = document.getElementById('quiet-end')?.value || '07:00';
-    
-    localStorage.setItem('quietStart', start);
-    localStorage.setItem('quietEnd', end);
-    
-    this.showToast(`🕐 Stille Stunden: ${start} - ${end}`, 'success');
+/**
+ * CSV-Export: Zeitraum, Metriken, eine Zeile pro Eintrag oder pro Tag
+ */
+async showCsvExport() {
+    document.querySelector('.csv-export-modal')?.remove();
+
+    const today = this.getLocalDateKey(new Date());
+    const from = this.shiftDateKey(today, -29);
+    const fields = this.getCsvFields();
+    // Vorauswahl: Metriken, die in den letzten 30 Tagen erfasst wurden
+    const recent = await this.getEntriesInRange(from, today);
+    const used = new Set(fields
+        .filter(field => recent.some(entry => this.getCsvValue(entry, field) !== null))
+        .map(field => field.key));
+
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open csv-export-modal';
+    modal.innerHTML = `
+        <div class="modal-box max-w-2xl">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="file-spreadsheet" class="w-5 h-5 text-primary"></i>
+                CSV exportieren
+            </h3>
+            <form id="csv-export-form" class="space-y-4">
+                <div class="grid grid-cols-2 gap-3">
+                    <label class="form-control">
+                        <span class="label-text mb-1">Von</span>
+                        <input type="date" name="from" class="input input-bordered input-sm" value="${from}" max="${today}" required>
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text mb-1">Bis</span>
+                        <input type="date" name="to" class="input input-bordered input-sm" value="${today}" max="${today}" required>
+                    </label>
+                </div>
+                <div class="grid grid-cols-2 gap-3">
+                    <label class="form-control">
+                        <span class="label-text mb-1">Zeilen</span>
+                        <select name="mode" class="select select-bordered select-sm">
+                            <option value="entries">Eine Zeile pro Eintrag</option>
+                            <option value="days">Eine Zeile pro Tag (Tageswerte)</option>
+                        </select>
+                    </label>
+                    <label class="form-control">
+                        <span class="label-text mb-1">Format</span>
+                        <select name="format" class="select select-bordered select-sm">
+                            <option value="excel">Excel (Semikolon, Dezimalkomma)</option>
+                            <option value="standard">Standard (Komma, Dezimalpunkt)</option>
+                        </select>
+                    </label>
+                </div>
+                <div>
+                    <div class="flex items-center justify-between mb-2">
+                        <span class="label-text font-semibold">Metriken</span>
+                        <div class="flex gap-1">
+                            <button type="button" class="btn btn-ghost btn-xs" data-select="all">Alle</button>
+                            <button type="button" class="btn btn-ghost btn-xs" data-select="none">Keine</button>
+                        </div>
+                    </div>
+                    <div class="grid grid-cols-2 sm:grid-cols-3 gap-1 max-h-56 overflow-y-auto">
+                        ${fields.map(field => `
+                            <label class="label cursor-pointer justify-start gap-2 py-1">
+                                <input type="checkbox" name="metrics" value="${this.escapeHTML(field.key)}" class="checkbox checkbox-sm checkbox-primary" ${used.has(field.key) ? 'checked' : ''}>
+                                <span class="label-text text-sm">${this.escapeHTML(field.label)}</span>
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+                <div class="modal-action">
+                    <button type="button" class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                    <button type="submit" class="btn btn-primary">
+                        <i data-lucide="download" class="w-4 h-4"></i>
+                        Exportieren
+                    </button>
+                </div>
+            </form>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('#csv-export-form');
+    modal.querySelectorAll('[data-select]').forEach(button => {
+        button.addEventListener('click', () => {
+            form.querySelectorAll('input[name="metrics"]').forEach(input => {
+                input.checked = button.dataset.select === 'all';
+            });
+        });
+    });
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const formData = new FormData(form);
+        const exported = await this.exportCsv({
+            from: formData.get('from'),
+            to: formData.get('to'),
+            mode: formData.get('mode'),
+            format: formData.get('format'),
+            metrics: formData.getAll('metrics')
+        });
+        if (exported) modal.remove();
+    });
+
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+    }
 }
 
-async toggleBiometricLock() {
-    const enabled = !JSON.parse(localStorage.getItem('biometricLock') || 'false');
-    
-    if (enabled) {
-        // Überprüfen ob WebAuthn verfügbar ist
-        if (!window.PublicKeyCredential) {
-            this.showToast('⚠️ Biometrische Authentifizierung nicht unterstützt', 'warning');
-            return;
+/**
+ * Einträge als CSV herunterladen
+ * @param {{ from, to, mode: 'entries'|'days', format: 'excel'|'standard', metrics: string[] }} options
+ * @returns {Promise<boolean>} ob eine Datei erzeugt wurde
+ */
+async exportCsv({ from, to, mode, format, metrics }) {
+    try {
+        const fields = this.getCsvFields().filter(field => metrics.includes(field.key));
+        if (!from || !to || from > to) {
+            this.showToast('⚠️ Bitte einen gültigen Zeitraum wählen', 'warning');
+            return false;
         }
-        
-        try {
-            // Vereinfachte WebAuthn-Implementierung
-            const credential = await navigator.credentials.create({
-                publicKey: {
-                    challenge: new Uint8Array(32),
-                    rp: { name: "Health Tracker" },
-                    user: {
-                        id: new TextEncoder().encode("health-user"),
-                        name: "health-user",
-                        displayName: "Health Tracker User"
-                    },
-                    pubKeyCredParams: [{alg: -7, type: "public-key"}],
-                    authenticatorSelection: {
-                        authenticatorAttachment: "platform",
-                        userVerification: "required"
-                    }
-                }
-            });
-            
-            localStorage.setItem('biometricLock', 'true');
-            localStorage.setItem('biometricCredential', btoa(JSON.stringify(credential.id)));
-            this.showToast('🔐 Biometrische Entsperrung aktiviert', 'success');
-            
-        } catch (error) {
-            console.error('❌ Biometric setup failed:', error);
-            this.showToast('❌ Biometrische Einrichtung fehlgeschlagen', 'error');
+        if (fields.length === 0) {
+            this.showToast('⚠️ Bitte mindestens eine Metrik auswählen', 'warning');
+            return false;
         }
-    } else {
-        localStorage.setItem('biometricLock', 'false');
-        localStorage.removeItem('biometricCredential');
-        this.showToast('🔓 Biometrische Entsperrung deaktiviert', 'info');
+
+        const entries = await this.getEntriesInRange(from, to);
+        let rows;
+        if (mode === 'days') {
+            rows = MetricRegistry.aggregateByDay(entries, entry => this.getDateKey(entry.date), this.metricDefinitions)
+                .reverse()
+                .map(day => [day.date, ...fields.map(field => this.getCsvValue(day, field))]);
+        } else {
+            rows = [...entries]
+                .sort((a, b) => this.getDateKey(a.date).localeCompare(this.getDateKey(b.date)) ||
+                    MetricRegistry.getEntryTime(a) - MetricRegistry.getEntryTime(b))
+                .map(entry => [
+                    this.getDateKey(entry.date),
+                    this.getLoggedTimeOfDay(entry),
+                    ...fields.map(field => this.getCsvValue(entry, field))
+                ]);
+        }
+
+        // Zeilen ohne Werte der gewählten Metriken (z.B. nur Mahlzeiten) weglassen
+        const offset = mode === 'days' ? 1 : 2;
+        rows = rows.filter(row => row.slice(offset).some(value => value !== null));
+        if (rows.length === 0) {
+            this.showToast('⚠️ Keine Daten im gewählten Zeitraum', 'warning');
+            return false;
+        }
+
+        const header = [...(mode === 'days' ? ['Datum'] : ['Datum', 'Uhrzeit']), ...fields.map(field => this.getCsvHeader(field))];
+        const excel = format === 'excel';
+        const csv = CsvTransfer.stringify([header, ...rows], { delimiter: excel ? ';' : ',', decimalComma: excel });
+
+        // BOM, damit Excel Umlaute als UTF-8 liest
+        const blob = new Blob(['\uFEFF' + csv], { type: 'text/csv;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `health-tracker-${mode === 'days' ? 'tage' : 'eintraege'}-${from}-bis-${to}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+
+        this.showToast(`📤 ${rows.length} Zeilen als CSV exportiert`, 'success');
+        console.log(`📤 CSV-Export: ${rows.length} Zeilen (${mode}, ${from} bis ${to})`);
+        return true;
+    } catch (error) {
+        console.error('❌ CSV-Export-Fehler:', error);
+        this.showToast('❌ Fehler beim CSV-Export', 'error');
+        return false;
     }
 }
 
-toggleLocalOnlyMode() {
-    const enabled = !JSON.parse(localStorage.getItem('localOnlyMode') || 'false');
-    localStorage.setItem('localOnlyMode', enabled);
-    this.showToast(`📱 ${enabled ? 'Nur lokale' : 'Cloud-'} Speicherung aktiviert`, 'info');
-}
+/**
+ * CSV-Import-Assistent: Datei wählen, Spalten zuordnen, Vorschau prüfen, zusammenführen
+ */
+showCsvImport() {
+    document.querySelector('.csv-import-modal')?.remove();
+    this.csvImport = null;
 
-toggleAnalyticsSharing() {
-    const enabled = !JSON.parse(localStorage.getItem('analyticsSharing') || 'false');
-    localStorage.setItem('analyticsSharing', enabled);
-    this.showToast(`📈 Anonyme Statistiken ${enabled ? 'aktiviert' : 'deaktiviert'}`, 'info');
-}
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open csv-import-modal';
+    modal.innerHTML = `
+        <div class="modal-box max-w-4xl">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="file-up" class="w-5 h-5 text-primary"></i>
+                CSV importieren
+            </h3>
 
-changeDataRetention(days) {
-    localStorage.setItem('dataRetention', days);
-    const text = days === 'never' ? 'niemals löschen' : `nach ${days} Tagen löschen`;
-    this.showToast(`🗂️ Datenbereinigung: ${text}`, 'success');
+            <div class="space-y-3">
+                <input type="file" id="csv-import-file" class="file-input file-input-bordered file-input-sm w-full" accept=".csv,.txt,text/csv">
+                <div class="flex flex-wrap items-center gap-3">
+                    <label class="flex items-center gap-2">
+                        <span class="label-text">Trennzeichen</span>
+                        <select id="csv-import-delimiter" class="select select-bordered select-sm">
+                            <option value="">Automatisch</option>
+                            ${CsvTransfer.DELIMITERS.map(delimiter => `
+                                <option value="${delimiter.key === '\t' ? 'tab' : delimiter.key}">${delimiter.label}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                    <label class="label cursor-pointer gap-2">
+                        <input type="checkbox" id="csv-import-header" class="checkbox checkbox-sm" checked>
+                        <span class="label-text">Erste Zeile enthält Spaltennamen</span>
+                    </label>
+                </div>
+            </div>
+
+            <div id="csv-import-mapping" class="mt-4"></div>
+            <div id="csv-import-preview" class="mt-4"></div>
+
+            <div class="modal-action">
+                <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                <button id="csv-import-submit" class="btn btn-primary" disabled>
+                    <i data-lucide="upload" class="w-4 h-4"></i>
+                    <span id="csv-import-submit-label">Importieren</span>
+                </button>
+            </div>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const reparse = () => this.parseCsvImport().catch(error => {
+        console.error('❌ CSV konnte nicht gelesen werden:', error);
+        this.showToast('❌ CSV-Datei konnte nicht gelesen werden', 'error');
+    });
+    modal.querySelector('#csv-import-file').addEventListener('change', reparse);
+    modal.querySelector('#csv-import-delimiter').addEventListener('change', reparse);
+    modal.querySelector('#csv-import-header').addEventListener('change', reparse);
+    modal.querySelector('#csv-import-submit').addEventListener('click', () => this.importCsv());
+
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+    }
 }
 
 /**
- * Zeige erweiterte Speicherverbrauch-Informationen mit verbesserter UX
+ * Gewählte Datei lesen, Spalten zuordnen und Datumsformat erkennen
  */
-showDataUsage() {
-    try {
-        console.log('💾 Zeige Speicherverbrauch-Details');
-        
-        // Verwende die bereits vorhandene getAppStats Methode
-        const appStats = this.getAppStats();
-        const storageDetails = this.getStorageDetails();
-        
-        const modal = document.createElement('div');
-        modal.className = 'modal modal-open storage-usage-modal';
-        modal.innerHTML = `
-            <div class="modal-box max-w-2xl">
-                <!-- Header mit verbessertem Design -->
-                <div class="flex items-center gap-3 mb-6">
-                    <div class="p-2 bg-primary/10 rounded-lg">
-                        <i data-lucide="hard-drive" class="w-6 h-6 text-primary"></i>
-                    </div>
-                    <div>
-                        <h3 class="font-bold text-xl">Speicherverbrauch</h3>
-                        <p class="text-sm text-base-content/70">Lokale Datenspeicher-Übersicht</p>
-                    </div>
-                </div>
+async parseCsvImport() {
+    const modal = document.querySelector('.csv-import-modal');
+    const file = modal?.querySelector('#csv-import-file').files[0];
+    if (!file) return;
+
+    const delimiter = modal.querySelector('#csv-import-delimiter').value;
+    const text = this.csvImport?.file === file ? this.csvImport.text : await file.text();
+    const parsed = CsvTransfer.parse(text, {
+        delimiter: delimiter === 'tab' ? '\t' : delimiter || null,
+        header: modal.querySelector('#csv-import-header').checked
+    });
 
-                <!-- Übersichts-Statistiken -->
-                <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
-                    <div class="stat bg-base-200 rounded-lg p-3">
-                        <div class="stat-figure text-primary">
-                            <i data-lucide="database" class="w-6 h-6"></i>
-                        </div>
-                        <div class="stat-title text-xs">Gesamt</div>
-                        <div class="stat-value text-lg">${appStats.storageSize}</div>
-                    </div>
-                    <div class="stat bg-base-200 rounded-lg p-3">
-                        <div class="stat-figure text-info">
-                            <i data-lucide="activity" class="w-6 h-6"></i>
-                        </div>
-                        <div class="stat-title text-xs">Einträge</div>
-                        <div class="stat-value text-lg">${appStats.totalEntries}</div>
-                    </div>
-                    <div class="stat bg-base-200 rounded-lg p-3">
-                        <div class="stat-figure text-success">
-                            <i data-lucide="calendar-days" class="w-6 h-6"></i>
-                        </div>
-                        <div class="stat-title text-xs">Tage</div>
-                        <div class="stat-value text-lg">${appStats.totalDays}</div>
-                    </div>
-                    <div class="stat bg-base-200 rounded-lg p-3">
-                        <div class="stat-figure text-warning">
-                            <i data-lucide="target" class="w-6 h-6"></i>
-                        </div>
-                        <div class="stat-title text-xs">Ziele</div>
-                        <div class="stat-value text-lg">${appStats.totalGoals}</div>
-                    </div>
-                </div>
+    const fields = this.getCsvFields();
+    const mapping = CsvTransfer.suggestMapping(parsed.headers, fields);
+    const dateColumn = mapping.indexOf('date');
+    const detected = CsvTransfer.detectDateFormat(dateColumn >= 0 ? parsed.rows.map(row => row[dateColumn]) : []);
+
+    this.csvImport = {
+        file,
+        text,
+        parsed,
+        fields,
+        mapping,
+        dateFormat: detected.format || 'iso',
+        ambiguousDate: detected.ambiguous,
+        // Excel-Dateien mit Semikolon nutzen das Dezimalkomma
+        decimal: parsed.delimiter === ';' ? ',' : '.',
+        existing: null
+    };
 
-                <!-- Detaillierte Speicher-Aufschlüsselung -->
-                <div class="card bg-base-200 mb-6">
-                    <div class="card-body">
-                        <h4 class="card-title text-lg mb-4 flex items-center gap-2">
-                            <i data-lucide="pie-chart" class="w-5 h-5"></i>
-                            Speicher-Aufschlüsselung
-                        </h4>
-                        
-                        <div class="space-y-4">
-                            <!-- Gesundheitsdaten -->
-                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
-                                <div class="flex items-center gap-3">
-                                    <div class="w-3 h-3 bg-primary rounded-full"></div>
-                                    <div>
-                                        <div class="font-medium">Gesundheitsdaten</div>
-                                        <div class="text-xs text-base-content/70">${appStats.totalEntries} Einträge</div>
-                                    </div>
-                                </div>
-                                <div class="text-right">
-                                    <div class="font-bold">${appStats.healthDataSize}</div>
-                                    <div class="text-xs text-base-content/70">${storageDetails.healthDataPercentage}%</div>
-                                </div>
-                            </div>
+    if (!delimiter) {
+        const key = parsed.delimiter === '\t' ? 'tab' : parsed.delimiter;
+        modal.querySelector('#csv-import-delimiter').value = key;
+    }
 
-                            <!-- Ziele & Einstellungen -->
-                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
-                                <div class="flex items-center gap-3">
-                                    <div class="w-3 h-3 bg-secondary rounded-full"></div>
-                                    <div>
-                                        <div class="font-medium">Ziele & Einstellungen</div>
-                                        <div class="text-xs text-base-content/70">Konfiguration & Präferenzen</div>
-                                    </div>
-                                </div>
-                                <div class="text-right">
-                                    <div class="font-bold">${appStats.goalsSize}</div>
-                                    <div class="text-xs text-base-content/70">${storageDetails.goalsPercentage}%</div>
-                                </div>
-                            </div>
+    this.renderCsvImportMapping();
+    await this.updateCsvImportPreview();
+}
 
-                            <!-- App-Einstellungen -->
-                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
-                                <div class="flex items-center gap-3">
-                                    <div class="w-3 h-3 bg-accent rounded-full"></div>
-                                    <div>
-                                        <div class="font-medium">App-Einstellungen</div>
-                                        <div class="text-xs text-base-content/70">Theme, Notifications, etc.</div>
-                                    </div>
-                                </div>
-                                <div class="text-right">
-                                    <div class="font-bold">${appStats.settingsSize}</div>
-                                    <div class="text-xs text-base-content/70">${storageDetails.settingsPercentage}%</div>
-                                </div>
-                            </div>
+renderCsvImportMapping() {
+    const container = document.getElementById('csv-import-mapping');
+    const state = this.csvImport;
+    if (!container || !state) return;
 
-                            <!-- Cache & Temporäre Daten -->
-                            <div class="flex items-center justify-between p-3 bg-base-100 rounded-lg">
-                                <div class="flex items-center gap-3">
-                                    <div class="w-3 h-3 bg-info rounded-full"></div>
-                                    <div>
-                                        <div class="font-medium">Cache & Temporäre Daten</div>
-                                        <div class="text-xs text-base-content/70">Browser-Cache, Bilder, etc.</div>
-                                    </div>
-                                </div>
-                                <div class="text-right">
-                                    <div class="font-bold">${appStats.cacheSize}</div>
-                                    <div class="text-xs text-base-content/70">${storageDetails.cachePercentage}%</div>
-                                </div>
-                            </div>
-                        </div>
+    const sample = state.parsed.rows[0] || [];
+    const options = [
+        ['', 'Ignorieren'], ['date', 'Datum'], ['time', 'Uhrzeit'],
+        ...state.fields.map(field => [field.key, this.getCsvHeader(field)])
+    ];
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center justify-between gap-2 mb-2">
+            <h4 class="font-semibold">Spalten zuordnen</h4>
+            <label class="flex items-center gap-2">
+                <span class="label-text">Datumsformat</span>
+                <select id="csv-import-date-format" class="select select-bordered select-sm">
+                    ${CsvTransfer.DATE_FORMATS.map(format => `
+                        <option value="${format.key}" ${format.key === state.dateFormat ? 'selected' : ''}>${format.label}</option>
+                    `).join('')}
+                </select>
+            </label>
+        </div>
+        ${state.ambiguousDate ? `
+            <div class="alert alert-warning text-sm py-2 mb-2">
+                <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+                <span>Tag und Monat sind nicht eindeutig - bitte das Datumsformat prüfen.</span>
+            </div>
+        ` : ''}
+        <div class="overflow-x-auto max-h-64 overflow-y-auto">
+            <table class="table table-xs">
+                <thead><tr><th>Spalte</th><th>Beispiel</th><th>Zuordnung</th></tr></thead>
+                <tbody>
+                    ${state.parsed.headers.map((header, column) => `
+                        <tr>
+                            <td class="font-medium">${this.escapeHTML(header)}</td>
+                            <td class="opacity-70 max-w-[10rem] truncate">${this.escapeHTML(sample[column] ?? '')}</td>
+                            <td>
+                                <select class="select select-bordered select-xs w-full" data-column="${column}">
+                                    ${options.map(([key, label]) => `
+                                        <option value="${this.escapeHTML(key)}" ${state.mapping[column] === key ? 'selected' : ''}>${this.escapeHTML(label)}</option>
+                                    `).join('')}
+                                </select>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+
+    container.querySelector('#csv-import-date-format').addEventListener('change', (event) => {
+        state.dateFormat = event.target.value;
+        state.ambiguousDate = false;
+        this.updateCsvImportPreview();
+    });
+    container.querySelectorAll('select[data-column]').forEach(select => {
+        select.addEventListener('change', () => {
+            const column = Number(select.dataset.column);
+            // Jedes Feld nur einer Spalte zuordnen - die bisherige Spalte wird ignoriert
+            if (select.value) {
+                state.mapping = state.mapping.map(key => (key === select.value ? '' : key));
+            }
+            state.mapping[column] = select.value;
+            this.renderCsvImportMapping();
+            this.updateCsvImportPreview();
+        });
+    });
+
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+    }
+}
+
+/**
+ * Fehlermeldung einer CSV-Zelle auf Deutsch
+ */
+getCsvErrorMessage(error, fields) {
+    const labels = { date: 'Datum', time: 'Uhrzeit' };
+    const label = labels[error.field] || fields.find(field => field.key === error.field)?.label || error.field;
+    const value = error.value ? `„${error.value}"` : '';
+    const messages = {
+        REQUIRED: `${label} fehlt`,
+        INVALID_DATE: `${label}: ${value} ist kein gültiges Datum`,
+        INVALID_TIME: `${label}: ${value} ist keine gültige Uhrzeit`,
+        INVALID_NUMBER: `${label}: ${value} ist keine Zahl`,
+        INVALID_VALUE: `${label}: ${value} ist kein gültiger Wert`
+    };
+    return messages[error.code] || error.message;
+}
 
-                        <!-- Visueller Progress Bar -->
-                        <div class="mt-4">
-                            <div class="flex justify-between text-xs mb-2">
-                                <span>Speichernutzung</span>
-                                <span>${storageDetails.totalSizeBytes} von ${storageDetails.availableStorage} verfügbar</span>
-                            </div>
-                            <div class="progress progress-primary">
-                                <div class="progress-bar" style="width: ${storageDetails.usagePercentage}%"></div>
-                            </div>
-                        </div>
-                    </div>
-                </div>
+/**
+ * Zeilen lesen und wie ein Formular prüfen - Duplikate (gleicher Tag, gleiche Werte, gleiche Uhrzeit
+ * falls angegeben, Tageszeilen auch gegen den Tageswert) gegen vorhandene Einträge und frühere Zeilen der Datei
+ * @returns {Array<{ line, entry, time, errors: string[], duplicate: boolean }>}
+ */
+async getCsvImportRows() {
+    const state = this.csvImport;
+    const rows = CsvTransfer.readRows(state.parsed.rows, {
+        mapping: state.mapping,
+        fields: state.fields,
+        dateFormat: state.dateFormat,
+        decimal: state.decimal,
+        timezone: this.getTimezone()
+    });
 
-                <!-- Speicher-Optimierung Tipps -->
-                <div class="alert alert-info mb-4">
-                    <i data-lucide="lightbulb" class="w-5 h-5"></i>
-                    <div>
-                        <h4 class="font-semibold">Optimierungstipps</h4>
-                        <ul class="text-sm mt-1 space-y-1">
-                            ${this.getStorageOptimizationTips(storageDetails)}
-                        </ul>
-                    </div>
-                </div>
+    const dates = rows.map(row => row.date).filter(Boolean).sort();
+    const from = dates[0];
+    const to = dates[dates.length - 1];
+    if (dates.length > 0 && (!state.existing || from < state.existing.from || to > state.existing.to)) {
+        state.existing = { from, to, entries: await this.getEntriesInRange(from, to) };
+    }
 
-                <!-- Action Buttons -->
-                <div class="modal-action">
-                    <div class="flex flex-wrap gap-2">
-                        
-                        <!-- Export Data Button -->
-                        <button class="btn btn-outline gap-2" onclick="healthTracker?.exportAppData?.(); this.closest('.modal').remove();">
-                            <i data-lucide="download" class="w-4 h-4"></i>
-                            Daten exportieren
-                        </button>
-                        
-                        <!-- Data Cleanup Button -->
-                        <button class="btn btn-outline btn-secondary gap-2" onclick="healthTracker?.showDataCleanup?.(); this.closest('.modal').remove();">
-                            <i data-lucide="broom" class="w-4 h-4"></i>
-                            Daten bereinigen
-                        </button>
-                        
-                        <!-- Close Button -->
-                        <button class="btn btn-primary" onclick="this.closest('.modal').remove()">
-                            <i data-lucide="x" class="w-4 h-4"></i>
-                            Schließen
-                        </button>
-                    </div>
-                </div>
-            </div>
-            <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
-        `;
-        
-        document.body.appendChild(modal);
-        
-        // Icons initialisieren
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
+    const byDay = new Map();
+    (state.existing?.entries || []).forEach(entry => {
+        const dateKey = this.getDateKey(entry.date);
+        if (!byDay.has(dateKey)) byDay.set(dateKey, []);
+        byDay.get(dateKey).push(entry);
+    });
+
+    return rows.map(row => {
+        const entry = { date: row.date, loggedAt: row.date && row.time ? this.getLoggedAt(row.date, row.time) : null };
+        Object.entries(row.values).forEach(([key, value]) => {
+            if (key.startsWith('custom.')) entry.custom = { ...entry.custom, [key.slice(7)]: value };
+            else entry[key] = value;
+        });
+        const sleepHours = SleepLog.getSleepHours(entry.bedtime, entry.wakeTime);
+        if (sleepHours !== null) entry.sleepHours = sleepHours;
+
+        const errors = row.errors.map(error => this.getCsvErrorMessage(error, state.fields));
+        if (errors.length === 0) {
+            const validation = this.validateFormData(entry);
+            if (!validation.isValid) errors.push(...validation.errors.map(error => error.message));
         }
-        
-        // Haptic Feedback
-        if (navigator.vibrate && localStorage.getItem('hapticFeedback') === 'true') {
-            navigator.vibrate(10);
+        if (errors.length > 0) return { line: row.line, entry, time: row.time, errors, duplicate: false };
+
+        const sameDay = byDay.get(entry.date) || [];
+        const duplicate = CsvTransfer.isDuplicateRow(entry, sameDay, {
+            time: row.time,
+            getTimeOfDay: other => this.getLoggedTimeOfDay(other),
+            definitions: this.metricDefinitions
+        });
+        if (!duplicate) byDay.set(entry.date, [...sameDay, entry]);
+        return { line: row.line, entry, time: row.time, errors, duplicate };
+    });
+}
+
+async updateCsvImportPreview() {
+    const container = document.getElementById('csv-import-preview');
+    const submit = document.getElementById('csv-import-submit');
+    const state = this.csvImport;
+    if (!container || !state) return;
+
+    const rows = await this.getCsvImportRows();
+    const invalid = rows.filter(row => row.errors.length > 0);
+    const duplicates = rows.filter(row => row.duplicate);
+    const valid = rows.length - invalid.length - duplicates.length;
+    // Fehlerhafte Zeilen zuerst, damit sie in der Vorschau nicht untergehen
+    const preview = [...invalid, ...rows.filter(row => row.errors.length === 0)].slice(0, 20);
+    const mapped = state.fields.filter(field => state.mapping.includes(field.key));
+
+    const formatValue = (entry, field) => {
+        const value = this.getCsvValue(entry, field);
+        if (value === null) return '';
+        return typeof value === 'number' ? value.toLocaleString('de-DE') : this.escapeHTML(value);
+    };
+
+    container.innerHTML = `
+        <div class="flex flex-wrap items-center gap-2 mb-2">
+            <h4 class="font-semibold mr-2">Vorschau</h4>
+            <span class="badge badge-success">${valid} neu</span>
+            <span class="badge badge-ghost">${duplicates.length} bereits vorhanden</span>
+            <span class="badge ${invalid.length ? 'badge-error' : 'badge-ghost'}">${invalid.length} fehlerhaft</span>
+        </div>
+        ${state.mapping.includes('date') ? '' : `
+            <div class="alert alert-warning text-sm py-2 mb-2">
+                <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+                <span>Bitte eine Spalte als Datum zuordnen.</span>
+            </div>
+        `}
+        <div class="overflow-x-auto max-h-72 overflow-y-auto">
+            <table class="table table-xs">
+                <thead>
+                    <tr>
+                        <th>Zeile</th><th>Datum</th><th>Uhrzeit</th>
+                        ${mapped.map(field => `<th>${this.escapeHTML(field.label)}</th>`).join('')}
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${preview.map(row => `
+                        <tr class="${row.errors.length ? 'bg-error/10' : row.duplicate ? 'opacity-50' : ''}">
+                            <td>${row.line}</td>
+                            <td>${row.entry.date ? new Date(`${row.entry.date}T12:00:00`).toLocaleDateString('de-DE') : '-'}</td>
+                            <td>${row.time || ''}</td>
+                            ${mapped.map(field => `<td>${formatValue(row.entry, field)}</td>`).join('')}
+                            <td class="text-xs">
+                                ${row.errors.length
+                                    ? `<span class="text-error">${row.errors.map(error => this.escapeHTML(error)).join('<br>')}</span>`
+                                    : row.duplicate ? 'Bereits vorhanden' : '<span class="text-success">OK</span>'}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${rows.length > preview.length ? `<p class="text-xs opacity-60 mt-1">${preview.length} von ${rows.length} Zeilen angezeigt</p>` : ''}
+    `;
+
+    if (submit) {
+        submit.disabled = valid === 0;
+        submit.querySelector('#csv-import-submit-label').textContent = valid > 0 ? `${valid} Einträge importieren` : 'Importieren';
+    }
+
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
+    }
+}
+
+/**
+ * Gültige, neue Zeilen als Einträge übernehmen - sie werden wie erfasste Einträge synchronisiert
+ */
+async importCsv() {
+    const modal = document.querySelector('.csv-import-modal');
+    const submit = modal?.querySelector('#csv-import-submit');
+    if (!this.csvImport) return;
+
+    // Doppelte Klicks würden dieselben Zeilen zweimal übernehmen
+    if (submit) submit.disabled = true;
+    try {
+        const rows = await this.getCsvImportRows();
+        const entries = rows
+            .filter(row => row.errors.length === 0 && !row.duplicate)
+            .map(row => ({ ...row.entry, _createdAt: new Date().toISOString() }));
+        if (entries.length === 0) {
+            this.showToast('⚠️ Keine neuen Einträge zum Importieren', 'warning');
+            await this.updateCsvImportPreview();
+            return;
         }
 
+        await this.repository.saveEntries(entries);
+        await this.refreshLocalSnapshot();
+        await this.syncEntryChange();
+        await this.refreshAllComponents();
+
+        const skipped = rows.length - entries.length;
+        this.showToast(`📥 ${entries.length} Einträge importiert${skipped ? `, ${skipped} übersprungen` : ''}`, 'success');
+        console.log(`📥 CSV-Import: ${entries.length} Einträge, ${skipped} übersprungen`);
+        this.csvImport = null;
+        modal?.remove();
     } catch (error) {
-        console.error('❌ Fehler beim Anzeigen der Speichernutzung:', error);
-        this.showToast('❌ Speicherverbrauch konnte nicht geladen werden', 'error');
+        console.error('❌ CSV-Import-Fehler:', error);
+        this.showToast('❌ Fehler beim CSV-Import', 'error');
+        if (submit) submit.disabled = false;
     }
 }
+/**
+ * Umgang mit Tagen, an denen eine Metrik schon erfasst ist
+ */
+getDailyImportPolicies() {
+    return [
+        { key: 'keep', label: 'Vorhandene behalten', description: 'Bereits erfasste Werte bleiben, der Import ergänzt nur fehlende' },
+        { key: 'import', label: 'Import bevorzugen', description: 'Importierte Werte ersetzen die erfassten Werte dieser Tage' },
+        { key: 'sum', label: 'Addieren', description: 'Schritte, Wasser und andere Tagessummen zählen zusätzlich, übrige Werte bleiben' }
+    ];
+}
 
 /**
- * Erweiterte Speicher-Details berechnen
+ * Tageswerte aus Gesundheits-Apps als ein Eintrag pro Tag. Werte, die den Formularregeln
+ * widersprechen, entfallen. Ist eine Metrik an einem Tag schon erfasst, entscheidet die Strategie:
+ * - keep: erfasster Wert bleibt
+ * - import: erfasster Wert wird in den vorhandenen Einträgen geleert (leere Einträge entfallen)
+ * - sum: Tagessummen werden addiert, übrige Werte bleiben
+ * @param {Array<{ date, values }>} days
+ * @param {'keep'|'import'|'sum'} [policy]
+ * @returns {Promise<{ entries, update: Array<{ entry, fields }>, kept, replaced, summed, invalid }>}
+ *          kept/replaced/summed/invalid: Anzahl Tageswerte
  */
-getStorageDetails() {
+async getDailyImportPlan(days, policy = 'keep') {
+    // Schlafzeiten und -dauer nur gemeinsam übernehmen
+    const sleepFields = ['bedtime', 'wakeTime', 'sleepHours'];
+    const getGroup = key => (sleepFields.includes(key) ? sleepFields : [key]);
+    const isAdditive = key => ['sum', 'cappedSum'].includes(MetricRegistry.METRICS[key]?.aggregation);
+    const plan = { entries: [], update: [], kept: 0, replaced: 0, summed: 0, invalid: 0 };
+    if (days.length === 0) return plan;
+
+    const existing = new Map();
+    (await this.getEntriesInRange(days[0].date, days[days.length - 1].date)).forEach(entry => {
+        const dateKey = this.getDateKey(entry.date);
+        existing.set(dateKey, [...(existing.get(dateKey) || []), entry]);
+    });
+    const cleared = new Map();
+
+    days.forEach(({ date, values }) => {
+        const entry = { date, loggedAt: null, ...values };
+        const validation = this.validateFormData(entry);
+        if (!validation.isValid) {
+            validation.errors.forEach(error => getGroup(error.field).forEach(field => {
+                if (field in entry) {
+                    delete entry[field];
+                    plan.invalid++;
+                }
+            }));
+        }
+
+        const sameDay = existing.get(date) || [];
+        Object.keys(entry).filter(key => key in values).forEach(key => {
+            const group = getGroup(key);
+            const owners = sameDay.filter(other => group.some(field => other[field] !== null && other[field] !== undefined && other[field] !== ''));
+            if (owners.length === 0) return;
+
+            if (policy === 'import') {
+                owners.forEach(other => {
+                    const fields = cleared.get(other) || new Set();
+                    group.forEach(field => fields.add(field));
+                    cleared.set(other, fields);
+                });
+                plan.replaced++;
+            } else if (policy === 'sum' && isAdditive(key)) {
+                plan.summed++;
+            } else {
+                delete entry[key];
+                plan.kept++;
+            }
+        });
+
+        const hasValues = Object.keys(entry).some(key => key !== 'date' && key !== 'loggedAt');
+        if (hasValues && this.validateFormData(entry).isValid) plan.entries.push(entry);
+    });
+
+    plan.update = [...cleared.entries()].map(([entry, fields]) => ({ entry, fields: [...fields] }));
+    return plan;
+}
+
+/**
+ * Tageseinträge speichern und ersetzte Werte leeren - alles wird wie erfasste Einträge synchronisiert
+ * @returns {Promise<boolean>}
+ */
+async importDailyEntries(plan, source) {
     try {
-        const appStats = this.getAppStats();
-        
-        // Parse sizes zurück zu Bytes für Berechnungen
-        const parseSize = (sizeStr) => {
-            const num = parseFloat(sizeStr);
-            if (sizeStr.includes('MB')) return num * 1024 * 1024;
-            if (sizeStr.includes('KB')) return num * 1024;
-            return num;
-        };
+        const createdAt = new Date().toISOString();
+        await this.repository.saveEntries(plan.entries.map(entry => ({ ...entry, _createdAt: createdAt })));
 
-        const healthDataBytes = parseSize(appStats.healthDataSize);
-        const goalsBytes = parseSize(appStats.goalsSize);
-        const settingsBytes = parseSize(appStats.settingsSize);
-        const cacheBytes = parseSize(appStats.cacheSize);
-        const totalBytes = healthDataBytes + goalsBytes + settingsBytes + cacheBytes;
+        for (const { entry, fields } of plan.update) {
+            const localEntry = await this.findLocalEntry(entry) || await this.repository.putEntry({ ...entry, _synced: true });
+            const updated = { ...localEntry, ...Object.fromEntries(fields.map(field => [field, null])) };
+            const { date, loggedAt, custom, ...rest } = this.pickEditableFields(updated);
+            const hasValues = Object.values(rest).some(value => value !== null && value !== '') ||
+                Object.keys(custom || {}).length > 0;
 
-        // Prozentuale Verteilung berechnen
-        const calculatePercentage = (value) => totalBytes > 0 ? Math.round((value / totalBytes) * 100) : 0;
+            // Einträge ohne verbleibende Werte entfallen ganz
+            if (hasValues) await this.repository.saveEntry({ ...updated, _updatedAt: createdAt }, 'update');
+            else await this.repository.removeEntry(localEntry._localId);
+        }
 
-        // Geschätzte verfügbare Storage (localStorage Limit ~5-10MB)
-        const estimatedLimit = 5 * 1024 * 1024; // 5MB
-        const usagePercentage = Math.min(100, Math.round((totalBytes / estimatedLimit) * 100));
+        await this.refreshLocalSnapshot();
+        await this.syncEntryChange();
+        await this.refreshAllComponents();
 
-        return {
-            totalSizeBytes: this.formatBytes(totalBytes),
-            availableStorage: this.formatBytes(estimatedLimit),
-            usagePercentage: usagePercentage,
-            healthDataPercentage: calculatePercentage(healthDataBytes),
-            goalsPercentage: calculatePercentage(goalsBytes),
-            settingsPercentage: calculatePercentage(settingsBytes),
-            cachePercentage: calculatePercentage(cacheBytes),
-            isHighUsage: usagePercentage > 80,
-            canOptimize: totalBytes > 1024 * 100 // Mehr als 100KB
-        };
+        this.showToast(`📥 ${plan.entries.length} Tage aus ${source} importiert`, 'success', 4000, {
+            subtitle: plan.update.length ? `${plan.update.length} vorhandene Einträge angepasst` : undefined
+        });
+        console.log(`📥 ${source}-Import: ${plan.entries.length} Tage, ${plan.update.length} Einträge angepasst`);
+        return true;
     } catch (error) {
-        console.error('❌ Fehler bei Speicher-Detail-Berechnung:', error);
-        return {
-            totalSizeBytes: '0 B',
-            availableStorage: '5 MB',
-            usagePercentage: 0,
-            healthDataPercentage: 0,
-            goalsPercentage: 0,
-            settingsPercentage: 0,
-            cachePercentage: 0,
-            isHighUsage: false,
-            canOptimize: false
-        };
+        console.error(`❌ ${source}-Import-Fehler:`, error);
+        this.showToast(`❌ Fehler beim Import aus ${source}`, 'error');
+        return false;
     }
 }
 
 /**
- * Generiere kontextuelle Optimierungstipps
+ * Auswahl der Strategie für bereits erfasste Tage - Beschreibung folgt der Auswahl
  */
-getStorageOptimizationTips(storageDetails) {
-    const tips = [];
-    
-    if (storageDetails.isHighUsage) {
-        tips.push('⚠️ Hohe Speichernutzung - erwäge Datenbereinigung');
-    }
-    
-    if (storageDetails.healthDataPercentage > 70) {
-        tips.push('📊 Viele Gesundheitsdaten - exportiere ältere Einträge');
+renderDailyImportPolicy(id) {
+    const policies = this.getDailyImportPolicies();
+    return `
+        <label class="flex flex-wrap items-center gap-2 mt-3">
+            <span class="label-text">Bereits erfasste Tage</span>
+            <select id="${id}" class="select select-bordered select-sm"
+                onchange="document.getElementById('${id}-description').textContent = this.selectedOptions[0].dataset.description">
+                ${policies.map(policy => `
+                    <option value="${policy.key}" data-description="${this.escapeHTML(policy.description)}">${policy.label}</option>
+                `).join('')}
+            </select>
+        </label>
+        <p id="${id}-description" class="text-xs opacity-70 mt-1">${this.escapeHTML(policies[0].description)}</p>
+    `;
+}
+
+/**
+ * Zusammenfassung eines Tageswerte-Imports
+ * @param {Object} summary - { records, days, from, to, metrics: { key: Tage } }
+ * @param {Array<[string, number]>} skipped - nicht übernommene Typen oder Dateien mit Anzahl
+ */
+renderDailyImportSummary(container, { summary, plan, skipped, skippedLabel }) {
+    const formatDate = dateKey => new Date(`${dateKey}T12:00:00`).toLocaleDateString('de-DE');
+    const metrics = Object.keys(summary.metrics)
+        .filter(key => MetricRegistry.METRICS[key])
+        .map(key => ({
+            label: MetricRegistry.METRICS[key].label,
+            days: summary.metrics[key],
+            imported: plan.entries.filter(entry => key in entry).length
+        }));
+    const notes = [
+        plan.kept && `${plan.kept} Tageswerte bereits erfasst - sie bleiben unverändert.`,
+        plan.replaced && `${plan.replaced} erfasste Tageswerte werden durch den Import ersetzt.`,
+        plan.summed && `${plan.summed} Tagessummen werden zu den erfassten Werten addiert.`,
+        plan.invalid && `${plan.invalid} ungültige Tageswerte werden übersprungen.`
+    ].filter(Boolean);
+
+    container.innerHTML = summary.days === 0 ? `
+        <div class="alert alert-warning text-sm py-2">
+            <i data-lucide="alert-triangle" class="w-4 h-4"></i>
+            <span>Der Export enthält keine Werte, die die App übernehmen kann.</span>
+        </div>
+    ` : `
+        <div class="stats stats-vertical sm:stats-horizontal shadow w-full mb-3">
+            <div class="stat py-2">
+                <div class="stat-title">Zeitraum</div>
+                <div class="stat-value text-base">${formatDate(summary.from)} – ${formatDate(summary.to)}</div>
+            </div>
+            <div class="stat py-2">
+                <div class="stat-title">Tage mit Werten</div>
+                <div class="stat-value text-base">${summary.days.toLocaleString('de-DE')}</div>
+            </div>
+            <div class="stat py-2">
+                <div class="stat-title">Datensätze</div>
+                <div class="stat-value text-base">${summary.records.toLocaleString('de-DE')}</div>
+            </div>
+        </div>
+        <table class="table table-xs">
+            <thead><tr><th>Metrik</th><th>Tage im Export</th><th>Werden übernommen</th></tr></thead>
+            <tbody>
+                ${metrics.map(metric => `
+                    <tr><td>${this.escapeHTML(metric.label)}</td><td>${metric.days}</td><td>${metric.imported}</td></tr>
+                `).join('')}
+            </tbody>
+        </table>
+        ${notes.length ? `<p class="text-xs opacity-70 mt-2">${notes.join(' ')}</p>` : ''}
+    `;
+    if (skipped.length > 0) {
+        container.insertAdjacentHTML('beforeend', `
+            <details class="text-xs opacity-70 mt-2">
+                <summary class="cursor-pointer">${skipped.length} ${skippedLabel}</summary>
+                <p class="mt-1">${skipped.map(([label, count]) => `${this.escapeHTML(label)} (${count.toLocaleString('de-DE')})`).join(', ')}</p>
+            </details>
+        `);
     }
-    
-    if (storageDetails.cachePercentage > 30) {
-        tips.push('🗄️ Cache könnte geleert werden für mehr Speicherplatz');
+
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
     }
-    
-    if (tips.length === 0) {
-        tips.push('✅ Speichernutzung ist optimal');
-        tips.push('💡 Regelmäßige Datenexporte empfohlen für Backup');
+}
+
+getAppleHealthErrorMessage(code) {
+    const messages = {
+        UNSUPPORTED_FILE: 'Bitte export.zip oder export.xml aus der Health-App wählen',
+        NO_EXPORT_XML: 'Das Archiv enthält keine export.xml',
+        INVALID_ZIP: 'Die ZIP-Datei ist beschädigt',
+        UNSUPPORTED_ZIP: 'Dieses ZIP-Format wird nicht unterstützt - bitte entpacken und export.xml wählen'
+    };
+    return messages[code] || 'Die Datei konnte nicht gelesen werden';
+}
+
+/**
+ * Apple-Health-Import: export.zip wird im Worker gelesen, danach Zusammenfassung und Übernahme
+ */
+showAppleHealthImport() {
+    document.querySelector('.apple-health-modal')?.remove();
+    this.appleHealthImport = null;
+
+    const modal = document.createElement('div');
+    modal.className = 'modal modal-open apple-health-modal';
+    modal.innerHTML = `
+        <div class="modal-box max-w-2xl">
+            <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
+                <i data-lucide="apple" class="w-5 h-5 text-primary"></i>
+                Apple Health importieren
+            </h3>
+
+            <p class="text-sm opacity-70 mb-3">
+                In der Health-App auf dem iPhone: Profilbild → „Alle Gesundheitsdaten exportieren“.
+                Die Datei export.zip (oder die darin enthaltene export.xml) hier auswählen - sie wird nur auf diesem Gerät gelesen.
+            </p>
+            <input type="file" id="apple-health-file" class="file-input file-input-bordered file-input-sm w-full" accept=".zip,.xml">
+            ${this.renderDailyImportPolicy('apple-health-policy')}
+
+            <div id="apple-health-progress" class="hidden mt-4">
+                <progress class="progress progress-primary w-full" value="0" max="100"></progress>
+                <p class="text-xs opacity-70 mt-1" id="apple-health-progress-label">Datei wird gelesen...</p>
+            </div>
+            <div id="apple-health-summary" class="mt-4"></div>
+
+            <div class="modal-action">
+                <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                <button id="apple-health-submit" class="btn btn-primary" disabled>
+                    <i data-lucide="upload" class="w-4 h-4"></i>
+                    <span id="apple-health-submit-label">Importieren</span>
+                </button>
+            </div>
+        </div>
+        <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
+    `;
+
+    document.body.appendChild(modal);
+    modal.querySelector('#apple-health-file').addEventListener('change', (event) => {
+        if (event.target.files[0]) this.readAppleHealthExport(event.target.files[0]);
+    });
+    modal.querySelector('#apple-health-policy').addEventListener('change', () => this.updateAppleHealthPlan());
+    modal.querySelector('#apple-health-submit').addEventListener('click', () => this.importAppleHealth());
+
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
     }
-    
-    return tips.map(tip => `<li>${tip}</li>`).join('');
 }
 
 /**
- * Erweiterte Cache-Bereinigung
+ * Export im Worker lesen - bricht ab, sobald der Dialog geschlossen wird
  */
-async clearAppCache() {
-    try {
-        console.log('🧹 Starte Cache-Bereinigung...');
-        
-        // Temporäre localStorage Keys entfernen
-        const keysToRemove = [];
-        for (let i = 0; i < localStorage.length; i++) {
-            const key = localStorage.key(i);
-            if (key && (
-                key.startsWith('temp_') ||
-                key.startsWith('cache_') ||
-                key.startsWith('lastSync_') ||
-                key.includes('_cached')
-            )) {
-                keysToRemove.push(key);
-            }
+readAppleHealthExport(file) {
+    const modal = document.querySelector('.apple-health-modal');
+    const progress = modal.querySelector('#apple-health-progress');
+    const summary = modal.querySelector('#apple-health-summary');
+    const submit = modal.querySelector('#apple-health-submit');
+
+    this.appleHealthWorker?.terminate();
+    this.appleHealthImport = null;
+    submit.disabled = true;
+    summary.innerHTML = '';
+    progress.classList.remove('hidden');
+    progress.querySelector('progress').removeAttribute('value');
+    progress.querySelector('#apple-health-progress-label').textContent = 'Datei wird gelesen...';
+
+    if (typeof Worker === 'undefined') {
+        progress.classList.add('hidden');
+        this.showToast('❌ Dieser Browser kann den Export nicht lesen', 'error');
+        return;
+    }
+
+    const worker = new Worker('/js/apple-health-worker.js');
+    this.appleHealthWorker = worker;
+    const finish = () => {
+        worker.terminate();
+        if (this.appleHealthWorker === worker) this.appleHealthWorker = null;
+    };
+
+    worker.onmessage = async (event) => {
+        const message = event.data;
+        if (!document.body.contains(modal)) {
+            finish();
+            return;
+        }
+
+        if (message.type === 'progress') {
+            const percent = Math.round(message.loaded / message.total * 100);
+            progress.querySelector('progress').value = percent;
+            progress.querySelector('#apple-health-progress-label').textContent =
+                `${percent} % gelesen · ${message.records.toLocaleString('de-DE')} Datensätze`;
+            return;
         }
-        
-        keysToRemove.forEach(key => localStorage.removeItem(key));
-        
-        // In-Memory Cache leeren
-        if (this.cache && typeof this.cache.clear === 'function') {
-            this.cache.clear();
+
+        finish();
+        progress.classList.add('hidden');
+        if (message.type === 'error') {
+            this.showToast(`❌ ${this.getAppleHealthErrorMessage(message.code)}`, 'error');
+            return;
         }
-        
-        console.log(`✅ Cache bereinigt - ${keysToRemove.length} Einträge entfernt`);
-        
-        return keysToRemove.length;
-        
+
+        this.appleHealthImport = { summary: message.summary, days: message.days, plan: null };
+        await this.updateAppleHealthPlan();
+    };
+    worker.onerror = (error) => {
+        console.error('❌ Apple-Health-Worker-Fehler:', error);
+        finish();
+        progress.classList.add('hidden');
+        this.showToast(`❌ ${this.getAppleHealthErrorMessage()}`, 'error');
+    };
+    worker.postMessage({ file });
+}
+
+/**
+ * Übernahme mit der gewählten Strategie planen und zusammenfassen
+ */
+async updateAppleHealthPlan() {
+    const state = this.appleHealthImport;
+    const container = document.getElementById('apple-health-summary');
+    const submit = document.getElementById('apple-health-submit');
+    if (!state || !container) return;
+
+    try {
+        state.plan = await this.getDailyImportPlan(state.days, document.getElementById('apple-health-policy').value);
     } catch (error) {
-        console.error('❌ Fehler beim Cache-Leeren:', error);
-        return 0;
+        console.error('❌ Apple-Health-Vorschau fehlgeschlagen:', error);
+        this.showToast('❌ Fehler beim Auswerten des Exports', 'error');
+        return;
+    }
+
+    this.renderDailyImportSummary(container, {
+        summary: state.summary,
+        plan: state.plan,
+        skipped: Object.entries(state.summary.skipped)
+            .sort((a, b) => b[1] - a[1])
+            .map(([type, count]) => [type.replace(/^HK(Quantity|Category|Correlation|DataType)TypeIdentifier/, ''), count]),
+        skippedLabel: 'Datentypen werden nicht übernommen'
+    });
+
+    if (submit) {
+        submit.disabled = state.plan.entries.length === 0;
+        submit.querySelector('#apple-health-submit-label').textContent =
+            state.plan.entries.length > 0 ? `${state.plan.entries.length} Tage importieren` : 'Importieren';
+    }
+}
+
+async importAppleHealth() {
+    const modal = document.querySelector('.apple-health-modal');
+    const submit = modal?.querySelector('#apple-health-submit');
+    const plan = this.appleHealthImport?.plan;
+    if (!plan || plan.entries.length === 0) return;
+
+    // Doppelte Klicks würden dieselben Tage zweimal übernehmen
+    if (submit) submit.disabled = true;
+    if (await this.importDailyEntries(plan, 'Apple Health')) {
+        this.appleHealthImport = null;
+        modal?.remove();
+    } else if (submit) {
+        submit.disabled = false;
     }
 }
 
 /**
- * Zeige Datenbereinigung-Dialog
+ * Google-Fit- und Fitbit-Import: Takeout-CSVs und Fitbit-JSON-Dateien (auch gemischt) auswählen
  */
-showDataCleanup() {
+showFitnessImport() {
+    document.querySelector('.fitness-import-modal')?.remove();
+    this.fitnessImport = null;
+
     const modal = document.createElement('div');
-    modal.className = 'modal modal-open';
+    modal.className = 'modal modal-open fitness-import-modal';
     modal.innerHTML = `
-        <div class="modal-box">
+        <div class="modal-box max-w-2xl">
             <h3 class="font-bold text-lg mb-4 flex items-center gap-2">
-                <i data-lucide="broom" class="w-5 h-5"></i>
-                Datenbereinigung
+                <i data-lucide="watch" class="w-5 h-5 text-primary"></i>
+                Google Fit / Fitbit importieren
             </h3>
-            <div class="space-y-4">
-                <div class="alert alert-warning">
-                    <i data-lucide="alert-triangle" class="w-5 h-5"></i>
-                    <div>
-                        <h4 class="font-semibold">Achtung</h4>
-                        <p class="text-sm">Diese Aktionen können nicht rückgängig gemacht werden. Exportiere wichtige Daten vorher.</p>
-                    </div>
-                </div>
-                
-                <div class="form-control">
-                    <label class="label">
-                        <span class="label-text">Alte Daten entfernen</span>
-                    </label>
-                    <select class="select select-bordered" id="cleanup-period">
-                        <option value="90">Älter als 90 Tage</option>
-                        <option value="180">Älter als 6 Monate</option>
-                        <option value="365">Älter als 1 Jahr</option>
-                    </select>
-                </div>
-                
-                <div class="form-control">
-                    <label class="cursor-pointer label">
-                        <span class="label-text">Cache & temporäre Daten</span>
-                        <input type="checkbox" class="checkbox" id="cleanup-cache" checked>
-                    </label>
-                </div>
-                
-                <div class="form-control">
-                    <label class="cursor-pointer label">
-                        <span class="label-text">Unvollständige Einträge</span>
-                        <input type="checkbox" class="checkbox" id="cleanup-incomplete">
-                    </label>
-                </div>
+
+            <div class="text-sm opacity-70 mb-3 space-y-1">
+                <p><strong>Google Fit:</strong> Aus Google Takeout („Fit“) die CSV-Dateien im Ordner „Daily activity metrics“ bzw. „Tägliche Aktivitätsmesswerte“.</p>
+                <p><strong>Fitbit:</strong> Aus dem Kontoexport die Dateien steps-*.json, sleep-*.json und weight-*.json.</p>
+                <p>Mehrere Dateien auf einmal wählen - übernommen werden Schritte, Schlaf und Gewicht.</p>
             </div>
-            
+            <input type="file" id="fitness-import-files" class="file-input file-input-bordered file-input-sm w-full" accept=".csv,.json" multiple>
+            <label class="flex flex-wrap items-center gap-2 mt-3">
+                <span class="label-text">Gewicht in Fitbit-Dateien</span>
+                <select id="fitness-import-weight-unit" class="select select-bordered select-sm">
+                    <option value="kg">Kilogramm (kg)</option>
+                    <option value="lb">Pfund (lb)</option>
+                </select>
+            </label>
+            ${this.renderDailyImportPolicy('fitness-import-policy')}
+
+            <div id="fitness-import-summary" class="mt-4"></div>
+
             <div class="modal-action">
-                <button class="btn btn-outline" onclick="this.closest('.modal').remove()">
-                    Abbrechen
-                </button>
-                <button class="btn btn-warning" onclick="healthTracker?.executeDataCleanup?.(); this.closest('.modal').remove();">
-                    <i data-lucide="trash-2" class="w-4 h-4"></i>
-                    Bereinigen
+                <button class="btn btn-ghost" onclick="this.closest('.modal').remove()">Abbrechen</button>
+                <button id="fitness-import-submit" class="btn btn-primary" disabled>
+                    <i data-lucide="upload" class="w-4 h-4"></i>
+                    <span id="fitness-import-submit-label">Importieren</span>
                 </button>
             </div>
         </div>
         <div class="modal-backdrop" onclick="this.closest('.modal').remove()"></div>
     `;
-    
+
     document.body.appendChild(modal);
-    
+    const reread = () => this.readFitnessFiles().catch(error => {
+        console.error('❌ Fitness-Export konnte nicht gelesen werden:', error);
+        this.showToast('❌ Dateien konnten nicht gelesen werden', 'error');
+    });
+    modal.querySelector('#fitness-import-files').addEventListener('change', reread);
+    modal.querySelector('#fitness-import-weight-unit').addEventListener('change', reread);
+    modal.querySelector('#fitness-import-policy').addEventListener('change', () => this.updateFitnessImportPlan());
+    modal.querySelector('#fitness-import-submit').addEventListener('click', () => this.importFitness());
+
     if (typeof lucide !== 'undefined') {
         lucide.createIcons();
     }
 }
 
-async exportData() {
+/**
+ * Gewählte Dateien nacheinander lesen - Fortschritt und Anzahl der Datensätze als Toast
+ */
+async readFitnessFiles() {
+    const modal = document.querySelector('.fitness-import-modal');
+    const files = [...(modal?.querySelector('#fitness-import-files').files || [])];
+    const submit = modal?.querySelector('#fitness-import-submit');
+    if (files.length === 0) return;
+
+    const options = { weightUnit: modal.querySelector('#fitness-import-weight-unit').value };
+    const results = [];
+    const unknown = [];
+    let records = 0;
+    let progressToast = null;
+    let reportedAt = 0;
+
+    this.fitnessImport = null;
+    submit.disabled = true;
+    modal.querySelector('#fitness-import-summary').innerHTML = '';
+
     try {
-        const data = {
-            healthData: JSON.parse(localStorage.getItem('healthData') || '{}'),
-            goals: JSON.parse(localStorage.getItem('goals') || '[]'),
-            exportDate: new Date().toISOString(),
-            version: '2.0'
-        };
+        for (const [index, file] of files.entries()) {
+            const result = FitnessImport.readFile(file.name, await file.text(), options);
+            if (result) {
+                results.push(result);
+                records += result.records;
+            } else {
+                unknown.push(file.name);
+            }
 
-        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `health-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
-        a.click();
-        URL.revokeObjectURL(url);
+            // Höchstens zweimal pro Sekunde - sonst stapeln sich die Toasts
+            if (Date.now() - reportedAt > 500 && index < files.length - 1) {
+                reportedAt = Date.now();
+                if (progressToast) this.removeToast(progressToast);
+                progressToast = this.showToast(`⏳ Datei ${index + 1} von ${files.length} gelesen`, 'info', 0, {
+                    subtitle: `${records.toLocaleString('de-DE')} Datensätze`,
+                    progress: false,
+                    sound: false
+                });
+            }
+        }
+    } finally {
+        if (progressToast) this.removeToast(progressToast);
+    }
 
-        this.showToast('📤 Daten erfolgreich exportiert', 'success');
-        console.log('📤 Datenexport erfolgreich');
-    } catch (error) {
-        console.error('❌ Export-Fehler:', error);
-        this.showToast('❌ Fehler beim Exportieren', 'error');
+    if (!document.body.contains(modal)) return;
+    if (results.length === 0) {
+        this.showToast('⚠️ Keine Google-Fit- oder Fitbit-Daten erkannt', 'warning');
+        return;
     }
+
+    const days = FitnessImport.mergeDays(results.map(result => result.days));
+    const metrics = {};
+    days.forEach(day => Object.keys(day.values).forEach(key => {
+        metrics[key] = (metrics[key] || 0) + 1;
+    }));
+    const sources = [...new Set(results.map(result => FitnessImport.SOURCES[result.source].label))].join(' und ');
+
+    this.fitnessImport = {
+        source: sources,
+        days,
+        unknown,
+        summary: {
+            records,
+            days: days.length,
+            from: days.length ? days[0].date : null,
+            to: days.length ? days[days.length - 1].date : null,
+            metrics
+        },
+        plan: null
+    };
+    this.showToast(`📄 ${records.toLocaleString('de-DE')} Datensätze aus ${results.length} Dateien gelesen`, 'success', 4000, {
+        subtitle: unknown.length ? `${unknown.length} Dateien nicht erkannt` : sources
+    });
+    await this.updateFitnessImportPlan();
 }
 
-async importData() {
+async updateFitnessImportPlan() {
+    const state = this.fitnessImport;
+    const container = document.getElementById('fitness-import-summary');
+    const submit = document.getElementById('fitness-import-submit');
+    if (!state || !container) return;
+
     try {
-        const fileInput = document.getElementById('import-file');
-        const file = fileInput.files[0];
-        
-        if (!file) {
-            this.showToast('⚠️ Bitte wähle eine Datei aus', 'warning');
-            return;
-        }
+        state.plan = await this.getDailyImportPlan(state.days, document.getElementById('fitness-import-policy').value);
+    } catch (error) {
+        console.error('❌ Fitness-Import-Vorschau fehlgeschlagen:', error);
+        this.showToast('❌ Fehler beim Auswerten der Dateien', 'error');
+        return;
+    }
 
-        const text = await file.text();
-        const data = JSON.parse(text);
+    this.renderDailyImportSummary(container, {
+        summary: state.summary,
+        plan: state.plan,
+        skipped: state.unknown.map(name => [name, 1]),
+        skippedLabel: 'Dateien nicht erkannt (andere Datentypen)'
+    });
 
-        if (data.healthData) localStorage.setItem('healthData', JSON.stringify(data.healthData));
-        if (data.goals) localStorage.setItem('goals', JSON.stringify(data.goals));
+    if (submit) {
+        submit.disabled = state.plan.entries.length === 0;
+        submit.querySelector('#fitness-import-submit-label').textContent =
+            state.plan.entries.length > 0 ? `${state.plan.entries.length} Tage importieren` : 'Importieren';
+    }
+}
 
-        this.showToast('📥 Daten erfolgreich importiert', 'success');
-        console.log('📥 Datenimport erfolgreich');
-        
-        // UI aktualisieren
-        setTimeout(() => location.reload(), 1500);
-    } catch (error) {
-        console.error('❌ Import-Fehler:', error);
-        this.showToast('❌ Fehler beim Importieren', 'error');
+async importFitness() {
+    const modal = document.querySelector('.fitness-import-modal');
+    const submit = modal?.querySelector('#fitness-import-submit');
+    const state = this.fitnessImport;
+    if (!state?.plan || state.plan.entries.length === 0) return;
+
+    // Doppelte Klicks würden dieselben Tage zweimal übernehmen
+    if (submit) submit.disabled = true;
+    if (await this.importDailyEntries(state.plan, state.source)) {
+        this.fitnessImport = null;
+        modal?.remove();
+    } else if (submit) {
+        submit.disabled = false;
     }
 }
 
@@ -6537,15 +12251,16 @@ resetApp() {
     if (typeof lucide !== 'undefined') lucide.createIcons();
 }
 
-confirmReset() {
+async confirmReset() {
     try {
         // Alle Charts zerstören
         if (this.analyticsEngine) {
             this.analyticsEngine.destroyAllCharts();
         }
         
-        // LocalStorage komplett leeren
+        // LocalStorage und IndexedDB komplett leeren
         localStorage.clear();
+        await this.repository.destroy();
         
         // Service Worker Cache leeren
         if ('caches' in window) {
@@ -6576,18 +12291,13 @@ async implementDataRetention() {
     cutoffDate.setDate(cutoffDate.getDate() - parseInt(retentionDays));
     
     try {
-        const healthData = JSON.parse(localStorage.getItem('healthData') || '{}');
-        let removedEntries = 0;
-        
-        Object.keys(healthData).forEach(date => {
-            if (new Date(date) < cutoffDate) {
-                delete healthData[date];
-                removedEntries++;
-            }
-        });
+        const cutoffKey = cutoffDate.toISOString().split('T')[0];
+        const removedEntries = await this.repository.purgeEntries(entry =>
+            entry.date && entry.date < cutoffKey
+        );
         
         if (removedEntries > 0) {
-            localStorage.setItem('healthData', JSON.stringify(healthData));
+            await this.refreshLocalSnapshot();
             console.log(`🗑️ ${removedEntries} alte Einträge automatisch gelöscht`);
         }
         
@@ -6767,39 +12477,25 @@ async executeDataCleanup() {
         }
         
         // Alte Daten bereinigen
-        const healthData = JSON.parse(localStorage.getItem('healthData') || '[]');
         const cutoffDate = new Date();
         cutoffDate.setDate(cutoffDate.getDate() - period);
+        const cutoffKey = cutoffDate.toISOString().split('T')[0];
         
-        const filteredData = healthData.filter(entry => {
-            if (!entry.date) return true;
-            
-            let entryDate;
-            if (typeof entry.date === 'string') {
-                entryDate = new Date(entry.date.split('T')[0]);
-            } else {
-                entryDate = new Date(entry.date);
-            }
-            
-            const shouldKeep = entryDate >= cutoffDate;
-            if (!shouldKeep) cleanedItems++;
-            return shouldKeep;
-        });
-        
-        localStorage.setItem('healthData', JSON.stringify(filteredData));
+        cleanedItems += await this.repository.purgeEntries(entry =>
+            entry.date && entry.date < cutoffKey
+        );
         
         // Unvollständige Einträge bereinigen
         if (cleanIncomplete) {
-            const completeEntries = filteredData.filter(entry => {
+            cleanedItems += await this.repository.purgeEntries(entry => {
                 const hasData = entry.weight || entry.steps || entry.waterIntake || entry.sleepHours;
                 const hasNotes = entry.notes && entry.notes.trim().length > 5;
-                return hasData || hasNotes;
+                return !(hasData || hasNotes);
             });
-            
-            cleanedItems += filteredData.length - completeEntries.length;
-            localStorage.setItem('healthData', JSON.stringify(completeEntries));
         }
         
+        await this.refreshLocalSnapshot();
+        
         // Cache bereinigen
         if (cleanCache) {
             await this.clearAppCache();
@@ -7105,10 +12801,11 @@ calculateHealthScore() {
     // Gewichtung der verschiedenen Metriken
     const weights = {
         steps: 25,    // 25% Gewichtung
-        water: 20,    // 20% Gewichtung  
+        water: 15,    // 15% Gewichtung  
         sleep: 25,    // 25% Gewichtung
-        mood: 15,     // 15% Gewichtung
-        weight: 15    // 15% Gewichtung
+        mood: 10,     // 10% Gewichtung
+        weight: 15,   // 15% Gewichtung
+        calories: 10  // 10% Gewichtung - Nähe zum Kalorienziel
     };
     
     Object.entries(weights).forEach(([metric, weight]) => {
@@ -7151,6 +12848,7 @@ detectAnomalies() {
         const threshold = 2; // 2 Standardabweichungen
         
         data.slice(-3).forEach(point => { // Letzte 3 Tage prüfen
+            if (metric === 'weight' && this.isPremenstrualDay(point.date)) return; // Wassereinlagerungen, keine Anomalie
             if (Math.abs(point.value - stats.mean) > threshold * stats.stdDev) {
                 anomalies.push({
                     metric: metric,
@@ -7167,6 +12865,15 @@ detectAnomalies() {
     return anomalies;
 }
 
+/**
+ * Luteal- oder Menstruationsphase - dort sind Gewichtsspitzen zyklusbedingt
+ */
+isPremenstrualDay(date) {
+    if (this.periods.length === 0) return false;
+    const info = CycleTracker.getCycleDay(this.periods, this.getDateKey(date));
+    return info?.phase === 'luteal' || info?.phase === 'menstrual';
+}
+
 // 5. PERSONALISIERTE INSIGHTS
 generatePersonalizedInsights() {
     if (!this.advancedMode) return [];
@@ -7298,7 +13005,8 @@ getMetricRecommendation(metric, score) {
         water: 'Stelle dir eine Wasserflasche sichtbar auf den Schreibtisch als Erinnerung.',
         sleep: 'Erstelle eine feste Abendroutine und gehe jeden Tag zur gleichen Zeit ins Bett.',
         mood: 'Plane täglich 10 Minuten für Entspannung oder Meditation ein.',
-        weight: 'Fokussiere dich auf eine ausgewogene Ernährung und regelmäßige Bewegung.'
+        weight: 'Fokussiere dich auf eine ausgewogene Ernährung und regelmäßige Bewegung.',
+        calories: 'Erfasse alle Mahlzeiten und plane eiweißreiche Snacks ein, um nah an deinem Kalorienziel zu bleiben.'
     };
     
     return recommendations[metric] || null;
@@ -7634,6 +13342,9 @@ class SmartNotificationManager {
             setTimeout(() => this.showPermissionModal(), 30000);
         }
         
+        // Blutzucker außerhalb des Zielbereichs sofort melden, nicht erst beim nächsten Smart Check
+        this.setupGlucoseAlerts();
+        
         // Always setup in-app notifications
         this.setupInAppNotifications();
         // Initialize footer through health tracker
@@ -7717,10 +13428,9 @@ class SmartNotificationManager {
             }
         }, 60 * 1000);
         
-        // Sleep reminder: 22:00 daily
+        // Sleep reminder: 30 Minuten vor der eigenen Einschlafzeit (ohne Ziel und Schlafdaten 22:00)
         const sleepInterval = setInterval(() => {
-            const now = new Date();
-            if (now.getHours() === 22 && now.getMinutes() === 0) {
+            if (new Date().toTimeString().slice(0, 5) === this.getSleepReminderTime()) {
                 this.sendSleepReminder();
             }
         }, 60 * 1000);
@@ -7738,11 +13448,17 @@ class SmartNotificationManager {
             this.performSmartChecks();
         }, 3 * 60 * 60 * 1000);
         
+        // Medikamente: fällige Dosen jede Minute prüfen
+        const medicationInterval = setInterval(() => {
+            this.checkMedicationReminders();
+        }, 60 * 1000);
+        
         this.reminderIntervals.set('water', waterInterval);
         this.reminderIntervals.set('steps', stepsInterval);
         this.reminderIntervals.set('sleep', sleepInterval);
         this.reminderIntervals.set('tracking', trackingInterval);
         this.reminderIntervals.set('motivation', motivationInterval);
+        this.reminderIntervals.set('medication', medicationInterval);
         
         console.log('⏰ Smart Reminders konfiguriert');
     }
@@ -7801,17 +13517,162 @@ class SmartNotificationManager {
         }
     }
     
+    /**
+     * Uhrzeit der Schlaf-Erinnerung als "HH:MM" - wird jede Minute neu bestimmt, damit geänderte Ziele sofort gelten
+     */
+    getSleepReminderTime() {
+        const targetBedtime = this.healthTracker.getTargetBedtime();
+        return targetBedtime ? SleepLog.shiftTime(targetBedtime, -30) : '22:00';
+    }
+    
     /**
      * Send sleep reminder
      */
     sendSleepReminder() {
+        const targetBedtime = this.healthTracker.getTargetBedtime();
         this.sendNotification(
             '🌙 Zeit fürs Bett',
-            'Um dein Schlafziel zu erreichen, solltest du langsam ans Schlafen denken.',
+            targetBedtime
+                ? `In 30 Minuten ist deine Einschlafzeit (${targetBedtime} Uhr) - Zeit, langsam zur Ruhe zu kommen.`
+                : 'Um dein Schlafziel zu erreichen, solltest du langsam ans Schlafen denken.',
             'sleep'
         );
     }
     
+    /**
+     * Eingestellte Ruhezeit (HH:MM) oder null, wenn ausgeschaltet
+     */
+    getQuietHours() {
+        if (localStorage.getItem('quietHours') !== 'true') return null;
+        return {
+            start: localStorage.getItem('quietStart') || '22:00',
+            end: localStorage.getItem('quietEnd') || '07:00'
+        };
+    }
+    
+    /**
+     * Ruhezeiten aus den Einstellungen - auch über Mitternacht (z.B. 22:00-07:00)
+     */
+    isQuietHours(date = new Date()) {
+        const quietHours = this.getQuietHours();
+        if (!quietHours) return false;
+        
+        const { start, end } = quietHours;
+        const time = date.toTimeString().slice(0, 5);
+        
+        return start <= end
+            ? time >= start && time < end
+            : time >= start || time < end;
+    }
+    
+    /**
+     * Fällige Dosen erinnern - einmal pro Dosis, nur solange sie nicht erfasst ist.
+     * In die Ruhezeit fallende Dosen werden erst nach deren Ende erinnert - bei Ruhezeiten über
+     * Mitternacht (z.B. 22:00-07:00) auch die Dosen von gestern Abend.
+     */
+    checkMedicationReminders() {
+        if (this.isQuietHours()) return;
+        
+        const now = new Date();
+        const yesterday = new Date(now);
+        yesterday.setDate(yesterday.getDate() - 1);
+        const remindable = new Set(this.healthTracker.getActiveMedications()
+            .filter(medication => medication.remindersEnabled !== false)
+            .map(medication => medication.id));
+        const sent = this.getSentMedicationReminders();
+        // Nur der Abendteil einer Ruhezeit über Mitternacht - frühere Dosen von gestern wurden gestern erinnert
+        const quietHours = this.getQuietHours();
+        const carriesOver = quietHours && quietHours.start > quietHours.end;
+        const getDueAt = (day, time) => {
+            const [hours, minutes] = time.split(':').map(Number);
+            const dueAt = new Date(day);
+            dueAt.setHours(hours, minutes, 0, 0);
+            return dueAt;
+        };
+        
+        const doses = [
+            ...(carriesOver ? this.healthTracker.getDosesForDay(this.healthTracker.getLocalDateKey(yesterday)) : [])
+                .filter(dose => dose.time >= quietHours.start)
+                .map(dose => ({ ...dose, dueAt: getDueAt(yesterday, dose.time) })),
+            ...this.healthTracker.getTodayDoses()
+                .map(dose => ({ ...dose, dueAt: getDueAt(now, dose.time) }))
+        ];
+        
+        doses
+            .filter(dose => remindable.has(dose.medicationId) && !dose.status && !sent.includes(dose.id))
+            .forEach(({ dueAt, ...dose }) => {
+                const overdueMinutes = (now - dueAt) / 60000;
+                
+                // Nicht fällig oder längst vorbei (außer die Ruhezeit hat die Erinnerung verschoben)
+                if (overdueMinutes < 0) return;
+                if (overdueMinutes > 180 && !this.isQuietHours(dueAt)) return;
+                
+                this.sendMedicationReminder(dose);
+                sent.push(dose.id);
+            });
+        
+        localStorage.setItem('medicationReminders', JSON.stringify({
+            date: this.healthTracker.getLocalDateKey(now),
+            ids: sent
+        }));
+    }
+    
+    /**
+     * Heute schon erinnerte Dosen - der Eintrag gilt nur für den aktuellen Tag
+     */
+    getSentMedicationReminders() {
+        const stored = JSON.parse(localStorage.getItem('medicationReminders') || 'null');
+        return stored?.date === this.healthTracker.getLocalDateKey(new Date()) ? stored.ids : [];
+    }
+    
+    /**
+     * Dosis-Erinnerung mit "Genommen"/"Auslassen" - Aktionen gibt es nur über den Service Worker,
+     * der Klick darauf erfasst die Dosis auch bei geschlossener App
+     */
+    async sendMedicationReminder(dose) {
+        const title = `💊 ${dose.name}`;
+        const yesterday = dose.date !== this.healthTracker.getLocalDateKey(new Date());
+        const body = `${dose.dose ? `${dose.dose} · ` : ''}fällig ${yesterday ? 'gestern ' : ''}um ${dose.time} Uhr`;
+        
+        if (this.notificationsEnabled && Notification.permission === 'granted') {
+            try {
+                const registration = 'serviceWorker' in navigator
+                    ? await navigator.serviceWorker.getRegistration()
+                    : null;
+                
+                if (registration) {
+                    await registration.showNotification(title, {
+                        body,
+                        icon: '/icons/icon-192x192.png',
+                        badge: '/icons/icon-96x96.png',
+                        tag: `medication-${dose.id}`,
+                        requireInteraction: true,
+                        actions: [
+                            { action: 'medication-taken', title: 'Genommen' },
+                            { action: 'medication-skipped', title: 'Auslassen' }
+                        ],
+                        data: { type: 'medication', dose }
+                    });
+                } else {
+                    new Notification(title, { body, icon: '/icons/icon-192x192.png', tag: `medication-${dose.id}` });
+                }
+            } catch (error) {
+                console.error('❌ Medication reminder error:', error);
+            }
+        }
+        
+        const args = [dose.medicationId, dose.date, dose.time]
+            .map(value => `'${this.healthTracker.escapeHTML(value)}'`)
+            .join(', ');
+        this.showInAppNotification(`
+            ${this.healthTracker.escapeHTML(title)}: ${this.healthTracker.escapeHTML(body)}
+            <div class="flex gap-2 mt-2">
+                <button class="btn btn-xs btn-success" onclick="healthTracker?.logMedicationDose?.(${args}, 'taken'); this.closest('.alert').remove()">Genommen</button>
+                <button class="btn btn-xs btn-ghost" onclick="healthTracker?.logMedicationDose?.(${args}, 'skipped'); this.closest('.alert').remove()">Auslassen</button>
+            </div>
+        `, this.getNotificationStyle('medication'), 5 * 60 * 1000);
+    }
+    
     /**
      * Check if daily tracking reminder is needed
      */
@@ -7897,6 +13758,127 @@ class SmartNotificationManager {
                 );
             }
         }
+        
+        this.checkCardioPatterns(recentData);
+        this.checkGlucosePatterns(recentData);
+    }
+    
+    /**
+     * Gespeicherte Blutzuckermessungen prüfen - Formular und Quick Add
+     */
+    setupGlucoseAlerts() {
+        document.addEventListener('health-data-saved', (event) => {
+            if (event.detail?.glucose) this.checkGlucoseReading(event.detail);
+        });
+        document.addEventListener('quick-data-saved', (event) => {
+            if (event.detail?.data?.glucose) this.checkGlucoseReading(event.detail.data);
+        });
+    }
+    
+    /**
+     * Einzelne Messung außerhalb des Zielbereichs - einmal pro Messung melden
+     */
+    checkGlucoseReading(reading) {
+        const tracker = this.healthTracker;
+        const range = tracker.getGlucoseRange();
+        const category = MetricRegistry.classifyGlucose(reading.glucose, range);
+        if (!category || category === 'inRange') return;
+        
+        const readingId = `glucose_${reading.date}_${reading.readingTime || ''}_${reading.glucose}`;
+        if (this.hasSeenMilestone(readingId)) return;
+        this.markMilestoneSeen(readingId);
+        
+        const value = tracker.formatGlucose(reading.glucose);
+        if (category === 'veryLow') {
+            this.sendNotification(
+                '🚨 Sehr niedriger Blutzucker',
+                `${value} gemessen. Sofort 15-20 g schnelle Kohlenhydrate (z.B. Traubenzucker) nehmen und nach 15 Minuten nachmessen.`,
+                'glucose'
+            );
+        } else if (category === 'low') {
+            this.sendNotification(
+                '⚠️ Blutzucker unter dem Zielbereich',
+                `${value} gemessen (Ziel ab ${tracker.formatGlucose(range.low)}). Etwas Schnelles essen oder trinken und nach 15 Minuten nachmessen.`,
+                'glucose'
+            );
+        } else if (reading.glucose > 250) {
+            this.sendNotification(
+                '🔺 Sehr hoher Blutzucker',
+                `${value} gemessen. Viel Wasser trinken und bald nachmessen - bei Übelkeit oder Erbrechen ärztliche Hilfe holen.`,
+                'glucose'
+            );
+        } else {
+            this.sendNotification(
+                '📈 Blutzucker über dem Zielbereich',
+                `${value} gemessen (Ziel bis ${tracker.formatGlucose(range.high)}).`,
+                'glucose'
+            );
+        }
+    }
+    
+    /**
+     * Überwiegend erhöhte Werte in den letzten Messungen - höchstens einmal am Tag
+     */
+    checkGlucosePatterns(recentData) {
+        const readings = recentData.filter(d => d.glucose).map(d => d.glucose);
+        if (readings.length < 3) return;
+        
+        const stats = MetricRegistry.calculateTimeInRange(readings, this.healthTracker.getGlucoseRange());
+        const patternId = `glucose_high_${this.healthTracker.getLocalDateKey(new Date())}`;
+        if (stats.high / stats.total >= 0.5 && !this.hasSeenMilestone(patternId)) {
+            this.sendNotification(
+                '📈 Blutzucker häufig erhöht',
+                `${stats.high} von ${stats.total} der letzten Messungen lagen über dem Zielbereich. Sprich die Werte bei deinem nächsten Arzttermin an.`,
+                'glucose'
+            );
+            this.markMilestoneSeen(patternId);
+        }
+    }
+    
+    /**
+     * Blutdruck und Ruhepuls: Krisenwerte sofort, dauerhaft erhöhte Werte als Hinweis
+     */
+    checkCardioPatterns(recentData) {
+        const readings = recentData.filter(d => d.systolic && d.diastolic);
+        
+        // Hypertensive Krise - einmal pro Messung melden
+        const crisis = readings.find(d => MetricRegistry.classifyBloodPressure(d.systolic, d.diastolic)?.key === 'crisis');
+        const crisisId = crisis && `bp_crisis_${this.healthTracker.getEntryKey(crisis) || `${crisis.date}_${crisis.readingTime}`}`;
+        if (crisis && !this.hasSeenMilestone(crisisId)) {
+            this.sendNotification(
+                '🚨 Sehr hoher Blutdruck',
+                `${crisis.systolic}/${crisis.diastolic} mmHg gemessen. Messung nach 5 Minuten Ruhe wiederholen - bei Beschwerden sofort ärztliche Hilfe holen.`,
+                'cardio'
+            );
+            this.markMilestoneSeen(crisisId);
+            return;
+        }
+        
+        if (readings.length >= 3) {
+            const avg = key => Math.round(readings.reduce((sum, d) => sum + d[key], 0) / readings.length);
+            const category = MetricRegistry.classifyBloodPressure(avg('systolic'), avg('diastolic'));
+            
+            if (category.severity >= 2) {
+                this.sendNotification(
+                    '🩺 Blutdruck erhöht',
+                    `Dein Mittelwert liegt bei ${avg('systolic')}/${avg('diastolic')} mmHg (${category.label}). Sprich die Werte bei deinem nächsten Arztbesuch an.`,
+                    'cardio'
+                );
+            }
+        }
+        
+        const heartRates = recentData.filter(d => d.restingHeartRate).map(d => d.restingHeartRate);
+        if (heartRates.length >= 3) {
+            const avgHeartRate = Math.round(heartRates.reduce((a, b) => a + b, 0) / heartRates.length);
+            
+            if (avgHeartRate > 100 || avgHeartRate < 40) {
+                this.sendNotification(
+                    '❤️ Auffälliger Ruhepuls',
+                    `Dein Ruhepuls liegt im Mittel bei ${avgHeartRate} bpm - außerhalb des üblichen Bereichs von 40-100 bpm.`,
+                    'cardio'
+                );
+            }
+        }
     }
     
     /**
@@ -7966,8 +13948,8 @@ class SmartNotificationManager {
      * Send notification (browser + in-app)
      */
     sendNotification(title, body, type = 'info', actions = []) {
-        // Browser notification
-        if (this.notificationsEnabled && Notification.permission === 'granted') {
+        // Browser notification - nicht während der Ruhezeiten
+        if (this.notificationsEnabled && Notification.permission === 'granted' && !this.isQuietHours()) {
             const notification = new Notification(title, {
                 body,
                 icon: '/icons/icon-192x192.png',
@@ -8068,7 +14050,10 @@ class SmartNotificationManager {
             steps: 'success',
             sleep: 'warning',
             tracking: 'error',
-            achievement: 'success'
+            achievement: 'success',
+            cardio: 'error',
+            glucose: 'warning',
+            medication: 'info'
         };
         return styles[type] || 'info';
     }
@@ -8091,6 +14076,17 @@ class SmartNotificationManager {
                 // Show progress hub
                 this.healthTracker.progressHub?.showView('achievements');
                 break;
+            case 'cardio':
+                this.healthTracker.analyticsEngine?.handleMetricChange?.('bloodPressure');
+                break;
+            case 'glucose':
+                this.healthTracker.analyticsEngine?.handleMetricChange?.('glucose');
+                break;
+            case 'medication':
+                document.getElementById('medication-today')?.scrollIntoView({ 
+                    behavior: 'smooth' 
+                });
+                break;
         }
     }
     
@@ -8200,6 +14196,8 @@ class ProgressHub {
         if (data.sleepHours) types.push('Schlaf');
         if (data.mood) types.push('Stimmung');
         if (data.notes) types.push('Notizen');
+        if (data.bodyFat || MetricRegistry.BODY_MEASUREMENTS.some(key => data[key])) types.push('Körpermaße');
+        if (data.glucose) types.push('Blutzucker');
         return types.length > 0 ? types : ['Daten'];
     }
 
@@ -8428,6 +14426,18 @@ async showTodayView() {
         </div>
       </div>
 
+      <!-- Tagesverlauf -->
+      <div class="card bg-base-100 border border-base-300">
+        <div class="card-body p-5">
+          <h4 class="card-title text-base flex items-center gap-2">
+            <i data-lucide="clock" class="w-4 h-4 text-primary"></i>
+            Tagesverlauf
+            <span id="today-timeline-count" class="badge badge-ghost badge-sm">0</span>
+          </h4>
+          <ul id="today-timeline" class="divide-y divide-base-200"></ul>
+        </div>
+      </div>
+
       <!-- Notizen -->
       <div id="today-notes-section" class="card bg-base-100 border border-base-300 hidden">
         <div class="card-body p-5">
@@ -8552,9 +14562,63 @@ async showTodayView() {
     }
   }
 
+  this.renderTodayTimeline(allData);
+
   console.log('✅ Today view updated');
 }
 
+/**
+ * Tagesverlauf: jede heutige Erfassung mit Uhrzeit (älteste zuerst) -
+ * Labels und Aktionen wie im Aktivitäts-Feed
+ */
+renderTodayTimeline(allData) {
+  const list = document.getElementById('today-timeline');
+  const feed = this.healthTracker.activityFeed;
+  if (!list || !feed) return;
+
+  const todayKey = this.healthTracker.getLocalDateKey(new Date());
+  const entries = (allData || []).filter(entry => this.healthTracker.getDateKey(entry.date) === todayKey);
+  const workouts = (this.healthTracker.workouts || []).filter(workout => workout.date === todayKey);
+  const events = feed.parseActivities(entries, workouts).reverse();
+
+  const countEl = document.getElementById('today-timeline-count');
+  if (countEl) countEl.textContent = events.length;
+
+  if (events.length === 0) {
+    list.innerHTML = '<li class="py-2 text-sm text-base-content/60">Heute noch nichts erfasst.</li>';
+    return;
+  }
+
+  list.innerHTML = '';
+  events.forEach(event => {
+    const label = feed.generateActivityLabel(event);
+    // Reine Tagesdaten (Altdaten ohne Zeitpunkt) haben keine Uhrzeit
+    const time = String(event.createdAt).includes('T')
+      ? new Date(event.createdAt).toLocaleTimeString('de-DE', { hour: '2-digit', minute: '2-digit' })
+      : '–';
+    const item = document.createElement('li');
+    item.className = 'flex items-center gap-3 py-2';
+    item.innerHTML = `
+      <span class="font-mono text-xs text-base-content/60 w-12 shrink-0">${time}</span>
+      <span class="text-lg leading-none">${event.icon}</span>
+      <span class="flex-1 min-w-0 text-sm truncate">${this.healthTracker.escapeHTML(label)}</span>
+      ${event.syncStatus ? '<i data-lucide="cloud-off" class="w-3 h-3 text-base-content/50" title="Wartet auf Synchronisierung"></i>' : ''}
+      <div class="flex gap-1 shrink-0">
+        <button class="btn btn-ghost btn-xs btn-square" data-action="edit" title="Bearbeiten">
+          <i data-lucide="pencil" class="w-3 h-3"></i>
+        </button>
+        <button class="btn btn-ghost btn-xs btn-square text-error" data-action="delete" title="Löschen">
+          <i data-lucide="trash-2" class="w-3 h-3"></i>
+        </button>
+      </div>
+    `;
+    feed.bindActivityActions(item, event, label);
+    list.appendChild(item);
+  });
+
+  if (typeof lucide !== 'undefined') lucide.createIcons();
+}
+
 /** Show weekly view with modern DaisyUI layout */
 showWeeklyView() {
   const content = document.getElementById('progress-content');
@@ -8731,6 +14795,22 @@ showWeeklyView() {
     `;
   }).join('');
 
+  // Einzelne Einträge der Woche - bearbeiten/löschen
+  const sortedEntries = [...(weekData || [])]
+    .sort((a, b) => new Date(b.date) - new Date(a.date));
+  if (sortedEntries.length) {
+    container.innerHTML += `
+      <div class="card bg-base-100 border border-base-300/70">
+        <div class="card-body p-4">
+          <h4 class="font-medium mb-2">Einträge</h4>
+          <div class="space-y-2">
+            ${sortedEntries.map(entry => this.renderWeekEntry(entry)).join('')}
+          </div>
+        </div>
+      </div>
+    `;
+  }
+
   if (typeof lucide !== 'undefined') lucide.createIcons();
 }
 
@@ -8767,8 +14847,8 @@ showGoalsView() {
         </div>
       </div>
 
-      <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4" id="goals-kpi-grid">
-        ${['steps','water','sleep','weight'].map(k => `
+      <div class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4" id="goals-kpi-grid">
+        ${['steps','water','sleep','weight','active'].map(k => `
           <div class="card bg-base-100 border border-base-300 shadow-sm hover:shadow transition">
             <div class="card-body p-5">
               <div class="flex items-center justify-between">
@@ -8777,15 +14857,16 @@ showGoalsView() {
                   ${k==='water'?'<i data-lucide="droplets" class="w-4 h-4 text-info"></i>':''}
                   ${k==='sleep'?'<i data-lucide="moon" class="w-4 h-4 text-warning"></i>':''}
                   ${k==='weight'?'<i data-lucide="scale" class="w-4 h-4 text-secondary"></i>':''}
+                  ${k==='active'?'<i data-lucide="dumbbell" class="w-4 h-4 text-success"></i>':''}
                   <span class="text-sm text-base-content/70">
-                    ${k==='steps'?'Schritte':k==='water'?'Wasser':k==='sleep'?'Schlaf':'Gewicht'}
+                    ${k==='steps'?'Schritte':k==='water'?'Wasser':k==='sleep'?'Schlaf':k==='active'?'Aktiv (Woche)':'Gewicht'}
                   </span>
                 </div>
                 <div id="goal-${k}-target" class="badge badge-ghost text-xs">Ziel: —</div>
               </div>
               <div class="mt-2">
-                <div class="text-2xl font-bold ${k==='steps'?'text-primary':k==='water'?'text-info':k==='sleep'?'text-warning':'text-secondary'}" id="goal-${k}-current">—</div>
-                ${k!=='weight' ? `<progress id="goal-${k}-progress" class="progress ${k==='steps'?'progress-primary':k==='water'?'progress-info':'progress-warning'} w-full mt-3" value="0" max="100"></progress>` : ''}
+                <div class="text-2xl font-bold ${k==='steps'?'text-primary':k==='water'?'text-info':k==='sleep'?'text-warning':k==='active'?'text-success':'text-secondary'}" id="goal-${k}-current">—</div>
+                ${k!=='weight' ? `<progress id="goal-${k}-progress" class="progress ${k==='steps'?'progress-primary':k==='water'?'progress-info':k==='active'?'progress-success':'progress-warning'} w-full mt-3" value="0" max="100"></progress>` : ''}
               </div>
             </div>
           </div>
@@ -8812,6 +14893,9 @@ showGoalsView() {
   const goals = this.healthTracker?.goals || {};
   const allData = this.healthTracker?.cache?.get?.('allHealthData')?.data || [];
   const today = this.healthTracker?.getTodayData?.(allData) || {};
+  // Aktivminuten zählen je Kalenderwoche (Mo-So) aus den Trainingseinheiten
+  const activeMinutes = this.healthTracker?.getWeeklyActiveMinutes?.() ?? 0;
+  const activeGoal = goals.activeMinutesGoal ?? 150;
 
   // Helpers
   const pct = (val, goal) => (!goal || goal <= 0) ? 0 : Math.max(0, Math.min(100, Math.round((val / goal) * 100)));
@@ -8837,12 +14921,14 @@ showGoalsView() {
   setText('goal-sleep-target', `Ziel: ${goals.sleepGoal ?? 8}h`);
   // Für Gewicht gibt es typischerweise kein "Progress", sondern letzten Wert anzeigen
   setText('goal-weight-target', 'Letztes');
+  setText('goal-active-target', `Ziel: ${activeGoal} min`);
 
   // Current-Werte
   setText('goal-steps-current', (today.steps ?? 0).toLocaleString('de-DE'));
   setText('goal-water-current', `${Math.round(((today.waterIntake ?? 0)*10))/10}L`);
   setText('goal-sleep-current', `${Math.round(((today.sleepHours ?? 0)*10))/10}h`);
   setText('goal-weight-current', (today.weight ?? null) !== null ? `${today.weight}kg` : '—');
+  setText('goal-active-current', `${activeMinutes} min`);
 
   // Progress
   animateProgress(
@@ -8857,6 +14943,10 @@ showGoalsView() {
     document.getElementById('goal-sleep-progress'),
     pct(today.sleepHours ?? 0, goals.sleepGoal ?? 8)
   );
+  animateProgress(
+    document.getElementById('goal-active-progress'),
+    pct(activeMinutes, activeGoal)
+  );
 
   // Insights
   const insightsEl = document.getElementById('goals-insights');
@@ -8884,6 +14974,42 @@ showGoalsView() {
         : `🌙 Plane noch ${Math.round(diff*10)/10}h Schlaf ein.`);
     }
 
+    if (activeGoal) {
+      const diff = activeGoal - activeMinutes;
+      // Verbleibende Tage inkl. heute bis Sonntag
+      const daysLeft = 7 - (new Date().getDay() + 6) % 7;
+      items.push(diff <= 0
+        ? '🏋️ Wochenziel Aktivminuten erreicht!'
+        : `🏋️ Noch ${diff} Aktivminuten diese Woche – etwa ${Math.ceil(diff / daysLeft)} min pro Tag.`);
+    }
+
+    // Körpermaße - letzte Messung statt nur heute, abgeleitete Werte aus Gewicht und Körpergröße
+    const body = this.healthTracker.getBodyMetrics(allData);
+    if (goals.waistGoal && body.latest.waist !== null) {
+      const diff = Math.round((body.latest.waist - goals.waistGoal) * 10) / 10;
+      items.push(diff <= 0
+        ? '📏 Taillenziel erreicht!'
+        : `📏 Taille ${body.latest.waist.toLocaleString('de-DE')} cm – noch ${diff.toLocaleString('de-DE')} cm bis zum Ziel.`);
+    }
+
+    if (goals.bodyFatGoal && body.latest.bodyFat !== null) {
+      const diff = Math.round((body.latest.bodyFat - goals.bodyFatGoal) * 10) / 10;
+      items.push(diff <= 0
+        ? '💪 Körperfettziel erreicht!'
+        : `💪 Körperfett ${body.latest.bodyFat.toLocaleString('de-DE')} % – noch ${diff.toLocaleString('de-DE')} Prozentpunkte bis zum Ziel.`);
+    }
+
+    const { bmi, bmiCategory, waistToHip, leanMass } = body.composition;
+    if (bmi !== null) {
+      const extras = [
+        waistToHip !== null ? `Taille-Hüfte ${waistToHip.toLocaleString('de-DE')}` : null,
+        leanMass !== null ? `Magermasse ${leanMass.toLocaleString('de-DE')} kg` : null
+      ].filter(Boolean);
+      items.push(`⚖️ BMI ${bmi.toLocaleString('de-DE')} (${bmiCategory.label})${extras.length ? ` · ${extras.join(' · ')}` : ''}`);
+    } else if (!goals.height && body.latest.weight !== null) {
+      items.push('📐 Trage deine Körpergröße bei den Zielen ein, um deinen BMI zu sehen.');
+    }
+
     insightsEl.innerHTML = items
       .map(i => `<li class="flex items-start gap-2"><span class="opacity-60">–</span><span>${i}</span></li>`)
       .join('');
@@ -9052,6 +15178,7 @@ generateAchievements() {
     const currentStreak = this.calculateCurrentStreak(allData);
     const totalEntries = allData.length;
     const todayData = this.todayData || {};
+    const workouts = this.healthTracker?.workouts || [];
 
     const achievements = {
         unlocked: [],
@@ -9208,6 +15335,31 @@ generateAchievements() {
                     return totalGoals > 0 && goalsReached === totalGoals;
                 });
             }
+        },
+        {
+            id: 'first_workout',
+            title: 'Aufgewärmt',
+            description: 'Erste Trainingseinheit erfasst',
+            icon: '🏋️',
+            xp: 10,
+            condition: () => workouts.length >= 1
+        },
+        {
+            id: 'first_5k',
+            title: 'Erste 5 km',
+            description: '5 km an einem Stück gelaufen',
+            icon: '🏅',
+            xp: 50,
+            condition: () => workouts.some(workout => workout.type === 'running' && (workout.distanceKm || 0) >= 5)
+        },
+        {
+            id: 'active_week',
+            title: 'Aktive Woche',
+            description: '150 Aktivminuten in einer Kalenderwoche (WHO-Empfehlung)',
+            icon: '⏱️',
+            xp: 60,
+            condition: () => Object.values(this.healthTracker?.getActiveMinutesByWeek?.() || {})
+                .some(minutes => minutes >= 150)
         }
     ];
 
@@ -9732,26 +15884,8 @@ getPreviousWeekData(allData) {
 }
 
 calculateCurrentStreak(allData) {
-    let streak = 0;
-    const today = new Date();
-    
-    for (let i = 0; i < 365; i++) {
-        const checkDate = new Date(today.getTime() - (i * 24 * 60 * 60 * 1000));
-        const dateStr = checkDate.toISOString().split('T')[0];
-        
-        const hasEntry = allData.some(entry => {
-            const entryDate = typeof entry.date === 'string' ? entry.date.split('T')[0] : entry.date;
-            return entryDate === dateStr;
-        });
-        
-        if (hasEntry) {
-            streak++;
-        } else {
-            break;
-        }
-    }
-    
-    return streak;
+    // Gleiche Tagesgrenzen wie Dashboard und Server
+    return this.healthTracker.calculateCurrentStreak(allData || []);
 }
 
 calculateWeeklyGoalsAchieved(allData) {
@@ -9823,6 +15957,32 @@ calculateWeeklyGoalsAchieved(allData) {
             progress.hasGoals = true;
         }
 
+        // Calorie progress - erreicht im Korridor 90-110 %, darüber zählt nicht
+        if (this.healthTracker.goals.calorieGoal && this.healthTracker.goals.calorieGoal > 0) {
+            progress.totalGoals++;
+            const ratio = (this.todayData.calories || 0) / this.healthTracker.goals.calorieGoal;
+            progress.details.calories = Math.min(ratio * 100, 100);
+            if (ratio >= 0.9 && ratio <= 1.1) progress.completedGoals++;
+            progress.hasGoals = true;
+        }
+
+        // Körpermaße - Abnahmeziele: Fortschritt von der ersten Messung zum Ziel,
+        // erreicht sobald die letzte Messung das Ziel nicht mehr überschreitet
+        const body = this.healthTracker.getBodyMetrics(this.allData);
+        [['waist', 'waistGoal'], ['bodyFat', 'bodyFatGoal']].forEach(([key, goalKey]) => {
+            const goal = this.healthTracker.goals[goalKey];
+            const current = body.latest[key];
+            if (!goal || goal <= 0 || current === null) return;
+
+            progress.totalGoals++;
+            const start = body.first[key];
+            const reached = current <= goal;
+            progress.details[key] = reached ? 100
+                : start > goal ? Math.max(0, Math.min(((start - current) / (start - goal)) * 100, 100)) : 0;
+            if (reached) progress.completedGoals++;
+            progress.hasGoals = true;
+        });
+
         // Overall percentage
         progress.overallProgress = progress.totalGoals > 0 ? 
             (progress.completedGoals / progress.totalGoals) * 100 : 0;
@@ -9983,12 +16143,17 @@ calculateWeeklyGoalsAchieved(allData) {
         const container = document.getElementById('progress-content');
         if (!container) return;
 
+        const adherence = this.renderMedicationAdherence();
+
         if (this.weekData.length === 0) {
             container.innerHTML = `
-                <div class="text-center py-12">
-                    <div class="text-6xl mb-4">📈</div>
-                    <h3 class="text-xl font-semibold text-base-content mb-2">Keine Wochendaten</h3>
-                    <p class="text-base-content/70">Füge mehr Daten hinzu, um deine Wochenentwicklung zu sehen!</p>
+                <div class="space-y-6">
+                    <div class="text-center py-12">
+                        <div class="text-6xl mb-4">📈</div>
+                        <h3 class="text-xl font-semibold text-base-content mb-2">Keine Wochendaten</h3>
+                        <p class="text-base-content/70">Füge mehr Daten hinzu, um deine Wochenentwicklung zu sehen!</p>
+                    </div>
+                    ${adherence}
                 </div>
             `;
             return;
@@ -10027,6 +16192,8 @@ calculateWeeklyGoalsAchieved(allData) {
                     </div>
                 </div>
 
+                ${adherence}
+
                 <!-- Recent Entries -->
                 <div class="card bg-base-100 border border-base-300">
                     <div class="card-body">
@@ -10040,6 +16207,62 @@ calculateWeeklyGoalsAchieved(allData) {
         `;
     }
 
+    /**
+     * Einnahmetreue dieser Woche je Medikament und Verlauf der letzten Wochen - leer ohne geplante Dosen
+     */
+    renderMedicationAdherence() {
+        const history = this.healthTracker.getAdherenceHistory(5);
+        const current = this.healthTracker.getWeeklyAdherence();
+        if (history.length === 0) return '';
+
+        const perMedication = this.healthTracker.medications
+            .map(medication => ({ medication, week: this.healthTracker.getWeeklyAdherence(undefined, [medication]) }))
+            .filter(({ week }) => week.scheduled > 0);
+
+        return `
+            <div class="card bg-base-100 border border-base-300">
+                <div class="card-body">
+                    <div class="flex justify-between items-center">
+                        <h4 class="card-title">💊 Einnahmetreue</h4>
+                        <span class="text-2xl font-bold ${this.healthTracker.getAdherenceColor(current.percent)}">
+                            ${current.percent !== null ? `${current.percent}%` : '–'}
+                        </span>
+                    </div>
+                    ${current.scheduled > 0 ? `
+                        <p class="text-sm text-base-content/70">
+                            Diese Woche ${current.taken} von ${current.scheduled} fälligen Dosen genommen
+                            ${current.skipped ? ` · ${current.skipped} ausgelassen` : ''}
+                            ${current.missed ? ` · ${current.missed} nicht erfasst` : ''}
+                        </p>
+                    ` : ''}
+
+                    <div class="space-y-2 mt-2">
+                        ${perMedication.map(({ medication, week }) => `
+                            <div>
+                                <div class="flex justify-between text-sm">
+                                    <span class="truncate">${this.healthTracker.escapeHTML(medication.name)}${medication.archived ? ' <span class="text-base-content/50">(abgesetzt)</span>' : ''}</span>
+                                    <span class="font-semibold ${this.healthTracker.getAdherenceColor(week.percent)}">${week.percent}%</span>
+                                </div>
+                                <progress class="progress progress-secondary w-full" value="${week.percent}" max="100"></progress>
+                            </div>
+                        `).join('')}
+                    </div>
+
+                    ${history.length > 1 ? `
+                        <div class="flex items-end gap-2 h-16 mt-3">
+                            ${history.map(week => `
+                                <div class="flex-1 flex flex-col items-center gap-1" title="${week.taken}/${week.scheduled} Dosen">
+                                    <div class="w-full rounded-t bg-secondary/70" style="height: ${Math.max(4, Math.round(week.percent * 0.4))}px"></div>
+                                    <span class="text-xs text-base-content/60">${new Date(`${week.weekStart}T00:00:00`).toLocaleDateString('de-DE', { day: '2-digit', month: '2-digit' })}</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+            </div>
+        `;
+    }
+
     /**
      * Calculate week statistics
      */
@@ -10085,11 +16308,23 @@ calculateWeeklyGoalsAchieved(allData) {
         if (entry.sleepHours) data.push(`😴 ${entry.sleepHours}h`);
         if (entry.weight) data.push(`⚖️ ${entry.weight}kg`);
 
+        const entryKey = this.healthTracker.getEntryKey(entry);
+
         return `
             <div class="alert ${isToday ? 'alert-info' : ''} flex justify-between items-center">
                 <div class="font-medium">${dateStr}</div>
-                <div class="flex flex-wrap gap-1">
+                <div class="flex flex-wrap items-center gap-1">
                     ${data.map(item => `<div class="badge badge-outline badge-sm">${item}</div>`).join('')}
+                    ${entryKey ? `
+                        <button class="btn btn-ghost btn-xs btn-square" title="Bearbeiten"
+                                onclick="healthTracker?.showEditEntryModal?.('${entryKey}')">
+                            <i data-lucide="pencil" class="w-3 h-3"></i>
+                        </button>
+                        <button class="btn btn-ghost btn-xs btn-square text-error" title="Löschen"
+                                onclick="healthTracker?.confirmDeleteEntry?.('${entryKey}')">
+                            <i data-lucide="trash-2" class="w-3 h-3"></i>
+                        </button>
+                    ` : ''}
                 </div>
             </div>
         `;
@@ -10238,7 +16473,7 @@ class ActivityFeed {
     async load() {
         try {
             const data = await this.healthTracker.getAllHealthData();
-            const activities = this.parseActivities(data);
+            const activities = this.parseActivities(data, this.healthTracker.workouts || []);
             
             // Show only the most recent 15 activities
             this.render(activities.slice(0, 15));
@@ -10250,54 +16485,75 @@ class ActivityFeed {
     }
     
     /**
- * Parse activities from health data
+ * Parse activities from health data and workouts
  */
-parseActivities(data) {
+parseActivities(data, workouts = []) {
     const activities = [];
 
     data.forEach(entry => {
+        const entryKey = this.healthTracker.getEntryKey(entry);
+        // Zeitpunkt des Ereignisses - Altdaten ohne loggedAt nach Erfassung
+        const loggedAt = entry.loggedAt || entry.createdAt || entry.date;
+        // Noch nicht vom Server bestätigte Änderungen markieren
+        const syncStatus = entry._syncStatus || (entry._syncState === 'pending' ? 'pending' : null);
+
         // Erstelle Activity-Objekte für jede Art von Daten
         if (entry.steps) {
             activities.push({
                 type: 'steps',
+                field: 'steps',
+                entryKey,
+                syncStatus,
                 value: entry.steps,
                 unit: 'Schritte',
                 date: entry.date,
                 icon: '🚶♂️',
-                createdAt: entry.createdAt || entry.date
+                createdAt: loggedAt
             });
         }
 
         if (entry.waterIntake) {
             activities.push({
                 type: 'water',
+                field: 'waterIntake',
+                entryKey,
+                syncStatus,
                 value: entry.waterIntake,
                 unit: 'L',
                 date: entry.date,
                 icon: '💧',
-                createdAt: entry.createdAt || entry.date
+                createdAt: loggedAt
             });
         }
 
         if (entry.sleepHours) {
             activities.push({
                 type: 'sleep',
+                field: ['sleepHours', 'bedtime', 'wakeTime', 'sleepQuality', 'awakenings'],
+                entryKey,
+                syncStatus,
                 value: entry.sleepHours,
+                bedtime: entry.bedtime || null,
+                wakeTime: entry.wakeTime || null,
+                sleepQuality: entry.sleepQuality ?? null,
                 unit: 'h',
                 date: entry.date,
                 icon: '😴',
-                createdAt: entry.createdAt || entry.date
+                createdAt: loggedAt
             });
         }
 
         if (entry.weight) {
             activities.push({
                 type: 'weight',
+                field: 'weight',
+                entryKey,
+                syncStatus,
                 value: entry.weight,
                 unit: 'kg',
                 date: entry.date,
                 icon: '⚖️',
-                createdAt: entry.createdAt || entry.date
+                createdAt: loggedAt
             });
         }
 
@@ -10312,27 +16568,132 @@ parseActivities(data) {
 
             activities.push({
                 type: 'mood',
+                field: 'mood',
+                entryKey,
+                syncStatus,
                 value: entry.mood,
                 unit: '',
                 date: entry.date,
                 icon: moodEmojis[entry.mood] || '😐',
-                createdAt: entry.createdAt || entry.date
+                createdAt: loggedAt
+            });
+        }
+
+        if (entry.systolic && entry.diastolic) {
+            activities.push({
+                type: 'bloodPressure',
+                field: ['systolic', 'diastolic'],
+                entryKey,
+                syncStatus,
+                value: `${entry.systolic}/${entry.diastolic}`,
+                category: MetricRegistry.classifyBloodPressure(entry.systolic, entry.diastolic),
+                readingTime: entry.readingTime || null,
+                unit: 'mmHg',
+                date: entry.date,
+                icon: '🩺',
+                createdAt: loggedAt
+            });
+        }
+
+        if (entry.restingHeartRate) {
+            activities.push({
+                type: 'heartRate',
+                field: 'restingHeartRate',
+                entryKey,
+                syncStatus,
+                value: entry.restingHeartRate,
+                readingTime: entry.readingTime || null,
+                unit: 'bpm',
+                date: entry.date,
+                icon: '❤️',
+                createdAt: loggedAt
+            });
+        }
+
+        if (entry.glucose) {
+            activities.push({
+                type: 'glucose',
+                field: ['glucose', 'glucoseContext'],
+                entryKey,
+                syncStatus,
+                value: entry.glucose,
+                glucoseContext: entry.glucoseContext || null,
+                readingTime: entry.readingTime || null,
+                unit: 'mg/dL',
+                date: entry.date,
+                icon: '🩸',
+                createdAt: loggedAt
+            });
+        }
+
+        if (entry.mealType || (entry.calories !== null && entry.calories !== undefined)) {
+            activities.push({
+                type: 'meal',
+                field: ['mealType', 'foods', 'calories', 'protein', 'carbs', 'fat'],
+                entryKey,
+                syncStatus,
+                value: entry.calories || 0,
+                mealType: entry.mealType || null,
+                itemCount: (entry.foods || []).length,
+                unit: 'kcal',
+                date: entry.date,
+                icon: '🍽️',
+                createdAt: loggedAt
+            });
+        }
+
+        // Körpermaße eines Eintrags als eine Aktivität
+        const measurements = [...MetricRegistry.BODY_MEASUREMENTS, 'bodyFat']
+            .filter(key => entry[key] !== null && entry[key] !== undefined);
+        if (measurements.length > 0) {
+            activities.push({
+                type: 'measurements',
+                field: measurements,
+                entryKey,
+                syncStatus,
+                value: measurements
+                    .map(key => `${MetricRegistry.METRICS[key].label} ${entry[key].toLocaleString('de-DE')} ${MetricRegistry.METRICS[key].unit}`)
+                    .join(' · '),
+                unit: '',
+                date: entry.date,
+                icon: '📏',
+                createdAt: loggedAt
             });
         }
 
         if (entry.notes) {
             activities.push({
                 type: 'note',
+                field: 'notes',
+                entryKey,
+                syncStatus,
                 value: entry.notes,
                 unit: '',
                 date: entry.date,
                 icon: '📝',
-                createdAt: entry.createdAt || entry.date
+                createdAt: loggedAt
             });
         }
     });
 
-    // Sortiere nach Erstellungsdatum (neueste zuerst)
+    // Trainingseinheiten - Zeitpunkt ist der Start, nicht die Erfassung
+    workouts.forEach(workout => {
+        activities.push({
+            type: 'workout',
+            workoutId: workout.id,
+            syncStatus: workout._syncState === 'pending' ? 'pending' : null,
+            value: workout.durationMinutes,
+            workout,
+            unit: 'min',
+            date: workout.date,
+            icon: '🏋️',
+            createdAt: workout.startTime
+                ? new Date(`${workout.date}T${workout.startTime}:00`).toISOString()
+                : workout.createdAt || workout.date
+        });
+    });
+
+    // Sortiere nach Zeitpunkt (neueste zuerst)
     return activities.sort((a, b) => {
         const dateA = new Date(a.createdAt).getTime();
         const dateB = new Date(b.createdAt).getTime();
@@ -10432,6 +16793,10 @@ formatTimeAgo(dateInput) {
         });
         
         this.rootEl.appendChild(timelineContainer);
+        
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
     }
     
     /**
@@ -10452,7 +16817,13 @@ formatTimeAgo(dateInput) {
             sleep: 'warning',
             weight: 'secondary',
             mood: 'accent',
-            note: 'primary'
+            note: 'primary',
+            bloodPressure: 'error',
+            heartRate: 'error',
+            meal: 'warning',
+            workout: 'success',
+            measurements: 'secondary',
+            glucose: 'accent'
         };
         
         const iconMap = {
@@ -10461,7 +16832,13 @@ formatTimeAgo(dateInput) {
             sleep: 'moon',
             weight: 'scale',
             mood: 'smile',
-            note: 'file-text'
+            note: 'file-text',
+            bloodPressure: 'heart-pulse',
+            heartRate: 'heart',
+            meal: 'utensils',
+            workout: 'dumbbell',
+            measurements: 'ruler',
+            glucose: 'droplet'
         };
         
         const color = colorMap[activity.type] || 'primary';
@@ -10471,6 +16848,16 @@ formatTimeAgo(dateInput) {
         const goalReached = activity.goal && activity.value >= activity.goal;
         const goalBadge = goalReached ? '<div class="badge badge-success badge-sm">Ziel erreicht!</div>' : '';
         
+        // Sync-Status für Einträge in der Outbox
+        const syncBadges = {
+            pending: '<div class="badge badge-ghost badge-sm gap-1" title="Wartet auf Synchronisierung"><i data-lucide="cloud-off" class="w-3 h-3"></i>Lokal</div>',
+            syncing: '<div class="badge badge-info badge-sm gap-1"><i data-lucide="upload-cloud" class="w-3 h-3"></i>Sync…</div>',
+            retrying: '<div class="badge badge-warning badge-sm gap-1" title="Wird erneut versucht"><i data-lucide="rotate-cw" class="w-3 h-3"></i>Erneut</div>',
+            failed: '<div class="badge badge-error badge-sm gap-1 cursor-pointer" title="Details anzeigen" onclick="healthTracker.showSyncQueue()"><i data-lucide="alert-triangle" class="w-3 h-3"></i>Sync fehlgeschlagen</div>',
+            rejected: '<div class="badge badge-error badge-sm gap-1 cursor-pointer" title="Vom Server abgelehnt - korrigieren oder verwerfen" onclick="healthTracker.showSyncQueue()"><i data-lucide="alert-octagon" class="w-3 h-3"></i>Abgelehnt</div>'
+        };
+        const syncBadge = syncBadges[activity.syncStatus] || '';
+        
         // Progress indicator for measurable activities
         let progressIndicator = '';
         if (activity.goal && activity.type !== 'mood' && activity.type !== 'note') {
@@ -10498,6 +16885,7 @@ formatTimeAgo(dateInput) {
                         <h4 class="text-sm font-medium text-base-content">
                             ${activityLabel}
                             ${goalBadge}
+                            ${syncBadge}
                         </h4>
                         <p class="text-xs text-base-content text-opacity-60 mt-1">
                             ${activityTime}
@@ -10505,14 +16893,26 @@ formatTimeAgo(dateInput) {
                         ${progressIndicator}
                         ${activity.type === 'note' ? `
                             <p class="text-sm text-base-content text-opacity-80 mt-2 italic">
-                                "${activity.value.substring(0, 100)}${activity.value.length >= 100 ? '...' : ''}"
+                                "${this.healthTracker.escapeHTML(activity.value.substring(0, 100))}${activity.value.length >= 100 ? '...' : ''}"
                             </p>
                         ` : ''}
                     </div>
+                    ${activity.entryKey || activity.workoutId ? `
+                        <div class="flex gap-1 flex-shrink-0">
+                            <button class="btn btn-ghost btn-xs btn-square" data-action="edit" title="Bearbeiten">
+                                <i data-lucide="pencil" class="w-3 h-3"></i>
+                            </button>
+                            <button class="btn btn-ghost btn-xs btn-square text-error" data-action="delete" title="Löschen">
+                                <i data-lucide="trash-2" class="w-3 h-3"></i>
+                            </button>
+                        </div>
+                    ` : ''}
                 </div>
             </div>
         `;
         
+        this.bindActivityActions(item, activity, activityLabel);
+        
         return item;
         
     } catch (error) {
@@ -10521,6 +16921,32 @@ formatTimeAgo(dateInput) {
     }
 }
 
+/**
+ * Bearbeiten-/Löschen-Buttons (data-action) eines Elements mit der Aktivität verbinden -
+ * auch vom Tagesverlauf im Progress Hub genutzt
+ */
+bindActivityActions(item, activity, activityLabel) {
+    item.querySelector('[data-action="edit"]')?.addEventListener('click', () => {
+        if (activity.workoutId) {
+            this.healthTracker.showWorkoutModal({ workoutId: activity.workoutId });
+            return;
+        }
+        // Schritte und Wasser sind einzelne Eingaben - nur Menge und Uhrzeit bearbeiten
+        if (activity.field === 'steps' || activity.field === 'waterIntake') {
+            this.healthTracker.showEditIncrementModal(activity.entryKey, activity.field);
+            return;
+        }
+        this.healthTracker.showEditEntryModal(activity.entryKey);
+    });
+    item.querySelector('[data-action="delete"]')?.addEventListener('click', () => {
+        if (activity.workoutId) {
+            this.healthTracker.confirmDeleteWorkout(activity.workoutId);
+            return;
+        }
+        this.healthTracker.confirmDeleteEntry(activity.entryKey, activity.field, activityLabel);
+    });
+}
+
 /**
  * NEUE METHODE: Generiere aussagekräftige Activity Labels
  */
@@ -10536,13 +16962,16 @@ generateActivityLabel(activity) {
                 
             case 'water':
                 const waterValue = parseFloat(value) || 0;
-                return `${waterValue.toFixed(1)}L Wasser getrunken`;
+                return `${waterValue.toLocaleString('de-DE', { maximumFractionDigits: 2 })}L Wasser getrunken`;
                 
             case 'sleep':
                 const sleepValue = parseFloat(value) || 0;
                 const hours = Math.floor(sleepValue);
                 const minutes = Math.round((sleepValue - hours) * 60);
-                return `${hours}h${minutes > 0 ? ` ${minutes}min` : ''} geschlafen`;
+                const sleepWindow = activity.bedtime && activity.wakeTime ? ` (${activity.bedtime}–${activity.wakeTime})` : '';
+                const sleepQuality = SleepLog.QUALITY_LEVELS.find(level => level.value === activity.sleepQuality);
+                return `${hours}h${minutes > 0 ? ` ${minutes}min` : ''} geschlafen${sleepWindow}` +
+                    `${sleepQuality ? ` · ${sleepQuality.emoji} ${sleepQuality.label}` : ''}`;
                 
             case 'weight':
                 const weightValue = parseFloat(value) || 0;
@@ -10558,6 +16987,32 @@ generateActivityLabel(activity) {
                 };
                 return moodLabels[value] || `Stimmung: ${value}`;
                 
+            case 'bloodPressure':
+                const atTime = activity.readingTime ? ` um ${activity.readingTime}` : '';
+                return `Blutdruck ${value} mmHg${atTime}${activity.category ? ` · ${activity.category.label}` : ''}`;
+                
+            case 'heartRate':
+                return `Ruhepuls ${value} bpm${activity.readingTime ? ` um ${activity.readingTime}` : ''}`;
+                
+            case 'meal':
+                const itemsText = activity.itemCount > 0 ? ` · ${activity.itemCount} Lebensmittel` : '';
+                return `${this.healthTracker.getMealLabel(activity.mealType)}: ${Number(value).toLocaleString('de-DE')} kcal${itemsText}`;
+                
+            case 'workout':
+                return `${this.healthTracker.getWorkoutType(activity.workout.type).label}: ${this.healthTracker.formatWorkoutSummary(activity.workout)}`;
+                
+            case 'measurements':
+                return `Körpermaße: ${value}`;
+                
+            case 'glucose':
+                const glucoseContext = MetricRegistry.GLUCOSE_CONTEXTS.find(context => context.key === activity.glucoseContext);
+                const glucoseCategory = MetricRegistry.classifyGlucose(value, this.healthTracker.getGlucoseRange());
+                const glucoseLabels = { veryLow: 'sehr niedrig', low: 'niedrig', high: 'erhöht' };
+                return `Blutzucker ${this.healthTracker.formatGlucose(value)}` +
+                    `${glucoseContext ? ` (${glucoseContext.label})` : ''}` +
+                    `${activity.readingTime ? ` um ${activity.readingTime}` : ''}` +
+                    `${glucoseLabels[glucoseCategory] ? ` · ${glucoseLabels[glucoseCategory]}` : ''}`;
+                
             case 'note':
                 const notePreview = value ? value.substring(0, 50) : 'Leere Notiz';
                 return `Notiz hinzugefügt: "${notePreview}${value && value.length > 50 ? '...' : ''}"`;
@@ -10636,6 +17091,7 @@ class AnalyticsEngine {
         this.healthTracker = healthTracker;
         this.currentPeriod = 7;
         this.currentMetric = 'steps';
+        this.heatmapMetric = 'all';
         this.charts = {};
         this.isInitialized = false;
         this.analyticsData = null;
@@ -10677,6 +17133,7 @@ window.addEventListener('beforeunload', () => {
             
             // Setup event listeners first
             this.setupCompleteEventListeners();
+            this.renderCustomMetricFilters();
             
             // Load initial data
             setTimeout(async () => {
@@ -10711,6 +17168,12 @@ setupCompleteEventListeners() {
         });
     });
 
+    // Heatmap-Metrik
+    document.getElementById('heatmap-metric')?.addEventListener('change', (e) => {
+        this.heatmapMetric = e.target.value;
+        this.updateHeatmapChart(this.analyticsData);
+    });
+
     // Refresh button (vereinfacht)
     const refreshBtn = document.querySelector('button[onclick*="analyticsEngine"]');
     if (refreshBtn) {
@@ -10776,9 +17239,9 @@ setupCompleteEventListeners() {
         // Chart mit existierenden Daten aktualisieren (KEIN Delay)
         this.updateTrendsChart(currentData, metric);
         
-        // Heatmap ebenfalls aktualisieren
+        // Heatmap folgt der gewählten Metrik
         setTimeout(() => {
-            this.updateHeatmapChart(metric);
+            this.setHeatmapMetric(metric);
         }, 50);
 
     } catch (error) {
@@ -10787,6 +17250,91 @@ setupCompleteEventListeners() {
     }
 }
 
+    /**
+     * Tabs, Filter-Menü und Heatmap-Auswahl um die eigenen Metriken ergänzen
+     */
+    renderCustomMetricFilters() {
+        const definitions = this.healthTracker.getActiveMetricDefinitions();
+        const escape = (text) => this.healthTracker.escapeHTML(text);
+        const activeMetric = document.querySelector('.metric-tab.tab-active')?.dataset.metric || 'all';
+
+        document.querySelectorAll('[data-custom-metric]').forEach(element => element.remove());
+
+        const tabs = document.getElementById('metric-tabs');
+        const dropdown = document.getElementById('trends-dropdown');
+        const dropdownDivider = dropdown?.querySelector('hr')?.closest('li');
+        const heatmapSelect = document.getElementById('heatmap-metric');
+
+        definitions.forEach(definition => {
+            const tab = document.createElement('button');
+            tab.className = `tab metric-tab${definition.key === activeMetric ? ' tab-active' : ''}`;
+            tab.dataset.metric = definition.key;
+            tab.dataset.label = definition.name;
+            tab.dataset.customMetric = 'true';
+            tab.innerHTML = `<i data-lucide="activity" class="w-4 h-4 mr-1"></i>${escape(definition.name)}`;
+            tab.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.handleMetricChange(definition.key);
+            });
+            tabs?.appendChild(tab);
+
+            if (dropdown) {
+                const item = document.createElement('li');
+                item.dataset.customMetric = 'true';
+                item.innerHTML = `
+                    <button class="gap-2 metric-filter-btn" data-metric="${definition.key}">
+                        <i data-lucide="activity" class="w-4 h-4 text-primary"></i>
+                        Nur ${escape(definition.name)}
+                    </button>
+                `;
+                item.querySelector('button').addEventListener('click', () => this.handleMetricChange(definition.key));
+                dropdown.insertBefore(item, dropdownDivider || null);
+            }
+
+            if (heatmapSelect) {
+                const option = document.createElement('option');
+                option.value = definition.key;
+                option.textContent = definition.name;
+                option.dataset.customMetric = 'true';
+                heatmapSelect.appendChild(option);
+            }
+        });
+
+        // Archivierte Metrik war ausgewählt - zurück zur Übersicht
+        const trendsMetric = document.querySelector(`.metric-tab[data-metric="${activeMetric}"]`) ? activeMetric : 'all';
+        document.querySelector(`.metric-tab[data-metric="${trendsMetric}"]`)?.classList.add('tab-active');
+        if (this.heatmapMetric !== 'all' && !MetricRegistry.METRICS[this.heatmapMetric] &&
+            !definitions.some(definition => definition.key === this.heatmapMetric)) {
+            this.heatmapMetric = 'all';
+        }
+        if (heatmapSelect) heatmapSelect.value = this.heatmapMetric;
+
+        if (typeof lucide !== 'undefined') {
+            lucide.createIcons();
+        }
+
+        if (this.analyticsData) {
+            this.updateTrendsChart(this.analyticsData.period, trendsMetric);
+            this.updateHeatmapChart(this.analyticsData);
+        }
+    }
+
+    /**
+     * Heatmap auf eine Metrik umstellen - nur wenn die Auswahl sie anbietet
+     */
+    setHeatmapMetric(metric) {
+        // Blutdruck-Band: Heatmap zeigt den systolischen Wert, Energiebilanz die Aufnahme
+        if (metric === 'bloodPressure') metric = 'systolic';
+        if (metric === 'energy') metric = 'calories';
+        const heatmapSelect = document.getElementById('heatmap-metric');
+        const available = heatmapSelect
+            ? [...heatmapSelect.options].some(option => option.value === metric)
+            : false;
+        this.heatmapMetric = available ? metric : 'all';
+        if (heatmapSelect) heatmapSelect.value = this.heatmapMetric;
+        this.updateHeatmapChart(this.analyticsData);
+    }
+
     // Cleanup-Methode für alle Charts
 destroyAllCharts() {
     console.log('🧹 Cleaning up all chart instances');
@@ -10813,8 +17361,8 @@ async loadCompleteAnalyticsData() {
         console.log('📊 Loading complete analytics data...');
         this.showAllLoadingStates();
 
-        // Get health data
-        const allData = await this.healthTracker.getAllHealthData();
+        // Get health data - längere Zeiträume werden seitenweise nachgeladen
+        const allData = await this.healthTracker.getAllHealthData(this.currentPeriod);
         console.log(`📊 Loaded ${allData.length} health entries`);
         
         if (!Array.isArray(allData)) {
@@ -10978,17 +17526,29 @@ getChartOptions(metricFilter) {
                 font: { size: 16, weight: 'bold' }
             },
             legend: {
-                display: !isSingleMetric,
+                display: !isSingleMetric || ['bloodPressure', 'energy', 'body', 'glucose', 'sleepTimeline'].includes(metricFilter),
                 position: 'top'
             },
+            subtitle: this.getCyclePhaseSubtitle(metricFilter),
             tooltip: {
                 mode: 'index',
                 intersect: false,
                 callbacks: {
+                    footer: this.getTooltipFooter,
                     label: function(context) {
                         const label = context.dataset.label || '';
                         const value = context.parsed.y;
                         
+                        if (context.dataset.clockTime) {
+                            return Array.isArray(context.raw)
+                                ? `${label}: ${SleepLog.formatClockOffset(context.raw[0])}–${SleepLog.formatClockOffset(context.raw[1])}`
+                                : `${label}: ${SleepLog.formatClockOffset(value)}`;
+                        }
+                        
+                        if (context.dataset.customMetric) {
+                            return `${label}: ${value}`;
+                        }
+                        
                         if (label.includes('Schritte')) {
                             return `${label}: ${Math.round(value * 1000).toLocaleString()}`;
                         } else if (label.includes('Wasser')) {
@@ -11026,17 +17586,31 @@ getChartConfiguration(chartData, metricFilter) {
                     font: { size: 16, weight: 'bold' }
                 },
                 legend: {
-                    display: !isSingleMetric, // Verstecke Legende bei Einzelmetriken
+                    display: !isSingleMetric || ['bloodPressure', 'energy', 'body', 'glucose', 'sleepTimeline'].includes(metricFilter), // Verstecke Legende bei Einzelmetriken (Blutdruck: Band + Grenzen, Energie: Aufnahme/Verbrauch, Körper: mehrere Maße, Blutzucker: Zielbereich, Schlafrhythmus: Einschlafziel)
                     position: 'top'
                 },
+                subtitle: this.getCyclePhaseSubtitle(metricFilter),
                 tooltip: {
                     mode: 'index',
                     intersect: false,
                     callbacks: {
+                        footer: this.getTooltipFooter,
                         label: function(context) {
                             const label = context.dataset.label || '';
                             const value = context.parsed.y;
                             
+                            // Schlafrhythmus: Uhrzeiten statt Zahlen, Balken von Einschlaf- bis Aufwachzeit
+                            if (context.dataset.clockTime) {
+                                return Array.isArray(context.raw)
+                                    ? `${label}: ${SleepLog.formatClockOffset(context.raw[0])}–${SleepLog.formatClockOffset(context.raw[1])}`
+                                    : `${label}: ${SleepLog.formatClockOffset(value)}`;
+                            }
+                            
+                            // Eigene Metriken tragen die Einheit bereits im Label
+                            if (context.dataset.customMetric) {
+                                return `${label}: ${value}`;
+                            }
+                            
                             // Spezielle Formatierung für verschiedene Metriken
                             if (label.includes('Schritte')) {
                                 return `${label}: ${Math.round(value * 1000).toLocaleString()}`;
@@ -11057,12 +17631,92 @@ getChartConfiguration(chartData, metricFilter) {
                 intersect: false,
                 mode: 'index'
             }
-        }
+        },
+        // Liest die Phasen aus chart.data - wirkt daher auch nach Daten-Updates ohne Neuaufbau
+        plugins: [this.getCyclePhasePlugin()]
     };
 
     return baseConfig;
 }
 
+/**
+ * Metriken, die mit dem Zyklus schwanken - nur dort werden Phasen hinterlegt
+ */
+hasCyclePhaseOverlay(metricFilter) {
+    return this.healthTracker.periods.length > 0 && ['all', 'weight', 'sleepHours'].includes(metricFilter);
+}
+
+/**
+ * Zyklusphase und -tag je Chart-Punkt (gleiche Reihenfolge wie die Labels)
+ */
+getCyclePhaseOverlay(days, metricFilter) {
+    if (!this.hasCyclePhaseOverlay(metricFilter)) return null;
+    
+    const periods = this.healthTracker.periods;
+    const stats = CycleTracker.getCycleStats(periods);
+    return days.map(day => {
+        const info = CycleTracker.getCycleDay(periods, day.date, stats);
+        return info ? { phase: info.phase, cycleDay: info.cycleDay } : null;
+    });
+}
+
+getCyclePhaseSubtitle(metricFilter) {
+    return {
+        display: this.hasCyclePhaseOverlay(metricFilter),
+        text: CycleTracker.PHASES.map(phase => `${phase.emoji} ${phase.label}`).join('   '),
+        font: { size: 11 },
+        padding: { bottom: 8 }
+    };
+}
+
+/**
+ * Tooltip-Fußzeile: Zyklustag und Phase bzw. Blutzucker-Messungen im Zielbereich des Punktes
+ */
+getTooltipFooter(items) {
+    const data = items[0]?.chart.data;
+    const index = items[0]?.dataIndex;
+    const lines = [];
+    
+    const info = data?.cyclePhases?.[index];
+    if (info) lines.push(`Zyklustag ${info.cycleDay} · ${CycleTracker.getPhase(info.phase).label}`);
+    
+    const timeInRange = data?.glucoseTimeInRange?.[index];
+    if (timeInRange) {
+        lines.push(`Im Zielbereich: ${timeInRange.inRange}/${timeInRange.total} Messungen (${timeInRange.percentInRange} %)`);
+    }
+    return lines;
+}
+
+/**
+ * Zyklusphasen als transparente Hintergrundbänder hinter den Kurven
+ */
+getCyclePhasePlugin() {
+    return {
+        id: 'cyclePhases',
+        beforeDatasetsDraw(chart) {
+            const phases = chart.data.cyclePhases;
+            const xScale = chart.scales.x;
+            if (!phases?.some(Boolean) || !xScale) return;
+            
+            const { ctx, chartArea } = chart;
+            const step = phases.length > 1
+                ? xScale.getPixelForValue(1) - xScale.getPixelForValue(0)
+                : chartArea.right - chartArea.left;
+            
+            ctx.save();
+            phases.forEach((info, index) => {
+                if (!info) return;
+                const center = xScale.getPixelForValue(index);
+                const left = Math.max(chartArea.left, center - step / 2);
+                const right = Math.min(chartArea.right, center + step / 2);
+                ctx.fillStyle = `rgba(${CycleTracker.getPhase(info.phase).color}, 0.1)`;
+                ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top);
+            });
+            ctx.restore();
+        }
+    };
+}
+
 /**
  * NEUE METHODE: Scales-Konfiguration je nach Metric-Filter
  */
@@ -11083,10 +17737,18 @@ getScalesConfiguration(metricFilter, isSingleMetric) {
             'steps': { label: 'Schritte (in Tausend)', color: 'rgb(99, 102, 241)' },
             'waterIntake': { label: 'Wasser (Liter)', color: 'rgb(59, 130, 246)' },
             'sleepHours': { label: 'Schlaf (Stunden)', color: 'rgb(16, 185, 129)' },
-            'weight': { label: 'Gewicht (Kilogramm)', color: 'rgb(245, 101, 101)' }
+            'sleepTimeline': { label: 'Uhrzeit', color: 'rgb(99, 102, 241)' },
+            'weight': { label: 'Gewicht (Kilogramm)', color: 'rgb(245, 101, 101)' },
+            'bloodPressure': { label: 'Blutdruck (mmHg)', color: 'rgb(220, 38, 38)' },
+            'restingHeartRate': { label: 'Ruhepuls (bpm)', color: 'rgb(244, 63, 94)' },
+            'calories': { label: 'Kalorien (kcal)', color: 'rgb(234, 88, 12)' },
+            'energy': { label: 'Energie (kcal)', color: 'rgb(234, 88, 12)' },
+            'body': { label: 'Umfang (cm) / Magermasse (kg)', color: 'rgb(168, 85, 247)' },
+            'glucose': { label: `Blutzucker (${this.healthTracker.getGlucoseUnit()})`, color: 'rgb(20, 184, 166)' }
         };
         
-        const config = metricConfig[metricFilter] || { label: 'Werte', color: 'rgb(99, 102, 241)' };
+        const customMetric = this.getCustomTrendMetrics().find(metric => metric.key === metricFilter);
+        const config = metricConfig[metricFilter] || customMetric || { label: 'Werte', color: 'rgb(99, 102, 241)' };
         
         scales.y = {
             type: 'linear',
@@ -11101,6 +17763,36 @@ getScalesConfiguration(metricFilter, isSingleMetric) {
                 color: config.color + '20'
             }
         };
+        
+        // Schlafrhythmus: Uhrzeiten von oben (Abend) nach unten (Morgen), Mitternacht = 0
+        if (metricFilter === 'sleepTimeline') {
+            scales.y.reverse = true;
+            scales.y.ticks = {
+                stepSize: 2,
+                callback: value => SleepLog.formatClockOffset(value)
+            };
+        }
+        
+        // Körpermaße: Prozent und BMI rechts, Taille-Hüfte-Verhältnis (um 0,8) auf eigener Achse
+        if (metricFilter === 'body') {
+            scales.y1 = {
+                type: 'linear',
+                display: true,
+                position: 'right',
+                title: {
+                    display: true,
+                    text: 'Körperfett (%) / BMI'
+                },
+                grid: {
+                    drawOnChartArea: false
+                }
+            };
+            scales.y2 = {
+                type: 'linear',
+                display: false,
+                position: 'right'
+            };
+        }
     } else {
         // Alle Metriken: Multiple Y-Achsen
         scales.y = {
@@ -11126,11 +17818,32 @@ getScalesConfiguration(metricFilter, isSingleMetric) {
             }
         };
         
-        scales.y2 = {
+        scales.y2 = {
+            type: 'linear',
+            display: false,
+            position: 'right'
+        };
+        
+        scales.y3 = {
+            type: 'linear',
+            display: false,
+            position: 'right'
+        };
+        
+        scales.y4 = {
             type: 'linear',
             display: false,
             position: 'right'
         };
+        
+        // Eigene Metriken: je eine unsichtbare Achse, damit unterschiedliche Größenordnungen lesbar bleiben
+        this.getCustomTrendMetrics().forEach(metric => {
+            scales[metric.yAxisID] = {
+                type: 'linear',
+                display: false,
+                position: 'right'
+            };
+        });
     }
 
     return scales;
@@ -11145,10 +17858,18 @@ getChartTitle(metricFilter) {
         'steps': 'Schritte-Entwicklung',
         'waterIntake': 'Wasser-Aufnahme Verlauf',
         'sleepHours': 'Schlaf-Qualität Trends',
-        'weight': 'Gewichtsverlauf'
+        'sleepTimeline': 'Schlafrhythmus (Einschlaf- bis Aufwachzeit)',
+        'weight': 'Gewichtsverlauf',
+        'bloodPressure': 'Blutdruck (systolisch/diastolisch)',
+        'restingHeartRate': 'Ruhepuls-Verlauf',
+        'calories': 'Kalorienaufnahme',
+        'energy': 'Energiebilanz (Aufnahme minus Aktivität)',
+        'body': 'Körpermaße & Körperzusammensetzung',
+        'glucose': 'Blutzucker & Zielbereich'
     };
+    const definition = this.healthTracker.getMetricDefinition(metricFilter);
     
-    return titles[metricFilter] || 'Gesundheitstrends';
+    return titles[metricFilter] || (definition ? `${definition.name}-Verlauf` : 'Gesundheitstrends');
 }
 
 /**
@@ -11162,11 +17883,332 @@ updateChartTitle(metricFilter) {
             'steps': 'Schritte Trends',
             'waterIntake': 'Wasser Trends', 
             'sleepHours': 'Schlaf Trends',
-            'weight': 'Gewicht Trends'
+            'sleepTimeline': 'Schlafrhythmus',
+            'weight': 'Gewicht Trends',
+            'bloodPressure': 'Blutdruck Trends',
+            'restingHeartRate': 'Ruhepuls Trends',
+            'calories': 'Kalorien Trends',
+            'energy': 'Energiebilanz',
+            'body': 'Körpermaße Trends',
+            'glucose': 'Blutzucker Trends'
         };
+        const definition = this.healthTracker.getMetricDefinition(metricFilter);
         
-        titleElement.textContent = titles[metricFilter] || 'Trends & Entwicklung';
+        titleElement.textContent = titles[metricFilter] || (definition ? `${definition.name} Trends` : 'Trends & Entwicklung');
+    }
+}
+
+/**
+ * Eigene Metriken als Trend-Reihen (Farbe aus fester Palette, eigene Achse)
+ */
+getCustomTrendMetrics() {
+    const palette = ['rgb(236, 72, 153)', 'rgb(234, 179, 8)', 'rgb(20, 184, 166)', 'rgb(168, 85, 247)', 'rgb(249, 115, 22)', 'rgb(14, 165, 233)'];
+    
+    return this.healthTracker.getActiveMetricDefinitions().map((definition, index) => ({
+        key: definition.key,
+        label: definition.unit ? `${definition.name} (${definition.unit})` : definition.name,
+        color: palette[index % palette.length],
+        scale: 1,
+        yAxisID: `y_${definition.key}`,
+        custom: true
+    }));
+}
+
+/**
+ * Blutdruck als Band: systolisch füllt bis zur diastolischen Linie
+ * Zusätzlich gestrichelt die Grenze zur Hypertonie Grad 1 (130/80)
+ */
+getBloodPressureDatasets(days) {
+    const systolic = days.map(day => day.systolic ?? null);
+    const diastolic = days.map(day => day.diastolic ?? null);
+    if (!systolic.some(value => value !== null)) return [];
+    
+    const limitLine = (label, value) => ({
+        label,
+        data: days.map(() => value),
+        borderColor: 'rgba(234, 179, 8, 0.8)',
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        fill: false
+    });
+    
+    return [
+        {
+            label: 'Systolisch (mmHg)',
+            data: systolic,
+            borderColor: 'rgb(220, 38, 38)',
+            backgroundColor: 'rgba(220, 38, 38, 0.15)',
+            borderWidth: 3,
+            fill: '+1',
+            tension: 0.1,
+            pointRadius: 5,
+            spanGaps: true
+        },
+        {
+            label: 'Diastolisch (mmHg)',
+            data: diastolic,
+            borderColor: 'rgb(59, 130, 246)',
+            borderWidth: 3,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 5,
+            spanGaps: true
+        },
+        limitLine('Grenze systolisch', 130),
+        limitLine('Grenze diastolisch', 80)
+    ];
+}
+
+/**
+ * Energiebilanz je Tag: Aufnahme minus geschätzter Aktivitätsverbrauch aus Schritten
+ * Verbrauch ≈ Schritte × Körpergewicht × 0,0005 kcal - Gewicht des Tages oder zuletzt bekanntes
+ * @param {Array} days - nach Tag aggregierte Daten, älteste zuerst
+ */
+getEnergyBalanceDays(days) {
+    const fallbackWeight = days.find(day => day.weight)?.weight || 70;
+    let weight = fallbackWeight;
+    
+    return days.map(day => {
+        if (day.weight) weight = day.weight;
+        const intake = day.calories ?? null;
+        const activity = day.steps ? Math.round(day.steps * weight * 0.0005) : 0;
+        return {
+            date: day.date,
+            intake,
+            activity,
+            net: intake !== null ? intake - activity : null
+        };
+    });
+}
+
+/**
+ * Energiebilanz als Linien für Aufnahme und Aktivität, Balken für die Bilanz
+ */
+getEnergyDatasets(days) {
+    const balance = this.getEnergyBalanceDays(days);
+    if (!balance.some(day => day.intake !== null)) return [];
+    
+    const datasets = [
+        {
+            label: 'Aufnahme (kcal)',
+            data: balance.map(day => day.intake),
+            borderColor: 'rgb(234, 88, 12)',
+            borderWidth: 3,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 5,
+            spanGaps: true
+        },
+        {
+            label: 'Aktivität (kcal)',
+            data: balance.map(day => day.activity || null),
+            borderColor: 'rgb(99, 102, 241)',
+            borderWidth: 2,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 3,
+            spanGaps: true
+        },
+        {
+            type: 'bar',
+            label: 'Bilanz (kcal)',
+            data: balance.map(day => day.net),
+            backgroundColor: 'rgba(234, 88, 12, 0.25)',
+            borderColor: 'rgba(234, 88, 12, 0.6)',
+            borderWidth: 1
+        }
+    ];
+    
+    const calorieGoal = this.healthTracker.goals?.calorieGoal;
+    if (calorieGoal) {
+        datasets.push({
+            label: 'Kalorienziel',
+            data: balance.map(() => calorieGoal),
+            borderColor: 'rgba(34, 197, 94, 0.8)',
+            borderDash: [6, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill: false
+        });
+    }
+    return datasets;
+}
+
+/**
+ * Körpermaße (cm) und Körperfett plus abgeleitete Werte. Gewicht und Maße werden selten am
+ * selben Tag erfasst - für BMI, Magermasse und Taille-Hüfte-Verhältnis gilt der letzte bekannte Wert
+ */
+getBodyDatasets(days) {
+    const height = this.healthTracker.goals?.height;
+    const known = {};
+    const derived = days.map(day => {
+        ['weight', 'waist', 'hip', 'bodyFat'].forEach(key => {
+            if (day[key] !== null && day[key] !== undefined) known[key] = day[key];
+        });
+        const composition = MetricRegistry.calculateBodyComposition(known, height);
+        // Nur an Tagen mit neuer Messung einen Punkt setzen
+        const measured = keys => keys.some(key => day[key] !== null && day[key] !== undefined);
+        return {
+            bmi: measured(['weight']) ? composition.bmi : null,
+            leanMass: measured(['weight', 'bodyFat']) ? composition.leanMass : null,
+            waistToHip: measured(['waist', 'hip']) ? composition.waistToHip : null
+        };
+    });
+    
+    const line = (label, data, color, options = {}) => ({
+        label,
+        data,
+        borderColor: color,
+        borderWidth: 2,
+        fill: false,
+        tension: 0.1,
+        pointRadius: 4,
+        spanGaps: true,
+        yAxisID: 'y',
+        ...options
+    });
+    const colors = {
+        waist: 'rgb(168, 85, 247)',
+        hip: 'rgb(236, 72, 153)',
+        chest: 'rgb(59, 130, 246)',
+        arm: 'rgb(16, 185, 129)',
+        thigh: 'rgb(234, 179, 8)'
+    };
+    
+    const datasets = MetricRegistry.BODY_MEASUREMENTS.map(key =>
+        line(`${MetricRegistry.METRICS[key].label} (cm)`, days.map(day => day[key] ?? null), colors[key]));
+    datasets.push(
+        line('Körperfett (%)', days.map(day => day.bodyFat ?? null), 'rgb(239, 68, 68)', { borderWidth: 3, yAxisID: 'y1' }),
+        line('BMI', derived.map(day => day.bmi), 'rgb(100, 116, 139)', { borderDash: [6, 4], yAxisID: 'y1' }),
+        line('Magermasse (kg)', derived.map(day => day.leanMass), 'rgb(20, 184, 166)', { borderDash: [6, 4] }),
+        line('Taille-Hüfte-Verhältnis', derived.map(day => day.waistToHip), 'rgb(249, 115, 22)', { borderDash: [2, 3], yAxisID: 'y2' })
+    );
+    
+    // Nicht erfasste Maße weglassen, damit die Legende übersichtlich bleibt
+    return datasets.filter(dataset => dataset.data.some(value => value !== null));
+}
+
+/**
+ * Blutzucker in der Anzeigeeinheit: Tagesmittel (Punktfarbe nach Zielbereich), Tiefst- und Höchstwert
+ * des Tages und der Zielbereich als grün hinterlegtes Band
+ * @param {Array} days - nach Tag aggregierte Daten, älteste zuerst
+ * @param {Array} entries - einzelne Einträge für Tiefst-/Höchstwerte
+ */
+getGlucoseDatasets(days, entries) {
+    if (!days.some(day => day.glucose !== null && day.glucose !== undefined)) return [];
+    
+    const unit = this.healthTracker.getGlucoseUnit();
+    const range = this.healthTracker.getGlucoseRange();
+    const toUnit = value => value !== null && value !== undefined ? MetricRegistry.convertGlucose(value, 'mg/dL', unit) : null;
+    const pointColors = {
+        veryLow: 'rgb(185, 28, 28)',
+        low: 'rgb(239, 68, 68)',
+        inRange: 'rgb(34, 197, 94)',
+        high: 'rgb(234, 88, 12)'
+    };
+    
+    const readingsByDay = entries.reduce((groups, entry) => {
+        if (entry.glucose === null || entry.glucose === undefined) return groups;
+        const key = this.healthTracker.getDateKey(entry.date);
+        (groups[key] = groups[key] || []).push(entry.glucose);
+        return groups;
+    }, {});
+    // Tiefst-/Höchstwert nur an Tagen mit mehreren Messungen - sonst deckt er sich mit dem Mittel
+    const extreme = pick => days.map(day => {
+        const readings = readingsByDay[day.date] || [];
+        return readings.length > 1 ? toUnit(pick(...readings)) : null;
+    });
+    const limitLine = (label, value, options = {}) => ({
+        label,
+        data: days.map(() => toUnit(value)),
+        borderColor: 'rgba(34, 197, 94, 0.7)',
+        borderDash: [6, 4],
+        borderWidth: 1,
+        pointRadius: 0,
+        pointHoverRadius: 0,
+        fill: false,
+        ...options
+    });
+    const extremePoints = (label, data, color) => ({
+        label,
+        data,
+        borderColor: color,
+        backgroundColor: color,
+        showLine: false,
+        pointStyle: 'triangle',
+        pointRadius: 4
+    });
+    
+    const datasets = [
+        {
+            label: `Blutzucker Ø (${unit})`,
+            data: days.map(day => toUnit(day.glucose)),
+            borderColor: 'rgb(20, 184, 166)',
+            pointBackgroundColor: days.map(day =>
+                pointColors[MetricRegistry.classifyGlucose(day.glucose, range)] || 'rgb(20, 184, 166)'),
+            borderWidth: 3,
+            fill: false,
+            tension: 0.1,
+            pointRadius: 5,
+            spanGaps: true
+        },
+        extremePoints('Tiefstwert', extreme(Math.min), 'rgba(239, 68, 68, 0.7)'),
+        extremePoints('Höchstwert', extreme(Math.max), 'rgba(234, 88, 12, 0.7)'),
+        // Band: die obere Grenze füllt bis zur unteren (nächstes Dataset)
+        limitLine('Zielbereich oben', range.high, { backgroundColor: 'rgba(34, 197, 94, 0.12)', fill: '+1' }),
+        limitLine('Zielbereich unten', range.low)
+    ];
+    
+    return datasets.filter(dataset => dataset.data.some(value => value !== null));
+}
+
+/**
+ * Schlafrhythmus: je Nacht ein schwebender Balken von Einschlaf- bis Aufwachzeit (Farbe nach Schlafqualität)
+ * und das Einschlafziel als gestrichelte Linie
+ * @param {Array} days - nach Tag aggregierte Daten, älteste zuerst
+ */
+getSleepTimelineDatasets(days) {
+    if (!days.some(day => day.bedtime && day.wakeTime)) return [];
+    
+    const qualityColors = {
+        1: 'rgba(239, 68, 68, 0.75)',
+        2: 'rgba(249, 115, 22, 0.75)',
+        3: 'rgba(234, 179, 8, 0.75)',
+        4: 'rgba(34, 197, 94, 0.75)',
+        5: 'rgba(16, 185, 129, 0.75)'
+    };
+    const targetBedtime = this.healthTracker.getTargetBedtime();
+    
+    const datasets = [{
+        type: 'bar',
+        label: 'Schlaf',
+        data: days.map(day => day.bedtime && day.wakeTime
+            ? [SleepLog.toClockOffset(day.bedtime), SleepLog.toClockOffset(day.wakeTime)]
+            : null),
+        backgroundColor: days.map(day => qualityColors[day.sleepQuality] || 'rgba(99, 102, 241, 0.6)'),
+        borderRadius: 4,
+        borderSkipped: false,
+        clockTime: true
+    }];
+    
+    if (targetBedtime) {
+        datasets.push({
+            label: `Einschlafziel (${targetBedtime})`,
+            data: days.map(() => SleepLog.toClockOffset(targetBedtime)),
+            borderColor: 'rgba(99, 102, 241, 0.8)',
+            borderDash: [6, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            pointHoverRadius: 0,
+            fill: false,
+            clockTime: true
+        });
     }
+    
+    return datasets;
 }
 
 /**
@@ -11184,7 +18226,9 @@ prepareTrendsData(data, metricFilter = 'all') {
 
     // Datenvalidierung
     const validEntries = data.filter(item => {
-        const hasAnyData = item.steps || item.waterIntake || item.sleepHours || item.weight;
+        const hasAnyData = item.steps || item.waterIntake || item.sleepHours || item.weight ||
+            item.systolic || item.restingHeartRate || item.calories || item.waist || item.hip || item.chest ||
+            item.arm || item.thigh || item.bodyFat || item.glucose || item.sleepQuality || (item.custom && Object.keys(item.custom).length > 0);
         const hasValidDate = item.date && !isNaN(new Date(item.date).getTime());
         return hasValidDate && hasAnyData;
     });
@@ -11193,12 +18237,13 @@ prepareTrendsData(data, metricFilter = 'all') {
         return { labels: [], datasets: [] };
     }
 
-    // Daten nach Datum sortieren
-    const sortedData = [...validEntries].sort((a, b) => new Date(a.date) - new Date(b.date));
+    // Ein Punkt pro Tag - mehrere Einträge nach MetricRegistry-Regeln zusammenfassen
+    const sortedData = MetricRegistry.aggregateByDay(validEntries, entry => this.healthTracker.getDateKey(entry.date),
+        this.healthTracker.metricDefinitions).reverse();
     
     // Labels erstellen
     const labels = sortedData.map(item => {
-        const date = new Date(item.date);
+        const date = new Date(`${item.date}T12:00:00`);
         return date.toLocaleDateString('de-DE', { 
             month: 'short', 
             day: 'numeric' 
@@ -11234,9 +18279,50 @@ prepareTrendsData(data, metricFilter = 'all') {
             color: 'rgb(245, 101, 101)', 
             scale: 1,
             yAxisID: 'y2'
-        }
+        },
+        { 
+            key: 'restingHeartRate', 
+            label: 'Ruhepuls (bpm)', 
+            color: 'rgb(244, 63, 94)', 
+            scale: 1,
+            yAxisID: 'y3'
+        },
+        { 
+            key: 'calories', 
+            label: 'Kalorien (kcal)', 
+            color: 'rgb(234, 88, 12)', 
+            scale: 1,
+            yAxisID: 'y4'
+        },
+        ...this.getCustomTrendMetrics()
     ];
 
+    if (metricFilter === 'bloodPressure') {
+        return { labels, datasets: this.getBloodPressureDatasets(sortedData), metricFilter };
+    }
+
+    if (metricFilter === 'energy') {
+        return { labels, datasets: this.getEnergyDatasets(sortedData), metricFilter };
+    }
+
+    if (metricFilter === 'body') {
+        return { labels, datasets: this.getBodyDatasets(sortedData), metricFilter };
+    }
+
+    if (metricFilter === 'sleepTimeline') {
+        return { labels, datasets: this.getSleepTimelineDatasets(sortedData), metricFilter };
+    }
+
+    if (metricFilter === 'glucose') {
+        const timeInRange = this.getGlucoseTimeInRange(validEntries);
+        return {
+            labels,
+            datasets: this.getGlucoseDatasets(sortedData, validEntries),
+            metricFilter,
+            glucoseTimeInRange: sortedData.map(day => timeInRange.days[day.date] || null)
+        };
+    }
+
     // Metric-Filtering
     const metricsToShow = metricFilter === 'all' 
         ? allMetrics 
@@ -11247,7 +18333,7 @@ prepareTrendsData(data, metricFilter = 'all') {
     
     metricsToShow.forEach(metric => {
         const values = sortedData.map(item => {
-            const value = item[metric.key];
+            const value = MetricRegistry.getDayValue(item, metric.key);
             return (value !== null && value !== undefined) ? (value * metric.scale) : null;
         });
 
@@ -11264,7 +18350,8 @@ prepareTrendsData(data, metricFilter = 'all') {
                 tension: 0.1,
                 pointRadius: metricFilter === 'all' ? 4 : 6,
                 pointHoverRadius: metricFilter === 'all' ? 6 : 8,
-                yAxisID: metric.yAxisID || 'y',
+                yAxisID: metric.custom && metricFilter !== 'all' ? 'y' : (metric.yAxisID || 'y'),
+                customMetric: !!metric.custom,
                 spanGaps: true
             });
         }
@@ -11273,7 +18360,8 @@ prepareTrendsData(data, metricFilter = 'all') {
     return {
         labels,
         datasets,
-        metricFilter: metricFilter
+        metricFilter: metricFilter,
+        cyclePhases: this.getCyclePhaseOverlay(sortedData, metricFilter)
     };
 }
 
@@ -11349,9 +18437,14 @@ async updateHeatmapChart(analyticsData) {
 calculateDateRange(data) {
     if (!data || data.length === 0) return null;
     
+    // Tage als lokale Mittagszeit - setDate() im Grid bleibt so auch über DST-Wechsel am richtigen Tag
     const validDates = data
-        .map(entry => this.ensureValidDate(entry.date || entry.timestamp || entry.created_at))
-        .filter(date => date !== null)
+        .map(entry => this.healthTracker.getDateKey(entry.date || entry.timestamp || entry.created_at))
+        .filter(Boolean)
+        .map(dateKey => {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            return new Date(year, month - 1, day, 12);
+        })
         .sort((a, b) => a - b);
     
     if (validDates.length === 0) {
@@ -11506,7 +18599,7 @@ renderHeatmapGrid(container, data, dateRange) {
     
     try {
         // Daten für schnelle Lookups vorbereiten
-        const dataMap = this.prepareHeatmapData(data);
+        const dataMap = this.prepareHeatmapData(data, this.heatmapMetric);
         
         // Heatmap Container erstellen
         const heatmapWrapper = document.createElement('div');
@@ -11596,9 +18689,20 @@ ensureValidDate(dateInput) {
 /**
  * Helper: Daten für Heatmap vorbereiten
  */
-prepareHeatmapData(data) {
+prepareHeatmapData(data, metric = 'all') {
     const dataMap = {};
     
+    // Einzelne Metrik: Tageswerte nach den Aggregationsregeln der Metrik
+    if (metric !== 'all') {
+        const days = MetricRegistry.aggregateByDay(data, entry => this.healthTracker.getDateKey(entry.date),
+            this.healthTracker.metricDefinitions);
+        days.forEach(day => {
+            const value = MetricRegistry.getDayValue(day, metric);
+            if (typeof value === 'number') dataMap[day.date] = value;
+        });
+        return dataMap;
+    }
+    
     data.forEach((entry, index) => {
         try {
             // Flexibles Datum-Feld finden
@@ -11606,8 +18710,8 @@ prepareHeatmapData(data) {
             const validDate = this.ensureValidDate(dateField);
             
             if (validDate) {
-                // Datum als YYYY-MM-DD String für Key verwenden
-                const dateKey = validDate.toISOString().split('T')[0];
+                // Kalendertag als YYYY-MM-DD Key (lokale Zeitzone, wie Dashboard und Server)
+                const dateKey = this.healthTracker.getDateKey(dateField);
                 
                 // Wert extrahieren (flexibel)
                 const value = entry.value || entry.count || entry.score || entry.weight || 1;
@@ -11675,11 +18779,24 @@ createWeekColumn(startDate, endDate, dataMap, maxValue) {
     return weekContainer;
 }
 
+/**
+ * Helper: Zellwert mit Einheit der gewählten Heatmap-Metrik
+ */
+formatHeatmapValue(value) {
+    if (this.heatmapMetric === 'all') return `${value} Einträge`;
+    
+    const definition = this.healthTracker.getMetricDefinition(this.heatmapMetric);
+    if (definition) return this.healthTracker.formatCustomValue(definition, value);
+    
+    const unit = MetricRegistry.METRICS[this.heatmapMetric]?.unit;
+    return unit ? `${value} ${unit}` : `${value}`;
+}
+
 /**
  * Helper: Tag-Zelle erstellen
  */
 createDayCell(date, dataMap, maxValue) {
-    const dateKey = date.toISOString().split('T')[0];
+    const dateKey = this.healthTracker.getLocalDateKey(date);
     const value = dataMap[dateKey] || 0;
     
     const cell = document.createElement('div');
@@ -11692,7 +18809,7 @@ createDayCell(date, dataMap, maxValue) {
     // Tooltip-Daten
     cell.setAttribute('data-date', dateKey);
     cell.setAttribute('data-value', value);
-    cell.setAttribute('title', `${this.formatDate(date)}: ${value} Einträge`);
+    cell.setAttribute('title', `${this.formatDate(date)}: ${this.formatHeatmapValue(value)}`);
     
     // Click-Handler für Details
     cell.addEventListener('click', () => {
@@ -12503,28 +19620,8 @@ calculateGoalAchievementRate(periodData) {
  * Calculate current streak
  */
 calculateCurrentStreak(allData) {
-    if (!allData || allData.length === 0) return 0;
-    
-    let streak = 0;
-    const today = new Date();
-    
-    for (let i = 0; i < 365; i++) {
-        const checkDate = new Date(today.getTime() - (i * 24 * 60 * 60 * 1000));
-        const dateStr = checkDate.toISOString().split('T')[0];
-        
-        const hasEntry = allData.some(entry => {
-            const entryDate = typeof entry.date === 'string' ? entry.date.split('T')[0] : entry.date;
-            return entryDate === dateStr;
-        });
-        
-        if (hasEntry) {
-            streak++;
-        } else {
-            break;
-        }
-    }
-    
-    return streak;
+    // Gleiche Tagesgrenzen wie Dashboard und Server
+    return this.healthTracker.calculateCurrentStreak(allData || []);
 }
 
 /**
@@ -12682,6 +19779,347 @@ generateInsights(periodData) {
         });
     }
     
+    insights.push(...this.getSleepInsights(periodData));
+    insights.push(...this.getCycleInsights(periodData));
+    insights.push(...this.getNutritionInsights(periodData));
+    
+    // Kreislauf- und Blutzucker-Hinweise zuerst - sie wiegen schwerer als Aktivitätstipps
+    insights.unshift(...this.getGlucoseInsights(periodData));
+    insights.unshift(...this.getCardioInsights(periodData));
+    
+    return insights;
+}
+
+/**
+ * Kalorien im Verhältnis zum Ziel, Eiweißanteil und Energiebilanz (nur Tage mit Mahlzeiten)
+ */
+getNutritionInsights(periodData) {
+    const insights = [];
+    const days = MetricRegistry.aggregateByDay(periodData, entry => this.healthTracker.getDateKey(entry.date)).reverse();
+    const loggedDays = this.getEnergyBalanceDays(days).filter(day => day.intake);
+    if (loggedDays.length === 0) return insights;
+    
+    const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const avgIntake = Math.round(average(loggedDays.map(day => day.intake)));
+    const avgNet = Math.round(average(loggedDays.map(day => day.net)));
+    const calorieGoal = this.healthTracker.goals?.calorieGoal;
+    
+    if (calorieGoal) {
+        const ratio = avgIntake / calorieGoal;
+        const onTarget = ratio >= 0.9 && ratio <= 1.1;
+        insights.push({
+            type: onTarget ? 'success' : 'info',
+            icon: 'utensils',
+            title: onTarget ? 'Kalorienziel im Griff' : (ratio > 1.1 ? 'Über dem Kalorienziel' : 'Unter dem Kalorienziel'),
+            description: `Ø ${avgIntake.toLocaleString('de-DE')} kcal an ${loggedDays.length} Tag${loggedDays.length === 1 ? '' : 'en'} mit Mahlzeiten ` +
+                `(Ziel ${calorieGoal.toLocaleString('de-DE')} kcal). Abzüglich Schritte bleiben Ø ${avgNet.toLocaleString('de-DE')} kcal.`
+        });
+    } else {
+        insights.push({
+            type: 'info',
+            icon: 'utensils',
+            title: 'Energiebilanz',
+            description: `Ø ${avgIntake.toLocaleString('de-DE')} kcal aufgenommen, nach Abzug der Schritte Ø ${avgNet.toLocaleString('de-DE')} kcal. ` +
+                'Lege ein Kalorienziel fest, um die Werte einzuordnen.'
+        });
+    }
+    
+    // Eiweiß: unter 15 % der Energie ist für die meisten Erwachsenen wenig
+    const proteinDays = days.filter(day => day.calories && day.protein !== null && day.protein !== undefined);
+    if (proteinDays.length > 0) {
+        const proteinShare = average(proteinDays.map(day => day.protein * 4 / day.calories));
+        if (proteinShare < 0.15) {
+            insights.push({
+                type: 'warning',
+                icon: 'beef',
+                title: 'Wenig Eiweiß',
+                description: `Nur ${Math.round(proteinShare * 100)} % deiner Energie stammen aus Eiweiß - 15-25 % sind ein guter Richtwert.`
+            });
+        }
+    }
+    
+    return insights;
+}
+
+/**
+ * Blutdruck-Kategorie (Mittel aller Messungen) und Ruhepuls-Entwicklung
+ */
+getCardioInsights(periodData) {
+    const insights = [];
+    const readings = periodData.filter(d => d.systolic && d.diastolic);
+    
+    if (readings.length > 0) {
+        const systolic = Math.round(readings.reduce((sum, d) => sum + d.systolic, 0) / readings.length);
+        const diastolic = Math.round(readings.reduce((sum, d) => sum + d.diastolic, 0) / readings.length);
+        const category = MetricRegistry.classifyBloodPressure(systolic, diastolic);
+        const highReadings = readings.filter(d =>
+            MetricRegistry.classifyBloodPressure(d.systolic, d.diastolic).severity >= 2).length;
+        const styles = ['success', 'info', 'warning', 'error', 'error'];
+        const advice = {
+            normal: 'Dein Blutdruck liegt im optimalen Bereich.',
+            elevated: 'Leicht erhöht - Bewegung, wenig Salz und Stressabbau helfen.',
+            stage1: 'Lass die Werte bei deinem nächsten Arztbesuch prüfen.',
+            stage2: 'Bitte die Werte zeitnah ärztlich abklären lassen.',
+            crisis: 'Sehr hohe Werte - bei Beschwerden sofort ärztliche Hilfe holen.'
+        };
+        
+        insights.push({
+            type: styles[category.severity],
+            icon: 'heart-pulse',
+            title: `Blutdruck: ${category.label}`,
+            description: `Ø ${systolic}/${diastolic} mmHg aus ${readings.length} Messung${readings.length === 1 ? '' : 'en'}` +
+                `${highReadings > 0 ? `, davon ${highReadings} im Hypertonie-Bereich` : ''}. ${advice[category.key]}`
+        });
+    }
+    
+    const heartRates = periodData.filter(d => d.restingHeartRate)
+        .sort((a, b) => new Date(a.date) - new Date(b.date))
+        .map(d => d.restingHeartRate);
+    if (heartRates.length >= 4) {
+        const half = Math.floor(heartRates.length / 2);
+        const average = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const change = Math.round(average(heartRates.slice(half)) - average(heartRates.slice(0, half)));
+        
+        if (change <= -3) {
+            insights.push({
+                type: 'success',
+                icon: 'heart',
+                title: 'Ruhepuls sinkt',
+                description: `Dein Ruhepuls ist um ${Math.abs(change)} bpm gefallen - ein Zeichen besserer Fitness.`
+            });
+        } else if (change >= 5) {
+            insights.push({
+                type: 'warning',
+                icon: 'heart',
+                title: 'Ruhepuls steigt',
+                description: `Plus ${change} bpm im Zeitraum - oft ein Hinweis auf Stress, Schlafmangel oder einen Infekt.`
+            });
+        }
+    }
+    
+    return insights;
+}
+
+/**
+ * Blutzucker-Messungen im Zielbereich je Tag, Kalenderwoche (Montag) und gesamt
+ * @returns {{ range, days: Object, weeks: Object, overall }} Werte wie MetricRegistry.calculateTimeInRange
+ */
+getGlucoseTimeInRange(entries) {
+    const range = this.healthTracker.getGlucoseRange();
+    const readings = (entries || []).filter(entry =>
+        entry.glucose !== null && entry.glucose !== undefined && this.healthTracker.getDateKey(entry.date));
+    
+    const statsBy = getKey => {
+        const groups = readings.reduce((result, entry) => {
+            const key = getKey(this.healthTracker.getDateKey(entry.date));
+            (result[key] = result[key] || []).push(entry.glucose);
+            return result;
+        }, {});
+        return Object.fromEntries(Object.entries(groups)
+            .map(([key, values]) => [key, MetricRegistry.calculateTimeInRange(values, range)]));
+    };
+    
+    return {
+        range,
+        days: statsBy(dayKey => dayKey),
+        weeks: statsBy(dayKey => this.healthTracker.getWeekStartKey(dayKey)),
+        overall: MetricRegistry.calculateTimeInRange(readings.map(entry => entry.glucose), range)
+    };
+}
+
+/**
+ * Zeit im Zielbereich dieser Woche (mit Vorwoche), Unterzuckerungen und Nüchternwerte
+ */
+getGlucoseInsights(periodData) {
+    const insights = [];
+    const timeInRange = this.getGlucoseTimeInRange(periodData);
+    if (timeInRange.overall.total === 0) return insights;
+    
+    const tracker = this.healthTracker;
+    const currentWeek = tracker.getWeekStartKey();
+    const thisWeek = timeInRange.weeks[currentWeek];
+    const lastWeek = timeInRange.weeks[tracker.shiftDateKey(currentWeek, -7)];
+    const week = thisWeek || timeInRange.overall;
+    const change = thisWeek && lastWeek ? thisWeek.percentInRange - lastWeek.percentInRange : null;
+    
+    // Zielwert der Fachgesellschaften: mehr als 70 % im Zielbereich
+    insights.push({
+        type: week.percentInRange >= 70 ? 'success' : 'warning',
+        icon: 'droplet',
+        title: `${week.percentInRange} % im Blutzucker-Zielbereich`,
+        description: `${week.inRange} von ${week.total} Messungen ${thisWeek ? 'dieser Woche' : 'im Zeitraum'} lagen zwischen ` +
+            `${tracker.formatGlucose(timeInRange.range.low, false)} und ${tracker.formatGlucose(timeInRange.range.high)}` +
+            `${change !== null && change !== 0 ? ` (${change > 0 ? '+' : ''}${change} Prozentpunkte zur Vorwoche)` : ''}.`
+    });
+    
+    const lows = periodData.filter(entry => entry.glucose !== null && entry.glucose !== undefined &&
+        entry.glucose < timeInRange.range.low);
+    if (lows.length > 0) {
+        const severe = lows.filter(entry => entry.glucose < MetricRegistry.SEVERE_LOW_GLUCOSE).length;
+        insights.push({
+            type: 'error',
+            icon: 'alert-triangle',
+            title: `${lows.length} ${lows.length === 1 ? 'Unterzuckerung' : 'Unterzuckerungen'} im Zeitraum`,
+            description: `${severe > 0 ? `Davon ${severe} unter ${tracker.formatGlucose(MetricRegistry.SEVERE_LOW_GLUCOSE)}. ` : ''}` +
+                'Häufen sich niedrige Werte, sprich Medikation und Mahlzeiten mit deinem Diabetes-Team ab.'
+        });
+    }
+    
+    const fasting = periodData.filter(entry => entry.glucoseContext === 'fasting' &&
+        entry.glucose !== null && entry.glucose !== undefined);
+    if (fasting.length >= 3) {
+        const average = fasting.reduce((sum, entry) => sum + entry.glucose, 0) / fasting.length;
+        // Nüchternwerte sollten im unteren Teil des Zielbereichs liegen (bis 130 mg/dL)
+        if (average > 130) {
+            insights.push({
+                type: 'info',
+                icon: 'sunrise',
+                title: 'Erhöhte Nüchternwerte',
+                description: `Deine Nüchternmessungen liegen im Schnitt bei ${tracker.formatGlucose(Math.round(average))}.`
+            });
+        }
+    }
+    
+    return insights;
+}
+
+/**
+ * Regelmäßigkeit des Schlafs aus Einschlaf- und Aufwachzeiten (SleepLog.getSleepConsistency)
+ */
+getSleepConsistency(periodData) {
+    return SleepLog.getSleepConsistency((periodData || []).map(entry => ({
+        date: this.healthTracker.getDateKey(entry.date),
+        bedtime: entry.bedtime,
+        wakeTime: entry.wakeTime
+    })));
+}
+
+/**
+ * Schwankende Einschlafzeit, sozialer Jetlag am Wochenende und empfundene Schlafqualität
+ */
+getSleepInsights(periodData) {
+    const insights = [];
+    const consistency = this.getSleepConsistency(periodData);
+    
+    if (consistency) {
+        // Mehr als eine Stunde Streuung bringt die innere Uhr spürbar durcheinander
+        if (consistency.bedtimeDeviation > 60) {
+            insights.push({
+                type: 'warning',
+                icon: 'moon',
+                title: 'Unregelmäßige Schlafenszeiten',
+                description: `Deine Einschlafzeit schwankt um etwa ${consistency.bedtimeDeviation} Minuten ` +
+                    `(Durchschnitt ${consistency.averageBedtime} Uhr). Feste Zeiten verbessern die Schlafqualität.`
+            });
+        } else if (consistency.bedtimeDeviation <= 30) {
+            insights.push({
+                type: 'success',
+                icon: 'moon',
+                title: 'Regelmäßiger Schlafrhythmus',
+                description: `Du schläfst meist um ${consistency.averageBedtime} Uhr ein und wachst um ` +
+                    `${consistency.averageWakeTime} Uhr auf - ${consistency.nights} Nächte ausgewertet.`
+            });
+        }
+        
+        if (consistency.socialJetlag !== null && Math.abs(consistency.socialJetlag) >= 60) {
+            const hours = Math.round(Math.abs(consistency.socialJetlag) / 6) / 10;
+            insights.push({
+                type: 'info',
+                icon: 'calendar-clock',
+                title: 'Sozialer Jetlag am Wochenende',
+                description: `Am Wochenende liegt deine Schlafmitte ${hours.toLocaleString('de-DE')} Stunden ` +
+                    `${consistency.socialJetlag > 0 ? 'später' : 'früher'} als unter der Woche.`
+            });
+        }
+    }
+    
+    const ratings = periodData.filter(entry => entry.sleepQuality).map(entry => entry.sleepQuality);
+    if (ratings.length >= 3) {
+        const average = ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length;
+        if (average < 3) {
+            insights.push({
+                type: 'warning',
+                icon: 'bed',
+                title: 'Schlafqualität eher schlecht',
+                description: `Du bewertest deinen Schlaf im Schnitt mit ${average.toFixed(1).replace('.', ',')} von 5. ` +
+                    'Achte auf Koffein am Nachmittag und Bildschirmzeit vor dem Schlafen.'
+            });
+        }
+    }
+    
+    return insights;
+}
+
+/**
+ * Aktueller Zyklustag und Vergleich von Gewicht, Schlaf und Stimmung je Phase -
+ * Gewichtsschwankungen vor und während der Periode sind meist Wassereinlagerungen
+ */
+getCycleInsights(periodData) {
+    const insights = [];
+    const status = this.healthTracker.getCycleStatus();
+    if (!status) return insights;
+    
+    if (status.today) {
+        const phase = CycleTracker.getPhase(status.today.phase);
+        insights.push({
+            type: 'info',
+            icon: 'calendar-heart',
+            title: `Zyklustag ${status.today.cycleDay}: ${phase.label}`,
+            description: `Nächste Periode ${this.healthTracker.formatPeriodPrediction(status.prediction)}` +
+                `${status.prediction.estimated ? ' - geschätzt, bis mindestens zwei Perioden erfasst sind' : ''}.`
+        });
+    }
+    
+    // Tage nach Phase gruppieren - Eisprung-Tage sind zu wenige für einen Vergleich
+    const periods = this.healthTracker.periods;
+    const byPhase = { menstrual: [], follicular: [], luteal: [] };
+    MetricRegistry.aggregateByDay(periodData, entry => this.healthTracker.getDateKey(entry.date)).forEach(day => {
+        const info = CycleTracker.getCycleDay(periods, day.date, status.stats);
+        if (info && byPhase[info.phase]) byPhase[info.phase].push(day);
+    });
+    
+    const average = (days, getValue) => {
+        const values = days.map(getValue).filter(value => typeof value === 'number');
+        return values.length >= 2 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+    };
+    
+    const follicularWeight = average(byPhase.follicular, day => day.weight);
+    const premenstrualWeight = average([...byPhase.luteal, ...byPhase.menstrual], day => day.weight);
+    if (follicularWeight !== null && premenstrualWeight !== null && premenstrualWeight - follicularWeight >= 0.3) {
+        insights.push({
+            type: 'info',
+            icon: 'scale',
+            title: 'Gewicht schwankt mit dem Zyklus',
+            description: `In Luteal- und Menstruationsphase wiegst du Ø ${(premenstrualWeight - follicularWeight).toFixed(1)} kg mehr - ` +
+                'meist Wassereinlagerungen. Vergleiche dein Gewicht am besten am gleichen Zyklustag.'
+        });
+    }
+    
+    const follicularSleep = average(byPhase.follicular, day => day.sleepHours);
+    const lutealSleep = average(byPhase.luteal, day => day.sleepHours);
+    if (follicularSleep !== null && lutealSleep !== null && follicularSleep - lutealSleep >= 0.5) {
+        insights.push({
+            type: 'info',
+            icon: 'moon',
+            title: 'Weniger Schlaf in der Lutealphase',
+            description: `Vor der Periode schläfst du Ø ${(follicularSleep - lutealSleep).toFixed(1)} h weniger als in der Follikelphase. ` +
+                'Ein kühles Schlafzimmer und feste Schlafenszeiten können helfen.'
+        });
+    }
+    
+    const moodScores = MetricRegistry.METRICS.mood.scores;
+    const follicularMood = average(byPhase.follicular, day => moodScores[day.mood]);
+    const premenstrualMood = average([...byPhase.luteal, ...byPhase.menstrual], day => moodScores[day.mood]);
+    if (follicularMood !== null && premenstrualMood !== null && follicularMood - premenstrualMood >= 0.75) {
+        insights.push({
+            type: 'info',
+            icon: 'smile',
+            title: 'Stimmung folgt dem Zyklus',
+            description: 'Rund um die Periode ist deine Stimmung spürbar gedrückter als in der Follikelphase - ' +
+                'plane in diesen Tagen bewusst Erholung ein.'
+        });
+    }
+    
     return insights;
 }
 }
@@ -0,0 +1,17 @@
+// Apple Health Import-Worker - export.xml wird hier gelesen, damit die Oberfläche
+// auch bei mehreren hundert MB flüssig bleibt
+
+importScripts('/js/metric-registry.js', '/js/apple-health.js');
+
+self.onmessage = async (event) => {
+    const { file } = event.data || {};
+    try {
+        const result = await AppleHealth.importFile(file, progress => {
+            self.postMessage({ type: 'progress', ...progress });
+        });
+        self.postMessage({ type: 'done', ...result });
+    } catch (error) {
+        console.error('❌ Apple Health Import fehlgeschlagen:', error);
+        self.postMessage({ type: 'error', code: error.code || 'READ_FAILED', message: error.message });
+    }
+};
@@ -0,0 +1,491 @@
+/**
+ * Health Tracker Pro - Apple Health Import
+ * Liest export.zip / export.xml aus der Health-App als Stream, ordnet HealthKit-Typen den
+ * Metriken zu und fasst sie nach den Regeln der Metric Registry pro Tag zusammen -
+ * läuft im Import-Worker (importScripts) und in Node (require)
+ */
+
+(function (root) {
+    'use strict';
+
+    const MetricRegistry = root.MetricRegistry ||
+        (typeof require === 'function' ? require('./metric-registry') : null);
+
+    const LB_TO_KG = 0.45359237;
+    const IN_TO_CM = 2.54;
+    const FL_OZ_TO_L = 0.0295735;
+    const KJ_PER_KCAL = 4.184;
+
+    // Umrechnung in die Einheit der App - unbekannte Einheiten (null) werden übersprungen
+    const UNITS = {
+        count: { count: 1 },
+        mass: { kg: 1, g: 0.001, lb: LB_TO_KG, st: 6.35029318 },
+        water: { L: 1, mL: 0.001, fl_oz_us: FL_OZ_TO_L },
+        length: { cm: 1, m: 100, mm: 0.1, in: IN_TO_CM },
+        energy: { kcal: 1, Cal: 1, kJ: 1 / KJ_PER_KCAL },
+        grams: { g: 1, mg: 0.001 },
+        pressure: { mmHg: 1 },
+        heartRate: { 'count/min': 1 }
+    };
+
+    /**
+     * HealthKit-Mengentypen → Metrik. Herzfrequenz-Einzelmessungen werden nicht übernommen -
+     * die App führt nur den Ruhepuls.
+     */
+    const QUANTITY_TYPES = {
+        HKQuantityTypeIdentifierStepCount: { metric: 'steps', units: UNITS.count },
+        HKQuantityTypeIdentifierDietaryWater: { metric: 'waterIntake', units: UNITS.water },
+        HKQuantityTypeIdentifierBodyMass: { metric: 'weight', units: UNITS.mass },
+        HKQuantityTypeIdentifierRestingHeartRate: { metric: 'restingHeartRate', units: UNITS.heartRate },
+        HKQuantityTypeIdentifierBloodPressureSystolic: { metric: 'systolic', units: UNITS.pressure },
+        HKQuantityTypeIdentifierBloodPressureDiastolic: { metric: 'diastolic', units: UNITS.pressure },
+        HKQuantityTypeIdentifierDietaryEnergyConsumed: { metric: 'calories', units: UNITS.energy },
+        HKQuantityTypeIdentifierDietaryProtein: { metric: 'protein', units: UNITS.grams },
+        HKQuantityTypeIdentifierDietaryCarbohydrates: { metric: 'carbs', units: UNITS.grams },
+        HKQuantityTypeIdentifierDietaryFatTotal: { metric: 'fat', units: UNITS.grams },
+        HKQuantityTypeIdentifierWaistCircumference: { metric: 'waist', units: UNITS.length },
+        // Apple speichert den Körperfettanteil als Bruch (0.21 = 21 %)
+        HKQuantityTypeIdentifierBodyFatPercentage: { metric: 'bodyFat', convert: value => (value <= 1 ? value * 100 : value) },
+        HKQuantityTypeIdentifierBloodGlucose: {
+            metric: 'glucose',
+            convert: (value, unit) => (unit === 'mg/dL' ? value
+                : /^mmol/.test(unit) ? MetricRegistry.convertGlucose(value, 'mmol/L', 'mg/dL')
+                : null)
+        }
+    };
+
+    const SLEEP_TYPE = 'HKCategoryTypeIdentifierSleepAnalysis';
+    const IN_BED = 'HKCategoryValueSleepAnalysisInBed';
+    const ASLEEP_PREFIX = 'HKCategoryValueSleepAnalysisAsleep';
+    // Wachphasen bis zu dieser Länge unterbrechen die Nacht nicht
+    const MAX_SLEEP_GAP_MINUTES = 60;
+
+    const MINUTE_MS = 60 * 1000;
+    // Schlaf, der ab 18:00 endet, gehört schon zur folgenden Nacht
+    const NEXT_NIGHT_OFFSET_MS = 6 * 60 * MINUTE_MS;
+
+    function importError(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    // ========================================================================
+    // ZIP (nur Lesen, ohne Bibliothek - entpackt wird per DecompressionStream)
+    // ========================================================================
+
+    const EOCD_SIGNATURE = 0x06054b50;
+    const EOCD64_LOCATOR_SIGNATURE = 0x07064b50;
+    const CENTRAL_SIGNATURE = 0x02014b50;
+    const MAX_ZIP_LIMIT = 0xFFFFFFFF;
+
+    async function readBytes(blob, start, end) {
+        return new DataView(await blob.slice(start, end).arrayBuffer());
+    }
+
+    function readUint64(view, offset) {
+        return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+    }
+
+    /**
+     * Inhaltsverzeichnis eines ZIP-Archivs (auch ZIP64 - Exporte werden schnell größer als 4 GB)
+     * @returns {Promise<Array<{ name, method, compressedSize, headerOffset }>>}
+     */
+    async function readZipDirectory(blob) {
+        // Der End-of-Central-Directory-Eintrag liegt in den letzten 64 KB (+ 22 Bytes)
+        const tailStart = Math.max(0, blob.size - 65557);
+        const tail = await readBytes(blob, tailStart, blob.size);
+        let eocd = -1;
+        for (let i = tail.byteLength - 22; i >= 0; i--) {
+            if (tail.getUint32(i, true) === EOCD_SIGNATURE) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd === -1) throw importError('INVALID_ZIP', 'No ZIP end of central directory found');
+
+        let count = tail.getUint16(eocd + 10, true);
+        let directorySize = tail.getUint32(eocd + 12, true);
+        let directoryOffset = tail.getUint32(eocd + 16, true);
+
+        if (directoryOffset === MAX_ZIP_LIMIT || count === 0xFFFF) {
+            const locator = eocd - 20;
+            if (locator < 0 || tail.getUint32(locator, true) !== EOCD64_LOCATOR_SIGNATURE) {
+                throw importError('INVALID_ZIP', 'ZIP64 locator missing');
+            }
+            const eocd64Offset = readUint64(tail, locator + 8);
+            const eocd64 = await readBytes(blob, eocd64Offset, eocd64Offset + 56);
+            count = readUint64(eocd64, 32);
+            directorySize = readUint64(eocd64, 40);
+            directoryOffset = readUint64(eocd64, 48);
+        }
+
+        const directory = await readBytes(blob, directoryOffset, directoryOffset + directorySize);
+        const decoder = new TextDecoder();
+        const entries = [];
+        let offset = 0;
+
+        for (let i = 0; i < count && offset + 46 <= directory.byteLength; i++) {
+            if (directory.getUint32(offset, true) !== CENTRAL_SIGNATURE) break;
+            const nameLength = directory.getUint16(offset + 28, true);
+            const extraLength = directory.getUint16(offset + 30, true);
+            const commentLength = directory.getUint16(offset + 32, true);
+            const entry = {
+                name: decoder.decode(new Uint8Array(directory.buffer, directory.byteOffset + offset + 46, nameLength)),
+                flags: directory.getUint16(offset + 8, true),
+                method: directory.getUint16(offset + 10, true),
+                compressedSize: directory.getUint32(offset + 20, true),
+                uncompressedSize: directory.getUint32(offset + 24, true),
+                headerOffset: directory.getUint32(offset + 42, true)
+            };
+
+            // ZIP64-Zusatzfeld: nur die Werte, die im Eintrag auf 0xFFFFFFFF stehen, in fester Reihenfolge
+            let extra = offset + 46 + nameLength;
+            const extraEnd = extra + extraLength;
+            while (extra + 4 <= extraEnd) {
+                const id = directory.getUint16(extra, true);
+                const size = directory.getUint16(extra + 2, true);
+                if (id === 0x0001) {
+                    let field = extra + 4;
+                    ['uncompressedSize', 'compressedSize', 'headerOffset'].forEach(key => {
+                        if (entry[key] === MAX_ZIP_LIMIT) {
+                            entry[key] = readUint64(directory, field);
+                            field += 8;
+                        }
+                    });
+                }
+                extra += 4 + size;
+            }
+
+            entries.push(entry);
+            offset = extraEnd + commentLength;
+        }
+        return entries;
+    }
+
+    /**
+     * Inhalt eines ZIP-Eintrags als Byte-Stream
+     * @param {Function} [onRead] - ({ loaded, total }) je gelesenem Block, gemessen an den komprimierten
+     *        Daten des Eintrags - Fortschritt
+     */
+    async function openZipEntry(blob, entry, onRead) {
+        if (entry.flags & 0x1) throw importError('UNSUPPORTED_ZIP', 'Encrypted ZIP entries are not supported');
+        if (entry.method !== 0 && entry.method !== 8) {
+            throw importError('UNSUPPORTED_ZIP', `ZIP compression method ${entry.method} is not supported`);
+        }
+
+        // Die Längen im lokalen Header können von denen im Verzeichnis abweichen
+        const header = await readBytes(blob, entry.headerOffset, entry.headerOffset + 30);
+        const dataStart = entry.headerOffset + 30 + header.getUint16(26, true) + header.getUint16(28, true);
+        const stream = withProgress(blob.slice(dataStart, dataStart + entry.compressedSize).stream(), entry.compressedSize, onRead);
+        return entry.method === 8 ? stream.pipeThrough(new DecompressionStream('deflate-raw')) : stream;
+    }
+
+    /**
+     * Gelesene Bytes mitzählen - loaded und total beziehen sich immer auf dieselben Rohdaten
+     */
+    function withProgress(stream, total, onRead) {
+        if (!onRead) return stream;
+        let loaded = 0;
+        return stream.pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                loaded += chunk.byteLength;
+                onRead({ loaded, total });
+                controller.enqueue(chunk);
+            }
+        }));
+    }
+
+    /**
+     * export.xml als Text-Stream - direkt oder aus export.zip
+     * @param {Function} [onRead] - ({ loaded, total }) Bytes der Datei bzw. des komprimierten ZIP-Eintrags
+     * @returns {Promise<ReadableStream<string>>}
+     */
+    async function openExport(file, onRead) {
+        const name = String(file.name || '').toLowerCase();
+        if (name.endsWith('.xml')) {
+            return withProgress(file.stream(), file.size, onRead).pipeThrough(new TextDecoderStream());
+        }
+        if (!name.endsWith('.zip')) throw importError('UNSUPPORTED_FILE', 'Expected export.zip or export.xml');
+
+        const entries = await readZipDirectory(file);
+        // "export_cda.xml" enthält klinische Dokumente, nicht die Messwerte
+        const entry = entries.find(item => /(^|\/)export\.xml$/i.test(item.name));
+        if (!entry) throw importError('NO_EXPORT_XML', 'The archive contains no export.xml');
+        return (await openZipEntry(file, entry, onRead)).pipeThrough(new TextDecoderStream());
+    }
+
+    // ========================================================================
+    // XML
+    // ========================================================================
+
+    const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+    function parseAttributes(text) {
+        const attributes = {};
+        const pattern = /([A-Za-z_][\w:.-]*)="([^"]*)"/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            attributes[match[1]] = match[2].replace(/&(amp|lt|gt|quot|apos);/g, (_, entity) => ENTITIES[entity]);
+        }
+        return attributes;
+    }
+
+    /**
+     * Findet <Record ...> in beliebig zerteilten Textblöcken - nur die Attribute des öffnenden Tags
+     * zählen, Kindelemente (MetadataEntry) und alle anderen Elemente werden übersprungen
+     */
+    function createRecordScanner(onRecord) {
+        const TAG = '<Record ';
+        let buffer = '';
+
+        return {
+            push(text) {
+                buffer += text;
+                let index = 0;
+                for (;;) {
+                    const start = buffer.indexOf(TAG, index);
+                    if (start === -1) {
+                        // Ein am Blockende angeschnittenes "<Record" aufheben
+                        index = Math.max(index, buffer.length - TAG.length);
+                        break;
+                    }
+                    const end = buffer.indexOf('>', start);
+                    if (end === -1) {
+                        index = start;
+                        break;
+                    }
+                    onRecord(parseAttributes(buffer.slice(start + TAG.length, end)));
+                    index = end + 1;
+                }
+                buffer = buffer.slice(index);
+            }
+        };
+    }
+
+    // ========================================================================
+    // TAGESWERTE
+    // ========================================================================
+
+    /**
+     * HealthKit-Zeitstempel ("2024-03-01 07:15:00 +0100") als Ortszeit der Messung
+     * @returns {{ day, time, ms }|null} ms: Ortszeit als UTC-Millisekunden (nur für Abstände)
+     */
+    function parseTimestamp(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})/.exec(value || '');
+        if (!match) return null;
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        return {
+            day: match[0].slice(0, 10),
+            time: `${match[4]}:${match[5]}`,
+            ms: Date.UTC(year, month - 1, day, hours, minutes)
+        };
+    }
+
+    function toTimeOfDay(ms) {
+        const date = new Date(ms);
+        return `${String(date.getUTCHours()).padStart(2, '0')}:${String(date.getUTCMinutes()).padStart(2, '0')}`;
+    }
+
+    function round(value, decimals = 2) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Sammelt Datensätze kompakt pro Tag, Metrik und Quelle - auch mehrjährige Exporte
+     * mit Millionen Schritt-Datensätzen bleiben so klein
+     */
+    function createCollector() {
+        const days = new Map();
+        const nights = new Map();
+        const skipped = {};
+        let records = 0;
+
+        function getDay(day) {
+            if (!days.has(day)) days.set(day, {});
+            return days.get(day);
+        }
+
+        function addQuantity(mapping, record) {
+            const start = parseTimestamp(record.startDate);
+            let value = parseFloat(record.value);
+            if (!start || !isFinite(value)) return false;
+
+            value = mapping.convert ? mapping.convert(value, record.unit)
+                : mapping.units[record.unit] !== undefined ? value * mapping.units[record.unit]
+                : null;
+            if (value === null || !isFinite(value)) return false;
+
+            const metrics = getDay(start.day);
+            const sources = metrics[mapping.metric] || (metrics[mapping.metric] = {});
+            const source = record.sourceName || '';
+            const stats = sources[source] || (sources[source] = { sum: 0, count: 0, min: Infinity, max: -Infinity, latest: null, latestAt: '' });
+            stats.sum += value;
+            stats.count++;
+            stats.min = Math.min(stats.min, value);
+            stats.max = Math.max(stats.max, value);
+            if (record.startDate >= stats.latestAt) {
+                stats.latest = value;
+                stats.latestAt = record.startDate;
+            }
+            return true;
+        }
+
+        function addSleep(record) {
+            const asleep = String(record.value || '').startsWith(ASLEEP_PREFIX);
+            if (!asleep && record.value !== IN_BED) return false;
+            const start = parseTimestamp(record.startDate);
+            const end = parseTimestamp(record.endDate);
+            if (!start || !end || end.ms <= start.ms) return false;
+
+            // Eine Nacht gehört zum Tag des Aufwachens - auch Abschnitte, die vor Mitternacht enden
+            const day = new Date(end.ms + NEXT_NIGHT_OFFSET_MS).toISOString().slice(0, 10);
+            if (!nights.has(day)) nights.set(day, { asleep: [], inBed: [] });
+            nights.get(day)[asleep ? 'asleep' : 'inBed'].push([start.ms, end.ms]);
+            return true;
+        }
+
+        return {
+            get records() {
+                return records;
+            },
+
+            add(record) {
+                records++;
+                const mapping = QUANTITY_TYPES[record.type];
+                const used = mapping ? addQuantity(mapping, record)
+                    : record.type === SLEEP_TYPE ? addSleep(record)
+                    : false;
+                if (!used) skipped[record.type || 'unknown'] = (skipped[record.type || 'unknown'] || 0) + 1;
+            },
+
+            /**
+             * Tageswerte nach den Aggregationsregeln der Metric Registry
+             * @returns {{ days: Array<{ date, values }>, summary }}
+             */
+            finish() {
+                const result = new Map();
+                const counts = {};
+                const setValue = (day, metric, value) => {
+                    if (!result.has(day)) result.set(day, {});
+                    result.get(day)[metric] = value;
+                    counts[metric] = (counts[metric] || 0) + 1;
+                };
+
+                days.forEach((metrics, day) => {
+                    Object.entries(metrics).forEach(([metric, sources]) => {
+                        const definition = MetricRegistry.METRICS[metric];
+                        const stats = Object.values(sources);
+                        let value;
+                        switch (definition.aggregation) {
+                            // iPhone und Watch zählen dieselben Schritte - die Quelle mit der größten Summe gilt
+                            case 'sum':
+                                value = Math.max(...stats.map(item => item.sum));
+                                break;
+                            case 'cappedSum':
+                                value = Math.min(Math.max(...stats.map(item => item.sum)), definition.cap);
+                                break;
+                            case 'min':
+                                value = Math.min(...stats.map(item => item.min));
+                                break;
+                            case 'max':
+                                value = Math.max(...stats.map(item => item.max));
+                                break;
+                            case 'average':
+                                value = stats.reduce((sum, item) => sum + item.sum, 0) /
+                                    stats.reduce((count, item) => count + item.count, 0);
+                                break;
+                            default:
+                                value = stats.reduce((latest, item) => (item.latestAt > latest.latestAt ? item : latest)).latest;
+                        }
+                        setValue(day, metric, round(value, definition.decimals ?? 2));
+                    });
+                });
+
+                nights.forEach((night, day) => {
+                    const intervals = (night.asleep.length > 0 ? night.asleep : night.inBed).sort((a, b) => a[0] - b[0]);
+                    // Überlappende Quellen vereinen, kurze Wachphasen überbrücken - die längste Strecke ist die Nacht
+                    const blocks = [];
+                    intervals.forEach(([start, end]) => {
+                        const last = blocks[blocks.length - 1];
+                        if (last && start - last[1] <= MAX_SLEEP_GAP_MINUTES * MINUTE_MS) last[1] = Math.max(last[1], end);
+                        else blocks.push([start, end]);
+                    });
+                    const main = blocks.reduce((longest, block) =>
+                        (block[1] - block[0] > longest[1] - longest[0] ? block : longest));
+                    setValue(day, 'bedtime', toTimeOfDay(main[0]));
+                    setValue(day, 'wakeTime', toTimeOfDay(main[1]));
+                    // Zeiten sind minutengenau - entspricht SleepLog.getSleepHours(bedtime, wakeTime)
+                    setValue(day, 'sleepHours', round((main[1] - main[0]) / 3600000, 1));
+                });
+
+                const sorted = [...result.entries()]
+                    .map(([date, values]) => ({ date, values }))
+                    .sort((a, b) => a.date.localeCompare(b.date));
+
+                return {
+                    days: sorted,
+                    summary: {
+                        records,
+                        days: sorted.length,
+                        from: sorted.length ? sorted[0].date : null,
+                        to: sorted.length ? sorted[sorted.length - 1].date : null,
+                        // Tage mit Wert je Metrik
+                        metrics: counts,
+                        skipped
+                    }
+                };
+            }
+        };
+    }
+
+    /**
+     * Export-Datei komplett lesen
+     * @param {Function} [onProgress] - ({ loaded, total, records }) höchstens alle 250 ms
+     * @returns {Promise<{ days: Array<{ date, values }>, summary }>}
+     */
+    async function importFile(file, onProgress) {
+        const collector = createCollector();
+        const scanner = createRecordScanner(record => collector.add(record));
+        let read = { loaded: 0, total: 1 };
+        let reportedAt = 0;
+
+        const stream = await openExport(file, progress => {
+            read = progress;
+        });
+        const reader = stream.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            scanner.push(value);
+
+            const now = Date.now();
+            if (onProgress && now - reportedAt > 250) {
+                reportedAt = now;
+                onProgress({ ...read, records: collector.records });
+            }
+        }
+
+        return collector.finish();
+    }
+
+    const AppleHealth = {
+        QUANTITY_TYPES,
+        SLEEP_TYPE,
+        readZipDirectory,
+        openZipEntry,
+        openExport,
+        parseAttributes,
+        createRecordScanner,
+        parseTimestamp,
+        createCollector,
+        importFile
+    };
+
+    root.AppleHealth = AppleHealth;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = AppleHealth;
+    }
+})(typeof self !== 'undefined' ? self : this);
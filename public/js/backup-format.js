@@ -0,0 +1,470 @@
+/**
+ * Health Tracker Pro - Backup Format
+ * Versioniertes JSON-Backup mit Manifest (App-Version, Schema-Version, Anzahlen, Prüfsumme),
+ * Migration älterer Backups, Verschlüsselung per Passphrase und Vergleich mit vorhandenen
+ * Einträgen - gemeinsam genutzt von App (window) und Node (require)
+ */
+
+(function (root) {
+    'use strict';
+
+    const APP_NAME = 'health-tracker';
+    const SCHEMA_VERSION = 4;
+
+    // Inhalte eines Backups - medicationAdherence (Einnahmetreue je Woche) ist abgeleitet und
+    // dient nur der Auswertung außerhalb der App
+    const SECTIONS = [
+        'healthData', 'goals', 'settings', 'medications', 'medicationLogs', 'medicationAdherence',
+        'workouts', 'periods', 'foods', 'metricDefinitions'
+    ];
+
+    // Mit Schema 4 hinzugekommen - in älteren Backups null (nicht enthalten)
+    const V4_SECTIONS = ['workouts', 'periods', 'foods', 'metricDefinitions'];
+
+    // Verschlüsselte Backups: AES-GCM, Schlüssel per PBKDF2 aus der Passphrase
+    const ENCRYPTED_FORMAT = 'health-tracker-encrypted';
+    const PBKDF2_ITERATIONS = 600000;
+    // Obergrenze für Backups aus der Datei - sonst legt eine manipulierte Iterationszahl die Seite lahm
+    const MAX_PBKDF2_ITERATIONS = 10000000;
+    const MIN_PASSPHRASE_LENGTH = 8;
+
+    // Verwaltungsfelder, die nicht zum Inhalt eines Eintrags gehören
+    const ENTRY_META_FIELDS = ['userId', 'createdAt', 'updatedAt', 'submissionId', '__v'];
+
+    /**
+     * Schritte von Schema-Version n nach n + 1
+     * - 1: localStorage-Export ({ healthData, goals | userGoals, settings }) - healthData auch als Objekt,
+     *      Datumswerte als ISO-Zeitstempel, gelöschte Einträge mit _deleted
+     * - 2: IndexedDB-Export (version "2.0") inkl. Medikamenten und Einnahmetreue
+     * - 3: { manifest, data }
+     * - 4: zusätzlich Trainings, Perioden, eigene Lebensmittel/Rezepte und Metrik-Definitionen
+     */
+    const MIGRATIONS = {
+        1: backup => {
+            const rawEntries = parseStoredJson(backup.healthData) || [];
+            const entries = (Array.isArray(rawEntries) ? rawEntries : Object.values(rawEntries))
+                .filter(entry => entry && typeof entry === 'object' && !entry._deleted)
+                .map(entry => ({ ...entry, date: toDateKey(entry.date) }));
+            return {
+                healthData: entries,
+                // Die App las Ziele früher aus "userGoals" - ältere Exporte enthalten beide Varianten,
+                // "goals" exportierte sie als (meist leeres) Array
+                goals: toGoals(parseStoredJson(backup.userGoals)) || toGoals(parseStoredJson(backup.goals)),
+                settings: backup.settings || {},
+                medications: [],
+                medicationLogs: [],
+                medicationAdherence: [],
+                exportDate: backup.exportDate || null,
+                version: '2.0'
+            };
+        },
+        2: backup => {
+            const data = {};
+            SECTIONS.forEach(section => {
+                data[section] = backup[section] ?? null;
+            });
+            return {
+                manifest: {
+                    app: APP_NAME,
+                    appVersion: backup.appVersion || null,
+                    schemaVersion: 3,
+                    createdAt: backup.exportDate || null,
+                    counts: getCounts(data),
+                    checksum: null
+                },
+                data
+            };
+        },
+        3: backup => {
+            const data = { ...backup.data };
+            V4_SECTIONS.forEach(section => {
+                data[section] = data[section] ?? null;
+            });
+            return {
+                manifest: { ...backup.manifest, schemaVersion: 4, counts: getCounts(data), checksum: null },
+                data
+            };
+        }
+    };
+
+    function toDateKey(value) {
+        if (!value) return null;
+        if (typeof value === 'string') return value.split('T')[0];
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString().split('T')[0];
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // localStorage-Werte wurden teils als JSON-String statt als Objekt exportiert
+    function parseStoredJson(value) {
+        if (typeof value !== 'string') return value;
+        try {
+            return JSON.parse(value);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    function toGoals(value) {
+        if (Array.isArray(value)) value = value.filter(isPlainObject).pop();
+        return isPlainObject(value) && Object.keys(value).length > 0 ? value : null;
+    }
+
+    /**
+     * localStorage-Export der ersten App-Version - trug ebenfalls version "2.0", hat aber keine
+     * Einstellungen und Medikamente; healthData war ein Array, leer ein Objekt, goals ein Array
+     */
+    function isLocalStorageExport(raw) {
+        if (!('healthData' in raw)) return false;
+        return isPlainObject(raw.healthData) || typeof raw.healthData === 'string' ||
+            Array.isArray(raw.goals) || 'userGoals' in raw ||
+            !('settings' in raw || 'medications' in raw);
+    }
+
+    /**
+     * JSON mit sortierten Schlüsseln - Grundlage für Prüfsumme und Inhaltsvergleich
+     */
+    function canonicalize(value) {
+        if (Array.isArray(value)) return `[${value.map(item => canonicalize(item ?? null)).join(',')}]`;
+        if (isPlainObject(value)) {
+            return `{${Object.keys(value)
+                .filter(key => value[key] !== undefined)
+                .sort()
+                .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    async function sha256(text) {
+        const bytes = new TextEncoder().encode(text);
+        const digest = await globalThis.crypto.subtle.digest('SHA-256', bytes);
+        return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    async function getChecksum(data) {
+        return `sha256:${await sha256(canonicalize(data))}`;
+    }
+
+    function getCounts(data) {
+        const counts = {};
+        SECTIONS.forEach(section => {
+            const value = data[section];
+            counts[section] = Array.isArray(value) ? value.length
+                : isPlainObject(value) ? Object.keys(value).length
+                : 0;
+        });
+        return counts;
+    }
+
+    /**
+     * Schema-Version eines eingelesenen Backups
+     * @returns {number|null} null, wenn die Datei kein Backup ist
+     */
+    function detectVersion(raw) {
+        if (!isPlainObject(raw)) return null;
+        if (isPlainObject(raw.manifest)) {
+            return raw.manifest.app === APP_NAME && Number.isInteger(raw.manifest.schemaVersion)
+                ? raw.manifest.schemaVersion
+                : null;
+        }
+        if (isLocalStorageExport(raw)) return 1;
+        if (String(raw.version || '').startsWith('2.')) return 2;
+        return null;
+    }
+
+    /**
+     * Neues Backup im aktuellen Format
+     * @param {Object} data - Abschnitte aus SECTIONS
+     * @param {Object} [options] - appVersion, createdAt
+     */
+    async function createBackup(data, options = {}) {
+        const content = {};
+        SECTIONS.forEach(section => {
+            content[section] = data[section] ?? null;
+        });
+        return {
+            manifest: {
+                app: APP_NAME,
+                appVersion: options.appVersion || null,
+                schemaVersion: SCHEMA_VERSION,
+                createdAt: options.createdAt || new Date().toISOString(),
+                counts: getCounts(content),
+                checksum: await getChecksum(content)
+            },
+            data: content
+        };
+    }
+
+    function invalid(code, message) {
+        return { valid: false, errors: [{ code, message }], value: null, fromVersion: null };
+    }
+
+    /**
+     * Backup prüfen und auf das aktuelle Schema migrieren. Migrierte Altformate haben keine Prüfsumme.
+     * @returns {{ valid, errors: Array<{code, message}>, value: { manifest, data }|null, fromVersion }}
+     */
+    async function readBackup(raw) {
+        const fromVersion = detectVersion(raw);
+        if (fromVersion === null) return invalid('INVALID_FORMAT', 'Not a health tracker backup');
+        if (fromVersion > SCHEMA_VERSION) {
+            return invalid('UNSUPPORTED_VERSION', `Backup schema ${fromVersion} is newer than supported schema ${SCHEMA_VERSION}`);
+        }
+
+        // Anzahlen und Prüfsumme beziehen sich auf den Inhalt vor der Migration
+        if (isPlainObject(raw.manifest)) {
+            if (!isPlainObject(raw.data)) return invalid('INVALID_FORMAT', 'Backup contains no entries');
+
+            const counts = getCounts(raw.data);
+            const expected = raw.manifest.counts || {};
+            const mismatch = SECTIONS.find(section => expected[section] !== undefined && expected[section] !== counts[section]);
+            if (mismatch) {
+                return invalid('COUNT_MISMATCH', `Manifest lists ${expected[mismatch]} ${mismatch}, backup contains ${counts[mismatch]}`);
+            }
+            if (raw.manifest.checksum && raw.manifest.checksum !== await getChecksum(raw.data)) {
+                return invalid('CHECKSUM_MISMATCH', 'Backup content does not match its checksum');
+            }
+        }
+
+        let backup = raw;
+        for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+            backup = MIGRATIONS[version](backup);
+        }
+        if (!isPlainObject(backup.data) || !Array.isArray(backup.data.healthData)) {
+            return invalid('INVALID_FORMAT', 'Backup contains no entries');
+        }
+        if (!backup.data.healthData.every(entry => isPlainObject(entry) && toDateKey(entry.date))) {
+            return invalid('INVALID_FORMAT', 'Backup contains entries without a date');
+        }
+
+        return {
+            valid: true,
+            errors: [],
+            value: { manifest: { ...backup.manifest, counts: getCounts(backup.data) }, data: backup.data },
+            fromVersion
+        };
+    }
+
+    function toBase64(bytes) {
+        let binary = '';
+        // In Blöcken, damit große Backups nicht die maximale Argumentanzahl sprengen
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    function fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    async function deriveKey(passphrase, salt, iterations, usage) {
+        const subtle = globalThis.crypto.subtle;
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+        return subtle.deriveKey(
+            { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+            material,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            [usage]
+        );
+    }
+
+    function isEncrypted(raw) {
+        return isPlainObject(raw) && raw.format === ENCRYPTED_FORMAT;
+    }
+
+    /**
+     * Backup mit einer Passphrase verschlüsseln - außer Format und Verfahren bleibt nichts lesbar
+     * @returns {Promise<Object>} { format, version, kdf, cipher, data } mit Base64-Werten
+     */
+    async function encryptBackup(backup, passphrase) {
+        if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+            throw new Error(`Passphrase must have at least ${MIN_PASSPHRASE_LENGTH} characters`);
+        }
+        const salt = globalThis.crypto.getRandomValues(new Uint8Array(16));
+        const iv = globalThis.crypto.getRandomValues(new Uint8Array(12));
+        const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, 'encrypt');
+        const ciphertext = await globalThis.crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv },
+            key,
+            new TextEncoder().encode(JSON.stringify(backup))
+        );
+
+        return {
+            format: ENCRYPTED_FORMAT,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+            data: toBase64(new Uint8Array(ciphertext))
+        };
+    }
+
+    /**
+     * Nur die selbst geschriebenen Parameter zulassen: PBKDF2/SHA-256, mindestens PBKDF2_ITERATIONS
+     */
+    function isSupportedKdf(kdf) {
+        return kdf.name === 'PBKDF2' && kdf.hash === 'SHA-256' && typeof kdf.salt === 'string' &&
+            Number.isInteger(kdf.iterations) &&
+            kdf.iterations >= PBKDF2_ITERATIONS && kdf.iterations <= MAX_PBKDF2_ITERATIONS;
+    }
+
+    /**
+     * Verschlüsseltes Backup entschlüsseln - AES-GCM erkennt eine falsche Passphrase
+     * ebenso wie veränderte Daten
+     * @returns {Promise<{ valid, errors: Array<{code, message}>, value }>} value: das enthaltene Backup (JSON)
+     */
+    async function decryptBackup(envelope, passphrase) {
+        const fail = (code, message) => ({ valid: false, errors: [{ code, message }], value: null });
+        if (!isEncrypted(envelope) || envelope.version !== 1 || !envelope.kdf || !envelope.cipher ||
+            typeof envelope.data !== 'string') {
+            return fail('INVALID_FORMAT', 'Not an encrypted health tracker backup');
+        }
+        if (!isSupportedKdf(envelope.kdf)) {
+            return fail('INVALID_FORMAT', 'Unsupported key derivation');
+        }
+
+        let plaintext;
+        try {
+            const key = await deriveKey(passphrase, fromBase64(envelope.kdf.salt), envelope.kdf.iterations, 'decrypt');
+            plaintext = await globalThis.crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+                key,
+                fromBase64(envelope.data)
+            );
+        } catch (error) {
+            return fail('WRONG_PASSPHRASE', 'Wrong passphrase or damaged backup');
+        }
+
+        try {
+            return { valid: true, errors: [], value: JSON.parse(new TextDecoder().decode(plaintext)) };
+        } catch (error) {
+            return fail('INVALID_FORMAT', 'Encrypted content is not JSON');
+        }
+    }
+
+    /**
+     * Inhalt eines Eintrags ohne Verwaltungsfelder (_localId, _synced, userId, ...)
+     */
+    function getEntryContent(entry) {
+        const content = {};
+        Object.keys(entry).forEach(key => {
+            if (key.startsWith('_') || ENTRY_META_FIELDS.includes(key)) return;
+            if (entry[key] === null || entry[key] === undefined) return;
+            const loggedAt = key === 'loggedAt' ? new Date(entry[key]) : null;
+            content[key] = key === 'date' ? toDateKey(entry[key])
+                : loggedAt && !isNaN(loggedAt.getTime()) ? loggedAt.toISOString()
+                : entry[key];
+        });
+        return canonicalize(content);
+    }
+
+    /**
+     * Backup-Einträge mit vorhandenen vergleichen - gleicher Eintrag über _localId, submissionId
+     * oder gleichen Tag mit gleichem Inhalt
+     * @returns {{ added: Array, updated: Array<{existing, incoming}>, unchanged: Array, missing: Array }}
+     *          missing: vorhandene Einträge, die im Backup fehlen
+     */
+    function diffEntries(existing, incoming) {
+        const byLocalId = new Map();
+        const bySubmissionId = new Map();
+        const byContent = new Map();
+        existing.forEach(entry => {
+            if (entry._localId) byLocalId.set(entry._localId, entry);
+            if (entry.submissionId) bySubmissionId.set(entry.submissionId, entry);
+            byContent.set(getEntryContent(entry), entry);
+        });
+
+        const matched = new Set();
+        const diff = { added: [], updated: [], unchanged: [], missing: [] };
+
+        incoming.forEach(entry => {
+            const content = getEntryContent(entry);
+            const candidates = [
+                entry._localId && byLocalId.get(entry._localId),
+                entry.submissionId && bySubmissionId.get(entry.submissionId),
+                byContent.get(content)
+            ];
+            const match = candidates.find(candidate => candidate && !matched.has(candidate));
+
+            if (!match) {
+                diff.added.push(entry);
+            } else {
+                matched.add(match);
+                if (getEntryContent(match) === content) diff.unchanged.push(entry);
+                else diff.updated.push({ existing: match, incoming: entry });
+            }
+        });
+
+        diff.missing = existing.filter(entry => !matched.has(entry));
+        return diff;
+    }
+
+    /**
+     * Datensätze mit Geräte-ID (Trainings, Medikamente, Dosen, Perioden, Lebensmittel) über die ID vergleichen
+     * @returns {{ added: Array, updated: Array<{existing, incoming}>, unchanged: Array, missing: Array }}
+     */
+    function diffRecords(existing, incoming) {
+        const byId = new Map(existing.map(record => [record.id, record]));
+        const incomingIds = new Set();
+        const diff = { added: [], updated: [], unchanged: [], missing: [] };
+
+        incoming.forEach(record => {
+            incomingIds.add(record.id);
+            const match = byId.get(record.id);
+            if (!match) diff.added.push(record);
+            else if (getRecordContent(match) === getRecordContent(record)) diff.unchanged.push(record);
+            else diff.updated.push({ existing: match, incoming: record });
+        });
+
+        diff.missing = existing.filter(record => !incomingIds.has(record.id));
+        return diff;
+    }
+
+    /**
+     * Inhalt eines Datensatzes ohne Sync- und Verwaltungsfelder
+     */
+    function getRecordContent(record) {
+        const content = {};
+        Object.keys(record).forEach(key => {
+            if (key.startsWith('_') || ENTRY_META_FIELDS.includes(key)) return;
+            if (record[key] === null || record[key] === undefined) return;
+            content[key] = record[key];
+        });
+        return canonicalize(content);
+    }
+
+    const BackupFormat = {
+        APP_NAME,
+        SCHEMA_VERSION,
+        SECTIONS,
+        MIGRATIONS,
+        canonicalize,
+        getChecksum,
+        getCounts,
+        detectVersion,
+        createBackup,
+        readBackup,
+        getEntryContent,
+        diffEntries,
+        getRecordContent,
+        diffRecords,
+        ENCRYPTED_FORMAT,
+        MIN_PASSPHRASE_LENGTH,
+        isEncrypted,
+        encryptBackup,
+        decryptBackup
+    };
+
+    root.BackupFormat = BackupFormat;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = BackupFormat;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,487 @@
+/**
+ * Health Tracker Pro - CSV Transfer
+ * CSV lesen und schreiben (RFC 4180), Trennzeichen- und Datumsformat-Erkennung sowie
+ * Spaltenzuordnung für den Import - gemeinsam genutzt von App (window) und Node (require)
+ */
+
+(function (root) {
+    'use strict';
+
+    const MetricRegistry = root.MetricRegistry ||
+        (typeof require === 'function' ? require('./metric-registry') : null);
+
+    const DELIMITERS = [
+        { key: ',', label: 'Komma (,)' },
+        { key: ';', label: 'Semikolon (;)' },
+        { key: '\t', label: 'Tabulator' }
+    ];
+
+    // Spaltenköpfe anderer Apps und Tabellen, die ohne Zuordnung erkannt werden
+    const FIELD_ALIASES = {
+        date: ['date', 'datum', 'day', 'tag', 'timestamp', 'zeitstempel'],
+        time: ['time', 'uhrzeit', 'zeit', 'logged at', 'erfasst um'],
+        steps: ['steps', 'schritte', 'step count', 'schrittzahl'],
+        waterIntake: ['water', 'wasser', 'water intake', 'wasserzufuhr', 'water (l)', 'wasser (l)'],
+        sleepHours: ['sleep', 'schlaf', 'sleep hours', 'schlafstunden', 'schlaf (h)', 'sleep (h)'],
+        bedtime: ['bedtime', 'eingeschlafen', 'einschlafzeit', 'sleep start'],
+        wakeTime: ['wake time', 'waketime', 'aufgewacht', 'aufwachzeit', 'sleep end'],
+        sleepQuality: ['sleep quality', 'schlafqualität', 'schlafqualitaet'],
+        awakenings: ['awakenings', 'aufwachphasen'],
+        weight: ['weight', 'gewicht', 'weight (kg)', 'gewicht (kg)', 'körpergewicht'],
+        mood: ['mood', 'stimmung'],
+        notes: ['notes', 'notizen', 'note', 'notiz', 'kommentar', 'comment'],
+        systolic: ['systolic', 'systolisch', 'sys'],
+        diastolic: ['diastolic', 'diastolisch', 'dia'],
+        restingHeartRate: ['resting heart rate', 'ruhepuls', 'heart rate', 'puls', 'pulse'],
+        calories: ['calories', 'kalorien', 'kcal', 'energy'],
+        protein: ['protein', 'eiweiß', 'eiweiss'],
+        carbs: ['carbs', 'kohlenhydrate', 'carbohydrates'],
+        fat: ['fat', 'fett'],
+        waist: ['waist', 'taille', 'taillenumfang'],
+        hip: ['hip', 'hüfte', 'hüftumfang'],
+        chest: ['chest', 'brust', 'brustumfang'],
+        arm: ['arm', 'oberarm'],
+        thigh: ['thigh', 'oberschenkel'],
+        bodyFat: ['body fat', 'bodyfat', 'körperfett', 'body fat (%)', 'körperfett (%)'],
+        glucose: ['glucose', 'blutzucker', 'blood glucose', 'glukose']
+    };
+
+    /**
+     * Datumsformate - TT/MM und MM/TT sind bis zum 12. nicht unterscheidbar,
+     * dann gewinnt das europäische Format
+     */
+    const DATE_FORMATS = [
+        { key: 'iso', label: 'JJJJ-MM-TT', pattern: /^(\d{4})-(\d{1,2})-(\d{1,2})$/, order: ['year', 'month', 'day'] },
+        { key: 'de', label: 'TT.MM.JJJJ', pattern: /^(\d{1,2})\.(\d{1,2})\.(\d{2}|\d{4})$/, order: ['day', 'month', 'year'] },
+        { key: 'eu', label: 'TT/MM/JJJJ', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/, order: ['day', 'month', 'year'] },
+        { key: 'us', label: 'MM/TT/JJJJ', pattern: /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/, order: ['month', 'day', 'year'] }
+    ];
+
+    const TIME_PATTERN = /^(\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?\s*(am|pm)?$/i;
+
+    // Tabellenprogramme führen Zellen mit diesen Anfangszeichen als Formel aus
+    const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+    function pad(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    function stripBom(text) {
+        return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+    }
+
+    /**
+     * Trennzeichen anhand der ersten Zeilen erkennen - gewinnt das Zeichen, das in jeder Zeile
+     * gleich oft (und am häufigsten) außerhalb von Anführungszeichen vorkommt
+     */
+    function detectDelimiter(text) {
+        const lines = stripBom(String(text || '')).split(/\r?\n/).filter(line => line.trim()).slice(0, 10);
+        if (lines.length === 0) return ',';
+
+        let best = { key: ',', score: 0 };
+        DELIMITERS.forEach(({ key }) => {
+            const counts = lines.map(line => {
+                let count = 0;
+                let quoted = false;
+                for (const char of line) {
+                    if (char === '"') quoted = !quoted;
+                    else if (char === key && !quoted) count++;
+                }
+                return count;
+            });
+            const consistent = counts.every(count => count === counts[0]);
+            const score = counts[0] > 0 ? counts[0] * (consistent ? 2 : 1) : 0;
+            if (score > best.score) best = { key, score };
+        });
+        return best.key;
+    }
+
+    /**
+     * CSV nach RFC 4180 zerlegen (Anführungszeichen, "" als Escape, Zeilenumbrüche in Zellen, CRLF)
+     * @param {Object} [options] - delimiter (sonst erkannt), header (erste Zeile als Spaltenköpfe, Standard true)
+     * @returns {{ delimiter, headers: string[], rows: string[][] }} leere Zeilen werden übersprungen
+     */
+    function parse(text, options = {}) {
+        const source = stripBom(String(text || ''));
+        const delimiter = options.delimiter || detectDelimiter(source);
+        const records = [];
+        let record = [];
+        let cell = '';
+        let quoted = false;
+
+        for (let i = 0; i < source.length; i++) {
+            const char = source[i];
+            if (quoted) {
+                if (char === '"' && source[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && source[i + 1] === '\n') i++;
+                record.push(cell);
+                records.push(record);
+                record = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+        if (cell !== '' || record.length > 0) {
+            record.push(cell);
+            records.push(record);
+        }
+
+        const rows = records.filter(row => row.some(value => value.trim() !== ''));
+        const header = options.header !== false;
+        const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+        const headers = header && rows.length > 0
+            ? rows[0].map(value => value.trim())
+            : Array.from({ length: width }, (_, index) => `Spalte ${index + 1}`);
+
+        return { delimiter, headers, rows: header ? rows.slice(1) : rows };
+    }
+
+    function formatCell(value, delimiter, decimalComma) {
+        if (value === null || value === undefined) return '';
+        if (typeof value === 'number') {
+            if (!Number.isFinite(value)) return '';
+            const text = String(value);
+            return decimalComma ? text.replace('.', ',') : text;
+        }
+
+        let text = String(value);
+        if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /["\r\n]/.test(text) || text.includes(delimiter)
+            ? `"${text.replace(/"/g, '""')}"`
+            : text;
+    }
+
+    /**
+     * Zeilen als CSV - Texte, die eine Tabelle als Formel ausführen würde, werden mit ' entschärft
+     * @param {Array<Array>} rows - inklusive Kopfzeile
+     * @param {Object} [options] - delimiter (Standard ","), decimalComma (Zahlen mit Dezimalkomma)
+     */
+    function stringify(rows, options = {}) {
+        const delimiter = options.delimiter || ',';
+        const decimalComma = options.decimalComma === true;
+        return rows
+            .map(row => row.map(value => formatCell(value, delimiter, decimalComma)).join(delimiter))
+            .join('\r\n');
+    }
+
+    function getDateFormat(key) {
+        return DATE_FORMATS.find(format => format.key === key) || null;
+    }
+
+    /**
+     * Uhrzeit normalisieren ("7:05", "07:05:30", "7:05 PM")
+     * @returns {string|null} "HH:MM" oder null wenn ungültig
+     */
+    function parseTime(value) {
+        const match = TIME_PATTERN.exec(String(value || '').trim());
+        if (!match) return null;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2]);
+        const meridiem = match[4] && match[4].toLowerCase();
+        if (meridiem) {
+            if (hours < 1 || hours > 12) return null;
+            hours = (hours % 12) + (meridiem === 'pm' ? 12 : 0);
+        }
+        if (hours > 23 || minutes > 59) return null;
+        return `${pad(hours)}:${pad(minutes)}`;
+    }
+
+    /**
+     * Zeitzone des Geräts - Standard für Zeitstempel mit Offset
+     */
+    function getDefaultTimezone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    /**
+     * Zeitpunkt als Kalendertag und Uhrzeit in einer Zeitzone
+     * @returns {{ date: string, time: string }}
+     */
+    function toZonedDateTime(instant, timezone) {
+        const parts = {};
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit'
+        }).formatToParts(instant).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+
+    /**
+     * Datum (optional mit Uhrzeit, getrennt durch Leerzeichen, "T" oder ",") im angegebenen Format lesen.
+     * Zeitstempel mit Offset ("...Z", "+01:00") werden in die Zeitzone des Nutzers umgerechnet.
+     * @param {Object} [options] - timezone: IANA-Zeitzone (Standard: Gerät)
+     * @returns {{ date: string, time: string|null }|null} date als "YYYY-MM-DD"; null wenn ungültig
+     */
+    function parseDateValue(value, formatKey, options = {}) {
+        const format = getDateFormat(formatKey);
+        const text = String(value || '').trim();
+        if (!format || !text) return null;
+
+        const [, datePart, timePart] = /^([^\sT,]+)(?:[\sT,]+(.+))?$/.exec(text) || [];
+        const match = format.pattern.exec(datePart || '');
+        if (!match) return null;
+
+        const parts = {};
+        format.order.forEach((name, index) => {
+            parts[name] = Number(match[index + 1]);
+        });
+        if (parts.year < 100) parts.year += 2000;
+
+        const date = new Date(Date.UTC(parts.year, parts.month - 1, parts.day));
+        if (date.getUTCFullYear() !== parts.year || date.getUTCMonth() !== parts.month - 1 || date.getUTCDate() !== parts.day) {
+            return null;
+        }
+
+        const [, localTime, offset] = /^(.*?)\s*(Z|[+-]\d{2}:?\d{2})?$/i.exec(timePart || '') || [];
+        const time = timePart ? parseTime(localTime) : null;
+        if (timePart && !time) return null;
+
+        if (offset) {
+            const [, sign, offsetHours, offsetMinutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset) || [];
+            const offsetMs = sign ? (sign === '-' ? -1 : 1) * (Number(offsetHours) * 60 + Number(offsetMinutes)) * 60000 : 0;
+            const [hours, minutes] = time.split(':').map(Number);
+            const instant = Date.UTC(parts.year, parts.month - 1, parts.day, hours, minutes) - offsetMs;
+            return toZonedDateTime(new Date(instant), options.timezone || getDefaultTimezone());
+        }
+
+        return { date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`, time };
+    }
+
+    /**
+     * Datumsformat einer Spalte erkennen - das Format, das die meisten Werte lesen kann
+     * @returns {{ format: string|null, ambiguous: boolean }} ambiguous, wenn TT/MM und MM/TT
+     *          gleichermaßen passen
+     */
+    function detectDateFormat(values) {
+        const samples = (values || []).map(value => String(value || '').trim()).filter(Boolean).slice(0, 200);
+        if (samples.length === 0) return { format: null, ambiguous: false };
+
+        const scored = DATE_FORMATS.map(format => ({
+            key: format.key,
+            matches: samples.filter(value => parseDateValue(value, format.key)).length
+        }));
+        const best = scored.reduce((winner, format) => (format.matches > winner.matches ? format : winner));
+        if (best.matches === 0) return { format: null, ambiguous: false };
+
+        const eu = scored.find(format => format.key === 'eu').matches;
+        const us = scored.find(format => format.key === 'us').matches;
+        return { format: best.key, ambiguous: best.key === 'eu' && eu === us };
+    }
+
+    /**
+     * Zahl aus einer Zelle lesen - Tausendertrennzeichen werden entfernt
+     * @param {string} [decimal] - Dezimaltrennzeichen der Datei ("," bei Semikolon-CSV aus Excel)
+     * @returns {number|null} null bei leerer Zelle, NaN wenn keine Zahl
+     */
+    function parseNumber(value, decimal = '.') {
+        if (typeof value === 'number') return value;
+        let text = String(value ?? '').trim().replace(/[\s ']/g, '');
+        if (!text) return null;
+
+        const thousands = decimal === ',' ? '.' : ',';
+        const hasDecimal = text.includes(decimal);
+        const hasThousands = text.includes(thousands);
+
+        if (hasDecimal && hasThousands) {
+            // Das zuletzt stehende Zeichen trennt die Nachkommastellen
+            const decimalSeparator = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+            const groupSeparator = decimalSeparator === ',' ? '.' : ',';
+            text = text.split(groupSeparator).join('').replace(decimalSeparator, '.');
+        } else if (hasThousands) {
+            // "8.432" in einer deutschen Datei sind Tausender, "7,5" in einer englischen ein Dezimalwert
+            const grouped = new RegExp(`^-?\\d{1,3}(\\${thousands}\\d{3})+$`).test(text);
+            text = grouped ? text.split(thousands).join('') : text.replace(thousands, '.');
+        } else if (hasDecimal) {
+            text = text.replace(decimal, '.');
+        }
+
+        return /^-?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+    }
+
+    function normalizeHeader(header) {
+        return String(header || '').trim().toLowerCase().replace(/[_\-]+/g, ' ').replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Spaltenzuordnung vorschlagen - über Feldschlüssel, Bezeichnung und bekannte Spaltenköpfe
+     * @param {string[]} headers
+     * @param {Array<{key, label}>} fields - zuordenbare Felder; "date" und "time" sind immer dabei
+     * @returns {string[]} Feldschlüssel pro Spalte, "" für ignorierte Spalten
+     */
+    function suggestMapping(headers, fields) {
+        const candidates = [{ key: 'date' }, { key: 'time' }, ...(fields || [])].map(field => ({
+            key: field.key,
+            names: [field.key, field.label, ...(FIELD_ALIASES[field.key] || [])]
+                .filter(Boolean)
+                .map(normalizeHeader)
+        }));
+        const used = new Set();
+
+        return (headers || []).map(header => {
+            // Einheiten in Klammern ("Gewicht (kg)") sind für die Zuordnung egal
+            const name = normalizeHeader(header);
+            const bare = name.replace(/\s*\(.*\)$/, '');
+            const match = candidates.find(field => !used.has(field.key) &&
+                (field.names.includes(name) || field.names.includes(bare)));
+            if (!match) return '';
+            used.add(match.key);
+            return match.key;
+        });
+    }
+
+    /**
+     * Zeilen über die Zuordnung in Werte umwandeln
+     * @param {string[][]} rows
+     * @param {Object} options
+     * @param {string[]} options.mapping - Feldschlüssel pro Spalte ("date", "time" oder ein Feld)
+     * @param {Array<{key, type, values?}>} options.fields - type: number | time | text | category
+     *        (values: erlaubte Werte, Schlüssel in Kleinbuchstaben → gespeicherter Wert)
+     * @param {string} options.dateFormat
+     * @param {string} [options.decimal]
+     * @param {string} [options.timezone] - Zeitzone für Zeitstempel mit Offset
+     * @returns {Array<{ line, date, time, values, errors: Array<{field, code, message, value}> }>}
+     *          line zählt ab 1 innerhalb der Datenzeilen
+     */
+    function readRows(rows, options) {
+        const fieldsByKey = new Map((options.fields || []).map(field => [field.key, field]));
+        const decimal = options.decimal || '.';
+
+        return (rows || []).map((row, index) => {
+            const result = { line: index + 1, date: null, time: null, values: {}, errors: [] };
+            const error = (field, code, message, value = null) => result.errors.push({ field, code, message, value });
+
+            options.mapping.forEach((key, column) => {
+                if (!key) return;
+                const raw = String(row[column] ?? '').trim();
+
+                if (key === 'date') {
+                    const parsed = parseDateValue(raw, options.dateFormat, { timezone: options.timezone });
+                    if (!parsed) {
+                        error('date', raw ? 'INVALID_DATE' : 'REQUIRED', raw ? `Invalid date "${raw}"` : 'Date is missing', raw || null);
+                        return;
+                    }
+                    result.date = parsed.date;
+                    if (parsed.time && !result.time) result.time = parsed.time;
+                    return;
+                }
+                if (!raw) return;
+
+                if (key === 'time') {
+                    const time = parseTime(raw);
+                    if (time) result.time = time;
+                    else error('time', 'INVALID_TIME', `Invalid time "${raw}"`, raw);
+                    return;
+                }
+
+                const field = fieldsByKey.get(key);
+                if (!field) return;
+
+                if (field.type === 'number') {
+                    const number = parseNumber(raw, decimal);
+                    if (Number.isNaN(number)) error(key, 'INVALID_NUMBER', `"${raw}" is not a number`, raw);
+                    else result.values[key] = number;
+                } else if (field.type === 'time') {
+                    const time = parseTime(raw);
+                    if (time) result.values[key] = time;
+                    else error(key, 'INVALID_TIME', `Invalid time "${raw}"`, raw);
+                } else if (field.type === 'category') {
+                    const value = field.values && field.values[raw.toLowerCase()];
+                    if (value) result.values[key] = value;
+                    else error(key, 'INVALID_VALUE', `Unknown value "${raw}"`, raw);
+                } else {
+                    result.values[key] = raw;
+                }
+            });
+
+            if (!result.date && !result.errors.some(entry => entry.field === 'date')) {
+                error('date', 'REQUIRED', 'Date is missing');
+            }
+            return result;
+        });
+    }
+
+    /**
+     * Zahl auf die Nachkommastellen eines Vergleichswerts runden - Dateien enthalten gerundete Werte
+     */
+    function roundLike(value, reference) {
+        if (typeof value !== 'number' || typeof reference !== 'number') return value;
+        const decimals = (String(reference).split('.')[1] || '').length;
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    function hasSameValues(entry, source, round = false) {
+        const same = (value, reference) => (round ? roundLike(value, reference) : value) === reference;
+        return Object.keys(entry)
+            .filter(key => !['date', 'loggedAt', 'custom'].includes(key))
+            .every(key => same(source[key], entry[key])) &&
+            Object.keys(entry.custom || {}).every(key => same(source.custom?.[key], entry.custom[key]));
+    }
+
+    /**
+     * Importierte Zeile schon vorhanden? Ein vorhandener Eintrag enthält alle Werte (und ggf. dieselbe
+     * Uhrzeit) - Zeilen ohne Uhrzeit (Export "Eine Zeile pro Tag") auch, wenn der Tageswert passt
+     * @param {Object} entry - importierte Werte mit date, eigene Metriken unter custom
+     * @param {Array} sameDay - vorhandene Einträge desselben Tages
+     * @param {Object} [options]
+     * @param {string} [options.time] - Uhrzeit der Zeile (HH:MM)
+     * @param {Function} [options.getTimeOfDay] - (entry) => "HH:MM" eines vorhandenen Eintrags
+     * @param {Array} [options.definitions] - eigene Metriken für den Tageswert
+     */
+    function isDuplicateRow(entry, sameDay, options = {}) {
+        if (sameDay.some(other => hasSameValues(entry, other) &&
+            (!options.time || options.getTimeOfDay(other) === options.time))) {
+            return true;
+        }
+        if (options.time || sameDay.length < 2) return false;
+        return hasSameValues(entry, MetricRegistry.aggregateDay(sameDay, options.definitions), true);
+    }
+
+    const CsvTransfer = {
+        DELIMITERS,
+        DATE_FORMATS,
+        FIELD_ALIASES,
+        detectDelimiter,
+        parse,
+        stringify,
+        parseTime,
+        parseDateValue,
+        detectDateFormat,
+        parseNumber,
+        suggestMapping,
+        readRows,
+        isDuplicateRow
+    };
+
+    root.CsvTransfer = CsvTransfer;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CsvTransfer;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,221 @@
+/**
+ * Health Tracker Pro - Cycle Tracker
+ * Zyklustag, Phasen und Vorhersage der nächsten Periode aus erfassten Perioden -
+ * gemeinsam genutzt von API (require) und App (window)
+ */
+
+(function (root) {
+    'use strict';
+
+    const FLOW_LEVELS = [
+        { key: 'spotting', label: 'Schmierblutung' },
+        { key: 'light', label: 'Leicht' },
+        { key: 'medium', label: 'Mittel' },
+        { key: 'heavy', label: 'Stark' }
+    ];
+
+    const SYMPTOMS = [
+        { key: 'cramps', label: 'Krämpfe' },
+        { key: 'headache', label: 'Kopfschmerzen' },
+        { key: 'bloating', label: 'Blähbauch' },
+        { key: 'breastTenderness', label: 'Brustspannen' },
+        { key: 'moodSwings', label: 'Stimmungsschwankungen' },
+        { key: 'fatigue', label: 'Müdigkeit' },
+        { key: 'acne', label: 'Hautunreinheiten' },
+        { key: 'backache', label: 'Rückenschmerzen' },
+        { key: 'nausea', label: 'Übelkeit' },
+        { key: 'cravings', label: 'Heißhunger' }
+    ];
+
+    // Farben als RGB-Tripel - der Trend-Chart legt sie transparent hinter die Kurven, das Emoji dient als Legende
+    const PHASES = [
+        { key: 'menstrual', label: 'Menstruation', color: '239, 68, 68', emoji: '🟥' },
+        { key: 'follicular', label: 'Follikelphase', color: '34, 197, 94', emoji: '🟩' },
+        { key: 'ovulation', label: 'Eisprung', color: '234, 179, 8', emoji: '🟨' },
+        { key: 'luteal', label: 'Lutealphase', color: '168, 85, 247', emoji: '🟪' }
+    ];
+
+    const DEFAULT_CYCLE_LENGTH = 28;
+    const DEFAULT_PERIOD_LENGTH = 5;
+    // Die Lutealphase ist recht konstant - der Eisprung liegt etwa 14 Tage vor der nächsten Periode
+    const LUTEAL_LENGTH = 14;
+    // Zyklen außerhalb dieses Bereichs (z.B. vergessene Perioden) fließen nicht in den Durchschnitt ein
+    const MIN_CYCLE_LENGTH = 21;
+    const MAX_CYCLE_LENGTH = 45;
+    const MAX_PERIOD_LENGTH = 15;
+    // Nur die jüngsten Zyklen bestimmen die Vorhersage
+    const RECENT_CYCLES = 6;
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function toUTC(dayKey) {
+        return Date.parse(`${dayKey}T00:00:00Z`);
+    }
+
+    function shiftDay(dayKey, days) {
+        return new Date(toUTC(dayKey) + days * DAY_MS).toISOString().slice(0, 10);
+    }
+
+    /**
+     * Tage von a nach b (b - a), unabhängig von Sommerzeit
+     */
+    function daysBetween(fromKey, toKey) {
+        return Math.round((toUTC(toKey) - toUTC(fromKey)) / DAY_MS);
+    }
+
+    function sortPeriods(periods) {
+        return [...(periods || [])].sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    /**
+     * Zeitraum-Fehler, die das Schema allein nicht prüfen kann
+     * @param {Array} [others] - übrige Perioden des Users (für Überschneidungen)
+     * @returns {Array<{field, code, message}>}
+     */
+    function checkPeriod(period, others = []) {
+        const errors = [];
+        const end = period.endDate || period.startDate;
+
+        if (period.endDate && period.endDate < period.startDate) {
+            errors.push({ field: 'endDate', code: 'INVALID_RANGE', message: 'endDate must not be before startDate' });
+        } else if (daysBetween(period.startDate, end) + 1 > MAX_PERIOD_LENGTH) {
+            errors.push({ field: 'endDate', code: 'OUT_OF_RANGE', message: `A period lasts at most ${MAX_PERIOD_LENGTH} days` });
+        }
+
+        // Laufende Perioden belegen nur ihren Starttag - sonst würde jede spätere Erfassung kollidieren
+        const overlapping = others.find(other => other.id !== period.id &&
+            other.startDate <= end && (other.endDate || other.startDate) >= period.startDate);
+        if (overlapping) {
+            errors.push({ field: 'startDate', code: 'OVERLAP', message: `Overlaps the period starting ${overlapping.startDate}` });
+        }
+        return errors;
+    }
+
+    /**
+     * Zykluslängen (Beginn bis Beginn) in zeitlicher Reihenfolge
+     */
+    function getCycleLengths(periods) {
+        const sorted = sortPeriods(periods);
+        return sorted.slice(1).map((period, index) => daysBetween(sorted[index].startDate, period.startDate));
+    }
+
+    function average(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * Durchschnittliche Zyklus- und Periodenlänge der letzten Zyklen
+     * @returns {{ cycleLength, periodLength, cycleCount, shortest, longest, regular, estimated }}
+     */
+    function getCycleStats(periods) {
+        const lengths = getCycleLengths(periods)
+            .filter(length => length >= MIN_CYCLE_LENGTH && length <= MAX_CYCLE_LENGTH)
+            .slice(-RECENT_CYCLES);
+        const periodLengths = sortPeriods(periods)
+            .filter(period => period.endDate)
+            .map(period => daysBetween(period.startDate, period.endDate) + 1)
+            .slice(-RECENT_CYCLES);
+
+        return {
+            cycleLength: lengths.length ? Math.round(average(lengths)) : DEFAULT_CYCLE_LENGTH,
+            periodLength: periodLengths.length ? Math.round(average(periodLengths)) : DEFAULT_PERIOD_LENGTH,
+            cycleCount: lengths.length,
+            shortest: lengths.length ? Math.min(...lengths) : null,
+            longest: lengths.length ? Math.max(...lengths) : null,
+            // Schwankung bis 7 Tage gilt als regelmäßig
+            regular: lengths.length >= 3 ? Math.max(...lengths) - Math.min(...lengths) <= 7 : null,
+            // Ohne vollständigen Zyklus gelten Standardwerte
+            estimated: lengths.length === 0
+        };
+    }
+
+    /**
+     * Nächste Periode ab dem letzten Beginn - ist sie überfällig, wird das angezeigt statt weitergerechnet
+     * @returns {{ startDate, endDate, cycleLength, daysUntil, late, estimated }|null}
+     */
+    function predictNextPeriod(periods, todayKey) {
+        const sorted = sortPeriods(periods);
+        if (sorted.length === 0) return null;
+
+        const stats = getCycleStats(sorted);
+        const last = sorted[sorted.length - 1];
+        const startDate = shiftDay(last.startDate, stats.cycleLength);
+        const daysUntil = daysBetween(todayKey, startDate);
+
+        return {
+            startDate,
+            endDate: shiftDay(startDate, stats.periodLength - 1),
+            cycleLength: stats.cycleLength,
+            daysUntil,
+            late: daysUntil < 0,
+            estimated: stats.estimated
+        };
+    }
+
+    function getPhase(key) {
+        return PHASES.find(phase => phase.key === key) || null;
+    }
+
+    /**
+     * Zyklustag und Phase eines Tages. Vergangene Zyklen nutzen ihre tatsächliche Länge,
+     * der laufende die durchschnittliche.
+     * @returns {{ cycleDay, cycleLength, phase, periodStart, current }|null} null vor der ersten Periode
+     *          oder wenn die letzte Periode länger als ein sehr langer Zyklus zurückliegt
+     */
+    function getCycleDay(periods, dayKey, stats = null) {
+        const sorted = sortPeriods(periods);
+        let index = -1;
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            if (sorted[i].startDate <= dayKey) {
+                index = i;
+                break;
+            }
+        }
+        if (index === -1) return null;
+
+        const period = sorted[index];
+        const next = sorted[index + 1];
+        const cycleStats = stats || getCycleStats(sorted);
+        const cycleLength = next ? daysBetween(period.startDate, next.startDate) : cycleStats.cycleLength;
+        const cycleDay = daysBetween(period.startDate, dayKey) + 1;
+        if (!next && cycleDay > MAX_CYCLE_LENGTH) return null;
+
+        // Laufende Periode ohne Ende: die durchschnittliche Dauer annehmen
+        const periodLength = period.endDate
+            ? daysBetween(period.startDate, period.endDate) + 1
+            : cycleStats.periodLength;
+        const ovulationDay = Math.max(periodLength + 1, cycleLength - LUTEAL_LENGTH);
+
+        let phase;
+        if (cycleDay <= periodLength) phase = 'menstrual';
+        else if (cycleDay < ovulationDay - 1) phase = 'follicular';
+        else if (cycleDay <= ovulationDay + 1) phase = 'ovulation';
+        else phase = 'luteal';
+
+        return { cycleDay, cycleLength, phase, periodStart: period.startDate, current: !next };
+    }
+
+    const CycleTracker = {
+        FLOW_LEVELS,
+        SYMPTOMS,
+        PHASES,
+        DEFAULT_CYCLE_LENGTH,
+        LUTEAL_LENGTH,
+        MAX_PERIOD_LENGTH,
+        shiftDay,
+        daysBetween,
+        sortPeriods,
+        checkPeriod,
+        getCycleLengths,
+        getCycleStats,
+        predictNextPeriod,
+        getPhase,
+        getCycleDay
+    };
+
+    root.CycleTracker = CycleTracker;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = CycleTracker;
+    }
+})(typeof self !== 'undefined' ? self : this);
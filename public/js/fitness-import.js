@@ -0,0 +1,281 @@
+/**
+ * Health Tracker Pro - Fitness Import
+ * Tageswerte aus Google Takeout (Fit, CSV) und dem Fitbit-Kontoexport (JSON) - Schritte,
+ * Schlaf und Gewicht, pro Tag nach den Regeln der Metric Registry zusammengefasst -
+ * gemeinsam genutzt von App (window) und Node (require)
+ */
+
+(function (root) {
+    'use strict';
+
+    const MetricRegistry = root.MetricRegistry ||
+        (typeof require === 'function' ? require('./metric-registry') : null);
+    const CsvTransfer = root.CsvTransfer ||
+        (typeof require === 'function' ? require('./csv-transfer') : null);
+    const SleepLog = root.SleepLog ||
+        (typeof require === 'function' ? require('./sleep-log') : null);
+
+    const SOURCES = {
+        googleFit: { label: 'Google Fit' },
+        fitbit: { label: 'Fitbit' }
+    };
+
+    const LB_TO_KG = 0.45359237;
+
+    // Spalten der Takeout-CSVs ("Daily activity metrics.csv" und Tagesdateien "2024-03-01.csv"),
+    // Takeout übersetzt die Spaltenköpfe in die Kontosprache
+    const GOOGLE_FIT_COLUMNS = {
+        date: ['date', 'datum'],
+        startTime: ['start time', 'startzeit', 'beginn'],
+        steps: ['step count', 'schrittzahl', 'anzahl der schritte', 'schritte'],
+        weight: ['average weight (kg)', 'durchschnittliches gewicht (kg)', 'gewicht (kg)'],
+        sleep: ['sleep duration (ms)', 'schlafdauer (ms)'],
+        // Ohne Gesamtdauer: Summe der Schlafphasen
+        sleepStages: [
+            'light sleeping duration (ms)', 'deep sleeping duration (ms)', 'rem sleeping duration (ms)',
+            'dauer leichter schlaf (ms)', 'dauer tiefschlaf (ms)', 'dauer rem-schlaf (ms)'
+        ]
+    };
+
+    function round(value, decimals) {
+        const factor = 10 ** decimals;
+        return Math.round(value * factor) / factor;
+    }
+
+    function getDateFromName(name) {
+        const match = /(\d{4}-\d{2}-\d{2})[^/\\]*$/.exec(name || '');
+        return match ? match[1] : null;
+    }
+
+    function combine(aggregation, values) {
+        switch (aggregation) {
+            case 'sum':
+                return values.reduce((sum, value) => sum + value, 0);
+            case 'min':
+                return Math.min(...values);
+            case 'max':
+                return Math.max(...values);
+            case 'average':
+                return values.reduce((sum, value) => sum + value, 0) / values.length;
+            default:
+                return values[values.length - 1];
+        }
+    }
+
+    /**
+     * Messwerte einer Datei pro Tag zusammenfassen - Reihenfolge der Datensätze zählt für "latest"
+     * @param {Array<{ date, metric, value }>} records
+     * @returns {Array<{ date, values }>}
+     */
+    function aggregateRecords(records) {
+        const days = new Map();
+        records.forEach(({ date, metric, value }) => {
+            if (!days.has(date)) days.set(date, {});
+            const metrics = days.get(date);
+            (metrics[metric] || (metrics[metric] = [])).push(value);
+        });
+
+        return [...days.entries()].map(([date, metrics]) => {
+            const values = {};
+            Object.entries(metrics).forEach(([metric, list]) => {
+                const definition = MetricRegistry.METRICS[metric];
+                const value = combine(definition.aggregation, list);
+                values[metric] = definition.type === 'number' ? round(value, definition.decimals ?? 2) : value;
+            });
+            return { date, values };
+        });
+    }
+
+    // ========================================================================
+    // GOOGLE FIT (TAKEOUT)
+    // ========================================================================
+
+    /**
+     * Takeout-CSV lesen - Tagesübersicht (Spalte "Date") oder Tagesdatei (Datum im Dateinamen)
+     * @returns {{ records, days }|null} null, wenn die Datei keine bekannte Spalte enthält
+     */
+    function readGoogleFitCsv(text, name) {
+        const { headers, rows } = CsvTransfer.parse(text, { delimiter: ',', header: true });
+        const normalized = headers.map(header => header.trim().toLowerCase());
+        const column = key => normalized.findIndex(header => GOOGLE_FIT_COLUMNS[key].includes(header));
+        const columns = {
+            date: column('date'),
+            startTime: column('startTime'),
+            steps: column('steps'),
+            weight: column('weight'),
+            sleep: column('sleep'),
+            sleepStages: normalized
+                .map((header, index) => (GOOGLE_FIT_COLUMNS.sleepStages.includes(header) ? index : -1))
+                .filter(index => index >= 0)
+        };
+
+        const fileDate = getDateFromName(name);
+        if (columns.date === -1 && !(fileDate && columns.startTime >= 0)) return null;
+        if (columns.steps === -1 && columns.weight === -1 && columns.sleep === -1 && columns.sleepStages.length === 0) return null;
+
+        const dateFormat = columns.date >= 0
+            ? CsvTransfer.detectDateFormat(rows.map(row => row[columns.date])).format
+            : null;
+        const readNumber = (row, index) => {
+            const value = index >= 0 ? CsvTransfer.parseNumber(row[index], '.') : null;
+            return value === null || isNaN(value) ? null : value;
+        };
+
+        const records = [];
+        rows.forEach(row => {
+            const date = columns.date >= 0 ? CsvTransfer.parseDateValue(row[columns.date], dateFormat)?.date : fileDate;
+            if (!date) return;
+
+            const steps = readNumber(row, columns.steps);
+            if (steps !== null) records.push({ date, metric: 'steps', value: Math.round(steps) });
+            const weight = readNumber(row, columns.weight);
+            if (weight !== null) records.push({ date, metric: 'weight', value: weight });
+
+            let sleep = readNumber(row, columns.sleep);
+            if (sleep === null && columns.sleepStages.length > 0) {
+                const stages = columns.sleepStages.map(index => readNumber(row, index)).filter(value => value !== null);
+                sleep = stages.length > 0 ? stages.reduce((sum, value) => sum + value, 0) : null;
+            }
+            if (sleep) records.push({ date, metric: 'sleepHours', value: sleep / 3600000 });
+        });
+
+        // Tagesdateien verteilen die Nacht auf Intervalle - deren Summe ist die Schlafdauer
+        const sleepByDay = new Map();
+        records.filter(record => record.metric === 'sleepHours').forEach(record => {
+            sleepByDay.set(record.date, (sleepByDay.get(record.date) || 0) + record.value);
+        });
+        const combined = records.filter(record => record.metric !== 'sleepHours');
+        sleepByDay.forEach((hours, date) => combined.push({ date, metric: 'sleepHours', value: hours }));
+
+        return { records: rows.length, days: aggregateRecords(combined) };
+    }
+
+    // ========================================================================
+    // FITBIT (KONTOEXPORT)
+    // ========================================================================
+
+    function readFitbitDateTime(value) {
+        return CsvTransfer.parseDateValue(value, 'us');
+    }
+
+    function readLocalTimestamp(value) {
+        const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}):(\d{2})/.exec(value || '');
+        return match ? { date: match[1], time: `${match[2]}:${match[3]}` } : null;
+    }
+
+    /**
+     * Fitbit-JSON lesen: steps-*.json, weight-*.json und sleep-*.json
+     * @param {Object} [options] - weightUnit: 'kg' | 'lb' (Einheit des Fitbit-Kontos)
+     * @returns {{ records, days }|null} null für andere Dateien (Kalorien, Puls, ...)
+     */
+    function readFitbitJson(data, name, options = {}) {
+        if (!Array.isArray(data)) return null;
+        const sample = data.find(item => item && typeof item === 'object');
+        if (!sample) return null;
+        const fileName = String(name || '').split(/[/\\]/).pop().toLowerCase();
+        const records = [];
+
+        if ('dateOfSleep' in sample) {
+            // Pro Nacht gilt der Hauptschlaf, Nickerchen werden übergangen
+            const nights = new Map();
+            data.forEach(item => {
+                const start = readLocalTimestamp(item.startTime);
+                const end = readLocalTimestamp(item.endTime);
+                if (!item.dateOfSleep || !start || !end) return;
+                const current = nights.get(item.dateOfSleep);
+                if (!current || (item.mainSleep && !current.mainSleep) ||
+                    (item.mainSleep === current.mainSleep && item.duration > current.duration)) {
+                    nights.set(item.dateOfSleep, { ...item, start, end });
+                }
+            });
+            nights.forEach((night, date) => {
+                records.push({ date, metric: 'bedtime', value: night.start.time });
+                records.push({ date, metric: 'wakeTime', value: night.end.time });
+                records.push({ date, metric: 'sleepHours', value: SleepLog.getSleepHours(night.start.time, night.end.time) });
+            });
+        } else if ('weight' in sample && 'date' in sample) {
+            const factor = options.weightUnit === 'lb' ? LB_TO_KG : 1;
+            data
+                .map(item => ({ item, at: readFitbitDateTime(`${item.date} ${item.time || '00:00:00'}`) }))
+                .filter(({ item, at }) => at && typeof item.weight === 'number')
+                .sort((a, b) => `${a.at.date}T${a.at.time}`.localeCompare(`${b.at.date}T${b.at.time}`))
+                .forEach(({ item, at }) => records.push({ date: at.date, metric: 'weight', value: item.weight * factor }));
+        } else if ('dateTime' in sample && 'value' in sample && fileName.startsWith('steps')) {
+            data.forEach(item => {
+                const at = readFitbitDateTime(item.dateTime);
+                const steps = Number(item.value);
+                if (at && isFinite(steps)) records.push({ date: at.date, metric: 'steps', value: steps });
+            });
+        } else {
+            return null;
+        }
+
+        return { records: data.length, days: aggregateRecords(records) };
+    }
+
+    // ========================================================================
+    // DATEIEN
+    // ========================================================================
+
+    /**
+     * Eine Exportdatei lesen
+     * @returns {{ source, records, days }|null} null, wenn die Datei nicht erkannt wird
+     */
+    function readFile(name, text, options = {}) {
+        const lower = String(name || '').toLowerCase();
+        if (lower.endsWith('.csv')) {
+            const result = readGoogleFitCsv(text, name);
+            return result && { source: 'googleFit', ...result };
+        }
+        if (lower.endsWith('.json')) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                return null;
+            }
+            const result = readFitbitJson(data, name, options);
+            return result && { source: 'fitbit', ...result };
+        }
+        return null;
+    }
+
+    /**
+     * Tageswerte mehrerer Dateien zusammenführen. Überschneiden sich Dateien (Tagesübersicht und
+     * Tagesdatei), zählen Summen nur einmal - der größere Wert gilt.
+     * @param {Array<Array<{ date, values }>>} lists
+     * @returns {Array<{ date, values }>} älteste zuerst
+     */
+    function mergeDays(lists) {
+        const days = new Map();
+        lists.forEach(list => list.forEach(({ date, values }) => {
+            const merged = days.get(date) || {};
+            Object.entries(values).forEach(([metric, value]) => {
+                const aggregation = MetricRegistry.METRICS[metric].aggregation;
+                merged[metric] = metric in merged
+                    ? combine(aggregation === 'sum' ? 'max' : aggregation === 'average' ? 'latest' : aggregation, [merged[metric], value])
+                    : value;
+            });
+            days.set(date, merged);
+        }));
+
+        return [...days.entries()]
+            .map(([date, values]) => ({ date, values }))
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    const FitnessImport = {
+        SOURCES,
+        aggregateRecords,
+        readGoogleFitCsv,
+        readFitbitJson,
+        readFile,
+        mergeDays
+    };
+
+    root.FitnessImport = FitnessImport;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FitnessImport;
+    }
+})(typeof self !== 'undefined' ? self : this);
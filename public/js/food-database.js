@@ -0,0 +1,222 @@
+/**
+ * Health Tracker Pro - Food Database
+ * Mitgelieferte Nährwerttabelle (offline verfügbar) plus Rechenregeln für Portionen,
+ * Mahlzeiten und Rezepte - gemeinsam genutzt von API (require) und App (window)
+ */
+
+(function (root) {
+    'use strict';
+
+    const MEAL_TYPES = [
+        { key: 'breakfast', label: 'Frühstück', icon: 'coffee' },
+        { key: 'lunch', label: 'Mittagessen', icon: 'utensils' },
+        { key: 'dinner', label: 'Abendessen', icon: 'soup' },
+        { key: 'snack', label: 'Snack', icon: 'apple' }
+    ];
+
+    const MEAL_TYPE_KEYS = MEAL_TYPES.map(meal => meal.key);
+
+    /**
+     * Nährwerte je 100 g (Richtwerte), serving = typische Portion
+     * [id, Name, kcal, Eiweiß, Kohlenhydrate, Fett, Portionsname, Portionsgramm]
+     */
+    const FOOD_ROWS = [
+        // Brot, Getreide, Beilagen
+        ['std-vollkornbrot', 'Vollkornbrot', 215, 7.0, 39.0, 1.3, '1 Scheibe', 50],
+        ['std-weissbrot', 'Weißbrot', 260, 8.5, 49.0, 3.2, '1 Scheibe', 30],
+        ['std-broetchen', 'Brötchen (Weizen)', 270, 9.0, 53.0, 1.8, '1 Stück', 50],
+        ['std-haferflocken', 'Haferflocken', 370, 13.5, 59.0, 7.0, '1 Portion', 50],
+        ['std-muesli', 'Müsli (ohne Zucker)', 360, 10.0, 60.0, 7.5, '1 Portion', 60],
+        ['std-reis-gekocht', 'Reis, gekocht', 130, 2.7, 28.0, 0.3, '1 Portion', 180],
+        ['std-nudeln-gekocht', 'Nudeln, gekocht', 150, 5.0, 30.0, 0.9, '1 Portion', 200],
+        ['std-kartoffeln', 'Kartoffeln, gekocht', 75, 2.0, 15.6, 0.1, '1 Portion', 200],
+        ['std-pommes', 'Pommes frites', 290, 3.4, 36.0, 14.5, '1 Portion', 150],
+        // Milchprodukte, Eier
+        ['std-milch', 'Milch 1,5 %', 47, 3.4, 4.9, 1.5, '1 Glas', 200],
+        ['std-joghurt', 'Naturjoghurt 3,5 %', 65, 3.8, 4.7, 3.5, '1 Becher', 150],
+        ['std-skyr', 'Skyr', 63, 11.0, 4.0, 0.2, '1 Becher', 150],
+        ['std-quark', 'Magerquark', 67, 12.0, 4.0, 0.3, '1 Portion', 125],
+        ['std-gouda', 'Gouda', 360, 25.0, 0.1, 28.0, '1 Scheibe', 25],
+        ['std-mozzarella', 'Mozzarella', 250, 19.0, 1.0, 19.0, '1 Kugel', 125],
+        ['std-butter', 'Butter', 740, 0.7, 0.6, 83.0, '1 Portion', 10],
+        ['std-ei', 'Ei', 155, 13.0, 1.1, 11.0, '1 Stück', 60],
+        // Fleisch, Fisch, Alternativen
+        ['std-haehnchenbrust', 'Hähnchenbrust', 110, 23.0, 0.0, 1.5, '1 Filet', 150],
+        ['std-rinderhack', 'Rinderhackfleisch', 250, 18.0, 0.0, 20.0, '1 Portion', 125],
+        ['std-lachs', 'Lachs', 200, 20.0, 0.0, 13.5, '1 Filet', 125],
+        ['std-thunfisch', 'Thunfisch (im eigenen Saft)', 110, 25.0, 0.0, 1.0, '1 Dose', 150],
+        ['std-schinken', 'Kochschinken', 120, 20.0, 1.0, 4.0, '1 Scheibe', 20],
+        ['std-salami', 'Salami', 380, 21.0, 1.0, 33.0, '1 Scheibe', 10],
+        ['std-tofu', 'Tofu', 120, 13.0, 2.0, 7.0, '1 Portion', 150],
+        ['std-linsen', 'Linsen, gekocht', 115, 9.0, 17.0, 0.4, '1 Portion', 200],
+        ['std-kichererbsen', 'Kichererbsen, gekocht', 140, 7.5, 19.0, 2.5, '1 Portion', 150],
+        // Obst
+        ['std-apfel', 'Apfel', 54, 0.3, 12.0, 0.2, '1 Stück', 150],
+        ['std-banane', 'Banane', 93, 1.1, 20.0, 0.2, '1 Stück', 120],
+        ['std-orange', 'Orange', 47, 1.0, 9.0, 0.2, '1 Stück', 180],
+        ['std-erdbeeren', 'Erdbeeren', 33, 0.7, 5.5, 0.4, '1 Schale', 150],
+        ['std-heidelbeeren', 'Heidelbeeren', 42, 0.6, 7.4, 0.6, '1 Handvoll', 80],
+        ['std-weintrauben', 'Weintrauben', 70, 0.7, 15.6, 0.3, '1 Handvoll', 100],
+        // Gemüse
+        ['std-tomate', 'Tomate', 18, 0.9, 2.6, 0.2, '1 Stück', 80],
+        ['std-gurke', 'Gurke', 12, 0.6, 1.8, 0.2, '1 Portion', 100],
+        ['std-paprika', 'Paprika', 30, 1.0, 5.0, 0.3, '1 Stück', 150],
+        ['std-brokkoli', 'Brokkoli', 34, 3.8, 2.7, 0.4, '1 Portion', 200],
+        ['std-karotte', 'Karotte', 36, 0.9, 7.0, 0.2, '1 Stück', 80],
+        ['std-salat', 'Blattsalat', 15, 1.2, 1.5, 0.2, '1 Portion', 80],
+        ['std-avocado', 'Avocado', 160, 2.0, 3.6, 15.0, '1/2 Stück', 80],
+        // Nüsse, Aufstriche, Fette
+        ['std-mandeln', 'Mandeln', 600, 24.0, 5.7, 53.0, '1 Handvoll', 30],
+        ['std-walnuesse', 'Walnüsse', 680, 15.0, 11.0, 63.0, '1 Handvoll', 30],
+        ['std-erdnussbutter', 'Erdnussbutter', 620, 25.0, 13.0, 50.0, '1 Esslöffel', 15],
+        ['std-olivenoel', 'Olivenöl', 880, 0.0, 0.0, 99.6, '1 Esslöffel', 10],
+        ['std-honig', 'Honig', 305, 0.4, 75.0, 0.0, '1 Teelöffel', 10],
+        ['std-nussnougat', 'Nuss-Nougat-Creme', 540, 6.0, 57.0, 31.0, '1 Portion', 15],
+        // Snacks, Süßes
+        ['std-schokolade', 'Vollmilchschokolade', 535, 7.5, 56.0, 31.0, '1 Riegel', 25],
+        ['std-chips', 'Kartoffelchips', 535, 6.0, 50.0, 34.0, '1 Portion', 30],
+        ['std-gummibaerchen', 'Fruchtgummi', 340, 6.5, 77.0, 0.2, '1 Portion', 25],
+        ['std-muesliriegel', 'Müsliriegel', 420, 6.0, 63.0, 14.0, '1 Riegel', 25],
+        ['std-croissant', 'Croissant', 410, 8.0, 45.0, 21.0, '1 Stück', 60],
+        // Getränke
+        ['std-kaffee-milch', 'Kaffee mit Milch', 15, 1.0, 1.2, 0.5, '1 Tasse', 200],
+        ['std-orangensaft', 'Orangensaft', 45, 0.7, 9.0, 0.2, '1 Glas', 200],
+        ['std-cola', 'Cola', 42, 0.0, 10.6, 0.0, '1 Glas', 330],
+        ['std-bier', 'Bier', 42, 0.5, 3.0, 0.0, '1 Flasche', 500],
+        ['std-wein', 'Wein, rot', 70, 0.2, 2.6, 0.0, '1 Glas', 150],
+        // Gerichte
+        ['std-pizza', 'Pizza Margherita', 240, 10.0, 30.0, 9.0, '1 Pizza', 350],
+        ['std-doener', 'Döner Kebab', 215, 12.0, 20.0, 9.5, '1 Stück', 350],
+        ['std-currywurst', 'Currywurst', 240, 9.0, 8.0, 19.0, '1 Portion', 200],
+        ['std-salat-bowl', 'Salat-Bowl mit Hähnchen', 110, 9.0, 7.0, 5.0, '1 Bowl', 350]
+    ];
+
+    const FOODS = FOOD_ROWS.map(([id, name, calories, protein, carbs, fat, servingLabel, servingGrams]) => ({
+        id,
+        kind: 'food',
+        source: 'builtin',
+        name,
+        calories,
+        protein,
+        carbs,
+        fat,
+        servingLabel,
+        servingGrams
+    }));
+
+    const NUTRIENT_KEYS = ['calories', 'protein', 'carbs', 'fat'];
+
+    function round(value, decimals) {
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Nährwerte runden: kcal ganzzahlig, Makros auf 0,1 g
+     */
+    function roundNutrients(nutrients) {
+        return {
+            calories: Math.round(nutrients.calories || 0),
+            protein: round(nutrients.protein || 0, 1),
+            carbs: round(nutrients.carbs || 0, 1),
+            fat: round(nutrients.fat || 0, 1)
+        };
+    }
+
+    /**
+     * Nährwerte einer Menge - Lebensmittel und Rezepte tragen Werte je 100 g
+     */
+    function nutrientsFor(food, grams) {
+        const factor = (Number(grams) || 0) / 100;
+        return roundNutrients(NUTRIENT_KEYS.reduce((result, key) => ({
+            ...result,
+            [key]: (food[key] || 0) * factor
+        }), {}));
+    }
+
+    /**
+     * Summe über Positionen einer Mahlzeit (jede Position trägt bereits ihre Portionswerte)
+     */
+    function sumNutrients(items) {
+        return roundNutrients((items || []).reduce((total, item) => {
+            NUTRIENT_KEYS.forEach(key => {
+                total[key] += Number(item[key]) || 0;
+            });
+            return total;
+        }, { calories: 0, protein: 0, carbs: 0, fat: 0 }));
+    }
+
+    /**
+     * Rezept aus Zutaten (Werte je 100 g + Menge) - Ergebnis je 100 g wie ein Lebensmittel
+     * @returns {{ calories, protein, carbs, fat, totalGrams, servingGrams }}
+     */
+    function summarizeRecipe(ingredients, servings) {
+        const totalGrams = (ingredients || []).reduce((sum, ingredient) => sum + (Number(ingredient.grams) || 0), 0);
+        const totals = sumNutrients((ingredients || []).map(ingredient => nutrientsFor(ingredient, ingredient.grams)));
+        const per100 = totalGrams > 0
+            ? roundNutrients(NUTRIENT_KEYS.reduce((result, key) => ({ ...result, [key]: totals[key] / totalGrams * 100 }), {}))
+            : roundNutrients({});
+
+        return {
+            ...per100,
+            totalGrams: round(totalGrams, 1),
+            servingGrams: round(totalGrams / Math.max(1, servings || 1), 1)
+        };
+    }
+
+    /**
+     * Suchschlüssel: klein, ohne Umlaute und Akzente
+     */
+    function normalizeName(value) {
+        return String(value || '')
+            .toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .trim();
+    }
+
+    /**
+     * Lebensmittel suchen - Treffer am Wortanfang zuerst, eigene vor mitgelieferten
+     * @param {Array} [userFoods] - eigene Lebensmittel und Rezepte
+     */
+    function searchFoods(query, userFoods, limit = 20) {
+        const needle = normalizeName(query);
+        const all = [...(userFoods || []), ...FOODS];
+        if (!needle) return all.slice(0, limit);
+
+        return all
+            .map((food, index) => {
+                const name = normalizeName(food.name);
+                const position = name.indexOf(needle);
+                if (position === -1) return null;
+                const wordStart = position === 0 || /[^a-z0-9]/.test(name[position - 1]);
+                return { food, rank: (wordStart ? 0 : 1000) + index };
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, limit)
+            .map(match => match.food);
+    }
+
+    function getFood(id, userFoods) {
+        return (userFoods || []).find(food => food.id === id) || FOODS.find(food => food.id === id) || null;
+    }
+
+    const FoodDatabase = {
+        MEAL_TYPES,
+        MEAL_TYPE_KEYS,
+        FOODS,
+        NUTRIENT_KEYS,
+        nutrientsFor,
+        sumNutrients,
+        summarizeRecipe,
+        searchFoods,
+        getFood
+    };
+
+    root.FoodDatabase = FoodDatabase;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = FoodDatabase;
+    }
+})(typeof self !== 'undefined' ? self : this);
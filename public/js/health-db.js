@@ -0,0 +1,938 @@
+/**
+ * Health Tracker Pro - IndexedDB Repository
+ * Lokale Persistenz für Einträge, Ziele, Einstellungen und Sync-Queue
+ * Wird von der App (window) und vom Service Worker (importScripts) genutzt
+ */
+
+(function (root) {
+    'use strict';
+
+    const DB_NAME = 'health-tracker';
+    const DB_VERSION = 4;
+
+    const STORES = {
+        ENTRIES: 'entries',
+        GOALS: 'goals',
+        SETTINGS: 'settings',
+        SYNC_QUEUE: 'syncQueue',
+        WORKOUTS: 'workouts',
+        MEDICATIONS: 'medications',
+        MEDICATION_LOGS: 'medicationLogs',
+        PERIODS: 'periods'
+    };
+
+    // IndexedDB kann Booleans nicht indizieren - daher String-Status statt _synced
+    const SYNC_STATE = {
+        SYNCED: 'synced',
+        PENDING: 'pending',
+        // Vom Server abgelehnt - bleibt lokal, bis der Nutzer korrigiert oder verwirft
+        REJECTED: 'rejected'
+    };
+
+    // Einstellungen, die beim ersten Start aus localStorage übernommen werden
+    const SETTING_KEYS = [
+        'theme', 'hapticFeedback', 'soundFeedback', 'advancedAnalytics', 'language',
+        'dateFormat', 'unitSystem', 'waterReminders', 'activityReminders', 'sleepReminders',
+        'reminderInterval', 'quietHours', 'quietStart', 'quietEnd', 'localOnlyMode',
+        'analyticsSharing', 'dataRetention', 'notificationsEnabled', 'app-settings'
+    ];
+
+    const MIGRATION_FLAG = '_migratedFromLocalStorage';
+
+    // Kontodaten in den Einstellungen - werden beim Kontowechsel mit den Stores verworfen
+    const ACCOUNT_SETTING_KEYS = ['metricDefinitions', 'userFoods', 'syncConflicts'];
+
+    /**
+     * IDBRequest als Promise
+     */
+    function promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Neuer Queue-Eintrag - jede lokale Änderung setzt den Retry-Zustand zurück
+     */
+    function queueItem(fields) {
+        return {
+            ...fields,
+            queuedAt: fields.queuedAt || Date.now(),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: null,
+            lastError: null
+        };
+    }
+
+    function toDateKey(date) {
+        if (!date) return null;
+        if (typeof date === 'string') return date.split('T')[0];
+        const d = new Date(date);
+        return isNaN(d.getTime()) ? null : d.toISOString().split('T')[0];
+    }
+
+    class HealthRepository {
+        constructor(dbName = DB_NAME) {
+            this.dbName = dbName;
+            this.dbPromise = null;
+            this.localIdCounter = 0;
+        }
+
+        // ====================================================================
+        // CONNECTION & SCHEMA
+        // ====================================================================
+
+        /**
+         * Datenbank öffnen und einmalig aus localStorage migrieren
+         */
+        ready() {
+            if (!this.dbPromise) {
+                this.dbPromise = this.open().then(async (db) => {
+                    if (typeof localStorage !== 'undefined') {
+                        await this.migrateFromLocalStorage(db, localStorage);
+                    }
+                    return db;
+                });
+                // Fehlgeschlagenes Öffnen beim nächsten Aufruf erneut versuchen
+                this.dbPromise.catch(() => { this.dbPromise = null; });
+            }
+            return this.dbPromise;
+        }
+
+        open() {
+            return new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB wird nicht unterstützt'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.dbName, DB_VERSION);
+
+                request.onupgradeneeded = (event) => {
+                    this.upgradeSchema(request.result, event.oldVersion);
+                };
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Andere Tabs mit neuer Version nicht blockieren
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => console.warn('⚠️ IndexedDB Upgrade blockiert - anderen Tab schließen');
+            });
+        }
+
+        /**
+         * Datenbank komplett löschen (App-Reset)
+         */
+        async destroy() {
+            if (this.dbPromise) {
+                const db = await this.dbPromise.catch(() => null);
+                db?.close();
+                this.dbPromise = null;
+            }
+            await promisify(indexedDB.deleteDatabase(this.dbName));
+        }
+
+        /**
+         * Schema-Migrationen je Version - neue Versionen hier anhängen
+         */
+        upgradeSchema(db, oldVersion) {
+            console.log(`🗄️ IndexedDB Upgrade von v${oldVersion} auf v${DB_VERSION}`);
+
+            if (oldVersion < 1) {
+                const entries = db.createObjectStore(STORES.ENTRIES, { keyPath: '_localId' });
+                entries.createIndex('date', 'date');
+                entries.createIndex('syncState', '_syncState');
+                entries.createIndex('serverId', '_serverId');
+
+                db.createObjectStore(STORES.GOALS, { keyPath: 'userId' });
+                db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+
+                // Eine koaleszierte Operation pro Eintrag (create/update/delete)
+                const queue = db.createObjectStore(STORES.SYNC_QUEUE, { keyPath: '_localId' });
+                queue.createIndex('queuedAt', 'queuedAt');
+            }
+
+            if (oldVersion < 2) {
+                // Trainingseinheiten mit Geräte-ID - ausstehende Uploads über syncState statt Queue
+                const workouts = db.createObjectStore(STORES.WORKOUTS, { keyPath: 'id' });
+                workouts.createIndex('date', 'date');
+                workouts.createIndex('syncState', '_syncState');
+            }
+
+            if (oldVersion < 3) {
+                // Medikamente und erfasste Dosen - gleicher Upload-Mechanismus wie Trainings
+                const medications = db.createObjectStore(STORES.MEDICATIONS, { keyPath: 'id' });
+                medications.createIndex('syncState', '_syncState');
+
+                const logs = db.createObjectStore(STORES.MEDICATION_LOGS, { keyPath: 'id' });
+                logs.createIndex('date', 'date');
+                logs.createIndex('syncState', '_syncState');
+            }
+
+            if (oldVersion < 4) {
+                // Perioden - der date-Index zeigt auf den Beginn, damit getRecords mit Zeitraum funktioniert
+                const periods = db.createObjectStore(STORES.PERIODS, { keyPath: 'id' });
+                periods.createIndex('date', 'startDate');
+                periods.createIndex('syncState', '_syncState');
+            }
+        }
+
+        /**
+         * Transaktion ausführen - resolved erst nach "complete"
+         */
+        async transaction(storeNames, mode, work) {
+            const db = await this.ready();
+            return this.runTransaction(db, storeNames, mode, work);
+        }
+
+        runTransaction(db, storeNames, mode, work) {
+            return new Promise((resolve, reject) => {
+                const tx = db.transaction(storeNames, mode);
+                let result;
+
+                tx.oncomplete = () => resolve(result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error || new Error('Transaktion abgebrochen'));
+
+                Promise.resolve(work(tx)).then(value => { result = value; }).catch(error => {
+                    try { tx.abort(); } catch (abortError) { /* bereits beendet */ }
+                    reject(error);
+                });
+            });
+        }
+
+        generateLocalId() {
+            this.localIdCounter = (this.localIdCounter + 1) % 1000;
+            return `local_${Date.now()}_${this.localIdCounter}_${Math.random().toString(36).substr(2, 5)}`;
+        }
+
+        // ====================================================================
+        // ENTRIES
+        // ====================================================================
+
+        async getAllEntries() {
+            return this.transaction([STORES.ENTRIES], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.ENTRIES).getAll()));
+        }
+
+        /**
+         * Einträge im Datumsbereich (inklusive, YYYY-MM-DD) über den date-Index
+         */
+        async getEntriesByDateRange(from, to) {
+            const range = from && to ? IDBKeyRange.bound(from, to)
+                : from ? IDBKeyRange.lowerBound(from)
+                : to ? IDBKeyRange.upperBound(to)
+                : null;
+
+            return this.transaction([STORES.ENTRIES], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.ENTRIES).index('date').getAll(range)));
+        }
+
+        async countEntries() {
+            return this.transaction([STORES.ENTRIES], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.ENTRIES).count()));
+        }
+
+        /**
+         * Eintrag per lokaler oder Server-ID finden
+         */
+        async findEntry(key) {
+            if (!key) return null;
+            return this.transaction([STORES.ENTRIES], 'readonly', async tx => {
+                const store = tx.objectStore(STORES.ENTRIES);
+                const byLocalId = await promisify(store.get(String(key)));
+                if (byLocalId) return byLocalId;
+                return (await promisify(store.index('serverId').get(String(key)))) || null;
+            });
+        }
+
+        /**
+         * Eintrag ohne Sync-Queue ablegen (z.B. lokale Kopie eines Servereintrags)
+         */
+        async putEntry(entry) {
+            const record = this.normalizeEntry(entry);
+            await this.transaction([STORES.ENTRIES], 'readwrite', tx => {
+                tx.objectStore(STORES.ENTRIES).put(record);
+            });
+            return record;
+        }
+
+        /**
+         * Eintrag speichern und Operation in die Sync-Queue einreihen
+         * @param {'create'|'update'} op
+         */
+        async saveEntry(entry, op = 'create') {
+            const record = {
+                ...entry,
+                _localId: entry._localId || this.generateLocalId(),
+                date: toDateKey(entry.date),
+                _synced: false,
+                _syncState: SYNC_STATE.PENDING
+            };
+            delete record._pendingOp;
+            delete record._queuedAt;
+
+            await this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                const queued = await promisify(queue.get(record._localId));
+
+                // Noch nicht gesendetes "create" bleibt ein "create"
+                const effectiveOp = queued?.op === 'create' ? 'create' : op;
+
+                tx.objectStore(STORES.ENTRIES).put(record);
+                queue.put(queueItem({
+                    _localId: record._localId,
+                    _serverId: record._serverId || null,
+                    op: effectiveOp
+                }));
+            });
+
+            return record;
+        }
+
+        /**
+         * Viele neue Einträge in einer Transaktion speichern (Import) - jeder wird als "create" eingereiht
+         */
+        async saveEntries(entries) {
+            const records = entries.map(entry => {
+                const record = {
+                    ...entry,
+                    _localId: entry._localId || this.generateLocalId(),
+                    date: toDateKey(entry.date),
+                    _synced: false,
+                    _syncState: SYNC_STATE.PENDING
+                };
+                delete record._pendingOp;
+                delete record._queuedAt;
+                return record;
+            });
+
+            await this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', tx => {
+                const store = tx.objectStore(STORES.ENTRIES);
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                records.forEach(record => {
+                    store.put(record);
+                    queue.put(queueItem({ _localId: record._localId, _serverId: record._serverId || null, op: 'create' }));
+                });
+            });
+
+            return records;
+        }
+
+        /**
+         * Eintrag lokal löschen - Server-Löschung wird über die Queue nachgeholt
+         */
+        async removeEntry(localId) {
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                const entry = await promisify(entries.get(localId));
+                const queued = await promisify(queue.get(localId));
+
+                entries.delete(localId);
+
+                const neverSent = queued?.op === 'create' && !entry?._serverId;
+                if (neverSent) {
+                    queue.delete(localId);
+                    return false;
+                }
+
+                queue.put(queueItem({
+                    _localId: localId,
+                    _serverId: entry?._serverId || queued?._serverId || null,
+                    _version: entry?._version ?? null,
+                    date: entry?.date || null,
+                    op: 'delete'
+                }));
+                return true;
+            });
+        }
+
+        /**
+         * Einträge nur lokal entfernen (Aufbewahrung/Bereinigung), ohne Server-Löschung
+         * @returns {Promise<number>} Anzahl entfernter Einträge
+         */
+        async purgeEntries(predicate) {
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                const all = await promisify(entries.getAll());
+                let removed = 0;
+
+                all.filter(predicate).forEach(entry => {
+                    entries.delete(entry._localId);
+                    queue.delete(entry._localId);
+                    removed++;
+                });
+                return removed;
+            });
+        }
+
+        /**
+         * Alle Einträge ersetzen (Import) - importierte Einträge gelten als synchronisiert
+         */
+        async replaceAllEntries(entries) {
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const store = tx.objectStore(STORES.ENTRIES);
+                store.clear();
+                tx.objectStore(STORES.SYNC_QUEUE).clear();
+                entries.forEach(entry => store.put(this.normalizeEntry(entry)));
+                return entries.length;
+            });
+        }
+
+        /**
+         * Alle Daten eines Kontos entfernen (Kontowechsel) - Geräte-Einstellungen bleiben erhalten
+         */
+        async clearAccountData() {
+            const stores = [
+                STORES.ENTRIES, STORES.SYNC_QUEUE, STORES.GOALS, STORES.WORKOUTS,
+                STORES.MEDICATIONS, STORES.MEDICATION_LOGS, STORES.PERIODS
+            ];
+            await this.transaction([...stores, STORES.SETTINGS], 'readwrite', async tx => {
+                stores.forEach(name => tx.objectStore(name).clear());
+                const settings = tx.objectStore(STORES.SETTINGS);
+                ACCOUNT_SETTING_KEYS.forEach(key => settings.delete(key));
+                // Sync-Cursor aller Konten - sonst holt der nächste Abgleich nur Änderungen ab dem alten Stand
+                const keys = await promisify(settings.getAllKeys());
+                keys.filter(key => key.startsWith('syncCursor:')).forEach(key => settings.delete(key));
+            });
+        }
+
+        normalizeEntry(entry) {
+            const synced = entry._synced !== false;
+            const normalized = {
+                ...entry,
+                _localId: entry._localId || this.generateLocalId(),
+                date: toDateKey(entry.date),
+                _synced: synced,
+                _syncState: synced ? SYNC_STATE.SYNCED : SYNC_STATE.PENDING
+            };
+            if (!normalized._serverId && entry._id) {
+                normalized._serverId = String(entry._id);
+            }
+            delete normalized._pendingOp;
+            delete normalized._queuedAt;
+            return normalized;
+        }
+
+        // ====================================================================
+        // SYNC QUEUE
+        // ====================================================================
+
+        /**
+         * Ausstehende Änderungen inkl. Eintragsdaten (älteste zuerst)
+         */
+        async getPendingChanges() {
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readonly', async tx => {
+                const queued = await promisify(tx.objectStore(STORES.SYNC_QUEUE).index('queuedAt').getAll());
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const changes = [];
+
+                for (const item of queued) {
+                    const queueState = {
+                        _pendingOp: item.op,
+                        _queuedAt: item.queuedAt,
+                        _syncStatus: item.status || 'pending',
+                        _attempts: item.attempts || 0,
+                        _nextAttemptAt: item.nextAttemptAt || null,
+                        _lastError: item.lastError || null
+                    };
+
+                    if (item.op === 'delete') {
+                        changes.push({
+                            _localId: item._localId,
+                            _serverId: item._serverId,
+                            _version: item._version ?? null,
+                            _updatedAt: new Date(item.queuedAt).toISOString(),
+                            date: item.date,
+                            _deleted: true,
+                            _synced: false,
+                            ...queueState
+                        });
+                        continue;
+                    }
+
+                    const entry = await promisify(entries.get(item._localId));
+                    if (entry) {
+                        changes.push({ ...entry, ...queueState });
+                    }
+                }
+                return changes;
+            });
+        }
+
+        /**
+         * Retry-Zustand von Queue-Einträgen aktualisieren (Status, Versuche, Fehler)
+         * @param {string[]} localIds
+         * @param {Function} updater - (item) => neues Queue-Item
+         */
+        async updateQueueItems(localIds, updater) {
+            if (!localIds?.length) return;
+
+            await this.transaction([STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                for (const localId of localIds) {
+                    const item = await promisify(queue.get(localId));
+                    if (item) queue.put(updater(item));
+                }
+            });
+        }
+
+        /**
+         * Änderung als synchronisiert markieren - nur wenn seitdem nicht erneut geändert
+         */
+        async markSynced(localId, queuedAt = null, serverId = null, version = null) {
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const queued = await promisify(queue.get(localId));
+                const unchanged = !queued || queuedAt === null || queued.queuedAt === queuedAt;
+
+                if (queued && unchanged) {
+                    queue.delete(localId);
+                } else if (queued && serverId) {
+                    // Neuere Änderung wartet noch - Server-ID für das folgende PUT merken
+                    queue.put({ ...queued, _serverId: serverId, op: queued.op === 'create' ? 'update' : queued.op });
+                }
+
+                const entry = await promisify(entries.get(localId));
+                if (entry) {
+                    entries.put({
+                        ...entry,
+                        _serverId: serverId ? String(serverId) : entry._serverId || null,
+                        _version: version ?? entry._version ?? null,
+                        _synced: unchanged,
+                        _syncState: unchanged ? SYNC_STATE.SYNCED : SYNC_STATE.PENDING
+                    });
+                }
+                return unchanged;
+            });
+        }
+
+        /**
+         * Serveränderungen (Delta-Sync) übernehmen - Einträge mit wartender
+         * lokaler Änderung bleiben unangetastet, die Änderung wird danach gepusht
+         * @returns {Promise<number>} Anzahl übernommener Datensätze
+         */
+        async applyServerChanges(records) {
+            if (!records?.length) return 0;
+
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                let appliedCount = 0;
+
+                for (const record of records) {
+                    const serverId = String(record._id);
+                    const local = (await promisify(entries.index('serverId').get(serverId))) ||
+                        (record._localId ? await promisify(entries.get(record._localId)) : null);
+                    const localId = local?._localId || record._localId;
+
+                    if (localId && await promisify(queue.get(localId))) continue;
+
+                    if (record.deleted) {
+                        if (local) entries.delete(local._localId);
+                        appliedCount++;
+                        continue;
+                    }
+
+                    const { _id, syncSeq, deleted, deletedAt, version, __v, ...fields } = record;
+                    entries.put({
+                        ...(local || {}),
+                        ...fields,
+                        _localId: localId || this.generateLocalId(),
+                        _serverId: serverId,
+                        _version: version || 1,
+                        date: toDateKey(record.date),
+                        _synced: true,
+                        _syncState: SYNC_STATE.SYNCED
+                    });
+                    appliedCount++;
+                }
+                return appliedCount;
+            });
+        }
+
+        /**
+         * Wartende Änderung verwerfen - ein nie hochgeladener Eintrag wird entfernt
+         * @returns {Promise<boolean>} true, wenn der Eintrag einen Serverstand hat
+         */
+        async discardChange(localId) {
+            return this.transaction([STORES.ENTRIES, STORES.SYNC_QUEUE], 'readwrite', async tx => {
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                const queued = await promisify(queue.get(localId));
+                const entry = await promisify(entries.get(localId));
+                queue.delete(localId);
+
+                if (entry?._serverId || queued?._serverId) return true;
+                if (entry) entries.delete(localId);
+                return false;
+            });
+        }
+
+        async countPendingChanges() {
+            return this.transaction([STORES.SYNC_QUEUE], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.SYNC_QUEUE).count()));
+        }
+
+        // ====================================================================
+        // CLIENT-ID RECORDS (Trainings, Medikamente, Dosen)
+        // ====================================================================
+
+        /**
+         * Datensätze mit Geräte-ID im Datumsbereich (inklusive, YYYY-MM-DD) - ohne lokal gelöschte.
+         * Stores ohne date-Index liefern immer alle Datensätze.
+         */
+        async getRecords(storeName, from = null, to = null) {
+            const range = from && to ? IDBKeyRange.bound(from, to)
+                : from ? IDBKeyRange.lowerBound(from)
+                : to ? IDBKeyRange.upperBound(to)
+                : null;
+
+            const records = await this.transaction([storeName], 'readonly', tx => {
+                const store = tx.objectStore(storeName);
+                return promisify(range ? store.index('date').getAll(range) : store.getAll());
+            });
+            return records.filter(record => !record._deleted);
+        }
+
+        /**
+         * Datensatz lokal speichern und für den Upload vormerken
+         */
+        async saveRecord(storeName, value) {
+            const record = {
+                ...value,
+                _updatedAt: Date.now(),
+                _syncState: SYNC_STATE.PENDING
+            };
+            delete record._deleted;
+            delete record._lastError;
+
+            await this.transaction([storeName], 'readwrite', async tx => {
+                const store = tx.objectStore(storeName);
+                const existing = await promisify(store.get(record.id));
+                store.put({ ...record, _serverId: existing?._serverId || record._serverId || null });
+            });
+            return record;
+        }
+
+        /**
+         * Datensatz lokal löschen - schon hochgeladene bleiben als Tombstone bis zur Server-Löschung
+         * @returns {Promise<boolean>} true, wenn eine Server-Löschung aussteht
+         */
+        async removeRecord(storeName, id) {
+            return this.transaction([storeName], 'readwrite', async tx => {
+                const store = tx.objectStore(storeName);
+                const record = await promisify(store.get(id));
+                if (!record) return false;
+
+                if (!record._serverId) {
+                    store.delete(id);
+                    return false;
+                }
+
+                store.put({ ...record, _deleted: true, _updatedAt: Date.now(), _syncState: SYNC_STATE.PENDING });
+                return true;
+            });
+        }
+
+        async getPendingRecords(storeName) {
+            return this.transaction([storeName], 'readonly', tx =>
+                promisify(tx.objectStore(storeName).index('syncState').getAll(SYNC_STATE.PENDING)));
+        }
+
+        async getRejectedRecords(storeName) {
+            return this.transaction([storeName], 'readonly', tx =>
+                promisify(tx.objectStore(storeName).index('syncState').getAll(SYNC_STATE.REJECTED)));
+        }
+
+        /**
+         * Ablehnung des Servers vermerken - nur wenn der Datensatz seitdem nicht erneut geändert wurde
+         */
+        async markRecordRejected(storeName, id, updatedAt, message) {
+            return this.transaction([storeName], 'readwrite', async tx => {
+                const store = tx.objectStore(storeName);
+                const record = await promisify(store.get(id));
+                if (!record || record._updatedAt !== updatedAt) return false;
+
+                store.put({ ...record, _syncState: SYNC_STATE.REJECTED, _lastError: message });
+                return true;
+            });
+        }
+
+        /**
+         * Abgelehnte Änderung verwerfen - nie hochgeladene Datensätze werden gelöscht, die übrigen
+         * gelten als synchronisiert und werden beim nächsten Laden durch den Serverstand ersetzt
+         * @returns {Promise<boolean>} true, wenn der Server einen Stand hat
+         */
+        async discardRecordChange(storeName, id) {
+            return this.transaction([storeName], 'readwrite', async tx => {
+                const store = tx.objectStore(storeName);
+                const record = await promisify(store.get(id));
+                if (!record) return false;
+
+                if (!record._serverId) {
+                    store.delete(id);
+                    return false;
+                }
+
+                const { _deleted, _lastError, ...rest } = record;
+                store.put({ ...rest, _syncState: SYNC_STATE.SYNCED });
+                return true;
+            });
+        }
+
+        /**
+         * Upload bestätigen - nur wenn der Datensatz seitdem nicht erneut geändert wurde
+         */
+        async markRecordSynced(storeName, id, updatedAt, serverId = null) {
+            return this.transaction([storeName], 'readwrite', async tx => {
+                const store = tx.objectStore(storeName);
+                const record = await promisify(store.get(id));
+                if (!record || record._updatedAt !== updatedAt) return false;
+
+                if (record._deleted) {
+                    store.delete(id);
+                } else {
+                    store.put({
+                        ...record,
+                        _serverId: serverId ? String(serverId) : record._serverId,
+                        _syncState: SYNC_STATE.SYNCED
+                    });
+                }
+                return true;
+            });
+        }
+
+        /**
+         * Serverstand (ab einem Tag) übernehmen - wartende und abgelehnte lokale Änderungen gewinnen,
+         * synchronisierte Datensätze, die der Server nicht mehr kennt, werden entfernt
+         */
+        async applyServerRecords(storeName, records, from = null) {
+            return this.transaction([storeName], 'readwrite', async tx => {
+                const store = tx.objectStore(storeName);
+                const local = await promisify(from
+                    ? store.index('date').getAll(IDBKeyRange.lowerBound(from))
+                    : store.getAll());
+                const localById = new Map(local.map(record => [record.id, record]));
+                const serverIds = new Set(records.map(record => record.id));
+
+                local.forEach(record => {
+                    if (record._syncState === SYNC_STATE.SYNCED && !serverIds.has(record.id)) {
+                        store.delete(record.id);
+                    }
+                });
+
+                records.forEach(({ _id, __v, ...record }) => {
+                    const localState = localById.get(record.id)?._syncState;
+                    if (localState === SYNC_STATE.PENDING || localState === SYNC_STATE.REJECTED) return;
+                    store.put({ ...record, _serverId: String(_id), _syncState: SYNC_STATE.SYNCED });
+                });
+                return records.length;
+            });
+        }
+
+        // ====================================================================
+        // WORKOUTS
+        // ====================================================================
+
+        async getWorkouts(from = null, to = null) {
+            return this.getRecords(STORES.WORKOUTS, from, to);
+        }
+
+        async saveWorkout(workout) {
+            return this.saveRecord(STORES.WORKOUTS, workout);
+        }
+
+        async removeWorkout(id) {
+            return this.removeRecord(STORES.WORKOUTS, id);
+        }
+
+        async applyServerWorkouts(workouts, from = null) {
+            return this.applyServerRecords(STORES.WORKOUTS, workouts, from);
+        }
+
+        // ====================================================================
+        // MEDICATIONS
+        // ====================================================================
+
+        // Medikamente werden nur archiviert (archived + endDate), nie lokal gelöscht
+        async getMedications() {
+            return this.getRecords(STORES.MEDICATIONS);
+        }
+
+        async saveMedication(medication) {
+            return this.saveRecord(STORES.MEDICATIONS, medication);
+        }
+
+        async applyServerMedications(medications) {
+            return this.applyServerRecords(STORES.MEDICATIONS, medications);
+        }
+
+        /**
+         * Erfasste Dosen - die ID kommt aus MedicationSchedule.doseId, erneutes Erfassen überschreibt
+         */
+        async getMedicationLogs(from = null, to = null) {
+            return this.getRecords(STORES.MEDICATION_LOGS, from, to);
+        }
+
+        async saveMedicationLog(log) {
+            return this.saveRecord(STORES.MEDICATION_LOGS, log);
+        }
+
+        async removeMedicationLog(id) {
+            return this.removeRecord(STORES.MEDICATION_LOGS, id);
+        }
+
+        async applyServerMedicationLogs(logs, from = null) {
+            return this.applyServerRecords(STORES.MEDICATION_LOGS, logs, from);
+        }
+
+        // ====================================================================
+        // PERIODS
+        // ====================================================================
+
+        async getPeriods() {
+            return this.getRecords(STORES.PERIODS);
+        }
+
+        async savePeriod(period) {
+            return this.saveRecord(STORES.PERIODS, period);
+        }
+
+        async removePeriod(id) {
+            return this.removeRecord(STORES.PERIODS, id);
+        }
+
+        async applyServerPeriods(periods) {
+            return this.applyServerRecords(STORES.PERIODS, periods);
+        }
+
+        // ====================================================================
+        // GOALS & SETTINGS
+        // ====================================================================
+
+        async getGoals(userId) {
+            return this.transaction([STORES.GOALS], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.GOALS).get(userId))).then(goals => goals || null);
+        }
+
+        async saveGoals(goals) {
+            return this.transaction([STORES.GOALS], 'readwrite', tx => {
+                tx.objectStore(STORES.GOALS).put({ ...goals, updatedAt: new Date().toISOString() });
+            });
+        }
+
+        async getSetting(key, fallback = null) {
+            const record = await this.transaction([STORES.SETTINGS], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.SETTINGS).get(key)));
+            return record ? record.value : fallback;
+        }
+
+        async setSetting(key, value) {
+            return this.transaction([STORES.SETTINGS], 'readwrite', tx => {
+                tx.objectStore(STORES.SETTINGS).put({ key, value });
+            });
+        }
+
+        async getAllSettings() {
+            const records = await this.transaction([STORES.SETTINGS], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.SETTINGS).getAll()));
+            return records
+                .filter(record => !record.key.startsWith('_'))
+                .reduce((settings, record) => ({ ...settings, [record.key]: record.value }), {});
+        }
+
+        // ====================================================================
+        // MIGRATION
+        // ====================================================================
+
+        /**
+         * Einmalige Übernahme von healthData, userGoals und Einstellungen aus localStorage
+         */
+        async migrateFromLocalStorage(db, storage) {
+            const alreadyMigrated = await this.runTransaction(db, [STORES.SETTINGS], 'readonly', tx =>
+                promisify(tx.objectStore(STORES.SETTINGS).get(MIGRATION_FLAG)));
+            if (alreadyMigrated) return false;
+
+            const parse = (key, fallback) => {
+                try {
+                    return JSON.parse(storage.getItem(key) || 'null') ?? fallback;
+                } catch (error) {
+                    console.warn(`⚠️ localStorage "${key}" nicht lesbar - übersprungen`);
+                    return fallback;
+                }
+            };
+
+            const rawEntries = parse('healthData', []);
+            const legacyEntries = Array.isArray(rawEntries) ? rawEntries : Object.values(rawEntries);
+            const goals = parse('userGoals', null) || parse('goals', null);
+
+            let migratedEntries = 0;
+            await this.runTransaction(db, Object.values(STORES), 'readwrite', tx => {
+                const entries = tx.objectStore(STORES.ENTRIES);
+                const queue = tx.objectStore(STORES.SYNC_QUEUE);
+                const seenIds = new Set();
+
+                legacyEntries.forEach(item => {
+                    if (!item || typeof item !== 'object') return;
+
+                    // Alte _localIds ("local_" + Date.now()) können kollidieren
+                    let localId = item._localId;
+                    if (!localId || seenIds.has(localId)) localId = this.generateLocalId();
+                    seenIds.add(localId);
+
+                    const pendingOp = item._synced ? null : (item._pendingOp || 'create');
+                    if (pendingOp) {
+                        queue.put(queueItem({
+                            _localId: localId,
+                            _serverId: item._serverId || null,
+                            date: toDateKey(item.date),
+                            op: pendingOp,
+                            queuedAt: Date.now() + migratedEntries
+                        }));
+                    }
+                    if (item._deleted) return;
+
+                    entries.put(this.normalizeEntry({ ...item, _localId: localId, _synced: !pendingOp }));
+                    migratedEntries++;
+                });
+
+                if (goals && typeof goals === 'object') {
+                    const userId = goals.userId || storage.getItem('userId') || 'local';
+                    tx.objectStore(STORES.GOALS).put({ ...goals, userId });
+                }
+
+                const settings = tx.objectStore(STORES.SETTINGS);
+                SETTING_KEYS.forEach(key => {
+                    const value = storage.getItem(key);
+                    if (value !== null) settings.put({ key, value });
+                });
+                settings.put({ key: MIGRATION_FLAG, value: new Date().toISOString() });
+            });
+
+            // Erst nach erfolgreicher Transaktion aufräumen
+            storage.removeItem('healthData');
+            storage.removeItem('userGoals');
+            storage.removeItem('goals');
+
+            console.log(`🗄️ Migration abgeschlossen: ${migratedEntries} Einträge aus localStorage übernommen`);
+            return true;
+        }
+    }
+
+    root.HealthRepository = HealthRepository;
+    root.HealthRepository.STORES = STORES;
+    root.HealthRepository.SYNC_STATE = SYNC_STATE;
+    root.HealthRepository.SETTING_KEYS = SETTING_KEYS;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { HealthRepository, STORES, SYNC_STATE, SETTING_KEYS };
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,762 @@
+/**
+ * Health Tracker Pro - Health Schema
+ * Deklarative Validierungsregeln - gemeinsam genutzt von API (require)
+ * und App (window), damit Formular und Server dieselben Grenzen prüfen
+ */
+
+(function (root) {
+    'use strict';
+
+    const MOODS = ['excellent', 'good', 'neutral', 'bad', 'terrible'];
+
+    // Eigene Metriken: Schlüssel im custom-Objekt eines Eintrags
+    const METRIC_KEY_PATTERN = /^[a-z][a-zA-Z0-9]{0,39}$/;
+    const CUSTOM_METRIC_TYPES = ['number', 'integer'];
+    const CUSTOM_AGGREGATIONS = ['sum', 'max', 'min', 'latest', 'average'];
+    const GOAL_DIRECTIONS = ['increase', 'decrease', 'none'];
+    const MAX_CUSTOM_METRICS = 20;
+
+    const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+    // Ernährung - Lebensmittel-IDs werden auf dem Gerät erzeugt (offline anlegbar)
+    const MEAL_TYPES = ['breakfast', 'lunch', 'dinner', 'snack'];
+    const FOOD_KINDS = ['food', 'recipe'];
+    const FOOD_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+    const MAX_MEAL_ITEMS = 50;
+
+    // Trainingseinheiten - eigene Collection, Tag als lokaler Datumsschlüssel (YYYY-MM-DD)
+    const WORKOUT_TYPES = ['running', 'walking', 'cycling', 'swimming', 'strength', 'hiit', 'yoga', 'other'];
+    const DAY_KEY_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+    const MAX_WORKOUT_SETS = 50;
+
+    // Medikamente - Zeitplan: feste Uhrzeiten, alle N Stunden ab der ersten Uhrzeit oder an Wochentagen (1 = Mo ... 7 = So)
+    const MEDICATION_KINDS = ['medication', 'supplement'];
+    const SCHEDULE_TYPES = ['times', 'interval', 'weekdays'];
+    const DOSE_STATUSES = ['taken', 'skipped'];
+    const MAX_DOSE_TIMES = 12;
+
+    // Blutzucker - Messkontext, Werte immer in mg/dL (Umrechnung: MetricRegistry.convertGlucose)
+    const GLUCOSE_CONTEXTS = ['fasting', 'beforeMeal', 'afterMeal', 'bedtime', 'other'];
+    const GLUCOSE_UNITS = ['mg/dL', 'mmol/L'];
+
+    // Zyklus - eine Periode pro Datensatz, Zyklustag und Phasen berechnet CycleTracker
+    const FLOW_LEVELS = ['spotting', 'light', 'medium', 'heavy'];
+    const CYCLE_SYMPTOMS = [
+        'cramps', 'headache', 'bloating', 'breastTenderness', 'moodSwings',
+        'fatigue', 'acne', 'backache', 'nausea', 'cravings'
+    ];
+
+    /**
+     * Feldtypen: number, integer, string, boolean, date, email, timezone, enum, object, array
+     * - nullable: null (und '') ist erlaubt und bedeutet "kein Wert"
+     * - required: muss vorhanden und nicht leer sein (entfällt bei partial)
+     * - atLeastOne: mindestens eines dieser Felder muss einen Wert haben
+     * - items: Schema-Name (Objekte) oder Feldregel (einfache Werte) für die Elemente eines Arrays,
+     *   maxItems begrenzt die Länge
+     * Unbekannte Felder werden verworfen, nicht abgelehnt
+     */
+    const SCHEMAS = {
+        healthEntry: {
+            fields: {
+                date: { type: 'date', required: true, label: 'Datum' },
+                // Zeitpunkt des Ereignisses (Glas Wasser, Wiegen, Nickerchen) - date bleibt der Kalendertag
+                loggedAt: { type: 'date', nullable: true, label: 'Erfasst um' },
+                weight: { type: 'number', min: 20, max: 500, nullable: true, label: 'Gewicht', unit: 'kg' },
+                steps: { type: 'integer', min: 0, max: 100000, nullable: true, label: 'Schritte' },
+                waterIntake: { type: 'number', min: 0, max: 10, nullable: true, label: 'Wasserzufuhr', unit: 'L' },
+                sleepHours: { type: 'number', min: 0, max: 24, nullable: true, label: 'Schlafstunden', unit: 'h' },
+                // Schlafdetails der Nacht vor `date` - mit beiden Zeiten wird sleepHours berechnet (SleepLog)
+                bedtime: { type: 'string', pattern: TIME_OF_DAY_PATTERN, nullable: true, label: 'Eingeschlafen' },
+                wakeTime: { type: 'string', pattern: TIME_OF_DAY_PATTERN, nullable: true, label: 'Aufgewacht' },
+                sleepQuality: { type: 'integer', min: 1, max: 5, nullable: true, label: 'Schlafqualität' },
+                awakenings: { type: 'integer', min: 0, max: 30, nullable: true, label: 'Aufwachphasen' },
+                mood: { type: 'enum', values: MOODS, nullable: true, label: 'Stimmung' },
+                notes: { type: 'string', maxLength: 500, nullable: true, label: 'Notizen' },
+                systolic: { type: 'integer', min: 60, max: 260, nullable: true, label: 'Systolischer Blutdruck', unit: 'mmHg' },
+                diastolic: { type: 'integer', min: 30, max: 160, nullable: true, label: 'Diastolischer Blutdruck', unit: 'mmHg' },
+                restingHeartRate: { type: 'integer', min: 25, max: 220, nullable: true, label: 'Ruhepuls', unit: 'bpm' },
+                // Uhrzeit der Messung (HH:MM) - mehrere Messungen pro Tag sind eigene Einträge
+                readingTime: { type: 'string', pattern: TIME_OF_DAY_PATTERN, nullable: true, label: 'Uhrzeit' },
+                // Mahlzeit - Summen werden aus foods berechnet, ohne foods direkt erfasst
+                mealType: { type: 'enum', values: MEAL_TYPES, nullable: true, label: 'Mahlzeit' },
+                foods: { type: 'array', items: 'mealItem', maxItems: MAX_MEAL_ITEMS, nullable: true, label: 'Lebensmittel' },
+                calories: { type: 'integer', min: 0, max: 20000, nullable: true, label: 'Kalorien', unit: 'kcal' },
+                protein: { type: 'number', min: 0, max: 2000, nullable: true, label: 'Eiweiß', unit: 'g' },
+                carbs: { type: 'number', min: 0, max: 2000, nullable: true, label: 'Kohlenhydrate', unit: 'g' },
+                fat: { type: 'number', min: 0, max: 2000, nullable: true, label: 'Fett', unit: 'g' },
+                // Körpermaße - Umfänge und Körperfettanteil, BMI & Co. werden abgeleitet (MetricRegistry)
+                waist: { type: 'number', min: 30, max: 300, nullable: true, label: 'Taillenumfang', unit: 'cm' },
+                hip: { type: 'number', min: 40, max: 300, nullable: true, label: 'Hüftumfang', unit: 'cm' },
+                chest: { type: 'number', min: 40, max: 300, nullable: true, label: 'Brustumfang', unit: 'cm' },
+                arm: { type: 'number', min: 10, max: 100, nullable: true, label: 'Oberarmumfang', unit: 'cm' },
+                thigh: { type: 'number', min: 20, max: 150, nullable: true, label: 'Oberschenkelumfang', unit: 'cm' },
+                bodyFat: { type: 'number', min: 2, max: 75, nullable: true, label: 'Körperfett', unit: '%' },
+                // Blutzucker - eine Messung pro Eintrag, Uhrzeit in readingTime
+                glucose: { type: 'integer', min: 20, max: 600, nullable: true, label: 'Blutzucker', unit: 'mg/dL' },
+                glucoseContext: { type: 'enum', values: GLUCOSE_CONTEXTS, nullable: true, label: 'Messzeitpunkt' },
+                // Werte eigener Metriken { [key]: number } - Prüfung gegen die Definitionen mit validateCustomValues
+                custom: { type: 'object', nullable: true, label: 'Eigene Metriken' },
+                forceSubmit: { type: 'boolean', nullable: true },
+                submissionId: { type: 'string', maxLength: 100, nullable: true },
+                _localId: { type: 'string', maxLength: 100, nullable: true }
+            },
+            atLeastOne: ['weight', 'steps', 'waterIntake', 'sleepHours', 'bedtime', 'sleepQuality', 'mood', 'notes', 'systolic', 'diastolic',
+                'restingHeartRate', 'calories', 'foods', 'waist', 'hip', 'chest', 'arm', 'thigh', 'bodyFat', 'glucose', 'custom'],
+            // Blutdruck nur als Paar, der erste Wert muss größer sein
+            pairs: [['systolic', 'diastolic']]
+        },
+        goals: {
+            fields: {
+                weightGoal: { type: 'number', min: 20, max: 500, nullable: true, label: 'Gewichtsziel', unit: 'kg' },
+                stepsGoal: { type: 'integer', min: 0, max: 100000, nullable: true, label: 'Schrittziel' },
+                waterGoal: { type: 'number', min: 0, max: 10, nullable: true, label: 'Wasserziel', unit: 'L' },
+                sleepGoal: { type: 'number', min: 0, max: 24, nullable: true, label: 'Schlafziel', unit: 'h' },
+                calorieGoal: { type: 'integer', min: 800, max: 6000, nullable: true, label: 'Kalorienziel', unit: 'kcal' },
+                activeMinutesGoal: { type: 'integer', min: 0, max: 3000, nullable: true, label: 'Aktivminuten pro Woche', unit: 'min' },
+                waistGoal: { type: 'number', min: 30, max: 300, nullable: true, label: 'Taillenziel', unit: 'cm' },
+                bodyFatGoal: { type: 'number', min: 2, max: 75, nullable: true, label: 'Körperfettziel', unit: '%' },
+                // Kein Ziel, aber wie die Ziele eine Einstellung pro User - Grundlage für den BMI
+                height: { type: 'number', min: 50, max: 260, nullable: true, label: 'Körpergröße', unit: 'cm' },
+                // Angestrebte Einschlafzeit - Grundlage der Schlafenserinnerung
+                bedtimeGoal: { type: 'string', pattern: TIME_OF_DAY_PATTERN, nullable: true, label: 'Einschlafziel' },
+                // Blutzucker: Anzeigeeinheit und Zielbereich (immer mg/dL)
+                glucoseUnit: { type: 'enum', values: GLUCOSE_UNITS, nullable: true, label: 'Blutzucker-Einheit' },
+                glucoseTargetLow: { type: 'integer', min: 40, max: 200, nullable: true, label: 'Zielbereich untere Grenze', unit: 'mg/dL' },
+                glucoseTargetHigh: { type: 'integer', min: 80, max: 400, nullable: true, label: 'Zielbereich obere Grenze', unit: 'mg/dL' },
+                customGoals: { type: 'object', nullable: true, label: 'Ziele eigener Metriken' }
+            },
+            // Zielbereich nur vollständig, die obere Grenze über der unteren
+            pairs: [['glucoseTargetHigh', 'glucoseTargetLow']]
+        },
+        // Position einer Mahlzeit - Nährwerte der gegessenen Menge (nicht je 100 g)
+        mealItem: {
+            fields: {
+                foodId: { type: 'string', pattern: FOOD_ID_PATTERN, nullable: true, label: 'Lebensmittel-ID' },
+                name: { type: 'string', required: true, minLength: 1, maxLength: 80, label: 'Name' },
+                grams: { type: 'number', required: true, min: 1, max: 5000, label: 'Menge', unit: 'g' },
+                calories: { type: 'number', required: true, min: 0, max: 10000, label: 'Kalorien', unit: 'kcal' },
+                protein: { type: 'number', min: 0, max: 1000, nullable: true, label: 'Eiweiß', unit: 'g' },
+                carbs: { type: 'number', min: 0, max: 1000, nullable: true, label: 'Kohlenhydrate', unit: 'g' },
+                fat: { type: 'number', min: 0, max: 1000, nullable: true, label: 'Fett', unit: 'g' }
+            }
+        },
+        // Eigenes Lebensmittel oder Rezept - Nährwerte je 100 g
+        food: {
+            fields: {
+                id: { type: 'string', required: true, pattern: FOOD_ID_PATTERN, label: 'ID' },
+                kind: { type: 'enum', values: FOOD_KINDS, required: true, label: 'Art' },
+                name: { type: 'string', required: true, minLength: 1, maxLength: 80, label: 'Name' },
+                calories: { type: 'number', required: true, min: 0, max: 900, label: 'Kalorien je 100 g', unit: 'kcal' },
+                protein: { type: 'number', min: 0, max: 100, nullable: true, label: 'Eiweiß je 100 g', unit: 'g' },
+                carbs: { type: 'number', min: 0, max: 100, nullable: true, label: 'Kohlenhydrate je 100 g', unit: 'g' },
+                fat: { type: 'number', min: 0, max: 100, nullable: true, label: 'Fett je 100 g', unit: 'g' },
+                servingLabel: { type: 'string', maxLength: 30, nullable: true, label: 'Portion' },
+                servingGrams: { type: 'number', min: 1, max: 5000, nullable: true, label: 'Portionsgröße', unit: 'g' },
+                ingredients: { type: 'array', items: 'recipeIngredient', maxItems: MAX_MEAL_ITEMS, nullable: true, label: 'Zutaten' },
+                servings: { type: 'integer', min: 1, max: 100, nullable: true, label: 'Portionen' }
+            }
+        },
+        // Zutat eines Rezepts - Nährwerte je 100 g als Momentaufnahme des Lebensmittels
+        recipeIngredient: {
+            fields: {
+                foodId: { type: 'string', pattern: FOOD_ID_PATTERN, nullable: true, label: 'Lebensmittel-ID' },
+                name: { type: 'string', required: true, minLength: 1, maxLength: 80, label: 'Name' },
+                grams: { type: 'number', required: true, min: 1, max: 5000, label: 'Menge', unit: 'g' },
+                calories: { type: 'number', required: true, min: 0, max: 900, label: 'Kalorien je 100 g', unit: 'kcal' },
+                protein: { type: 'number', min: 0, max: 100, nullable: true, label: 'Eiweiß je 100 g', unit: 'g' },
+                carbs: { type: 'number', min: 0, max: 100, nullable: true, label: 'Kohlenhydrate je 100 g', unit: 'g' },
+                fat: { type: 'number', min: 0, max: 100, nullable: true, label: 'Fett je 100 g', unit: 'g' }
+            }
+        },
+        // Trainingseinheit - ID wird auf dem Gerät erzeugt, POST ist ein Upsert
+        workout: {
+            fields: {
+                id: { type: 'string', required: true, pattern: FOOD_ID_PATTERN, label: 'ID' },
+                date: { type: 'string', required: true, pattern: DAY_KEY_PATTERN, label: 'Datum' },
+                startTime: { type: 'string', pattern: TIME_OF_DAY_PATTERN, nullable: true, label: 'Startzeit' },
+                type: { type: 'enum', values: WORKOUT_TYPES, required: true, label: 'Art' },
+                durationMinutes: { type: 'integer', required: true, min: 1, max: 1440, label: 'Dauer', unit: 'min' },
+                distanceKm: { type: 'number', min: 0, max: 1000, nullable: true, label: 'Distanz', unit: 'km' },
+                // Anstrengung nach Borg CR10 (1 = sehr leicht, 10 = maximal)
+                rpe: { type: 'integer', min: 1, max: 10, nullable: true, label: 'Anstrengung (RPE)' },
+                sets: { type: 'array', items: 'workoutSet', maxItems: MAX_WORKOUT_SETS, nullable: true, label: 'Sätze' },
+                notes: { type: 'string', maxLength: 500, nullable: true, label: 'Notizen' }
+            }
+        },
+        // Übung einer Krafteinheit - sets × reps mit optionalem Gewicht
+        workoutSet: {
+            fields: {
+                exercise: { type: 'string', required: true, minLength: 1, maxLength: 60, label: 'Übung' },
+                sets: { type: 'integer', min: 1, max: 100, nullable: true, label: 'Sätze' },
+                reps: { type: 'integer', required: true, min: 1, max: 1000, label: 'Wiederholungen' },
+                weightKg: { type: 'number', min: 0, max: 1000, nullable: true, label: 'Gewicht', unit: 'kg' }
+            }
+        },
+        // Medikament oder Nahrungsergänzung - Zeitplan-Felder je nach scheduleType (MedicationSchedule.checkSchedule)
+        medication: {
+            fields: {
+                id: { type: 'string', required: true, pattern: FOOD_ID_PATTERN, label: 'ID' },
+                name: { type: 'string', required: true, minLength: 1, maxLength: 80, label: 'Name' },
+                dose: { type: 'string', maxLength: 40, nullable: true, label: 'Dosis' },
+                kind: { type: 'enum', values: MEDICATION_KINDS, required: true, label: 'Art' },
+                scheduleType: { type: 'enum', values: SCHEDULE_TYPES, required: true, label: 'Zeitplan' },
+                times: {
+                    type: 'array',
+                    items: { type: 'string', pattern: TIME_OF_DAY_PATTERN },
+                    maxItems: MAX_DOSE_TIMES,
+                    nullable: true,
+                    label: 'Uhrzeiten'
+                },
+                intervalHours: { type: 'integer', min: 1, max: 24, nullable: true, label: 'Abstand', unit: 'h' },
+                weekdays: { type: 'array', items: { type: 'integer', min: 1, max: 7 }, maxItems: 7, nullable: true, label: 'Wochentage' },
+                startDate: { type: 'string', pattern: DAY_KEY_PATTERN, nullable: true, label: 'Ab' },
+                endDate: { type: 'string', pattern: DAY_KEY_PATTERN, nullable: true, label: 'Bis' },
+                remindersEnabled: { type: 'boolean', nullable: true, label: 'Erinnerungen' },
+                archived: { type: 'boolean', nullable: true, label: 'Archiviert' },
+                notes: { type: 'string', maxLength: 500, nullable: true, label: 'Notizen' }
+            }
+        },
+        // Genommene oder ausgelassene Dosis - ID aus Medikament, Tag und geplanter Uhrzeit (MedicationSchedule.doseId)
+        medicationLog: {
+            fields: {
+                id: { type: 'string', required: true, pattern: FOOD_ID_PATTERN, label: 'ID' },
+                medicationId: { type: 'string', required: true, pattern: FOOD_ID_PATTERN, label: 'Medikament' },
+                date: { type: 'string', required: true, pattern: DAY_KEY_PATTERN, label: 'Datum' },
+                time: { type: 'string', required: true, pattern: TIME_OF_DAY_PATTERN, label: 'Geplante Uhrzeit' },
+                status: { type: 'enum', values: DOSE_STATUSES, required: true, label: 'Status' },
+                name: { type: 'string', required: true, minLength: 1, maxLength: 80, label: 'Name' },
+                dose: { type: 'string', maxLength: 40, nullable: true, label: 'Dosis' },
+                loggedAt: { type: 'date', nullable: true, label: 'Erfasst um' }
+            }
+        },
+        // Periode - endDate bleibt leer, solange sie andauert
+        period: {
+            fields: {
+                id: { type: 'string', required: true, pattern: FOOD_ID_PATTERN, label: 'ID' },
+                startDate: { type: 'string', required: true, pattern: DAY_KEY_PATTERN, label: 'Beginn' },
+                endDate: { type: 'string', pattern: DAY_KEY_PATTERN, nullable: true, label: 'Ende' },
+                flow: { type: 'enum', values: FLOW_LEVELS, nullable: true, label: 'Stärke' },
+                symptoms: {
+                    type: 'array',
+                    items: { type: 'enum', values: CYCLE_SYMPTOMS },
+                    maxItems: CYCLE_SYMPTOMS.length,
+                    nullable: true,
+                    label: 'Symptome'
+                },
+                notes: { type: 'string', maxLength: 500, nullable: true, label: 'Notizen' }
+            }
+        },
+        dayRangeQuery: {
+            fields: {
+                from: { type: 'string', pattern: DAY_KEY_PATTERN, nullable: true, label: 'Von' },
+                to: { type: 'string', pattern: DAY_KEY_PATTERN, nullable: true, label: 'Bis' },
+                limit: { type: 'integer', min: 1, max: 1000, nullable: true, label: 'Limit' }
+            }
+        },
+        metricDefinition: {
+            fields: {
+                key: { type: 'string', required: true, pattern: METRIC_KEY_PATTERN, label: 'Schlüssel' },
+                name: { type: 'string', required: true, minLength: 1, maxLength: 40, label: 'Name' },
+                unit: { type: 'string', maxLength: 12, nullable: true, label: 'Einheit' },
+                type: { type: 'enum', values: CUSTOM_METRIC_TYPES, required: true, label: 'Typ' },
+                aggregation: { type: 'enum', values: CUSTOM_AGGREGATIONS, required: true, label: 'Tageswert' },
+                goalDirection: { type: 'enum', values: GOAL_DIRECTIONS, nullable: true, label: 'Zielrichtung' },
+                min: { type: 'number', nullable: true, label: 'Minimum' },
+                max: { type: 'number', nullable: true, label: 'Maximum' },
+                decimals: { type: 'integer', min: 0, max: 4, nullable: true, label: 'Nachkommastellen' },
+                order: { type: 'integer', min: 0, max: 1000, nullable: true, label: 'Reihenfolge' }
+            }
+        },
+        register: {
+            fields: {
+                email: { type: 'email', required: true, maxLength: 254, label: 'E-Mail' },
+                password: { type: 'string', required: true, minLength: 8, maxLength: 200, label: 'Passwort' },
+                displayName: { type: 'string', maxLength: 100, nullable: true, label: 'Anzeigename' },
+                timezone: { type: 'timezone', nullable: true, label: 'Zeitzone' }
+            }
+        },
+        login: {
+            fields: {
+                email: { type: 'string', required: true, maxLength: 254, label: 'E-Mail' },
+                password: { type: 'string', required: true, maxLength: 200, label: 'Passwort' },
+                timezone: { type: 'timezone', nullable: true, label: 'Zeitzone' }
+            }
+        },
+        refresh: {
+            fields: {
+                refreshToken: { type: 'string', required: true, label: 'Refresh-Token' }
+            }
+        },
+        profile: {
+            fields: {
+                timezone: { type: 'timezone', label: 'Zeitzone' },
+                displayName: { type: 'string', maxLength: 100, nullable: true, label: 'Anzeigename' }
+            }
+        },
+        sync: {
+            fields: {
+                cursor: { type: 'integer', min: 0, nullable: true, label: 'Cursor' },
+                deviceId: { type: 'string', maxLength: 100, nullable: true, label: 'Geräte-ID' },
+                changes: { type: 'array', nullable: true, label: 'Änderungen' }
+            }
+        },
+        syncChange: {
+            fields: {
+                op: { type: 'enum', values: ['create', 'update', 'delete'], required: true, label: 'Operation' },
+                localId: { type: 'string', required: true, maxLength: 100, label: 'Lokale ID' },
+                serverId: { type: 'string', maxLength: 100, nullable: true, label: 'Server-ID' },
+                baseVersion: { type: 'integer', min: 1, nullable: true, label: 'Basisversion' },
+                updatedAt: { type: 'date', nullable: true, label: 'Änderungszeitpunkt' },
+                data: { type: 'object', nullable: true, label: 'Daten' }
+            }
+        },
+        aggregatedQuery: {
+            fields: {
+                days: { type: 'integer', min: 1, max: 3650, nullable: true, label: 'Tage' }
+            }
+        }
+    };
+
+    // Fehler dieser Codes bedeuten eine falsch geformte Anfrage (400), alle anderen
+    // einen wohlgeformten, aber fachlich ungültigen Wert (422)
+    const STRUCTURAL_CODES = ['INVALID_JSON', 'INVALID_BODY', 'INVALID_TYPE', 'REQUIRED'];
+
+    const MESSAGES = {
+        en: {
+            REQUIRED: '{field} is required',
+            INVALID_TYPE: '{field} must be of type {type}',
+            NOT_INTEGER: '{field} must be a whole number',
+            OUT_OF_RANGE: '{field} must be between {min} and {max}{unit}',
+            TOO_SMALL: '{field} must be at least {min}{unit}',
+            TOO_LARGE: '{field} must be at most {max}{unit}',
+            TOO_SHORT: '{field} must be at least {minLength} characters',
+            TOO_LONG: '{field} must be at most {maxLength} characters',
+            INVALID_VALUE: '{field} must be one of: {values}',
+            INVALID_DATE: '{field} is not a valid date',
+            INVALID_EMAIL: '{field} is not a valid email address',
+            INVALID_TIMEZONE: '{field} is not a valid IANA timezone',
+            INVALID_FORMAT: '{field} has an invalid format',
+            INVALID_RANGE: '{field} must not be greater than {max}',
+            UNKNOWN_METRIC: '{field} is not a defined metric',
+            REQUIRED_WITH: '{field} requires {other}',
+            TOO_MANY_ITEMS: '{field} must contain at most {maxItems} items',
+            NOT_GREATER: '{field} must be greater than {other}',
+            NO_DATA: 'At least one of {fields} must be provided'
+        },
+        de: {
+            REQUIRED: '{field} ist erforderlich',
+            INVALID_TYPE: '{field} hat einen ungültigen Typ ({type} erwartet)',
+            NOT_INTEGER: '{field} muss eine ganze Zahl sein',
+            OUT_OF_RANGE: '{field} muss zwischen {min}-{max}{unit} liegen',
+            TOO_SMALL: '{field} muss mindestens {min}{unit} betragen',
+            TOO_LARGE: '{field} darf höchstens {max}{unit} betragen',
+            TOO_SHORT: '{field} muss mindestens {minLength} Zeichen lang sein',
+            TOO_LONG: '{field} darf höchstens {maxLength} Zeichen lang sein',
+            INVALID_VALUE: '{field} muss einer dieser Werte sein: {values}',
+            INVALID_DATE: '{field} ist kein gültiges Datum',
+            INVALID_EMAIL: 'Bitte eine gültige E-Mail-Adresse eingeben',
+            INVALID_TIMEZONE: '{field} ist keine gültige Zeitzone',
+            INVALID_FORMAT: '{field} hat ein ungültiges Format',
+            INVALID_RANGE: '{field} darf nicht größer als {max} sein',
+            UNKNOWN_METRIC: '{field} ist keine definierte Metrik',
+            REQUIRED_WITH: '{field} nur zusammen mit {other} angeben',
+            TOO_MANY_ITEMS: '{field} darf höchstens {maxItems} Einträge enthalten',
+            NOT_GREATER: '{field} muss größer als {other} sein',
+            NO_DATA: 'Mindestens ein Feld muss ausgefüllt werden'
+        }
+    };
+
+    const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    const DAY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+    function isEmpty(value) {
+        return value === null || value === undefined || value === '';
+    }
+
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Leere Objekte (z.B. custom ohne Werte) zählen für atLeastOne nicht als Angabe
+     */
+    function hasContent(value) {
+        if (isEmpty(value)) return false;
+        if (isPlainObject(value)) return Object.values(value).some(entry => !isEmpty(entry));
+        return true;
+    }
+
+    function isValidDate(value) {
+        if (value instanceof Date) return !isNaN(value.getTime());
+        if (typeof value !== 'string') return false;
+
+        const dayMatch = value.match(DAY_PATTERN);
+        if (dayMatch) {
+            // 2024-02-31 wäre für Date.parse gültig - Kalendertag explizit prüfen
+            const [, year, month, day] = dayMatch.map(Number);
+            const date = new Date(Date.UTC(year, month - 1, day));
+            return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+        }
+        return !isNaN(Date.parse(value));
+    }
+
+    function isValidTimezone(value) {
+        if (typeof value !== 'string' || !value) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: value });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    function formatMessage(code, field, rule, locale) {
+        const templates = MESSAGES[locale] || MESSAGES.en;
+        const label = locale === 'de' && rule.label ? rule.label : field;
+        const unit = rule.unit ? (locale === 'de' ? rule.unit : ` ${rule.unit}`) : '';
+        const params = {
+            field: label,
+            type: rule.type,
+            min: rule.min,
+            max: rule.max,
+            unit,
+            minLength: rule.minLength,
+            maxLength: rule.maxLength,
+            maxItems: rule.maxItems,
+            values: (rule.values || []).join(', '),
+            other: rule.other,
+            fields: (rule.fields || []).join(', ')
+        };
+        return (templates[code] || code).replace(/\{(\w+)\}/g, (match, key) => params[key] ?? match);
+    }
+
+    /**
+     * Einzelnen Wert gegen eine Regel prüfen
+     * @returns {{ value: *, code?: string }} code nur im Fehlerfall
+     */
+    function checkValue(value, rule, options) {
+        let current = value;
+
+        // Query-Parameter kommen als String - nur auf Wunsch umwandeln
+        if (options.coerce && typeof current === 'string' && current.trim() !== '' &&
+            (rule.type === 'number' || rule.type === 'integer')) {
+            current = Number(current);
+        }
+
+        switch (rule.type) {
+            case 'number':
+            case 'integer': {
+                if (typeof current !== 'number' || !isFinite(current)) return { value, code: 'INVALID_TYPE' };
+                if (rule.type === 'integer' && !Number.isInteger(current)) return { value, code: 'NOT_INTEGER' };
+                const tooSmall = rule.min !== undefined && current < rule.min;
+                const tooLarge = rule.max !== undefined && current > rule.max;
+                if (tooSmall || tooLarge) {
+                    const bounded = rule.min !== undefined && rule.max !== undefined;
+                    return { value, code: bounded ? 'OUT_OF_RANGE' : (tooSmall ? 'TOO_SMALL' : 'TOO_LARGE') };
+                }
+                return { value: current };
+            }
+            case 'string':
+            case 'email': {
+                if (typeof current !== 'string') return { value, code: 'INVALID_TYPE' };
+                const trimmed = rule.type === 'email' ? current.trim().toLowerCase() : current;
+                if (rule.minLength !== undefined && trimmed.length < rule.minLength) return { value, code: 'TOO_SHORT' };
+                if (rule.maxLength !== undefined && trimmed.length > rule.maxLength) return { value, code: 'TOO_LONG' };
+                if (rule.pattern && !rule.pattern.test(trimmed)) return { value, code: 'INVALID_FORMAT' };
+                if (rule.type === 'email' && !EMAIL_PATTERN.test(trimmed)) return { value, code: 'INVALID_EMAIL' };
+                return { value: trimmed };
+            }
+            case 'boolean':
+                return typeof current === 'boolean' ? { value: current } : { value, code: 'INVALID_TYPE' };
+            case 'date':
+                if (typeof current !== 'string' && !(current instanceof Date)) return { value, code: 'INVALID_TYPE' };
+                return isValidDate(current) ? { value: current } : { value, code: 'INVALID_DATE' };
+            case 'timezone':
+                if (typeof current !== 'string') return { value, code: 'INVALID_TYPE' };
+                return isValidTimezone(current) ? { value: current } : { value, code: 'INVALID_TIMEZONE' };
+            case 'enum':
+                return rule.values.includes(current) ? { value: current } : { value, code: 'INVALID_VALUE' };
+            case 'object':
+                return isPlainObject(current) ? { value: current } : { value, code: 'INVALID_TYPE' };
+            case 'array':
+                return Array.isArray(current) ? { value: current } : { value, code: 'INVALID_TYPE' };
+            default:
+                throw new Error(`Unbekannter Feldtyp: ${rule.type}`);
+        }
+    }
+
+    /**
+     * Array-Elemente gegen ihr Schema prüfen - Fehlerpfade wie "foods[2].grams"
+     */
+    function validateItems(rule, items, field, options, prefix) {
+        const locale = options.locale || 'en';
+        if (rule.maxItems !== undefined && items.length > rule.maxItems) {
+            return {
+                errors: [{ field: prefix + field, code: 'TOO_MANY_ITEMS', message: formatMessage('TOO_MANY_ITEMS', field, rule, locale) }],
+                value: items
+            };
+        }
+
+        const errors = [];
+        const value = items.map((item, index) => {
+            if (typeof rule.items === 'object') {
+                const itemRule = { ...rule.items, label: rule.label };
+                const result = isEmpty(item) ? { value: item, code: 'REQUIRED' } : checkValue(item, itemRule, options);
+                if (result.code) {
+                    const path = `${field}[${index}]`;
+                    errors.push({ field: prefix + path, code: result.code, message: formatMessage(result.code, path, itemRule, locale) });
+                }
+                return result.value;
+            }
+
+            const result = validate(rule.items, item, { ...options, partial: false, prefix: `${prefix}${field}[${index}].` });
+            errors.push(...result.errors);
+            return result.value;
+        });
+        return { errors, value };
+    }
+
+    /**
+     * Feldpaare: beide oder keiner - auch bei Teil-Updates, sonst könnte ein Eintrag
+     * mit nur einer Hälfte entstehen - und der erste Wert muss größer als der zweite sein
+     */
+    function checkPairs(schema, value, locale, prefix) {
+        const errors = [];
+        schema.pairs.forEach(([first, second]) => {
+            const hasFirst = !isEmpty(value[first]);
+            const hasSecond = !isEmpty(value[second]);
+            const labelOf = field => (locale === 'de' && schema.fields[field].label) || field;
+
+            if (hasFirst !== hasSecond) {
+                const [field, other] = hasFirst ? [first, second] : [second, first];
+                const rule = { label: schema.fields[field].label, other: labelOf(other) };
+                errors.push({ field: prefix + field, code: 'REQUIRED_WITH', message: formatMessage('REQUIRED_WITH', field, rule, locale) });
+            } else if (hasFirst && hasSecond && value[first] <= value[second]) {
+                const rule = { label: schema.fields[first].label, other: labelOf(second) };
+                errors.push({ field: prefix + first, code: 'NOT_GREATER', message: formatMessage('NOT_GREATER', first, rule, locale) });
+            }
+        });
+        return errors;
+    }
+
+    /**
+     * Objekt gegen ein Schema validieren
+     * @param {string} schemaName - Schlüssel in SCHEMAS
+     * @param {Object} data
+     * @param {Object} [options]
+     * @param {boolean} [options.partial] - Teil-Update: required und atLeastOne entfallen
+     * @param {boolean} [options.coerce] - numerische Strings in Zahlen umwandeln
+     * @param {string} [options.locale] - 'en' (API) oder 'de' (App)
+     * @param {string} [options.prefix] - Pfad-Präfix für verschachtelte Felder, z.B. "changes[2]."
+     * @returns {{ valid: boolean, errors: Array<{field, code, message}>, value: Object }}
+     */
+    function validate(schemaName, data, options = {}) {
+        const schema = SCHEMAS[schemaName];
+        if (!schema) throw new Error(`Unbekanntes Schema: ${schemaName}`);
+
+        const locale = options.locale || 'en';
+        const prefix = options.prefix || '';
+        const errors = [];
+        const value = {};
+
+        if (!isPlainObject(data)) {
+            errors.push({
+                field: prefix.replace(/\.$/, '') || 'body',
+                code: 'INVALID_BODY',
+                message: locale === 'de' ? 'Ungültige Daten' : 'Request body must be a JSON object'
+            });
+            return { valid: false, errors, value };
+        }
+
+        Object.keys(schema.fields).forEach(field => {
+            const rule = schema.fields[field];
+            const raw = data[field];
+
+            if (isEmpty(raw)) {
+                if (rule.required && !options.partial) {
+                    errors.push({ field: prefix + field, code: 'REQUIRED', message: formatMessage('REQUIRED', field, rule, locale) });
+                } else if (raw !== undefined) {
+                    if (rule.nullable) {
+                        value[field] = null;
+                    } else {
+                        errors.push({ field: prefix + field, code: 'INVALID_TYPE', message: formatMessage('INVALID_TYPE', field, rule, locale) });
+                    }
+                }
+                return;
+            }
+
+            const result = checkValue(raw, rule, options);
+            if (result.code) {
+                errors.push({ field: prefix + field, code: result.code, message: formatMessage(result.code, field, rule, locale) });
+            } else if (rule.items) {
+                const items = validateItems(rule, result.value, field, options, prefix);
+                errors.push(...items.errors);
+                value[field] = items.value;
+            } else {
+                value[field] = result.value;
+            }
+        });
+
+        if (schema.pairs && errors.length === 0) {
+            errors.push(...checkPairs(schema, value, locale, prefix));
+        }
+
+        if (schema.atLeastOne && !options.partial && errors.length === 0 &&
+            !schema.atLeastOne.some(field => hasContent(value[field]))) {
+            errors.push({
+                field: prefix.replace(/\.$/, '') || 'body',
+                code: 'NO_DATA',
+                message: formatMessage('NO_DATA', 'body', { fields: schema.atLeastOne }, locale)
+            });
+        }
+
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    /**
+     * Einzelnes Feld prüfen (Live-Validierung im Formular)
+     * @returns {{field, code, message}|null}
+     */
+    function validateField(schemaName, field, value, options = {}) {
+        const rule = SCHEMAS[schemaName]?.fields[field];
+        if (!rule || isEmpty(value)) return null;
+        const result = checkValue(value, rule, options);
+        return result.code
+            ? { field, code: result.code, message: formatMessage(result.code, field, rule, options.locale || 'en') }
+            : null;
+    }
+
+    /**
+     * Prüfregel für eine eigene Metrik aus ihrer Definition
+     */
+    function customRule(definition) {
+        return {
+            type: definition.type === 'integer' ? 'integer' : 'number',
+            min: definition.min ?? undefined,
+            max: definition.max ?? undefined,
+            label: definition.name,
+            unit: definition.unit || undefined
+        };
+    }
+
+    /**
+     * Werte eigener Metriken gegen die Definitionen des Users prüfen
+     * Unbekannte Schlüssel werden abgelehnt, leere Werte entfernt. Archivierte Definitionen
+     * bleiben gültig, damit ältere Einträge weiter bearbeitet werden können.
+     * @param {Object|null} custom - { [key]: value }
+     * @param {Array} definitions - Metrik-Definitionen (inkl. archivierter)
+     * @param {Object} [options] - locale, coerce, prefix (z.B. "custom." oder "changes[0].data.custom.")
+     * @returns {{ valid: boolean, errors: Array<{field, code, message}>, value: Object|null }}
+     */
+    function validateCustomValues(custom, definitions, options = {}) {
+        const locale = options.locale || 'en';
+        const prefix = options.prefix ?? 'custom.';
+        const errors = [];
+        if (isEmpty(custom)) return { valid: true, errors, value: null };
+
+        if (!isPlainObject(custom)) {
+            const field = prefix.replace(/\.$/, '');
+            errors.push({ field, code: 'INVALID_TYPE', message: formatMessage('INVALID_TYPE', field, { type: 'object' }, locale) });
+            return { valid: false, errors, value: null };
+        }
+
+        const byKey = new Map((definitions || []).map(definition => [definition.key, definition]));
+        const value = {};
+
+        Object.keys(custom).forEach(key => {
+            const definition = byKey.get(key);
+            if (!definition) {
+                errors.push({ field: prefix + key, code: 'UNKNOWN_METRIC', message: formatMessage('UNKNOWN_METRIC', key, {}, locale) });
+                return;
+            }
+            if (isEmpty(custom[key])) return;
+
+            const rule = customRule(definition);
+            const result = checkValue(custom[key], rule, options);
+            if (result.code) {
+                errors.push({ field: prefix + key, code: result.code, message: formatMessage(result.code, key, rule, locale) });
+            } else {
+                value[key] = result.value;
+            }
+        });
+
+        return { valid: errors.length === 0, errors, value };
+    }
+
+    /**
+     * Metrik-Definition prüfen - Schema plus min <= max
+     */
+    function validateMetricDefinition(data, options = {}) {
+        const locale = options.locale || 'en';
+        const result = validate('metricDefinition', data, options);
+        const { min, max } = result.value;
+        if (typeof min === 'number' && typeof max === 'number' && min > max) {
+            const rule = SCHEMAS.metricDefinition.fields.min;
+            result.errors.push({
+                field: (options.prefix || '') + 'min',
+                code: 'INVALID_RANGE',
+                message: formatMessage('INVALID_RANGE', 'min', { ...rule, max: locale === 'de' ? 'Maximum' : 'max' }, locale)
+            });
+            result.valid = false;
+        }
+        return result;
+    }
+
+    /**
+     * HTTP-Status für eine Fehlerliste: 400 bei falsch geformter Anfrage, sonst 422
+     */
+    function statusFor(errors) {
+        return errors.some(error => STRUCTURAL_CODES.includes(error.code)) ? 400 : 422;
+    }
+
+    /**
+     * JSON ohne Exception parsen
+     * @returns {{ value: *, error: null } | { value: null, error: string }}
+     */
+    function safeJsonParse(text, fallback) {
+        if (text === null || text === undefined || text === '') return { value: fallback, error: null };
+        try {
+            return { value: JSON.parse(text), error: null };
+        } catch (error) {
+            return { value: null, error: error.message };
+        }
+    }
+
+    const HealthSchema = {
+        MOODS,
+        METRIC_KEY_PATTERN,
+        CUSTOM_METRIC_TYPES,
+        CUSTOM_AGGREGATIONS,
+        GOAL_DIRECTIONS,
+        MAX_CUSTOM_METRICS,
+        TIME_OF_DAY_PATTERN,
+        MEAL_TYPES,
+        FOOD_KINDS,
+        MAX_MEAL_ITEMS,
+        WORKOUT_TYPES,
+        DAY_KEY_PATTERN,
+        MAX_WORKOUT_SETS,
+        MEDICATION_KINDS,
+        SCHEDULE_TYPES,
+        DOSE_STATUSES,
+        MAX_DOSE_TIMES,
+        FLOW_LEVELS,
+        CYCLE_SYMPTOMS,
+        GLUCOSE_CONTEXTS,
+        GLUCOSE_UNITS,
+        SCHEMAS,
+        STRUCTURAL_CODES,
+        validate,
+        validateField,
+        validateCustomValues,
+        validateMetricDefinition,
+        statusFor,
+        safeJsonParse
+    };
+
+    root.HealthSchema = HealthSchema;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = HealthSchema;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,185 @@
+/**
+ * Health Tracker Pro - Medication Schedule
+ * Fällige Dosen aus dem Zeitplan eines Medikaments und Einnahmetreue (Adhärenz) -
+ * gemeinsam genutzt von API (require) und App (window)
+ */
+
+(function (root) {
+    'use strict';
+
+    const SCHEDULE_TYPES = [
+        { key: 'times', label: 'Täglich zu festen Uhrzeiten' },
+        { key: 'interval', label: 'Alle N Stunden' },
+        { key: 'weekdays', label: 'An bestimmten Wochentagen' }
+    ];
+
+    // ISO-Wochentage: 1 = Montag ... 7 = Sonntag
+    const WEEKDAYS = [
+        { key: 1, label: 'Mo' },
+        { key: 2, label: 'Di' },
+        { key: 3, label: 'Mi' },
+        { key: 4, label: 'Do' },
+        { key: 5, label: 'Fr' },
+        { key: 6, label: 'Sa' },
+        { key: 7, label: 'So' }
+    ];
+
+    const MINUTES_PER_DAY = 24 * 60;
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function toTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Tages-Schlüssel um n Tage verschieben - Rechnung in UTC, unabhängig von Sommerzeit
+     */
+    function shiftDay(dayKey, days) {
+        const date = new Date(`${dayKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    function isoWeekday(dayKey) {
+        return new Date(`${dayKey}T00:00:00Z`).getUTCDay() || 7;
+    }
+
+    /**
+     * Fehlende Zeitplan-Felder, die das Schema allein nicht prüfen kann
+     * @returns {Array<{field, code, message}>}
+     */
+    function checkSchedule(medication) {
+        const errors = [];
+        const times = medication.times || [];
+
+        if (times.length === 0) {
+            errors.push({
+                field: 'times',
+                code: 'REQUIRED',
+                message: medication.scheduleType === 'interval'
+                    ? 'The first dose time is required'
+                    : 'At least one dose time is required'
+            });
+        }
+        if (medication.scheduleType === 'interval' && !medication.intervalHours) {
+            errors.push({ field: 'intervalHours', code: 'REQUIRED', message: 'intervalHours is required for interval schedules' });
+        }
+        if (medication.scheduleType === 'weekdays' && !(medication.weekdays || []).length) {
+            errors.push({ field: 'weekdays', code: 'REQUIRED', message: 'At least one weekday is required' });
+        }
+        if (new Set(times).size !== times.length) {
+            errors.push({ field: 'times', code: 'DUPLICATE_TIME', message: 'Dose times must be unique' });
+        }
+        if (medication.startDate && medication.endDate && medication.endDate < medication.startDate) {
+            errors.push({ field: 'endDate', code: 'INVALID_RANGE', message: 'endDate must not be before startDate' });
+        }
+        return errors;
+    }
+
+    function isActiveOn(medication, dayKey) {
+        if (medication.startDate && dayKey < medication.startDate) return false;
+        if (medication.endDate && dayKey > medication.endDate) return false;
+        return true;
+    }
+
+    /**
+     * Geplante Uhrzeiten eines Medikaments an einem Tag, aufsteigend
+     */
+    function getDoseTimes(medication, dayKey) {
+        const times = [...(medication.times || [])].sort();
+        if (!isActiveOn(medication, dayKey) || times.length === 0) return [];
+
+        switch (medication.scheduleType) {
+            case 'weekdays':
+                return (medication.weekdays || []).includes(isoWeekday(dayKey)) ? times : [];
+            case 'interval': {
+                // Ab der ersten Uhrzeit alle N Stunden bis Mitternacht
+                const step = (medication.intervalHours || 24) * 60;
+                const doses = [];
+                for (let minutes = toMinutes(times[0]); minutes < MINUTES_PER_DAY; minutes += step) {
+                    doses.push(toTime(minutes));
+                }
+                return doses;
+            }
+            default:
+                return times;
+        }
+    }
+
+    /**
+     * Stabile ID einer geplanten Dosis - doppelte Erfassung (Benachrichtigung + Dashboard) überschreibt sich
+     */
+    function doseId(medicationId, dayKey, time) {
+        return `${medicationId}_${dayKey}_${time.replace(':', '')}`;
+    }
+
+    /**
+     * Alle geplanten Dosen eines Tages, nach Uhrzeit sortiert
+     * @returns {Array<{id, medicationId, name, dose, date, time}>}
+     */
+    function getDosesForDay(medications, dayKey) {
+        return (medications || [])
+            .flatMap(medication => getDoseTimes(medication, dayKey).map(time => ({
+                id: doseId(medication.id, dayKey, time),
+                medicationId: medication.id,
+                name: medication.name,
+                dose: medication.dose || null,
+                date: dayKey,
+                time
+            })))
+            .sort((a, b) => a.time.localeCompare(b.time) || a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Einnahmetreue im Zeitraum (inklusive) - noch nicht fällige Dosen zählen nicht mit
+     * @param {Object} [now] - { date: 'YYYY-MM-DD', time: 'HH:MM' } lokal; ohne Angabe zählen alle Dosen
+     * @returns {{ scheduled, taken, skipped, missed, percent: number|null }}
+     */
+    function calculateAdherence(medications, logs, fromKey, toKey, now = null) {
+        const statusById = new Map((logs || []).map(log => [log.id, log.status]));
+        const result = { scheduled: 0, taken: 0, skipped: 0, missed: 0, percent: null };
+
+        for (let dayKey = fromKey; dayKey <= toKey; dayKey = shiftDay(dayKey, 1)) {
+            if (now && dayKey > now.date) break;
+
+            getDosesForDay(medications, dayKey).forEach(dose => {
+                const status = statusById.get(dose.id);
+                const due = !now || dayKey < now.date || dose.time <= now.time;
+                if (!due && !status) return;
+
+                result.scheduled++;
+                if (status === 'taken') result.taken++;
+                else if (status === 'skipped') result.skipped++;
+                else result.missed++;
+            });
+        }
+
+        if (result.scheduled > 0) {
+            result.percent = Math.round(result.taken / result.scheduled * 100);
+        }
+        return result;
+    }
+
+    const MedicationSchedule = {
+        SCHEDULE_TYPES,
+        WEEKDAYS,
+        shiftDay,
+        isoWeekday,
+        checkSchedule,
+        isActiveOn,
+        getDoseTimes,
+        doseId,
+        getDosesForDay,
+        calculateAdherence
+    };
+
+    root.MedicationSchedule = MedicationSchedule;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MedicationSchedule;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,391 @@
+/**
+ * Health Tracker Pro - Metric Registry
+ * Deklarative Tagesaggregation pro Metrik - gemeinsam genutzt von API (require)
+ * und App (window), damit Dashboard und Analytics dieselben Zahlen zeigen
+ */
+
+(function (root) {
+    'use strict';
+
+    /**
+     * Aggregation mehrerer Einträge desselben Tages:
+     * - sum: Summe (Schritte, Wasser)
+     * - cappedSum: Summe mit Obergrenze `cap`
+     * - max: größter Wert
+     * - min: kleinster Wert
+     * - latest: Wert des zuletzt erfassten Eintrags
+     * - average: Mittelwert (`scores` für kategoriale Werte)
+     * - mode: häufigster Wert, bei Gleichstand der neueste
+     * - concat: Texte in Erfassungsreihenfolge
+     */
+    const METRICS = {
+        steps: { label: 'Schritte', unit: '', type: 'number', aggregation: 'sum', decimals: 0 },
+        waterIntake: { label: 'Wasser', unit: 'L', type: 'number', aggregation: 'sum', decimals: 2 },
+        // Doppelt erfasste Nächte dürfen sich nicht zu 15+ Stunden addieren
+        sleepHours: { label: 'Schlaf', unit: 'h', type: 'number', aggregation: 'max', decimals: 1 },
+        // Schlafdetails: eine Nacht pro Tag - der zuletzt erfasste Eintrag gilt
+        bedtime: { label: 'Eingeschlafen', unit: '', type: 'time', aggregation: 'latest' },
+        wakeTime: { label: 'Aufgewacht', unit: '', type: 'time', aggregation: 'latest' },
+        sleepQuality: { label: 'Schlafqualität', unit: '/5', type: 'number', aggregation: 'latest', decimals: 0 },
+        awakenings: { label: 'Aufwachphasen', unit: '', type: 'number', aggregation: 'latest', decimals: 0 },
+        weight: { label: 'Gewicht', unit: 'kg', type: 'number', aggregation: 'latest', decimals: 1 },
+        mood: {
+            label: 'Stimmung',
+            unit: '',
+            type: 'category',
+            aggregation: 'mode',
+            scores: { terrible: 1, bad: 2, neutral: 3, good: 4, excellent: 5 }
+        },
+        notes: { label: 'Notizen', unit: '', type: 'text', aggregation: 'concat', separator: ' | ' },
+        // Mehrere Blutdruckmessungen am Tag: Tagesmittel, wie in der Praxis üblich
+        systolic: { label: 'Systolisch', unit: 'mmHg', type: 'number', aggregation: 'average', decimals: 0 },
+        diastolic: { label: 'Diastolisch', unit: 'mmHg', type: 'number', aggregation: 'average', decimals: 0 },
+        // Ruhepuls ist der niedrigste Wert des Tages
+        restingHeartRate: { label: 'Ruhepuls', unit: 'bpm', type: 'number', aggregation: 'min', decimals: 0 },
+        // Ernährung - jede Mahlzeit ist ein eigener Eintrag, der Tag summiert
+        calories: { label: 'Kalorien', unit: 'kcal', type: 'number', aggregation: 'sum', decimals: 0 },
+        protein: { label: 'Eiweiß', unit: 'g', type: 'number', aggregation: 'sum', decimals: 1 },
+        carbs: { label: 'Kohlenhydrate', unit: 'g', type: 'number', aggregation: 'sum', decimals: 1 },
+        fat: { label: 'Fett', unit: 'g', type: 'number', aggregation: 'sum', decimals: 1 },
+        // Körpermaße - Umfänge in cm, am Tag zählt die letzte Messung
+        waist: { label: 'Taille', unit: 'cm', type: 'number', aggregation: 'latest', decimals: 1 },
+        hip: { label: 'Hüfte', unit: 'cm', type: 'number', aggregation: 'latest', decimals: 1 },
+        chest: { label: 'Brust', unit: 'cm', type: 'number', aggregation: 'latest', decimals: 1 },
+        arm: { label: 'Oberarm', unit: 'cm', type: 'number', aggregation: 'latest', decimals: 1 },
+        thigh: { label: 'Oberschenkel', unit: 'cm', type: 'number', aggregation: 'latest', decimals: 1 },
+        bodyFat: { label: 'Körperfett', unit: '%', type: 'number', aggregation: 'latest', decimals: 1 },
+        // Blutzucker immer in mg/dL gespeichert - mehrere Messungen am Tag: Tagesmittel
+        glucose: { label: 'Blutzucker', unit: 'mg/dL', type: 'number', aggregation: 'average', decimals: 0 }
+    };
+
+    const METRIC_KEYS = Object.keys(METRICS);
+
+    const BODY_MEASUREMENTS = ['waist', 'hip', 'chest', 'arm', 'thigh'];
+
+    // Eigene Metriken dürfen diese Schlüssel nicht verwenden (Filter, Eintragsfelder)
+    const RESERVED_METRIC_KEYS = [...METRIC_KEYS, 'all', 'custom', 'date', 'userId'];
+
+    /**
+     * Blutdruck-Kategorien nach ACC/AHA 2017 - geordnet nach Schweregrad
+     */
+    const BLOOD_PRESSURE_CATEGORIES = [
+        { key: 'normal', label: 'Normal', severity: 0 },
+        { key: 'elevated', label: 'Erhöht', severity: 1 },
+        { key: 'stage1', label: 'Hypertonie Grad 1', severity: 2 },
+        { key: 'stage2', label: 'Hypertonie Grad 2', severity: 3 },
+        { key: 'crisis', label: 'Hypertensive Krise', severity: 4 }
+    ];
+
+    /**
+     * Blutdruck einordnen - der höhere der beiden Werte bestimmt die Kategorie
+     * @returns {Object|null} Eintrag aus BLOOD_PRESSURE_CATEGORIES
+     */
+    function classifyBloodPressure(systolic, diastolic) {
+        if (!hasValue(systolic) || !hasValue(diastolic)) return null;
+        let key = 'normal';
+        if (systolic > 180 || diastolic > 120) key = 'crisis';
+        else if (systolic >= 140 || diastolic >= 90) key = 'stage2';
+        else if (systolic >= 130 || diastolic >= 80) key = 'stage1';
+        else if (systolic >= 120) key = 'elevated';
+        return BLOOD_PRESSURE_CATEGORIES.find(category => category.key === key);
+    }
+
+    /**
+     * BMI-Klassen nach WHO - für Sportler mit viel Muskelmasse nur bedingt aussagekräftig
+     */
+    const BMI_CATEGORIES = [
+        { key: 'underweight', label: 'Untergewicht', max: 18.5, severity: 1 },
+        { key: 'normal', label: 'Normalgewicht', max: 25, severity: 0 },
+        { key: 'overweight', label: 'Übergewicht', max: 30, severity: 1 },
+        { key: 'obese', label: 'Adipositas', max: Infinity, severity: 2 }
+    ];
+
+    function classifyBmi(bmi) {
+        if (!hasValue(bmi)) return null;
+        return BMI_CATEGORIES.find(category => bmi < category.max);
+    }
+
+    const GLUCOSE_UNITS = ['mg/dL', 'mmol/L'];
+    const MGDL_PER_MMOL = 18.016;
+
+    const GLUCOSE_CONTEXTS = [
+        { key: 'fasting', label: 'Nüchtern' },
+        { key: 'beforeMeal', label: 'Vor dem Essen' },
+        { key: 'afterMeal', label: 'Nach dem Essen' },
+        { key: 'bedtime', label: 'Vor dem Schlafen' },
+        { key: 'other', label: 'Sonstige' }
+    ];
+
+    // Internationaler Konsens zur Time in Range: 70-180 mg/dL, unter 54 mg/dL ist eine schwere Unterzuckerung
+    const DEFAULT_GLUCOSE_RANGE = { low: 70, high: 180 };
+    const SEVERE_LOW_GLUCOSE = 54;
+
+    /**
+     * Blutzucker zwischen mg/dL (ganzzahlig) und mmol/L (eine Nachkommastelle) umrechnen
+     */
+    function convertGlucose(value, fromUnit, toUnit) {
+        if (!hasValue(value) || fromUnit === toUnit) return value;
+        return toUnit === 'mmol/L' ? round(value / MGDL_PER_MMOL, 1) : round(value * MGDL_PER_MMOL, 0);
+    }
+
+    /**
+     * Messung gegen den Zielbereich (mg/dL) einordnen
+     * @returns {'veryLow'|'low'|'inRange'|'high'|null}
+     */
+    function classifyGlucose(value, range = DEFAULT_GLUCOSE_RANGE) {
+        if (!hasValue(value)) return null;
+        if (value < SEVERE_LOW_GLUCOSE) return 'veryLow';
+        if (value < range.low) return 'low';
+        if (value > range.high) return 'high';
+        return 'inRange';
+    }
+
+    /**
+     * Anteil der Messungen im Zielbereich - ohne kontinuierliche Messung zählt jede Messung gleich
+     * @returns {{ total, low, inRange, high, percentInRange }} percentInRange null ohne Messungen
+     */
+    function calculateTimeInRange(values, range = DEFAULT_GLUCOSE_RANGE) {
+        const stats = { total: 0, low: 0, inRange: 0, high: 0, percentInRange: null };
+        values.filter(hasValue).forEach(value => {
+            const category = classifyGlucose(value, range);
+            stats.total++;
+            stats[category === 'veryLow' ? 'low' : category]++;
+        });
+        if (stats.total > 0) stats.percentInRange = Math.round(stats.inRange / stats.total * 100);
+        return stats;
+    }
+
+    /**
+     * Abgeleitete Körperwerte - jeweils null, wenn eine Grundlage fehlt
+     * @param {Object} values - { weight, waist, hip, bodyFat }
+     * @param {number|null} height - Körpergröße in cm
+     * @returns {{ bmi, bmiCategory, waistToHip, fatMass, leanMass }}
+     */
+    function calculateBodyComposition(values, height) {
+        const { weight, waist, hip, bodyFat } = values || {};
+        const bmi = hasValue(weight) && hasValue(height) && height > 0
+            ? round(weight / Math.pow(height / 100, 2), 1)
+            : null;
+        const fatMass = hasValue(weight) && hasValue(bodyFat) ? round(weight * bodyFat / 100, 1) : null;
+
+        return {
+            bmi,
+            bmiCategory: classifyBmi(bmi),
+            waistToHip: hasValue(waist) && hasValue(hip) && hip > 0 ? round(waist / hip, 2) : null,
+            fatMass,
+            leanMass: fatMass !== null ? round(weight - fatMass, 1) : null
+        };
+    }
+
+    /**
+     * Zeitpunkt des Ereignisses (loggedAt), sonst der Erfassung - bestimmt "latest" und Tie-Breaks
+     */
+    function getEntryTime(entry) {
+        const candidates = [entry.loggedAt, entry.createdAt, entry._createdAt, entry.clientUpdatedAt, entry.updatedAt, entry.date];
+        for (const candidate of candidates) {
+            const time = candidate ? new Date(candidate).getTime() : NaN;
+            if (!isNaN(time)) return time;
+        }
+        return 0;
+    }
+
+    function hasValue(value) {
+        return value !== null && value !== undefined && value !== '' && !(typeof value === 'number' && isNaN(value));
+    }
+
+    function round(value, decimals) {
+        if (decimals === undefined) return value;
+        const factor = Math.pow(10, decimals);
+        return Math.round(value * factor) / factor;
+    }
+
+    /**
+     * Werte einer Metrik nach ihrer Definition zusammenfassen
+     * @param {Object} definition - Eintrag aus METRICS oder eigene Metrik-Definition
+     * @param {Array} entries
+     * @param {Function} readValue - (entry) => Rohwert
+     */
+    function aggregateValues(definition, entries, readValue) {
+        const isNumeric = definition.type === 'number' || definition.type === 'integer';
+        const samples = entries
+            .filter(entry => entry && hasValue(readValue(entry)))
+            .map(entry => ({
+                value: isNumeric ? Number(readValue(entry)) : readValue(entry),
+                time: getEntryTime(entry)
+            }))
+            .filter(sample => !isNumeric || !isNaN(sample.value))
+            // Stabile Sortierung: gleiche Zeitpunkte behalten die Eingabereihenfolge
+            .sort((a, b) => a.time - b.time);
+
+        if (samples.length === 0) return null;
+
+        const values = samples.map(sample => sample.value);
+        let result;
+
+        switch (definition.aggregation) {
+            case 'sum':
+                result = values.reduce((sum, value) => sum + value, 0);
+                break;
+            case 'cappedSum':
+                result = Math.min(values.reduce((sum, value) => sum + value, 0), definition.cap);
+                break;
+            case 'max':
+                result = Math.max(...values);
+                break;
+            case 'min':
+                result = Math.min(...values);
+                break;
+            case 'latest':
+                result = values[values.length - 1];
+                break;
+            case 'average': {
+                if (definition.scores) {
+                    const scored = values.map(value => definition.scores[value]).filter(score => score !== undefined);
+                    if (scored.length === 0) return null;
+                    const average = scored.reduce((sum, score) => sum + score, 0) / scored.length;
+                    // Auf die nächstgelegene Kategorie abbilden
+                    result = Object.keys(definition.scores).reduce((best, category) =>
+                        Math.abs(definition.scores[category] - average) < Math.abs(definition.scores[best] - average)
+                            ? category : best);
+                } else {
+                    result = values.reduce((sum, value) => sum + value, 0) / values.length;
+                }
+                break;
+            }
+            case 'mode': {
+                const counts = new Map();
+                values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+                const maxCount = Math.max(...counts.values());
+                // Neuester Wert unter den häufigsten gewinnt
+                result = [...values].reverse().find(value => counts.get(value) === maxCount);
+                break;
+            }
+            case 'concat':
+                result = values.map(value => String(value).trim()).filter(Boolean).join(definition.separator || ' | ') || null;
+                break;
+            default:
+                throw new Error(`Unbekannte Aggregation: ${definition.aggregation}`);
+        }
+
+        return typeof result === 'number' ? round(result, getDecimals(definition)) : result;
+    }
+
+    /**
+     * Eigene Metriken ohne Angabe: ganze Zahlen ohne, Kommazahlen mit 2 Nachkommastellen
+     */
+    function getDecimals(definition) {
+        if (definition.decimals !== undefined && definition.decimals !== null) return definition.decimals;
+        if (definition.type === 'integer') return 0;
+        return definition.key ? 2 : undefined;
+    }
+
+    /**
+     * Einzelne Metrik über die Einträge eines Tages aggregieren
+     * @returns {number|string|null} null, wenn kein Eintrag einen Wert hat
+     */
+    function aggregateMetric(key, entries) {
+        const definition = METRICS[key];
+        if (!definition) throw new Error(`Unbekannte Metrik: ${key}`);
+        return aggregateValues(definition, entries, entry => entry[key]);
+    }
+
+    /**
+     * Eigene Metrik (Werte in entry.custom[key]) über die Einträge eines Tages aggregieren
+     */
+    function aggregateCustomMetric(definition, entries) {
+        return aggregateValues(definition, entries, entry => (entry.custom ? entry.custom[definition.key] : undefined));
+    }
+
+    /**
+     * Alle Metriken eines Tages aggregieren
+     * @param {Array} [definitions] - eigene Metriken des Users, Ergebnis unter day.custom
+     * @returns {Object} Metrikwerte + entryCount + lastUpdated (ms)
+     */
+    function aggregateDay(entries, definitions) {
+        const day = { entryCount: entries.length, lastUpdated: null };
+        METRIC_KEYS.forEach(key => {
+            day[key] = aggregateMetric(key, entries);
+        });
+        if (definitions && definitions.length > 0) {
+            day.custom = {};
+            definitions.forEach(definition => {
+                const value = aggregateCustomMetric(definition, entries);
+                if (value !== null) day.custom[definition.key] = value;
+            });
+        }
+        if (entries.length > 0) {
+            day.lastUpdated = Math.max(...entries.map(getEntryTime));
+        }
+        return day;
+    }
+
+    /**
+     * Einträge nach Kalendertag gruppieren und aggregieren (neueste Tage zuerst)
+     * @param {Function} getDayKey - (entry) => "YYYY-MM-DD" | null
+     * @param {Array} [definitions] - eigene Metriken, siehe aggregateDay
+     */
+    function aggregateByDay(entries, getDayKey, definitions) {
+        const groups = new Map();
+        entries.forEach(entry => {
+            const dayKey = entry && getDayKey(entry);
+            if (!dayKey) return;
+            if (!groups.has(dayKey)) groups.set(dayKey, []);
+            groups.get(dayKey).push(entry);
+        });
+
+        return [...groups.entries()]
+            .map(([date, dayEntries]) => ({ date, ...aggregateDay(dayEntries, definitions) }))
+            .sort((a, b) => (a.date < b.date ? 1 : -1));
+    }
+
+    /**
+     * Tageswert einer Metrik - eingebaute direkt am Tag, eigene unter day.custom
+     */
+    function getDayValue(day, key) {
+        if (METRICS[key]) return day[key];
+        return day.custom ? day.custom[key] ?? null : null;
+    }
+
+    /**
+     * Durchschnitt einer numerischen Metrik über Tage mit Wert
+     * @param {Object} [definition] - Definition einer eigenen Metrik (für Rundung)
+     */
+    function averageDaily(days, key, definition) {
+        const values = days.map(day => getDayValue(day, key)).filter(value => typeof value === 'number');
+        if (values.length === 0) return null;
+        const decimals = METRICS[key] ? METRICS[key].decimals : getDecimals(definition || { key });
+        return round(values.reduce((sum, value) => sum + value, 0) / values.length, decimals);
+    }
+
+    const MetricRegistry = {
+        METRICS,
+        METRIC_KEYS,
+        RESERVED_METRIC_KEYS,
+        BLOOD_PRESSURE_CATEGORIES,
+        classifyBloodPressure,
+        BODY_MEASUREMENTS,
+        BMI_CATEGORIES,
+        classifyBmi,
+        calculateBodyComposition,
+        GLUCOSE_UNITS,
+        GLUCOSE_CONTEXTS,
+        DEFAULT_GLUCOSE_RANGE,
+        SEVERE_LOW_GLUCOSE,
+        convertGlucose,
+        classifyGlucose,
+        calculateTimeInRange,
+        getEntryTime,
+        aggregateMetric,
+        aggregateCustomMetric,
+        aggregateDay,
+        aggregateByDay,
+        getDayValue,
+        averageDaily
+    };
+
+    root.MetricRegistry = MetricRegistry;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = MetricRegistry;
+    }
+})(typeof self !== 'undefined' ? self : this);
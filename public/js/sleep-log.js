@@ -0,0 +1,228 @@
+/**
+ * Health Tracker Pro - Sleep Log
+ * Schlafdauer aus Einschlaf- und Aufwachzeit (auch über Mitternacht), Regelmäßigkeit und
+ * sozialer Jetlag - gemeinsam genutzt von API (require) und App (window)
+ */
+
+(function (root) {
+    'use strict';
+
+    const QUALITY_LEVELS = [
+        { value: 1, label: 'Sehr schlecht', emoji: '😫' },
+        { value: 2, label: 'Schlecht', emoji: '😕' },
+        { value: 3, label: 'Mittel', emoji: '😐' },
+        { value: 4, label: 'Gut', emoji: '🙂' },
+        { value: 5, label: 'Sehr gut', emoji: '😴' }
+    ];
+
+    // Längere "Nächte" sind eher vergessene Einträge als Schlaf
+    const MAX_SLEEP_HOURS = 16;
+    // Regelmäßigkeit erst ab einigen Nächten aussagekräftig
+    const MIN_NIGHTS = 3;
+
+    const DAY_MINUTES = 24 * 60;
+    // Uhrzeiten einer Nacht zählen ab 12:00 des Vortags - 23:30 und 00:30 liegen so nebeneinander
+    const NIGHT_START = 12 * 60;
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function toTimeOfDay(minutes) {
+        const normalized = ((Math.round(minutes) % DAY_MINUTES) + DAY_MINUTES) % DAY_MINUTES;
+        return `${String(Math.floor(normalized / 60)).padStart(2, '0')}:${String(normalized % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Uhrzeit um Minuten verschieben (über Mitternacht hinweg)
+     */
+    function shiftTime(time, minutes) {
+        return toTimeOfDay(toMinutes(time) + minutes);
+    }
+
+    function toNightMinutes(time) {
+        return (toMinutes(time) - NIGHT_START + DAY_MINUTES) % DAY_MINUTES;
+    }
+
+    function shiftDay(dayKey, days) {
+        const date = new Date(`${dayKey}T00:00:00Z`);
+        date.setUTCDate(date.getUTCDate() + days);
+        return date.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Schlafdauer in Minuten - liegt die Aufwachzeit nicht nach der Einschlafzeit, ging die Nacht über Mitternacht
+     * @returns {number|null} null ohne beide Zeiten
+     */
+    function getSleepMinutes(bedtime, wakeTime) {
+        if (!bedtime || !wakeTime) return null;
+        return (toMinutes(wakeTime) - toMinutes(bedtime) + DAY_MINUTES) % DAY_MINUTES;
+    }
+
+    /**
+     * Schlafdauer in Stunden (eine Nachkommastelle) - Grundlage für sleepHours
+     */
+    function getSleepHours(bedtime, wakeTime) {
+        const minutes = getSleepMinutes(bedtime, wakeTime);
+        return minutes === null ? null : Math.round(minutes / 6) / 10;
+    }
+
+    /**
+     * Einschlaf- und Aufwachzeitpunkt - der Eintrag gehört zum Tag des Aufwachens
+     * @returns {{ start, end }} lokale Zeitpunkte als "YYYY-MM-DDTHH:MM"
+     */
+    function getSleepWindow(dayKey, bedtime, wakeTime) {
+        const overnight = toMinutes(bedtime) >= toMinutes(wakeTime);
+        return {
+            start: `${overnight ? shiftDay(dayKey, -1) : dayKey}T${bedtime}`,
+            end: `${dayKey}T${wakeTime}`
+        };
+    }
+
+    /**
+     * Fehler, die das Schema allein nicht prüfen kann
+     * @returns {Array<{field, code, message}>}
+     */
+    function checkSleepTimes(entry) {
+        const errors = [];
+        const hasBedtime = Boolean(entry.bedtime);
+        const hasWakeTime = Boolean(entry.wakeTime);
+
+        if (hasBedtime !== hasWakeTime) {
+            errors.push({
+                field: hasBedtime ? 'wakeTime' : 'bedtime',
+                code: 'REQUIRED_WITH',
+                message: 'bedtime and wakeTime must be provided together'
+            });
+        } else if (hasBedtime) {
+            const minutes = getSleepMinutes(entry.bedtime, entry.wakeTime);
+            if (minutes === 0 || minutes > MAX_SLEEP_HOURS * 60) {
+                errors.push({
+                    field: 'wakeTime',
+                    code: 'OUT_OF_RANGE',
+                    message: `Sleep must last longer than 0 and at most ${MAX_SLEEP_HOURS} hours`
+                });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Nächte mit Einschlaf- und Aufwachzeit - pro Tag zählt der zuletzt übergebene Eintrag
+     * @param {Array<{date, bedtime, wakeTime}>} entries - date als Tagesschlüssel (Tag des Aufwachens)
+     * @returns {Array<{date, bedtime, wakeTime, minutes, bedtimeOffset, midpointOffset}>} älteste zuerst;
+     *          Offsets in Minuten ab 12:00 des Vortags
+     */
+    function getNights(entries) {
+        const byDay = new Map();
+        (entries || [])
+            .filter(entry => entry && entry.date && entry.bedtime && entry.wakeTime)
+            .forEach(entry => byDay.set(entry.date, entry));
+
+        return [...byDay.values()]
+            .map(entry => {
+                const minutes = getSleepMinutes(entry.bedtime, entry.wakeTime);
+                const bedtimeOffset = toNightMinutes(entry.bedtime);
+                return {
+                    date: entry.date,
+                    bedtime: entry.bedtime,
+                    wakeTime: entry.wakeTime,
+                    minutes,
+                    bedtimeOffset,
+                    midpointOffset: bedtimeOffset + minutes / 2
+                };
+            })
+            .filter(night => night.minutes > 0)
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    function average(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    function standardDeviation(values) {
+        const mean = average(values);
+        return Math.sqrt(average(values.map(value => (value - mean) ** 2)));
+    }
+
+    /**
+     * Freie Tage: Nächte auf Samstag und Sonntag
+     */
+    function isFreeDay(dayKey) {
+        const weekday = new Date(`${dayKey}T12:00:00Z`).getUTCDay();
+        return weekday === 0 || weekday === 6;
+    }
+
+    /**
+     * Regelmäßigkeit des Schlafs
+     * - bedtimeDeviation: Standardabweichung der Einschlafzeit in Minuten
+     * - socialJetlag: Schlafmitte an freien Tagen minus an Arbeitstagen in Minuten (positiv = später)
+     * @returns {{ nights, averageBedtime, averageWakeTime, averageHours, bedtimeDeviation, socialJetlag }|null}
+     *          null mit weniger als MIN_NIGHTS Nächten; socialJetlag null ohne freie und Arbeitstage
+     */
+    function getSleepConsistency(entries) {
+        const nights = getNights(entries);
+        if (nights.length < MIN_NIGHTS) return null;
+
+        const bedtimes = nights.map(night => night.bedtimeOffset);
+        const wakeTimes = nights.map(night => night.bedtimeOffset + night.minutes);
+        const freeDays = nights.filter(night => isFreeDay(night.date));
+        const workDays = nights.filter(night => !isFreeDay(night.date));
+
+        return {
+            nights: nights.length,
+            averageBedtime: toTimeOfDay(average(bedtimes) + NIGHT_START),
+            averageWakeTime: toTimeOfDay(average(wakeTimes) + NIGHT_START),
+            averageHours: Math.round(average(nights.map(night => night.minutes)) / 6) / 10,
+            bedtimeDeviation: Math.round(standardDeviation(bedtimes)),
+            socialJetlag: freeDays.length > 0 && workDays.length >= 2
+                ? Math.round(average(freeDays.map(night => night.midpointOffset)) -
+                    average(workDays.map(night => night.midpointOffset)))
+                : null
+        };
+    }
+
+    /**
+     * Uhrzeit als Stunden relativ zu Mitternacht des Aufwachtags (23:00 → -1, 07:30 → 7.5) - für Zeitachsen
+     */
+    function toClockOffset(time) {
+        return (toNightMinutes(time) - (DAY_MINUTES - NIGHT_START)) / 60;
+    }
+
+    function formatClockOffset(hours) {
+        return toTimeOfDay(hours * 60);
+    }
+
+    /**
+     * Empfohlene Einschlafzeit: gewohnte Aufwachzeit minus Schlafziel
+     */
+    function suggestBedtime(wakeTime, sleepHours) {
+        if (!wakeTime || !sleepHours) return null;
+        return shiftTime(wakeTime, -Math.round(sleepHours * 60));
+    }
+
+    const SleepLog = {
+        QUALITY_LEVELS,
+        MAX_SLEEP_HOURS,
+        MIN_NIGHTS,
+        toMinutes,
+        shiftTime,
+        getSleepMinutes,
+        getSleepHours,
+        getSleepWindow,
+        checkSleepTimes,
+        getNights,
+        isFreeDay,
+        getSleepConsistency,
+        toClockOffset,
+        formatClockOffset,
+        suggestBedtime
+    };
+
+    root.SleepLog = SleepLog;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = SleepLog;
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,391 @@
+/**
+ * Health Tracker Pro - Sync Outbox
+ * Gemeinsame Offline-Queue für App und Service Worker
+ * Überträgt die syncQueue aus dem HealthRepository per Delta-Sync (POST /sync) und
+ * vorgemerkte Datensätze mit Geräte-ID (Trainings, Medikamente, Dosen, Perioden) über ihre REST-Endpunkte
+ */
+
+(function (root) {
+    'use strict';
+
+    const HealthSchema = root.HealthSchema ||
+        (typeof require === 'function' ? require('./health-schema') : null);
+
+    const SYNC_TAG = 'health-outbox-sync';
+    const LOCK_NAME = 'health-outbox';
+    const MAX_BATCH = 200;
+
+    // Backoff: 30s, 1min, 2min ... max. 1h - Einträge werden nie verworfen
+    const BASE_RETRY_DELAY = 30 * 1000;
+    const MAX_RETRY_DELAY = 60 * 60 * 1000;
+    const FAILED_AFTER_ATTEMPTS = 6;
+
+    const STATUS = {
+        PENDING: 'pending',
+        SYNCING: 'syncing',
+        RETRYING: 'retrying',
+        FAILED: 'failed',
+        // Vom Server abgelehnt - wird nicht wiederholt, bis der Nutzer korrigiert oder verwirft
+        REJECTED: 'rejected'
+    };
+
+    const EDITABLE_FIELDS = [
+        'date', 'loggedAt', 'weight', 'steps', 'waterIntake', 'sleepHours', 'mood', 'notes',
+        'bedtime', 'wakeTime', 'sleepQuality', 'awakenings',
+        'systolic', 'diastolic', 'restingHeartRate', 'readingTime',
+        'mealType', 'foods', 'calories', 'protein', 'carbs', 'fat',
+        'waist', 'hip', 'chest', 'arm', 'thigh', 'bodyFat', 'glucose', 'glucoseContext', 'custom'
+    ];
+
+    // Datensätze mit Geräte-ID in eigenen Stores (_syncState statt syncQueue) - Upsert per POST,
+    // Löschen per DELETE, ohne Backoff: sie bleiben vorgemerkt, bis der Upload gelingt oder der Server ablehnt.
+    // Medikamente vor Dosen - der Server kennt sonst die medicationId der Dosen noch nicht.
+    const RECORD_TYPES = [
+        { store: 'workouts', schema: 'workout', endpoint: '/api/workouts' },
+        { store: 'medications', schema: 'medication', endpoint: '/api/medications' },
+        { store: 'medicationLogs', schema: 'medicationLog', endpoint: '/api/medication-logs' },
+        { store: 'periods', schema: 'period', endpoint: '/api/periods' }
+    ];
+
+    // Fehlende Anmeldung und Überlastung sind vorübergehend - alle anderen 4xx lehnen den Inhalt ab
+    function isRejection(error) {
+        return error.status >= 400 && error.status < 500 && ![401, 408, 429].includes(error.status);
+    }
+
+    function retryDelay(attempts) {
+        return Math.min(BASE_RETRY_DELAY * Math.pow(2, Math.max(0, attempts - 1)), MAX_RETRY_DELAY);
+    }
+
+    class SyncOutbox {
+        /**
+         * @param {HealthRepository} repository
+         * @param {Object} options
+         * @param {Function} [options.request] - (endpoint, fetchOptions) => JSON; Standard: Session aus IndexedDB
+         * @param {Function} [options.getDeviceId]
+         * @param {Function} [options.getUserId]
+         * @param {Function} [options.onSessionRefreshed] - nur ohne eigene request-Funktion relevant
+         */
+        constructor(repository, options = {}) {
+            this.repository = repository;
+            this.baseURL = options.baseURL || '/.netlify/functions/api';
+            this.request = options.request || ((endpoint, fetchOptions) => this.fetchWithStoredSession(endpoint, fetchOptions));
+            this.getDeviceId = options.getDeviceId || (() => this.repository.getSetting('_deviceId', 'unknown'));
+            this.getUserId = options.getUserId || (async () => (await this.repository.getSetting('_authSession'))?.user?.id);
+            this.onSessionRefreshed = options.onSessionRefreshed || (() => {});
+        }
+
+        // ====================================================================
+        // FLUSH
+        // ====================================================================
+
+        /**
+         * Fällige Änderungen senden und Serveränderungen übernehmen
+         * Web Locks verhindern, dass Seite und Service Worker gleichzeitig senden
+         * @param {{force?: boolean}} options - force ignoriert den Backoff
+         */
+        async flush(options = {}) {
+            return this.withLock(() => this.runFlush(!!options.force));
+        }
+
+        /**
+         * Nur die Datensätze der RECORD_TYPES senden - vor dem Laden vom Server
+         */
+        async flushRecords() {
+            return this.withLock(async () => {
+                const summary = this.createSummary();
+                if (await this.getUserId()) {
+                    await this.pushRecords(summary);
+                } else {
+                    summary.error = 'Nicht angemeldet';
+                }
+                return summary;
+            });
+        }
+
+        withLock(run) {
+            if (root.navigator?.locks?.request) {
+                return root.navigator.locks.request(LOCK_NAME, run);
+            }
+            return run();
+        }
+
+        createSummary() {
+            return { pushed: 0, pulled: 0, conflicts: [], rejected: [], failed: 0, waiting: 0, error: null };
+        }
+
+        async runFlush(force) {
+            const summary = this.createSummary();
+            const userId = await this.getUserId();
+            if (!userId) {
+                summary.error = 'Nicht angemeldet';
+                return summary;
+            }
+
+            await this.pushRecords(summary);
+
+            const cursorKey = `syncCursor:${userId}`;
+            const deviceId = await this.getDeviceId();
+            let hasMore = true;
+
+            while (hasMore) {
+                const now = Date.now();
+                const pending = await this.repository.getPendingChanges();
+                const due = pending.filter(change => change._syncStatus !== STATUS.REJECTED &&
+                    (force || !change._nextAttemptAt || change._nextAttemptAt <= now));
+                const batch = due.slice(0, MAX_BATCH);
+                const cursor = await this.repository.getSetting(cursorKey, 0);
+                summary.waiting = pending.length - due.length;
+
+                await this.repository.updateQueueItems(batch.map(change => change._localId), item => ({
+                    ...item,
+                    status: STATUS.SYNCING
+                }));
+
+                let response;
+                try {
+                    response = await this.request('/api/sync', {
+                        method: 'POST',
+                        body: JSON.stringify({
+                            cursor,
+                            deviceId,
+                            changes: batch.map(change => this.toSyncChange(change))
+                        })
+                    });
+                } catch (error) {
+                    await this.recordFailedAttempt(batch, error);
+                    summary.failed += batch.length;
+                    summary.error = error.message;
+                    break;
+                }
+
+                await this.applyResponse(batch, response, deviceId, summary);
+                await this.repository.setSetting(cursorKey, response.cursor || cursor);
+
+                hasMore = response.hasMore || due.length > batch.length;
+            }
+
+            if (summary.conflicts.length > 0) {
+                const previous = await this.repository.getSetting('syncConflicts', []);
+                await this.repository.setSetting('syncConflicts', [...summary.conflicts, ...previous].slice(0, 50));
+            }
+
+            return summary;
+        }
+
+        async applyResponse(batch, response, deviceId, summary) {
+            const findChange = (localId) => batch.find(change => change._localId === localId);
+
+            for (const result of response.applied || []) {
+                const change = findChange(result.localId);
+                if (change) {
+                    await this.repository.markSynced(change._localId, change._queuedAt, result.serverId, result.version);
+                    summary.pushed++;
+                }
+            }
+
+            for (const conflict of response.conflicts || []) {
+                const change = findChange(conflict.localId);
+                if (conflict.resolution === 'server-wins') {
+                    // Lokale Änderung verworfen - Serverstand übernehmen
+                    if (change) await this.repository.markSynced(change._localId, change._queuedAt);
+                    await this.repository.applyServerChanges([conflict.serverRecord]);
+                }
+                summary.conflicts.push({ ...conflict, resolvedAt: new Date().toISOString() });
+            }
+
+            // Abgelehnte Änderungen bleiben in der Outbox - eine seither erneut gespeicherte Fassung wird normal gesendet
+            for (const rejection of response.rejected || []) {
+                const change = findChange(rejection.localId);
+                if (change) {
+                    await this.repository.updateQueueItems([change._localId], item => (item.queuedAt === change._queuedAt ? {
+                        ...item,
+                        status: STATUS.REJECTED,
+                        nextAttemptAt: null,
+                        lastError: rejection.message
+                    } : item));
+                }
+                summary.rejected.push(rejection);
+            }
+
+            const changes = response.changes || [];
+            await this.repository.applyServerChanges(changes);
+            summary.pulled += changes.filter(record => record.lastModifiedBy !== deviceId).length;
+        }
+
+        /**
+         * Ausstehende Datensätze der RECORD_TYPES in Reihenfolge hochladen. Ohne Netz wird abgebrochen;
+         * Netzwerk- und Serverfehler zählen als failed, damit der Background Sync es erneut versucht.
+         * Vom Server abgelehnte Datensätze (4xx) werden wie Einträge als rejected markiert und nicht wiederholt.
+         */
+        async pushRecords(summary) {
+            for (const type of RECORD_TYPES) {
+                for (const record of await this.repository.getPendingRecords(type.store)) {
+                    try {
+                        const serverId = await this.pushRecord(type, record);
+                        await this.repository.markRecordSynced(type.store, record.id, record._updatedAt, serverId);
+                        summary.pushed++;
+                    } catch (error) {
+                        console.warn(`⚠️ ${type.store}/${record.id} nicht hochgeladen:`, error.message);
+                        if (isRejection(error)) {
+                            await this.repository.markRecordRejected(type.store, record.id, record._updatedAt, error.message);
+                            summary.rejected.push({ store: type.store, id: record.id, code: error.code, message: error.message });
+                            continue;
+                        }
+
+                        summary.failed++;
+                        summary.error = error.message;
+                        if (!error.status) return;
+                    }
+                }
+            }
+        }
+
+        async pushRecord(type, record) {
+            if (record._deleted) {
+                await this.request(`${type.endpoint}/${encodeURIComponent(record.id)}`, { method: 'DELETE' })
+                    .catch(error => {
+                        // Schon auf einem anderen Gerät gelöscht
+                        if (error.status !== 404) throw error;
+                    });
+                return null;
+            }
+
+            const response = await this.request(type.endpoint, {
+                method: 'POST',
+                body: JSON.stringify(this.toRecordPayload(type.schema, record))
+            });
+            return response.data?._id || null;
+        }
+
+        /**
+         * Nur die Felder des Schemas senden (ohne _syncState etc.)
+         */
+        toRecordPayload(schemaName, record) {
+            const fields = Object.keys(HealthSchema.SCHEMAS[schemaName].fields);
+            return fields.reduce((payload, field) => {
+                if (record[field] !== undefined) payload[field] = record[field];
+                return payload;
+            }, {});
+        }
+
+        async recordFailedAttempt(batch, error) {
+            const now = Date.now();
+            await this.repository.updateQueueItems(batch.map(change => change._localId), item => {
+                const attempts = (item.attempts || 0) + 1;
+                return {
+                    ...item,
+                    attempts,
+                    status: attempts >= FAILED_AFTER_ATTEMPTS ? STATUS.FAILED : STATUS.RETRYING,
+                    nextAttemptAt: now + retryDelay(attempts),
+                    lastError: error.message
+                };
+            });
+        }
+
+        /**
+         * Abgelehnte Änderung verwerfen - neue Einträge verschwinden, bereits hochgeladene holt der
+         * nächste Durchlauf ab Cursor 0 wieder im Serverstand
+         */
+        async discard(localId) {
+            const userId = await this.getUserId();
+            const hasServerState = await this.repository.discardChange(localId);
+            if (hasServerState && userId) {
+                await this.repository.setSetting(`syncCursor:${userId}`, 0);
+            }
+            return hasServerState;
+        }
+
+        /**
+         * Queue-Eintrag in das /sync-Format übersetzen
+         */
+        toSyncChange(change) {
+            const data = {};
+            if (change._pendingOp !== 'delete') {
+                EDITABLE_FIELDS.forEach(field => {
+                    if (change[field] !== undefined) data[field] = change[field];
+                });
+            }
+
+            return {
+                op: change._pendingOp,
+                localId: change._localId,
+                serverId: change._serverId || null,
+                baseVersion: change._version ?? null,
+                updatedAt: change._updatedAt || change._createdAt || new Date().toISOString(),
+                data: change._pendingOp === 'delete' ? null : data
+            };
+        }
+
+        // ====================================================================
+        // REQUESTS OHNE SEITE (Service Worker)
+        // ====================================================================
+
+        /**
+         * API-Aufruf mit der in IndexedDB gespiegelten Session, erneuert das Token bei 401
+         */
+        async fetchWithStoredSession(endpoint, options = {}, isRetry = false) {
+            const session = await this.repository.getSetting('_authSession');
+            if (!session?.accessToken) {
+                throw new Error('Nicht angemeldet');
+            }
+
+            const response = await fetch(`${this.baseURL}${endpoint}`, {
+                ...options,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${session.accessToken}`,
+                    'X-Timezone': Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+                }
+            });
+
+            if (response.status === 401 && !isRetry && await this.refreshStoredSession(session)) {
+                return this.fetchWithStoredSession(endpoint, options, true);
+            }
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                const error = new Error(`API Error ${response.status}: ${errorData.message || errorData.error || response.statusText}`);
+                error.status = response.status;
+                error.code = errorData.code;
+                throw error;
+            }
+
+            return response.json();
+        }
+
+        async refreshStoredSession(session) {
+            if (!session.refreshToken) return false;
+
+            try {
+                const response = await fetch(`${this.baseURL}/api/auth/refresh`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken: session.refreshToken })
+                });
+                if (!response.ok) return false;
+
+                const result = await response.json();
+                const refreshed = {
+                    accessToken: result.accessToken,
+                    refreshToken: result.refreshToken,
+                    user: result.user
+                };
+                await this.repository.setSetting('_authSession', refreshed);
+                this.onSessionRefreshed(refreshed);
+                return true;
+            } catch (error) {
+                console.warn('⚠️ Token-Erneuerung im Hintergrund fehlgeschlagen:', error.message);
+                return false;
+            }
+        }
+    }
+
+    SyncOutbox.SYNC_TAG = SYNC_TAG;
+    SyncOutbox.STATUS = STATUS;
+    SyncOutbox.RECORD_TYPES = RECORD_TYPES;
+    root.SyncOutbox = SyncOutbox;
+
+    if (typeof module !== 'undefined' && module.exports) {
+        module.exports = { SyncOutbox, SYNC_TAG, STATUS, RECORD_TYPES };
+    }
+})(typeof self !== 'undefined' ? self : this);
@@ -1,10 +1,17 @@
 // Enhanced Service Worker for Health Tracker PWA v3.1
 // Optimiert für Performance, Sicherheit und Offline-Funktionalität
 
-const CACHE_NAME = 'health-tracker-v3.2';
-const API_CACHE_NAME = 'health-tracker-api-v3.2';
-const GOALS_CACHE_NAME = 'health-tracker-goals-v3.2';
-const STATIC_CACHE_NAME = 'health-tracker-static-v3.2';
+const CACHE_NAME = 'health-tracker-v5.0';
+const API_CACHE_NAME = 'health-tracker-api-v5.0';
+const GOALS_CACHE_NAME = 'health-tracker-goals-v5.0';
+const STATIC_CACHE_NAME = 'health-tracker-static-v5.0';
+
+// Gemeinsame Outbox mit der App - beide lesen dieselbe IndexedDB-Queue
+importScripts('/js/health-schema.js', '/js/health-db.js', '/js/sync-outbox.js');
+const repository = new HealthRepository();
+const outbox = new SyncOutbox(repository, {
+    onSessionRefreshed: (session) => notifyClients({ type: 'AUTH_UPDATED', session })
+});
 
 // Cache-Strategien Konfiguration
 const CACHE_STRATEGIES = {
@@ -23,6 +30,19 @@ const CRITICAL_ASSETS = [
 // Statische Assets für Background-Caching
 const STATIC_ASSETS = [
     '/js/app.js',
+    '/js/metric-registry.js',
+    '/js/health-schema.js',
+    '/js/food-database.js',
+    '/js/medication-schedule.js',
+    '/js/cycle-tracker.js',
+    '/js/sleep-log.js',
+    '/js/csv-transfer.js',
+    '/js/backup-format.js',
+    '/js/apple-health.js',
+    '/js/apple-health-worker.js',
+    '/js/fitness-import.js',
+    '/js/health-db.js',
+    '/js/sync-outbox.js',
     '/js/pwa.js',
     '/css/style.css',
     '/dist/output.css',
@@ -41,8 +61,6 @@ const CACHE_TTL = {
     HTML_PAGES: 60 * 60 * 1000      // 1 Stunde
 };
 
-// Request-Queue für Offline-Requests
-let requestQueue = [];
 let isOnline = true;
 
 // ==================================================================== 
@@ -213,6 +231,15 @@ function getRequestHandler(request, url) {
 // NETLIFY FUNCTIONS REQUEST HANDLING - Neu
 // ====================================================================
 
+/**
+ * Nur anonyme GETs cachen: der Cache ist nach URL geschlüsselt, Antworten mit Authorization
+ * gehören zu einem Konto (/metrics, /workouts ... tragen keine userId) und würden nach einem
+ * Kontowechsel dem nächsten Nutzer ausgeliefert. Offline liest die App ohnehin aus IndexedDB.
+ */
+function isCacheableApiRequest(request) {
+    return request.method === 'GET' && !request.headers.has('Authorization');
+}
+
 async function handleNetlifyFunctionRequest(request, url) {
     console.log('🔧 Handling Netlify Function:', url.pathname);
     
@@ -221,8 +248,8 @@ async function handleNetlifyFunctionRequest(request, url) {
         const networkResponse = await fetchWithTimeout(request, 10000);
         
         if (networkResponse.ok) {
-            // Erfolgreiche GET-Requests cachen
-            if (request.method === 'GET') {
+            // Erfolgreiche GET-Requests cachen - kontobezogene Antworten nie (siehe isCacheableApiRequest)
+            if (isCacheableApiRequest(request)) {
                 const cache = await caches.open(
                     url.pathname.includes('goals') ? GOALS_CACHE_NAME : API_CACHE_NAME
                 );
@@ -231,16 +258,17 @@ async function handleNetlifyFunctionRequest(request, url) {
                 const responseToCache = addTTLHeaders(networkResponse.clone(), CACHE_TTL.API_DATA);
                 cache.put(request, responseToCache);
             }
-            return networkResponse;
         }
         
-        throw new Error(`Netlify Function response: ${networkResponse.status}`);
+        // HTTP-Fehler (401, 409, 422 ...) unverändert an die Seite - sie erneuert Tokens und zeigt
+        // Validierungsfehler an. Cache und Offline-Antwort nur, wenn das Netz fehlt.
+        return networkResponse;
         
     } catch (error) {
         console.log('🌐 Netlify Function failed, trying fallback:', error.message);
         
         // Fallback-Strategien
-        if (request.method === 'GET') {
+        if (isCacheableApiRequest(request)) {
             const cache = await caches.open(
                 url.pathname.includes('goals') ? GOALS_CACHE_NAME : API_CACHE_NAME
             );
@@ -252,15 +280,11 @@ async function handleNetlifyFunctionRequest(request, url) {
             }
         }
         
-        // POST-Requests für Offline-Queue
-        if (request.method === 'POST') {
-            await queueOfflineRequest(request);
-        }
-        
+        // Änderungen liegen bereits in der Outbox der App - hier nichts einreihen
         return createOfflineResponse(request, {
             error: 'Function temporarily unavailable',
             offline: true,
-            queued: request.method === 'POST'
+            queued: false
         });
     }
 }
@@ -278,7 +302,7 @@ async function handleAPIRequest(request, url) {
         
         if (networkResponse.ok) {
             // GET-Requests intelligent cachen
-            if (request.method === 'GET') {
+            if (isCacheableApiRequest(request)) {
                 const cache = await caches.open(
                     url.pathname.includes('/goals') ? GOALS_CACHE_NAME : API_CACHE_NAME
                 );
@@ -292,16 +316,16 @@ async function handleAPIRequest(request, url) {
                 cache.put(request, responseToCache);
             }
             
-            return networkResponse;
         }
         
-        throw new Error(`API response: ${networkResponse.status}`);
+        // HTTP-Fehler unverändert weitergeben - nur Netzwerkfehler fallen auf den Cache zurück
+        return networkResponse;
         
     } catch (error) {
         console.log('🌐 API Network failed:', error.message);
         
         // GET-Requests: Cache-Fallback
-        if (request.method === 'GET') {
+        if (isCacheableApiRequest(request)) {
             const cache = await caches.open(
                 url.pathname.includes('/goals') ? GOALS_CACHE_NAME : API_CACHE_NAME
             );
@@ -321,16 +345,6 @@ async function handleAPIRequest(request, url) {
             }
         }
         
-        // POST/PUT-Requests: Offline-Queue
-        if (request.method !== 'GET') {
-            await queueOfflineRequest(request);
-            return createOfflineResponse(request, {
-                error: 'Request queued for later sync',
-                queued: true,
-                method: request.method
-            });
-        }
-        
         // Default Offline-Response
         return createOfflineResponse(request, {
             error: 'API temporarily unavailable',
@@ -657,45 +671,6 @@ async function updateAssetInBackground(request, cache) {
     }
 }
 
-// Offline-Request in Queue einreihen
-async function queueOfflineRequest(request) {
-    try {
-        const requestData = {
-            url: request.url,
-            method: request.method,
-            headers: Object.fromEntries(request.headers.entries()),
-            body: request.method !== 'GET' ? await request.text() : null,
-            timestamp: Date.now(),
-            id: `req_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`
-        };
-        
-        requestQueue.push(requestData);
-        
-        // Persistent storage
-        const queuedRequests = JSON.parse(
-            (await self.caches.open('request-queue').then(cache => 
-                cache.match('queue-data')
-            ).then(response => response?.text())) || '[]'
-        );
-        
-        queuedRequests.push(requestData);
-        
-        const queueCache = await caches.open('request-queue');
-        await queueCache.put('queue-data', new Response(JSON.stringify(queuedRequests)));
-        
-        console.log('📝 Request queued:', requestData.id);
-        
-        // Background Sync registrieren
-        if ('serviceWorker' in navigator && 'sync' in window.ServiceWorkerRegistration.prototype) {
-            const registration = await self.registration;
-            await registration.sync.register('background-sync');
-        }
-        
-    } catch (error) {
-        console.error('❌ Failed to queue request:', error);
-    }
-}
-
 // Offline-Response erstellen
 function createOfflineResponse(request, data = {}) {
     const responseData = {
@@ -915,6 +890,7 @@ self.addEventListener('sync', (event) => {
     console.log('📤 Background Sync Event:', event.tag);
     
     switch (event.tag) {
+        case SyncOutbox.SYNC_TAG:
         case 'background-sync':
             event.waitUntil(performBackgroundSync());
             break;
@@ -926,80 +902,35 @@ self.addEventListener('sync', (event) => {
     }
 });
 
-async function performBackgroundSync() {
+/**
+ * Outbox senden und offene Seiten informieren
+ * @param {{force?: boolean}} options - force ignoriert den Retry-Backoff (FORCE_SYNC)
+ */
+async function performBackgroundSync(options = {}) {
     console.log('🔄 Starting background sync...');
     
-    try {
-        // Verarbeite Offline-Queue
-        await processOfflineQueue();
-        
-        // Benachrichtige Clients über Sync
-        const clients = await self.clients.matchAll();
-        for (const client of clients) {
-            client.postMessage({
-                type: 'BACKGROUND_SYNC',
-                action: 'REQUEST_SYNC',
-                timestamp: Date.now()
-            });
-        }
-        
-        console.log('✅ Background sync completed');
-        
-    } catch (error) {
-        console.error('❌ Background sync failed:', error);
-        throw error; // Retry later
+    const summary = await outbox.flush(options);
+    
+    await notifyClients({
+        type: 'BACKGROUND_SYNC',
+        action: 'SYNC_COMPLETE',
+        forced: !!options.force,
+        summary,
+        timestamp: Date.now()
+    });
+    
+    // Browser wiederholt das Sync-Event später - Outbox-Einträge bleiben erhalten
+    if (summary.failed > 0) {
+        throw new Error(`Background sync incomplete: ${summary.error}`);
     }
+    
+    console.log(`✅ Background sync completed: ${summary.pushed} gesendet, ${summary.pulled} empfangen`);
 }
 
-async function processOfflineQueue() {
-    try {
-        const queueCache = await caches.open('request-queue');
-        const queueResponse = await queueCache.match('queue-data');
-        
-        if (!queueResponse) {
-            console.log('📭 No offline requests in queue');
-            return;
-        }
-        
-        const queuedRequests = JSON.parse(await queueResponse.text());
-        const processedRequests = [];
-        
-        for (const requestData of queuedRequests) {
-            try {
-                const response = await fetch(requestData.url, {
-                    method: requestData.method,
-                    headers: requestData.headers,
-                    body: requestData.body
-                });
-                
-                if (response.ok) {
-                    console.log('✅ Queued request processed:', requestData.id);
-                    processedRequests.push(requestData);
-                }
-                
-            } catch (error) {
-                console.log('❌ Queued request still failing:', requestData.id);
-                
-                // Requests älter als 24h löschen
-                if (Date.now() - requestData.timestamp > 24 * 60 * 60 * 1000) {
-                    console.log('🗑️ Removing expired request:', requestData.id);
-                    processedRequests.push(requestData);
-                }
-            }
-        }
-        
-        // Queue aktualisieren
-        if (processedRequests.length > 0) {
-            const remainingRequests = queuedRequests.filter(req => 
-                !processedRequests.some(processed => processed.id === req.id)
-            );
-            
-            await queueCache.put('queue-data', new Response(JSON.stringify(remainingRequests)));
-            console.log(`📝 Processed ${processedRequests.length} requests, ${remainingRequests.length} remaining`);
-        }
-        
-    } catch (error) {
-        console.error('❌ Offline queue processing failed:', error);
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ includeUncontrolled: true });
+    for (const client of clients) {
+        client.postMessage(message);
     }
 }
 
@@ -1058,12 +989,19 @@ self.addEventListener('message', (event) => {
             event.waitUntil(performCacheCleanup());
             break;
             
+        case 'CLEAR_API_CACHE':
+            // Abmeldung/Kontowechsel - keine Antworten des vorigen Kontos aufheben
+            event.waitUntil(Promise.all([caches.delete(API_CACHE_NAME), caches.delete(GOALS_CACHE_NAME)]));
+            break;
+            
         case 'GET_CACHE_STATUS':
             event.waitUntil(sendCacheStatus(event.source));
             break;
             
         case 'FORCE_SYNC':
-            event.waitUntil(performBackgroundSync());
+            event.waitUntil(performBackgroundSync({ force: true }).catch(error => {
+                console.warn('⚠️ Force sync incomplete:', error.message);
+            }));
             break;
             
         case 'GET_PERFORMANCE':
@@ -1120,7 +1058,7 @@ async function performPeriodicCleanup() {
     await Promise.all([
         performCacheSizeOptimization(),
         cleanupExpiredCacheEntries(),
-        processOfflineQueue()
+        outbox.flush().catch(error => console.warn('⚠️ Outbox flush failed:', error.message))
     ]);
 }
 
@@ -1221,6 +1159,12 @@ self.addEventListener('notificationclick', (event) => {
     
     event.notification.close();
     
+    const { type, dose } = event.notification.data || {};
+    if (type === 'medication' && dose && event.action?.startsWith('medication-')) {
+        event.waitUntil(logMedicationDose(dose, event.action === 'medication-taken' ? 'taken' : 'skipped'));
+        return;
+    }
+    
     if (event.action === 'view' || !event.action) {
         event.waitUntil(
             clients.matchAll().then(clientList => {
@@ -1240,6 +1184,48 @@ self.addEventListener('notificationclick', (event) => {
     }
 });
 
+/**
+ * Dosis aus der Benachrichtigung erfassen und über die Outbox senden - ohne offene App
+ */
+async function logMedicationDose(dose, status) {
+    try {
+        await repository.saveMedicationLog({
+            id: dose.id,
+            medicationId: dose.medicationId,
+            date: dose.date,
+            time: dose.time,
+            status,
+            name: dose.name,
+            dose: dose.dose || null,
+            loggedAt: new Date().toISOString()
+        });
+        console.log(`💊 Dosis ${dose.id} erfasst: ${status}`);
+        await notifyClients({ type: 'MEDICATION_LOGGED', id: dose.id, status });
+    } catch (error) {
+        console.error('❌ Dosis konnte nicht erfasst werden:', error);
+        return;
+    }
+    
+    await requestOutboxSync();
+}
+
+/**
+ * Background Sync für die Outbox anmelden - der Browser sendet, sobald Netz da ist.
+ * Ohne Sync-API direkt senden.
+ */
+async function requestOutboxSync() {
+    try {
+        if (self.registration.sync) {
+            await self.registration.sync.register(SyncOutbox.SYNC_TAG);
+            return;
+        }
+    } catch (error) {
+        console.log('⚠️ Background Sync not available:', error.message);
+    }
+    
+    await performBackgroundSync().catch(error => console.warn('⚠️ Outbox flush failed:', error.message));
+}
+
 // ==================================================================== 
 // INITIALIZATION
 // ====================================================================
@@ -0,0 +1,36 @@
+// server.js - Health Tracker Pro lokal: API + PWA ohne Netlify
+//
+//   node server.js                       In-Memory-Datastore (Daten weg nach Neustart)
+//   DATASTORE=file node server.js        JSON-Datei unter .data/ (DATA_FILE überschreibt den Pfad)
+//   MONGODB_URI=... node server.js       MongoDB wie in Produktion
+
+require('dotenv').config();
+
+const crypto = require('crypto');
+const path = require('path');
+const express = require('express');
+const { createApp } = require('./server/app');
+const { createDatastore } = require('./server/datastore');
+
+const PORT = Number(process.env.PORT) || 8888;
+
+if (!process.env.JWT_SECRET) {
+    // Nur lokal: Tokens sind nach einem Neustart ungültig
+    process.env.JWT_SECRET = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️ JWT_SECRET nicht gesetzt - verwende zufälliges Secret für diese Sitzung');
+}
+
+const datastore = createDatastore();
+const api = createApp({ datastore });
+const app = express();
+
+// Gleiche URLs wie auf Netlify (netlify.toml leitet /api/* auf die Function um)
+app.use(['/.netlify/functions/api', '/api'], api);
+
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/images', express.static(path.join(__dirname, 'images')));
+app.use('/icons', express.static(path.join(__dirname, 'icons')));
+
+app.listen(PORT, () => {
+    console.log(`🚀 Health Tracker Pro läuft auf http://localhost:${PORT} (Datastore: ${datastore.type})`);
+});
@@ -0,0 +1,197 @@
+// server/app.js - Express-App der Health Tracker Pro API
+//
+// Wird von der Netlify Function (serverless-http) und vom lokalen server.js gemountet.
+// Persistenz ausschließlich über den übergebenen Datastore (siehe server/datastore).
+
+const express = require('express');
+const cors = require('cors');
+const HealthSchema = require('../public/js/health-schema');
+const { requireAuth, resolveTimezone } = require('./lib/middleware');
+const { createStatusRouter } = require('./routes/status');
+const { createAuthRouter, createProfileRouter } = require('./routes/auth');
+const { createGoalsRouter } = require('./routes/goals');
+const { createMetricsRouter } = require('./routes/metrics');
+const { createFoodsRouter } = require('./routes/foods');
+const { createWorkoutsRouter } = require('./routes/workouts');
+const { createMedicationsRouter } = require('./routes/medications');
+const { createPeriodsRouter } = require('./routes/periods');
+const { createHealthDataRouter } = require('./routes/health-data');
+const { createSyncRouter } = require('./routes/sync');
+
+const AVAILABLE_ENDPOINTS = [
+    'GET /',
+    'GET /health',
+    'GET /test-db',
+    'POST /auth/register',
+    'POST /auth/login',
+    'POST /auth/refresh',
+    'PUT /profile',
+    'GET /health-data/{userId}',
+    'POST /health-data',
+    'PUT /health-data/{id}',
+    'DELETE /health-data/{id}',
+    'POST /sync',
+    'GET /health-data-aggregated/{userId}',
+    'GET /goals/{userId}',
+    'POST /goals',
+    'GET /metrics',
+    'POST /metrics',
+    'PUT /metrics/{key}',
+    'DELETE /metrics/{key}',
+    'GET /foods',
+    'POST /foods',
+    'PUT /foods/{id}',
+    'DELETE /foods/{id}',
+    'GET /workouts',
+    'POST /workouts',
+    'PUT /workouts/{id}',
+    'DELETE /workouts/{id}',
+    'GET /medications',
+    'POST /medications',
+    'PUT /medications/{id}',
+    'DELETE /medications/{id}',
+    'GET /medication-logs',
+    'POST /medication-logs',
+    'DELETE /medication-logs/{id}',
+    'GET /periods',
+    'POST /periods',
+    'PUT /periods/{id}',
+    'DELETE /periods/{id}'
+];
+
+/**
+ * Path Normalization - Aufrufe über /.netlify/functions/api und /api landen auf denselben Routen
+ */
+function normalizePath(req, res, next) {
+    let url = req.url;
+    if (url.startsWith('/.netlify/functions/api')) {
+        url = url.replace('/.netlify/functions/api', '');
+    }
+    if (url.startsWith('/api/')) {
+        url = url.replace('/api', '');
+    }
+    if (url === '' || url.startsWith('?')) url = `/${url}`;
+    req.url = url;
+    next();
+}
+
+/**
+ * serverless-http übergibt den Body bereits gelesen als Buffer - express.json() überspringt ihn dann
+ */
+function parseBufferedBody(req, res, next) {
+    if (!Buffer.isBuffer(req.body)) return next();
+
+    const parsed = HealthSchema.safeJsonParse(req.body.toString('utf8'), undefined);
+    req.body = parsed.value ?? undefined;
+    req._body = true;
+    if (parsed.error) {
+        const error = new Error(parsed.error);
+        error.type = 'entity.parse.failed';
+        return next(error);
+    }
+    next();
+}
+
+/**
+ * Fehler-Middleware - kaputtes JSON und Schema-Verstöße der Datenbank sind Eingabefehler
+ */
+function handleError(error, req, res, next) {
+    if (error.type === 'entity.parse.failed') {
+        return res.status(400).json({
+            error: 'Malformed JSON body',
+            code: 'INVALID_JSON',
+            message: error.message
+        });
+    }
+
+    // runValidators-Verstöße sind Eingabefehler, keine Serverfehler
+    if (error.name === 'ValidationError') {
+        const codes = { min: 'TOO_SMALL', max: 'TOO_LARGE', required: 'REQUIRED' };
+        const errors = Object.values(error.errors || {}).map(fieldError => ({
+            field: fieldError.path,
+            code: codes[fieldError.kind] || 'INVALID_VALUE',
+            message: fieldError.message
+        }));
+        return res.status(422).json({
+            error: 'Validation failed',
+            code: 'VALIDATION_ERROR',
+            message: errors[0]?.message || error.message,
+            errors
+        });
+    }
+
+    console.error('❌ API Function error:', error);
+
+    res.status(500).json({
+        error: 'Internal server error',
+        code: error.code || 'INTERNAL_ERROR',
+        message: error.message,
+        timestamp: new Date().toISOString(),
+        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.datastore - siehe server/datastore/index.js
+ */
+function createApp({ datastore }) {
+    const app = express();
+    app.disable('x-powered-by');
+
+    app.use(normalizePath);
+    app.use(cors({
+        origin: '*',
+        allowedHeaders: ['Content-Type', 'Authorization', 'X-Timezone'],
+        methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+        optionsSuccessStatus: 200
+    }));
+    app.use((req, res, next) => {
+        res.set('Cache-Control', 'no-cache');
+        console.log(`📞 API Handler: ${req.method} ${req.path}`);
+        next();
+    });
+    app.use(parseBufferedBody);
+    app.use(express.json({ limit: '2mb' }));
+
+    app.use(createStatusRouter({ datastore }));
+
+    // Datastore-Verbindung für Datenoperationen
+    app.use(async (req, res, next) => {
+        await datastore.connect();
+        next();
+    });
+
+    app.use(createAuthRouter({ datastore }));
+
+    // Ab hier: nur authentifizierte Requests
+    const authenticated = express.Router();
+    authenticated.use(requireAuth, resolveTimezone(datastore));
+    authenticated.use(createProfileRouter({ datastore }));
+    authenticated.use(createGoalsRouter({ datastore }));
+    authenticated.use(createMetricsRouter({ datastore }));
+    authenticated.use(createFoodsRouter({ datastore }));
+    authenticated.use(createWorkoutsRouter({ datastore }));
+    authenticated.use(createMedicationsRouter({ datastore }));
+    authenticated.use(createPeriodsRouter({ datastore }));
+    authenticated.use(createHealthDataRouter({ datastore }));
+    authenticated.use(createSyncRouter({ datastore }));
+    app.use(authenticated);
+
+    // 404 für unbekannte Routen
+    app.use((req, res) => {
+        res.status(404).json({
+            error: 'Endpoint not found',
+            path: req.path,
+            method: req.method,
+            availableEndpoints: AVAILABLE_ENDPOINTS,
+            documentation: 'https://your-docs-url.com/api'
+        });
+    });
+
+    app.use(handleError);
+
+    return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,99 @@
+// server/datastore/index.js - Austauschbare Persistenz für die API
+//
+// Alle Routen sprechen nur mit dieser Schnittstelle. Implementierungen:
+// - MongoDatastore: MongoDB Atlas (Produktion, Netlify)
+// - MemoryDatastore: im Speicher, optional als JSON-Datei persistiert (lokal, Tests)
+//
+// Schnittstelle (alle Methoden async, Rückgaben sind einfache Objekte):
+//   type                                   'mongo' | 'memory' | 'file'
+//   connect()                              Verbindung herstellen bzw. Datei laden
+//   isValidId(id)                          Server-ID (24 Hex-Zeichen) - synchron
+//   getStatus()                            Kurzstatus für GET /health
+//   getDiagnostics()                       Details für GET /test-db
+//
+//   findUserByEmail(email) / findUserById(id)
+//   createUser(data) / updateUser(id, set)
+//
+//   findGoals(userId) / saveGoals(userId, data)
+//
+//   listMetricDefinitions(userId)           inkl. archivierter, sortiert order asc, createdAt asc
+//   saveMetricDefinition(userId, key, set)  anlegen oder aktualisieren (upsert)
+//
+//   listFoods(userId)                       eigene Lebensmittel und Rezepte, sortiert name asc
+//   saveFood(userId, id, set)               anlegen oder aktualisieren (upsert)
+//   deleteFood(userId, id)                  true, wenn etwas gelöscht wurde
+//
+//   listWorkouts(userId, { from, to, limit })  Trainingseinheiten, sortiert date desc, startTime desc
+//   findWorkout(userId, id)                 null, wenn nicht vorhanden
+//   saveWorkout(userId, id, set)            anlegen oder aktualisieren (upsert)
+//   deleteWorkout(userId, id)               true, wenn etwas gelöscht wurde
+//
+//   listMedications(userId)                 inkl. archivierter, sortiert name asc
+//   findMedication(userId, id)              null, wenn nicht vorhanden
+//   saveMedication(userId, id, set)         anlegen oder aktualisieren (upsert)
+//   listMedicationLogs(userId, { from, to, limit })  erfasste Dosen, sortiert date desc, time desc
+//   findMedicationLog(userId, id)           null, wenn nicht vorhanden
+//   saveMedicationLog(userId, id, set)      anlegen oder aktualisieren (upsert)
+//   deleteMedicationLog(userId, id)         true, wenn etwas gelöscht wurde
+//
+//   listPeriods(userId, { from, to, limit }) Filter auf startDate, sortiert startDate desc
+//   findPeriod(userId, id)                  null, wenn nicht vorhanden
+//   savePeriod(userId, id, set)             anlegen oder aktualisieren (upsert)
+//   deletePeriod(userId, id)                true, wenn etwas gelöscht wurde
+//
+//   listEntries(userId, { from, to, toExclusive, metrics, before, limit, fields })
+//                                          nicht gelöscht, sortiert date desc, _id desc
+//   findEntriesOnDay(userId, { day, start, end })
+//                                          date === day oder Altdaten-Zeitstempel mit start <= date < end
+//   createEntry(data)
+//   updateEntry(userId, entryId, set)      per _id oder _localId, nur nicht gelöschte, version + 1
+//   findSyncTarget(userId, { serverId, localId })  inkl. Tombstones
+//   setEntryFields(id, set)
+//   nextSyncSeq(userId)
+//   listEntryIdsWithoutSyncSeq(userId)
+//   listChangesSince(userId, cursor, limit)   sortiert syncSeq asc
+//   aggregateDays(userId, { cutoff, fromKey, timezone, limit })
+//                                          [{ _id: 'YYYY-MM-DD', date, entries }] - neueste Tage zuerst,
+//                                          entries in Erfassungsreihenfolge
+
+const path = require('path');
+
+const DEFAULT_DATA_FILE = path.join(process.cwd(), '.data', 'health-tracker.json');
+
+/**
+ * Datastore anhand der Umgebung wählen:
+ * DATASTORE=mongo|memory|file, ohne Angabe Mongo falls MONGODB_URI gesetzt ist, sonst options.fallback.
+ * fallback: null verlangt eine ausdrückliche Wahl (Netlify Function) - Standard 'memory' für lokal.
+ */
+function createDatastore(options = {}) {
+    const env = options.env || process.env;
+    const fallback = options.fallback === undefined ? 'memory' : options.fallback;
+    const type = options.type || env.DATASTORE || (env.MONGODB_URI ? 'mongo' : fallback);
+
+    if (!type) {
+        throw new Error('MONGODB_URI is not set - set DATASTORE=memory or DATASTORE=file to run without MongoDB');
+    }
+
+    switch (type) {
+        case 'mongo': {
+            const uri = options.uri || env.MONGODB_URI;
+            if (!uri) {
+                throw new Error('DATASTORE=mongo requires MONGODB_URI');
+            }
+            const { MongoDatastore } = require('./mongo');
+            return new MongoDatastore({ uri });
+        }
+        case 'memory': {
+            const { MemoryDatastore } = require('./memory');
+            return new MemoryDatastore();
+        }
+        case 'file': {
+            const { MemoryDatastore } = require('./memory');
+            return new MemoryDatastore({ filePath: options.filePath || env.DATA_FILE || DEFAULT_DATA_FILE });
+        }
+        default:
+            throw new Error(`Unknown datastore: ${type}`);
+    }
+}
+
+module.exports = { createDatastore };
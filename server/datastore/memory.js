@@ -0,0 +1,538 @@
+// server/datastore/memory.js - Datastore im Speicher, optional als JSON-Datei persistiert
+//
+// Für lokale Entwicklung und Tests ohne MongoDB. Verhält sich wie die Mongo-Implementierung
+// (IDs im ObjectId-Format, Defaults, Sortierung), ist aber nicht für Produktion gedacht.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const MetricRegistry = require('../../public/js/metric-registry');
+const { getEntryDayKey, isOnDay } = require('../lib/timezone');
+
+// Felder, die beim Laden aus der JSON-Datei wieder zu Date werden
+const DATE_FIELDS = ['date', 'loggedAt', 'createdAt', 'updatedAt', 'clientUpdatedAt', 'deletedAt', 'lastLoginAt'];
+
+let idCounter = crypto.randomBytes(3).readUIntBE(0, 3);
+const processId = crypto.randomBytes(5).toString('hex');
+
+/**
+ * 24 Hex-Zeichen wie eine ObjectId: Sekunden + Prozess-Zufall + Zähler - sortiert nach Erstellung
+ */
+function createObjectId() {
+    idCounter = (idCounter + 1) % 0xffffff;
+    const seconds = Math.floor(Date.now() / 1000).toString(16).padStart(8, '0');
+    return seconds + processId + idCounter.toString(16).padStart(6, '0');
+}
+
+function reviveDates(record, fields = DATE_FIELDS) {
+    fields.forEach(field => {
+        if (typeof record[field] === 'string') record[field] = new Date(record[field]);
+    });
+    return record;
+}
+
+function hasValue(value) {
+    return value !== null && value !== undefined;
+}
+
+function compareDesc(a, b) {
+    const byDate = b.date.getTime() - a.date.getTime();
+    if (byDate !== 0) return byDate;
+    return a._id < b._id ? 1 : (a._id > b._id ? -1 : 0);
+}
+
+class MemoryDatastore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.filePath] - JSON-Datei; ohne Angabe bleibt alles im Speicher
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.type = this.filePath ? 'file' : 'memory';
+        this.data = { users: [], goals: [], metricDefinitions: [], foods: [], workouts: [], medications: [], medicationLogs: [], periods: [], entries: [], counters: {} };
+        this.loaded = false;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async connect() {
+        if (this.loaded) return this;
+        this.loaded = true;
+        if (!this.filePath) return this;
+
+        try {
+            const stored = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            this.data = {
+                users: (stored.users || []).map(reviveDates),
+                goals: (stored.goals || []).map(reviveDates),
+                metricDefinitions: (stored.metricDefinitions || []).map(reviveDates),
+                foods: (stored.foods || []).map(reviveDates),
+                // date bleibt der Tages-Schlüssel (String)
+                workouts: (stored.workouts || []).map(workout => reviveDates(workout, ['createdAt', 'updatedAt'])),
+                medications: (stored.medications || []).map(medication => reviveDates(medication, ['createdAt', 'updatedAt'])),
+                medicationLogs: (stored.medicationLogs || []).map(log => reviveDates(log, ['createdAt', 'updatedAt', 'loggedAt'])),
+                periods: (stored.periods || []).map(period => reviveDates(period, ['createdAt', 'updatedAt'])),
+                entries: (stored.entries || []).map(reviveDates),
+                counters: stored.counters || {}
+            };
+            console.log(`✅ Datastore loaded from ${this.filePath} (${this.data.entries.length} entries)`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            console.log(`📁 New datastore file: ${this.filePath}`);
+        }
+        return this;
+    }
+
+    /**
+     * Schreibvorgänge nacheinander über eine temporäre Datei - nie halb geschriebenes JSON
+     */
+    persist() {
+        if (!this.filePath) return Promise.resolve();
+
+        this.writeQueue = this.writeQueue.then(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+            await fs.promises.rename(tempPath, this.filePath);
+        });
+        return this.writeQueue;
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id);
+    }
+
+    async getStatus() {
+        return {
+            type: this.type,
+            connected: true,
+            file: this.filePath,
+            collections: Object.keys(this.data).length
+        };
+    }
+
+    async getDiagnostics() {
+        const healthDataCount = this.data.entries.length;
+        const goalsCount = this.data.goals.length;
+        return {
+            database: this.type,
+            connection: { state: 1, file: this.filePath },
+            collections: ['users', 'goals', 'metric_definitions', 'user_foods', 'workouts', 'medications', 'medication_logs', 'periods', 'healthdatas', 'sync_counters'].map(name => ({ name, type: this.type })),
+            statistics: {
+                healthDataEntries: healthDataCount,
+                goalEntries: goalsCount,
+                totalDocuments: healthDataCount + goalsCount
+            },
+            sampleDataExists: healthDataCount > 0
+        };
+    }
+
+    // ====================================================================
+    // USERS
+    // ====================================================================
+
+    async findUserByEmail(email) {
+        const user = this.data.users.find(candidate => candidate.email === String(email).toLowerCase());
+        return user ? structuredClone(user) : null;
+    }
+
+    async findUserById(id) {
+        const user = this.data.users.find(candidate => candidate._id === id);
+        return user ? structuredClone(user) : null;
+    }
+
+    async createUser(data) {
+        const email = String(data.email).trim().toLowerCase();
+        if (this.data.users.some(user => user.email === email)) {
+            const error = new Error(`Duplicate email: ${email}`);
+            error.code = 11000;
+            throw error;
+        }
+
+        const user = {
+            _id: createObjectId(),
+            displayName: null,
+            timezone: 'UTC',
+            tokenVersion: 0,
+            createdAt: new Date(),
+            ...data,
+            email
+        };
+        this.data.users.push(user);
+        await this.persist();
+        return structuredClone(user);
+    }
+
+    async updateUser(id, set) {
+        const user = this.data.users.find(candidate => candidate._id === id);
+        if (!user) return null;
+        Object.assign(user, set);
+        await this.persist();
+        return structuredClone(user);
+    }
+
+    // ====================================================================
+    // GOALS
+    // ====================================================================
+
+    async findGoals(userId) {
+        const goals = this.data.goals.find(candidate => candidate.userId === userId);
+        return goals ? structuredClone(goals) : null;
+    }
+
+    async saveGoals(userId, data) {
+        let goals = this.data.goals.find(candidate => candidate.userId === userId);
+        if (!goals) {
+            goals = { _id: createObjectId(), userId, createdAt: new Date() };
+            this.data.goals.push(goals);
+        }
+        Object.assign(goals, data, { userId });
+        await this.persist();
+        return structuredClone(goals);
+    }
+
+    // ====================================================================
+    // METRIC DEFINITIONS
+    // ====================================================================
+
+    async listMetricDefinitions(userId) {
+        return this.data.metricDefinitions
+            .filter(definition => definition.userId === userId)
+            .sort((a, b) => (a.order - b.order) || (a.createdAt - b.createdAt))
+            .map(definition => structuredClone(definition));
+    }
+
+    async saveMetricDefinition(userId, key, set) {
+        let definition = this.data.metricDefinitions.find(candidate => candidate.userId === userId && candidate.key === key);
+        if (!definition) {
+            definition = {
+                _id: createObjectId(),
+                type: 'number',
+                aggregation: 'sum',
+                goalDirection: 'increase',
+                order: 0,
+                archived: false,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            this.data.metricDefinitions.push(definition);
+        }
+        Object.assign(definition, set, { userId, key });
+        await this.persist();
+        return structuredClone(definition);
+    }
+
+    // ====================================================================
+    // USER FOODS
+    // ====================================================================
+
+    async listFoods(userId) {
+        return this.data.foods
+            .filter(food => food.userId === userId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(({ userId: owner, ...food }) => structuredClone(food));
+    }
+
+    async saveFood(userId, id, set) {
+        let food = this.data.foods.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!food) {
+            food = { _id: createObjectId(), kind: 'food', createdAt: new Date(), updatedAt: new Date() };
+            this.data.foods.push(food);
+        }
+        Object.assign(food, set, { userId, id });
+        await this.persist();
+        const { userId: owner, ...saved } = food;
+        return structuredClone(saved);
+    }
+
+    async deleteFood(userId, id) {
+        const index = this.data.foods.findIndex(food => food.userId === userId && food.id === id);
+        if (index === -1) return false;
+        this.data.foods.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // ====================================================================
+    // WORKOUTS
+    // ====================================================================
+
+    async listWorkouts(userId, query = {}) {
+        return this.data.workouts
+            .filter(workout => workout.userId === userId)
+            .filter(workout => !query.from || workout.date >= query.from)
+            .filter(workout => !query.to || workout.date <= query.to)
+            .sort((a, b) => b.date.localeCompare(a.date) ||
+                (b.startTime || '').localeCompare(a.startTime || '') ||
+                b.createdAt - a.createdAt)
+            .slice(0, query.limit || undefined)
+            .map(({ userId: owner, ...workout }) => structuredClone(workout));
+    }
+
+    async findWorkout(userId, id) {
+        const workout = this.data.workouts.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!workout) return null;
+        const { userId: owner, ...found } = workout;
+        return structuredClone(found);
+    }
+
+    async saveWorkout(userId, id, set) {
+        let workout = this.data.workouts.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!workout) {
+            workout = { _id: createObjectId(), createdAt: new Date(), updatedAt: new Date() };
+            this.data.workouts.push(workout);
+        }
+        Object.assign(workout, set, { userId, id });
+        await this.persist();
+        const { userId: owner, ...saved } = workout;
+        return structuredClone(saved);
+    }
+
+    async deleteWorkout(userId, id) {
+        const index = this.data.workouts.findIndex(workout => workout.userId === userId && workout.id === id);
+        if (index === -1) return false;
+        this.data.workouts.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // ====================================================================
+    // MEDICATIONS
+    // ====================================================================
+
+    async listMedications(userId) {
+        return this.data.medications
+            .filter(medication => medication.userId === userId)
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map(({ userId: owner, ...medication }) => structuredClone(medication));
+    }
+
+    async findMedication(userId, id) {
+        const medication = this.data.medications.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!medication) return null;
+        const { userId: owner, ...found } = medication;
+        return structuredClone(found);
+    }
+
+    async saveMedication(userId, id, set) {
+        let medication = this.data.medications.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!medication) {
+            medication = {
+                _id: createObjectId(),
+                kind: 'medication',
+                remindersEnabled: true,
+                archived: false,
+                createdAt: new Date(),
+                updatedAt: new Date()
+            };
+            this.data.medications.push(medication);
+        }
+        Object.assign(medication, set, { userId, id });
+        await this.persist();
+        const { userId: owner, ...saved } = medication;
+        return structuredClone(saved);
+    }
+
+    async listMedicationLogs(userId, query = {}) {
+        return this.data.medicationLogs
+            .filter(log => log.userId === userId)
+            .filter(log => !query.from || log.date >= query.from)
+            .filter(log => !query.to || log.date <= query.to)
+            .sort((a, b) => b.date.localeCompare(a.date) || b.time.localeCompare(a.time))
+            .slice(0, query.limit || undefined)
+            .map(({ userId: owner, ...log }) => structuredClone(log));
+    }
+
+    async findMedicationLog(userId, id) {
+        const log = this.data.medicationLogs.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!log) return null;
+        const { userId: owner, ...found } = log;
+        return structuredClone(found);
+    }
+
+    async saveMedicationLog(userId, id, set) {
+        let log = this.data.medicationLogs.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!log) {
+            log = { _id: createObjectId(), createdAt: new Date(), updatedAt: new Date() };
+            this.data.medicationLogs.push(log);
+        }
+        Object.assign(log, set, { userId, id });
+        await this.persist();
+        const { userId: owner, ...saved } = log;
+        return structuredClone(saved);
+    }
+
+    async deleteMedicationLog(userId, id) {
+        const index = this.data.medicationLogs.findIndex(log => log.userId === userId && log.id === id);
+        if (index === -1) return false;
+        this.data.medicationLogs.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // ====================================================================
+    // PERIODS
+    // ====================================================================
+
+    async listPeriods(userId, query = {}) {
+        return this.data.periods
+            .filter(period => period.userId === userId)
+            .filter(period => !query.from || period.startDate >= query.from)
+            .filter(period => !query.to || period.startDate <= query.to)
+            .sort((a, b) => b.startDate.localeCompare(a.startDate))
+            .slice(0, query.limit || undefined)
+            .map(({ userId: owner, ...period }) => structuredClone(period));
+    }
+
+    async findPeriod(userId, id) {
+        const period = this.data.periods.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!period) return null;
+        const { userId: owner, ...found } = period;
+        return structuredClone(found);
+    }
+
+    async savePeriod(userId, id, set) {
+        let period = this.data.periods.find(candidate => candidate.userId === userId && candidate.id === id);
+        if (!period) {
+            period = { _id: createObjectId(), createdAt: new Date(), updatedAt: new Date() };
+            this.data.periods.push(period);
+        }
+        Object.assign(period, set, { userId, id });
+        await this.persist();
+        const { userId: owner, ...saved } = period;
+        return structuredClone(saved);
+    }
+
+    async deletePeriod(userId, id) {
+        const index = this.data.periods.findIndex(period => period.userId === userId && period.id === id);
+        if (index === -1) return false;
+        this.data.periods.splice(index, 1);
+        await this.persist();
+        return true;
+    }
+
+    // ====================================================================
+    // HEALTH ENTRIES
+    // ====================================================================
+
+    matchesEntryId(entry, entryId) {
+        return entry._localId === entryId || (this.isValidId(entryId) && entry._id === entryId);
+    }
+
+    async listEntries(userId, query = {}) {
+        const results = this.data.entries
+            .filter(entry => entry.userId === userId && !entry.deleted)
+            .filter(entry => !query.from || entry.date >= query.from)
+            .filter(entry => !query.to || (query.toExclusive ? entry.date < query.to : entry.date <= query.to))
+            .filter(entry => !query.metrics || query.metrics.length === 0 ||
+                query.metrics.some(metric => hasValue(entry[metric])))
+            .filter(entry => !query.before ||
+                entry.date < query.before.date ||
+                (entry.date.getTime() === query.before.date.getTime() && entry._id < query.before.id))
+            .sort(compareDesc)
+            .slice(0, query.limit || undefined);
+
+        return results.map(entry => {
+            if (!query.fields) return structuredClone(entry);
+            // _id und date werden für Cursor und Zuordnung immer geliefert
+            return ['_id', 'date', ...query.fields].reduce((projected, field) => {
+                if (entry[field] !== undefined) projected[field] = structuredClone(entry[field]);
+                return projected;
+            }, {});
+        });
+    }
+
+    async findEntriesOnDay(userId, range) {
+        return this.data.entries
+            .filter(entry => entry.userId === userId && !entry.deleted)
+            .filter(entry => isOnDay(entry.date, range))
+            .map(entry => structuredClone(entry));
+    }
+
+    async createEntry(data) {
+        const now = new Date();
+        const entry = {
+            _id: createObjectId(),
+            _synced: true,
+            version: 1,
+            deleted: false,
+            createdAt: now,
+            updatedAt: now,
+            ...data
+        };
+        this.data.entries.push(entry);
+        await this.persist();
+        return structuredClone(entry);
+    }
+
+    async updateEntry(userId, entryId, set) {
+        const entry = this.data.entries.find(candidate =>
+            candidate.userId === userId && !candidate.deleted && this.matchesEntryId(candidate, entryId));
+        if (!entry) return null;
+
+        Object.assign(entry, set);
+        entry.version = (entry.version || 1) + 1;
+        await this.persist();
+        return structuredClone(entry);
+    }
+
+    async findSyncTarget(userId, { serverId, localId }) {
+        const entry = this.data.entries.find(candidate => candidate.userId === userId &&
+            ((serverId && candidate._id === serverId) || (localId && candidate._localId === localId)));
+        return entry ? structuredClone(entry) : null;
+    }
+
+    async setEntryFields(id, set) {
+        const entry = this.data.entries.find(candidate => candidate._id === String(id));
+        if (!entry) return null;
+        Object.assign(entry, set);
+        await this.persist();
+        return structuredClone(entry);
+    }
+
+    async nextSyncSeq(userId) {
+        this.data.counters[userId] = (this.data.counters[userId] || 0) + 1;
+        await this.persist();
+        return this.data.counters[userId];
+    }
+
+    async listEntryIdsWithoutSyncSeq(userId) {
+        return this.data.entries
+            .filter(entry => entry.userId === userId && entry.syncSeq === undefined)
+            .map(entry => entry._id);
+    }
+
+    async listChangesSince(userId, cursor, limit) {
+        return this.data.entries
+            .filter(entry => entry.userId === userId && entry.syncSeq > cursor)
+            .sort((a, b) => a.syncSeq - b.syncSeq)
+            .slice(0, limit)
+            .map(entry => structuredClone(entry));
+    }
+
+    async aggregateDays(userId, { cutoff, fromKey, timezone, limit }) {
+        const groups = new Map();
+
+        this.data.entries
+            .filter(entry => entry.userId === userId && !entry.deleted && entry.date >= cutoff)
+            // Erfassungsreihenfolge für "latest"/"mode" - wie der $sort der Mongo-Pipeline
+            .sort((a, b) => (a.createdAt - b.createdAt) || (a._id < b._id ? -1 : 1))
+            .forEach(entry => {
+                const dayKey = getEntryDayKey(entry.date, timezone);
+                if (dayKey < fromKey) return;
+                if (!groups.has(dayKey)) groups.set(dayKey, { _id: dayKey, date: entry.date, entries: [] });
+                groups.get(dayKey).entries.push(MetricRegistry.METRIC_KEYS.reduce((fields, key) => ({ ...fields, [key]: entry[key] }), {
+                    custom: entry.custom,
+                    loggedAt: entry.loggedAt,
+                    createdAt: entry.createdAt,
+                    clientUpdatedAt: entry.clientUpdatedAt
+                }));
+            });
+
+        return [...groups.values()]
+            .sort((a, b) => (a._id < b._id ? 1 : -1))
+            .slice(0, limit)
+            .map(day => structuredClone(day));
+    }
+}
+
+module.exports = { MemoryDatastore, createObjectId };
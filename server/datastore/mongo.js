@@ -0,0 +1,680 @@
+// server/datastore/mongo.js - MongoDB-Implementierung des Datastores
+
+const mongoose = require('mongoose');
+const MetricRegistry = require('../../public/js/metric-registry');
+const { isOnDay } = require('../lib/timezone');
+
+const DB_NAME = 'health-tracker';
+
+// VERBESSERTE SCHEMAS mit Index-Optimierung
+const healthDataSchema = new mongoose.Schema({
+    userId: { type: String, required: true, index: true },
+    date: { type: Date, required: true, index: true },
+    loggedAt: Date, // Zeitpunkt des Ereignisses - mehrere Einträge pro Tag (z.B. je Glas Wasser)
+    weight: { type: Number, min: 0 },
+    steps: { type: Number, min: 0 },
+    waterIntake: { type: Number, min: 0 },
+    sleepHours: { type: Number, min: 0, max: 24 },
+    mood: {
+        type: String,
+        enum: ['excellent', 'good', 'neutral', 'bad', 'terrible']
+    },
+    notes: String,
+    // Kreislauf - mehrere Messungen pro Tag als eigene Einträge mit Uhrzeit
+    systolic: { type: Number, min: 0 },
+    diastolic: { type: Number, min: 0 },
+    restingHeartRate: { type: Number, min: 0 },
+    readingTime: String, // HH:MM
+    // Ernährung - ein Eintrag pro Mahlzeit, Summen aus foods (Nährwerte der gegessenen Menge)
+    mealType: { type: String, enum: ['breakfast', 'lunch', 'dinner', 'snack'] },
+    foods: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    calories: { type: Number, min: 0 },
+    protein: { type: Number, min: 0 },
+    carbs: { type: Number, min: 0 },
+    fat: { type: Number, min: 0 },
+    // Körpermaße (cm) und Körperfettanteil (%)
+    waist: { type: Number, min: 0 },
+    hip: { type: Number, min: 0 },
+    chest: { type: Number, min: 0 },
+    arm: { type: Number, min: 0 },
+    thigh: { type: Number, min: 0 },
+    bodyFat: { type: Number, min: 0, max: 100 },
+    // Schlafdetails - sleepHours wird aus bedtime/wakeTime berechnet
+    bedtime: String, // HH:MM, ggf. am Vortag
+    wakeTime: String,
+    sleepQuality: { type: Number, min: 1, max: 5 },
+    awakenings: { type: Number, min: 0 },
+    // Blutzucker (mg/dL) mit Messzeitpunkt
+    glucose: { type: Number, min: 0 },
+    glucoseContext: { type: String, enum: ['fasting', 'beforeMeal', 'afterMeal', 'bedtime', 'other'] },
+    // Werte eigener Metriken { [key]: number } - Definitionen in metric_definitions
+    custom: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // NEUE FELDER für bessere Client-Integration
+    _localId: String, // Für Offline-Sync
+    _synced: { type: Boolean, default: true },
+    submissionId: String, // Duplicate Prevention
+    // DELTA SYNC - Version pro Datensatz, Sequenz pro User als Cursor
+    version: { type: Number, default: 1 },
+    syncSeq: { type: Number, index: true },
+    clientUpdatedAt: Date, // Zeitpunkt der Änderung auf dem Gerät (Konfliktauflösung)
+    lastModifiedBy: String, // deviceId
+    deleted: { type: Boolean, default: false }, // Tombstone, damit andere Geräte Löschungen sehen
+    deletedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// Compound Index für Performance
+healthDataSchema.index({ userId: 1, date: -1 });
+healthDataSchema.index({ userId: 1, createdAt: -1 });
+healthDataSchema.index({ userId: 1, syncSeq: 1 });
+healthDataSchema.index({ userId: 1, _localId: 1 });
+
+const goalsSchema = new mongoose.Schema({
+    userId: { type: String, required: true, unique: true },
+    weightGoal: { type: Number, min: 0 },
+    stepsGoal: { type: Number, min: 0, default: 10000 },
+    waterGoal: { type: Number, min: 0, default: 2.0 },
+    sleepGoal: { type: Number, min: 0, max: 24, default: 8 },
+    calorieGoal: { type: Number, min: 0 },
+    activeMinutesGoal: { type: Number, min: 0, default: 150 },
+    waistGoal: { type: Number, min: 0 },
+    bodyFatGoal: { type: Number, min: 0, max: 100 },
+    height: { type: Number, min: 0 }, // cm - für den BMI
+    bedtimeGoal: String, // HH:MM - Schlafenserinnerung 30 Minuten vorher
+    glucoseUnit: { type: String, enum: ['mg/dL', 'mmol/L'], default: 'mg/dL' },
+    glucoseTargetLow: { type: Number, min: 0 }, // mg/dL
+    glucoseTargetHigh: { type: Number, min: 0 },
+    customGoals: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+// EIGENE METRIKEN - Definition pro User, Werte landen in healthData.custom[key]
+const metricDefinitionSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    key: { type: String, required: true },
+    name: { type: String, required: true },
+    unit: String,
+    type: { type: String, enum: ['number', 'integer'], default: 'number' },
+    aggregation: { type: String, enum: ['sum', 'max', 'min', 'latest', 'average'], default: 'sum' },
+    goalDirection: { type: String, enum: ['increase', 'decrease', 'none'], default: 'increase' },
+    min: Number,
+    max: Number,
+    decimals: Number,
+    order: { type: Number, default: 0 },
+    // Gelöschte Definitionen bleiben archiviert, damit historische Werte lesbar bleiben
+    archived: { type: Boolean, default: false },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+metricDefinitionSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+// EIGENE LEBENSMITTEL UND REZEPTE - id vom Client erzeugt, Nährwerte je 100 g
+const userFoodSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    id: { type: String, required: true },
+    kind: { type: String, enum: ['food', 'recipe'], default: 'food' },
+    name: { type: String, required: true },
+    calories: { type: Number, min: 0, required: true },
+    protein: Number,
+    carbs: Number,
+    fat: Number,
+    servingLabel: String,
+    servingGrams: Number,
+    ingredients: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    servings: Number,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+userFoodSchema.index({ userId: 1, id: 1 }, { unique: true });
+
+// Trainingseinheiten - date ist der lokale Tag (YYYY-MM-DD) des Geräts, keine Zeitzonen-Umrechnung
+const workoutSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    id: { type: String, required: true },
+    date: { type: String, required: true },
+    startTime: String, // HH:MM
+    type: {
+        type: String,
+        enum: ['running', 'walking', 'cycling', 'swimming', 'strength', 'hiit', 'yoga', 'other'],
+        required: true
+    },
+    durationMinutes: { type: Number, min: 1, required: true },
+    distanceKm: { type: Number, min: 0 },
+    rpe: { type: Number, min: 1, max: 10 },
+    sets: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+    notes: String,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+workoutSchema.index({ userId: 1, id: 1 }, { unique: true });
+workoutSchema.index({ userId: 1, date: -1 });
+
+// Medikamente mit Zeitplan - archiviert statt gelöscht, damit die Adhärenz vergangener Wochen stimmt
+const medicationSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    id: { type: String, required: true },
+    name: { type: String, required: true },
+    dose: String,
+    kind: { type: String, enum: ['medication', 'supplement'], default: 'medication' },
+    scheduleType: { type: String, enum: ['times', 'interval', 'weekdays'], required: true },
+    times: { type: [String], default: undefined }, // HH:MM
+    intervalHours: Number,
+    weekdays: { type: [Number], default: undefined }, // 1 = Mo ... 7 = So
+    startDate: String, // YYYY-MM-DD
+    endDate: String,
+    remindersEnabled: { type: Boolean, default: true },
+    archived: { type: Boolean, default: false },
+    notes: String,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+medicationSchema.index({ userId: 1, id: 1 }, { unique: true });
+
+// Erfasste Dosen - Name und Dosis als Momentaufnahme
+const medicationLogSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    id: { type: String, required: true },
+    medicationId: { type: String, required: true },
+    date: { type: String, required: true },
+    time: { type: String, required: true },
+    status: { type: String, enum: ['taken', 'skipped'], required: true },
+    name: { type: String, required: true },
+    dose: String,
+    loggedAt: Date,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+medicationLogSchema.index({ userId: 1, id: 1 }, { unique: true });
+medicationLogSchema.index({ userId: 1, date: -1 });
+
+// Perioden - Zyklustag, Phasen und Vorhersage berechnet CycleTracker aus allen Perioden des Users
+const periodSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    id: { type: String, required: true },
+    startDate: { type: String, required: true }, // YYYY-MM-DD
+    endDate: String, // leer, solange die Periode andauert
+    flow: { type: String, enum: ['spotting', 'light', 'medium', 'heavy'] },
+    symptoms: { type: [String], default: undefined },
+    notes: String,
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+periodSchema.index({ userId: 1, id: 1 }, { unique: true });
+periodSchema.index({ userId: 1, startDate: -1 });
+
+// Monotone Änderungs-Sequenz pro User - Grundlage für Sync-Cursor
+const syncCounterSchema = new mongoose.Schema({
+    userId: { type: String, required: true, unique: true },
+    seq: { type: Number, default: 0 }
+});
+
+// USER ACCOUNTS - Passwörter nur als bcrypt-Hash
+const userSchema = new mongoose.Schema({
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    passwordHash: { type: String, required: true },
+    displayName: String,
+    // IANA-Zeitzone für Tagesgrenzen (Aggregation, Duplikate) - X-Timezone-Header hat Vorrang
+    timezone: { type: String, default: 'UTC' },
+    // Erhöhen invalidiert alle ausgestellten Refresh-Tokens
+    tokenVersion: { type: Number, default: 0 },
+    lastLoginAt: Date,
+    createdAt: { type: Date, default: Date.now }
+});
+
+const SyncCounter = mongoose.models.SyncCounter ||
+    mongoose.model('SyncCounter', syncCounterSchema, 'sync_counters');
+
+const User = mongoose.models.User ||
+    mongoose.model('User', userSchema, 'users');
+
+const HealthData = mongoose.models.HealthData ||
+    mongoose.model('HealthData', healthDataSchema, 'healthdatas');
+
+const Goals = mongoose.models.Goals ||
+    mongoose.model('Goals', goalsSchema, 'goals');
+
+const MetricDefinition = mongoose.models.MetricDefinition ||
+    mongoose.model('MetricDefinition', metricDefinitionSchema, 'metric_definitions');
+
+const UserFood = mongoose.models.UserFood ||
+    mongoose.model('UserFood', userFoodSchema, 'user_foods');
+
+const Workout = mongoose.models.Workout ||
+    mongoose.model('Workout', workoutSchema, 'workouts');
+
+const Medication = mongoose.models.Medication ||
+    mongoose.model('Medication', medicationSchema, 'medications');
+
+const MedicationLog = mongoose.models.MedicationLog ||
+    mongoose.model('MedicationLog', medicationLogSchema, 'medication_logs');
+
+const Period = mongoose.models.Period ||
+    mongoose.model('Period', periodSchema, 'periods');
+
+/**
+ * Aggregations-Ausdruck für den Tag eines Eintrags (siehe toCalendarDay)
+ */
+function dayKeyExpression(timezone) {
+    return {
+        $cond: [
+            { $eq: [{ $dateToString: { format: '%H:%M:%S.%L', date: '$date' } }, '00:00:00.000'] },
+            { $dateToString: { format: '%Y-%m-%d', date: '$date' } },
+            { $dateToString: { format: '%Y-%m-%d', date: '$date', timezone } }
+        ]
+    };
+}
+
+class MongoDatastore {
+    constructor(options = {}) {
+        this.type = 'mongo';
+        this.uri = options.uri;
+        this.connection = null;
+    }
+
+    async connect() {
+        if (this.connection) {
+            console.log('✅ Using cached MongoDB connection');
+            return this.connection;
+        }
+
+        try {
+            console.log('🔄 Connecting to MongoDB...');
+            this.connection = await mongoose.connect(this.uri, {
+                serverSelectionTimeoutMS: 5000,
+                socketTimeoutMS: 45000,
+                dbName: DB_NAME,
+                bufferCommands: false,
+                maxPoolSize: 10
+            });
+            console.log(`✅ MongoDB connected to database: ${DB_NAME}`);
+            return this.connection;
+        } catch (error) {
+            console.error('❌ MongoDB connection error:', error.message);
+            throw error;
+        }
+    }
+
+    isValidId(id) {
+        return typeof id === 'string' && /^[0-9a-f]{24}$/i.test(id);
+    }
+
+    async getStatus() {
+        await this.connect();
+        const dbStats = await mongoose.connection.db.stats();
+        return {
+            type: this.type,
+            connected: mongoose.connection.readyState === 1,
+            name: DB_NAME,
+            collections: dbStats.collections || 0,
+            dataSize: `${Math.round(dbStats.dataSize / 1024)}KB`
+        };
+    }
+
+    async getDiagnostics() {
+        const collections = await mongoose.connection.db.listCollections().toArray();
+        const healthDataCount = await HealthData.countDocuments();
+        const goalsCount = await Goals.countDocuments();
+
+        // Beispiel-Abfrage für Performance-Test
+        const sampleData = await HealthData.findOne().lean();
+
+        return {
+            database: DB_NAME,
+            connection: {
+                state: mongoose.connection.readyState,
+                host: mongoose.connection.host,
+                port: mongoose.connection.port
+            },
+            collections: collections.map(c => ({
+                name: c.name,
+                type: c.type
+            })),
+            statistics: {
+                healthDataEntries: healthDataCount,
+                goalEntries: goalsCount,
+                totalDocuments: healthDataCount + goalsCount
+            },
+            sampleDataExists: !!sampleData
+        };
+    }
+
+    // ====================================================================
+    // USERS
+    // ====================================================================
+
+    findUserByEmail(email) {
+        return User.findOne({ email }).lean();
+    }
+
+    findUserById(id) {
+        return this.isValidId(id) ? User.findById(id).lean() : null;
+    }
+
+    async createUser(data) {
+        return (await User.create(data)).toObject();
+    }
+
+    updateUser(id, set) {
+        return User.findByIdAndUpdate(id, { $set: set }, { new: true, runValidators: true }).lean();
+    }
+
+    // ====================================================================
+    // GOALS
+    // ====================================================================
+
+    findGoals(userId) {
+        return Goals.findOne({ userId }).lean();
+    }
+
+    saveGoals(userId, data) {
+        return Goals.findOneAndUpdate(
+            { userId },
+            { ...data, userId },
+            { upsert: true, new: true, runValidators: true }
+        ).lean();
+    }
+
+    // ====================================================================
+    // METRIC DEFINITIONS
+    // ====================================================================
+
+    listMetricDefinitions(userId) {
+        return MetricDefinition.find({ userId }).sort({ order: 1, createdAt: 1 }).lean();
+    }
+
+    saveMetricDefinition(userId, key, set) {
+        return MetricDefinition.findOneAndUpdate(
+            { userId, key },
+            { $set: { ...set, userId, key } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+        ).lean();
+    }
+
+    // ====================================================================
+    // USER FOODS
+    // ====================================================================
+
+    listFoods(userId) {
+        return UserFood.find({ userId }, { userId: 0, __v: 0 }).sort({ name: 1 }).lean();
+    }
+
+    saveFood(userId, id, set) {
+        return UserFood.findOneAndUpdate(
+            { userId, id },
+            { $set: { ...set, userId, id } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, projection: { userId: 0, __v: 0 } }
+        ).lean();
+    }
+
+    async deleteFood(userId, id) {
+        const result = await UserFood.deleteOne({ userId, id });
+        return result.deletedCount > 0;
+    }
+
+    // ====================================================================
+    // WORKOUTS
+    // ====================================================================
+
+    listWorkouts(userId, query = {}) {
+        const filter = { userId };
+        if (query.from || query.to) {
+            filter.date = {};
+            if (query.from) filter.date.$gte = query.from;
+            if (query.to) filter.date.$lte = query.to;
+        }
+        return Workout.find(filter, { userId: 0, __v: 0 })
+            .sort({ date: -1, startTime: -1, createdAt: -1 })
+            .limit(query.limit || 0)
+            .lean();
+    }
+
+    findWorkout(userId, id) {
+        return Workout.findOne({ userId, id }, { userId: 0, __v: 0 }).lean();
+    }
+
+    saveWorkout(userId, id, set) {
+        return Workout.findOneAndUpdate(
+            { userId, id },
+            { $set: { ...set, userId, id } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, projection: { userId: 0, __v: 0 } }
+        ).lean();
+    }
+
+    async deleteWorkout(userId, id) {
+        const result = await Workout.deleteOne({ userId, id });
+        return result.deletedCount > 0;
+    }
+
+    // ====================================================================
+    // MEDICATIONS
+    // ====================================================================
+
+    listMedications(userId) {
+        return Medication.find({ userId }, { userId: 0, __v: 0 }).sort({ name: 1 }).lean();
+    }
+
+    findMedication(userId, id) {
+        return Medication.findOne({ userId, id }, { userId: 0, __v: 0 }).lean();
+    }
+
+    saveMedication(userId, id, set) {
+        return Medication.findOneAndUpdate(
+            { userId, id },
+            { $set: { ...set, userId, id } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, projection: { userId: 0, __v: 0 } }
+        ).lean();
+    }
+
+    listMedicationLogs(userId, query = {}) {
+        const filter = { userId };
+        if (query.from || query.to) {
+            filter.date = {};
+            if (query.from) filter.date.$gte = query.from;
+            if (query.to) filter.date.$lte = query.to;
+        }
+        return MedicationLog.find(filter, { userId: 0, __v: 0 })
+            .sort({ date: -1, time: -1 })
+            .limit(query.limit || 0)
+            .lean();
+    }
+
+    findMedicationLog(userId, id) {
+        return MedicationLog.findOne({ userId, id }, { userId: 0, __v: 0 }).lean();
+    }
+
+    saveMedicationLog(userId, id, set) {
+        return MedicationLog.findOneAndUpdate(
+            { userId, id },
+            { $set: { ...set, userId, id } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, projection: { userId: 0, __v: 0 } }
+        ).lean();
+    }
+
+    async deleteMedicationLog(userId, id) {
+        const result = await MedicationLog.deleteOne({ userId, id });
+        return result.deletedCount > 0;
+    }
+
+    // ====================================================================
+    // PERIODS
+    // ====================================================================
+
+    listPeriods(userId, query = {}) {
+        const filter = { userId };
+        if (query.from || query.to) {
+            filter.startDate = {};
+            if (query.from) filter.startDate.$gte = query.from;
+            if (query.to) filter.startDate.$lte = query.to;
+        }
+        return Period.find(filter, { userId: 0, __v: 0 })
+            .sort({ startDate: -1 })
+            .limit(query.limit || 0)
+            .lean();
+    }
+
+    findPeriod(userId, id) {
+        return Period.findOne({ userId, id }, { userId: 0, __v: 0 }).lean();
+    }
+
+    savePeriod(userId, id, set) {
+        return Period.findOneAndUpdate(
+            { userId, id },
+            { $set: { ...set, userId, id } },
+            { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true, projection: { userId: 0, __v: 0 } }
+        ).lean();
+    }
+
+    async deletePeriod(userId, id) {
+        const result = await Period.deleteOne({ userId, id });
+        return result.deletedCount > 0;
+    }
+
+    // ====================================================================
+    // HEALTH ENTRIES
+    // ====================================================================
+
+    /**
+     * Query für einen einzelnen Eintrag - akzeptiert Mongo-ID oder Client-_localId
+     */
+    buildEntryQuery(entryId, userId) {
+        if (mongoose.Types.ObjectId.isValid(entryId)) {
+            return { userId, $or: [{ _id: entryId }, { _localId: entryId }] };
+        }
+        return { userId, _localId: entryId };
+    }
+
+    listEntries(userId, query = {}) {
+        const filter = { userId, deleted: { $ne: true } };
+        const dateFilter = {};
+        if (query.from) dateFilter.$gte = query.from;
+        if (query.to) dateFilter[query.toExclusive ? '$lt' : '$lte'] = query.to;
+        if (Object.keys(dateFilter).length > 0) filter.date = dateFilter;
+
+        const conditions = [];
+        if (query.metrics && query.metrics.length > 0) {
+            // Nur Einträge, die mindestens eine der Metriken enthalten
+            conditions.push({ $or: query.metrics.map(metric => ({ [metric]: { $ne: null } })) });
+        }
+        if (query.before) {
+            const beforeId = new mongoose.Types.ObjectId(query.before.id);
+            conditions.push({
+                $or: [
+                    { date: { $lt: query.before.date } },
+                    { date: query.before.date, _id: { $lt: beforeId } }
+                ]
+            });
+        }
+        if (conditions.length > 0) filter.$and = conditions;
+
+        let dbQuery = HealthData.find(filter).sort({ date: -1, _id: -1 });
+        if (query.limit) dbQuery = dbQuery.limit(query.limit);
+        if (query.fields) {
+            // _id und date werden für Cursor und Zuordnung immer geliefert
+            dbQuery = dbQuery.select(['_id', 'date', ...query.fields].reduce((result, field) => ({ ...result, [field]: 1 }), {}));
+        }
+        return dbQuery.lean();
+    }
+
+    async findEntriesOnDay(userId, range) {
+        const entries = await HealthData.find({
+            userId,
+            deleted: { $ne: true },
+            $or: [
+                { date: range.day },
+                { date: { $gte: range.start, $lt: range.end } }
+            ]
+        }).lean();
+        // Das Zeitfenster kann die Mitternacht eines Nachbartags enthalten - siehe isOnDay
+        return entries.filter(entry => isOnDay(entry.date, range));
+    }
+
+    async createEntry(data) {
+        return (await new HealthData(data).save()).toObject();
+    }
+
+    updateEntry(userId, entryId, set) {
+        return HealthData.findOneAndUpdate(
+            { ...this.buildEntryQuery(entryId, userId), deleted: { $ne: true } },
+            { $set: set, $inc: { version: 1 } },
+            { new: true, runValidators: true }
+        ).lean();
+    }
+
+    findSyncTarget(userId, { serverId, localId }) {
+        const idQuery = [];
+        if (serverId && mongoose.Types.ObjectId.isValid(serverId)) idQuery.push({ _id: serverId });
+        if (localId) idQuery.push({ _localId: localId });
+        return idQuery.length ? HealthData.findOne({ userId, $or: idQuery }).lean() : null;
+    }
+
+    setEntryFields(id, set) {
+        return HealthData.findByIdAndUpdate(id, { $set: set }, { new: true, runValidators: true }).lean();
+    }
+
+    async nextSyncSeq(userId) {
+        const counter = await SyncCounter.findOneAndUpdate(
+            { userId },
+            { $inc: { seq: 1 } },
+            { new: true, upsert: true }
+        ).lean();
+        return counter.seq;
+    }
+
+    async listEntryIdsWithoutSyncSeq(userId) {
+        const entries = await HealthData.find({ userId, syncSeq: { $exists: false } })
+            .select('_id')
+            .lean();
+        return entries.map(entry => entry._id);
+    }
+
+    listChangesSince(userId, cursor, limit) {
+        return HealthData.find({
+            userId,
+            syncSeq: { $gt: cursor }
+        })
+        .sort({ syncSeq: 1 })
+        .limit(limit)
+        .lean();
+    }
+
+    aggregateDays(userId, { cutoff, fromKey, timezone, limit }) {
+        return HealthData.aggregate([
+            {
+                $match: {
+                    userId: userId,
+                    deleted: { $ne: true },
+                    date: { $gte: cutoff }
+                }
+            },
+            // Erfassungsreihenfolge für "latest"/"mode" - Aggregation selbst über die MetricRegistry
+            { $sort: { createdAt: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: dayKeyExpression(timezone),
+                    date: { $first: "$date" },
+                    entries: {
+                        $push: MetricRegistry.METRIC_KEYS.reduce((fields, key) => ({ ...fields, [key]: `$${key}` }), {
+                            custom: "$custom",
+                            loggedAt: "$loggedAt",
+                            createdAt: "$createdAt",
+                            clientUpdatedAt: "$clientUpdatedAt"
+                        })
+                    }
+                }
+            },
+            { $match: { _id: { $gte: fromKey } } },
+            { $sort: { "_id": -1 } },
+            { $limit: limit }
+        ]);
+    }
+}
+
+module.exports = { MongoDatastore };
@@ -0,0 +1,91 @@
+// server/lib/auth.js - JWT-Tokens und Bearer-Authentifizierung
+
+const jwt = require('jsonwebtoken');
+
+// AUTH KONFIGURATION
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL = '30d';
+const BCRYPT_ROUNDS = 10;
+
+function getJwtSecret() {
+    if (!process.env.JWT_SECRET) {
+        const error = new Error('JWT_SECRET is not configured');
+        error.code = 'AUTH_NOT_CONFIGURED';
+        throw error;
+    }
+    return process.env.JWT_SECRET;
+}
+
+function issueTokens(user) {
+    const secret = getJwtSecret();
+    const userId = user._id.toString();
+
+    const accessToken = jwt.sign(
+        { sub: userId, email: user.email, type: 'access' },
+        secret,
+        { expiresIn: ACCESS_TOKEN_TTL }
+    );
+    const refreshToken = jwt.sign(
+        { sub: userId, type: 'refresh', ver: user.tokenVersion || 0 },
+        secret,
+        { expiresIn: REFRESH_TOKEN_TTL }
+    );
+
+    return {
+        accessToken,
+        refreshToken,
+        expiresIn: 15 * 60,
+        user: {
+            id: userId,
+            email: user.email,
+            displayName: user.displayName || null,
+            timezone: user.timezone || 'UTC'
+        }
+    };
+}
+
+/**
+ * Refresh-Token prüfen - liefert den Payload oder null
+ */
+function verifyRefreshToken(token) {
+    try {
+        const payload = jwt.verify(token, getJwtSecret());
+        return payload.type === 'refresh' ? payload : null;
+    } catch (error) {
+        if (error.code === 'AUTH_NOT_CONFIGURED') throw error;
+        return null;
+    }
+}
+
+/**
+ * Liest den Bearer-Token aus den Request-Headern und liefert { userId } oder einen Fehlercode
+ */
+function authenticate(headers = {}) {
+    const authHeader = headers.authorization || headers.Authorization || '';
+    const match = authHeader.match(/^Bearer\s+(.+)$/i);
+
+    if (!match) {
+        return { error: 'AUTH_REQUIRED', message: 'Authorization header with Bearer token is required' };
+    }
+
+    try {
+        const payload = jwt.verify(match[1], getJwtSecret());
+        if (payload.type !== 'access') {
+            return { error: 'INVALID_TOKEN', message: 'Access token required' };
+        }
+        return { userId: payload.sub, email: payload.email };
+    } catch (error) {
+        if (error.code === 'AUTH_NOT_CONFIGURED') throw error;
+        if (error.name === 'TokenExpiredError') {
+            return { error: 'TOKEN_EXPIRED', message: 'Access token expired' };
+        }
+        return { error: 'INVALID_TOKEN', message: 'Invalid access token' };
+    }
+}
+
+module.exports = {
+    BCRYPT_ROUNDS,
+    issueTokens,
+    verifyRefreshToken,
+    authenticate
+};
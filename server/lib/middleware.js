@@ -0,0 +1,57 @@
+// server/lib/middleware.js - Gemeinsame Express-Middleware der API
+
+const { authenticate } = require('./auth');
+const { isValidTimezone } = require('./timezone');
+
+/**
+ * Nur authentifizierte Requests - setzt req.auth = { userId, email }
+ */
+function requireAuth(req, res, next) {
+    const auth = authenticate(req.headers);
+    if (auth.error) {
+        return res.status(401).json({
+            error: auth.message,
+            code: auth.error
+        });
+    }
+    req.auth = auth;
+    next();
+}
+
+/**
+ * Zeitzone pro Request (X-Timezone oder ?tz) oder aus dem Profil - req.getTimezone()
+ */
+function resolveTimezone(datastore) {
+    return (req, res, next) => {
+        const requestedTimezone = req.get('x-timezone') || req.query?.tz;
+        if (requestedTimezone && !isValidTimezone(requestedTimezone)) {
+            return res.status(400).json({
+                error: 'Unknown IANA timezone',
+                code: 'INVALID_TIMEZONE',
+                message: `"${requestedTimezone}" is not a valid IANA timezone`
+            });
+        }
+        req.getTimezone = async () => requestedTimezone ||
+            (await datastore.findUserById(req.auth.userId))?.timezone || 'UTC';
+        next();
+    };
+}
+
+/**
+ * Pfad-userId muss zum Token passen - niemals fremde Daten ausliefern
+ */
+function requireOwnUser(req, res, next) {
+    if (req.params.userId !== req.auth.userId) {
+        return res.status(403).json({
+            error: 'Access to another user\'s data is not allowed',
+            code: 'FORBIDDEN'
+        });
+    }
+    next();
+}
+
+module.exports = {
+    requireAuth,
+    resolveTimezone,
+    requireOwnUser
+};
@@ -0,0 +1,120 @@
+// server/lib/timezone.js - Kalendertage in der Zeitzone des Users
+//
+// "date" eines Eintrags ist ein Kalendertag und wird als UTC-Mitternacht gespeichert.
+// Zeitstempel (z.B. Altdaten mit new Date()) werden in der Zeitzone des Users einem Tag zugeordnet.
+
+function isValidTimezone(timezone) {
+    if (typeof timezone !== 'string' || !timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * "YYYY-MM-DD" eines Zeitpunkts in der angegebenen Zeitzone
+ */
+function getDayKey(date, timezone) {
+    return new Intl.DateTimeFormat('en-CA', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit'
+    }).format(date);
+}
+
+function isUtcMidnight(date) {
+    return date.getUTCHours() === 0 && date.getUTCMinutes() === 0 &&
+        date.getUTCSeconds() === 0 && date.getUTCMilliseconds() === 0;
+}
+
+/**
+ * Datum aus dem Request als Kalendertag (UTC-Mitternacht) - null bei ungültiger Eingabe
+ */
+function toCalendarDay(value, timezone) {
+    if (value === undefined || value === null || value === '') {
+        return new Date(`${getDayKey(new Date(), timezone)}T00:00:00.000Z`);
+    }
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        const day = new Date(`${value}T00:00:00.000Z`);
+        return isNaN(day.getTime()) ? null : day;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) return null;
+    if (isUtcMidnight(date)) return date;
+    return new Date(`${getDayKey(date, timezone)}T00:00:00.000Z`);
+}
+
+/**
+ * Tag eines gespeicherten Eintrags (siehe toCalendarDay)
+ */
+function getEntryDayKey(date, timezone) {
+    const value = new Date(date);
+    return isUtcMidnight(value) ? value.toISOString().split('T')[0] : getDayKey(value, timezone);
+}
+
+function getTimezoneOffsetMs(date, timezone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date);
+    const value = Object.fromEntries(parts.map(part => [part.type, Number(part.value)]));
+    const asUtc = Date.UTC(value.year, value.month - 1, value.day, value.hour, value.minute, value.second);
+    return asUtc - (date.getTime() - date.getMilliseconds());
+}
+
+/**
+ * Beginn des Kalendertags in der Zeitzone als echter Zeitpunkt (DST-sicher)
+ */
+function getZonedDayStart(dayKey, timezone) {
+    const utcMidnight = Date.parse(`${dayKey}T00:00:00.000Z`);
+    const firstGuess = utcMidnight - getTimezoneOffsetMs(new Date(utcMidnight), timezone);
+    return new Date(utcMidnight - getTimezoneOffsetMs(new Date(firstGuess), timezone));
+}
+
+function shiftDayKey(dayKey, days) {
+    const date = new Date(`${dayKey}T00:00:00.000Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Alle Einträge eines Kalendertags: exakt der Tag oder - für Altdaten mit
+ * Zeitstempel - ein Zeitpunkt innerhalb des Tages in der Zeitzone
+ * @returns {{ day: Date, start: Date, end: Date }}
+ */
+function getDayRange(day, timezone) {
+    const dayKey = day.toISOString().split('T')[0];
+    return {
+        day,
+        start: getZonedDayStart(dayKey, timezone),
+        end: getZonedDayStart(shiftDayKey(dayKey, 1), timezone)
+    };
+}
+
+/**
+ * Liegt ein gespeichertes Datum auf dem Tag aus getDayRange? Kalendertage (UTC-Mitternacht) nur bei
+ * exakt gleichem Tag - westlich von UTC enthält das Zeitfenster sonst die Mitternacht des Folgetags
+ */
+function isOnDay(date, range) {
+    const value = new Date(date);
+    if (isUtcMidnight(value)) return value.getTime() === range.day.getTime();
+    return value >= range.start && value < range.end;
+}
+
+module.exports = {
+    isValidTimezone,
+    getDayKey,
+    isUtcMidnight,
+    toCalendarDay,
+    getEntryDayKey,
+    getZonedDayStart,
+    shiftDayKey,
+    getDayRange,
+    isOnDay
+};
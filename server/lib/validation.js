@@ -0,0 +1,55 @@
+// server/lib/validation.js - Request-Validierung mit dem gemeinsamen HealthSchema
+
+const HealthSchema = require('../../public/js/health-schema');
+
+/**
+ * Fehlerliste des HealthSchema in eine API-Antwort übersetzen
+ * @returns {{ value: Object } | { statusCode: number, error: Object }}
+ */
+function toValidationResult(result) {
+    if (result.valid) return { value: result.value };
+    return {
+        statusCode: HealthSchema.statusFor(result.errors),
+        error: {
+            error: 'Validation failed',
+            code: 'VALIDATION_ERROR',
+            message: result.errors[0].message,
+            errors: result.errors
+        }
+    };
+}
+
+/**
+ * Geparsten Body gegen ein Schema prüfen - kaputtes JSON fängt bereits die
+ * Fehler-Middleware ab (400 INVALID_JSON), ein leerer Body gilt als {}
+ */
+function validateBody(body, schemaName, options = {}) {
+    return toValidationResult(HealthSchema.validate(schemaName, body ?? {}, options));
+}
+
+function validateQuery(query, schemaName) {
+    return toValidationResult(HealthSchema.validate(schemaName, { ...query }, { coerce: true }));
+}
+
+/**
+ * Werte eigener Metriken (z.B. body.custom) gegen die Definitionen des Users prüfen
+ * @param {string} prefix - Feldpfad in Fehlermeldungen, z.B. "custom."
+ */
+function validateCustom(values, definitions, prefix = 'custom.') {
+    return toValidationResult(HealthSchema.validateCustomValues(values, definitions, { prefix }));
+}
+
+/**
+ * Validierungsfehler als Antwort senden
+ */
+function sendInvalid(res, result) {
+    return res.status(result.statusCode).json(result.error);
+}
+
+module.exports = {
+    toValidationResult,
+    validateBody,
+    validateQuery,
+    validateCustom,
+    sendInvalid
+};
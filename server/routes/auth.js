@@ -0,0 +1,136 @@
+// server/routes/auth.js - Registrierung, Login, Token-Erneuerung und Profil
+
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { BCRYPT_ROUNDS, issueTokens, verifyRefreshToken } = require('../lib/auth');
+const { validateBody, sendInvalid } = require('../lib/validation');
+
+/**
+ * AUTH ROUTES - ohne Token erreichbar
+ */
+function createAuthRouter({ datastore }) {
+    const router = express.Router();
+
+    router.post('/auth/register', async (req, res) => {
+        const request = validateBody(req.body, 'register');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const email = body.email;
+
+        const existingUser = await datastore.findUserByEmail(email);
+        if (existingUser) {
+            return res.status(409).json({
+                error: 'An account with this email already exists',
+                code: 'EMAIL_TAKEN'
+            });
+        }
+
+        const user = await datastore.createUser({
+            email,
+            passwordHash: await bcrypt.hash(body.password, BCRYPT_ROUNDS),
+            displayName: body.displayName?.trim() || null,
+            timezone: body.timezone ?? 'UTC',
+            lastLoginAt: new Date()
+        });
+
+        console.log('✅ User registered:', user._id);
+        res.status(201).json({
+            success: true,
+            ...issueTokens(user)
+        });
+    });
+
+    router.post('/auth/login', async (req, res) => {
+        const request = validateBody(req.body, 'login');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const email = body.email.trim().toLowerCase();
+
+        const user = await datastore.findUserByEmail(email);
+        const passwordMatches = user
+            ? await bcrypt.compare(body.password, user.passwordHash)
+            : false;
+
+        if (!passwordMatches) {
+            return res.status(401).json({
+                error: 'Invalid email or password',
+                code: 'INVALID_CREDENTIALS'
+            });
+        }
+
+        const updates = { lastLoginAt: new Date() };
+        if (body.timezone) updates.timezone = body.timezone;
+        const updatedUser = await datastore.updateUser(user._id, updates);
+
+        console.log('✅ User logged in:', user._id);
+        res.json({
+            success: true,
+            ...issueTokens(updatedUser)
+        });
+    });
+
+    router.post('/auth/refresh', async (req, res) => {
+        const request = validateBody(req.body, 'refresh');
+        if (request.error) return sendInvalid(res, request);
+
+        const payload = verifyRefreshToken(request.value.refreshToken);
+        const user = payload ? await datastore.findUserById(payload.sub) : null;
+
+        if (!user || (user.tokenVersion || 0) !== payload.ver) {
+            return res.status(401).json({
+                error: 'Refresh token is invalid or expired',
+                code: 'INVALID_REFRESH_TOKEN'
+            });
+        }
+
+        res.json({
+            success: true,
+            ...issueTokens(user)
+        });
+    });
+
+    return router;
+}
+
+/**
+ * PROFIL - Zeitzone und Anzeigename (authentifiziert)
+ */
+function createProfileRouter({ datastore }) {
+    const router = express.Router();
+
+    router.put('/profile', async (req, res) => {
+        const request = validateBody(req.body, 'profile');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const updates = {};
+
+        if (body.timezone !== undefined) {
+            updates.timezone = body.timezone;
+        }
+        if (body.displayName !== undefined) {
+            updates.displayName = body.displayName?.trim() || null;
+        }
+
+        const user = await datastore.updateUser(req.auth.userId, updates);
+        if (!user) {
+            return res.status(404).json({
+                error: 'User not found',
+                code: 'USER_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            user: {
+                id: user._id.toString(),
+                email: user.email,
+                displayName: user.displayName || null,
+                timezone: user.timezone || 'UTC'
+            }
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createAuthRouter, createProfileRouter };
@@ -0,0 +1,146 @@
+// server/routes/foods.js - Eigene Lebensmittel und Rezepte pro User
+
+const express = require('express');
+const FoodDatabase = require('../../public/js/food-database');
+const { validateBody, sendInvalid } = require('../lib/validation');
+
+const MAX_USER_FOODS = 500;
+
+const FOOD_FIELDS = [
+    'kind', 'name', 'calories', 'protein', 'carbs', 'fat',
+    'servingLabel', 'servingGrams', 'ingredients', 'servings'
+];
+
+function foodNotFound(res) {
+    return res.status(404).json({
+        error: 'Food not found',
+        code: 'FOOD_NOT_FOUND'
+    });
+}
+
+/**
+ * Rezepte: Nährwerte je 100 g und Portionsgröße immer aus den Zutaten berechnen
+ * @returns {Object|null} Validierungsfehler für sendInvalid oder null
+ */
+function applyRecipeTotals(food) {
+    if (food.kind !== 'recipe') {
+        food.ingredients = null;
+        food.servings = null;
+        return null;
+    }
+
+    if (!Array.isArray(food.ingredients) || food.ingredients.length === 0) {
+        return {
+            statusCode: 422,
+            error: {
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                message: 'A recipe needs at least one ingredient',
+                errors: [{ field: 'ingredients', code: 'REQUIRED', message: 'A recipe needs at least one ingredient' }]
+            }
+        };
+    }
+
+    const summary = FoodDatabase.summarizeRecipe(food.ingredients, food.servings);
+    Object.assign(food, FoodDatabase.nutrientsFor(summary, 100), {
+        servings: food.servings ?? 1,
+        servingGrams: summary.servingGrams,
+        servingLabel: food.servingLabel || '1 Portion'
+    });
+    return null;
+}
+
+function pickFoodFields(value) {
+    return FOOD_FIELDS.reduce((fields, field) => {
+        if (value[field] !== undefined) fields[field] = value[field];
+        return fields;
+    }, {});
+}
+
+function createFoodsRouter({ datastore }) {
+    const router = express.Router();
+
+    router.get('/foods', async (req, res) => {
+        const foods = await datastore.listFoods(req.auth.userId);
+        res.json({ data: foods });
+    });
+
+    // Upsert über die Client-ID - offline angelegte Lebensmittel können mehrfach hochgeladen werden
+    router.post('/foods', async (req, res) => {
+        const request = validateBody(req.body, 'food');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const userId = req.auth.userId;
+
+        const recipeError = applyRecipeTotals(body);
+        if (recipeError) return sendInvalid(res, recipeError);
+
+        const foods = await datastore.listFoods(userId);
+        const existing = foods.find(food => food.id === body.id);
+        if (!existing && foods.length >= MAX_USER_FOODS) {
+            return res.status(422).json({
+                error: `At most ${MAX_USER_FOODS} foods per user`,
+                code: 'TOO_MANY_FOODS'
+            });
+        }
+
+        const saved = await datastore.saveFood(userId, body.id, {
+            servingLabel: null,
+            servingGrams: null,
+            ...pickFoodFields(body),
+            updatedAt: new Date()
+        });
+
+        console.log(`🥗 Food saved for user ${userId}: ${saved.id} (${saved.kind})`);
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.put('/foods/:id', async (req, res) => {
+        const userId = req.auth.userId;
+        const foods = await datastore.listFoods(userId);
+        const existing = foods.find(food => food.id === req.params.id);
+        if (!existing) return foodNotFound(res);
+
+        // Gegen das zusammengeführte Lebensmittel prüfen - Rezeptwerte hängen an allen Zutaten
+        const body = req.body ?? {};
+        const request = validateBody(
+            body !== null && typeof body === 'object' && !Array.isArray(body)
+                ? { ...pickFoodFields(existing), ...body, id: existing.id }
+                : body,
+            'food'
+        );
+        if (request.error) return sendInvalid(res, request);
+
+        const recipeError = applyRecipeTotals(request.value);
+        if (recipeError) return sendInvalid(res, recipeError);
+
+        const saved = await datastore.saveFood(userId, existing.id, {
+            ...pickFoodFields(request.value),
+            updatedAt: new Date()
+        });
+
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    // Mahlzeiten behalten ihre Positionen (Name + Nährwerte) - Löschen ist unkritisch
+    router.delete('/foods/:id', async (req, res) => {
+        const deleted = await datastore.deleteFood(req.auth.userId, req.params.id);
+        if (!deleted) return foodNotFound(res);
+
+        console.log(`🗑️ Food deleted for user ${req.auth.userId}: ${req.params.id}`);
+        res.json({
+            success: true,
+            data: { id: req.params.id }
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createFoodsRouter };
@@ -0,0 +1,89 @@
+// server/routes/goals.js - Tagesziele pro User
+
+const express = require('express');
+const { requireOwnUser } = require('../lib/middleware');
+const { validateBody, validateCustom, sendInvalid } = require('../lib/validation');
+
+function createGoalsRouter({ datastore }) {
+    const router = express.Router();
+
+    // GOALS ROUTES - Verbessert
+    router.get('/goals/:userId', requireOwnUser, async (req, res) => {
+        const { userId } = req.params;
+        console.log(`🎯 Fetching goals for user: ${userId}`);
+
+        const goals = await datastore.findGoals(userId);
+
+        // Fallback mit Default-Werten
+        const response = goals || {
+            userId,
+            stepsGoal: 10000,
+            waterGoal: 2.0,
+            sleepGoal: 8,
+            weightGoal: null,
+            calorieGoal: null,
+            activeMinutesGoal: 150,
+            waistGoal: null,
+            bodyFatGoal: null,
+            height: null,
+            bedtimeGoal: null,
+            glucoseUnit: 'mg/dL',
+            glucoseTargetLow: 70,
+            glucoseTargetHigh: 180,
+            customGoals: {},
+            createdAt: new Date().toISOString()
+        };
+
+        console.log(`✅ Goals response for ${userId}:`, response);
+        res.json(response);
+    });
+
+    router.post('/goals', async (req, res) => {
+        const request = validateBody(req.body, 'goals');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        console.log('🎯 Saving/Updating goals for user:', req.auth.userId);
+
+        // Ziele eigener Metriken - nur für definierte Metriken, in deren Wertebereich
+        let customGoals = {};
+        if (body.customGoals) {
+            const definitions = await datastore.listMetricDefinitions(req.auth.userId);
+            const custom = validateCustom(body.customGoals, definitions, 'customGoals.');
+            if (custom.error) return sendInvalid(res, custom);
+            customGoals = custom.value;
+        }
+
+        // ?? statt || - ein Ziel von 0 ist ein gültiger Wert
+        const goalData = {
+            userId: req.auth.userId,
+            weightGoal: body.weightGoal ?? null,
+            stepsGoal: body.stepsGoal ?? 10000,
+            waterGoal: body.waterGoal ?? 2.0,
+            sleepGoal: body.sleepGoal ?? 8,
+            calorieGoal: body.calorieGoal ?? null,
+            activeMinutesGoal: body.activeMinutesGoal ?? 150,
+            waistGoal: body.waistGoal ?? null,
+            bodyFatGoal: body.bodyFatGoal ?? null,
+            height: body.height ?? null,
+            bedtimeGoal: body.bedtimeGoal ?? null,
+            glucoseUnit: body.glucoseUnit ?? 'mg/dL',
+            glucoseTargetLow: body.glucoseTargetLow ?? 70,
+            glucoseTargetHigh: body.glucoseTargetHigh ?? 180,
+            customGoals,
+            updatedAt: new Date()
+        };
+
+        const savedGoals = await datastore.saveGoals(req.auth.userId, goalData);
+
+        console.log('✅ Goals saved:', savedGoals._id);
+        res.json({
+            success: true,
+            message: 'Goals updated successfully',
+            data: savedGoals
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createGoalsRouter };
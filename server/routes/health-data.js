@@ -0,0 +1,465 @@
+// server/routes/health-data.js - Einträge lesen, anlegen, bearbeiten, löschen und aggregieren
+
+const express = require('express');
+const MetricRegistry = require('../../public/js/metric-registry');
+const FoodDatabase = require('../../public/js/food-database');
+const SleepLog = require('../../public/js/sleep-log');
+const { requireOwnUser } = require('../lib/middleware');
+const { toValidationResult, validateBody, validateQuery, validateCustom, sendInvalid } = require('../lib/validation');
+const {
+    toCalendarDay,
+    getDayKey,
+    getEntryDayKey,
+    getDayRange,
+    getZonedDayStart,
+    shiftDayKey
+} = require('../lib/timezone');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Editierbare Felder eines Health-Eintrags (PUT /health-data/{id})
+const EDITABLE_HEALTH_FIELDS = [
+    'date', 'loggedAt', 'weight', 'steps', 'waterIntake', 'sleepHours', 'mood', 'notes',
+    'bedtime', 'wakeTime', 'sleepQuality', 'awakenings',
+    'systolic', 'diastolic', 'restingHeartRate', 'readingTime',
+    'mealType', 'foods', 'calories', 'protein', 'carbs', 'fat',
+    'waist', 'hip', 'chest', 'arm', 'thigh', 'bodyFat', 'glucose', 'glucoseContext', 'custom'
+];
+
+// ====================================================================
+// HEALTH DATA QUERY (Pagination, Zeitraum, Projektion)
+// ====================================================================
+
+const HEALTH_METRIC_FIELDS = MetricRegistry.METRIC_KEYS;
+const PROJECTABLE_FIELDS = [...EDITABLE_HEALTH_FIELDS, '_localId', 'version', 'createdAt', 'updatedAt'];
+
+function queryError(code, message) {
+    return { error: { code, message } };
+}
+
+function parseListParam(value) {
+    return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Datum aus Query-Parameter - "YYYY-MM-DD" gilt als ganzer Tag (to inklusive)
+ */
+function parseQueryDate(value, endOfDay = false) {
+    const isDateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const date = new Date(isDateOnly ? `${value}T00:00:00.000Z` : value);
+    if (isNaN(date.getTime())) return null;
+    if (isDateOnly && endOfDay) date.setUTCDate(date.getUTCDate() + 1);
+    return { date, exclusive: isDateOnly && endOfDay };
+}
+
+/**
+ * Cursor = Position des letzten Eintrags der Seite (Sortierung date desc, _id desc)
+ */
+function encodeCursor(entry) {
+    const position = { d: new Date(entry.date).toISOString(), id: entry._id.toString() };
+    return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor, datastore) {
+    try {
+        const { d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const date = new Date(d);
+        if (isNaN(date.getTime()) || !datastore.isValidId(id)) return null;
+        return { date, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Query-Parameter von GET /health-data/{userId} in eine Datastore-Abfrage übersetzen
+ * limit, cursor, from, to, days (Legacy), fields, metrics
+ */
+function parseHealthDataQuery(params, datastore) {
+    const limit = params.limit !== undefined ? parseInt(params.limit, 10) : DEFAULT_PAGE_SIZE;
+    if (!Number.isInteger(limit) || limit < 1) {
+        return queryError('INVALID_LIMIT', 'limit must be a positive integer');
+    }
+
+    const query = { limit: Math.min(limit, MAX_PAGE_SIZE) };
+
+    if (params.from) {
+        const from = parseQueryDate(params.from);
+        if (!from) return queryError('INVALID_DATE', 'from must be an ISO date');
+        query.from = from.date;
+    } else if (parseInt(params.days, 10) > 0) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - parseInt(params.days, 10));
+        query.from = cutoffDate;
+    }
+
+    if (params.to) {
+        const to = parseQueryDate(params.to, true);
+        if (!to) return queryError('INVALID_DATE', 'to must be an ISO date');
+        query.to = to.date;
+        query.toExclusive = to.exclusive;
+    }
+
+    if (query.from && query.to && query.from > query.to) {
+        return queryError('INVALID_DATE_RANGE', 'from must not be after to');
+    }
+
+    const metrics = parseListParam(params.metrics);
+    const unknownMetrics = metrics.filter(metric => !HEALTH_METRIC_FIELDS.includes(metric));
+    if (unknownMetrics.length > 0) {
+        return queryError('INVALID_METRICS', `Unknown metrics: ${unknownMetrics.join(', ')}`);
+    }
+    if (metrics.length > 0) query.metrics = metrics;
+
+    if (params.cursor) {
+        const cursor = decodeCursor(params.cursor, datastore);
+        if (!cursor) return queryError('INVALID_CURSOR', 'cursor is invalid');
+        query.before = cursor;
+    }
+
+    const fields = parseListParam(params.fields);
+    if (fields.length > 0) {
+        const unknownFields = fields.filter(field => !PROJECTABLE_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+            return queryError('INVALID_FIELDS', `Unknown fields: ${unknownFields.join(', ')}`);
+        }
+        query.fields = fields;
+    }
+
+    return { query };
+}
+
+/**
+ * Gleiche Werte eigener Metriken - Schlüsselreihenfolge egal, leere Maps wie null
+ */
+function sameCustomValues(a, b) {
+    const left = a || {};
+    const right = b || {};
+    const keys = new Set([...Object.keys(left), ...Object.keys(right)]);
+    return [...keys].every(key => (left[key] ?? null) === (right[key] ?? null));
+}
+
+/**
+ * body.custom gegen die Definitionen des Users prüfen und durch bereinigte Werte ersetzen
+ * @returns {Object|null} Validierungsfehler für sendInvalid oder null
+ */
+async function applyCustomValues(datastore, userId, body, prefix = 'custom.') {
+    if (body.custom === undefined || body.custom === null) return null;
+    const definitions = await datastore.listMetricDefinitions(userId);
+    const result = validateCustom(body.custom, definitions, prefix);
+    if (result.error) return result;
+    body.custom = Object.keys(result.value).length > 0 ? result.value : null;
+    return null;
+}
+
+/**
+ * Mahlzeit mit Positionen: Tagessummen-Felder immer aus den Positionen berechnen,
+ * damit Kalorien und Lebensmittelliste nie auseinanderlaufen
+ */
+function applyMealTotals(body) {
+    if (!Array.isArray(body.foods)) return body;
+    if (body.foods.length === 0) {
+        body.foods = null;
+        return body;
+    }
+    Object.assign(body, FoodDatabase.sumNutrients(body.foods));
+    return body;
+}
+
+/**
+ * Einschlaf- und Aufwachzeit nur zusammen - dann ist sleepHours die daraus berechnete Dauer
+ * @returns {Object|null} Validierungsfehler
+ */
+function applySleepTimes(body) {
+    const errors = SleepLog.checkSleepTimes(body);
+    if (errors.length > 0) return toValidationResult({ valid: false, errors });
+    if (body.bedtime && body.wakeTime) {
+        body.sleepHours = SleepLog.getSleepHours(body.bedtime, body.wakeTime);
+    }
+    return null;
+}
+
+function sameTime(a, b) {
+    return !!a && !!b && new Date(a).getTime() === new Date(b).getTime();
+}
+
+function createHealthDataRouter({ datastore }) {
+    const router = express.Router();
+
+    // HEALTH DATA ROUTES - Optimiert
+    router.get('/health-data/:userId', requireOwnUser, async (req, res) => {
+        const { userId } = req.params;
+        console.log(`📊 Fetching health data for user: ${userId}`);
+
+        // Query-Parameter: limit, cursor, from, to, days, fields, metrics
+        const parsed = parseHealthDataQuery(req.query || {}, datastore);
+        if (parsed.error) {
+            return res.status(400).json({
+                error: 'Invalid query',
+                code: parsed.error.code,
+                message: parsed.error.message
+            });
+        }
+        const { query } = parsed;
+
+        // Einen Eintrag mehr laden, um hasMore ohne zweite Abfrage zu bestimmen
+        const results = await datastore.listEntries(userId, { ...query, limit: query.limit + 1 });
+
+        const hasMore = results.length > query.limit;
+        const healthData = hasMore ? results.slice(0, query.limit) : results;
+
+        console.log(`✅ Retrieved ${healthData.length} records for user ${userId}${hasMore ? ' (more available)' : ''}`);
+
+        res.json({
+            data: healthData,
+            pagination: {
+                limit: query.limit,
+                hasMore,
+                nextCursor: hasMore ? encodeCursor(healthData[healthData.length - 1]) : null
+            }
+        });
+    });
+
+    // HEALTH DATA POST - Verbessert mit Duplikat-Prävention
+    router.post('/health-data', async (req, res) => {
+        const request = validateBody(req.body, 'healthEntry');
+        if (request.error) return sendInvalid(res, request);
+        const body = applyMealTotals(request.value);
+        const sleepError = applySleepTimes(body);
+        if (sleepError) return sendInvalid(res, sleepError);
+        const customError = await applyCustomValues(datastore, req.auth.userId, body);
+        if (customError) return sendInvalid(res, customError);
+        console.log('💾 Processing health data:', {
+            userId: req.auth.userId,
+            date: body.date,
+            hasData: Object.keys(body).length > 1
+        });
+
+        // Kalendertag in der Zeitzone des Users
+        const timezone = await req.getTimezone();
+        const entryDate = toCalendarDay(body.date, timezone);
+        if (!entryDate) {
+            return res.status(400).json({
+                error: 'Invalid date',
+                code: 'INVALID_DATE'
+            });
+        }
+
+        // Ohne Zeitpunkt gilt "jetzt" - außer für nachgetragene Tage, deren Uhrzeit unbekannt ist
+        const loggedAt = body.loggedAt
+            ? new Date(body.loggedAt)
+            : getEntryDayKey(entryDate, timezone) === getDayKey(new Date(), timezone) ? new Date() : null;
+
+        // INTELLIGENTE DUPLIKAT-PRÄVENTION - Einträge am gleichen Tag
+        const existingEntries = await datastore.findEntriesOnDay(req.auth.userId, getDayRange(entryDate, timezone));
+
+        // ERWEITERTE DUPLIKAT-LOGIK
+        if (existingEntries.length > 0) {
+            const isDuplicate = existingEntries.some(existing => {
+                // Prüfe auf identische Werte in wichtigen Feldern
+                // Gleiche Messwerte zu anderer Uhrzeit sind eine neue Messung
+                const keyFields = ['steps', 'waterIntake', 'sleepHours', 'bedtime', 'wakeTime', 'sleepQuality', 'awakenings', 'weight', 'mood',
+                    'systolic', 'diastolic', 'restingHeartRate', 'readingTime', 'mealType', 'calories',
+                    'waist', 'hip', 'chest', 'arm', 'thigh', 'bodyFat', 'glucose', 'glucoseContext'];
+                // Mit Zeitpunkt ist das zweite Glas Wasser ein eigenes Ereignis - nur derselbe Zeitpunkt ist ein Duplikat
+                return keyFields.every(field => {
+                    const existingValue = existing[field] ?? null;
+                    const newValue = body[field] ?? null;
+                    return existingValue === newValue;
+                }) && sameCustomValues(existing.custom, body.custom) &&
+                    (!body.loggedAt || sameTime(existing.loggedAt, loggedAt));
+            });
+
+            if (isDuplicate && !body.forceSubmit) {
+                console.log('🚫 Duplicate entry prevented');
+                return res.status(409).json({
+                    error: 'Duplicate entry detected',
+                    code: 'DUPLICATE_DATA',
+                    message: 'Identical data already exists for this date',
+                    suggestion: 'Use forceSubmit=true to override',
+                    existingEntries: existingEntries.length
+                });
+            }
+        }
+
+        // SPEICHERE NEUE DATEN
+        const savedData = await datastore.createEntry({
+            userId: req.auth.userId,
+            date: entryDate,
+            loggedAt,
+            weight: body.weight ?? null,
+            steps: body.steps ?? null,
+            waterIntake: body.waterIntake ?? null,
+            sleepHours: body.sleepHours ?? null,
+            bedtime: body.bedtime ?? null,
+            wakeTime: body.wakeTime ?? null,
+            sleepQuality: body.sleepQuality ?? null,
+            awakenings: body.awakenings ?? null,
+            mood: body.mood ?? null,
+            notes: body.notes ?? null,
+            systolic: body.systolic ?? null,
+            diastolic: body.diastolic ?? null,
+            restingHeartRate: body.restingHeartRate ?? null,
+            readingTime: body.readingTime ?? null,
+            mealType: body.mealType ?? null,
+            foods: body.foods ?? null,
+            calories: body.calories ?? null,
+            protein: body.protein ?? null,
+            carbs: body.carbs ?? null,
+            fat: body.fat ?? null,
+            waist: body.waist ?? null,
+            hip: body.hip ?? null,
+            chest: body.chest ?? null,
+            arm: body.arm ?? null,
+            thigh: body.thigh ?? null,
+            bodyFat: body.bodyFat ?? null,
+            glucose: body.glucose ?? null,
+            glucoseContext: body.glucoseContext ?? null,
+            custom: body.custom ?? null,
+            _localId: body._localId ?? null,
+            submissionId: body.submissionId ?? `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            version: 1,
+            syncSeq: await datastore.nextSyncSeq(req.auth.userId),
+            clientUpdatedAt: new Date()
+        });
+        console.log('✅ Health data saved:', savedData._id);
+
+        res.status(201).json({
+            success: true,
+            message: 'Health data saved successfully',
+            data: {
+                id: savedData._id,
+                userId: savedData.userId,
+                date: savedData.date,
+                loggedAt: savedData.loggedAt,
+                createdAt: savedData.createdAt
+            }
+        });
+    });
+
+    // HEALTH DATA PUT - Einzelnen Eintrag bearbeiten
+    router.put('/health-data/:id', async (req, res) => {
+        const entryId = req.params.id;
+        const request = validateBody(req.body, 'healthEntry', { partial: true });
+        if (request.error) return sendInvalid(res, request);
+        const body = applyMealTotals(request.value);
+        // Zeiten werden immer gemeinsam geändert, sonst passt die Dauer nicht mehr
+        const sleepError = applySleepTimes(body);
+        if (sleepError) return sendInvalid(res, sleepError);
+        // custom ersetzt die Werte-Map des Eintrags vollständig
+        const customError = await applyCustomValues(datastore, req.auth.userId, body);
+        if (customError) return sendInvalid(res, customError);
+
+        const updates = {};
+        EDITABLE_HEALTH_FIELDS.forEach(field => {
+            if (body[field] !== undefined) {
+                updates[field] = body[field];
+            }
+        });
+
+        if (updates.date !== undefined) {
+            updates.date = updates.date !== null ? toCalendarDay(updates.date, await req.getTimezone()) : null;
+            if (!updates.date) {
+                return res.status(400).json({
+                    error: 'Invalid date',
+                    code: 'INVALID_DATE'
+                });
+            }
+        }
+
+        if (updates.loggedAt !== undefined && updates.loggedAt !== null) {
+            updates.loggedAt = new Date(updates.loggedAt);
+        }
+
+        if (Object.keys(updates).length === 0) {
+            return res.status(400).json({
+                error: 'No editable fields provided',
+                code: 'NO_CHANGES',
+                editableFields: EDITABLE_HEALTH_FIELDS
+            });
+        }
+
+        updates.updatedAt = new Date();
+        updates.clientUpdatedAt = updates.updatedAt;
+        updates.syncSeq = await datastore.nextSyncSeq(req.auth.userId);
+
+        const updatedEntry = await datastore.updateEntry(req.auth.userId, entryId, updates);
+
+        if (!updatedEntry) {
+            return res.status(404).json({
+                error: 'Health entry not found',
+                code: 'ENTRY_NOT_FOUND'
+            });
+        }
+
+        console.log('✏️ Health data updated:', updatedEntry._id);
+        res.json({
+            success: true,
+            message: 'Health data updated successfully',
+            data: updatedEntry
+        });
+    });
+
+    // HEALTH DATA DELETE - Einzelnen Eintrag löschen
+    router.delete('/health-data/:id', async (req, res) => {
+        const entryId = req.params.id;
+
+        // Soft-Delete: Tombstone bleibt für den Delta-Sync anderer Geräte erhalten
+        const deletedEntry = await datastore.updateEntry(req.auth.userId, entryId, {
+            deleted: true,
+            deletedAt: new Date(),
+            updatedAt: new Date(),
+            clientUpdatedAt: new Date(),
+            syncSeq: await datastore.nextSyncSeq(req.auth.userId)
+        });
+
+        if (!deletedEntry) {
+            return res.status(404).json({
+                error: 'Health entry not found',
+                code: 'ENTRY_NOT_FOUND'
+            });
+        }
+
+        console.log('🗑️ Health data deleted:', deletedEntry._id);
+        res.json({
+            success: true,
+            message: 'Health data deleted successfully',
+            data: { id: deletedEntry._id }
+        });
+    });
+
+    // AGGREGIERTE DATEN - Optimiert
+    router.get('/health-data-aggregated/:userId', requireOwnUser, async (req, res) => {
+        const { userId } = req.params;
+        const query = validateQuery(req.query || {}, 'aggregatedQuery');
+        if (query.error) return sendInvalid(res, query);
+        const days = query.value.days ?? 30;
+
+        const timezone = await req.getTimezone();
+
+        console.log(`📊 Aggregating data for user: ${userId} (${days} days, ${timezone})`);
+
+        // Letzte `days` Kalendertage inkl. heute in der Zeitzone des Users
+        const fromKey = shiftDayKey(getDayKey(new Date(), timezone), -(days - 1));
+        const calendarStart = new Date(`${fromKey}T00:00:00.000Z`);
+        const zonedStart = getZonedDayStart(fromKey, timezone);
+        const cutoff = calendarStart < zonedStart ? calendarStart : zonedStart;
+
+        const aggregatedData = await datastore.aggregateDays(userId, { cutoff, fromKey, timezone, limit: days });
+        const definitions = await datastore.listMetricDefinitions(userId);
+
+        // Post-processing: Metriken nach Registry-Regeln je Tag zusammenfassen, eigene unter custom
+        const processedData = aggregatedData.map(({ entries, ...day }) => ({
+            ...day,
+            ...MetricRegistry.aggregateDay(entries, definitions)
+        }));
+
+        console.log(`✅ Aggregated ${processedData.length} days for user ${userId}`);
+        res.json(processedData);
+    });
+
+    return router;
+}
+
+module.exports = { createHealthDataRouter, applyCustomValues, applyMealTotals, applySleepTimes, EDITABLE_HEALTH_FIELDS };
@@ -0,0 +1,194 @@
+// server/routes/medications.js - Medikamente mit Zeitplan und erfasste Dosen pro User
+
+const express = require('express');
+const MedicationSchedule = require('../../public/js/medication-schedule');
+const { toValidationResult, validateBody, validateQuery, sendInvalid } = require('../lib/validation');
+const { getDayKey } = require('../lib/timezone');
+
+const MAX_MEDICATIONS = 50;
+const DEFAULT_LOG_LIMIT = 1000;
+
+const MEDICATION_FIELDS = [
+    'name', 'dose', 'kind', 'scheduleType', 'times', 'intervalHours', 'weekdays',
+    'startDate', 'endDate', 'remindersEnabled', 'archived', 'notes'
+];
+
+const LOG_FIELDS = ['medicationId', 'date', 'time', 'status', 'name', 'dose', 'loggedAt'];
+
+function medicationNotFound(res) {
+    return res.status(404).json({
+        error: 'Medication not found',
+        code: 'MEDICATION_NOT_FOUND'
+    });
+}
+
+function pickFields(value, fields) {
+    return fields.reduce((picked, field) => {
+        picked[field] = value[field] ?? null;
+        return picked;
+    }, {});
+}
+
+/**
+ * Schema und Zeitplan prüfen - nicht benötigte Zeitplan-Felder werden geleert
+ */
+function validateMedication(body) {
+    const request = validateBody(body, 'medication');
+    if (request.error) return request;
+
+    const medication = request.value;
+    const scheduleErrors = MedicationSchedule.checkSchedule(medication);
+    if (scheduleErrors.length > 0) return toValidationResult({ valid: false, errors: scheduleErrors });
+
+    if (medication.scheduleType !== 'interval') medication.intervalHours = null;
+    if (medication.scheduleType !== 'weekdays') medication.weekdays = null;
+    if (medication.scheduleType === 'interval') medication.times = medication.times.slice(0, 1);
+    medication.remindersEnabled = medication.remindersEnabled ?? true;
+    medication.archived = medication.archived ?? false;
+    return { value: medication };
+}
+
+function createMedicationsRouter({ datastore }) {
+    const router = express.Router();
+
+    router.get('/medications', async (req, res) => {
+        const medications = await datastore.listMedications(req.auth.userId);
+        res.json({ data: medications });
+    });
+
+    // Upsert über die Client-ID - auch Archivieren offline (archived + endDate)
+    router.post('/medications', async (req, res) => {
+        const request = validateMedication(req.body);
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const userId = req.auth.userId;
+
+        const existing = await datastore.findMedication(userId, body.id);
+        if (!existing) {
+            const medications = await datastore.listMedications(userId);
+            if (medications.filter(medication => !medication.archived).length >= MAX_MEDICATIONS) {
+                return res.status(422).json({
+                    error: `At most ${MAX_MEDICATIONS} active medications per user`,
+                    code: 'TOO_MANY_MEDICATIONS'
+                });
+            }
+        }
+
+        const saved = await datastore.saveMedication(userId, body.id, {
+            ...pickFields(body, MEDICATION_FIELDS),
+            updatedAt: new Date()
+        });
+
+        console.log(`💊 Medication saved for user ${userId}: ${saved.id} (${saved.scheduleType})`);
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.put('/medications/:id', async (req, res) => {
+        const userId = req.auth.userId;
+        const existing = await datastore.findMedication(userId, req.params.id);
+        if (!existing) return medicationNotFound(res);
+
+        // Gegen das zusammengeführte Medikament prüfen - der Zeitplan hängt an mehreren Feldern
+        const body = req.body ?? {};
+        const request = validateMedication(
+            body !== null && typeof body === 'object' && !Array.isArray(body)
+                ? { ...pickFields(existing, MEDICATION_FIELDS), ...body, id: existing.id }
+                : body
+        );
+        if (request.error) return sendInvalid(res, request);
+
+        const saved = await datastore.saveMedication(userId, existing.id, {
+            ...pickFields(request.value, MEDICATION_FIELDS),
+            updatedAt: new Date()
+        });
+
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    // Archivieren statt Löschen - der Zeitplan endet heute, vergangene Wochen behalten ihre Adhärenz
+    router.delete('/medications/:id', async (req, res) => {
+        const userId = req.auth.userId;
+        const existing = await datastore.findMedication(userId, req.params.id);
+        if (!existing || existing.archived) return medicationNotFound(res);
+
+        const today = getDayKey(new Date(), await req.getTimezone());
+        const saved = await datastore.saveMedication(userId, existing.id, {
+            archived: true,
+            endDate: existing.endDate && existing.endDate < today ? existing.endDate : today,
+            updatedAt: new Date()
+        });
+
+        console.log(`🗄️ Medication archived for user ${userId}: ${saved.id}`);
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.get('/medication-logs', async (req, res) => {
+        const request = validateQuery(req.query, 'dayRangeQuery');
+        if (request.error) return sendInvalid(res, request);
+        const { from, to, limit } = request.value;
+
+        const logs = await datastore.listMedicationLogs(req.auth.userId, {
+            from: from || null,
+            to: to || null,
+            limit: limit || DEFAULT_LOG_LIMIT
+        });
+        res.json({ data: logs });
+    });
+
+    // Upsert über die Dosis-ID - "genommen" und "ausgelassen" ersetzen sich gegenseitig
+    router.post('/medication-logs', async (req, res) => {
+        const request = validateBody(req.body, 'medicationLog');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const userId = req.auth.userId;
+
+        if (body.id !== MedicationSchedule.doseId(body.medicationId, body.date, body.time)) {
+            return res.status(422).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                message: 'id must be derived from medicationId, date and time',
+                errors: [{ field: 'id', code: 'INVALID_DOSE_ID', message: 'id must be derived from medicationId, date and time' }]
+            });
+        }
+
+        const existing = await datastore.findMedicationLog(userId, body.id);
+        const saved = await datastore.saveMedicationLog(userId, body.id, {
+            ...pickFields(body, LOG_FIELDS),
+            loggedAt: body.loggedAt ? new Date(body.loggedAt) : new Date(),
+            updatedAt: new Date()
+        });
+
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.delete('/medication-logs/:id', async (req, res) => {
+        const deleted = await datastore.deleteMedicationLog(req.auth.userId, req.params.id);
+        if (!deleted) {
+            return res.status(404).json({
+                error: 'Medication log not found',
+                code: 'MEDICATION_LOG_NOT_FOUND'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { id: req.params.id }
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createMedicationsRouter };
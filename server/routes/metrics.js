@@ -0,0 +1,132 @@
+// server/routes/metrics.js - Eigene Metriken (Definitionen) pro User
+
+const express = require('express');
+const HealthSchema = require('../../public/js/health-schema');
+const MetricRegistry = require('../../public/js/metric-registry');
+const { toValidationResult, sendInvalid } = require('../lib/validation');
+
+// Von Clients änderbare Felder einer Definition - key ist unveränderlich
+const DEFINITION_FIELDS = Object.keys(HealthSchema.SCHEMAS.metricDefinition.fields).filter(field => field !== 'key');
+
+function pickDefinitionFields(value) {
+    return DEFINITION_FIELDS.reduce((fields, field) => {
+        if (value[field] !== undefined) fields[field] = value[field];
+        return fields;
+    }, {});
+}
+
+function metricNotFound(res) {
+    return res.status(404).json({
+        error: 'Metric definition not found',
+        code: 'METRIC_NOT_FOUND'
+    });
+}
+
+function createMetricsRouter({ datastore }) {
+    const router = express.Router();
+
+    // Alle Definitionen inkl. archivierter - historische Werte brauchen Name und Einheit
+    router.get('/metrics', async (req, res) => {
+        const definitions = await datastore.listMetricDefinitions(req.auth.userId);
+        res.json({ data: definitions });
+    });
+
+    router.post('/metrics', async (req, res) => {
+        const request = toValidationResult(HealthSchema.validateMetricDefinition(req.body ?? {}));
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const userId = req.auth.userId;
+
+        if (MetricRegistry.RESERVED_METRIC_KEYS.includes(body.key)) {
+            return res.status(409).json({
+                error: `"${body.key}" is a reserved metric key`,
+                code: 'METRIC_KEY_RESERVED'
+            });
+        }
+
+        const definitions = await datastore.listMetricDefinitions(userId);
+        const existing = definitions.find(definition => definition.key === body.key);
+        if (existing && !existing.archived) {
+            return res.status(409).json({
+                error: `A metric with key "${body.key}" already exists`,
+                code: 'METRIC_EXISTS'
+            });
+        }
+
+        const activeCount = definitions.filter(definition => !definition.archived).length;
+        if (activeCount >= HealthSchema.MAX_CUSTOM_METRICS) {
+            return res.status(422).json({
+                error: `At most ${HealthSchema.MAX_CUSTOM_METRICS} custom metrics per user`,
+                code: 'TOO_MANY_METRICS'
+            });
+        }
+
+        // Archivierter Schlüssel wird reaktiviert - alte Werte gehören wieder zur Metrik
+        const saved = await datastore.saveMetricDefinition(userId, body.key, {
+            unit: null,
+            goalDirection: 'increase',
+            min: null,
+            max: null,
+            decimals: null,
+            order: body.order ?? activeCount,
+            ...pickDefinitionFields(body),
+            archived: false,
+            updatedAt: new Date()
+        });
+
+        console.log(`📐 Metric definition saved for user ${userId}: ${saved.key}`);
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.put('/metrics/:key', async (req, res) => {
+        const userId = req.auth.userId;
+        const definitions = await datastore.listMetricDefinitions(userId);
+        const existing = definitions.find(definition => definition.key === req.params.key && !definition.archived);
+        if (!existing) return metricNotFound(res);
+
+        // Gegen die zusammengeführte Definition prüfen, damit min <= max auch bei Teil-Updates gilt
+        const body = req.body ?? {};
+        const request = toValidationResult(HealthSchema.validateMetricDefinition(
+            body !== null && typeof body === 'object' && !Array.isArray(body)
+                ? { ...existing, ...body, key: existing.key }
+                : body
+        ));
+        if (request.error) return sendInvalid(res, request);
+
+        const saved = await datastore.saveMetricDefinition(userId, existing.key, {
+            ...pickDefinitionFields(request.value),
+            updatedAt: new Date()
+        });
+
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    // Archivieren statt Löschen - Einträge behalten ihre Werte in custom[key]
+    router.delete('/metrics/:key', async (req, res) => {
+        const userId = req.auth.userId;
+        const definitions = await datastore.listMetricDefinitions(userId);
+        const existing = definitions.find(definition => definition.key === req.params.key && !definition.archived);
+        if (!existing) return metricNotFound(res);
+
+        const saved = await datastore.saveMetricDefinition(userId, existing.key, {
+            archived: true,
+            updatedAt: new Date()
+        });
+
+        console.log(`🗄️ Metric definition archived for user ${userId}: ${saved.key}`);
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createMetricsRouter };
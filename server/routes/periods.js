@@ -0,0 +1,118 @@
+// server/routes/periods.js - Perioden (Zyklus-Tracking) pro User
+
+const express = require('express');
+const CycleTracker = require('../../public/js/cycle-tracker');
+const { toValidationResult, validateBody, validateQuery, sendInvalid } = require('../lib/validation');
+
+const DEFAULT_LIMIT = 200;
+
+const PERIOD_FIELDS = ['startDate', 'endDate', 'flow', 'symptoms', 'notes'];
+
+function periodNotFound(res) {
+    return res.status(404).json({
+        error: 'Period not found',
+        code: 'PERIOD_NOT_FOUND'
+    });
+}
+
+function pickPeriodFields(value) {
+    return PERIOD_FIELDS.reduce((fields, field) => {
+        fields[field] = value[field] ?? null;
+        return fields;
+    }, {});
+}
+
+/**
+ * Schema, Zeitraum und Überschneidung mit anderen Perioden prüfen
+ */
+async function validatePeriod(datastore, userId, body) {
+    const request = validateBody(body, 'period');
+    if (request.error) return request;
+
+    const period = request.value;
+    const others = await datastore.listPeriods(userId);
+    const errors = CycleTracker.checkPeriod(period, others);
+    if (errors.length > 0) return toValidationResult({ valid: false, errors });
+
+    if (!Array.isArray(period.symptoms) || period.symptoms.length === 0) period.symptoms = null;
+    return { value: period };
+}
+
+function createPeriodsRouter({ datastore }) {
+    const router = express.Router();
+
+    router.get('/periods', async (req, res) => {
+        const request = validateQuery(req.query, 'dayRangeQuery');
+        if (request.error) return sendInvalid(res, request);
+        const { from, to, limit } = request.value;
+
+        const periods = await datastore.listPeriods(req.auth.userId, {
+            from: from || null,
+            to: to || null,
+            limit: limit || DEFAULT_LIMIT
+        });
+        res.json({ data: periods });
+    });
+
+    // Upsert über die Client-ID - offline erfasste Perioden können mehrfach hochgeladen werden
+    router.post('/periods', async (req, res) => {
+        const userId = req.auth.userId;
+        const request = await validatePeriod(datastore, userId, req.body);
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+
+        const existing = await datastore.findPeriod(userId, body.id);
+        const saved = await datastore.savePeriod(userId, body.id, {
+            ...pickPeriodFields(body),
+            updatedAt: new Date()
+        });
+
+        console.log(`🩸 Period saved for user ${userId}: ${saved.id} (${saved.startDate})`);
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.put('/periods/:id', async (req, res) => {
+        const userId = req.auth.userId;
+        const existing = await datastore.findPeriod(userId, req.params.id);
+        if (!existing) return periodNotFound(res);
+
+        // Gegen die zusammengeführte Periode prüfen - z.B. nur endDate nachtragen
+        const body = req.body ?? {};
+        const request = await validatePeriod(
+            datastore,
+            userId,
+            body !== null && typeof body === 'object' && !Array.isArray(body)
+                ? { ...pickPeriodFields(existing), ...body, id: existing.id }
+                : body
+        );
+        if (request.error) return sendInvalid(res, request);
+
+        const saved = await datastore.savePeriod(userId, existing.id, {
+            ...pickPeriodFields(request.value),
+            updatedAt: new Date()
+        });
+
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.delete('/periods/:id', async (req, res) => {
+        const deleted = await datastore.deletePeriod(req.auth.userId, req.params.id);
+        if (!deleted) return periodNotFound(res);
+
+        console.log(`🗑️ Period deleted for user ${req.auth.userId}: ${req.params.id}`);
+        res.json({
+            success: true,
+            data: { id: req.params.id }
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createPeriodsRouter };
@@ -0,0 +1,117 @@
+// server/routes/status.js - Status, Health Check und Datenbanktest
+
+const express = require('express');
+
+const API_VERSION = '2.1.0';
+
+function createStatusRouter({ datastore }) {
+    const router = express.Router();
+
+    // ROOT PATH - Function Status
+    router.get('/', (req, res) => {
+        res.json({
+            message: `Health Tracker Pro API v${API_VERSION}`,
+            status: 'operational',
+            timestamp: new Date().toISOString(),
+            database: datastore.type,
+            routes: {
+                health: 'GET /health',
+                testDb: 'GET /test-db',
+                auth: {
+                    register: 'POST /auth/register',
+                    login: 'POST /auth/login',
+                    refresh: 'POST /auth/refresh'
+                },
+                profile: 'PUT /profile',
+                healthData: {
+                    get: 'GET /health-data/{userId}?limit&cursor&from&to&fields&metrics',
+                    post: 'POST /health-data',
+                    put: 'PUT /health-data/{id}',
+                    delete: 'DELETE /health-data/{id}',
+                    sync: 'POST /sync',
+                    aggregated: 'GET /health-data-aggregated/{userId}'
+                },
+                goals: {
+                    get: 'GET /goals/{userId}',
+                    post: 'POST /goals'
+                },
+                metrics: {
+                    list: 'GET /metrics',
+                    create: 'POST /metrics',
+                    update: 'PUT /metrics/{key}',
+                    archive: 'DELETE /metrics/{key}'
+                },
+                foods: {
+                    list: 'GET /foods',
+                    save: 'POST /foods',
+                    update: 'PUT /foods/{id}',
+                    delete: 'DELETE /foods/{id}'
+                },
+                workouts: {
+                    list: 'GET /workouts?from&to&limit',
+                    save: 'POST /workouts',
+                    update: 'PUT /workouts/{id}',
+                    delete: 'DELETE /workouts/{id}'
+                },
+                medications: {
+                    list: 'GET /medications',
+                    save: 'POST /medications',
+                    update: 'PUT /medications/{id}',
+                    archive: 'DELETE /medications/{id}',
+                    logs: 'GET /medication-logs?from&to&limit',
+                    log: 'POST /medication-logs',
+                    undo: 'DELETE /medication-logs/{id}'
+                },
+                periods: {
+                    list: 'GET /periods?from&to&limit',
+                    save: 'POST /periods',
+                    update: 'PUT /periods/{id}',
+                    delete: 'DELETE /periods/{id}'
+                }
+            }
+        });
+    });
+
+    // Health Check Route - ERWEITERT
+    router.get('/health', async (req, res) => {
+        try {
+            const database = await datastore.getStatus();
+
+            res.json({
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                api: {
+                    version: API_VERSION,
+                    environment: process.env.NODE_ENV || 'production'
+                },
+                database,
+                performance: {
+                    uptime: process.uptime(),
+                    memoryUsage: process.memoryUsage()
+                }
+            });
+        } catch (error) {
+            res.status(503).json({
+                status: 'unhealthy',
+                error: error.message,
+                timestamp: new Date().toISOString()
+            });
+        }
+    });
+
+    // DATABASE TEST - Erweitert
+    router.get('/test-db', async (req, res) => {
+        await datastore.connect();
+        const diagnostics = await datastore.getDiagnostics();
+
+        res.json({
+            message: 'Database connection successful',
+            ...diagnostics,
+            timestamp: new Date().toISOString()
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createStatusRouter };
@@ -0,0 +1,244 @@
+// server/routes/sync.js - Delta-Sync: Client-Änderungen anwenden, Serveränderungen seit Cursor liefern
+
+const express = require('express');
+const HealthSchema = require('../../public/js/health-schema');
+const { validateBody, sendInvalid } = require('../lib/validation');
+const { toCalendarDay } = require('../lib/timezone');
+const { applyCustomValues, applyMealTotals, applySleepTimes, EDITABLE_HEALTH_FIELDS } = require('./health-data');
+
+// SYNC KONFIGURATION
+const MAX_SYNC_BATCH = 200;
+const SYNC_PULL_LIMIT = 500;
+
+/**
+ * Datensätze aus der Zeit vor dem Delta-Sync bekommen nachträglich eine Sequenz
+ */
+async function backfillSyncSeq(datastore, userId) {
+    const legacyIds = await datastore.listEntryIdsWithoutSyncSeq(userId);
+
+    for (const id of legacyIds) {
+        await datastore.setEntryFields(id, { syncSeq: await datastore.nextSyncSeq(userId), version: 1 });
+    }
+}
+
+function pickHealthFields(data = {}, timezone = 'UTC') {
+    const fields = {};
+    EDITABLE_HEALTH_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+            fields[field] = data[field] === '' ? null : data[field];
+        }
+    });
+    if (fields.date !== undefined) {
+        // Ungültige Daten als Invalid Date weitergeben - der Aufrufer lehnt sie ab
+        fields.date = (fields.date !== null && toCalendarDay(fields.date, timezone)) || new Date(NaN);
+    }
+    if (fields.loggedAt) {
+        fields.loggedAt = new Date(fields.loggedAt);
+    }
+    return fields;
+}
+
+/**
+ * Deterministische Konfliktauflösung: spätere Änderung (Gerätezeit) gewinnt,
+ * bei Gleichstand die lexikographisch größere deviceId - alle Geräte konvergieren
+ */
+function resolveConflictWinner(existing, clientUpdatedAt, deviceId) {
+    const serverTime = new Date(existing.clientUpdatedAt || existing.updatedAt).getTime();
+    const clientTime = clientUpdatedAt.getTime();
+
+    if (clientTime !== serverTime) {
+        return clientTime > serverTime ? 'client' : 'server';
+    }
+    return deviceId > (existing.lastModifiedBy || '') ? 'client' : 'server';
+}
+
+function toSyncRecord(doc) {
+    return {
+        ...doc,
+        _id: doc._id.toString(),
+        version: doc.version || 1
+    };
+}
+
+/**
+ * Eine Client-Änderung anwenden
+ * @returns {{ status: 'applied'|'conflict'|'rejected', ... }}
+ */
+async function applySyncChange(datastore, userId, deviceId, change, timezone, index) {
+    // Ungültige Änderungen einzeln ablehnen - sonst blockiert eine die ganze Outbox
+    const shape = HealthSchema.validate('syncChange', change, { prefix: `changes[${index}].` });
+    const data = shape.valid && change.op !== 'delete'
+        ? HealthSchema.validate('healthEntry', change.data || {}, { partial: true, prefix: `changes[${index}].data.` })
+        : null;
+    const errors = [...shape.errors, ...(data ? data.errors : [])];
+    if (errors.length === 0 && data) {
+        applyMealTotals(data.value);
+        const sleepError = applySleepTimes(data.value);
+        if (sleepError) {
+            errors.push(...sleepError.error.errors.map(error => ({ ...error, field: `changes[${index}].data.${error.field}` })));
+        }
+        const customError = await applyCustomValues(datastore, userId, data.value, `changes[${index}].data.custom.`);
+        if (customError) errors.push(...customError.error.errors);
+    }
+    if (errors.length > 0) {
+        return {
+            status: 'rejected',
+            localId: change?.localId,
+            code: 'VALIDATION_ERROR',
+            message: errors[0].message,
+            errors
+        };
+    }
+
+    const clientUpdatedAt = new Date(change.updatedAt || Date.now());
+    const fields = pickHealthFields(data ? data.value : {}, timezone);
+
+    if (fields.date !== undefined && isNaN(fields.date.getTime())) {
+        return { status: 'rejected', localId: change.localId, code: 'INVALID_DATE', message: 'Invalid date' };
+    }
+
+    const existing = await datastore.findSyncTarget(userId, { serverId: change.serverId, localId: change.localId });
+
+    if (!existing) {
+        // Löschung eines nie angekommenen Eintrags - nichts zu tun
+        if (change.op === 'delete') {
+            return { status: 'applied', localId: change.localId, serverId: null, deleted: true };
+        }
+
+        const created = await datastore.createEntry({
+            userId,
+            ...fields,
+            date: fields.date || toCalendarDay(null, timezone),
+            _localId: change.localId || null,
+            version: 1,
+            syncSeq: await datastore.nextSyncSeq(userId),
+            clientUpdatedAt,
+            lastModifiedBy: deviceId
+        });
+
+        return { status: 'applied', localId: change.localId, serverId: created._id.toString(), version: 1 };
+    }
+
+    // Ohne Basisversion (Replay eines create, Altdaten) gilt nur eine fremde Änderung als Konflikt
+    const currentVersion = existing.version || 1;
+    const baseVersion = Number.isInteger(change.baseVersion) ? change.baseVersion : null;
+    const isConflict = baseVersion !== null
+        ? currentVersion !== baseVersion
+        : !!existing.lastModifiedBy && existing.lastModifiedBy !== deviceId;
+    const winner = isConflict ? resolveConflictWinner(existing, clientUpdatedAt, deviceId) : 'client';
+
+    const conflict = isConflict ? {
+        localId: change.localId,
+        serverId: existing._id.toString(),
+        date: existing.date,
+        op: change.op,
+        resolution: winner === 'client' ? 'client-wins' : 'server-wins',
+        serverRecord: toSyncRecord(existing),
+        clientData: change.data || null
+    } : null;
+
+    if (winner === 'server') {
+        return { status: 'conflict', conflict, record: toSyncRecord(existing) };
+    }
+
+    const updates = change.op === 'delete'
+        ? { deleted: true, deletedAt: new Date() }
+        : { ...fields, deleted: false, deletedAt: null };
+    const saved = await datastore.setEntryFields(existing._id, {
+        ...updates,
+        version: currentVersion + 1,
+        syncSeq: await datastore.nextSyncSeq(userId),
+        clientUpdatedAt,
+        lastModifiedBy: deviceId,
+        updatedAt: new Date()
+    });
+
+    return {
+        status: 'applied',
+        localId: change.localId,
+        serverId: saved._id.toString(),
+        version: saved.version,
+        deleted: saved.deleted,
+        conflict
+    };
+}
+
+function createSyncRouter({ datastore }) {
+    const router = express.Router();
+
+    // DELTA SYNC - Batch von Client-Änderungen + Serveränderungen seit Cursor
+    router.post('/sync', async (req, res) => {
+        const request = validateBody(req.body, 'sync');
+        if (request.error) return sendInvalid(res, request);
+        const body = request.value;
+        const userId = req.auth.userId;
+        const changes = body.changes ?? [];
+        const cursor = body.cursor ?? 0;
+        const deviceId = body.deviceId || 'unknown';
+        const timezone = changes.length > 0 ? await req.getTimezone() : 'UTC';
+
+        if (changes.length > MAX_SYNC_BATCH) {
+            return res.status(413).json({
+                error: `At most ${MAX_SYNC_BATCH} changes per sync request`,
+                code: 'SYNC_BATCH_TOO_LARGE'
+            });
+        }
+
+        console.log(`🔄 Sync for user ${userId}: ${changes.length} changes, cursor ${cursor}`);
+
+        await backfillSyncSeq(datastore, userId);
+
+        const applied = [];
+        const conflicts = [];
+        const rejected = [];
+
+        // Sequentiell, damit Änderungen am selben Eintrag in Reihenfolge landen
+        for (const [index, change] of changes.entries()) {
+            try {
+                const result = await applySyncChange(datastore, userId, deviceId, change, timezone, index);
+                if (result.status === 'applied') {
+                    applied.push({
+                        localId: result.localId,
+                        serverId: result.serverId,
+                        version: result.version,
+                        deleted: !!result.deleted
+                    });
+                    if (result.conflict) conflicts.push(result.conflict);
+                } else if (result.status === 'conflict') {
+                    conflicts.push(result.conflict);
+                } else {
+                    rejected.push({ localId: result.localId, code: result.code, message: result.message, errors: result.errors });
+                }
+            } catch (error) {
+                console.error('❌ Sync change failed:', change?.localId, error.message);
+                rejected.push({
+                    localId: change?.localId,
+                    code: error.name === 'ValidationError' ? 'VALIDATION_ERROR' : 'SYNC_CHANGE_FAILED',
+                    message: error.message
+                });
+            }
+        }
+
+        const serverChanges = await datastore.listChangesSince(userId, cursor, SYNC_PULL_LIMIT + 1);
+
+        const hasMore = serverChanges.length > SYNC_PULL_LIMIT;
+        const page = serverChanges.slice(0, SYNC_PULL_LIMIT);
+        const nextCursor = page.length ? page[page.length - 1].syncSeq : cursor;
+
+        console.log(`✅ Sync done: ${applied.length} applied, ${conflicts.length} conflicts, ${rejected.length} rejected, ${page.length} pulled`);
+
+        res.json({
+            success: true,
+            cursor: nextCursor,
+            hasMore,
+            applied,
+            conflicts,
+            rejected,
+            changes: page.map(toSyncRecord)
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createSyncRouter };
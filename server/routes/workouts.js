@@ -0,0 +1,113 @@
+// server/routes/workouts.js - Trainingseinheiten pro User
+
+const express = require('express');
+const { validateBody, validateQuery, sendInvalid } = require('../lib/validation');
+
+const DEFAULT_LIMIT = 200;
+
+const WORKOUT_FIELDS = [
+    'date', 'startTime', 'type', 'durationMinutes', 'distanceKm', 'rpe', 'sets', 'notes'
+];
+
+function workoutNotFound(res) {
+    return res.status(404).json({
+        error: 'Workout not found',
+        code: 'WORKOUT_NOT_FOUND'
+    });
+}
+
+/**
+ * Alle Felder setzen - fehlende werden null, damit ein Upsert alte Werte nicht stehen lässt
+ */
+function pickWorkoutFields(value) {
+    return WORKOUT_FIELDS.reduce((fields, field) => {
+        fields[field] = value[field] ?? null;
+        return fields;
+    }, {});
+}
+
+/**
+ * Sätze nur bei Krafteinheiten, leere Liste bedeutet keine
+ */
+function normalizeSets(workout) {
+    if (!Array.isArray(workout.sets) || workout.sets.length === 0) workout.sets = null;
+    return workout;
+}
+
+function createWorkoutsRouter({ datastore }) {
+    const router = express.Router();
+
+    router.get('/workouts', async (req, res) => {
+        const request = validateQuery(req.query, 'dayRangeQuery');
+        if (request.error) return sendInvalid(res, request);
+        const { from, to, limit } = request.value;
+
+        const workouts = await datastore.listWorkouts(req.auth.userId, {
+            from: from || null,
+            to: to || null,
+            limit: limit || DEFAULT_LIMIT
+        });
+        res.json({ data: workouts });
+    });
+
+    // Upsert über die Client-ID - offline erfasste Einheiten können mehrfach hochgeladen werden
+    router.post('/workouts', async (req, res) => {
+        const request = validateBody(req.body, 'workout');
+        if (request.error) return sendInvalid(res, request);
+        const body = normalizeSets(request.value);
+        const userId = req.auth.userId;
+
+        const existing = await datastore.findWorkout(userId, body.id);
+        const saved = await datastore.saveWorkout(userId, body.id, {
+            ...pickWorkoutFields(body),
+            updatedAt: new Date()
+        });
+
+        console.log(`🏃 Workout saved for user ${userId}: ${saved.id} (${saved.type}, ${saved.durationMinutes} min)`);
+        res.status(existing ? 200 : 201).json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.put('/workouts/:id', async (req, res) => {
+        const userId = req.auth.userId;
+        const existing = await datastore.findWorkout(userId, req.params.id);
+        if (!existing) return workoutNotFound(res);
+
+        // Gegen die zusammengeführte Einheit prüfen - Pflichtfelder bleiben erhalten
+        const body = req.body ?? {};
+        const request = validateBody(
+            body !== null && typeof body === 'object' && !Array.isArray(body)
+                ? { ...pickWorkoutFields(existing), ...body, id: existing.id }
+                : body,
+            'workout'
+        );
+        if (request.error) return sendInvalid(res, request);
+
+        const saved = await datastore.saveWorkout(userId, existing.id, {
+            ...pickWorkoutFields(normalizeSets(request.value)),
+            updatedAt: new Date()
+        });
+
+        res.json({
+            success: true,
+            data: saved
+        });
+    });
+
+    router.delete('/workouts/:id', async (req, res) => {
+        const deleted = await datastore.deleteWorkout(req.auth.userId, req.params.id);
+        if (!deleted) return workoutNotFound(res);
+
+        console.log(`🗑️ Workout deleted for user ${req.auth.userId}: ${req.params.id}`);
+        res.json({
+            success: true,
+            data: { id: req.params.id }
+        });
+    });
+
+    return router;
+}
+
+module.exports = { createWorkoutsRouter };
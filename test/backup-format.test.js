@@ -0,0 +1,129 @@
+// test/backup-format.test.js - Erkennung und Migration älterer Backups
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const BackupFormat = require('../public/js/backup-format');
+const baselineExport = require('./fixtures/baseline-export.json');
+
+test('localStorage export of the first app version is migrated from schema 1', async () => {
+    const result = await BackupFormat.readBackup(structuredClone(baselineExport));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.fromVersion, 1);
+    assert.equal(result.value.manifest.schemaVersion, BackupFormat.SCHEMA_VERSION);
+    assert.deepEqual(result.value.data.healthData.map(entry => entry.date), ['2024-06-12', '2024-06-13']);
+    // "goals" war immer ein leeres Array
+    assert.equal(result.value.data.goals, null);
+});
+
+test('empty localStorage export with healthData object is no invalid backup', async () => {
+    const result = await BackupFormat.readBackup({ healthData: {}, goals: [], version: '2.0' });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.fromVersion, 1);
+    assert.deepEqual(result.value.data.healthData, []);
+});
+
+test('localStorage shapes: object entries, deleted entries and userGoals are migrated', async () => {
+    const result = await BackupFormat.readBackup({
+        healthData: {
+            a: { date: '2024-06-01T00:00:00.000Z', steps: 100 },
+            b: { date: '2024-06-02', steps: 200, _deleted: true }
+        },
+        userGoals: JSON.stringify({ stepsGoal: 9000 }),
+        goals: [],
+        version: '2.0'
+    });
+
+    assert.equal(result.fromVersion, 1);
+    assert.deepEqual(result.value.data.healthData, [{ date: '2024-06-01', steps: 100 }]);
+    assert.deepEqual(result.value.data.goals, { stepsGoal: 9000 });
+});
+
+test('IndexedDB export (version 2.0 with settings and medications) is schema 2', async () => {
+    const result = await BackupFormat.readBackup({
+        healthData: [{ date: '2024-06-01', steps: 100 }],
+        goals: { stepsGoal: 9000 },
+        settings: {},
+        medications: [],
+        medicationLogs: [],
+        medicationAdherence: [],
+        exportDate: '2024-06-14T07:31:02.517Z',
+        version: '2.0'
+    });
+
+    assert.equal(result.valid, true);
+    assert.equal(result.fromVersion, 2);
+    assert.deepEqual(result.value.data.goals, { stepsGoal: 9000 });
+});
+
+test('encrypted backups with foreign key derivation parameters are rejected before deriving a key', async () => {
+    const envelope = await BackupFormat.encryptBackup({ healthData: [] }, 'correct horse');
+    const withKdf = (kdf) => ({ ...envelope, kdf: { ...envelope.kdf, ...kdf } });
+
+    assert.equal((await BackupFormat.decryptBackup(envelope, 'correct horse')).valid, true);
+    for (const kdf of [
+        { name: 'scrypt' },
+        { hash: 'SHA-1' },
+        { iterations: 1000 },
+        { iterations: 1e12 },
+        { iterations: 600000.5 },
+        { iterations: '600000' }
+    ]) {
+        const result = await BackupFormat.decryptBackup(withKdf(kdf), 'correct horse');
+        assert.equal(result.errors[0].code, 'INVALID_FORMAT', JSON.stringify(kdf));
+    }
+});
+
+test('schema 3 backup keeps its checksum and gains empty workout, period, food and metric sections', async () => {
+    const data = {
+        healthData: [{ date: '2024-06-01', custom: { meditation: 10 } }],
+        goals: null,
+        settings: {},
+        medications: [],
+        medicationLogs: [],
+        medicationAdherence: []
+    };
+    const backup = {
+        manifest: {
+            app: BackupFormat.APP_NAME,
+            schemaVersion: 3,
+            counts: { healthData: 1 },
+            checksum: await BackupFormat.getChecksum(data)
+        },
+        data
+    };
+
+    const result = await BackupFormat.readBackup(structuredClone(backup));
+
+    assert.equal(result.valid, true);
+    assert.equal(result.fromVersion, 3);
+    assert.equal(result.value.manifest.schemaVersion, BackupFormat.SCHEMA_VERSION);
+    for (const section of ['workouts', 'periods', 'foods', 'metricDefinitions']) {
+        assert.equal(result.value.data[section], null, section);
+    }
+
+    const tampered = structuredClone(backup);
+    tampered.data.healthData[0].custom.meditation = 20;
+    assert.equal((await BackupFormat.readBackup(tampered)).errors[0].code, 'CHECKSUM_MISMATCH');
+});
+
+test('records are matched by id regardless of sync fields', () => {
+    const diff = BackupFormat.diffRecords(
+        [
+            { id: 'wo-1', type: 'run', durationMinutes: 30, _syncState: 'synced', _serverId: 'srv-1' },
+            { id: 'wo-2', type: 'bike', durationMinutes: 45 },
+            { id: 'wo-3', type: 'swim', durationMinutes: 20 }
+        ],
+        [
+            { id: 'wo-1', type: 'run', durationMinutes: 30, _syncState: 'pending', updatedAt: '2024-06-02' },
+            { id: 'wo-2', type: 'bike', durationMinutes: 60 },
+            { id: 'wo-4', type: 'yoga', durationMinutes: 15 }
+        ]
+    );
+
+    assert.deepEqual(diff.unchanged.map(record => record.id), ['wo-1']);
+    assert.deepEqual(diff.updated.map(({ incoming }) => incoming.durationMinutes), [60]);
+    assert.deepEqual(diff.added.map(record => record.id), ['wo-4']);
+    assert.deepEqual(diff.missing.map(record => record.id), ['wo-3']);
+});
@@ -0,0 +1,50 @@
+// test/csv-transfer.test.js - Datumswerte und Duplikate beim CSV-Import
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const CsvTransfer = require('../public/js/csv-transfer');
+
+test('timestamps with an offset are converted into the user timezone', () => {
+    const berlin = { timezone: 'Europe/Berlin' };
+    const losAngeles = { timezone: 'America/Los_Angeles' };
+
+    assert.deepEqual(CsvTransfer.parseDateValue('2024-05-01T23:30:00Z', 'iso', berlin), { date: '2024-05-02', time: '01:30' });
+    assert.deepEqual(CsvTransfer.parseDateValue('2024-05-01T23:30:00Z', 'iso', losAngeles), { date: '2024-05-01', time: '16:30' });
+    assert.deepEqual(CsvTransfer.parseDateValue('2024-05-02 01:30:00+02:00', 'iso', losAngeles), { date: '2024-05-01', time: '16:30' });
+    assert.deepEqual(CsvTransfer.parseDateValue('2024-05-01T20:00-0700', 'iso', berlin), { date: '2024-05-02', time: '05:00' });
+});
+
+test('timestamps without an offset keep the noted local day and time', () => {
+    assert.deepEqual(CsvTransfer.parseDateValue('2024-05-01 23:30', 'iso', { timezone: 'Asia/Tokyo' }), { date: '2024-05-01', time: '23:30' });
+    assert.deepEqual(CsvTransfer.parseDateValue('01.05.2024', 'de'), { date: '2024-05-01', time: null });
+    assert.equal(CsvTransfer.parseDateValue('2024-05-01T25:00Z', 'iso'), null);
+});
+
+test('per-day export of increment entries is recognized as already present on re-import', () => {
+    const MetricRegistry = require('../public/js/metric-registry');
+    const entries = [
+        { date: '2024-05-01', waterIntake: 0.1, steps: 3000, loggedAt: '2024-05-01T08:00:00.000Z' },
+        { date: '2024-05-01', waterIntake: 0.2, steps: 5000, loggedAt: '2024-05-01T12:00:00.000Z' },
+        { date: '2024-05-01', weight: 72.4, loggedAt: '2024-05-01T18:00:00.000Z' }
+    ];
+    const keys = ['waterIntake', 'steps', 'weight'];
+    const fields = keys.map(key => ({ key, type: 'number', decimals: MetricRegistry.METRICS[key].decimals }));
+
+    // Export "Eine Zeile pro Tag" wie in der App: Tageswerte auf die Nachkommastellen der Metrik gerundet
+    const days = MetricRegistry.aggregateByDay(entries, entry => entry.date);
+    const rows = days.map(day => [day.date, ...fields.map(field => {
+        const factor = 10 ** field.decimals;
+        return Math.round(day[field.key] * factor) / factor;
+    })]);
+    const csv = CsvTransfer.stringify([['Datum', ...keys], ...rows], { delimiter: ';', decimalComma: true });
+
+    const parsed = CsvTransfer.parse(csv);
+    const [row] = CsvTransfer.readRows(parsed.rows, { mapping: ['date', ...keys], fields, dateFormat: 'iso', decimal: ',' });
+    const entry = { date: row.date, ...row.values };
+
+    assert.deepEqual(row.errors, []);
+    assert.equal(CsvTransfer.isDuplicateRow(entry, entries), true);
+    assert.equal(CsvTransfer.isDuplicateRow({ ...entry, steps: 9000 }, entries), false);
+    // Mit Uhrzeit zählt nur ein einzelner Eintrag
+    assert.equal(CsvTransfer.isDuplicateRow(entry, entries, { time: '08:00', getTimeOfDay: () => '08:00' }), false);
+});
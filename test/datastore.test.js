@@ -0,0 +1,34 @@
+// test/datastore.test.js - Auswahl des Datastores aus der Umgebung
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createDatastore } = require('../server/datastore');
+const { MemoryDatastore } = require('../server/datastore/memory');
+const MetricRegistry = require('../public/js/metric-registry');
+
+test('local server falls back to the memory datastore', () => {
+    assert.equal(createDatastore({ env: {} }).type, 'memory');
+});
+
+test('without fallback a missing MONGODB_URI is an error instead of a silent memory store', () => {
+    assert.throws(() => createDatastore({ env: {}, fallback: null }), /MONGODB_URI/);
+    assert.throws(() => createDatastore({ env: { DATASTORE: 'mongo' }, fallback: null }), /MONGODB_URI/);
+});
+
+test('memory and file stay available as explicit opt-in', () => {
+    assert.equal(createDatastore({ env: { DATASTORE: 'memory' }, fallback: null }).type, 'memory');
+    assert.equal(createDatastore({ env: { DATASTORE: 'file', DATA_FILE: '/tmp/unused.json' }, fallback: null }).type, 'file');
+    assert.equal(createDatastore({ env: { MONGODB_URI: 'mongodb://localhost/test' }, fallback: null }).type, 'mongo');
+});
+
+test('aggregated days order "latest" by the logged time, not by the time of capture', async () => {
+    const datastore = new MemoryDatastore();
+    await datastore.connect();
+    const date = new Date('2024-06-01T00:00:00.000Z');
+    await datastore.createEntry({ userId: 'u1', date, weight: 72, loggedAt: new Date('2024-06-01T18:00:00.000Z'), createdAt: new Date('2024-06-01T18:05:00.000Z') });
+    await datastore.createEntry({ userId: 'u1', date, weight: 70, loggedAt: new Date('2024-06-01T05:00:00.000Z'), createdAt: new Date('2024-06-01T19:00:00.000Z') });
+
+    const [day] = await datastore.aggregateDays('u1', { cutoff: date, fromKey: '2024-06-01', timezone: 'UTC', limit: 1 });
+
+    assert.equal(MetricRegistry.aggregateDay(day.entries, []).weight, 72);
+});
@@ -0,0 +1,65 @@
+// test/health-data-timezone.test.js - Kalendertage westlich von UTC (Duplikat-Prüfung)
+
+const { test, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { createApp } = require('../server/app');
+const { MemoryDatastore } = require('../server/datastore/memory');
+const { getDayRange, isOnDay } = require('../server/lib/timezone');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+let server;
+let baseUrl;
+let accessToken;
+
+async function request(method, path, body, headers = {}) {
+    const response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            ...(accessToken ? { Authorization: `Bearer ${accessToken}` } : {}),
+            ...headers
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+before(async () => {
+    // Request-Logs der API stören sonst das Protokoll des Test-Runners
+    mock.method(console, 'log', () => {});
+
+    const datastore = new MemoryDatastore();
+    await datastore.connect();
+    server = createApp({ datastore }).listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    const registered = await request('POST', '/auth/register', { email: 'tz@example.com', password: 'secret-password' });
+    accessToken = registered.body.accessToken;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test('getDayRange matches stored calendar days only exactly', () => {
+    const range = getDayRange(new Date('2024-05-01T00:00:00.000Z'), 'America/Los_Angeles');
+
+    assert.equal(isOnDay(new Date('2024-05-01T00:00:00.000Z'), range), true);
+    assert.equal(isOnDay(new Date('2024-05-02T00:00:00.000Z'), range), false);
+    // Altdaten-Zeitstempel: 1. Mai 20:00 in Los Angeles
+    assert.equal(isOnDay(new Date('2024-05-02T03:00:00.000Z'), range), true);
+    assert.equal(isOnDay(new Date('2024-05-02T08:00:00.000Z'), range), false);
+});
+
+test('same value on the previous day is no duplicate in a negative-offset zone', async () => {
+    const headers = { 'X-Timezone': 'America/Los_Angeles' };
+
+    const second = await request('POST', '/health-data', { date: '2024-05-02', weight: 70 }, headers);
+    assert.equal(second.status, 201);
+
+    const first = await request('POST', '/health-data', { date: '2024-05-01', weight: 70 }, headers);
+    assert.equal(first.status, 201);
+
+    const repeated = await request('POST', '/health-data', { date: '2024-05-01', weight: 70 }, headers);
+    assert.equal(repeated.status, 409);
+});
@@ -0,0 +1,155 @@
+// test/sync-outbox.test.js - Outbox mit Repository- und Request-Attrappen
+
+const { test, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { SyncOutbox } = require('../public/js/sync-outbox');
+
+before(() => {
+    // Fehlgeschlagene Uploads werden per console.warn protokolliert - stört sonst das Protokoll des Test-Runners
+    mock.method(console, 'warn', () => {});
+});
+
+function createRepository(records = {}) {
+    const synced = [];
+    return {
+        synced,
+        getSetting: async (key, fallback = null) => (key === '_authSession' ? { user: { id: 'u1' } } : fallback),
+        setSetting: async () => {},
+        getPendingChanges: async () => records.changes || [],
+        updateQueueItems: async (localIds, updater) => {
+            (records.changes || [])
+                .filter(change => localIds.includes(change._localId))
+                .forEach(change => {
+                    const item = updater({ queuedAt: change._queuedAt, status: change._syncStatus });
+                    change._syncStatus = item.status;
+                    change._lastError = item.lastError;
+                });
+        },
+        markSynced: async (localId) => synced.push({ id: localId }),
+        applyServerChanges: async () => {},
+        getPendingRecords: async (store) => (records[store] || []).filter(record => record._syncState !== 'rejected'),
+        markRecordRejected: async (store, id, updatedAt, message) => {
+            const record = records[store].find(item => item.id === id && item._updatedAt === updatedAt);
+            if (record) Object.assign(record, { _syncState: 'rejected', _lastError: message });
+            return !!record;
+        },
+        markRecordSynced: async (store, id, updatedAt, serverId) => {
+            synced.push({ store, id, updatedAt, serverId });
+            return true;
+        }
+    };
+}
+
+test('pending workouts are uploaded by the shared flush', async () => {
+    const repository = createRepository({
+        workouts: [
+            { id: 'wo-1', date: '2024-06-01', type: 'run', durationMinutes: 30, _updatedAt: 1, _syncState: 'pending' },
+            { id: 'wo-2', _deleted: true, _updatedAt: 2, _syncState: 'pending' }
+        ]
+    });
+    const requests = [];
+    const outbox = new SyncOutbox(repository, {
+        request: async (endpoint, options) => {
+            requests.push({ endpoint, method: options.method, body: options.body && JSON.parse(options.body) });
+            return endpoint === '/api/sync' ? { cursor: 0, changes: [] } : { data: { _id: 'srv-1' } };
+        }
+    });
+
+    const summary = await outbox.flush();
+
+    assert.equal(summary.pushed, 2);
+    assert.deepEqual(requests.map(request => `${request.method} ${request.endpoint}`), [
+        'POST /api/workouts',
+        'DELETE /api/workouts/wo-2',
+        'POST /api/sync'
+    ]);
+    assert.equal(requests[0].body._syncState, undefined);
+    assert.deepEqual(repository.synced.map(record => [record.id, record.serverId]), [['wo-1', 'srv-1'], ['wo-2', null]]);
+});
+
+test('medications are uploaded before their doses', async () => {
+    const repository = createRepository({
+        medicationLogs: [{ id: 'med-1_2024-06-01_08:00', medicationId: 'med-1', _updatedAt: 2 }],
+        medications: [{ id: 'med-1', name: 'Ibuprofen', _updatedAt: 1 }]
+    });
+    const endpoints = [];
+    const outbox = new SyncOutbox(repository, {
+        request: async (endpoint) => {
+            endpoints.push(endpoint);
+            return { data: { _id: 'srv' } };
+        }
+    });
+
+    const summary = await outbox.flushRecords();
+
+    assert.equal(summary.pushed, 2);
+    assert.deepEqual(endpoints, ['/api/medications', '/api/medication-logs']);
+});
+
+test('records stay pending while offline and the flush reports them as failed', async () => {
+    const repository = createRepository({
+        workouts: [{ id: 'wo-1', date: '2024-06-01', type: 'run', durationMinutes: 30, _updatedAt: 1 }]
+    });
+    const outbox = new SyncOutbox(repository, {
+        request: async () => {
+            throw new Error('Failed to fetch');
+        }
+    });
+
+    const summary = await outbox.flushRecords();
+
+    assert.equal(summary.failed, 1);
+    assert.equal(summary.error, 'Failed to fetch');
+    assert.deepEqual(repository.synced, []);
+});
+
+test('rejected changes stay in the outbox and are not sent again', async () => {
+    const repository = createRepository({
+        changes: [{ _localId: 'local_1', _queuedAt: 1, _pendingOp: 'create', date: '2024-06-01', weight: 900 }]
+    });
+    const batches = [];
+    const outbox = new SyncOutbox(repository, {
+        request: async (endpoint, options) => {
+            const { changes } = JSON.parse(options.body);
+            batches.push(changes.length);
+            return {
+                cursor: 0,
+                rejected: changes.map(change => ({ localId: change.localId, code: 'VALIDATION_ERROR', message: 'weight too large' })),
+                changes: []
+            };
+        }
+    });
+
+    const summary = await outbox.flush();
+    await outbox.flush({ force: true });
+
+    assert.equal(summary.rejected.length, 1);
+    assert.deepEqual(repository.synced, []);
+    const [change] = await repository.getPendingChanges();
+    assert.equal(change._syncStatus, 'rejected');
+    assert.equal(change._lastError, 'weight too large');
+    assert.deepEqual(batches, [1, 0]);
+});
+
+test('records rejected by the server are marked and not uploaded again', async () => {
+    const periods = [{ id: 'pe-1', startDate: '2024-06-10', endDate: '2024-06-01', _updatedAt: 1, _syncState: 'pending' }];
+    const repository = createRepository({ periods });
+    const requests = [];
+    const outbox = new SyncOutbox(repository, {
+        request: async (endpoint) => {
+            requests.push(endpoint);
+            const error = new Error('API Error 422: endDate must not be before startDate');
+            error.status = 422;
+            throw error;
+        }
+    });
+
+    const summary = await outbox.flushRecords();
+    await outbox.flushRecords();
+
+    assert.deepEqual(summary.rejected.map(rejection => [rejection.store, rejection.id]), [['periods', 'pe-1']]);
+    assert.equal(summary.failed, 0);
+    assert.deepEqual(requests, ['/api/periods']);
+    assert.equal(periods[0]._syncState, 'rejected');
+    assert.equal(periods[0]._lastError, 'API Error 422: endDate must not be before startDate');
+});